@@ -5,898 +5,1658 @@
 (function ($) {
     'use strict';
 
-    var EwheelImporter = {
-        pollInterval: null,
-        currentProfileId: null,
-        currentSyncId: null,
+    // =========================================================================
+    // Sync controller (one per scope: global or a single profile)
+    // =========================================================================
 
-        init: function () {
-            this.bindEvents();
-            this.checkInitialStatus();
-            this.checkQueueStatus();
-            this.loadCachedProductCount(); // Load cached count without hitting API
+    var POLL_INTERVAL = 8000;
+    var MAX_POLL_INTERVAL = 60000;
+    var MAX_POLL_ERRORS = 10;
+    var MAX_STREAM_ERRORS = 3;
+    var FINAL_STATUSES = ['idle', 'completed', 'failed', 'stopped'];
+
+    /**
+     * Calls the ewheel/v1 REST namespace. Requests resolve with the response
+     * body; errors reject with the jqXHR (see Rest.message).
+     */
+    var Rest = {
+        request: function (method, path, data, settings) {
+            var isRead = method === 'GET';
+
+            return $.ajax($.extend({
+                url: ewheelImporter.restUrl + path,
+                type: method,
+                data: isRead ? (data || {}) : JSON.stringify(data || {}),
+                contentType: isRead ? undefined : 'application/json',
+                dataType: 'json',
+                headers: { 'X-WP-Nonce': ewheelImporter.restNonce }
+            }, settings || {}));
         },
 
-        bindEvents: function () {
-            // Settings tab sync controls
-            $('#ewheel-run-sync').on('click', this.runSync.bind(this));
-            $('#ewheel-pause-sync').on('click', this.pauseSync.bind(this));
-            $('#ewheel-resume-sync').on('click', this.resumeSync.bind(this));
-            $('#ewheel-cancel-sync').on('click', this.cancelSync.bind(this));
-            $('#ewheel-test-connection').on('click', this.testConnection.bind(this));
+        message: function (xhr, fallback) {
+            return (xhr && xhr.responseJSON && xhr.responseJSON.message) || fallback || (xhr && xhr.statusText) || 'Unknown error';
+        }
+    };
 
-            // Profile tab sync controls
-            $('#ewheel-run-profile-sync').on('click', this.runProfileSync.bind(this));
-            $('#ewheel-pause-profile-sync').on('click', this.pauseProfileSync.bind(this));
-            $('#ewheel-resume-profile-sync').on('click', this.resumeProfileSync.bind(this));
-            $('#ewheel-cancel-profile-sync').on('click', this.cancelProfileSync.bind(this));
+    /**
+     * Drives one sync panel: run, pause, resume, cancel (force on second
+     * click), progress rendering, and live status via the progress stream
+     * with combined polling as fallback.
+     *
+     * Started syncs are announced with a document-level `ewheel:sync-started`
+     * event (event, profileId, syncId) and settled ones (completed, failed,
+     * stopped, paused) with `ewheel:sync-settled` (event, profileId, status, data).
+     *
+     * @param {Object}      options
+     * @param {number|null} options.profileId        Profile ID, null for the global sync.
+     * @param {Object}      options.elements         Selectors or elements keyed by run, preview, pause,
+     *                                               resume, cancel, status, progress, progressText,
+     *                                               details, log, badge, eta, failures.
+     * @param {Function}    [options.runData]        Returns extra data for POST /sync/start.
+     * @param {boolean}     [options.reloadOnComplete] Reload the page once a sync completes.
+     */
+    function SyncController(options) {
+        var self = this;
+        var elements = options.elements || {};
 
-            // Product count
-            $('#ewheel-refresh-product-count').on('click', this.refreshProductCount.bind(this));
-        },
+        this.profileId = parseInt(options.profileId, 10) || null;
+        this.runData = options.runData || function () { return {}; };
+        this.reloadOnComplete = !!options.reloadOnComplete;
 
-        checkQueueStatus: function () {
-            var $container = $('#ewheel-queue-status-container');
-            if ($container.length === 0) return;
+        this.$ = {};
+        $.each(['run', 'preview', 'pause', 'resume', 'cancel', 'status', 'progress', 'progressText', 'details', 'log', 'badge', 'eta', 'failures'], function (i, key) {
+            self.$[key] = elements[key] ? $(elements[key]) : $();
+        });
+        this.$.progressBar = this.$.progress.find('.ewheel-progress-bar');
+
+        this.currentSyncId = null;
+        this.cancelAttempts = 0;
+
+        this._active = false;
+        this._pollTimer = null;
+        this._pollPending = false;
+        this._pollErrorCount = 0;
+        this._pollInterval = POLL_INTERVAL;
+        this._stream = null;
+        this._streamErrors = 0;
+        this._streamWatchdog = null;
+        this._streamLogs = [];
+        this._visibilityHandler = null;
+    }
+
+    // Shared across controllers: once streaming fails it won't work for the others either
+    SyncController.streamFailed = false;
+
+    SyncController.prototype = {
+        constructor: SyncController,
+
+        // ---------------------------------------------------------------------
+        // Actions
+        // ---------------------------------------------------------------------
+
+        checkStatus: function () {
+            var self = this;
 
-            $.ajax({
-                url: ewheelImporter.ajaxUrl,
-                type: 'POST',
-                data: {
-                    action: 'ewheel_get_queue_status',
-                    nonce: ewheelImporter.nonce
-                },
-                success: function (response) {
-                    if (response.success && response.data && response.data.available) {
-                        if (response.data.html) {
-                            $container.html(response.data.html);
-                            // Re-bind clear queue button if it exists
-                            $('#ewheel-clear-queue').on('click', function () {
-                                if (confirm('Are you sure? This will stop all syncs.')) {
-                                    $.post(ewheelImporter.ajaxUrl, {
-                                        action: 'ewheel_clear_queue',
-                                        nonce: ewheelImporter.nonce
-                                    }, function () {
-                                        location.reload();
-                                    });
-                                }
-                            });
-                        }
-                    }
+            this._request('GET', 'sync/status').done(function (data) {
+                if (!data) return;
+
+                if (data.id) {
+                    self.currentSyncId = data.id;
+                }
+
+                if (data.status === 'running' || data.status === 'pausing') {
+                    self.render('running', data);
+                    self.watch();
+                } else if (data.status === 'paused') {
+                    self.render('paused', data);
+                } else {
+                    self.render('idle', data);
                 }
             });
         },
 
-        checkInitialStatus: function () {
+        run: function (e) {
+            if (e) e.preventDefault();
             var self = this;
-            $.ajax({
-                url: ewheelImporter.ajaxUrl,
-                type: 'POST',
-                data: {
-                    action: 'ewheel_get_sync_status',
-                    nonce: ewheelImporter.nonce
-                },
-                success: function (response) {
-                    if (response.success && response.data && response.data.status) {
-                        var data = response.data;
-                        var status = data.status;
 
-                        // Store sync_id for cancel operations
-                        if (data.id) {
-                            self.currentSyncId = data.id;
-                        }
+            this.cancelAttempts = 0;
+            this.render('running', null);
 
-                        if (status === 'running' || status === 'pausing') {
-                            self.updateSyncUI('running', data);
-                            self.startPolling();
-                        } else if (status === 'paused') {
-                            self.updateSyncUI('paused', data);
-                        }
+            this._request('POST', 'sync/start', this.runData())
+                .done(function (data) {
+                    if (data && data.sync_id) {
+                        self.currentSyncId = data.sync_id;
                     }
-                }
+                    self.watch();
+                    self._started();
+                })
+                .fail(function (xhr) {
+                    self.render('idle', null);
+                    self.showError('Error: ' + Rest.message(xhr));
+                });
+        },
+
+        pause: function (e) {
+            if (e) e.preventDefault();
+            var self = this;
+
+            this.render('pausing', null);
+
+            // The watcher picks up the paused state once the current batch finishes
+            this._request('POST', 'sync/pause').fail(function (xhr) {
+                self.showError('Error pausing: ' + Rest.message(xhr));
             });
         },
 
-        updateSyncUI: function (state, data) {
-            var $runBtn = $('#ewheel-run-sync');
-            var $pauseBtn = $('#ewheel-pause-sync');
-            var $resumeBtn = $('#ewheel-resume-sync');
-            var $cancelBtn = $('#ewheel-cancel-sync');
-            var $status = $('#ewheel-sync-status');
-            var $progress = $('#ewheel-sync-progress');
-            var $progressBar = $progress.find('.ewheel-progress-bar');
-            var $progressText = $('#ewheel-progress-text');
-            var $details = $('#ewheel-sync-details');
+        resume: function (e) {
+            if (e) e.preventDefault();
+            var self = this;
+
+            this.render('running', null);
+
+            this._request('POST', 'sync/resume')
+                .done(function () {
+                    self.watch();
+                    self._started();
+                })
+                .fail(function (xhr) {
+                    self.render('paused', null);
+                    self.showError('Error resuming: ' + Rest.message(xhr));
+                });
+        },
+
+        /**
+         * Cancel the sync. A second attempt forces a full reset of the sync state.
+         *
+         * @param {Event} [e]
+         * @return {jQuery.Promise|null} Null when the user dismissed the confirmation.
+         */
+        cancel: function (e) {
+            if (e) e.preventDefault();
+            var self = this;
+            var strings = ewheelImporter.strings;
+
+            this.cancelAttempts++;
+            var forceMode = this.cancelAttempts >= 2;
+
+            var confirmMsg = forceMode
+                ? (strings.confirmForceStop || 'Force stop and clear all sync data? This will completely reset the sync state.')
+                : (strings.confirmCancel || 'Are you sure you want to cancel this sync?');
+
+            if (!confirm(confirmMsg)) {
+                this.cancelAttempts--;
+                return null;
+            }
+
+            this.render('stopping', null);
+            this.$.cancel.text(forceMode ? (strings.forceStopping || 'Force stopping...') : (strings.cancelling || 'Cancelling...'));
+
+            return this._request('POST', 'sync/stop', { force: forceMode })
+                .done(function () {
+                    self.unwatch();
+                    self.cancelAttempts = 0;
+                    self.currentSyncId = null;
+                    self.render('stopped', {});
+                    self._refreshLogsLater(3000);
+                    self._settled('stopped', {});
+
+                    if (forceMode) {
+                        setTimeout(function () {
+                            location.reload();
+                        }, 1000);
+                    }
+                })
+                .fail(function (xhr) {
+                    self.showError(xhr.status
+                        ? 'Error cancelling: ' + Rest.message(xhr)
+                        : (strings.networkForceStop || 'Network error. Try Force Stop.'));
+                    self._offerForceStop();
+                });
+        },
+
+        destroy: function () {
+            this.unwatch();
+        },
+
+        isWatching: function () {
+            return this._active;
+        },
+
+        // ---------------------------------------------------------------------
+        // Rendering
+        // ---------------------------------------------------------------------
+
+        render: function (state, data) {
+            var strings = ewheelImporter.strings;
+            var $el = this.$;
+            var msg;
 
             // Reset all buttons first
-            $runBtn.hide().prop('disabled', false);
-            $pauseBtn.hide().prop('disabled', false).text('Pause');
-            $resumeBtn.hide().prop('disabled', false);
-            $cancelBtn.hide().prop('disabled', false);
+            $el.run.hide().prop('disabled', false);
+            $el.preview.hide();
+            $el.pause.hide().prop('disabled', false).text(strings.pause || 'Pause');
+            $el.resume.hide().prop('disabled', false);
+            $el.cancel.hide().prop('disabled', false).text(this.cancelAttempts > 0 ? (strings.forceStop || 'Force Stop') : (strings.cancel || 'Cancel'));
 
             switch (state) {
                 case 'idle':
-                    $runBtn.show();
-                    $progress.hide();
-                    $status.removeClass('syncing success error').text('');
+                    $el.run.show();
+                    $el.preview.show();
+                    $el.progress.hide();
+                    $el.status.removeClass('syncing success error').text('');
                     break;
 
                 case 'running':
-                    $pauseBtn.show();
-                    $cancelBtn.show();
-                    $progress.show();
-                    var msg = 'Processing...';
-                    if (data) {
-                        var processed = data.processed || 0;
-                        var total = data.total_products || 0;
-
-                        if (data._stockSync) {
-                            msg = 'Syncing stock levels... (' + processed + ' products processed)';
-                            $details.text(msg);
-                            // Stock sync = near completion
-                            if (total > 0) {
-                                $progressBar.css('width', '95%');
-                                $progressText.text('95%');
-                            }
-                        } else {
-                            msg = 'Page: ' + (data.page || 0) + ' | Products: ' + processed;
-                            if (data.created) msg += ' | Created: ' + data.created;
-                            if (data.updated) msg += ' | Updated: ' + data.updated;
-                            if (data.batch_size && data.batch_size < 10) {
-                                msg += ' | Batch: ' + data.batch_size;
-                            }
-                            if (data.failure_count && data.failure_count > 0) {
-                                msg += ' | Retries: ' + data.failure_count;
-                            }
-                            $details.text(msg);
-
-                            // Update progress bar
-                            if (total > 0 && processed > 0) {
-                                var pct = Math.min(Math.round((processed / total) * 100), 99);
-                                $progressBar.css('width', pct + '%');
-                                $progressText.text(pct + '%');
-                            } else if (processed > 0) {
-                                // No total known — show indeterminate with count
-                                $progressBar.css('width', '100%');
-                                $progressText.text(processed + ' processed');
-                            }
-                        }
-                    }
-                    $status.removeClass('success error').addClass('syncing').text(msg);
+                    $el.pause.show();
+                    $el.cancel.show();
+                    $el.progress.show();
+                    msg = this._renderProgress(data);
+                    $el.status.removeClass('success error').addClass('syncing').text(msg);
                     break;
 
                 case 'pausing':
-                    $pauseBtn.show().prop('disabled', true).text('Pausing...');
-                    $cancelBtn.show();
-                    $details.text('Finishing current batch before pausing...');
-                    $status.text('Finishing current batch before pausing...');
+                    msg = strings.pausingDetail || 'Finishing current batch before pausing...';
+                    $el.pause.show().prop('disabled', true).text(strings.pausing || 'Pausing...');
+                    $el.cancel.show();
+                    $el.details.text(msg);
+                    $el.status.text(msg);
                     break;
 
                 case 'paused':
-                    $resumeBtn.show();
-                    $cancelBtn.show();
-                    $progress.show();
-                    var pauseMsg = 'Paused';
+                    $el.resume.show();
+                    $el.cancel.show();
+                    $el.progress.show();
+                    msg = 'Paused';
                     if (data) {
-                        pauseMsg = 'Paused at page ' + (data.page || 0) + ' (' + (data.processed || 0) + ' products processed)';
+                        msg = 'Paused at page ' + (data.page || 0) + ' (' + (data.processed || 0) + ' products processed)';
                     }
-                    $details.text(pauseMsg);
-                    $status.removeClass('syncing').text(pauseMsg);
+                    $el.details.text(msg);
+                    $el.status.removeClass('syncing').text(msg);
                     break;
 
                 case 'stopping':
-                    $cancelBtn.show().prop('disabled', true).text('Cancelling...');
-                    $details.text('Finishing current batch before cancelling...');
-                    $status.text('Finishing current batch before cancelling...');
+                    msg = strings.cancellingDetail || 'Finishing current batch before cancelling...';
+                    $el.cancel.show().prop('disabled', true).text(strings.cancelling || 'Cancelling...');
+                    $el.details.text(msg);
+                    $el.status.text(msg);
                     break;
 
                 case 'completed':
-                    $runBtn.show();
-                    $progress.show();
-                    $progressBar.css('width', '100%');
-                    $progressText.text('100%');
-                    var completeMsg = 'Sync completed!';
+                    $el.run.show();
+                    $el.preview.show();
+                    $el.progress.show();
+                    $el.progressBar.css('width', '100%');
+                    $el.progressText.text('100%');
+                    msg = strings.success || 'Sync completed!';
                     if (data) {
-                        completeMsg += ' Processed: ' + (data.processed || 0);
+                        msg += ' Processed: ' + (data.processed || 0);
                     }
-                    $details.text(completeMsg);
-                    $status.removeClass('syncing error').addClass('success').text(completeMsg);
+                    $el.details.text(msg);
+                    $el.status.removeClass('syncing error').addClass('success').text(msg);
                     // Hide progress after a moment
-                    setTimeout(function () { $progress.fadeOut(); }, 3000);
+                    setTimeout(function () { $el.progress.fadeOut(); }, 3000);
                     break;
 
                 case 'stopped':
-                    $runBtn.show();
-                    $progress.hide();
-                    $status.removeClass('syncing success').text('Sync cancelled.');
+                    $el.run.show();
+                    $el.preview.show();
+                    $el.progress.hide();
+                    $el.status.removeClass('syncing success').text(strings.syncCancelled || 'Sync cancelled.');
                     break;
 
                 case 'failed':
-                    $runBtn.show();
-                    $progress.hide();
-                    $status.removeClass('syncing success').addClass('error').text('Sync failed.');
+                    $el.run.show();
+                    $el.preview.show();
+                    $el.progress.hide();
+                    $el.status.removeClass('syncing success').addClass('error').text(strings.syncFailed || 'Sync failed.');
                     break;
             }
+
+            this._renderBadge(state);
+            if (data) {
+                this._renderMeta(data);
+            }
         },
 
-        runSync: function (e) {
-            e.preventDefault();
-            var self = this;
-            var limit = $('#ewheel-sync-limit').val() || 0;
-            var resumeFromLast = $('#ewheel-resume-from-last').is(':checked') ? 1 : 0;
+        _renderBadge: function (state) {
+            var strings = ewheelImporter.strings;
+            var badges = {
+                idle: ['info', strings.badgeIdle || 'Idle'],
+                running: ['running', strings.badgeRunning || 'Running'],
+                pausing: ['running', strings.badgePausing || 'Pausing'],
+                paused: ['warning', strings.badgePaused || 'Paused'],
+                stopping: ['stopped', strings.badgeStopping || 'Stopping'],
+                completed: ['completed', strings.badgeCompleted || 'Completed'],
+                stopped: ['stopped', strings.badgeStopped || 'Cancelled'],
+                failed: ['failed', strings.badgeFailed || 'Failed']
+            };
+            var badge = badges[state];
+            if (!badge) return;
 
-            this.updateSyncUI('running', null);
+            this.$.badge.attr('class', 'ewheel-status-badge ' + badge[0]).text(badge[1]);
+        },
 
-            $.ajax({
-                url: ewheelImporter.ajaxUrl,
-                type: 'POST',
-                data: {
-                    action: 'ewheel_run_sync',
-                    nonce: ewheelImporter.nonce,
-                    limit: limit,
-                    resume_from_last: resumeFromLast
-                },
-                success: function (response) {
-                    if (response.success) {
-                        self.startPolling();
-                    } else {
-                        self.updateSyncUI('idle', null);
-                        $('#ewheel-sync-status')
-                            .removeClass('syncing success')
-                            .addClass('error')
-                            .text('Error: ' + response.data.message);
-                    }
-                },
-                error: function (xhr, status, error) {
-                    self.updateSyncUI('idle', null);
-                    $('#ewheel-sync-status')
-                        .removeClass('syncing success')
-                        .addClass('error')
-                        .text('Error: ' + error);
-                }
-            });
+        _renderMeta: function (data) {
+            var strings = ewheelImporter.strings;
+            var failed = data.failed || 0;
+
+            this.$.eta.text((strings.eta || 'ETA') + ': ' + (data.eta_seconds ? this._formatDuration(data.eta_seconds) : '—'));
+            this.$.failures
+                .text((strings.failures || 'Failed') + ': ' + failed)
+                .toggleClass('has-failures', failed > 0);
         },
 
-        pauseSync: function (e) {
-            e.preventDefault();
-            var self = this;
+        _formatDuration: function (seconds) {
+            var h = Math.floor(seconds / 3600);
+            var m = Math.floor((seconds % 3600) / 60);
 
-            this.updateSyncUI('pausing', null);
+            if (h > 0) return h + 'h ' + m + 'm';
+            if (m > 0) return m + 'm';
+            return '< 1m';
+        },
 
-            $.ajax({
-                url: ewheelImporter.ajaxUrl,
-                type: 'POST',
-                data: {
-                    action: 'ewheel_pause_sync',
-                    nonce: ewheelImporter.nonce
-                },
-                success: function (response) {
-                    if (!response.success) {
-                        $('#ewheel-sync-status').text('Error pausing: ' + response.data.message);
-                    }
-                    // Polling will update UI when batch finishes
+        _renderProgress: function (data) {
+            var $el = this.$;
+            var msg = 'Processing...';
+            if (!data) return msg;
+
+            var processed = data.processed || 0;
+            var total = data.total_products || 0;
+
+            if (data._stockSync) {
+                msg = 'Syncing stock levels... (' + processed + ' products processed)';
+                $el.details.text(msg);
+                // Stock sync = near completion
+                if (total > 0) {
+                    $el.progressBar.css('width', '95%');
+                    $el.progressText.text('95%');
                 }
-            });
+                return msg;
+            }
+
+            msg = 'Page: ' + (data.page || 0) + ' | Products: ' + processed;
+            if (data.created) msg += ' | Created: ' + data.created;
+            if (data.updated) msg += ' | Updated: ' + data.updated;
+            if (data.batch_size && data.batch_size < 10) {
+                msg += ' | Batch: ' + data.batch_size;
+            }
+            if (data.failure_count && data.failure_count > 0) {
+                msg += ' | Retries: ' + data.failure_count;
+            }
+            $el.details.text(msg);
+
+            if (total > 0 && processed > 0) {
+                var pct = Math.min(Math.round((processed / total) * 100), 99);
+                $el.progressBar.css('width', pct + '%');
+                $el.progressText.text(pct + '%');
+            } else if (processed > 0) {
+                // No total known — show indeterminate with count
+                $el.progressBar.css('width', '100%');
+                $el.progressText.text(processed + ' processed');
+            }
+
+            return msg;
         },
 
-        resumeSync: function (e) {
-            e.preventDefault();
-            var self = this;
+        showError: function (message) {
+            if (this.$.status.length) {
+                this.$.status.removeClass('syncing success').addClass('error').text(message);
+            } else {
+                alert(message);
+            }
+        },
 
-            this.updateSyncUI('running', null);
+        updateLogConsole: function (logs) {
+            var $log = this.$.log;
+            if ($log.length === 0 || !logs || logs.length === 0) return;
 
-            $.ajax({
-                url: ewheelImporter.ajaxUrl,
-                type: 'POST',
-                data: {
-                    action: 'ewheel_resume_sync',
-                    nonce: ewheelImporter.nonce
-                },
-                success: function (response) {
-                    if (response.success) {
-                        self.startPolling();
-                    } else {
-                        self.updateSyncUI('paused', null);
-                        $('#ewheel-sync-status').text('Error resuming: ' + response.data.message);
-                    }
-                },
-                error: function (xhr, status, error) {
-                    self.updateSyncUI('paused', null);
-                    $('#ewheel-sync-status').text('Error resuming: ' + error);
-                }
+            var html = '';
+            logs.forEach(function (log) {
+                var color = log.type === 'error' ? 'red' : (log.type === 'success' ? 'green' : 'black');
+                html += '<div style="color:' + color + '; margin-bottom: 2px;">[' + log.time + '] ' + log.message + '</div>';
             });
+            $log.html(html);
         },
 
-        cancelAttempts: 0,
+        _offerForceStop: function () {
+            this.$.cancel.show().text(ewheelImporter.strings.forceStop || 'Force Stop').prop('disabled', false);
+        },
 
-        cancelSync: function (e) {
-            e.preventDefault();
+        _refreshLogsLater: function (delay) {
             var self = this;
+            if (this.$.log.length === 0) return;
 
-            // Track cancel attempts - force clear on second click
-            this.cancelAttempts++;
-            var forceMode = this.cancelAttempts >= 2;
+            setTimeout(function () {
+                self._request('GET', 'sync/status', { include_logs: true, recover: false }).done(function (data) {
+                    if (data && data.logs) {
+                        self.updateLogConsole(data.logs);
+                    }
+                });
+            }, delay);
+        },
 
-            var confirmMsg = forceMode
-                ? 'Force stop and clear all sync data? This will completely reset the sync state.'
-                : 'Are you sure you want to cancel this sync?';
+        // ---------------------------------------------------------------------
+        // Status handling (shared by stream and polling)
+        // ---------------------------------------------------------------------
 
-            if (!confirm(confirmMsg)) {
-                return;
-            }
+        applyStatus: function (statusData) {
+            var status = statusData.status || 'idle';
 
-            this.updateSyncUI('stopping', null);
-            var $cancelBtn = $('#ewheel-cancel-sync');
-            $cancelBtn.text(forceMode ? 'Force stopping...' : 'Cancelling...').prop('disabled', true);
+            // Store sync_id for cancel operations
+            if (statusData.id) {
+                this.currentSyncId = statusData.id;
+            }
 
-            $.ajax({
-                url: ewheelImporter.ajaxUrl,
-                type: 'POST',
-                data: {
-                    action: 'ewheel_stop_sync',
-                    nonce: ewheelImporter.nonce,
-                    sync_id: this.currentSyncId || '',
-                    force: forceMode ? 'true' : 'false'
-                },
-                success: function (response) {
-                    if (response.success) {
-                        // Stop any active polling
-                        self.stopPolling();
+            if (FINAL_STATUSES.indexOf(status) !== -1) {
+                this.unwatch();
+                this.currentSyncId = null;
+                this.cancelAttempts = 0;
+                this.render(status, statusData);
+                this._refreshLogsLater(5000);
+                this._settled(status, statusData);
 
-                        // Reset cancel attempts
-                        self.cancelAttempts = 0;
-                        self.currentSyncId = null;
+                if (status === 'completed' && this.reloadOnComplete) {
+                    setTimeout(function () {
+                        location.reload();
+                    }, 3000);
+                }
+                return;
+            }
 
-                        // Update UI to stopped state immediately
-                        self.updateSyncUI('stopped', {});
+            if (status === 'paused') {
+                this.unwatch();
+                this.render('paused', statusData);
+                this._settled('paused', statusData);
+                return;
+            }
 
-                        // Final log update after delay
-                        setTimeout(function () {
-                            $.post(ewheelImporter.ajaxUrl, {
-                                action: 'ewheel_get_logs',
-                                nonce: ewheelImporter.nonce
-                            }, function (logResponse) {
-                                if (logResponse.success && logResponse.data) {
-                                    self._updateLogConsole(logResponse.data);
-                                }
-                            });
-                        }, 3000);
+            // Map syncing_stock to running state with descriptive message
+            if (status === 'syncing_stock') {
+                statusData._stockSync = true;
+                status = 'running';
+            }
 
-                        if (forceMode) {
-                            // Force mode - reload after brief delay
-                            setTimeout(function () {
-                                location.reload();
-                            }, 1000);
-                        }
-                    } else {
-                        $('#ewheel-sync-status').text('Error cancelling: ' + response.data.message);
-                        $cancelBtn.text('Force Stop').prop('disabled', false);
-                    }
-                },
-                error: function () {
-                    $('#ewheel-sync-status').text('Network error. Try Force Stop.');
-                    $cancelBtn.text('Force Stop').prop('disabled', false);
-                }
-            });
+            this.render(status, statusData);
         },
 
-        _pollErrorCount: 0,
-        maxConsecutiveErrors: 10,
-
-        // Combined polling configuration (status + logs in single request)
-        _pollInterval: 8000,
-        _pollIntervalBase: 8000,
-        _maxInterval: 60000,
-        _pollTimer: null,
-        _pollPending: false,
-        _pollActive: false,
-        _visibilityHandler: null,
+        _started: function () {
+            $(document).trigger('ewheel:sync-started', [this.profileId, this.currentSyncId]);
+        },
 
-        _restartPollTimer: function () {
-            var self = this;
-            if (this._pollTimer) clearInterval(this._pollTimer);
-            this._pollTimer = setInterval(function () {
-                self._pollCombined();
-            }, this._pollInterval);
+        _settled: function (status, data) {
+            $(document).trigger('ewheel:sync-settled', [this.profileId, status, data]);
         },
 
-        startPolling: function () {
-            var self = this;
+        // ---------------------------------------------------------------------
+        // Transport: progress stream, with polling as fallback
+        // ---------------------------------------------------------------------
 
-            // Reset error counter and interval
-            this._pollErrorCount = 0;
-            this._pollInterval = this._pollIntervalBase;
+        watch: function () {
+            var self = this;
 
-            // Clear any existing timer
-            if (this._pollTimer) {
-                clearInterval(this._pollTimer);
+            this.unwatch();
+            this._active = true;
+
+            if (this._canStream()) {
+                this._streamErrors = 0;
+                this._openStream();
+            } else {
+                this._pollErrorCount = 0;
+                this._pollInterval = POLL_INTERVAL;
+                this._pollCombined();
+                this._restartPollTimer();
             }
 
-            // Immediate first poll
-            this._pollCombined();
-            this._restartPollTimer();
-
-            // Pause when tab is hidden, resume when visible
+            // Pause while the tab is hidden, resume when visible
             this._visibilityHandler = function () {
                 if (document.visibilityState === 'hidden') {
-                    if (self._pollTimer) {
-                        clearInterval(self._pollTimer);
-                        self._pollTimer = null;
-                    }
-                } else {
-                    // Tab visible again - poll immediately and restart timer
-                    if (self._pollTimer === null && self._pollActive) {
+                    self._closeStream();
+                    self._clearPollTimer();
+                } else if (self._active && !self._stream && !self._pollTimer) {
+                    if (self._canStream()) {
+                        self._openStream();
+                    } else {
                         self._pollCombined();
                         self._restartPollTimer();
                     }
                 }
             };
             document.addEventListener('visibilitychange', this._visibilityHandler);
-            this._pollActive = true;
         },
 
-        stopPolling: function () {
-            this._pollActive = false;
-            if (this._pollTimer) {
-                clearInterval(this._pollTimer);
-                this._pollTimer = null;
-            }
+        unwatch: function () {
+            this._active = false;
+            this._closeStream();
+            this._clearPollTimer();
             if (this._visibilityHandler) {
                 document.removeEventListener('visibilitychange', this._visibilityHandler);
                 this._visibilityHandler = null;
             }
         },
 
-        _pollCombined: function () {
+        _canStream: function () {
+            return !!window.EventSource && !!ewheelImporter.streamEnabled && !SyncController.streamFailed;
+        },
+
+        _openStream: function () {
             var self = this;
+            var params = { action: 'ewheel_stream_sync', nonce: ewheelImporter.nonce };
+            if (this.profileId) {
+                params.profile_id = this.profileId;
+            }
+            var url = ewheelImporter.ajaxUrl + (ewheelImporter.ajaxUrl.indexOf('?') === -1 ? '?' : '&') + $.param(params);
+            var source = new EventSource(url);
+            this._stream = source;
+
+            // Buffering proxies never deliver the first event - give up on them
+            this._streamWatchdog = setTimeout(function () {
+                self._fallBackToPolling('no events received');
+            }, 10000);
+
+            source.addEventListener('logs', function (e) {
+                self._onStreamEvent();
+                self._streamLogs = self._parseStreamData(e.data) || [];
+                self.updateLogConsole(self._streamLogs);
+            });
 
-            // In-flight guard
-            if (self._pollPending) return;
-            self._pollPending = true;
+            source.addEventListener('log', function (e) {
+                var entry = self._parseStreamData(e.data);
+                self._onStreamEvent();
+                if (!entry) return;
 
-            $.ajax({
-                url: ewheelImporter.ajaxUrl,
-                type: 'POST',
-                timeout: 15000,
-                data: {
-                    action: 'ewheel_get_sync_combined',
-                    nonce: ewheelImporter.nonce
-                },
-                success: function (response) {
-                    self._pollPending = false;
+                self._streamLogs.unshift(entry);
+                if (self._streamLogs.length > 100) {
+                    self._streamLogs.length = 100;
+                }
+                self.updateLogConsole(self._streamLogs);
+            });
 
-                    try {
-                        // Restore normal interval on success after backoff
-                        if (self._pollErrorCount > 0) {
-                            self._pollInterval = self._pollIntervalBase;
-                            self._restartPollTimer();
-                        }
-                        self._pollErrorCount = 0;
+            source.addEventListener('status', function (e) {
+                var statusData = self._parseStreamData(e.data);
+                self._onStreamEvent();
+                if (!statusData) return;
 
-                        if (response.success && response.data) {
-                            // Update status UI from response.data.status
-                            var statusData = response.data.status || {};
-                            var status = statusData.status || 'idle';
-
-                            // Store sync_id for cancel operations
-                            if (statusData.id) {
-                                self.currentSyncId = statusData.id;
-                            }
-
-                            // Update log console from response.data.logs
-                            self._updateLogConsole(response.data.logs);
-
-                            // Stop polling if no active sync
-                            if (!status || status === 'idle' || status === 'completed' || status === 'failed' || status === 'stopped') {
-                                self.stopPolling();
-                                self.currentSyncId = null;
-
-                                // Update UI based on final status
-                                if (status === 'completed') {
-                                    self.updateSyncUI('completed', statusData);
-                                } else if (status === 'stopped') {
-                                    self.updateSyncUI('stopped', statusData);
-                                } else if (status === 'failed') {
-                                    self.updateSyncUI('failed', statusData);
-                                } else {
-                                    self.updateSyncUI('idle', statusData);
-                                }
+                try {
+                    self.applyStatus(statusData);
+                } catch (err) {
+                    console.error('[Ewheel] Stream handler error:', err);
+                }
+            });
 
-                                // Final log update after delay
-                                setTimeout(function () {
-                                    $.post(ewheelImporter.ajaxUrl, {
-                                        action: 'ewheel_get_logs',
-                                        nonce: ewheelImporter.nonce
-                                    }, function (logResponse) {
-                                        if (logResponse.success && logResponse.data) {
-                                            self._updateLogConsole(logResponse.data);
-                                        }
-                                    });
-                                }, 5000);
+            source.addEventListener('end', function () {
+                // Sync settled - stop EventSource from reconnecting
+                self._closeStream();
+            });
 
-                                // Reload page on completion after a delay
-                                if (status === 'completed') {
-                                    setTimeout(function () {
-                                        location.reload();
-                                    }, 3000);
-                                }
-                                return;
-                            }
-
-                            // Update UI for active states
-                            if (status === 'paused') {
-                                self.stopPolling();
-                                self.updateSyncUI('paused', statusData);
-                                return;
-                            }
-
-                            // Map syncing_stock to running state with descriptive message
-                            if (status === 'syncing_stock') {
-                                statusData._stockSync = true;
-                                self.updateSyncUI('running', statusData);
-                                return;
-                            }
-
-                            self.updateSyncUI(status, statusData);
-                        } else {
-                            // No data or error - stop polling
-                            self.stopPolling();
-                            self.updateSyncUI('idle', {});
-                        }
-                    } catch (e) {
-                        console.error('[Ewheel] Poll handler error:', e);
-                        // Don't stop polling on JS error — next poll will retry
+            source.onerror = function () {
+                // The server closes each connection after ~25s and EventSource
+                // reconnects by itself, so only repeated errors with no events
+                // in between (or a hard failure) mean streaming doesn't work here.
+                self._streamErrors++;
+                if (source.readyState === EventSource.CLOSED || self._streamErrors >= MAX_STREAM_ERRORS) {
+                    self._fallBackToPolling('connection failed');
+                }
+            };
+        },
+
+        _onStreamEvent: function () {
+            this._streamErrors = 0;
+            if (this._streamWatchdog) {
+                clearTimeout(this._streamWatchdog);
+                this._streamWatchdog = null;
+            }
+        },
+
+        _parseStreamData: function (raw) {
+            try {
+                return JSON.parse(raw);
+            } catch (e) {
+                return null;
+            }
+        },
+
+        _closeStream: function () {
+            if (this._streamWatchdog) {
+                clearTimeout(this._streamWatchdog);
+                this._streamWatchdog = null;
+            }
+            if (this._stream) {
+                this._stream.close();
+                this._stream = null;
+            }
+        },
+
+        _fallBackToPolling: function (reason) {
+            var wasActive = this._active;
+
+            console.info('[Ewheel] Progress stream unavailable (' + reason + '), falling back to polling');
+            SyncController.streamFailed = true;
+            this.unwatch();
+
+            if (wasActive) {
+                this.watch();
+            }
+        },
+
+        _clearPollTimer: function () {
+            if (this._pollTimer) {
+                clearInterval(this._pollTimer);
+                this._pollTimer = null;
+            }
+        },
+
+        _restartPollTimer: function () {
+            var self = this;
+            this._clearPollTimer();
+            this._pollTimer = setInterval(function () {
+                self._pollCombined();
+            }, this._pollInterval);
+        },
+
+        _pollCombined: function () {
+            var self = this;
+
+            // In-flight guard
+            if (this._pollPending) return;
+            this._pollPending = true;
+
+            this._request('GET', 'sync/status', { include_logs: true, recover: false }, { timeout: 15000 })
+                .done(function (data) {
+                    self._pollPending = false;
+                    if (!self._active) return;
+
+                    try {
+                        // Restore normal interval on success after backoff
+                        if (self._pollErrorCount > 0) {
+                            self._pollInterval = POLL_INTERVAL;
+                            self._restartPollTimer();
+                        }
+                        self._pollErrorCount = 0;
+
+                        if (data) {
+                            self.updateLogConsole(data.logs);
+                            self.applyStatus(data);
+                        } else {
+                            // No data or error - stop watching
+                            self.unwatch();
+                            self.render('idle', {});
+                        }
+                    } catch (e) {
+                        console.error('[Ewheel] Poll handler error:', e);
+                        // Don't stop polling on JS error — next poll will retry
                     }
-                },
-                error: function (xhr, status, error) {
+                })
+                .fail(function (xhr, status, error) {
                     self._pollPending = false;
+                    if (!self._active) return;
                     self._pollErrorCount++;
 
                     var httpStatus = xhr.status || 0;
-                    console.warn('[Ewheel] Combined poll error (' + self._pollErrorCount + '/' + self.maxConsecutiveErrors + '): ' + httpStatus + ' ' + error);
+                    console.warn('[Ewheel] Combined poll error (' + self._pollErrorCount + '/' + MAX_POLL_ERRORS + '): ' + httpStatus + ' ' + error);
 
                     // On 503/5xx - backoff instead of stopping
                     if (httpStatus >= 500 || httpStatus === 0) {
-                        self._pollInterval = Math.min(self._pollInterval * 2, self._maxInterval);
+                        self._pollInterval = Math.min(self._pollInterval * 2, MAX_POLL_INTERVAL);
                         self._restartPollTimer();
                         console.info('[Ewheel] Combined poll backing off to ' + (self._pollInterval / 1000) + 's');
                     }
 
-                    if (self._pollErrorCount >= self.maxConsecutiveErrors) {
-                        self.stopPolling();
-                        $('#ewheel-sync-status').text('Connection lost. Refresh page to resume.');
-                        console.error('[Ewheel] Stopped polling after ' + self.maxConsecutiveErrors + ' consecutive errors');
+                    if (self._pollErrorCount >= MAX_POLL_ERRORS) {
+                        self.unwatch();
+                        self.showError(ewheelImporter.strings.connectionLost || 'Connection lost. Refresh page to resume.');
+                        console.error('[Ewheel] Stopped polling after ' + MAX_POLL_ERRORS + ' consecutive errors');
                     }
-                }
-            });
+                });
         },
 
-        _updateLogConsole: function (logs) {
-            var $logConsole = $('#ewheel-activity-log');
-            if ($logConsole.length === 0) return;
+        // ---------------------------------------------------------------------
+        // Helpers
+        // ---------------------------------------------------------------------
 
-            if (logs && logs.length > 0) {
-                var html = '';
-                logs.forEach(function (log) {
-                    var color = log.type === 'error' ? 'red' : (log.type === 'success' ? 'green' : 'black');
-                    html += '<div style="color:' + color + '; margin-bottom: 2px;">[' + log.time + '] ' + log.message + '</div>';
-                });
-                $logConsole.html(html);
+        _request: function (method, path, data, settings) {
+            var payload = $.extend({}, data || {});
+            if (this.profileId) {
+                payload.profile_id = this.profileId;
             }
-        },
 
-        // Stub methods for backwards compatibility
-        startLogPolling: function () {
-            // No-op - now handled by combined polling
+            return Rest.request(method, path, payload, settings);
+        }
+    };
+
+    var EwheelImporter = {
+        globalSync: null,
+        profileSync: null,
+        _detachedSyncs: {},
+
+        init: function () {
+            this.globalSync = new SyncController({
+                profileId: null,
+                elements: {
+                    run: '#ewheel-run-sync',
+                    preview: '#ewheel-preview-sync',
+                    pause: '#ewheel-pause-sync',
+                    resume: '#ewheel-resume-sync',
+                    cancel: '#ewheel-cancel-sync',
+                    status: '#ewheel-sync-status',
+                    progress: '#ewheel-sync-progress',
+                    progressText: '#ewheel-progress-text',
+                    details: '#ewheel-sync-details',
+                    log: '#ewheel-activity-log'
+                },
+                runData: function () {
+                    return {
+                        limit: parseInt($('#ewheel-sync-limit').val(), 10) || 0,
+                        resume_from_last: $('#ewheel-resume-from-last').is(':checked')
+                    };
+                },
+                reloadOnComplete: true
+            });
+
+            this.bindEvents();
+            this.globalSync.checkStatus();
+            this.checkQueueStatus();
+            this.initDashboard();
+            this.loadCachedProductCount(); // Load cached count without hitting API
         },
 
-        stopLogPolling: function () {
-            // No-op - now handled by stopPolling
+        bindEvents: function () {
+            var self = this;
+
+            // Settings tab sync controls
+            $('#ewheel-run-sync').on('click', function (e) { self.globalSync.run(e); });
+            $('#ewheel-pause-sync').on('click', function (e) { self.globalSync.pause(e); });
+            $('#ewheel-resume-sync').on('click', function (e) { self.globalSync.resume(e); });
+            $('#ewheel-cancel-sync').on('click', function (e) { self.globalSync.cancel(e); });
+            $('#ewheel-preview-sync').on('click', this.previewSync.bind(this));
+            $('#ewheel-test-connection').on('click', this.testConnection.bind(this));
+
+            // Sync preview (dry run)
+            $('#ewheel-preview-next').on('click', this.previewNextPage.bind(this));
+            $('#ewheel-preview-prev').on('click', this.previewPrevPage.bind(this));
+            $('#ewheel-close-preview').on('click', function () {
+                $('#ewheel-sync-preview').hide();
+            });
+            $(document).on('click', '.ewheel-preview-toggle', function (e) {
+                e.preventDefault();
+                $(this).closest('tr').next('.ewheel-preview-diff-row').toggle();
+            });
+
+            // Profile tab sync controls act on whichever profile is selected
+            $(document).on('ewheel:profile-selected', function (e, profileId) {
+                self.selectProfile(profileId);
+            });
+            $('#ewheel-run-profile-sync').on('click', function (e) { self._withProfileSync(e, 'run'); });
+            $('#ewheel-pause-profile-sync').on('click', function (e) { self._withProfileSync(e, 'pause'); });
+            $('#ewheel-resume-profile-sync').on('click', function (e) { self._withProfileSync(e, 'resume'); });
+            $('#ewheel-cancel-profile-sync').on('click', function (e) { self._withProfileSync(e, 'cancel'); });
+
+            // Cancel button in sync history table
+            $(document).on('click', '.ewheel-history-cancel-btn', function (e) {
+                self.cancelFromHistory(e, $(this));
+            });
+
+            // Sync run detail
+            $(document).on('click', '.ewheel-history-details-btn', function (e) {
+                e.preventDefault();
+                self.openSyncRun($(this).data('sync-id'));
+            });
+            $(document).on('click', '.ewheel-history-row', function (e) {
+                if ($(e.target).closest('button, a').length) return;
+                self.openSyncRun($(this).data('sync-id'));
+            });
+            $('#ewheel-sync-run-filter').on('click', function () { self.loadSyncRun(1); });
+            $('#ewheel-sync-run-search').on('keydown', function (e) {
+                if (e.which === 13) {
+                    e.preventDefault();
+                    self.loadSyncRun(1);
+                }
+            });
+            $('#ewheel-sync-run-action').on('change', function () { self.loadSyncRun(1); });
+            $('#ewheel-sync-run-prev').on('click', function () { self.loadSyncRun(self._run.page - 1); });
+            $('#ewheel-sync-run-next').on('click', function () { self.loadSyncRun(self._run.page + 1); });
+            $('#ewheel-sync-run-export').on('click', function () { self.exportSyncRun(); });
+            $('#ewheel-sync-run-logs').on('click', function () { LogExplorer.showRun(self._run.syncId); });
+            $('#ewheel-close-sync-run').on('click', function () {
+                $('#ewheel-sync-run').hide();
+                $('.ewheel-history-row').removeClass('is-selected');
+            });
+            $(document).on('click', '.ewheel-sync-run-toggle', function (e) {
+                self.toggleSyncRunItem(e, $(this));
+            });
+            $('#ewheel-rollback-sync-run').on('click', function () { self.rollbackSyncRun(); });
+
+            // Product count
+            $('#ewheel-refresh-product-count').on('click', this.refreshProductCount.bind(this));
         },
 
-        fetchLogs: function () {
-            // No-op - now handled by combined polling
+        /**
+         * Point the profile sync panel at a profile.
+         *
+         * @param {number} profileId
+         */
+        selectProfile: function (profileId) {
+            if (this.profileSync) {
+                this.profileSync.destroy();
+            }
+
+            this.profileSync = new SyncController({
+                profileId: profileId,
+                elements: {
+                    run: '#ewheel-run-profile-sync',
+                    pause: '#ewheel-pause-profile-sync',
+                    resume: '#ewheel-resume-profile-sync',
+                    cancel: '#ewheel-cancel-profile-sync',
+                    progress: '#ewheel-profile-sync-progress',
+                    progressText: '#ewheel-profile-progress-text',
+                    details: '#ewheel-profile-sync-details'
+                },
+                runData: function () {
+                    return { limit: 0 };
+                }
+            });
+            this.profileSync.checkStatus();
         },
 
-        // Profile-specific sync methods
-        runProfileSync: function (e) {
+        _withProfileSync: function (e, method) {
             e.preventDefault();
-            var self = this;
-            var profileId = this.currentProfileId;
+
+            if (!this.profileSync) {
+                alert(ewheelImporter.strings.selectProfile || 'Please select a profile first.');
+                return;
+            }
+            this.profileSync[method](e);
+        },
+
+        /**
+         * Find the controller for a scope, creating a detached one if no panel shows it.
+         *
+         * @param {number|null} profileId
+         * @return {SyncController}
+         */
+        controllerFor: function (profileId) {
+            profileId = parseInt(profileId, 10) || null;
 
             if (!profileId) {
-                alert('Please select a profile first.');
+                return this.globalSync;
+            }
+            if (this.profileSync && this.profileSync.profileId === profileId) {
+                return this.profileSync;
+            }
+            if (!this._detachedSyncs[profileId]) {
+                this._detachedSyncs[profileId] = new SyncController({ profileId: profileId });
+            }
+            return this._detachedSyncs[profileId];
+        },
+
+        cancelFromHistory: function (e, $btn) {
+            e.preventDefault();
+
+            var syncId = $btn.data('sync-id');
+            if (!syncId) {
+                console.error('No sync ID found on cancel button');
                 return;
             }
 
-            this.updateProfileSyncUI('running', null);
+            var controller = this.controllerFor($btn.data('profile-id'));
+            var request = controller.cancel(null);
+            if (!request) return;
 
-            $.ajax({
-                url: ewheelImporter.ajaxUrl,
-                type: 'POST',
-                data: {
-                    action: 'ewheel_run_sync',
-                    nonce: ewheelImporter.nonce,
-                    profile_id: profileId,
-                    limit: 0
-                },
-                success: function (response) {
-                    if (response.success) {
-                        self.startProfilePolling(profileId);
-                    } else {
-                        self.updateProfileSyncUI('idle', null);
-                        alert('Error: ' + response.data.message);
-                    }
-                }
+            $btn.prop('disabled', true).text(ewheelImporter.strings.cancelling || 'Cancelling...');
+
+            request.done(function () {
+                // Reload after short delay to show updated status
+                setTimeout(function () {
+                    location.reload();
+                }, 1000);
+            }).fail(function () {
+                $btn.prop('disabled', false).text(ewheelImporter.strings.forceStop || 'Force Stop');
             });
         },
 
-        pauseProfileSync: function (e) {
-            e.preventDefault();
-            var profileId = this.currentProfileId;
+        // =====================================================================
+        // Profile sync dashboard (one live card per running or paused profile)
+        // =====================================================================
 
-            this.updateProfileSyncUI('pausing', null);
+        // profileId -> { controller: SyncController, $card: jQuery }
+        _dashboardCards: {},
+        _dashboardPending: false,
 
-            $.ajax({
-                url: ewheelImporter.ajaxUrl,
-                type: 'POST',
-                data: {
-                    action: 'ewheel_pause_sync',
-                    nonce: ewheelImporter.nonce,
-                    profile_id: profileId
+        initDashboard: function () {
+            var self = this;
+            if ($('#ewheel-sync-dashboard').length === 0) return;
+
+            this.refreshDashboard();
+
+            // Cards watch their own sync; this only discovers syncs started
+            // elsewhere (another tab, cron) and drops ones that ended unseen.
+            setInterval(function () {
+                if (document.visibilityState !== 'hidden') {
+                    self.refreshDashboard();
+                }
+            }, 30000);
+
+            $(document).on('ewheel:sync-started', function (e, profileId) {
+                if (profileId) {
+                    self.refreshDashboard();
+                }
+            });
+
+            $(document).on('ewheel:sync-settled', function (e, profileId, status) {
+                if (profileId && status !== 'paused') {
+                    // Leave the final state visible for a moment
+                    setTimeout(function () {
+                        self._removeDashboardCard(profileId);
+                    }, 5000);
                 }
             });
         },
 
-        resumeProfileSync: function (e) {
-            e.preventDefault();
+        refreshDashboard: function () {
             var self = this;
-            var profileId = this.currentProfileId;
 
-            this.updateProfileSyncUI('running', null);
+            if (this._dashboardPending) return;
+            this._dashboardPending = true;
 
-            $.ajax({
-                url: ewheelImporter.ajaxUrl,
-                type: 'POST',
-                data: {
-                    action: 'ewheel_resume_sync',
-                    nonce: ewheelImporter.nonce,
-                    profile_id: profileId
+            Rest.request('GET', 'sync/active', null, {
+                success: function (data) {
+                    if (!data) return;
+
+                    var seen = {};
+                    $.each(data.syncs || [], function (i, sync) {
+                        seen[sync.profile_id] = true;
+                        self._updateDashboardCard(sync);
+                    });
+
+                    $.each(Object.keys(self._dashboardCards), function (i, profileId) {
+                        if (!seen[profileId]) {
+                            self._removeDashboardCard(profileId);
+                        }
+                    });
+
+                    self._toggleDashboard();
                 },
-                success: function (response) {
-                    if (response.success) {
-                        self.startProfilePolling(profileId);
-                    } else {
-                        self.updateProfileSyncUI('paused', null);
-                        alert('Error resuming: ' + response.data.message);
-                    }
+                complete: function () {
+                    self._dashboardPending = false;
                 }
             });
         },
 
-        profileCancelAttempts: 0,
-
-        cancelProfileSync: function (e) {
-            e.preventDefault();
-            var self = this;
-            var profileId = this.currentProfileId;
-
-            // Track cancel attempts - force clear on second click
-            this.profileCancelAttempts++;
-            var forceMode = this.profileCancelAttempts >= 2;
+        _updateDashboardCard: function (sync) {
+            var card = this._dashboardCards[sync.profile_id];
 
-            var confirmMsg = forceMode
-                ? 'Force stop and clear all sync data? This will completely reset the sync state.'
-                : 'Are you sure you want to cancel this sync?';
+            if (!card) {
+                card = this._createDashboardCard(sync);
+                this._dashboardCards[sync.profile_id] = card;
+            }
 
-            if (!confirm(confirmMsg)) {
+            // Paused cards just show where they stopped; running ones stream
+            if (sync.status === 'paused') {
+                card.controller.unwatch();
+                card.controller.currentSyncId = sync.id;
+                card.controller.render('paused', sync);
                 return;
             }
 
-            this.updateProfileSyncUI('stopping', null);
-            var $cancelBtn = $('#ewheel-cancel-profile-sync');
-            $cancelBtn.text(forceMode ? 'Force stopping...' : 'Cancelling...').prop('disabled', true);
+            card.controller.applyStatus(sync);
+            if (!card.controller.isWatching()) {
+                card.controller.watch();
+            }
+        },
+
+        _createDashboardCard: function (sync) {
+            var strings = ewheelImporter.strings;
+            var $card = $(
+                '<div class="ewheel-sync-card">' +
+                '<div class="ewheel-sync-card-header">' +
+                '<strong>' + this._escape(sync.profile_name) + '</strong>' +
+                '<span class="ewheel-status-badge running"></span>' +
+                '</div>' +
+                '<div class="ewheel-sync-card-progress">' +
+                '<div class="ewheel-progress-container"><div class="ewheel-progress-bar" style="width: 0%;">' +
+                '<span class="ewheel-sync-card-percent">0%</span>' +
+                '</div></div>' +
+                '</div>' +
+                '<p class="ewheel-sync-card-details"></p>' +
+                '<p class="ewheel-sync-card-meta">' +
+                '<span class="ewheel-sync-card-eta"></span>' +
+                '<span class="ewheel-sync-card-failures"></span>' +
+                '</p>' +
+                '<p class="ewheel-sync-card-buttons">' +
+                '<button type="button" class="button button-secondary ewheel-sync-card-pause">' + (strings.pause || 'Pause') + '</button> ' +
+                '<button type="button" class="button button-primary ewheel-sync-card-resume">' + (strings.resume || 'Resume') + '</button> ' +
+                '<button type="button" class="button button-link-delete ewheel-sync-card-cancel">' + (strings.cancel || 'Cancel') + '</button>' +
+                '</p>' +
+                '</div>'
+            ).attr('data-profile-id', sync.profile_id);
+
+            $('#ewheel-sync-dashboard-cards').append($card);
+
+            var controller = new SyncController({
+                profileId: sync.profile_id,
+                elements: {
+                    pause: $card.find('.ewheel-sync-card-pause'),
+                    resume: $card.find('.ewheel-sync-card-resume'),
+                    cancel: $card.find('.ewheel-sync-card-cancel'),
+                    progress: $card.find('.ewheel-sync-card-progress'),
+                    progressText: $card.find('.ewheel-sync-card-percent'),
+                    details: $card.find('.ewheel-sync-card-details'),
+                    badge: $card.find('.ewheel-status-badge'),
+                    eta: $card.find('.ewheel-sync-card-eta'),
+                    failures: $card.find('.ewheel-sync-card-failures')
+                }
+            });
+
+            $card.find('.ewheel-sync-card-pause').on('click', function (e) { controller.pause(e); });
+            $card.find('.ewheel-sync-card-resume').on('click', function (e) { controller.resume(e); });
+            $card.find('.ewheel-sync-card-cancel').on('click', function (e) { controller.cancel(e); });
+
+            return { controller: controller, $card: $card };
+        },
+
+        _removeDashboardCard: function (profileId) {
+            var self = this;
+            var card = this._dashboardCards[profileId];
+            if (!card) return;
+
+            delete this._dashboardCards[profileId];
+            card.controller.destroy();
+            card.$card.fadeOut(function () {
+                $(this).remove();
+                self._toggleDashboard();
+            });
+        },
+
+        _toggleDashboard: function () {
+            $('#ewheel-sync-dashboard').toggle(Object.keys(this._dashboardCards).length > 0);
+        },
+
+        checkQueueStatus: function () {
+            var $container = $('#ewheel-queue-status-container');
+            if ($container.length === 0) return;
 
             $.ajax({
                 url: ewheelImporter.ajaxUrl,
                 type: 'POST',
                 data: {
-                    action: 'ewheel_stop_sync',
-                    nonce: ewheelImporter.nonce,
-                    profile_id: profileId,
-                    force: forceMode ? 'true' : 'false'
+                    action: 'ewheel_get_queue_status',
+                    nonce: ewheelImporter.nonce
                 },
                 success: function (response) {
-                    if (response.success && forceMode) {
-                        self.profileCancelAttempts = 0;
-                        location.reload();
-                    } else if (!response.success) {
-                        $cancelBtn.text('Force Stop').prop('disabled', false);
-                    } else {
-                        $cancelBtn.text('Force Stop').prop('disabled', false);
+                    if (response.success && response.data && response.data.available) {
+                        if (response.data.html) {
+                            $container.html(response.data.html);
+                            // Re-bind clear queue button if it exists
+                            $('#ewheel-clear-queue').on('click', function () {
+                                if (confirm('Are you sure? This will stop all syncs.')) {
+                                    $.post(ewheelImporter.ajaxUrl, {
+                                        action: 'ewheel_clear_queue',
+                                        nonce: ewheelImporter.nonce
+                                    }, function () {
+                                        location.reload();
+                                    });
+                                }
+                            });
+                        }
                     }
-                },
-                error: function () {
-                    $cancelBtn.text('Force Stop').prop('disabled', false);
                 }
             });
         },
 
-        updateProfileSyncUI: function (state, data) {
-            var $runBtn = $('#ewheel-run-profile-sync');
-            var $pauseBtn = $('#ewheel-pause-profile-sync');
-            var $resumeBtn = $('#ewheel-resume-profile-sync');
-            var $cancelBtn = $('#ewheel-cancel-profile-sync');
-            var $progress = $('#ewheel-profile-sync-progress');
-            var $progressBar = $progress.find('.ewheel-progress-bar');
-            var $progressText = $progress.find('#ewheel-profile-progress-text');
-            var $details = $('#ewheel-profile-sync-details');
-
-            // Reset all buttons
-            $runBtn.hide().prop('disabled', false);
-            $pauseBtn.hide().prop('disabled', false).text('Pause');
-            $resumeBtn.hide().prop('disabled', false);
-            $cancelBtn.hide().prop('disabled', false).text('Cancel');
-
-            switch (state) {
-                case 'idle':
-                    $runBtn.show();
-                    $progress.hide();
-                    break;
-
-                case 'running':
-                    $pauseBtn.show();
-                    $cancelBtn.show();
-                    $progress.show();
-                    if (data) {
-                        var processed = data.processed || 0;
-                        var total = data.total_products || 0;
-                        var detailsMsg = 'Page: ' + (data.page || 0) + ' | Products: ' + processed;
-                        if (data.batch_size && data.batch_size < 10) {
-                            detailsMsg += ' | Batch: ' + data.batch_size;
-                        }
-                        if (data.failure_count && data.failure_count > 0) {
-                            detailsMsg += ' | Retries: ' + data.failure_count;
-                        }
-                        $details.text(detailsMsg);
-
-                        // Update progress bar
-                        if (total > 0 && processed > 0) {
-                            var pct = Math.min(Math.round((processed / total) * 100), 100);
-                            $progressBar.css('width', pct + '%');
-                            $progressText.text(pct + '%');
-                        } else if (processed > 0) {
-                            $progressBar.css('width', '100%');
-                            $progressText.text(processed + ' processed');
-                        }
-                    }
-                    break;
-
-                case 'pausing':
-                    $pauseBtn.show().prop('disabled', true).text('Pausing...');
-                    $cancelBtn.show();
-                    $details.text('Finishing current batch...');
-                    break;
+        // =====================================================================
+        // Sync Preview (dry run)
+        // =====================================================================
 
-                case 'paused':
-                    $resumeBtn.show();
-                    $cancelBtn.show();
-                    $progress.show();
-                    if (data) {
-                        $details.text('Paused at page ' + (data.page || 0) + ' (' + (data.processed || 0) + ' products)');
-                    }
-                    break;
+        // Cursor stack: each entry is {page, offset} of an already-shown slice
+        _previewCursors: [],
+        _previewNext: null,
+        _previewPending: false,
 
-                case 'stopping':
-                    $cancelBtn.show().prop('disabled', true).text('Cancelling...');
-                    $details.text('Finishing current batch...');
-                    break;
+        previewSync: function (e) {
+            if (e) e.preventDefault();
 
-                case 'completed':
-                    $runBtn.show();
-                    $progress.show();
-                    $progressBar.css('width', '100%');
-                    $progressText.text('100%');
-                    setTimeout(function () { $progress.fadeOut(); }, 3000);
-                    break;
+            this._previewCursors = [];
+            this._previewNext = null;
+            $('#ewheel-sync-preview').show();
+            this._loadPreview({ page: 0, offset: 0 });
+        },
 
-                case 'stopped':
-                case 'failed':
-                    $runBtn.show();
-                    $progress.hide();
-                    break;
+        previewNextPage: function (e) {
+            if (e) e.preventDefault();
+            if (this._previewNext) {
+                this._loadPreview(this._previewNext);
             }
         },
 
-        profilePollErrorCount: 0,
-        _profileInterval: 5000,
-        _profileIntervalBase: 5000,
-
-        startProfilePolling: function (profileId) {
-            var self = this;
-
-            // Reset error counter and interval
-            this.profilePollErrorCount = 0;
-            this._profileInterval = this._profileIntervalBase;
-
-            if (this.profilePollInterval) {
-                clearInterval(this.profilePollInterval);
-            }
+        previewPrevPage: function (e) {
+            if (e) e.preventDefault();
+            if (this._previewCursors.length < 2) return;
 
-            this._restartProfilePoll(profileId);
+            // Drop the current slice, then reload the one before it
+            this._previewCursors.pop();
+            var previous = this._previewCursors.pop();
+            this._loadPreview(previous);
         },
 
-        _restartProfilePoll: function (profileId) {
+        _loadPreview: function (cursor) {
             var self = this;
-            if (this.profilePollInterval) clearInterval(this.profilePollInterval);
-            this._currentProfilePollId = profileId;
-            this.profilePollInterval = setInterval(function () {
-                self._pollProfile(profileId);
-            }, this._profileInterval);
-        },
+            var strings = ewheelImporter.strings;
+            var $btn = $('#ewheel-preview-sync');
+            var $results = $('#ewheel-preview-results');
 
-        _pollProfile: function (profileId) {
-            var self = this;
+            if (this._previewPending) return;
+            this._previewPending = true;
 
-            // In-flight guard
-            if (self._profilePending) return;
-            self._profilePending = true;
+            $btn.prop('disabled', true);
+            $('#ewheel-preview-prev, #ewheel-preview-next').prop('disabled', true);
+            $results.html('<p class="ewheel-loading">' + (strings.previewLoading || 'Transforming products, this may take a moment...') + '</p>');
 
             $.ajax({
                 url: ewheelImporter.ajaxUrl,
                 type: 'POST',
-                timeout: 15000,
+                timeout: 120000,
                 data: {
-                    action: 'ewheel_get_sync_status',
+                    action: 'ewheel_preview_sync',
                     nonce: ewheelImporter.nonce,
-                    profile_id: profileId
+                    page: cursor.page,
+                    offset: cursor.offset
                 },
                 success: function (response) {
-                    self._profilePending = false;
+                    self._previewPending = false;
+                    $btn.prop('disabled', false);
 
-                    // Restore normal interval on success after backoff
-                    if (self.profilePollErrorCount > 0) {
-                        self._profileInterval = self._profileIntervalBase;
-                        self._restartProfilePoll(profileId);
+                    if (!response.success) {
+                        $results.html('<p class="ewheel-preview-error">' + self._escape(response.data.message) + '</p>');
+                        return;
                     }
-                    self.profilePollErrorCount = 0;
-
-                    if (response.success) {
-                        var data = response.data;
-                        self.updateProfileSyncUI(data.status, data);
 
-                        if (data.status === 'completed' || data.status === 'failed' || data.status === 'stopped' || data.status === 'paused') {
-                            clearInterval(self.profilePollInterval);
-                            self.profilePollInterval = null;
-                        }
-                    }
+                    self._previewCursors.push(cursor);
+                    self._previewNext = response.data.next;
+                    self._renderPreview(response.data);
                 },
                 error: function (xhr, status, error) {
-                    self._profilePending = false;
-                    self.profilePollErrorCount++;
-
-                    var httpStatus = xhr.status || 0;
-                    console.warn('[Ewheel] Profile poll error (' + self.profilePollErrorCount + '/' + self.maxConsecutiveErrors + '): ' + httpStatus + ' ' + error);
-
-                    // On 503/5xx — backoff instead of stopping
-                    if (httpStatus >= 500 || httpStatus === 0) {
-                        self._profileInterval = Math.min(self._profileInterval * 2, self._maxInterval);
-                        self._restartProfilePoll(profileId);
-                        console.info('[Ewheel] Profile poll backing off to ' + (self._profileInterval / 1000) + 's');
-                    }
-
-                    if (self.profilePollErrorCount >= self.maxConsecutiveErrors) {
-                        clearInterval(self.profilePollInterval);
-                        self.profilePollInterval = null;
-                        self.updateProfileSyncUI('idle', {});
-                        console.error('[Ewheel] Stopped profile polling after ' + self.maxConsecutiveErrors + ' consecutive errors');
-                    }
+                    self._previewPending = false;
+                    $btn.prop('disabled', false);
+                    $results.html('<p class="ewheel-preview-error">' + self._escape('Error: ' + error) + '</p>');
                 }
             });
         },
 
-        testConnection: function (e) {
-            e.preventDefault();
+        _renderPreview: function (data) {
+            var self = this;
+            var strings = ewheelImporter.strings;
+            var items = data.items || [];
+            var summary = data.summary || {};
+            var labels = {
+                create: strings.previewCreate || 'Create',
+                update: strings.previewUpdate || 'Update',
+                skip: strings.previewSkip || 'Skip'
+            };
+
+            $('#ewheel-preview-summary').html(
+                '<span class="ewheel-status-badge success">' + labels.create + ': ' + (summary.create || 0) + '</span> ' +
+                '<span class="ewheel-status-badge info">' + labels.update + ': ' + (summary.update || 0) + '</span> ' +
+                '<span class="ewheel-status-badge stopped">' + labels.skip + ': ' + (summary.skip || 0) + '</span>'
+            );
+
+            $('#ewheel-preview-page-info').text(
+                (strings.previewPage || 'API page') + ' ' + (data.page + 1) +
+                ', ' + (strings.previewItems || 'items') + ' ' + (data.offset + 1) + '–' + (data.offset + items.length)
+            );
+            $('#ewheel-preview-prev').prop('disabled', this._previewCursors.length < 2);
+            $('#ewheel-preview-next').prop('disabled', !data.next);
+
+            if (items.length === 0) {
+                $('#ewheel-preview-results').html(
+                    '<div class="ewheel-empty-state"><p>' + (strings.previewEmpty || 'No products returned for this page.') + '</p></div>'
+                );
+                return;
+            }
+
+            var html = '<table class="ewheel-log-table ewheel-preview-table">' +
+                '<thead><tr>' +
+                '<th>' + (strings.previewAction || 'Action') + '</th>' +
+                '<th>SKU</th>' +
+                '<th>' + (strings.previewProduct || 'Product') + '</th>' +
+                '<th>' + (strings.previewChanges || 'Changes') + '</th>' +
+                '</tr></thead><tbody>';
+
+            items.forEach(function (item) {
+                var fields = Object.keys(item.changes || {});
+                var badgeClass = item.action === 'create' ? 'success' : (item.action === 'update' ? 'info' : 'stopped');
+                var name = self._escape(item.name || item.reference);
+                if (item.edit_url) {
+                    name = '<a href="' + self._escape(item.edit_url) + '" target="_blank">' + name + '</a>';
+                }
+
+                var changes = item.reason ? self._escape(item.reason) : '';
+                if (fields.length > 0) {
+                    changes = '<a href="#" class="ewheel-preview-toggle">' +
+                        self._escape(fields.map(function (f) { return self._previewFieldLabel(f); }).join(', ')) +
+                        '</a>' + (changes ? ' <small>(' + changes + ')</small>' : '');
+                }
+
+                html += '<tr class="ewheel-preview-row action-' + item.action + '">' +
+                    '<td><span class="ewheel-status-badge ' + badgeClass + '">' + labels[item.action] + '</span></td>' +
+                    '<td><code>' + self._escape(item.sku || item.reference) + '</code></td>' +
+                    '<td>' + name + '</td>' +
+                    '<td>' + changes + '</td>' +
+                    '</tr>';
+
+                if (fields.length > 0) {
+                    html += '<tr class="ewheel-preview-diff-row" style="display:none;"><td colspan="4">' +
+                        self._renderPreviewDiff(item) + '</td></tr>';
+                }
+            });
+
+            html += '</tbody></table>';
+            $('#ewheel-preview-results').html(html);
+        },
+
+        _renderPreviewDiff: function (item) {
+            var self = this;
+            var strings = ewheelImporter.strings;
+            var html = '<table class="ewheel-preview-diff">' +
+                '<thead><tr><th>' + (strings.previewField || 'Field') + '</th>' +
+                '<th>' + (strings.previewCurrent || 'Current') + '</th>' +
+                '<th>' + (strings.previewNew || 'New') + '</th></tr></thead><tbody>';
+
+            Object.keys(item.changes).forEach(function (field) {
+                var change = item.changes[field];
+                var label = self._previewFieldLabel(field);
+                if (change.protected) {
+                    label += ' <small class="ewheel-preview-protected">(' + (strings.previewProtected || 'protected, will not change') + ')</small>';
+                }
+                html += '<tr' + (change.protected ? ' class="is-protected"' : '') + '>' +
+                    '<th>' + label + '</th>' +
+                    '<td class="ewheel-diff-old">' + self._formatPreviewValue(change.current) + '</td>' +
+                    '<td class="ewheel-diff-new">' + self._formatPreviewValue(change.new) + '</td>' +
+                    '</tr>';
+            });
+
+            return html + '</tbody></table>';
+        },
+
+        _formatPreviewValue: function (value) {
+            var self = this;
+            if ($.isArray(value)) {
+                if (value.length === 0) return '<em>—</em>';
+                return '<ul>' + value.map(function (v) { return '<li>' + self._escape(v) + '</li>'; }).join('') + '</ul>';
+            }
+            if (value === '' || value === null || value === undefined) return '<em>—</em>';
+            return self._escape(value);
+        },
+
+        _previewFieldLabel: function (field) {
+            var strings = ewheelImporter.strings;
+            var labels = {
+                name: strings.fieldName || 'Title',
+                description: strings.fieldDescription || 'Description',
+                price: strings.fieldPrice || 'Price',
+                stock: strings.fieldStock || 'Stock',
+                images: strings.fieldImages || 'Images',
+                categories: strings.fieldCategories || 'Categories'
+            };
+            return labels[field] || field;
+        },
+
+        // =====================================================================
+        // Sync run detail (per-product changelog of a history entry)
+        // =====================================================================
+
+        _run: { syncId: null, page: 1, pending: false, updated: 0, rollbackTimer: null },
+
+        openSyncRun: function (syncId) {
+            if (!syncId) return;
+
+            this._run.syncId = String(syncId);
+            $('#ewheel-sync-run-id').text(this._run.syncId);
+            $('#ewheel-sync-run-action').val('');
+            $('#ewheel-sync-run-search').val('');
+            $('.ewheel-history-row').removeClass('is-selected')
+                .filter('[data-sync-id="' + this._escape(this._run.syncId) + '"]').addClass('is-selected');
+
+            $('#ewheel-sync-run').show();
+            this.loadSyncRun(1);
+        },
+
+        loadSyncRun: function (page) {
+            var self = this;
+            var strings = ewheelImporter.strings;
+            var $items = $('#ewheel-sync-run-items');
+
+            if (!this._run.syncId || this._run.pending) return;
+            this._run.pending = true;
+
+            $('#ewheel-sync-run-prev, #ewheel-sync-run-next').prop('disabled', true);
+            $items.html('<p class="ewheel-loading">' + (strings.runLoading || 'Loading run details...') + '</p>');
+
+            $.ajax({
+                url: ewheelImporter.ajaxUrl,
+                type: 'POST',
+                data: $.extend({
+                    action: 'ewheel_get_sync_items',
+                    nonce: ewheelImporter.nonce,
+                    sync_id: this._run.syncId,
+                    page: page
+                }, this._syncRunFilters()),
+                success: function (response) {
+                    self._run.pending = false;
+
+                    if (!response.success) {
+                        $items.html('<p class="ewheel-preview-error">' + self._escape(response.data.message) + '</p>');
+                        return;
+                    }
+
+                    self._run.page = response.data.page;
+                    self._renderSyncRun(response.data);
+                },
+                error: function (xhr, status, error) {
+                    self._run.pending = false;
+                    $items.html('<p class="ewheel-preview-error">' + self._escape('Error: ' + error) + '</p>');
+                }
+            });
+        },
+
+        exportSyncRun: function () {
+            if (!this._run.syncId) return;
+
+            window.location.href = ewheelImporter.ajaxUrl + '?' + $.param($.extend({
+                action: 'ewheel_export_sync_items',
+                nonce: ewheelImporter.nonce,
+                sync_id: this._run.syncId
+            }, this._syncRunFilters()));
+        },
+
+        _syncRunFilters: function () {
+            return {
+                item_action: $('#ewheel-sync-run-action').val() || '',
+                search: $.trim($('#ewheel-sync-run-search').val() || '')
+            };
+        },
+
+        _syncRunLabels: function () {
+            var strings = ewheelImporter.strings;
+            return {
+                created: { label: strings.runCreated || 'Created', badge: 'success' },
+                updated: { label: strings.runUpdated || 'Updated', badge: 'info' },
+                skipped: { label: strings.runSkipped || 'Unchanged', badge: 'stopped' },
+                failed: { label: strings.runFailed || 'Failed', badge: 'failed' }
+            };
+        },
+
+        _renderSyncRun: function (data) {
+            var self = this;
+            var strings = ewheelImporter.strings;
+            var labels = this._syncRunLabels();
+            var counts = data.counts || {};
+            var items = data.items || [];
+            var recorded = 0;
+
+            var summary = '';
+            $.each(labels, function (action, meta) {
+                recorded += counts[action] || 0;
+                summary += '<span class="ewheel-status-badge ' + meta.badge + '">' + meta.label + ': ' + (counts[action] || 0) + '</span> ';
+            });
+            $('#ewheel-sync-run-summary').html(summary);
+            this._renderRollback(data);
+
+            var pages = Math.max(1, data.pages || 1);
+            $('#ewheel-sync-run-page-info').text(
+                (strings.runPageInfo || 'Page %1$d of %2$d (%3$d products)')
+                    .replace('%1$d', data.page)
+                    .replace('%2$d', pages)
+                    .replace('%3$d', data.total || 0)
+            );
+            $('#ewheel-sync-run-prev').prop('disabled', data.page <= 1);
+            $('#ewheel-sync-run-next').prop('disabled', data.page >= pages);
+
+            if (items.length === 0) {
+                $('#ewheel-sync-run-items').html(
+                    '<div class="ewheel-empty-state"><p>' +
+                    (recorded === 0 ? (strings.runNoItems || 'No per-product details were recorded for this run.') : (strings.runEmpty || 'No products match these filters.')) +
+                    '</p></div>'
+                );
+                return;
+            }
+
+            var html = '<table class="ewheel-log-table ewheel-preview-table">' +
+                '<thead><tr>' +
+                '<th>' + (strings.previewAction || 'Action') + '</th>' +
+                '<th>SKU</th>' +
+                '<th>' + (strings.previewChanges || 'Changes') + '</th>' +
+                '<th>' + (strings.runLogs || 'Log entries') + '</th>' +
+                '</tr></thead><tbody>';
+
+            items.forEach(function (item) {
+                var meta = labels[item.action] || { label: item.action, badge: 'stopped' };
+                var fields = Object.keys(item.changes || {});
+                var sku = '<code>' + self._escape(item.sku) + '</code>';
+                if (item.edit_url) {
+                    sku = '<a href="' + self._escape(item.edit_url) + '" target="_blank">' + sku + '</a>';
+                }
+
+                var changes = item.message ? self._escape(item.message) : '';
+                if (fields.length > 0) {
+                    changes = self._escape(fields.join(', ')) + (changes ? ' <small>(' + changes + ')</small>' : '');
+                }
+
+                html += '<tr class="ewheel-preview-row action-' + self._escape(item.action) + '">' +
+                    '<td><span class="ewheel-status-badge ' + meta.badge + '">' + self._escape(meta.label) + '</span></td>' +
+                    '<td>' + sku + '</td>' +
+                    '<td>' + changes + '</td>' +
+                    '<td><a href="#" class="ewheel-sync-run-toggle" data-sku="' + self._escape(item.sku) + '">' +
+                    (strings.runLogs || 'Log entries') + '</a></td>' +
+                    '</tr>' +
+                    '<tr class="ewheel-preview-diff-row" style="display:none;"><td colspan="4">' +
+                    (fields.length > 0 ? self._renderSyncRunDiff(item.changes) : '') +
+                    '<div class="ewheel-sync-run-logs"></div>' +
+                    '</td></tr>';
+            });
+
+            html += '</tbody></table>';
+            $('#ewheel-sync-run-items').html(html);
+        },
+
+        _renderRollback: function (data) {
+            var sync = data.sync || {};
+            var updated = (data.counts || {}).updated || 0;
+            var finished = sync.status !== 'running' && sync.status !== 'paused';
+
+            this._run.updated = updated;
+            $('#ewheel-sync-run-rollback').toggle(finished && (updated > 0 || !!data.rollback));
+            this._showRollbackStatus(data.rollback);
+
+            if (data.rollback && data.rollback.status === 'running') {
+                this._pollRollback();
+            }
+        },
+
+        rollbackSyncRun: function () {
+            var self = this;
+            var strings = ewheelImporter.strings;
+            var syncId = this._run.syncId;
+
+            if (!syncId) return;
+            if (!confirm((strings.rollbackConfirm || 'Restore the values this run overwrote on %d products?').replace('%d', this._run.updated || 0))) {
+                return;
+            }
+
+            $('#ewheel-rollback-sync-run').prop('disabled', true);
+
+            $.ajax({
+                url: ewheelImporter.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'ewheel_rollback_sync',
+                    nonce: ewheelImporter.nonce,
+                    sync_id: syncId
+                },
+                success: function (response) {
+                    if (!response.success) {
+                        $('#ewheel-rollback-sync-run').prop('disabled', false);
+                        $('#ewheel-rollback-status').text(response.data.message);
+                        return;
+                    }
+
+                    self._showRollbackStatus(response.data.rollback);
+                    self._pollRollback();
+                },
+                error: function (xhr) {
+                    var message = xhr.responseJSON && xhr.responseJSON.data ? xhr.responseJSON.data.message : xhr.statusText;
+                    $('#ewheel-rollback-sync-run').prop('disabled', false);
+                    $('#ewheel-rollback-status').text((strings.rollbackFailed || 'Rollback failed: %s').replace('%s', message));
+                }
+            });
+        },
+
+        _pollRollback: function () {
+            var self = this;
+            var syncId = this._run.syncId;
+
+            clearTimeout(this._run.rollbackTimer);
+            this._run.rollbackTimer = setTimeout(function () {
+                $.post(ewheelImporter.ajaxUrl, {
+                    action: 'ewheel_get_rollback_status',
+                    nonce: ewheelImporter.nonce,
+                    sync_id: syncId
+                }, function (response) {
+                    // Stop once another run is opened or the rollback has ended
+                    if (!response.success || syncId !== self._run.syncId) return;
+
+                    var rollback = response.data.rollback;
+                    self._showRollbackStatus(rollback);
+
+                    if (rollback && rollback.status === 'running') {
+                        self._pollRollback();
+                    } else {
+                        self.loadSyncRun(self._run.page);
+                    }
+                });
+            }, 3000);
+        },
+
+        _showRollbackStatus: function (rollback) {
+            var strings = ewheelImporter.strings;
+            var $button = $('#ewheel-rollback-sync-run');
+            var $progress = $('#ewheel-rollback-progress');
+            var $status = $('#ewheel-rollback-status');
+
+            if (!rollback) {
+                $button.prop('disabled', false).show();
+                $progress.hide();
+                $status.text('');
+                return;
+            }
+
+            var percent = rollback.total > 0 ? Math.round((rollback.processed / rollback.total) * 100) : 0;
+            $('#ewheel-rollback-bar').css('width', percent + '%');
+
+            if (rollback.status === 'running') {
+                $button.prop('disabled', true).show();
+                $progress.show();
+                $status.text(
+                    (strings.rollbackProgress || 'Rolling back: %1$d of %2$d products')
+                        .replace('%1$d', rollback.processed)
+                        .replace('%2$d', rollback.total)
+                );
+            } else if (rollback.status === 'failed') {
+                $button.prop('disabled', false).show();
+                $progress.hide();
+                $status.text((strings.rollbackFailed || 'Rollback failed: %s').replace('%s', rollback.error || ''));
+            } else {
+                $button.hide();
+                $progress.hide();
+                $status.text(
+                    (strings.rollbackDone || 'Rolled back: %1$d restored, %2$d kept because they changed since, %3$d failed.')
+                        .replace('%1$d', rollback.restored)
+                        .replace('%2$d', rollback.conflicts)
+                        .replace('%3$d', rollback.failed)
+                );
+            }
+        },
+
+        _renderSyncRunDiff: function (changes) {
+            var self = this;
+            var strings = ewheelImporter.strings;
+            var html = '<table class="ewheel-preview-diff">' +
+                '<thead><tr><th>' + (strings.previewField || 'Field') + '</th>' +
+                '<th>' + (strings.runBefore || 'Before') + '</th>' +
+                '<th>' + (strings.runAfter || 'After') + '</th></tr></thead><tbody>';
+
+            Object.keys(changes).forEach(function (field) {
+                html += '<tr>' +
+                    '<th>' + self._escape(field) + '</th>' +
+                    '<td class="ewheel-diff-old">' + self._formatRunValue(changes[field].old) + '</td>' +
+                    '<td class="ewheel-diff-new">' + self._formatRunValue(changes[field].new) + '</td>' +
+                    '</tr>';
+            });
+
+            return html + '</tbody></table>';
+        },
+
+        _formatRunValue: function (value) {
+            if (value !== null && typeof value === 'object' && !$.isArray(value)) {
+                return '<code>' + this._escape(JSON.stringify(value)) + '</code>';
+            }
+            return this._formatPreviewValue(value);
+        },
+
+        toggleSyncRunItem: function (e, $link) {
+            e.preventDefault();
+
+            var self = this;
+            var $detail = $link.closest('tr').next('.ewheel-preview-diff-row');
+            var $logs = $detail.find('.ewheel-sync-run-logs');
+
+            $detail.toggle();
+            if (!$detail.is(':visible') || $logs.data('loaded')) return;
+
+            $logs.data('loaded', true).html('<p class="ewheel-loading">' + (ewheelImporter.strings.runLoading || 'Loading run details...') + '</p>');
+
+            $.post(ewheelImporter.ajaxUrl, {
+                action: 'ewheel_get_sync_item_logs',
+                nonce: ewheelImporter.nonce,
+                sync_id: this._run.syncId,
+                sku: $link.data('sku')
+            }).done(function (response) {
+                if (!response.success) {
+                    $logs.html('<p class="ewheel-preview-error">' + self._escape(response.data.message) + '</p>');
+                    return;
+                }
+                $logs.html(self._renderSyncRunLogs(response.data.logs || []));
+            }).fail(function (xhr, status, error) {
+                $logs.data('loaded', false).html('<p class="ewheel-preview-error">' + self._escape('Error: ' + error) + '</p>');
+            });
+        },
+
+        _renderSyncRunLogs: function (logs) {
+            var self = this;
+
+            if (logs.length === 0) {
+                return '<p class="description">' + (ewheelImporter.strings.runNoLogs || 'No log entries for this SKU (they may have been pruned).') + '</p>';
+            }
+
+            var html = '<table class="ewheel-log-table"><tbody>';
+            logs.forEach(function (log) {
+                html += '<tr class="level-' + self._escape(log.level) + '">' +
+                    '<td>' + self._escape(log.created_at) + '</td>' +
+                    '<td>' + self._escape(log.level) + '</td>' +
+                    '<td>' + self._escape(log.message) + '</td>' +
+                    '</tr>';
+            });
+
+            return html + '</tbody></table>';
+        },
+
+        _escape: function (text) {
+            var div = document.createElement('div');
+            div.textContent = text === null || text === undefined ? '' : String(text);
+            // Also escape quotes so the result is safe inside attributes
+            return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+        },
+
+        testConnection: function (e) {
+            e.preventDefault();
 
             var $button = $('#ewheel-test-connection');
             var $status = $('#ewheel-connection-status');
@@ -1195,60 +1955,4408 @@
         }
     };
 
-    $(document).ready(function () {
-        EwheelImporter.init();
-        OpenRouterModelSelector.init();
-
-        // Store reference to currentProfileId when profile is selected
-        $(document).on('click', '.ewheel-profile-item', function () {
-            EwheelImporter.currentProfileId = $(this).data('id');
-        });
+    var PricingRulesEditor = {
+        $rules: null,
+        $samples: null,
+        previewTimer: null,
+        previewRequest: null,
+        fields: ['label', 'category', 'brand', 'min_price', 'max_price', 'sku_pattern', 'markup', 'rounding'],
+        defaultSamples: [
+            { price: '29.90', sku: '', brand: '', category: '' },
+            { price: '149', sku: '', brand: '', category: '' },
+            { price: '799', sku: '', brand: '', category: '' }
+        ],
 
-        // Cancel button in sync history table
-        $(document).on('click', '.ewheel-history-cancel-btn', function (e) {
-            e.preventDefault();
+        init: function () {
+            var self = this;
+            var rules = $('#ewheel-pricing-rules').data('rules') || [];
 
-            var $btn = $(this);
-            var syncId = $btn.data('sync-id');
-            var profileId = $btn.data('profile-id');
+            this.$rules = $('#ewheel-pricing-rules-body');
+            this.$samples = $('#ewheel-price-samples');
 
-            if (!syncId) {
-                console.error('No sync ID found on cancel button');
+            if (this.$rules.length === 0) {
                 return;
             }
 
-            if (!confirm(ewheelImporter.strings.confirmCancel || 'Are you sure you want to cancel this sync?')) {
+            $.each(rules, function (i, rule) {
+                self.addRule(rule);
+            });
+            $.each(this.defaultSamples, function (i, sample) {
+                self.addSample(sample);
+            });
+            this.reindex();
+
+            $('#ewheel-add-pricing-rule').on('click', function () {
+                self.addRule({});
+                self.reindex();
+                self.schedulePreview();
+            });
+            $('#ewheel-add-price-sample').on('click', function () {
+                self.addSample({});
+                self.schedulePreview();
+            });
+
+            this.$rules.on('click', '.ewheel-rule-remove', function () {
+                $(this).closest('tr').remove();
+                self.reindex();
+                self.schedulePreview();
+            });
+            this.$rules.on('click', '.ewheel-rule-up', function () {
+                var $row = $(this).closest('tr');
+                $row.prev().before($row);
+                self.reindex();
+                self.schedulePreview();
+            });
+            this.$rules.on('click', '.ewheel-rule-down', function () {
+                var $row = $(this).closest('tr');
+                $row.next().after($row);
+                self.reindex();
+                self.schedulePreview();
+            });
+            this.$samples.on('click', '.ewheel-sample-remove', function () {
+                $(this).closest('tr').remove();
+                self.schedulePreview();
+            });
+
+            this.$rules.add(this.$samples).on('input change', 'input, select', this.schedulePreview.bind(this));
+            $('#ewheel_importer_exchange_rate, #ewheel_importer_markup_percent, #ewheel_importer_price_rounding, #ewheel_importer_exchange_rate_source')
+                .on('input change', this.schedulePreview.bind(this));
+
+            this.preview();
+        },
+
+        addRule: function (rule) {
+            var $row = $('<tr class="ewheel-pricing-rule">');
+            var strings = ewheelImporter.strings;
+
+            $.each(this.fields, function (i, field) {
+                var value = rule[field] === null || rule[field] === undefined ? '' : rule[field];
+                var $input;
+
+                if (field === 'rounding') {
+                    $input = $('<select>').append($('<option>', {
+                        value: '',
+                        text: strings.pricingDefault || 'Default'
+                    }));
+                    // Same modes as the global rounding setting
+                    $('#ewheel_importer_price_rounding option').each(function () {
+                        $input.append($('<option>', { value: $(this).val(), text: $(this).text().trim() }));
+                    });
+                    $input.val(String(value));
+                } else {
+                    var isNumber = field === 'min_price' || field === 'max_price' || field === 'markup';
+                    $input = $('<input>', {
+                        type: isNumber ? 'number' : 'text',
+                        step: isNumber ? '0.01' : null,
+                        min: isNumber && field !== 'markup' ? '0' : null,
+                        value: value,
+                        placeholder: field === 'sku_pattern' ? 'ACC-*' : (field === 'markup' ? (strings.pricingDefault || 'Default') : ''),
+                        'class': isNumber ? 'small-text' : 'regular-text'
+                    });
+                }
+
+                $input.attr('data-field', field);
+                $row.append($('<td>').append($input));
+            });
+
+            $row.append($('<td class="ewheel-rule-actions">').append(
+                $('<button type="button" class="button-link ewheel-rule-up">').attr('title', strings.pricingMoveUp || 'Move up')
+                    .append('<span class="dashicons dashicons-arrow-up-alt2"></span>'),
+                $('<button type="button" class="button-link ewheel-rule-down">').attr('title', strings.pricingMoveDown || 'Move down')
+                    .append('<span class="dashicons dashicons-arrow-down-alt2"></span>'),
+                $('<button type="button" class="button-link ewheel-rule-remove">').attr('title', strings.pricingRemove || 'Remove')
+                    .append('<span class="dashicons dashicons-trash"></span>')
+            ));
+
+            this.$rules.append($row);
+        },
+
+        addSample: function (sample) {
+            var $row = $('<tr class="ewheel-price-sample">');
+
+            $.each(['price', 'sku', 'brand', 'category'], function (i, field) {
+                $row.append($('<td>').append($('<input>', {
+                    type: field === 'price' ? 'number' : 'text',
+                    step: field === 'price' ? '0.01' : null,
+                    min: field === 'price' ? '0' : null,
+                    value: sample[field] || '',
+                    'data-field': field,
+                    'class': field === 'price' ? 'small-text' : 'regular-text'
+                })));
+            });
+
+            $row.append(
+                $('<td class="ewheel-sample-result">').text('—'),
+                $('<td class="ewheel-sample-rule">'),
+                $('<td>').append(
+                    $('<button type="button" class="button-link ewheel-sample-remove">')
+                        .attr('title', ewheelImporter.strings.pricingRemove || 'Remove')
+                        .append('<span class="dashicons dashicons-no-alt"></span>')
+                )
+            );
+
+            this.$samples.append($row);
+        },
+
+        // Field names carry the row position, so they are rewritten after every add, remove and move
+        reindex: function () {
+            this.$rules.find('tr').each(function (index) {
+                $(this).find('[data-field]').each(function () {
+                    $(this).attr('name', 'ewheel_importer_pricing_rules[' + index + '][' + $(this).data('field') + ']');
+                });
+            });
+        },
+
+        collectRows: function ($body) {
+            return $body.find('tr').map(function () {
+                var row = {};
+                $(this).find('[data-field]').each(function () {
+                    row[$(this).data('field')] = $(this).val();
+                });
+                return row;
+            }).get();
+        },
+
+        schedulePreview: function () {
+            clearTimeout(this.previewTimer);
+            this.previewTimer = setTimeout(this.preview.bind(this), 400);
+        },
+
+        preview: function () {
+            var self = this;
+            var samples = this.collectRows(this.$samples);
+
+            if (samples.length === 0) {
                 return;
             }
 
-            $btn.prop('disabled', true).text(ewheelImporter.strings.cancelling || 'Cancelling...');
+            if (this.previewRequest) {
+                this.previewRequest.abort();
+            }
 
-            $.ajax({
+            this.previewRequest = $.ajax({
                 url: ewheelImporter.ajaxUrl,
                 type: 'POST',
                 data: {
-                    action: 'ewheel_stop_sync',
+                    action: 'ewheel_preview_pricing',
                     nonce: ewheelImporter.nonce,
-                    sync_id: syncId,
-                    profile_id: profileId || ''
+                    exchange_rate: $('#ewheel_importer_exchange_rate').val(),
+                    exchange_rate_source: $('#ewheel_importer_exchange_rate_source').val(),
+                    exchange_rate_feed_url: $('#ewheel_importer_exchange_rate_feed_url').val(),
+                    markup_percent: $('#ewheel_importer_markup_percent').val(),
+                    price_rounding: $('#ewheel_importer_price_rounding').val(),
+                    rules: this.collectRows(this.$rules),
+                    samples: samples
                 },
                 success: function (response) {
                     if (response.success) {
-                        $btn.text('Cancelled').addClass('disabled');
-                        // Reload after short delay to show updated status
-                        setTimeout(function () {
-                            location.reload();
-                        }, 1000);
+                        self.renderQuotes(response.data.quotes);
                     } else {
-                        alert(response.data?.message || 'Failed to cancel sync');
-                        $btn.prop('disabled', false).text('Cancel');
+                        self.renderError(response.data && response.data.message);
                     }
                 },
-                error: function () {
-                    alert('Failed to cancel sync');
-                    $btn.prop('disabled', false).text('Cancel');
+                error: function (xhr, status) {
+                    if (status !== 'abort') {
+                        self.renderError(ewheelImporter.strings.pricingPreviewFailed || 'Could not calculate prices.');
+                    }
+                },
+                complete: function () {
+                    self.previewRequest = null;
                 }
             });
-        });
+        },
+
+        renderQuotes: function (quotes) {
+            var strings = ewheelImporter.strings;
+
+            this.$samples.find('tr').each(function (index) {
+                var quote = quotes[index];
+                var $result = $(this).find('.ewheel-sample-result');
+                var $rule = $(this).find('.ewheel-sample-rule');
+
+                if (!quote) {
+                    $result.text('—');
+                    $rule.text('');
+                    return;
+                }
+
+                $result.text(Number(quote.price).toFixed(2) + ' RON');
+
+                var applied = quote.rule === null
+                    ? (strings.pricingDefaultMarkup || 'Default markup')
+                    : (quote.label || (strings.pricingRule || 'Rule #%d').replace('%d', quote.rule + 1));
+                $rule.text(applied + ' · ' + quote.markup + '% · ' + quote.rounding);
+            });
+        },
+
+        renderError: function (message) {
+            this.$samples.find('.ewheel-sample-result').text('—');
+            this.$samples.find('.ewheel-sample-rule').text(message || '');
+        }
+    };
+
+    var RateHistoryWidget = {
+        $widget: null,
+        $source: null,
+        $feedUrl: null,
+
+        init: function () {
+            this.$widget = $('#ewheel-rate-history');
+            this.$source = $('#ewheel_importer_exchange_rate_source');
+            this.$feedUrl = $('#ewheel_importer_exchange_rate_feed_url');
+
+            if (this.$widget.length === 0) {
+                return;
+            }
+
+            this.$source.on('change', this.toggleFeedFields.bind(this));
+            $('#ewheel-refresh-exchange-rate').on('click', this.refresh.bind(this));
+
+            this.toggleFeedFields();
+            this.load();
+        },
+
+        toggleFeedFields: function () {
+            var source = this.$source.val();
+
+            $('.ewheel-rate-feed-row').toggle(source !== 'manual');
+            this.$feedUrl.attr('placeholder', this.$feedUrl.data('placeholder-' + source) || '');
+        },
+
+        load: function () {
+            var self = this;
+
+            $.post(ewheelImporter.ajaxUrl, {
+                action: 'ewheel_get_rate_history',
+                nonce: ewheelImporter.nonce,
+                days: 90
+            }, function (response) {
+                if (response.success) {
+                    self.render(response.data);
+                }
+            });
+        },
+
+        refresh: function () {
+            var self = this;
+            var $btn = $('#ewheel-refresh-exchange-rate');
+            var $status = $('#ewheel-refresh-exchange-rate-status');
+
+            $btn.prop('disabled', true);
+            $status.removeClass('ewheel-rate-error').text(ewheelImporter.strings.rateFetching || 'Reading feed...');
+
+            $.post(ewheelImporter.ajaxUrl, {
+                action: 'ewheel_refresh_exchange_rate',
+                nonce: ewheelImporter.nonce,
+                source: this.$source.val(),
+                feed_url: this.$feedUrl.val()
+            }, function (response) {
+                if (response.success) {
+                    $status.text(response.data.message);
+                    self.load();
+                } else {
+                    $status.addClass('ewheel-rate-error').text(response.data.message);
+                }
+            }).fail(function () {
+                $status.addClass('ewheel-rate-error').text(ewheelImporter.strings.rateFetchFailed || 'Could not read the feed.');
+            }).always(function () {
+                $btn.prop('disabled', false);
+            });
+        },
+
+        render: function (data) {
+            var strings = ewheelImporter.strings;
+            var latest = data.latest;
+            var $latest = $('#ewheel-rate-history-latest').empty().removeClass('ewheel-rate-stale');
+
+            if (latest) {
+                var age = Math.floor((Date.now() - new Date(latest.date + 'T00:00:00').getTime()) / 86400000);
+                $latest.text(
+                    (strings.rateLatest || 'Latest rate: %1$s from %2$s, published %3$s')
+                        .replace('%1$s', Number(latest.rate).toFixed(4))
+                        .replace('%2$s', String(latest.source).toUpperCase())
+                        .replace('%3$s', latest.date)
+                );
+                // Feeds publish on working days, so anything older than a long weekend is suspect
+                if (data.source !== 'manual' && age > 4) {
+                    $latest.addClass('ewheel-rate-stale').append(' ', $('<strong>').text(
+                        (strings.rateStale || 'This rate is %d days old.').replace('%d', age)
+                    ));
+                }
+            } else {
+                $latest.text(strings.rateNoHistory || 'No rates recorded yet.');
+            }
+
+            this.renderChart(data.history || []);
+            this.renderSyncs(data.syncs || []);
+        },
+
+        renderChart: function (history) {
+            var $chart = $('#ewheel-rate-chart').empty();
+            var width = 640, height = 180, pad = { top: 10, right: 10, bottom: 22, left: 52 };
+            var ns = 'http://www.w3.org/2000/svg';
+
+            if (history.length === 0) {
+                return;
+            }
+
+            var times = history.map(function (p) { return new Date(p.date + 'T00:00:00').getTime(); });
+            var rates = history.map(function (p) { return Number(p.rate); });
+            var minT = Math.min.apply(null, times), maxT = Math.max.apply(null, times);
+            var minR = Math.min.apply(null, rates), maxR = Math.max.apply(null, rates);
+            var spanR = (maxR - minR) || maxR * 0.01 || 1;
+
+            minR -= spanR * 0.1;
+            maxR += spanR * 0.1;
+
+            var x = function (t) {
+                return pad.left + (maxT === minT ? (width - pad.left - pad.right) / 2 : (t - minT) / (maxT - minT) * (width - pad.left - pad.right));
+            };
+            var y = function (r) {
+                return pad.top + (maxR - r) / (maxR - minR) * (height - pad.top - pad.bottom);
+            };
+            var el = function (name, attrs) {
+                var node = document.createElementNS(ns, name);
+                $.each(attrs, function (key, value) {
+                    node.setAttribute(key, value);
+                });
+                return node;
+            };
+
+            var svg = el('svg', { viewBox: '0 0 ' + width + ' ' + height, 'class': 'ewheel-rate-chart-svg', role: 'img' });
+
+            // Y axis labels at min, middle and max
+            [minR, (minR + maxR) / 2, maxR].forEach(function (r) {
+                svg.appendChild(el('line', { x1: pad.left, x2: width - pad.right, y1: y(r), y2: y(r), 'class': 'ewheel-rate-grid' }));
+                var label = el('text', { x: pad.left - 6, y: y(r) + 4, 'text-anchor': 'end' });
+                label.textContent = r.toFixed(4);
+                svg.appendChild(label);
+            });
+
+            [history[0], history[history.length - 1]].forEach(function (p, i) {
+                var label = el('text', { x: x(times[i === 0 ? 0 : times.length - 1]), y: height - 4, 'text-anchor': i === 0 ? 'start' : 'end' });
+                label.textContent = p.date;
+                svg.appendChild(label);
+            });
+
+            // One line per source, so a switch between feeds doesn't draw a false jump
+            var sources = {};
+            history.forEach(function (p, i) {
+                (sources[p.source] = sources[p.source] || []).push(x(times[i]).toFixed(1) + ',' + y(rates[i]).toFixed(1));
+            });
+            $.each(sources, function (source, points) {
+                svg.appendChild(el('polyline', { points: points.join(' '), 'class': 'ewheel-rate-line ewheel-rate-' + source }));
+            });
+
+            history.forEach(function (p, i) {
+                var dot = el('circle', { cx: x(times[i]), cy: y(rates[i]), r: 3, 'class': 'ewheel-rate-dot ewheel-rate-' + p.source });
+                var title = el('title', {});
+                title.textContent = p.date + ': ' + Number(p.rate).toFixed(4) + ' (' + String(p.source).toUpperCase() + ')';
+                dot.appendChild(title);
+                svg.appendChild(dot);
+            });
+
+            $chart.append(svg);
+        },
+
+        renderSyncs: function (syncs) {
+            var strings = ewheelImporter.strings;
+            var $body = $('#ewheel-rate-syncs').empty();
+
+            if (syncs.length === 0) {
+                $body.append($('<tr>').append($('<td colspan="5">').text(strings.rateNoSyncs || 'No syncs yet.')));
+                return;
+            }
+
+            $.each(syncs, function (i, sync) {
+                var hasRate = sync.exchange_rate !== null && sync.exchange_rate !== undefined;
+
+                $body.append($('<tr>').append(
+                    $('<td>').text(sync.started_at || ''),
+                    $('<td>').text(sync.status || ''),
+                    $('<td>').text(hasRate ? Number(sync.exchange_rate).toFixed(4) : '—'),
+                    $('<td>').text(sync.rate_source ? String(sync.rate_source).toUpperCase() : ''),
+                    $('<td>').text(sync.rate_date || (hasRate ? (strings.rateManual || 'manual') : ''))
+                ));
+            });
+        }
+    };
+
+    var PatternEditor = {
+        $inputs: null,
+        sampleTags: [],
+        previewTimer: null,
+        request: null,
+
+        init: function () {
+            var self = this;
+
+            this.$inputs = $('.ewheel-pattern-input');
+            if (this.$inputs.length === 0) {
+                return;
+            }
+
+            this.$inputs.on('input', function () {
+                self.validate($(this));
+                self.suggest($(this));
+                self.schedulePreview();
+            });
+            this.$inputs.on('keydown', function (e) {
+                self.onKeydown($(this), e);
+            });
+            this.$inputs.on('blur', function () {
+                var $input = $(this);
+                // Let a click on a suggestion land before the list goes away
+                setTimeout(function () {
+                    self.hideSuggestions($input);
+                }, 150);
+            });
+
+            $('.ewheel-pattern-suggestions').on('mousedown', 'li', function (e) {
+                e.preventDefault();
+                var $input = $(this).closest('.ewheel-pattern-editor').find('.ewheel-pattern-input');
+                self.insertTag($input, $(this).data('tag'));
+            });
+
+            $('.ewheel-sync-field-select').on('change', function () {
+                self.toggleSampleRow();
+                self.schedulePreview();
+            });
+            $('#ewheel-pattern-preview-refresh').on('click', this.preview.bind(this));
+            $('#ewheel-pattern-sample-sku').on('keypress', function (e) {
+                if (e.which === 13) {
+                    e.preventDefault();
+                    self.preview();
+                }
+            });
+
+            this.$inputs.each(function () {
+                self.validate($(this));
+            });
+            this.toggleSampleRow();
+            if (this.activeInputs().length > 0) {
+                this.preview();
+            }
+        },
+
+        activeInputs: function () {
+            return this.$inputs.filter(function () {
+                return $('#ewheel_importer_sync_fields_' + $(this).data('key')).val() === 'custom';
+            });
+        },
+
+        toggleSampleRow: function () {
+            $('#ewheel-pattern-sample-row').toggle(this.activeInputs().length > 0);
+        },
+
+        knownTags: function () {
+            var tags = Object.keys(ewheelImporter.patternTags || {});
+
+            $.each(this.sampleTags, function (i, tag) {
+                if (tags.indexOf(tag) === -1) {
+                    tags.push(tag);
+                }
+            });
+
+            return tags;
+        },
+
+        // Mirrors PatternTemplate::parse() closely enough to flag syntax errors while typing
+        hasSyntaxError: function (pattern) {
+            var depth = 0;
+            var elseSeen = [];
+            var error = false;
+
+            $.each(pattern.split(/(\{[^{}]*\})/), function (i, token) {
+                if (token === '') {
+                    return;
+                }
+                if (token.charAt(0) !== '{' || token.charAt(token.length - 1) !== '}') {
+                    error = error || /[{}]/.test(token);
+                    return;
+                }
+
+                var inner = $.trim(token.slice(1, -1)).toLowerCase();
+                if (inner === '/if') {
+                    error = error || depth === 0;
+                    depth = Math.max(0, depth - 1);
+                    elseSeen.pop();
+                } else if (inner === 'else') {
+                    error = error || depth === 0 || elseSeen[depth - 1];
+                    elseSeen[depth - 1] = true;
+                } else if (/^if\s+!?\s*[a-z0-9_-]+$/.test(inner)) {
+                    depth++;
+                    elseSeen.push(false);
+                } else if (inner === 'if' || !/^[a-z0-9_-]+$/.test(inner)) {
+                    error = true;
+                }
+            });
+
+            return error || depth > 0;
+        },
+
+        validate: function ($input) {
+            var $errors = $input.closest('td').find('.ewheel-pattern-errors');
+            var invalid = this.hasSyntaxError($input.val());
+
+            $input.toggleClass('ewheel-pattern-invalid', invalid);
+            $errors.empty().toggle(invalid);
+            if (invalid) {
+                $errors.append($('<li>').text(ewheelImporter.strings.patternSyntaxError || 'Check the braces and that every {if} has a matching {/if}.'));
+            }
+        },
+
+        showErrors: function ($input, errors) {
+            var $errors = $input.closest('td').find('.ewheel-pattern-errors').empty();
+
+            $input.toggleClass('ewheel-pattern-invalid', errors.length > 0);
+            $.each(errors, function (i, message) {
+                $errors.append($('<li>').text(message));
+            });
+            $errors.toggle(errors.length > 0);
+        },
+
+        // The partial tag right before the caret, e.g. "{bra" or "{if !bra"
+        currentPartial: function ($input) {
+            var el = $input[0];
+            var before = el.value.slice(0, el.selectionStart);
+
+            return before.match(/\{(if\s+!?)?([a-z0-9_-]*)$/i);
+        },
+
+        suggest: function ($input) {
+            var $list = $input.siblings('.ewheel-pattern-suggestions').empty();
+            var match = this.currentPartial($input);
+            var labels = ewheelImporter.patternTags || {};
+
+            if (!match) {
+                $list.hide();
+                return;
+            }
+
+            var prefix = match[2].toLowerCase();
+            var tags = this.knownTags().filter(function (tag) {
+                return tag.indexOf(prefix) === 0;
+            });
+
+            // Offer the block keywords too when nothing is typed after "{"
+            if (!match[1]) {
+                ['if', 'else', '/if'].forEach(function (keyword) {
+                    if (keyword.indexOf(prefix) === 0) {
+                        tags.push(keyword);
+                    }
+                });
+            }
+
+            if (tags.length === 0) {
+                $list.hide();
+                return;
+            }
+
+            $.each(tags.slice(0, 12), function (i, tag) {
+                $list.append(
+                    $('<li role="option">').data('tag', tag).toggleClass('active', i === 0).append(
+                        $('<code>').text('{' + tag + '}'),
+                        ' ',
+                        $('<span>').text(labels[tag] || (ewheelImporter.strings.patternProductField || 'Product field'))
+                    )
+                );
+            });
+            $list.show();
+        },
+
+        hideSuggestions: function ($input) {
+            $input.siblings('.ewheel-pattern-suggestions').hide().empty();
+        },
+
+        onKeydown: function ($input, e) {
+            var $list = $input.siblings('.ewheel-pattern-suggestions');
+            var $items = $list.children('li');
+
+            if (!$list.is(':visible') || $items.length === 0) {
+                return;
+            }
+
+            var index = $items.index($items.filter('.active'));
+
+            if (e.which === 40 || e.which === 38) {
+                e.preventDefault();
+                index = (index + (e.which === 40 ? 1 : -1) + $items.length) % $items.length;
+                $items.removeClass('active').eq(index).addClass('active');
+            } else if (e.which === 13 || e.which === 9) {
+                e.preventDefault();
+                this.insertTag($input, $items.eq(Math.max(0, index)).data('tag'));
+            } else if (e.which === 27) {
+                this.hideSuggestions($input);
+            }
+        },
+
+        insertTag: function ($input, tag) {
+            var el = $input[0];
+            var match = this.currentPartial($input);
+            var caret = el.selectionStart;
+            var start = caret - (match ? match[0].length : 0);
+            var insert;
+
+            if (tag === 'if') {
+                insert = '{if ';
+            } else {
+                insert = '{' + (match && match[1] ? match[1] : '') + tag + '}';
+            }
+
+            // Don't double the closing brace when completing inside an existing tag
+            var after = el.value.slice(caret);
+            if (insert.slice(-1) === '}' && after.charAt(0) === '}') {
+                after = after.slice(1);
+            }
+
+            el.value = el.value.slice(0, start) + insert + after;
+            el.selectionStart = el.selectionEnd = start + insert.length;
+
+            this.hideSuggestions($input);
+            if (tag === 'if') {
+                this.suggest($input);
+            }
+            this.validate($input);
+            this.schedulePreview();
+            $input.trigger('focus');
+        },
+
+        schedulePreview: function () {
+            var self = this;
+
+            clearTimeout(this.previewTimer);
+            this.previewTimer = setTimeout(function () {
+                self.preview();
+            }, 600);
+        },
+
+        preview: function () {
+            var self = this;
+            var strings = ewheelImporter.strings;
+            var $active = this.activeInputs();
+            var patterns = {};
+
+            if ($active.length === 0) {
+                return;
+            }
+
+            $active.each(function () {
+                patterns[$(this).data('key')] = $(this).val();
+                $(this).closest('td').find('.ewheel-pattern-preview').show()
+                    .find('.ewheel-pattern-preview-output').text(strings.patternPreviewLoading || 'Rendering preview...');
+            });
+
+            if (this.request) {
+                this.request.abort();
+            }
+
+            this.request = $.post(ewheelImporter.ajaxUrl, {
+                action: 'ewheel_preview_patterns',
+                nonce: ewheelImporter.nonce,
+                sku: $('#ewheel-pattern-sample-sku').val(),
+                patterns: patterns
+            }, function (response) {
+                var $info = $('#ewheel-pattern-sample-info');
+
+                if (!response.success) {
+                    $info.text(response.data.message);
+                    $active.closest('td').find('.ewheel-pattern-preview-output').text('');
+                    return;
+                }
+
+                self.sampleTags = response.data.tags || [];
+                $info.text((strings.patternSample || 'Previewing with product %s.').replace('%s', response.data.reference));
+
+                $.each(response.data.previews, function (key, preview) {
+                    var $input = self.$inputs.filter('[data-key="' + key + '"]');
+                    $input.closest('td').find('.ewheel-pattern-preview-output')
+                        .text(preview.output !== '' ? preview.output : (strings.patternPreviewEmpty || '(empty)'));
+                    self.showErrors($input, preview.errors || []);
+                });
+            }).fail(function (xhr, status) {
+                if (status !== 'abort') {
+                    $('#ewheel-pattern-sample-info').text(strings.patternPreviewFailed || 'Could not render the preview.');
+                }
+            });
+        }
+    };
+
+    var TranslationReview = {
+        $container: null,
+        page: 1,
+        pages: 1,
+        loaded: false,
+
+        init: function () {
+            var self = this;
+
+            this.$container = $('#ewheel-translations-container');
+            if (this.$container.length === 0) {
+                return;
+            }
+
+            $('.ewheel-tab[data-tab="translations"]').on('click', function () {
+                if (!self.loaded) {
+                    self.load(1);
+                }
+            });
+
+            $('#ewheel-translation-filter').on('click', function () {
+                self.load(1);
+            });
+            $('#ewheel-translation-search').on('keypress', function (e) {
+                if (e.which === 13) {
+                    self.load(1);
+                }
+            });
+            $('#ewheel-translations-prev').on('click', function () {
+                self.load(self.page - 1);
+            });
+            $('#ewheel-translations-next').on('click', function () {
+                self.load(self.page + 1);
+            });
+
+            $('#ewheel-translation-select-all').on('change', function () {
+                self.$container.find('.ewheel-translation-select').prop('checked', $(this).is(':checked'));
+            });
+            $('#ewheel-translation-approve').on('click', function () {
+                self.setApproved(true);
+            });
+            $('#ewheel-translation-unapprove').on('click', function () {
+                self.setApproved(false);
+            });
+            $('#ewheel-translation-retranslate').on('click', this.retranslate.bind(this));
+
+            this.$container.on('click', '.ewheel-translation-save', function () {
+                self.save($(this).closest('tr'));
+            });
+        },
+
+        load: function (page) {
+            var self = this;
+            var strings = ewheelImporter.strings;
+
+            this.loaded = true;
+            this.page = Math.max(1, page);
+            $('#ewheel-translation-select-all').prop('checked', false);
+            this.$container.html($('<div class="ewheel-empty-state">').append(
+                $('<p>').text(strings.translationsLoading || 'Loading translations...')
+            ));
+
+            $.post(ewheelImporter.ajaxUrl, {
+                action: 'ewheel_get_translations',
+                nonce: ewheelImporter.nonce,
+                page: this.page,
+                context: $('#ewheel-translation-context').val(),
+                service: $('#ewheel-translation-service').val(),
+                status: $('#ewheel-translation-status').val(),
+                date_from: $('#ewheel-translation-date-from').val(),
+                date_to: $('#ewheel-translation-date-to').val(),
+                search: $('#ewheel-translation-search').val()
+            }, function (response) {
+                if (!response.success) {
+                    self.$container.html($('<p class="ewheel-preview-error">').text(response.data.message));
+                    return;
+                }
+
+                self.page = response.data.page;
+                self.pages = response.data.pages;
+                self.render(response.data.entries);
+                self.renderPagination(response.data.total);
+            });
+        },
+
+        render: function (entries) {
+            var self = this;
+            var strings = ewheelImporter.strings;
+
+            if (entries.length === 0) {
+                this.$container.html($('<div class="ewheel-empty-state">').append(
+                    $('<p>').text(strings.translationsEmpty || 'No translations match these filters.')
+                ));
+                return;
+            }
+
+            var $body = $('<tbody>');
+            $.each(entries, function (i, entry) {
+                $body.append(self.renderRow(entry));
+            });
+
+            this.$container.empty().append($('<table class="ewheel-history-table ewheel-translation-table">').append($body));
+        },
+
+        renderRow: function (entry) {
+            var strings = ewheelImporter.strings;
+            var approved = parseInt(entry.approved, 10) === 1;
+            var context = entry.context === 'title'
+                ? (strings.translationTitle || 'Title')
+                : (strings.translationDescription || 'Description');
+
+            return $('<tr>').attr('data-id', entry.id).append(
+                $('<td class="ewheel-translation-check">').append(
+                    $('<input type="checkbox" class="ewheel-translation-select">').val(entry.id)
+                ),
+                $('<td class="ewheel-translation-source">').append(
+                    $('<div class="ewheel-translation-meta">').append(
+                        $('<span class="ewheel-status-badge">').text(context),
+                        ' ',
+                        $('<code>').text(String(entry.source_lang).toUpperCase() + ' → ' + String(entry.target_lang).toUpperCase()),
+                        ' ',
+                        $('<span>').text((entry.service || '') + ' · ' + (entry.created_at || ''))
+                    ),
+                    $('<div class="ewheel-translation-text">').text(entry.source_text)
+                ),
+                $('<td class="ewheel-translation-target">').append(
+                    $('<textarea rows="3" class="large-text">').val(entry.translated_text),
+                    $('<div class="ewheel-translation-actions">').append(
+                        $('<span class="ewheel-status-badge">')
+                            .addClass(approved ? 'completed' : 'stopped')
+                            .text(approved ? (strings.translationApproved || 'Approved') : (strings.translationPending || 'Pending')),
+                        ' ',
+                        $('<button type="button" class="button button-small ewheel-translation-save">').text(strings.translationSave || 'Save')
+                    )
+                )
+            );
+        },
+
+        renderPagination: function (total) {
+            var strings = ewheelImporter.strings;
+
+            $('#ewheel-translations-pagination').toggle(total > 0);
+            $('#ewheel-translations-info').text(
+                (strings.translationsPageInfo || 'Page %1$d of %2$d (%3$d translations)')
+                    .replace('%1$d', this.page)
+                    .replace('%2$d', this.pages)
+                    .replace('%3$d', total)
+            );
+            $('#ewheel-translations-prev').prop('disabled', this.page <= 1);
+            $('#ewheel-translations-next').prop('disabled', this.page >= this.pages);
+        },
+
+        replaceRows: function (entries) {
+            var self = this;
+
+            $.each(entries || [], function (i, entry) {
+                self.$container.find('tr[data-id="' + parseInt(entry.id, 10) + '"]').replaceWith(self.renderRow(entry));
+            });
+        },
+
+        selectedIds: function () {
+            return this.$container.find('.ewheel-translation-select:checked').map(function () {
+                return parseInt($(this).val(), 10);
+            }).get();
+        },
+
+        showStatus: function (message, isError) {
+            $('#ewheel-translation-status-message')
+                .toggleClass('ewheel-preview-error', !!isError)
+                .text(message || '');
+        },
+
+        save: function ($row) {
+            var self = this;
+            var $btn = $row.find('.ewheel-translation-save');
+
+            $btn.prop('disabled', true);
+
+            $.post(ewheelImporter.ajaxUrl, {
+                action: 'ewheel_save_translation',
+                nonce: ewheelImporter.nonce,
+                id: $row.data('id'),
+                translation: $row.find('textarea').val()
+            }, function (response) {
+                if (response.success) {
+                    self.replaceRows(response.data.entries);
+                    self.showStatus(response.data.message);
+                } else {
+                    self.showStatus(response.data.message, true);
+                    $btn.prop('disabled', false);
+                }
+            }).fail(function () {
+                self.showStatus(ewheelImporter.strings.translationRequestFailed || 'Request failed.', true);
+                $btn.prop('disabled', false);
+            });
+        },
+
+        setApproved: function (approved) {
+            var self = this;
+            var ids = this.selectedIds();
+
+            if (ids.length === 0) {
+                this.showStatus(ewheelImporter.strings.translationsSelectFirst || 'Select at least one translation.', true);
+                return;
+            }
+
+            $.post(ewheelImporter.ajaxUrl, {
+                action: 'ewheel_approve_translations',
+                nonce: ewheelImporter.nonce,
+                ids: ids,
+                approved: approved ? 1 : 0
+            }, function (response) {
+                if (response.success) {
+                    self.replaceRows(response.data.entries);
+                    self.showStatus('');
+                } else {
+                    self.showStatus(response.data.message, true);
+                }
+            });
+        },
+
+        retranslate: function () {
+            var self = this;
+            var strings = ewheelImporter.strings;
+            var ids = this.selectedIds();
+            var chunks = [];
+            var done = 0, retranslated = 0, skipped = 0;
+
+            if (ids.length === 0) {
+                this.showStatus(strings.translationsSelectFirst || 'Select at least one translation.', true);
+                return;
+            }
+
+            if (!confirm((strings.translationsRetranslateConfirm || 'Send %d translations through the translation driver again? Approved ones are skipped.').replace('%d', ids.length))) {
+                return;
+            }
+
+            // The server takes 25 entries per request, one driver batch
+            for (var i = 0; i < ids.length; i += 25) {
+                chunks.push(ids.slice(i, i + 25));
+            }
+
+            $('#ewheel-translation-retranslate').prop('disabled', true);
+
+            var next = function () {
+                if (chunks.length === 0) {
+                    $('#ewheel-translation-retranslate').prop('disabled', false);
+                    self.showStatus(
+                        (strings.translationsRetranslated || 'Re-translated %1$d entries, skipped %2$d approved.')
+                            .replace('%1$d', retranslated)
+                            .replace('%2$d', skipped)
+                    );
+                    return;
+                }
+
+                var chunk = chunks.shift();
+                self.showStatus(
+                    (strings.translationsRetranslating || 'Re-translating %1$d of %2$d...')
+                        .replace('%1$d', done + chunk.length)
+                        .replace('%2$d', ids.length)
+                );
+
+                $.post(ewheelImporter.ajaxUrl, {
+                    action: 'ewheel_retranslate',
+                    nonce: ewheelImporter.nonce,
+                    ids: chunk
+                }, function (response) {
+                    if (!response.success) {
+                        $('#ewheel-translation-retranslate').prop('disabled', false);
+                        self.showStatus(response.data.message, true);
+                        return;
+                    }
+
+                    done += chunk.length;
+                    retranslated += response.data.retranslated;
+                    skipped += response.data.skipped;
+                    self.replaceRows(response.data.entries);
+                    next();
+                }).fail(function () {
+                    $('#ewheel-translation-retranslate').prop('disabled', false);
+                    self.showStatus(strings.translationRequestFailed || 'Request failed.', true);
+                });
+            };
+
+            next();
+        }
+    };
+
+    var GlossaryEditor = {
+        $container: null,
+        loaded: false,
+        entries: [],
+        editing: '',
+        flagged: [],
+
+        init: function () {
+            var self = this;
+
+            this.$container = $('#ewheel-glossary-container');
+            if (this.$container.length === 0) {
+                return;
+            }
+
+            $('.ewheel-tab[data-tab="translations"]').on('click', function () {
+                if (!self.loaded) {
+                    self.load();
+                }
+            });
+
+            $('#ewheel-glossary-save').on('click', this.save.bind(this));
+            $('#ewheel-glossary-cancel').on('click', this.resetForm.bind(this));
+            $('#ewheel-glossary-source, #ewheel-glossary-target').on('keypress', function (e) {
+                if (e.which === 13) {
+                    self.save();
+                }
+            });
+            this.$container.on('click', '.ewheel-glossary-edit', function () {
+                self.edit(self.entries[parseInt($(this).closest('tr').attr('data-index'), 10)]);
+            });
+            this.$container.on('click', '.ewheel-glossary-delete', function () {
+                self.remove(self.entries[parseInt($(this).closest('tr').attr('data-index'), 10)]);
+            });
+
+            $('#ewheel-glossary-export').on('click', function () {
+                window.location.href = ewheelImporter.ajaxUrl + '?' + $.param({
+                    action: 'ewheel_export_glossary',
+                    nonce: ewheelImporter.nonce
+                });
+            });
+            $('#ewheel-glossary-import').on('click', function () {
+                $('#ewheel-glossary-import-file').val('').trigger('click');
+            });
+            $('#ewheel-glossary-import-file').on('change', function (e) {
+                var file = e.target.files[0];
+                if (!file) {
+                    return;
+                }
+
+                var reader = new FileReader();
+                reader.onload = function (event) {
+                    self.importCsv(event.target.result);
+                };
+                reader.readAsText(file);
+            });
+
+            $('#ewheel-glossary-check').on('click', this.check.bind(this));
+            $('#ewheel-glossary-retranslate').on('click', this.retranslate.bind(this));
+        },
+
+        load: function () {
+            var self = this;
+
+            this.loaded = true;
+            this.$container.html($('<div class="ewheel-empty-state">').append(
+                $('<p>').text(ewheelImporter.strings.glossaryLoading || 'Loading glossary...')
+            ));
+
+            this.post({ action: 'ewheel_get_glossary' }, function (data) {
+                self.render(data.entries);
+            }, null, function (message) {
+                self.$container.html($('<p class="ewheel-preview-error">').text(message));
+            });
+        },
+
+        render: function (entries) {
+            var strings = ewheelImporter.strings;
+            var $body = $('<tbody>');
+
+            this.entries = entries;
+
+            if (entries.length === 0) {
+                this.$container.html($('<div class="ewheel-empty-state">').append(
+                    $('<span class="dashicons dashicons-book">'),
+                    $('<p>').text(strings.glossaryEmpty || 'No glossary terms yet.')
+                ));
+                return;
+            }
+
+            $.each(entries, function (i, entry) {
+                var target = entry.target !== ''
+                    ? $('<span>').text(entry.target)
+                    : $('<span class="ewheel-status-badge">').text(strings.glossaryProtected || 'Do not translate');
+
+                $body.append($('<tr>').attr('data-index', i).append(
+                    $('<td>').append($('<strong>').text(entry.source)),
+                    $('<td>').append(target),
+                    $('<td>').text(entry.case_sensitive ? (strings.glossaryCaseSensitive || 'Case-sensitive') : ''),
+                    $('<td class="ewheel-glossary-actions">').append(
+                        $('<button type="button" class="button button-small ewheel-glossary-edit">').text(strings.glossaryEdit || 'Edit'),
+                        ' ',
+                        $('<button type="button" class="button button-small ewheel-glossary-delete">').text(strings.glossaryDelete || 'Delete')
+                    )
+                ));
+            });
+
+            this.$container.empty().append($('<table class="ewheel-history-table ewheel-glossary-table">').append(
+                $('<thead>').append($('<tr>').append(
+                    $('<th>').text(strings.glossaryTerm || 'Term'),
+                    $('<th>').text(strings.glossaryTranslation || 'Translation'),
+                    $('<th>'),
+                    $('<th>')
+                )),
+                $body
+            ));
+        },
+
+        edit: function (entry) {
+            if (!entry) {
+                return;
+            }
+
+            this.editing = entry.source;
+            $('#ewheel-glossary-source').val(entry.source).trigger('focus');
+            $('#ewheel-glossary-target').val(entry.target);
+            $('#ewheel-glossary-case').prop('checked', !!entry.case_sensitive);
+            $('#ewheel-glossary-save').text(ewheelImporter.strings.glossaryUpdate || 'Update term');
+            $('#ewheel-glossary-cancel').show();
+        },
+
+        resetForm: function () {
+            this.editing = '';
+            $('#ewheel-glossary-source, #ewheel-glossary-target').val('');
+            $('#ewheel-glossary-case').prop('checked', false);
+            $('#ewheel-glossary-save').text(ewheelImporter.strings.glossaryAdd || 'Add term');
+            $('#ewheel-glossary-cancel').hide();
+        },
+
+        save: function () {
+            var self = this;
+            var $btn = $('#ewheel-glossary-save');
+
+            $btn.prop('disabled', true);
+
+            this.post({
+                action: 'ewheel_save_glossary_term',
+                source: $('#ewheel-glossary-source').val(),
+                target: $('#ewheel-glossary-target').val(),
+                case_sensitive: $('#ewheel-glossary-case').is(':checked') ? 1 : 0,
+                original: this.editing
+            }, function (data) {
+                self.resetForm();
+                self.render(data.entries);
+                self.showStatus('#ewheel-glossary-status', data.message);
+            }, function () {
+                $btn.prop('disabled', false);
+            });
+        },
+
+        remove: function (entry) {
+            var self = this;
+
+            if (!entry || !confirm((ewheelImporter.strings.glossaryDeleteConfirm || 'Delete the glossary term "%s"?').replace('%s', entry.source))) {
+                return;
+            }
+
+            this.post({ action: 'ewheel_delete_glossary_term', source: entry.source }, function (data) {
+                if (self.editing === entry.source) {
+                    self.resetForm();
+                }
+                self.render(data.entries);
+                self.showStatus('#ewheel-glossary-status', data.message);
+            });
+        },
+
+        importCsv: function (csv) {
+            var self = this;
+            var strings = ewheelImporter.strings;
+            var mode = $('#ewheel-glossary-import-mode').val();
+            var $result = $('#ewheel-glossary-import-result');
+            var $btn = $('#ewheel-glossary-import');
+
+            if (mode === 'replace' && !confirm(strings.glossaryConfirmReplace || 'Replace the whole glossary? Terms not in the file are deleted.')) {
+                return;
+            }
+
+            $btn.prop('disabled', true);
+            $result.removeClass('ewheel-preview-error').text(strings.compatImporting || 'Importing...');
+
+            this.post({ action: 'ewheel_import_glossary', csv: csv, mode: mode }, function (data) {
+                var $errors = $('<ul>');
+
+                $.each(data.errors, function (i, error) {
+                    $errors.append($('<li>').text(
+                        (strings.compatLine || 'Line %d').replace('%d', error.line) + ': ' + error.message
+                    ));
+                });
+                if (data.error_count > data.errors.length) {
+                    $errors.append($('<li>').text(
+                        (strings.compatMoreErrors || '%d more rows skipped.').replace('%d', data.error_count - data.errors.length)
+                    ));
+                }
+
+                $result.empty().append($('<p>').text(data.message), data.errors.length > 0 ? $errors : '');
+                self.render(data.entries);
+            }, function () {
+                $btn.prop('disabled', false);
+            }, function (message) {
+                $result.addClass('ewheel-preview-error').text(message);
+            });
+        },
+
+        check: function () {
+            var self = this;
+            var $btn = $('#ewheel-glossary-check');
+
+            $btn.prop('disabled', true);
+            $('#ewheel-glossary-retranslate').hide();
+            this.showStatus('#ewheel-glossary-check-status', ewheelImporter.strings.glossaryChecking || 'Checking cached translations...');
+
+            this.post({ action: 'ewheel_check_glossary' }, function (data) {
+                self.showStatus('#ewheel-glossary-check-status', data.message);
+                self.renderReport(data);
+            }, function () {
+                $btn.prop('disabled', false);
+            }, function (message) {
+                self.showStatus('#ewheel-glossary-check-status', message, true);
+            });
+        },
+
+        renderReport: function (data) {
+            var self = this;
+            var strings = ewheelImporter.strings;
+            var $report = $('#ewheel-glossary-report');
+            var $body = $('<tbody>');
+
+            this.flagged = [];
+
+            if (data.violations.length === 0) {
+                $report.empty();
+                return;
+            }
+
+            $.each(data.violations, function (i, row) {
+                var approved = parseInt(row.approved, 10) === 1;
+                var $terms = $('<ul class="ewheel-glossary-terms">');
+
+                $.each(row.terms, function (j, term) {
+                    $terms.append($('<li>').append(
+                        $('<code>').text(term.source),
+                        ' → ',
+                        $('<code>').text(term.expected)
+                    ));
+                });
+
+                if (!approved) {
+                    self.flagged.push(row.id);
+                }
+
+                $body.append($('<tr>').attr('data-id', row.id).append(
+                    $('<td class="ewheel-translation-source">').append(
+                        $('<div class="ewheel-translation-meta">').append(
+                            $('<span class="ewheel-status-badge">').text(row.context === 'title'
+                                ? (strings.translationTitle || 'Title')
+                                : (strings.translationDescription || 'Description')),
+                            ' ',
+                            $('<span>').text((row.service || '') + ' · ' + (row.created_at || ''))
+                        ),
+                        $('<div class="ewheel-translation-text">').text(row.source_text)
+                    ),
+                    $('<td class="ewheel-translation-target">').append(
+                        $('<div class="ewheel-translation-text">').text(row.translated_text),
+                        approved ? $('<span class="ewheel-status-badge completed">').text(strings.translationApproved || 'Approved') : ''
+                    ),
+                    $('<td>').append(
+                        $('<div class="ewheel-translation-meta">').text(strings.glossaryMissing || 'Missing terms'),
+                        $terms
+                    )
+                ));
+            });
+
+            $report.empty().append($('<table class="ewheel-history-table ewheel-translation-table">').append($body));
+
+            if (data.violation_count > data.violations.length) {
+                $report.append($('<p class="description">').text(
+                    (strings.glossaryMoreFlagged || 'Showing the first %1$d of %2$d flagged translations.')
+                        .replace('%1$d', data.violations.length)
+                        .replace('%2$d', data.violation_count)
+                ));
+            }
+
+            $('#ewheel-glossary-retranslate').toggle(this.flagged.length > 0);
+        },
+
+        retranslate: function () {
+            var self = this;
+            var strings = ewheelImporter.strings;
+            var ids = this.flagged.slice();
+            var chunks = [];
+            var done = 0;
+            var $btn = $('#ewheel-glossary-retranslate');
+
+            if (!confirm((strings.translationsRetranslateConfirm || 'Send %d translations through the translation driver again? Approved ones are skipped.').replace('%d', ids.length))) {
+                return;
+            }
+
+            // The server takes 25 entries per request, one driver batch
+            for (var i = 0; i < ids.length; i += 25) {
+                chunks.push(ids.slice(i, i + 25));
+            }
+
+            $btn.prop('disabled', true);
+
+            var next = function () {
+                if (chunks.length === 0) {
+                    $btn.prop('disabled', false);
+                    self.check();
+                    return;
+                }
+
+                var chunk = chunks.shift();
+                self.showStatus(
+                    '#ewheel-glossary-check-status',
+                    (strings.translationsRetranslating || 'Re-translating %1$d of %2$d...')
+                        .replace('%1$d', done + chunk.length)
+                        .replace('%2$d', ids.length)
+                );
+
+                self.post({ action: 'ewheel_retranslate', ids: chunk }, function () {
+                    done += chunk.length;
+                    next();
+                }, null, function (message) {
+                    $btn.prop('disabled', false);
+                    self.showStatus('#ewheel-glossary-check-status', message, true);
+                });
+            };
+
+            next();
+        },
+
+        post: function (data, onSuccess, onComplete, onError) {
+            var self = this;
+            var fail = onError || function (message) {
+                self.showStatus('#ewheel-glossary-status', message, true);
+            };
+
+            data.nonce = ewheelImporter.nonce;
+
+            $.post(ewheelImporter.ajaxUrl, data, function (response) {
+                if (!response.success) {
+                    fail(response.data.message);
+                    return;
+                }
+
+                onSuccess(response.data);
+            }).fail(function (xhr) {
+                var error = xhr.responseJSON && xhr.responseJSON.data;
+
+                fail((error && error.message) || ewheelImporter.strings.translationRequestFailed || 'Request failed.');
+            }).always(function () {
+                if (onComplete) {
+                    onComplete();
+                }
+            });
+        },
+
+        showStatus: function (selector, message, isError) {
+            $(selector)
+                .toggleClass('ewheel-preview-error', !!isError)
+                .text(message || '');
+        }
+    };
+
+    var ProductInspector = {
+        init: function () {
+            var self = this;
+
+            if ($('#tab-inspect').length === 0) {
+                return;
+            }
+
+            $('#ewheel-inspect-lookup').on('click', function () {
+                self.inspect();
+            });
+            $('#ewheel-inspect-sync').on('click', function () {
+                self.sync();
+            });
+            $('#ewheel-inspect-identifier').on('keypress', function (e) {
+                if (e.which === 13) {
+                    self.inspect();
+                }
+            }).on('input', function () {
+                $('#ewheel-inspect-sync').prop('disabled', true);
+            });
+
+            // Deep link from the products list "Inspect" row action
+            var params = new URLSearchParams(window.location.search);
+            if (params.get('tab') === 'inspect') {
+                $('.ewheel-tab[data-tab="inspect"]').trigger('click');
+                if (params.get('identifier')) {
+                    $('#ewheel-inspect-identifier').val(params.get('identifier'));
+                    this.inspect();
+                }
+            }
+        },
+
+        inspect: function () {
+            var self = this;
+            var strings = ewheelImporter.strings;
+
+            this.request('ewheel_inspect_product', strings.inspectLoading || 'Looking up product...', function (data) {
+                self.renderMatches(data.matches);
+                $('#ewheel-inspect-sync-result').hide();
+                $('#ewheel-inspect-raw').text(JSON.stringify(data.raw, null, 2));
+                $('#ewheel-inspect-transformed').text(JSON.stringify(data.transformed, null, 2));
+                $('#ewheel-inspect-result').show();
+                $('#ewheel-inspect-sync').prop('disabled', false);
+                self.showStatus(data.reference);
+            });
+        },
+
+        sync: function () {
+            var self = this;
+            var strings = ewheelImporter.strings;
+
+            this.request('ewheel_sync_single_product', strings.inspectSyncing || 'Syncing product...', function (data) {
+                var results = data.results;
+
+                self.renderMatches(data.matches);
+                $('#ewheel-inspect-sync-summary').text(
+                    (strings.inspectSynced || '%1$d created, %2$d updated, %3$d failed.')
+                        .replace('%1$d', results.created)
+                        .replace('%2$d', results.updated)
+                        .replace('%3$d', results.errors)
+                );
+                self.renderLogs(data.logs);
+                $('#ewheel-inspect-sync-result').show();
+                $('#ewheel-inspect-result').show();
+                $('#ewheel-inspect-sync').prop('disabled', false);
+                self.showStatus(data.reference);
+            });
+        },
+
+        request: function (action, loadingText, onSuccess) {
+            var self = this;
+            var identifier = $.trim($('#ewheel-inspect-identifier').val());
+            var $buttons = $('#ewheel-inspect-lookup, #ewheel-inspect-sync');
+
+            if (!identifier) {
+                return;
+            }
+
+            $buttons.prop('disabled', true);
+            this.showStatus(loadingText);
+
+            $.post(ewheelImporter.ajaxUrl, {
+                action: action,
+                nonce: ewheelImporter.nonce,
+                identifier: identifier
+            }, function (response) {
+                $('#ewheel-inspect-lookup').prop('disabled', false);
+
+                if (!response.success) {
+                    self.showStatus(response.data.message, true);
+                    return;
+                }
+
+                onSuccess(response.data);
+            }).fail(function (xhr) {
+                var data = xhr.responseJSON && xhr.responseJSON.data;
+
+                $('#ewheel-inspect-lookup').prop('disabled', false);
+                self.showStatus(
+                    (data && data.message) || ewheelImporter.strings.inspectFailed || 'Request failed.',
+                    true
+                );
+            });
+        },
+
+        renderMatches: function (matches) {
+            var strings = ewheelImporter.strings;
+            var $body = $('#ewheel-inspect-matches').empty();
+
+            $.each(matches, function (i, match) {
+                var $product = $('<td>');
+
+                if (match.product_id) {
+                    $product.append(
+                        $('<span>').text('#' + match.product_id + ' ' + match.product_name + ' (' + match.product_status + ') ')
+                    );
+                    if (match.edit_url) {
+                        $product.append($('<a target="_blank">').attr('href', match.edit_url).text(strings.inspectEdit || 'Edit'));
+                    }
+                } else {
+                    $product.append($('<em>').text(strings.inspectNoMatch || 'Not in WooCommerce yet; a sync creates it.'));
+                }
+
+                $body.append($('<tr>').append(
+                    $('<td>').append($('<code>').text(match.sku)),
+                    $('<td>').append($('<code>').text(match.reference)),
+                    $('<td>').text(match.name),
+                    $product
+                ));
+            });
+        },
+
+        renderLogs: function (logs) {
+            var $logs = $('#ewheel-inspect-logs').empty();
+
+            if (!logs || logs.length === 0) {
+                $logs.append($('<p>').text(ewheelImporter.strings.inspectNoLogs || 'No log lines were recorded.'));
+                return;
+            }
+
+            $.each(logs, function (i, log) {
+                $logs.append($('<div class="ewheel-inspect-log">').addClass('ewheel-inspect-log-' + log.level).append(
+                    $('<span class="ewheel-inspect-log-time">').text(log.created_at),
+                    $('<span class="ewheel-inspect-log-level">').text(log.level),
+                    $('<span>').text((log.product_sku ? '[' + log.product_sku + '] ' : '') + log.message)
+                ));
+            });
+        },
+
+        showStatus: function (message, isError) {
+            $('#ewheel-inspect-status')
+                .toggleClass('ewheel-preview-error', !!isError)
+                .text(message || '');
+        }
+    };
+
+    var DiscontinuedReview = {
+        $container: null,
+        loaded: false,
+
+        init: function () {
+            var self = this;
+
+            this.$container = $('#ewheel-discontinued-container');
+            if (this.$container.length === 0) {
+                return;
+            }
+
+            $('.ewheel-tab[data-tab="discontinued"]').on('click', function () {
+                if (!self.loaded) {
+                    self.load();
+                }
+            });
+
+            $('#ewheel-discontinued-state').on('change', function () {
+                self.load();
+            });
+            $('#ewheel-discontinued-scan').on('click', this.scan.bind(this));
+            $('#ewheel-discontinued-reconcile').on('click', this.reconcile.bind(this));
+            $('#ewheel-discontinued-apply').on('click', this.applyBulk.bind(this));
+            $('#ewheel-discontinued-select-all').on('change', function () {
+                self.$container.find('.ewheel-discontinued-select').prop('checked', $(this).is(':checked'));
+            });
+        },
+
+        load: function () {
+            var self = this;
+
+            this.loaded = true;
+            this.post({ action: 'ewheel_get_discontinued' }, ewheelImporter.strings.discontinuedLoading || 'Loading products...', function (data) {
+                self.render(data);
+                self.showStatus('');
+            });
+        },
+
+        scan: function () {
+            var self = this;
+            var $btn = $('#ewheel-discontinued-scan').prop('disabled', true);
+
+            this.post({ action: 'ewheel_scan_feed' }, ewheelImporter.strings.discontinuedScanning || 'Reading the ewheel feed...', function (data) {
+                self.render(data);
+                self.showStatus('');
+            }, function () {
+                $btn.prop('disabled', false);
+            });
+        },
+
+        reconcile: function () {
+            var self = this;
+
+            if (!confirm(ewheelImporter.strings.discontinuedReconcileConfirm || 'Apply the profile\'s discontinued policy to every pending product?')) {
+                return;
+            }
+
+            this.post({
+                action: 'ewheel_reconcile_products',
+                profile_id: $('#ewheel-discontinued-profile').val()
+            }, '', function (data) {
+                self.render(data.review);
+                self.showStatus(data.message);
+            });
+        },
+
+        applyBulk: function () {
+            var self = this;
+            var strings = ewheelImporter.strings;
+            var bulkAction = $('#ewheel-discontinued-bulk-action').val();
+            var ids = this.$container.find('.ewheel-discontinued-select:checked').map(function () {
+                return parseInt($(this).val(), 10);
+            }).get();
+
+            if (ids.length === 0) {
+                this.showStatus(strings.discontinuedSelectFirst || 'Select at least one product.', true);
+                return;
+            }
+
+            if (bulkAction === 'trash' && !confirm(strings.discontinuedTrashConfirm || 'Move the selected products to the trash?')) {
+                return;
+            }
+
+            this.post({
+                action: 'ewheel_discontinued_action',
+                bulk_action: bulkAction,
+                ids: ids
+            }, '', function (data) {
+                self.render(data.review);
+                self.showStatus(data.message);
+            });
+        },
+
+        post: function (data, loadingText, onSuccess, onComplete) {
+            var self = this;
+
+            data.nonce = ewheelImporter.nonce;
+            data.state = $('#ewheel-discontinued-state').val();
+
+            if (loadingText) {
+                this.showStatus(loadingText);
+            }
+
+            $.post(ewheelImporter.ajaxUrl, data, function (response) {
+                if (!response.success) {
+                    self.showStatus(response.data.message, true);
+                    return;
+                }
+
+                onSuccess(response.data);
+            }).fail(function (xhr) {
+                var error = xhr.responseJSON && xhr.responseJSON.data;
+
+                self.showStatus(
+                    (error && error.message) || ewheelImporter.strings.discontinuedFailed || 'Request failed.',
+                    true
+                );
+            }).always(function () {
+                if (onComplete) {
+                    onComplete();
+                }
+            });
+        },
+
+        render: function (data) {
+            var self = this;
+            var strings = ewheelImporter.strings;
+            var snapshot = data.snapshot;
+
+            $('#ewheel-discontinued-snapshot').text(snapshot
+                ? (strings.discontinuedSnapshot || 'Feed checked %1$s: %2$d references.')
+                    .replace('%1$s', snapshot.checked_at)
+                    .replace('%2$d', snapshot.count)
+                : (strings.discontinuedNoSnapshot || 'The feed has not been checked yet, so only products handled earlier are listed.'));
+            $('#ewheel-discontinued-select-all').prop('checked', false);
+
+            if (data.products.length === 0) {
+                this.$container.html($('<div class="ewheel-empty-state">').append(
+                    $('<p>').text(strings.discontinuedEmpty || 'No discontinued products.')
+                ));
+                return;
+            }
+
+            var $body = $('<tbody>');
+            $.each(data.products, function (i, product) {
+                $body.append(self.renderRow(product));
+            });
+
+            this.$container.empty().append(
+                $('<table class="widefat striped ewheel-discontinued-table">').append(
+                    $('<thead>').append($('<tr>').append(
+                        $('<td class="check-column">'),
+                        $('<th>').text(strings.discontinuedProduct || 'Product'),
+                        $('<th>').text(strings.discontinuedState || 'State'),
+                        $('<th>').text(strings.discontinuedStock || 'Stock'),
+                        $('<th>').text(strings.discontinuedLastSeen || 'Last seen in feed'),
+                        $('<th>').text(strings.discontinuedSales || 'Sold (90 days)')
+                    )),
+                    $body
+                )
+            );
+
+            if (data.total > data.products.length) {
+                this.$container.append($('<p class="description">').text(
+                    (strings.discontinuedTruncated || 'Showing the first %1$d of %2$d products.')
+                        .replace('%1$d', data.products.length)
+                        .replace('%2$d', data.total)
+                ));
+            }
+        },
+
+        renderRow: function (product) {
+            var strings = ewheelImporter.strings;
+            var $state = $('<td>').append(
+                $('<span class="ewheel-status-badge">')
+                    .addClass('ewheel-discontinued-' + product.state)
+                    .text(strings['discontinuedState_' + product.state] || product.state),
+                ' ',
+                $('<span class="description">').text(product.status + (product.discontinued_at ? ' · ' + product.discontinued_at : ''))
+            );
+
+            if (product.excluded && product.state !== 'excluded') {
+                $state.append(' ', $('<span class="ewheel-status-badge ewheel-discontinued-excluded">').text(strings.discontinuedExcluded || 'Excluded'));
+            }
+
+            return $('<tr>').append(
+                $('<th class="check-column">').append(
+                    $('<input type="checkbox" class="ewheel-discontinued-select">').val(product.id)
+                ),
+                $('<td>').append(
+                    product.edit_url
+                        ? $('<a target="_blank">').attr('href', product.edit_url).text(product.name)
+                        : $('<span>').text(product.name),
+                    $('<br>'),
+                    $('<code>').text(product.sku || product.reference)
+                ),
+                $state,
+                $('<td>').text(
+                    (product.stock_quantity !== null ? product.stock_quantity + ' · ' : '') + product.stock_status
+                ),
+                $('<td>').text(product.last_seen || (strings.discontinuedNever || 'never')),
+                $('<td>').text(product.sales)
+            );
+        },
+
+        showStatus: function (message, isError) {
+            $('#ewheel-discontinued-status')
+                .toggleClass('ewheel-preview-error', !!isError)
+                .text(message || '');
+        }
+    };
+
+    var StockSync = {
+        POLL_INTERVAL: 5000,
+        timer: null,
+
+        init: function () {
+            if ($('#ewheel-stock-sync-summary').length === 0) {
+                return;
+            }
+
+            $('#ewheel-run-stock-sync').on('click', this.run.bind(this));
+            $('#ewheel-stock-sync-summary').on('click', '.ewheel-stock-sync-details', function (e) {
+                e.preventDefault();
+                $('.ewheel-tab[data-tab="history"]').trigger('click');
+                EwheelImporter.openSyncRun($(this).data('sync-id'));
+            });
+
+            this.load();
+        },
+
+        load: function () {
+            var self = this;
+
+            $.post(ewheelImporter.ajaxUrl, {
+                action: 'ewheel_get_stock_sync_status',
+                nonce: ewheelImporter.nonce
+            }, function (response) {
+                if (response.success) {
+                    self.render(response.data);
+                }
+            });
+        },
+
+        run: function () {
+            var self = this;
+            var $btn = $('#ewheel-run-stock-sync').prop('disabled', true);
+
+            $.post(ewheelImporter.ajaxUrl, {
+                action: 'ewheel_run_stock_sync',
+                nonce: ewheelImporter.nonce
+            }, function (response) {
+                if (!response.success) {
+                    $btn.prop('disabled', false);
+                    self.showState(response.data.message, true);
+                    return;
+                }
+
+                self.render(response.data);
+            }).fail(function (xhr) {
+                var error = xhr.responseJSON && xhr.responseJSON.data;
+
+                $btn.prop('disabled', false);
+                self.showState((error && error.message) || ewheelImporter.strings.stockSyncError || 'Request failed.', true);
+            });
+        },
+
+        render: function (status) {
+            var self = this;
+            var strings = ewheelImporter.strings;
+            var $summary = $('#ewheel-stock-sync-summary').empty();
+
+            clearTimeout(this.timer);
+            $('#ewheel-run-stock-sync').prop('disabled', !!status.busy);
+
+            if (status.busy) {
+                this.showState(status.status === 'running'
+                    ? (strings.stockSyncRunning || 'Updating stock and prices...')
+                    : (strings.stockSyncQueued || 'Stock sync queued...'));
+                this.timer = setTimeout(function () {
+                    self.load();
+                }, this.POLL_INTERVAL);
+            } else {
+                this.showState('');
+            }
+
+            if (status.status === 'failed') {
+                $summary.append($('<p class="ewheel-preview-error">').text(
+                    (strings.stockSyncFailed || 'Last run %1$s failed: %2$s')
+                        .replace('%1$s', status.finished_at)
+                        .replace('%2$s', status.error || '')
+                ));
+            } else if (status.finished_at) {
+                $summary.append($('<p>').text(
+                    (strings.stockSyncSummary || 'Last run %1$s: %2$d updated (%3$d price changes), %4$d unchanged.')
+                        .replace('%1$s', status.finished_at)
+                        .replace('%2$d', status.updated || 0)
+                        .replace('%3$d', status.price_changes || 0)
+                        .replace('%4$d', status.unchanged || 0)
+                ));
+            } else if (!status.busy) {
+                $summary.append($('<p class="description">').text(strings.stockSyncNever || 'The stock sync has not run yet.'));
+            }
+
+            if (status.status_changes && status.status_changes.length > 0) {
+                var $list = $('<ul class="ewheel-stock-sync-changes">');
+
+                $.each(status.status_changes, function (i, change) {
+                    $list.append($('<li>').append(
+                        change.edit_url
+                            ? $('<a target="_blank">').attr('href', change.edit_url).text(change.sku)
+                            : $('<code>').text(change.sku),
+                        ' ',
+                        $('<span class="ewheel-status-badge">')
+                            .addClass('ewheel-stock-' + change.new)
+                            .text(strings['stockStatus_' + change.new] || change.new),
+                        ' ',
+                        $('<span class="description">').text(change.name)
+                    ));
+                });
+
+                $summary.append(
+                    $('<p>').text((strings.stockSyncStatusChanges || 'Stock status changed on %d products:').replace('%d', status.status_change_count)),
+                    $list
+                );
+
+                if (status.status_change_count > status.status_changes.length) {
+                    $summary.append($('<p class="description">').text(
+                        (strings.stockSyncTruncated || 'Showing %1$d of %2$d.')
+                            .replace('%1$d', status.status_changes.length)
+                            .replace('%2$d', status.status_change_count)
+                    ));
+                }
+            }
+
+            if (status.sync_id && status.status === 'completed') {
+                $summary.append($('<p>').append(
+                    $('<a href="#" class="ewheel-stock-sync-details">')
+                        .attr('data-sync-id', status.sync_id)
+                        .text(strings.stockSyncDetails || 'Run details')
+                ));
+            }
+
+            if (status.next_run) {
+                $summary.append($('<p class="description">').text(
+                    (strings.stockSyncNext || 'Next scheduled run: %s').replace('%s', status.next_run)
+                ));
+            }
+        },
+
+        showState: function (message, isError) {
+            $('#ewheel-stock-sync-state')
+                .toggleClass('ewheel-preview-error', !!isError)
+                .text(message || '');
+        }
+    };
+
+    var ImageManager = {
+        $container: null,
+        page: 1,
+        perPage: 50,
+        total: 0,
+        loaded: false,
+        REFRESH_CHUNK: 10,
+
+        init: function () {
+            var self = this;
+
+            this.$container = $('#ewheel-images-container');
+            if (this.$container.length === 0) {
+                return;
+            }
+
+            $('.ewheel-tab[data-tab="images"]').on('click', function () {
+                if (!self.loaded) {
+                    self.load(1);
+                }
+            });
+
+            $('#ewheel-images-status').on('change', function () {
+                self.load(1);
+            });
+            $('#ewheel-images-search').on('keypress', function (e) {
+                if (e.which === 13) {
+                    self.load(1);
+                }
+            });
+            $('#ewheel-image-counts').on('click', '.ewheel-image-count', function () {
+                $('#ewheel-images-status').val($(this).data('status'));
+                self.load(1);
+            });
+            $('#ewheel-images-prev').on('click', function () {
+                self.load(self.page - 1);
+            });
+            $('#ewheel-images-next').on('click', function () {
+                self.load(self.page + 1);
+            });
+
+            $('#ewheel-images-select-all').on('change', function () {
+                self.$container.find('.ewheel-image-select').prop('checked', $(this).is(':checked'));
+            });
+            $('#ewheel-images-retry').on('click', function () {
+                var ids = self.getSelected();
+
+                if (ids.length === 0) {
+                    self.showStatus(ewheelImporter.strings.imagesSelectFirst || 'Select at least one image.', true);
+                    return;
+                }
+
+                self.retry(ids);
+            });
+            $('#ewheel-images-retry-all').on('click', function () {
+                if (confirm(ewheelImporter.strings.imagesRetryAllConfirm || 'Queue every failed download again?')) {
+                    self.retry([]);
+                }
+            });
+            $('#ewheel-images-refresh').on('click', this.refresh.bind(this));
+            $('#ewheel-images-process').on('click', this.processNow.bind(this));
+            $('#ewheel-images-duplicates').on('click', this.loadDuplicates.bind(this));
+        },
+
+        load: function (page) {
+            var self = this;
+
+            this.loaded = true;
+            this.page = Math.max(1, page);
+            $('#ewheel-images-select-all').prop('checked', false);
+            this.$container.html($('<div class="ewheel-empty-state">').append(
+                $('<p>').text(ewheelImporter.strings.imagesLoading || 'Loading images...')
+            ));
+
+            this.post({
+                action: 'ewheel_get_image_queue',
+                page: this.page,
+                status: $('#ewheel-images-status').val(),
+                search: $('#ewheel-images-search').val()
+            }, function (data) {
+                self.page = data.page;
+                self.perPage = data.per_page;
+                self.total = data.total;
+                self.renderCounts(data.counts);
+                self.render(data.items);
+                self.renderPagination();
+            });
+        },
+
+        getSelected: function () {
+            return this.$container.find('.ewheel-image-select:checked').map(function () {
+                return parseInt($(this).val(), 10);
+            }).get();
+        },
+
+        retry: function (ids) {
+            var self = this;
+            var $buttons = $('#ewheel-images-retry, #ewheel-images-retry-all');
+
+            // An empty list retries every failed download
+            $buttons.prop('disabled', true);
+            this.post({ action: 'ewheel_retry_images', ids: ids }, function (data) {
+                self.showStatus(data.message);
+                self.load(self.page);
+            }, function () {
+                $buttons.prop('disabled', false);
+            });
+        },
+
+        refresh: function () {
+            var self = this;
+            var strings = ewheelImporter.strings;
+            var ids = this.$container.find('.ewheel-image-select:checked').filter(function () {
+                return $(this).data('status') === 'completed';
+            }).map(function () {
+                return parseInt($(this).val(), 10);
+            }).get();
+            var totals = { changed: 0, unchanged: 0, failed: 0 };
+            var $btn = $('#ewheel-images-refresh');
+            var offset = 0;
+
+            if (ids.length === 0) {
+                this.showStatus(
+                    this.getSelected().length > 0
+                        ? (strings.imagesRefreshCompletedOnly || 'Only completed downloads can be refreshed.')
+                        : (strings.imagesSelectFirst || 'Select at least one image.'),
+                    true
+                );
+                return;
+            }
+
+            // Each image is downloaded again, so send the selection in small chunks
+            var next = function () {
+                if (offset >= ids.length) {
+                    $btn.prop('disabled', false);
+                    self.showStatus((strings.imagesRefreshed || '%1$d replaced, %2$d unchanged, %3$d failed.')
+                        .replace('%1$d', totals.changed)
+                        .replace('%2$d', totals.unchanged)
+                        .replace('%3$d', totals.failed));
+                    self.load(self.page);
+                    return;
+                }
+
+                self.showStatus((strings.imagesRefreshing || 'Checking images %1$d of %2$d...')
+                    .replace('%1$d', offset)
+                    .replace('%2$d', ids.length));
+
+                self.post({
+                    action: 'ewheel_refresh_images',
+                    ids: ids.slice(offset, offset + self.REFRESH_CHUNK)
+                }, function (data) {
+                    totals.changed += data.changed;
+                    totals.unchanged += data.unchanged;
+                    totals.failed += data.failed;
+                    offset += self.REFRESH_CHUNK;
+                    next();
+                }, null, function (message) {
+                    $btn.prop('disabled', false);
+                    self.showStatus(message, true);
+                });
+            };
+
+            $btn.prop('disabled', true);
+            next();
+        },
+
+        processNow: function () {
+            var self = this;
+            var $btn = $('#ewheel-images-process').prop('disabled', true);
+
+            this.post({ action: 'ewheel_process_images' }, function (data) {
+                self.showStatus(data.message);
+                self.load(self.page);
+            }, function () {
+                $btn.prop('disabled', false);
+            });
+        },
+
+        loadDuplicates: function () {
+            var strings = ewheelImporter.strings;
+            var $target = $('#ewheel-images-duplicates-container');
+            var $btn = $('#ewheel-images-duplicates').prop('disabled', true);
+
+            $target.html($('<p>').text(strings.imagesLoading || 'Loading images...'));
+
+            this.post({ action: 'ewheel_get_image_duplicates' }, function (data) {
+                if (data.duplicates.length === 0) {
+                    $target.html($('<p>').text(strings.imagesDuplicatesEmpty || 'No duplicate attachments found.'));
+                    return;
+                }
+
+                var $body = $('<tbody>');
+                $.each(data.duplicates, function (i, duplicate) {
+                    var $attachments = $('<td>');
+
+                    $.each(duplicate.attachments, function (j, attachment) {
+                        $attachments.append(
+                            $('<a target="_blank">').attr('href', attachment.edit_url).text('#' + attachment.id),
+                            attachment.id === duplicate.kept_id
+                                ? $('<span class="description">').text(' (' + (strings.imagesKept || 'in use') + ')')
+                                : '',
+                            ' '
+                        );
+                    });
+
+                    $body.append($('<tr>').append(
+                        $('<td class="ewheel-image-url">').append(
+                            $('<a target="_blank" rel="noopener noreferrer">').attr('href', duplicate.url).text(duplicate.url)
+                        ),
+                        $attachments
+                    ));
+                });
+
+                $target.empty().append($('<table class="widefat striped ewheel-image-table">').append(
+                    $('<thead>').append($('<tr>').append(
+                        $('<th>').text(strings.imagesSourceUrl || 'Source URL'),
+                        $('<th>').text(strings.imagesAttachments || 'Attachments')
+                    )),
+                    $body
+                ));
+            }, function () {
+                $btn.prop('disabled', false);
+            }, function (message) {
+                $target.html($('<p class="ewheel-preview-error">').text(message));
+            });
+        },
+
+        post: function (data, onSuccess, onComplete, onError) {
+            var self = this;
+            var fail = onError || function (message) {
+                self.showStatus(message, true);
+            };
+
+            data.nonce = ewheelImporter.nonce;
+
+            $.post(ewheelImporter.ajaxUrl, data, function (response) {
+                if (!response.success) {
+                    fail(response.data.message);
+                    return;
+                }
+
+                onSuccess(response.data);
+            }).fail(function (xhr) {
+                var error = xhr.responseJSON && xhr.responseJSON.data;
+
+                fail((error && error.message) || ewheelImporter.strings.imagesFailed || 'Request failed.');
+            }).always(function () {
+                if (onComplete) {
+                    onComplete();
+                }
+            });
+        },
+
+        renderCounts: function (counts) {
+            $('#ewheel-image-counts .ewheel-image-count').each(function () {
+                $(this).find('strong').text(counts[$(this).data('status')] || 0);
+            });
+        },
+
+        render: function (items) {
+            var self = this;
+            var strings = ewheelImporter.strings;
+
+            if (items.length === 0) {
+                this.$container.html($('<div class="ewheel-empty-state">').append(
+                    $('<p>').text(strings.imagesEmpty || 'No images in the queue.')
+                ));
+                return;
+            }
+
+            var $body = $('<tbody>');
+            $.each(items, function (i, item) {
+                $body.append(self.renderRow(item));
+            });
+
+            this.$container.empty().append(
+                $('<table class="widefat striped ewheel-image-table">').append(
+                    $('<thead>').append($('<tr>').append(
+                        $('<td class="check-column">'),
+                        $('<th>').text(strings.imagesImage || 'Image'),
+                        $('<th>').text(strings.imagesProduct || 'Product'),
+                        $('<th>').text(strings.imagesStatus || 'Status'),
+                        $('<th>').text(strings.imagesAttempts || 'Attempts'),
+                        $('<th>').text(strings.imagesError || 'Last error'),
+                        $('<th>').text(strings.imagesUpdated || 'Updated')
+                    )),
+                    $body
+                )
+            );
+        },
+
+        renderRow: function (item) {
+            var strings = ewheelImporter.strings;
+
+            return $('<tr>').append(
+                $('<th class="check-column">').append(
+                    $('<input type="checkbox" class="ewheel-image-select">').val(item.id).attr('data-status', item.status)
+                ),
+                $('<td class="ewheel-image-url">').append(
+                    $('<a target="_blank" rel="noopener noreferrer">').attr('href', item.url).text(item.url),
+                    parseInt(item.attachment_id, 10) > 0
+                        ? $('<div class="description">').text('#' + item.attachment_id)
+                        : ''
+                ),
+                $('<td>').append(
+                    item.edit_url
+                        ? $('<a target="_blank">').attr('href', item.edit_url).text(item.product_name || ('#' + item.product_id))
+                        : $('<span>').text(item.product_name || ('#' + item.product_id))
+                ),
+                $('<td>').append(
+                    $('<span class="ewheel-status-badge">')
+                        .addClass('ewheel-image-' + item.status)
+                        .text(strings['imagesStatus_' + item.status] || item.status)
+                ),
+                $('<td>').text(item.attempts),
+                $('<td class="ewheel-image-error">').text(item.last_error || ''),
+                $('<td>').text(item.updated_at)
+            );
+        },
+
+        renderPagination: function () {
+            var first = this.total === 0 ? 0 : (this.page - 1) * this.perPage + 1;
+            var last = Math.min(this.page * this.perPage, this.total);
+
+            $('#ewheel-images-pagination').toggle(this.total > 0);
+            $('#ewheel-images-info').text(
+                (ewheelImporter.strings.imagesShowing || 'Showing %1$d-%2$d of %3$d')
+                    .replace('%1$d', first)
+                    .replace('%2$d', last)
+                    .replace('%3$d', this.total)
+            );
+            $('#ewheel-images-prev').prop('disabled', this.page <= 1);
+            $('#ewheel-images-next').prop('disabled', last >= this.total);
+        },
+
+        showStatus: function (message, isError) {
+            $('#ewheel-images-status-message')
+                .toggleClass('ewheel-preview-error', !!isError)
+                .text(message || '');
+        }
+    };
+
+    var VariationMatrix = {
+        $container: null,
+        page: 1,
+        perPage: 20,
+        total: 0,
+        loaded: false,
+        group: null,
+
+        init: function () {
+            var self = this;
+
+            this.$container = $('#ewheel-variation-groups-container');
+            if (this.$container.length === 0) {
+                return;
+            }
+
+            $('.ewheel-tab[data-tab="variations"]').on('click', function () {
+                if (!self.loaded) {
+                    self.load(1);
+                }
+            });
+
+            $('#ewheel-variation-search').on('keypress', function (e) {
+                if (e.which === 13) {
+                    self.load(1);
+                }
+            });
+            $('#ewheel-variation-overridden').on('change', function () {
+                self.load(1);
+            });
+            $('#ewheel-variation-prev').on('click', function () {
+                self.load(self.page - 1);
+            });
+            $('#ewheel-variation-next').on('click', function () {
+                self.load(self.page + 1);
+            });
+
+            this.$container.on('click', '.ewheel-variation-open', function (e) {
+                e.preventDefault();
+                self.open($(this).data('base'));
+            });
+            $('#ewheel-variation-merged-from').on('click', '.ewheel-variation-open', function (e) {
+                e.preventDefault();
+                self.open($(this).data('base'));
+            });
+
+            $('#ewheel-variation-save').on('click', function () {
+                self.save({
+                    mode: $('#ewheel-variation-mode').val(),
+                    merge_into: $.trim($('#ewheel-variation-merge-into').val()),
+                    split: $('#ewheel-variation-matrix .ewheel-variation-split:checked').map(function () {
+                        return $(this).val();
+                    }).get()
+                });
+            });
+            $('#ewheel-variation-reset').on('click', function () {
+                if (confirm(ewheelImporter.strings.variationsResetConfirm || 'Remove the override of this group? The next sync groups it automatically again.')) {
+                    self.save({ mode: '', merge_into: '', split: [] });
+                }
+            });
+            $('#ewheel-variation-sync').on('click', this.syncGroup.bind(this));
+        },
+
+        load: function (page) {
+            var self = this;
+
+            this.loaded = true;
+            this.page = Math.max(1, page);
+            this.$container.html($('<div class="ewheel-empty-state">').append(
+                $('<p>').text(ewheelImporter.strings.variationsLoading || 'Loading groups...')
+            ));
+
+            this.post({
+                action: 'ewheel_get_variation_groups',
+                page: this.page,
+                search: $('#ewheel-variation-search').val(),
+                overridden: $('#ewheel-variation-overridden').is(':checked') ? 1 : 0
+            }, function (data) {
+                self.page = data.page;
+                self.perPage = data.per_page;
+                self.total = data.total;
+                self.renderGroups(data.groups);
+                self.renderPagination();
+            }, null, function (message) {
+                self.$container.html($('<p class="ewheel-preview-error">').text(message));
+            });
+        },
+
+        renderGroups: function (groups) {
+            var self = this;
+            var strings = ewheelImporter.strings;
+
+            if (groups.length === 0) {
+                this.$container.html($('<div class="ewheel-empty-state">').append(
+                    $('<p>').text(strings.variationsEmpty || 'No imported groups found.')
+                ));
+                return;
+            }
+
+            var $body = $('<tbody>');
+            $.each(groups, function (i, group) {
+                $body.append($('<tr>').append(
+                    $('<td>').append(
+                        $('<a href="#" class="ewheel-variation-open">').attr('data-base', group.base).text(group.base)
+                    ),
+                    $('<td>').text(group.products),
+                    $('<td>').text(group.variations),
+                    $('<td>').text(self.describeOverride(group.override, group.merged_from))
+                ));
+            });
+
+            this.$container.empty().append(
+                $('<table class="widefat striped ewheel-variation-table">').append(
+                    $('<thead>').append($('<tr>').append(
+                        $('<th>').text(strings.variationsBase || 'Reference base'),
+                        $('<th>').text(strings.variationsProducts || 'Products'),
+                        $('<th>').text(strings.variationsVariations || 'Variations'),
+                        $('<th>').text(strings.variationsOverride || 'Override')
+                    )),
+                    $body
+                )
+            );
+        },
+
+        describeOverride: function (override, mergedFrom) {
+            var strings = ewheelImporter.strings;
+            var parts = [];
+
+            if (override && override.mode) {
+                parts.push(override.mode === 'simple'
+                    ? (strings.variationsModeSimple || 'Simple products')
+                    : (strings.variationsModeVariable || 'Variable product'));
+            }
+            if (override && override.split.length > 0) {
+                parts.push((strings.variationsSplitCount || '%d split').replace('%d', override.split.length));
+            }
+            if (override && override.merge_into) {
+                parts.push((strings.variationsMergedInto || 'Merged into %s').replace('%s', override.merge_into));
+            }
+            if (mergedFrom && mergedFrom.length > 0) {
+                parts.push((strings.variationsMergedFrom || 'Merged in: %s').replace('%s', mergedFrom.join(', ')));
+            }
+
+            return parts.length > 0 ? parts.join('; ') : (strings.variationsAutomatic || 'Automatic');
+        },
+
+        open: function (base) {
+            var self = this;
+
+            this.showStatus(ewheelImporter.strings.variationsLoading || 'Loading groups...');
+            this.post({ action: 'ewheel_get_variation_group', base: base }, function (group) {
+                self.showStatus('');
+                self.renderGroup(group);
+                $('html, body').animate({ scrollTop: $('#ewheel-variation-group').offset().top - 40 }, 200);
+            });
+        },
+
+        renderGroup: function (group) {
+            var self = this;
+            var strings = ewheelImporter.strings;
+            var $matrix = $('#ewheel-variation-matrix').empty();
+            var split = group.override.split;
+            var simple = [];
+
+            this.group = group;
+
+            $('#ewheel-variation-group-title').text(
+                (strings.variationsGroupTitle || 'Group %s').replace('%s', group.base)
+            );
+            $('#ewheel-variation-mode').val(group.override.mode);
+            $('#ewheel-variation-merge-into').val(group.override.merge_into);
+            $('#ewheel-variation-sync').prop('disabled', !group.reference);
+
+            var $mergedFrom = $('#ewheel-variation-merged-from').empty();
+            if (group.merged_from.length > 0) {
+                var $p = $('<p>').text((strings.variationsMergedFromLabel || 'Groups merged into this one:') + ' ');
+                $.each(group.merged_from, function (i, base) {
+                    $p.append($('<a href="#" class="ewheel-variation-open">').attr('data-base', base).text(base), ' ');
+                });
+                $mergedFrom.append($p);
+            }
+
+            if (group.products.length === 0) {
+                $matrix.append($('<p class="description">').text(
+                    strings.variationsNoProducts || 'No products of this group are imported right now.'
+                ));
+            }
+
+            $.each(group.products, function (i, product) {
+                if (product.type !== 'variable') {
+                    simple.push(product);
+                    return;
+                }
+
+                $matrix.append(
+                    $('<h4>').append(
+                        $('<a target="_blank">').attr('href', product.edit_url).text(product.name),
+                        ' ',
+                        $('<span class="description">').text('(' + (strings.variationsVariable || 'variable') + ', ' + product.status + ')')
+                    ),
+                    self.renderTable(product.variations, product.attributes, split)
+                );
+            });
+
+            if (simple.length > 0) {
+                $matrix.append(
+                    $('<h4>').text(strings.variationsSimpleProducts || 'Simple products'),
+                    this.renderTable(simple, [], split, true)
+                );
+            }
+
+            $('#ewheel-variation-group').show();
+        },
+
+        renderTable: function (rows, attributes, split, withNames) {
+            var strings = ewheelImporter.strings;
+            var $head = $('<tr>').append(
+                $('<th class="check-column">').attr('title', strings.variationsSplit || 'Split out'),
+                $('<th>').text(strings.variationsSku || 'SKU')
+            );
+            var $body = $('<tbody>');
+
+            if (withNames) {
+                $head.append($('<th>').text(strings.variationsName || 'Name'));
+            }
+            $.each(attributes, function (i, attribute) {
+                $head.append($('<th>').text(attribute.name));
+            });
+            $head.append(
+                $('<th>').text(strings.variationsRegularPrice || 'Regular price'),
+                $('<th>').text(strings.variationsSalePrice || 'Sale price'),
+                $('<th>').text(strings.variationsStock || 'Stock')
+            );
+
+            $.each(rows, function (i, row) {
+                var $row = $('<tr>').append(
+                    $('<th class="check-column">').append(
+                        row.sku
+                            ? $('<input type="checkbox" class="ewheel-variation-split">').val(row.sku).prop('checked', split.indexOf(row.sku) !== -1)
+                            : ''
+                    ),
+                    $('<td>').append($('<code>').text(row.sku || '#' + row.id))
+                );
+
+                if (withNames) {
+                    $row.append($('<td>').append($('<a target="_blank">').attr('href', row.edit_url).text(row.name)));
+                }
+                $.each(attributes, function (j, attribute) {
+                    $row.append($('<td>').text(row.attributes[attribute.slug] || (strings.variationsAny || 'Any')));
+                });
+                $row.append(
+                    $('<td>').text(row.regular_price),
+                    $('<td>').text(row.sale_price),
+                    $('<td>').append(
+                        $('<span class="ewheel-status-badge">')
+                            .addClass('ewheel-stock-' + row.stock_status)
+                            .text((strings['stockStatus_' + row.stock_status] || row.stock_status)
+                                + (row.stock_quantity !== null ? ' (' + row.stock_quantity + ')' : ''))
+                    )
+                );
+
+                $body.append($row);
+            });
+
+            return $('<table class="widefat striped ewheel-variation-table">').append($('<thead>').append($head), $body);
+        },
+
+        save: function (override) {
+            var self = this;
+            var $buttons = $('#ewheel-variation-save, #ewheel-variation-reset');
+
+            if (!this.group) {
+                return;
+            }
+
+            $buttons.prop('disabled', true);
+            override.action = 'ewheel_save_variation_override';
+            override.base = this.group.base;
+
+            this.post(override, function (data) {
+                self.renderGroup(data.group);
+                self.showStatus(data.message);
+                self.load(self.page);
+            }, function () {
+                $buttons.prop('disabled', false);
+            });
+        },
+
+        syncGroup: function () {
+            var self = this;
+            var strings = ewheelImporter.strings;
+            var $btn = $('#ewheel-variation-sync').prop('disabled', true);
+            var base = this.group.base;
+
+            this.showStatus(strings.inspectSyncing || 'Syncing product...');
+            this.post({ action: 'ewheel_sync_single_product', identifier: this.group.reference }, function (data) {
+                self.showStatus((strings.inspectSynced || '%1$d created, %2$d updated, %3$d failed.')
+                    .replace('%1$d', data.results.created)
+                    .replace('%2$d', data.results.updated)
+                    .replace('%3$d', data.results.errors));
+                self.post({ action: 'ewheel_get_variation_group', base: base }, function (group) {
+                    self.renderGroup(group);
+                });
+            }, function () {
+                $btn.prop('disabled', false);
+            });
+        },
+
+        post: function (data, onSuccess, onComplete, onError) {
+            var self = this;
+            var fail = onError || function (message) {
+                self.showStatus(message, true);
+            };
+
+            data.nonce = ewheelImporter.nonce;
+
+            $.post(ewheelImporter.ajaxUrl, data, function (response) {
+                if (!response.success) {
+                    fail(response.data.message);
+                    return;
+                }
+
+                onSuccess(response.data);
+            }).fail(function (xhr) {
+                var error = xhr.responseJSON && xhr.responseJSON.data;
+
+                fail((error && error.message) || ewheelImporter.strings.variationsFailed || 'Request failed.');
+            }).always(function () {
+                if (onComplete) {
+                    onComplete();
+                }
+            });
+        },
+
+        renderPagination: function () {
+            var first = this.total === 0 ? 0 : (this.page - 1) * this.perPage + 1;
+            var last = Math.min(this.page * this.perPage, this.total);
+
+            $('#ewheel-variation-pagination').toggle(this.total > 0);
+            $('#ewheel-variation-info').text(
+                (ewheelImporter.strings.imagesShowing || 'Showing %1$d-%2$d of %3$d')
+                    .replace('%1$d', first)
+                    .replace('%2$d', last)
+                    .replace('%3$d', this.total)
+            );
+            $('#ewheel-variation-prev').prop('disabled', this.page <= 1);
+            $('#ewheel-variation-next').prop('disabled', last >= this.total);
+        },
+
+        showStatus: function (message, isError) {
+            $('#ewheel-variation-status')
+                .toggleClass('ewheel-preview-error', !!isError)
+                .text(message || '');
+        }
+    };
+
+    var ModelCompatibility = {
+        $container: null,
+        page: 1,
+        perPage: 25,
+        total: 0,
+        loaded: false,
+
+        init: function () {
+            var self = this;
+
+            this.$container = $('#ewheel-compat-container');
+            if (this.$container.length === 0) {
+                return;
+            }
+
+            $('.ewheel-tab[data-tab="models"]').on('click', function () {
+                if (!self.loaded) {
+                    self.load(1);
+                }
+            });
+
+            $('#ewheel-compat-filter').on('click', function () {
+                self.load(1);
+            });
+            $('#ewheel-compat-search').on('keypress', function (e) {
+                if (e.which === 13) {
+                    self.load(1);
+                }
+            });
+            $('#ewheel-compat-model, #ewheel-compat-unassigned').on('change', function () {
+                self.load(1);
+            });
+            $('#ewheel-compat-prev').on('click', function () {
+                self.load(self.page - 1);
+            });
+            $('#ewheel-compat-next').on('click', function () {
+                self.load(self.page + 1);
+            });
+
+            $('#ewheel-compat-select-all').on('change', function () {
+                self.$container.find('.ewheel-compat-check').prop('checked', $(this).is(':checked'));
+            });
+            $('#ewheel-compat-assign').on('click', function () {
+                self.changeSelected('add');
+            });
+            $('#ewheel-compat-unassign').on('click', function () {
+                self.changeSelected('remove');
+            });
+            this.$container.on('click', '.ewheel-compat-unlink', function () {
+                var $chip = $(this).closest('.ewheel-compat-model');
+                self.change('remove', [$chip.closest('tr').data('id')], [$chip.data('term')]);
+            });
+
+            $('#ewheel-compat-export').on('click', function () {
+                window.location.href = ewheelImporter.ajaxUrl + '?' + $.param({
+                    action: 'ewheel_export_model_compatibility',
+                    nonce: ewheelImporter.nonce
+                });
+            });
+            $('#ewheel-compat-import').on('click', function () {
+                $('#ewheel-compat-import-file').val('').trigger('click');
+            });
+            $('#ewheel-compat-import-file').on('change', function (e) {
+                var file = e.target.files[0];
+                if (!file) {
+                    return;
+                }
+
+                var reader = new FileReader();
+                reader.onload = function (event) {
+                    self.importCsv(event.target.result);
+                };
+                reader.readAsText(file);
+            });
+        },
+
+        load: function (page) {
+            var self = this;
+
+            this.loaded = true;
+            this.page = Math.max(1, page);
+            $('#ewheel-compat-select-all').prop('checked', false);
+            this.$container.html($('<div class="ewheel-empty-state">').append(
+                $('<p>').text(ewheelImporter.strings.compatLoading || 'Loading products...')
+            ));
+
+            this.post({
+                action: 'ewheel_get_model_compatibility',
+                page: this.page,
+                search: $('#ewheel-compat-search').val(),
+                model: $('#ewheel-compat-model').val(),
+                unassigned: $('#ewheel-compat-unassigned').is(':checked') ? 1 : 0
+            }, function (data) {
+                self.page = data.page;
+                self.perPage = data.per_page;
+                self.total = data.total;
+                self.renderModels(data.models);
+                self.renderProducts(data.products);
+                self.renderPagination();
+            }, null, function (message) {
+                self.$container.html($('<p class="ewheel-preview-error">').text(message));
+            });
+        },
+
+        renderModels: function (models) {
+            var $filter = $('#ewheel-compat-model');
+            var $bulk = $('#ewheel-compat-bulk-models');
+            var filterValue = $filter.val();
+            var bulkValue = $bulk.val() || [];
+
+            $filter.find('option:not(:first)').remove();
+            $bulk.empty();
+
+            $.each(models, function (i, model) {
+                var label = model.name + (model.model_id ? ' [' + model.model_id + ']' : '');
+
+                $filter.append($('<option>').val(model.term_id).text(label + ' (' + model.count + ')'));
+                $bulk.append($('<option>').val(model.term_id).text(label));
+            });
+
+            $filter.val(filterValue);
+            $bulk.val(bulkValue);
+        },
+
+        renderProducts: function (products) {
+            var strings = ewheelImporter.strings;
+
+            if (products.length === 0) {
+                this.$container.html($('<div class="ewheel-empty-state">').append(
+                    $('<p>').text(strings.compatEmpty || 'No products match these filters.')
+                ));
+                return;
+            }
+
+            var $body = $('<tbody>');
+            $.each(products, function (i, product) {
+                var $models = $('<td class="ewheel-compat-models">');
+
+                if (product.models.length === 0) {
+                    $models.append($('<span class="description">').text(strings.compatNoModels || 'No models'));
+                }
+                $.each(product.models, function (j, model) {
+                    $models.append(
+                        $('<span class="ewheel-compat-model">')
+                            .toggleClass('is-manual', model.manual)
+                            .attr('data-term', model.term_id)
+                            .attr('title', model.manual ? (strings.compatManual || 'Linked by hand') : '')
+                            .text(model.name)
+                            .append(
+                                $('<button type="button" class="ewheel-compat-unlink">')
+                                    .attr('aria-label', strings.compatUnlink || 'Unlink this model')
+                                    .text('×')
+                            )
+                    );
+                });
+
+                $body.append($('<tr>').attr('data-id', product.id).append(
+                    $('<th class="check-column">').append(
+                        $('<input type="checkbox" class="ewheel-compat-check">').val(product.id)
+                    ),
+                    $('<td>').append($('<a target="_blank">').attr('href', product.edit_url).text(product.name)),
+                    $('<td>').append($('<code>').text(product.sku || '#' + product.id)),
+                    $models
+                ));
+            });
+
+            this.$container.empty().append(
+                $('<table class="widefat striped ewheel-compat-table">').append(
+                    $('<thead>').append($('<tr>').append(
+                        $('<td class="check-column">'),
+                        $('<th>').text(strings.compatProduct || 'Product'),
+                        $('<th>').text(strings.compatSku || 'SKU'),
+                        $('<th>').text(strings.compatModels || 'Compatible models')
+                    )),
+                    $body
+                )
+            );
+        },
+
+        changeSelected: function (operation) {
+            var strings = ewheelImporter.strings;
+            var productIds = this.$container.find('.ewheel-compat-check:checked').map(function () {
+                return $(this).val();
+            }).get();
+            var termIds = $('#ewheel-compat-bulk-models').val() || [];
+
+            if (productIds.length === 0 || termIds.length === 0) {
+                this.showStatus(strings.compatSelectBoth || 'Select at least one product and one model.', true);
+                return;
+            }
+
+            if (operation === 'remove' && !confirm((strings.compatConfirmUnlink || 'Unlink %1$d models from %2$d products?')
+                .replace('%1$d', termIds.length)
+                .replace('%2$d', productIds.length))) {
+                return;
+            }
+
+            this.change(operation, productIds, termIds);
+        },
+
+        change: function (operation, productIds, termIds) {
+            var self = this;
+            var $buttons = $('#ewheel-compat-assign, #ewheel-compat-unassign').prop('disabled', true);
+
+            this.post({
+                action: 'ewheel_change_product_models',
+                operation: operation,
+                product_ids: productIds,
+                term_ids: termIds
+            }, function (data) {
+                self.showStatus(data.message);
+                self.load(self.page);
+            }, function () {
+                $buttons.prop('disabled', false);
+            });
+        },
+
+        importCsv: function (csv) {
+            var self = this;
+            var strings = ewheelImporter.strings;
+            var mode = $('#ewheel-compat-import-mode').val();
+            var $result = $('#ewheel-compat-import-result');
+            var $btn = $('#ewheel-compat-import');
+
+            if (mode === 'replace' && !confirm(strings.compatConfirmReplace || 'Replace the models of every product listed in the file? Models not in the file are unlinked from those products.')) {
+                return;
+            }
+
+            $btn.prop('disabled', true);
+            $result.removeClass('ewheel-preview-error').text(strings.compatImporting || 'Importing...');
+
+            this.post({ action: 'ewheel_import_model_compatibility', csv: csv, mode: mode }, function (data) {
+                var $errors = $('<ul>');
+
+                $.each(data.errors, function (i, error) {
+                    $errors.append($('<li>').text(
+                        (strings.compatLine || 'Line %d').replace('%d', error.line) + ': ' + error.message
+                    ));
+                });
+                if (data.error_count > data.errors.length) {
+                    $errors.append($('<li>').text(
+                        (strings.compatMoreErrors || '%d more rows skipped.').replace('%d', data.error_count - data.errors.length)
+                    ));
+                }
+
+                $result.empty().append($('<p>').text(data.message), data.errors.length > 0 ? $errors : '');
+                self.load(1);
+            }, function () {
+                $btn.prop('disabled', false);
+            }, function (message) {
+                $result.addClass('ewheel-preview-error').text(message);
+            });
+        },
+
+        post: function (data, onSuccess, onComplete, onError) {
+            var self = this;
+            var fail = onError || function (message) {
+                self.showStatus(message, true);
+            };
+
+            data.nonce = ewheelImporter.nonce;
+
+            $.post(ewheelImporter.ajaxUrl, data, function (response) {
+                if (!response.success) {
+                    fail(response.data.message);
+                    return;
+                }
+
+                onSuccess(response.data);
+            }).fail(function (xhr) {
+                var error = xhr.responseJSON && xhr.responseJSON.data;
+
+                fail((error && error.message) || ewheelImporter.strings.variationsFailed || 'Request failed.');
+            }).always(function () {
+                if (onComplete) {
+                    onComplete();
+                }
+            });
+        },
+
+        renderPagination: function () {
+            var first = this.total === 0 ? 0 : (this.page - 1) * this.perPage + 1;
+            var last = Math.min(this.page * this.perPage, this.total);
+
+            $('#ewheel-compat-pagination').toggle(this.total > 0);
+            $('#ewheel-compat-info').text(
+                (ewheelImporter.strings.imagesShowing || 'Showing %1$d-%2$d of %3$d')
+                    .replace('%1$d', first)
+                    .replace('%2$d', last)
+                    .replace('%3$d', this.total)
+            );
+            $('#ewheel-compat-prev').prop('disabled', this.page <= 1);
+            $('#ewheel-compat-next').prop('disabled', last >= this.total);
+        },
+
+        showStatus: function (message, isError) {
+            $('#ewheel-compat-status')
+                .toggleClass('ewheel-preview-error', !!isError)
+                .text(message || '');
+        }
+    };
+
+    var BrandManager = {
+        $container: null,
+        loaded: false,
+        data: null,
+
+        init: function () {
+            var self = this;
+
+            this.$container = $('#ewheel-brand-container');
+            if (this.$container.length === 0) {
+                return;
+            }
+
+            $('.ewheel-tab[data-tab="brands"]').on('click', function () {
+                if (!self.loaded) {
+                    self.load();
+                }
+            });
+
+            $('#ewheel-brand-refresh').on('click', function () {
+                self.load();
+            });
+            $('#ewheel-brand-profile').on('change', function () {
+                self.load();
+            });
+            $('#ewheel-brand-search').on('input', this.applySearch.bind(this));
+
+            this.$container.on('change', '.ewheel-brand-filter', function () {
+                self.saveFilter($(this).closest('tr').data('name'), $(this).val());
+            });
+            this.$container.on('click', '.ewheel-brand-remove-alias', function () {
+                self.removeAlias($(this).closest('.ewheel-brand-alias').data('alias'));
+            });
+            this.$container.on('click', '.ewheel-brand-merge-open', function () {
+                $('#ewheel-brand-merge-source').val($(this).closest('tr').data('id'));
+                $('#ewheel-brand-merge-target').trigger('focus');
+            });
+
+            $('#ewheel-brand-alias-save').on('click', this.saveAlias.bind(this));
+            $('#ewheel-brand-merge').on('click', this.merge.bind(this));
+        },
+
+        load: function () {
+            var self = this;
+
+            this.loaded = true;
+            this.$container.html($('<div class="ewheel-empty-state">').append(
+                $('<p>').text(ewheelImporter.strings.brandsLoading || 'Loading brands...')
+            ));
+
+            this.post({
+                action: 'ewheel_get_brands',
+                profile_id: $('#ewheel-brand-profile').val() || 0
+            }, function (data) {
+                self.data = data;
+                self.renderProfiles(data.profiles, data.profile_id);
+                self.renderSelects(data.brands);
+                self.renderBrands(data);
+                self.applySearch();
+            }, null, function (message) {
+                self.$container.html($('<p class="ewheel-preview-error">').text(message));
+            });
+        },
+
+        renderProfiles: function (profiles, selected) {
+            var $select = $('#ewheel-brand-profile').empty();
+
+            if (profiles.length === 0) {
+                $select.append($('<option value="">').text(ewheelImporter.strings.brandsNoProfile || 'No import profile yet'));
+            }
+            $.each(profiles, function (i, profile) {
+                $select.append($('<option>').val(profile.id).text(profile.name));
+            });
+
+            $select.val(selected);
+        },
+
+        renderSelects: function (brands) {
+            var $selects = $('.ewheel-brand-select');
+            var $names = $('#ewheel-brand-names').empty();
+
+            $selects.each(function () {
+                var $select = $(this);
+                var value = $select.val();
+
+                $select.empty().append($('<option value="">').text(ewheelImporter.strings.brandsSelect || 'Select a brand'));
+                $.each(brands, function (i, brand) {
+                    $select.append($('<option>').val(brand.term_id).text(brand.name + ' (' + brand.count + ')'));
+                });
+                $select.val(value);
+            });
+
+            $.each(brands, function (i, brand) {
+                $names.append($('<option>').val(brand.name));
+            });
+        },
+
+        renderBrands: function (data) {
+            var strings = ewheelImporter.strings;
+            var include = this.lower(data.include);
+            var exclude = this.lower(data.exclude);
+            var shown = {};
+
+            if (data.brands.length === 0) {
+                this.$container.html($('<div class="ewheel-empty-state">').append(
+                    $('<p>').text(strings.brandsEmpty || 'No brands found. Brands are created by syncs.')
+                ));
+            } else {
+                var $body = $('<tbody>');
+
+                $.each(data.brands, function (i, brand) {
+                    var name = brand.name.toLowerCase();
+                    var $aliases = $('<td>');
+                    var $filter = $('<select class="ewheel-brand-filter">')
+                        .prop('disabled', !data.profile_id)
+                        .append(
+                            $('<option value="">').text(strings.brandsFilterImport || 'Import'),
+                            $('<option value="include">').text(strings.brandsFilterInclude || 'Only these'),
+                            $('<option value="exclude">').text(strings.brandsFilterExclude || 'Exclude')
+                        )
+                        .val(include.indexOf(name) !== -1 ? 'include' : (exclude.indexOf(name) !== -1 ? 'exclude' : ''));
+
+                    $.each(brand.aliases, function (j, alias) {
+                        shown[alias] = true;
+                        $aliases.append(
+                            $('<span class="ewheel-brand-alias">').attr('data-alias', alias).text(alias).append(
+                                $('<button type="button" class="ewheel-brand-remove-alias">')
+                                    .attr('aria-label', strings.brandsRemoveAlias || 'Remove alias')
+                                    .text('×')
+                            )
+                        );
+                    });
+
+                    $body.append($('<tr>').attr({ 'data-id': brand.term_id, 'data-name': brand.name }).append(
+                        $('<td>').append($('<strong>').text(brand.name)),
+                        $('<td>').text(brand.count),
+                        $aliases,
+                        $('<td>').append($filter),
+                        $('<td>').append(
+                            $('<button type="button" class="button button-small ewheel-brand-merge-open">')
+                                .text(strings.brandsMergeInto || 'Merge into...')
+                        )
+                    ));
+                });
+
+                this.$container.empty().append(
+                    $('<table class="widefat striped ewheel-brand-table">').append(
+                        $('<thead>').append($('<tr>').append(
+                            $('<th>').text(strings.brandsBrand || 'Brand'),
+                            $('<th>').text(strings.brandsProducts || 'Products'),
+                            $('<th>').text(strings.brandsAliases || 'Aliases'),
+                            $('<th>').text(strings.brandsFilter || 'Profile filter'),
+                            $('<th>')
+                        )),
+                        $body
+                    )
+                );
+            }
+
+            var orphans = $.map(data.aliases, function (brand, alias) {
+                return shown[alias] ? null : alias + ' → ' + brand;
+            });
+
+            $('#ewheel-brand-orphan-aliases')
+                .toggle(orphans.length > 0)
+                .text((strings.brandsOrphanAliases || 'Aliases of brands not imported yet: %s').replace('%s', orphans.join(', ')));
+        },
+
+        applySearch: function () {
+            var search = $.trim($('#ewheel-brand-search').val() || '').toLowerCase();
+
+            this.$container.find('tbody tr').each(function () {
+                $(this).toggle(search === '' || $(this).text().toLowerCase().indexOf(search) !== -1);
+            });
+        },
+
+        saveFilter: function (brand, state) {
+            var self = this;
+
+            this.post({
+                action: 'ewheel_save_brand_filter',
+                profile_id: $('#ewheel-brand-profile').val(),
+                brand: brand,
+                state: state
+            }, function () {
+                self.showStatus('#ewheel-brand-status', ewheelImporter.strings.brandsFilterSaved || 'Profile filter saved.');
+            }, null, function (message) {
+                self.showStatus('#ewheel-brand-status', message, true);
+                self.load();
+            });
+        },
+
+        saveAlias: function () {
+            var self = this;
+
+            this.post({
+                action: 'ewheel_save_brand_alias',
+                alias: $.trim($('#ewheel-brand-alias').val()),
+                brand: $.trim($('#ewheel-brand-alias-target').val())
+            }, function (data) {
+                $('#ewheel-brand-alias').val('');
+                self.showStatus('#ewheel-brand-form-status', data.message);
+                self.load();
+            });
+        },
+
+        removeAlias: function (alias) {
+            var self = this;
+
+            this.post({ action: 'ewheel_delete_brand_alias', alias: alias }, function () {
+                self.load();
+            });
+        },
+
+        merge: function () {
+            var self = this;
+            var $source = $('#ewheel-brand-merge-source');
+            var $target = $('#ewheel-brand-merge-target');
+            var sourceName = this.brandName($source.val());
+            var targetName = this.brandName($target.val());
+            var $btn = $('#ewheel-brand-merge');
+
+            if (!sourceName || !targetName) {
+                return;
+            }
+
+            if (!confirm((ewheelImporter.strings.brandsMergeConfirm || 'Move all products of "%1$s" to "%2$s" and delete "%1$s"? "%1$s" becomes an alias of "%2$s".')
+                .replace(/%1\$s/g, sourceName)
+                .replace(/%2\$s/g, targetName))) {
+                return;
+            }
+
+            $btn.prop('disabled', true);
+            this.post({ action: 'ewheel_merge_brands', source: $source.val(), target: $target.val() }, function (data) {
+                $source.val('');
+                self.showStatus('#ewheel-brand-form-status', data.message);
+                self.load();
+            }, function () {
+                $btn.prop('disabled', false);
+            });
+        },
+
+        brandName: function (termId) {
+            var match = $.grep((this.data && this.data.brands) || [], function (brand) {
+                return String(brand.term_id) === String(termId);
+            });
+
+            return match.length > 0 ? match[0].name : '';
+        },
+
+        lower: function (names) {
+            return $.map(names || [], function (name) {
+                return String(name).toLowerCase();
+            });
+        },
+
+        post: function (data, onSuccess, onComplete, onError) {
+            var self = this;
+            var fail = onError || function (message) {
+                self.showStatus('#ewheel-brand-form-status', message, true);
+            };
+
+            data.nonce = ewheelImporter.nonce;
+
+            $.post(ewheelImporter.ajaxUrl, data, function (response) {
+                if (!response.success) {
+                    fail(response.data.message);
+                    return;
+                }
+
+                onSuccess(response.data);
+            }).fail(function (xhr) {
+                var error = xhr.responseJSON && xhr.responseJSON.data;
+
+                fail((error && error.message) || ewheelImporter.strings.variationsFailed || 'Request failed.');
+            }).always(function () {
+                if (onComplete) {
+                    onComplete();
+                }
+            });
+        },
+
+        showStatus: function (selector, message, isError) {
+            $(selector)
+                .toggleClass('ewheel-preview-error', !!isError)
+                .text(message || '');
+        }
+    };
+
+    var AttributeMapping = {
+        $container: null,
+        loaded: false,
+        attributes: [],
+        current: null,
+
+        init: function () {
+            var self = this;
+
+            this.$container = $('#ewheel-attr-container');
+            if (this.$container.length === 0) {
+                return;
+            }
+
+            $('.ewheel-tab[data-tab="attributes"]').on('click', function () {
+                if (!self.loaded) {
+                    self.load();
+                }
+            });
+
+            $('#ewheel-attr-refresh').on('click', function () {
+                self.load();
+            });
+            $('#ewheel-attr-search').on('input', this.applySearch.bind(this));
+            $('#ewheel-attr-mapped-only').on('change', this.applySearch.bind(this));
+
+            this.$container.on('click', '.ewheel-attr-edit', function () {
+                self.edit($(this).closest('tr').data('slug'));
+            });
+
+            $('#ewheel-attr-kind').on('change', this.toggleMetaRow.bind(this));
+            $('#ewheel-attr-add-value').on('click', function () {
+                self.addValueRow('', '');
+            });
+            $('#ewheel-attr-values').on('click', '.ewheel-attr-remove-value', function () {
+                $(this).closest('tr').remove();
+            });
+            $('#ewheel-attr-save').on('click', this.save.bind(this));
+            $('#ewheel-attr-reset').on('click', this.reset.bind(this));
+            $('#ewheel-attr-close').on('click', function () {
+                self.current = null;
+                $('#ewheel-attr-editor').hide();
+            });
+        },
+
+        load: function () {
+            var self = this;
+
+            this.loaded = true;
+            this.$container.html($('<div class="ewheel-empty-state">').append(
+                $('<p>').text(ewheelImporter.strings.attributesLoading || 'Loading attributes...')
+            ));
+
+            this.post({ action: 'ewheel_get_attribute_mappings' }, function (data) {
+                self.render(data);
+            }, null, function (message) {
+                self.$container.html($('<p class="ewheel-preview-error">').text(message));
+            });
+        },
+
+        render: function (data) {
+            var self = this;
+            var strings = ewheelImporter.strings;
+
+            this.attributes = data.attributes;
+
+            $('#ewheel-attr-usage').text(data.since
+                ? (strings.attributesUsage || '%1$d products counted since %2$s.')
+                    .replace('%1$d', data.products)
+                    .replace('%2$s', new Date(data.since * 1000).toLocaleDateString())
+                : '');
+
+            if (data.attributes.length === 0) {
+                this.$container.html($('<div class="ewheel-empty-state">').append(
+                    $('<p>').text(strings.attributesEmpty || 'No attributes seen yet. They are counted while products are synced.')
+                ));
+                return;
+            }
+
+            var $body = $('<tbody>');
+
+            $.each(data.attributes, function (i, attribute) {
+                var share = data.products > 0 ? Math.round(attribute.count * 100 / data.products) + '%' : '';
+                var $kind = $('<td>');
+                var $action = $('<td>');
+
+                if (attribute.reserved) {
+                    $kind.append($('<em>').text(strings.attributesReserved || 'Handled by the importer'));
+                } else {
+                    $kind.text(attribute.kind
+                        ? self.kindLabel(attribute.kind)
+                        : (strings.attributesDefault || 'Default (%s)').replace('%s', self.kindLabel(attribute.default_kind)));
+                    $action.append(
+                        $('<button type="button" class="button button-small ewheel-attr-edit">')
+                            .text(strings.attributesEdit || 'Edit')
+                    );
+                }
+
+                $body.append($('<tr>').attr('data-slug', attribute.slug).toggleClass('ewheel-attr-mapped', !!attribute.kind || attribute.values.length > 0 || !!attribute.label || !!attribute.unit || !!attribute.meta_key).append(
+                    $('<td>').append(
+                        $('<code>').text(attribute.slug),
+                        $('<div class="ewheel-attr-samples">').text(attribute.samples.join(', '))
+                    ),
+                    $('<td>').text(attribute.count + (share ? ' (' + share + ')' : '')),
+                    $kind,
+                    $('<td>').text(attribute.label || attribute.default_label),
+                    $('<td>').text($.trim([
+                        attribute.unit,
+                        attribute.values.length > 0 ? (strings.attributesMappedValues || '%d mapped').replace('%d', attribute.values.length) : ''
+                    ].join(' '))),
+                    $action
+                ));
+            });
+
+            this.$container.empty().append(
+                $('<table class="widefat striped ewheel-attr-table">').append(
+                    $('<thead>').append($('<tr>').append(
+                        $('<th>').text(strings.attributesSlug || 'Attribute'),
+                        $('<th>').text(strings.attributesProducts || 'Products'),
+                        $('<th>').text(strings.attributesKind || 'Kind'),
+                        $('<th>').text(strings.attributesLabel || 'Label'),
+                        $('<th>').text(strings.attributesValues || 'Values'),
+                        $('<th>')
+                    )),
+                    $body
+                )
+            );
+
+            this.applySearch();
+
+            if (this.current) {
+                this.edit(this.current);
+            }
+        },
+
+        applySearch: function () {
+            var search = $.trim($('#ewheel-attr-search').val() || '').toLowerCase();
+            var mappedOnly = $('#ewheel-attr-mapped-only').is(':checked');
+
+            this.$container.find('tbody tr').each(function () {
+                var $row = $(this);
+
+                $row.toggle(
+                    (search === '' || $row.text().toLowerCase().indexOf(search) !== -1)
+                    && (!mappedOnly || $row.hasClass('ewheel-attr-mapped'))
+                );
+            });
+        },
+
+        edit: function (slug) {
+            var self = this;
+            var strings = ewheelImporter.strings;
+            var match = $.grep(this.attributes, function (attribute) {
+                return attribute.slug === slug;
+            });
+
+            if (match.length === 0) {
+                this.current = null;
+                $('#ewheel-attr-editor').hide();
+                return;
+            }
+
+            var attribute = match[0];
+            this.current = slug;
+
+            $('#ewheel-attr-editor-title').text((strings.attributesEditTitle || 'Attribute: %s').replace('%s', slug));
+            $('#ewheel-attr-editor-samples')
+                .toggle(attribute.samples.length > 0)
+                .text((strings.attributesSamples || 'Sample values: %s').replace('%s', attribute.samples.join(', ')));
+
+            $('#ewheel-attr-kind option[value=""]').text(
+                (strings.attributesDefault || 'Default (%s)').replace('%s', this.kindLabel(attribute.default_kind))
+            );
+            $('#ewheel-attr-kind').val(attribute.kind);
+            $('#ewheel-attr-label').val(attribute.label).attr('placeholder', attribute.default_label);
+            $('#ewheel-attr-meta-key').val(attribute.meta_key).attr('placeholder', attribute.default_meta_key);
+            $('#ewheel-attr-unit').val(attribute.unit);
+
+            $('#ewheel-attr-values').empty();
+            $.each(attribute.values, function (i, pair) {
+                self.addValueRow(pair.from, pair.to);
+            });
+
+            this.showStatus('#ewheel-attr-editor-status', '');
+            this.toggleMetaRow();
+            $('#ewheel-attr-editor').show();
+        },
+
+        toggleMetaRow: function () {
+            var attribute = this.currentAttribute();
+            var kind = $('#ewheel-attr-kind').val() || (attribute ? attribute.default_kind : '');
+
+            $('#ewheel-attr-meta-row').toggle(kind === 'meta');
+        },
+
+        addValueRow: function (from, to) {
+            var strings = ewheelImporter.strings;
+
+            $('#ewheel-attr-values').append($('<tr>').append(
+                $('<td>').append($('<input type="text" class="ewheel-attr-from">').val(from).attr('placeholder', strings.attributesFrom || 'API value')),
+                $('<td>').append($('<span class="dashicons dashicons-arrow-right-alt">')),
+                $('<td>').append($('<input type="text" class="ewheel-attr-to">').val(to).attr('placeholder', strings.attributesTo || 'Normalized value')),
+                $('<td>').append(
+                    $('<button type="button" class="button-link ewheel-attr-remove-value">')
+                        .attr('aria-label', strings.attributesRemoveValue || 'Remove value')
+                        .text('×')
+                )
+            ));
+        },
+
+        save: function () {
+            var values = [];
+
+            $('#ewheel-attr-values tr').each(function () {
+                var from = $.trim($(this).find('.ewheel-attr-from').val());
+                var to = $.trim($(this).find('.ewheel-attr-to').val());
+
+                if (from !== '' && to !== '') {
+                    values.push({ from: from, to: to });
+                }
+            });
+
+            this.send({
+                kind: $('#ewheel-attr-kind').val(),
+                label: $.trim($('#ewheel-attr-label').val()),
+                meta_key: $.trim($('#ewheel-attr-meta-key').val()),
+                unit: $.trim($('#ewheel-attr-unit').val()),
+                values: values
+            });
+        },
+
+        reset: function () {
+            if (!confirm(ewheelImporter.strings.attributesResetConfirm || 'Remove the mapping of this attribute and use the built-in defaults?')) {
+                return;
+            }
+
+            this.send({ kind: '', label: '', meta_key: '', unit: '', values: [] });
+        },
+
+        send: function (mapping) {
+            var self = this;
+            var $buttons = $('#ewheel-attr-save, #ewheel-attr-reset').prop('disabled', true);
+
+            this.post($.extend({ action: 'ewheel_save_attribute_mapping', slug: this.current }, mapping), function (data) {
+                self.render(data);
+                self.showStatus('#ewheel-attr-editor-status', data.message);
+            }, function () {
+                $buttons.prop('disabled', false);
+            });
+        },
+
+        currentAttribute: function () {
+            var slug = this.current;
+            var match = $.grep(this.attributes, function (attribute) {
+                return attribute.slug === slug;
+            });
+
+            return match.length > 0 ? match[0] : null;
+        },
+
+        kindLabel: function (kind) {
+            return $('#ewheel-attr-kind option[value="' + kind + '"]').text() || kind;
+        },
+
+        post: function (data, onSuccess, onComplete, onError) {
+            var self = this;
+            var fail = onError || function (message) {
+                self.showStatus('#ewheel-attr-editor-status', message, true);
+            };
+
+            data.nonce = ewheelImporter.nonce;
+
+            $.post(ewheelImporter.ajaxUrl, data, function (response) {
+                if (!response.success) {
+                    fail(response.data.message);
+                    return;
+                }
+
+                onSuccess(response.data);
+            }).fail(function (xhr) {
+                var error = xhr.responseJSON && xhr.responseJSON.data;
+
+                fail((error && error.message) || ewheelImporter.strings.variationsFailed || 'Request failed.');
+            }).always(function () {
+                if (onComplete) {
+                    onComplete();
+                }
+            });
+        },
+
+        showStatus: function (selector, message, isError) {
+            $(selector)
+                .toggleClass('ewheel-preview-error', !!isError)
+                .text(message || '');
+        }
+    };
+
+    var WebhookManager = {
+        $container: null,
+        loaded: false,
+        webhooks: [],
+        events: {},
+        current: null,
+        page: 1,
+        perPage: 25,
+        total: 0,
+
+        init: function () {
+            var self = this;
+
+            this.$container = $('#ewheel-webhook-container');
+            if (this.$container.length === 0) {
+                return;
+            }
+
+            $('.ewheel-tab[data-tab="webhooks"]').on('click', function () {
+                if (!self.loaded) {
+                    self.load();
+                    self.loadDeliveries(1);
+                }
+            });
+
+            $('#ewheel-webhook-add').on('click', function () {
+                self.edit('');
+            });
+            this.$container.on('click', '.ewheel-webhook-edit', function () {
+                self.edit($(this).closest('tr').attr('data-id'));
+            });
+            $('#ewheel-webhook-save').on('click', this.save.bind(this));
+            $('#ewheel-webhook-test').on('click', this.test.bind(this));
+            $('#ewheel-webhook-delete').on('click', this.remove.bind(this));
+            $('#ewheel-webhook-close').on('click', function () {
+                self.current = null;
+                $('#ewheel-webhook-editor').hide();
+            });
+            $('#ewheel-webhook-save-settings').on('click', this.saveSettings.bind(this));
+
+            $('#ewheel-webhook-delivery-webhook, #ewheel-webhook-delivery-status').on('change', function () {
+                self.loadDeliveries(1);
+            });
+            $('#ewheel-webhook-deliveries-refresh').on('click', function () {
+                self.loadDeliveries(self.page);
+            });
+            $('#ewheel-webhook-prev').on('click', function () {
+                self.loadDeliveries(self.page - 1);
+            });
+            $('#ewheel-webhook-next').on('click', function () {
+                self.loadDeliveries(self.page + 1);
+            });
+            $('#ewheel-webhook-deliveries').on('click', '.ewheel-webhook-redeliver', function () {
+                self.redeliver(parseInt($(this).data('id'), 10), $(this));
+            });
+            $('#ewheel-webhook-deliveries').on('click', '.ewheel-webhook-payload-toggle', function () {
+                $(this).closest('tr').next('.ewheel-webhook-payload').toggle();
+            });
+        },
+
+        load: function () {
+            var self = this;
+
+            this.loaded = true;
+            this.$container.html($('<div class="ewheel-empty-state">').append(
+                $('<p>').text(ewheelImporter.strings.webhooksLoading || 'Loading webhooks...')
+            ));
+
+            this.post({ action: 'ewheel_get_webhooks' }, function (data) {
+                self.render(data);
+            }, null, function (message) {
+                self.$container.html($('<p class="ewheel-preview-error">').text(message));
+            });
+        },
+
+        render: function (data) {
+            var self = this;
+            var strings = ewheelImporter.strings;
+            var $filter = $('#ewheel-webhook-delivery-webhook');
+            var selected = $filter.val();
+
+            this.webhooks = data.webhooks;
+            this.events = data.events;
+
+            $('#ewheel-webhook-error-rate').val(data.error_rate);
+            $('#ewheel-webhook-error-rate-help').text(
+                (strings.webhooksErrorRateHelp || 'Fires the error-rate event once per sync when this share of processed products failed, judged after %d products. 0 turns it off.')
+                    .replace('%d', data.error_rate_min)
+            );
+
+            $filter.find('option:not(:first)').remove();
+            $.each(data.webhooks, function (i, webhook) {
+                $filter.append($('<option>').val(webhook.id).text(webhook.name));
+            });
+            $filter.val(selected || '');
+
+            if (data.webhooks.length === 0) {
+                this.$container.html($('<div class="ewheel-empty-state">').append(
+                    $('<p>').text(strings.webhooksEmpty || 'No webhooks yet. Add one to get sync events in chat or another system.')
+                ));
+                return;
+            }
+
+            var $body = $('<tbody>');
+
+            $.each(data.webhooks, function (i, webhook) {
+                $body.append($('<tr>').attr('data-id', webhook.id).append(
+                    $('<td>').append(
+                        $('<strong>').text(webhook.name),
+                        $('<div class="ewheel-webhook-url">').text(webhook.url)
+                    ),
+                    $('<td>').text($.map(webhook.events, function (event) {
+                        return self.events[event] || event;
+                    }).join(', ')),
+                    $('<td>').text(webhook.format === 'chat'
+                        ? (strings.webhooksFormatChat || 'Chat')
+                        : (strings.webhooksFormatJson || 'JSON')),
+                    $('<td>').append(
+                        $('<span class="ewheel-status-badge">')
+                            .addClass(webhook.active ? 'success' : 'stopped')
+                            .text(webhook.active ? (strings.webhooksActive || 'Active') : (strings.webhooksInactive || 'Inactive'))
+                    ),
+                    $('<td>').append(
+                        $('<button type="button" class="button button-small ewheel-webhook-edit">')
+                            .text(strings.webhooksEdit || 'Edit')
+                    )
+                ));
+            });
+
+            this.$container.empty().append(
+                $('<table class="widefat striped">').append(
+                    $('<thead>').append($('<tr>').append(
+                        $('<th>').text(strings.webhooksEndpoint || 'Endpoint'),
+                        $('<th>').text(strings.webhooksEvents || 'Events'),
+                        $('<th>').text(strings.webhooksFormat || 'Format'),
+                        $('<th>').text(strings.webhooksState || 'State'),
+                        $('<th>')
+                    )),
+                    $body
+                )
+            );
+        },
+
+        edit: function (id) {
+            var strings = ewheelImporter.strings;
+            var webhook = this.find(id) || { id: '', name: '', url: '', secret: '', events: [], format: 'json', active: true };
+            var $events = $('#ewheel-webhook-events').empty();
+
+            this.current = webhook.id;
+
+            $.each(this.events, function (event, label) {
+                $events.append($('<label class="ewheel-webhook-event">').append(
+                    $('<input type="checkbox">').val(event).prop('checked', webhook.events.indexOf(event) !== -1),
+                    ' ',
+                    document.createTextNode(label),
+                    ' ',
+                    $('<code>').text(event)
+                ));
+            });
+
+            $('#ewheel-webhook-editor-title').text(webhook.id
+                ? (strings.webhooksEditTitle || 'Webhook: %s').replace('%s', webhook.name)
+                : (strings.webhooksNewTitle || 'New Webhook'));
+            $('#ewheel-webhook-name').val(webhook.name);
+            $('#ewheel-webhook-url').val(webhook.url);
+            $('#ewheel-webhook-format').val(webhook.format);
+            $('#ewheel-webhook-secret').val(webhook.secret);
+            $('#ewheel-webhook-regenerate').prop('checked', false).closest('label').toggle(!!webhook.id);
+            $('#ewheel-webhook-active').prop('checked', !!webhook.active);
+            $('#ewheel-webhook-test, #ewheel-webhook-delete').toggle(!!webhook.id);
+
+            this.showStatus('#ewheel-webhook-editor-status', '');
+            $('#ewheel-webhook-editor').show();
+        },
+
+        save: function () {
+            var self = this;
+            var $button = $('#ewheel-webhook-save').prop('disabled', true);
+
+            this.post({
+                action: 'ewheel_save_webhook',
+                id: this.current || '',
+                name: $.trim($('#ewheel-webhook-name').val()),
+                url: $.trim($('#ewheel-webhook-url').val()),
+                format: $('#ewheel-webhook-format').val(),
+                secret: $.trim($('#ewheel-webhook-secret').val()),
+                regenerate_secret: $('#ewheel-webhook-regenerate').is(':checked') ? 1 : 0,
+                active: $('#ewheel-webhook-active').is(':checked') ? 1 : 0,
+                events: $('#ewheel-webhook-events input:checked').map(function () {
+                    return $(this).val();
+                }).get()
+            }, function (data) {
+                self.render(data);
+                self.edit(data.webhook.id);
+                self.showStatus('#ewheel-webhook-editor-status', data.message);
+            }, function () {
+                $button.prop('disabled', false);
+            });
+        },
+
+        remove: function () {
+            var self = this;
+
+            if (!this.current || !confirm(ewheelImporter.strings.webhooksDeleteConfirm || 'Delete this webhook? Its delivery log is kept.')) {
+                return;
+            }
+
+            this.post({ action: 'ewheel_delete_webhook', id: this.current }, function (data) {
+                self.current = null;
+                $('#ewheel-webhook-editor').hide();
+                self.render(data);
+                self.showStatus('#ewheel-webhook-status', data.message);
+            });
+        },
+
+        test: function () {
+            var self = this;
+            var $button = $('#ewheel-webhook-test').prop('disabled', true);
+
+            this.showStatus('#ewheel-webhook-editor-status', ewheelImporter.strings.webhooksTesting || 'Sending test event...');
+
+            // Failed tests come back as errors, but are logged like any other delivery
+            this.post({ action: 'ewheel_test_webhook', id: this.current }, function (data) {
+                self.showStatus('#ewheel-webhook-editor-status', data.message);
+            }, function () {
+                $button.prop('disabled', false);
+                self.loadDeliveries(1);
+            });
+        },
+
+        saveSettings: function () {
+            var self = this;
+            var $button = $('#ewheel-webhook-save-settings').prop('disabled', true);
+
+            this.post({
+                action: 'ewheel_save_webhook_settings',
+                error_rate: $('#ewheel-webhook-error-rate').val() || 0
+            }, function (data) {
+                self.render(data);
+                self.showStatus('#ewheel-webhook-status', data.message);
+            }, function () {
+                $button.prop('disabled', false);
+            }, function (message) {
+                self.showStatus('#ewheel-webhook-status', message, true);
+            });
+        },
+
+        loadDeliveries: function (page) {
+            var self = this;
+            var $container = $('#ewheel-webhook-deliveries');
+
+            this.page = Math.max(1, page);
+
+            this.post({
+                action: 'ewheel_get_webhook_deliveries',
+                page: this.page,
+                webhook_id: $('#ewheel-webhook-delivery-webhook').val(),
+                status: $('#ewheel-webhook-delivery-status').val()
+            }, function (data) {
+                self.page = data.page;
+                self.perPage = data.per_page;
+                self.total = data.total;
+                self.renderDeliveries(data.items);
+                self.renderPagination();
+            }, null, function (message) {
+                $container.html($('<p class="ewheel-preview-error">').text(message));
+            });
+        },
+
+        renderDeliveries: function (items) {
+            var strings = ewheelImporter.strings;
+            var self = this;
+            var $container = $('#ewheel-webhook-deliveries');
+
+            if (items.length === 0) {
+                $container.html($('<div class="ewheel-empty-state">').append(
+                    $('<p>').text(strings.webhooksNoDeliveries || 'No deliveries yet.')
+                ));
+                return;
+            }
+
+            var $body = $('<tbody>');
+
+            $.each(items, function (i, item) {
+                var response = item.response_code ? 'HTTP ' + item.response_code : '';
+
+                $body.append(
+                    $('<tr>').append(
+                        $('<td>').text(item.created_at),
+                        $('<td>').append($('<code>').text(item.event)),
+                        $('<td>').text(item.webhook_name || item.webhook_id),
+                        $('<td>').append(
+                            $('<span class="ewheel-status-badge">')
+                                .addClass('ewheel-webhook-' + item.status)
+                                .text(self.statusLabel(item.status))
+                        ),
+                        $('<td>').text(item.attempts),
+                        $('<td class="ewheel-webhook-response">').text($.trim(response + ' ' + (item.last_error && item.last_error !== response ? item.last_error : ''))),
+                        $('<td>').append(
+                            $('<button type="button" class="button-link ewheel-webhook-payload-toggle">')
+                                .text(strings.webhooksPayload || 'Payload'),
+                            ' ',
+                            item.status === 'pending' ? '' : $('<button type="button" class="button button-small ewheel-webhook-redeliver">')
+                                .attr('data-id', item.id)
+                                .text(strings.webhooksResend || 'Resend')
+                        )
+                    ),
+                    $('<tr class="ewheel-webhook-payload" style="display: none;">').append(
+                        $('<td colspan="7">').append(
+                            $('<pre>').text(self.formatJson(item.payload)),
+                            item.response_body ? $('<pre>').text(item.response_body) : ''
+                        )
+                    )
+                );
+            });
+
+            $container.empty().append(
+                $('<table class="widefat striped">').append(
+                    $('<thead>').append($('<tr>').append(
+                        $('<th>').text(strings.webhooksDate || 'Date'),
+                        $('<th>').text(strings.webhooksEvent || 'Event'),
+                        $('<th>').text(strings.webhooksEndpoint || 'Endpoint'),
+                        $('<th>').text(strings.webhooksStatus || 'Status'),
+                        $('<th>').text(strings.webhooksAttempts || 'Attempts'),
+                        $('<th>').text(strings.webhooksResponse || 'Response'),
+                        $('<th>')
+                    )),
+                    $body
+                )
+            );
+        },
+
+        renderPagination: function () {
+            var first = this.total === 0 ? 0 : (this.page - 1) * this.perPage + 1;
+            var last = Math.min(this.page * this.perPage, this.total);
+
+            $('#ewheel-webhook-pagination').toggle(this.total > 0);
+            $('#ewheel-webhook-info').text(
+                (ewheelImporter.strings.imagesShowing || 'Showing %1$d-%2$d of %3$d')
+                    .replace('%1$d', first)
+                    .replace('%2$d', last)
+                    .replace('%3$d', this.total)
+            );
+            $('#ewheel-webhook-prev').prop('disabled', this.page <= 1);
+            $('#ewheel-webhook-next').prop('disabled', last >= this.total);
+        },
+
+        redeliver: function (id, $button) {
+            var self = this;
+
+            $button.prop('disabled', true);
+            this.post({ action: 'ewheel_redeliver_webhook', delivery_id: id }, function (data) {
+                self.showStatus('#ewheel-webhook-status', data.message);
+                self.loadDeliveries(self.page);
+            }, function () {
+                $button.prop('disabled', false);
+            }, function (message) {
+                self.showStatus('#ewheel-webhook-status', message, true);
+            });
+        },
+
+        find: function (id) {
+            var match = $.grep(this.webhooks, function (webhook) {
+                return webhook.id === id;
+            });
+
+            return match.length > 0 ? match[0] : null;
+        },
+
+        statusLabel: function (status) {
+            return $('#ewheel-webhook-delivery-status option[value="' + status + '"]').text() || status;
+        },
+
+        formatJson: function (json) {
+            try {
+                return JSON.stringify(JSON.parse(json), null, 2);
+            } catch (e) {
+                return json;
+            }
+        },
+
+        post: function (data, onSuccess, onComplete, onError) {
+            var self = this;
+            var fail = onError || function (message) {
+                self.showStatus('#ewheel-webhook-editor-status', message, true);
+            };
+
+            data.nonce = ewheelImporter.nonce;
+
+            $.post(ewheelImporter.ajaxUrl, data, function (response) {
+                if (!response.success) {
+                    fail(response.data.message);
+                    return;
+                }
+
+                onSuccess(response.data);
+            }).fail(function (xhr) {
+                var error = xhr.responseJSON && xhr.responseJSON.data;
+
+                fail((error && error.message) || ewheelImporter.strings.variationsFailed || 'Request failed.');
+            }).always(function () {
+                if (onComplete) {
+                    onComplete();
+                }
+            });
+        },
+
+        showStatus: function (selector, message, isError) {
+            $(selector)
+                .toggleClass('ewheel-preview-error', !!isError)
+                .text(message || '');
+        }
+    };
+
+    var LogExplorer = {
+        $container: null,
+        offset: 0,
+        limit: 50,
+        total: 0,
+        lastId: 0,
+        polling: false,
+        tailTimer: null,
+        tailInterval: 3000,
+        loaded: false,
+
+        init: function () {
+            var self = this;
+
+            this.$container = $('#ewheel-persistent-logs-container');
+            if (this.$container.length === 0) {
+                return;
+            }
+
+            $('.ewheel-tab[data-tab="logs"]').on('click', function () {
+                if (!self.loaded) {
+                    self.load(0);
+                }
+            });
+
+            $('#ewheel-filter-logs').on('click', function () {
+                self.load(0);
+            });
+            $('#ewheel-log-filters input[type="text"]').on('keypress', function (e) {
+                if (e.which === 13) {
+                    self.load(0);
+                }
+            });
+            $('#ewheel-reset-log-filters').on('click', function () {
+                $('#ewheel-log-filters').find('input, select').val('');
+                self.load(0);
+            });
+            $('#ewheel-logs-prev').on('click', function () {
+                self.load(Math.max(0, self.offset - self.limit));
+            });
+            $('#ewheel-logs-next').on('click', function () {
+                self.load(self.offset + self.limit);
+            });
+
+            $('#ewheel-log-live-tail').on('change', function () {
+                if ($(this).is(':checked')) {
+                    self.load(0);
+                    self.startTail();
+                } else {
+                    self.stopTail();
+                }
+            });
+
+            $('#ewheel-export-logs-csv').on('click', function () {
+                self.exportLogs('csv');
+            });
+            $('#ewheel-export-logs-json').on('click', function () {
+                self.exportLogs('json');
+            });
+            $('#ewheel-clear-persistent-logs').on('click', this.clearLogs.bind(this));
+
+            this.$container.on('click', '.ewheel-log-context-toggle', function () {
+                var $context = $(this).closest('tr').next('.ewheel-log-context-row');
+                $context.toggle();
+                $(this).attr('aria-expanded', $context.is(':visible') ? 'true' : 'false');
+            });
+        },
+
+        getFilters: function () {
+            return {
+                level: $('#ewheel-log-level-filter').val(),
+                profile_id: parseInt($('#ewheel-log-profile-filter').val(), 10) || 0,
+                batch_id: $.trim($('#ewheel-log-run-filter').val()),
+                sku: $.trim($('#ewheel-log-sku-filter').val()),
+                search: $.trim($('#ewheel-log-search').val()),
+                date_from: $('#ewheel-log-date-from').val(),
+                date_to: $('#ewheel-log-date-to').val()
+            };
+        },
+
+        showRun: function (syncId) {
+            if (!syncId) {
+                return;
+            }
+
+            $('#ewheel-log-filters').find('input, select').val('');
+            $('#ewheel-log-run-filter').val(syncId);
+            $('.ewheel-tab[data-tab="logs"]').trigger('click');
+            this.load(0);
+        },
+
+        load: function (offset) {
+            var self = this;
+            var strings = ewheelImporter.strings;
+
+            this.loaded = true;
+            this.offset = offset;
+            this.$container.html($('<div class="ewheel-empty-state">').append(
+                $('<span class="ewheel-loading">'),
+                $('<p>').text(strings.logsLoading || 'Loading logs...')
+            ));
+
+            Rest.request('GET', 'logs', $.extend({
+                limit: this.limit,
+                offset: this.offset
+            }, this.getFilters())).done(function (data) {
+                if (self.offset === 0) {
+                    self.lastId = data.logs.length ? parseInt(data.logs[0].id, 10) : 0;
+                }
+                self.render(data.logs, data.total);
+            }).fail(function (xhr) {
+                self.$container.html($('<p class="ewheel-preview-error">').text(Rest.message(xhr)));
+            });
+        },
+
+        render: function (logs, total) {
+            var self = this;
+            var strings = ewheelImporter.strings;
+
+            if (logs.length === 0) {
+                this.$container.html($('<div class="ewheel-empty-state">').append(
+                    $('<span class="dashicons dashicons-yes-alt">'),
+                    $('<p>').text(strings.logsEmpty || 'No logs found.')
+                ));
+                $('#ewheel-logs-pagination').hide();
+                return;
+            }
+
+            var $body = $('<tbody>');
+            $.each(logs, function (i, log) {
+                $body.append(self.renderRow(log));
+            });
+
+            this.$container.empty().append(
+                $('<table class="ewheel-log-table">').append(
+                    $('<thead>').append($('<tr>').append(
+                        $('<th>').text(strings.logsTime || 'Time'),
+                        $('<th>').text(strings.logsLevel || 'Level'),
+                        $('<th>').text(strings.logsMessage || 'Message'),
+                        $('<th>').text(strings.logsSku || 'SKU'),
+                        $('<th>').text(strings.logsRun || 'Sync run')
+                    )),
+                    $body
+                )
+            );
+
+            this.total = total;
+            this.renderPagination();
+        },
+
+        renderRow: function (log) {
+            var strings = ewheelImporter.strings;
+            var $message = $('<td class="ewheel-log-message">').text(log.message);
+            var $row = $('<tr>').addClass('level-' + log.level).append(
+                $('<td class="ewheel-log-time">').text(log.created_at),
+                $('<td>').append(
+                    $('<span class="ewheel-status-badge">').addClass(log.level).text(String(log.level).toUpperCase())
+                ),
+                $message,
+                $('<td>').text(log.product_sku || '-'),
+                $('<td>').append(log.batch_id
+                    ? $('<a href="#" class="ewheel-log-run-link">').text(log.batch_id).on('click', function (e) {
+                        e.preventDefault();
+                        LogExplorer.showRun(log.batch_id);
+                    })
+                    : '-')
+            );
+
+            if (!log.context) {
+                return $row;
+            }
+
+            $message.append(' ', $('<button type="button" class="button-link ewheel-log-context-toggle" aria-expanded="false">')
+                .text(strings.logsContext || 'Details'));
+
+            return $row.add($('<tr class="ewheel-log-context-row" style="display: none;">').append(
+                $('<td colspan="5">').append($('<pre>').text(JSON.stringify(log.context, null, 2)))
+            ));
+        },
+
+        renderPagination: function () {
+            var strings = ewheelImporter.strings;
+            var start = this.offset + 1;
+            var end = Math.min(this.offset + this.limit, this.total);
+
+            $('#ewheel-logs-info').text(
+                (strings.logsShowing || 'Showing %1$d-%2$d of %3$d')
+                    .replace('%1$d', start)
+                    .replace('%2$d', end)
+                    .replace('%3$d', this.total)
+            );
+            $('#ewheel-logs-prev').prop('disabled', this.offset === 0);
+            $('#ewheel-logs-next').prop('disabled', this.offset + this.limit >= this.total);
+            $('#ewheel-logs-pagination').show();
+        },
+
+        startTail: function () {
+            var self = this;
+
+            this.stopTail();
+            $('#ewheel-log-live-status').text(ewheelImporter.strings.logsTailing || 'Watching for new entries...');
+            this.tailTimer = setInterval(function () {
+                self.poll();
+            }, this.tailInterval);
+        },
+
+        stopTail: function () {
+            if (this.tailTimer) {
+                clearInterval(this.tailTimer);
+                this.tailTimer = null;
+            }
+            $('#ewheel-log-live-status').text('');
+        },
+
+        poll: function () {
+            var self = this;
+
+            // New entries only make sense on the first page, and only while it is visible
+            if (this.offset !== 0 || this.polling || !$('#tab-logs').hasClass('active')) {
+                return;
+            }
+
+            this.polling = true;
+            Rest.request('GET', 'logs', $.extend({
+                limit: 200,
+                after_id: this.lastId
+            }, this.getFilters())).done(function (data) {
+                if (data.logs.length === 0) {
+                    return;
+                }
+
+                if (self.$container.find('.ewheel-log-table').length === 0) {
+                    self.load(0);
+                    return;
+                }
+
+                // Entries arrive oldest first; prepend each so the newest ends on top
+                var $body = self.$container.find('.ewheel-log-table tbody');
+                $.each(data.logs, function (i, log) {
+                    self.lastId = Math.max(self.lastId, parseInt(log.id, 10));
+                    $body.prepend(self.renderRow(log).addClass('ewheel-log-new'));
+                });
+
+                // Keep the page at its size
+                $body.children('tr:not(.ewheel-log-context-row)').slice(self.limit).each(function () {
+                    $(this).next('.ewheel-log-context-row').remove();
+                    $(this).remove();
+                });
+
+                self.total += data.logs.length;
+                self.renderPagination();
+            }).always(function () {
+                self.polling = false;
+            });
+        },
+
+        exportLogs: function (format) {
+            window.location.href = ewheelImporter.ajaxUrl + '?' + $.param($.extend({
+                action: 'ewheel_export_logs',
+                nonce: ewheelImporter.nonce,
+                format: format
+            }, this.getFilters()));
+        },
+
+        clearLogs: function () {
+            var self = this;
+
+            if (!confirm(ewheelImporter.strings.logsConfirmClear || 'Are you sure you want to clear all logs? This cannot be undone.')) {
+                return;
+            }
+
+            $.post(ewheelImporter.ajaxUrl, {
+                action: 'ewheel_clear_logs',
+                nonce: ewheelImporter.nonce,
+                type: 'persistent'
+            }, function (response) {
+                if (response.success) {
+                    self.load(0);
+                }
+            });
+        }
+    };
+
+    var SettingsTransfer = {
+        bundleJson: null,
+
+        init: function () {
+            var self = this;
+
+            if ($('#ewheel-export-settings').length === 0) {
+                return;
+            }
+
+            $('#ewheel-export-settings').on('click', this.exportBundle.bind(this));
+            $('#ewheel-import-settings').on('click', function () {
+                $('#ewheel-import-file').val('').trigger('click');
+            });
+            $('#ewheel-import-file').on('change', function (e) {
+                var file = e.target.files[0];
+                if (!file) {
+                    return;
+                }
+
+                var reader = new FileReader();
+                reader.onload = function (event) {
+                    self.preview(event.target.result);
+                };
+                reader.readAsText(file);
+            });
+            $('#ewheel-import-apply').on('click', this.apply.bind(this));
+            $('#ewheel-import-cancel').on('click', function () {
+                self.bundleJson = null;
+                $('#ewheel-import-preview').hide();
+            });
+            $('#ewheel-import-preview-sections').on('click', '.ewheel-import-section-toggle', function () {
+                $(this).closest('.ewheel-import-section').find('.ewheel-import-changes').toggle();
+            });
+        },
+
+        exportBundle: function () {
+            var sections = $('.ewheel-export-section:checked').map(function () {
+                return $(this).val();
+            }).get();
+
+            if (sections.length === 0) {
+                alert(ewheelImporter.strings.bundleNoSections || 'Choose at least one section.');
+                return;
+            }
+
+            $.post(ewheelImporter.ajaxUrl, {
+                action: 'ewheel_export_settings',
+                nonce: ewheelImporter.nonce,
+                sections: sections
+            }, function (response) {
+                if (!response.success) {
+                    alert(response.data.message);
+                    return;
+                }
+
+                var blob = new Blob([JSON.stringify(response.data, null, 2)], { type: 'application/json' });
+                var url = URL.createObjectURL(blob);
+                var a = document.createElement('a');
+                a.href = url;
+                a.download = 'ewheel-importer-' + (sections.length === 1 && sections[0] === 'settings' ? 'settings' : 'bundle') + '.json';
+                a.click();
+                URL.revokeObjectURL(url);
+            });
+        },
+
+        preview: function (json) {
+            var self = this;
+
+            this.bundleJson = json;
+            $('#ewheel-import-status').text('');
+
+            $.post(ewheelImporter.ajaxUrl, {
+                action: 'ewheel_preview_settings_import',
+                nonce: ewheelImporter.nonce,
+                settings: json
+            }, function (response) {
+                if (!response.success) {
+                    self.bundleJson = null;
+                    alert(response.data.message);
+                    return;
+                }
+
+                self.render(response.data);
+            });
+        },
+
+        render: function (data) {
+            var strings = ewheelImporter.strings;
+            var $warnings = $('#ewheel-import-preview-warnings').empty();
+            var $sections = $('#ewheel-import-preview-sections').empty();
+
+            $('#ewheel-import-preview-source').text(
+                (strings.bundleSource || 'Exported by version %1$s on %2$s.')
+                    .replace('%1$s', data.plugin_version || '?')
+                    .replace('%2$s', data.exported_at || '?')
+            );
+
+            $.each(data.warnings, function (i, warning) {
+                $warnings.append($('<div class="notice notice-warning inline">').append($('<p>').text(warning)));
+            });
+
+            $.each(data.sections, function (i, section) {
+                var counts = { added: 0, changed: 0, same: 0, missing: 0 };
+                var $body = $('<tbody>');
+
+                $.each(section.rows, function (j, row) {
+                    counts[row.status]++;
+                    if (row.status === 'same') {
+                        return;
+                    }
+
+                    $body.append($('<tr>').addClass('ewheel-import-' + row.status).append(
+                        $('<td>').append($('<code>').text(row.key)),
+                        $('<td>').text(strings['bundleStatus_' + row.status] || row.status),
+                        $('<td class="ewheel-import-value">').text(row.current),
+                        $('<td class="ewheel-import-value">').text(row.incoming)
+                    ));
+                });
+
+                var pending = counts.added + counts.changed;
+                var $checkbox = $('<input type="checkbox" class="ewheel-import-section-check">')
+                    .val(section.section)
+                    .prop('checked', pending > 0)
+                    .prop('disabled', pending === 0);
+
+                var $section = $('<div class="ewheel-import-section">').append(
+                    $('<label>').append(
+                        $checkbox,
+                        ' ',
+                        $('<strong>').text(section.label),
+                        ' ',
+                        $('<span class="description">').text(
+                            (strings.bundleSummary || '%1$d new, %2$d changed, %3$d unchanged')
+                                .replace('%1$d', counts.added)
+                                .replace('%2$d', counts.changed)
+                                .replace('%3$d', counts.same) +
+                            (counts.missing
+                                ? ', ' + (strings.bundleMissing || '%d skipped (category not found)').replace('%d', counts.missing)
+                                : '')
+                        )
+                    )
+                );
+
+                if ($body.children().length) {
+                    $section.append(
+                        ' ',
+                        $('<button type="button" class="button-link ewheel-import-section-toggle">').text(strings.bundleShowChanges || 'Show changes'),
+                        $('<table class="widefat striped ewheel-import-changes" style="display: none;">').append(
+                            $('<thead>').append($('<tr>').append(
+                                $('<th>').text(strings.bundleKey || 'Entry'),
+                                $('<th>').text(strings.bundleStatus || 'Status'),
+                                $('<th>').text(strings.bundleCurrent || 'Current'),
+                                $('<th>').text(strings.bundleIncoming || 'Incoming')
+                            )),
+                            $body
+                        )
+                    );
+                }
+
+                $sections.append($section);
+            });
+
+            $('#ewheel-import-apply').prop('disabled', $sections.find('.ewheel-import-section-check:enabled').length === 0);
+            $('#ewheel-import-preview').show();
+        },
+
+        apply: function () {
+            var sections = $('#ewheel-import-preview-sections .ewheel-import-section-check:checked').map(function () {
+                return $(this).val();
+            }).get();
+
+            if (!this.bundleJson || sections.length === 0) {
+                $('#ewheel-import-status').text(ewheelImporter.strings.bundleNoSections || 'Choose at least one section.');
+                return;
+            }
+
+            $('#ewheel-import-apply').prop('disabled', true);
+
+            $.post(ewheelImporter.ajaxUrl, {
+                action: 'ewheel_import_settings',
+                nonce: ewheelImporter.nonce,
+                settings: this.bundleJson,
+                sections: sections
+            }, function (response) {
+                if (!response.success) {
+                    $('#ewheel-import-apply').prop('disabled', false);
+                    $('#ewheel-import-status').text(response.data.message);
+                    return;
+                }
+
+                alert(response.data.message);
+                location.reload();
+            });
+        }
+    };
+
+    $(document).ready(function () {
+        EwheelImporter.init();
+        OpenRouterModelSelector.init();
+        PricingRulesEditor.init();
+        RateHistoryWidget.init();
+        PatternEditor.init();
+        TranslationReview.init();
+        GlossaryEditor.init();
+        ProductInspector.init();
+        StockSync.init();
+        DiscontinuedReview.init();
+        ImageManager.init();
+        VariationMatrix.init();
+        ModelCompatibility.init();
+        BrandManager.init();
+        AttributeMapping.init();
+        WebhookManager.init();
+        LogExplorer.init();
+        SettingsTransfer.init();
     });
 })(jQuery);
@@ -40,7 +40,6 @@ use Trotibike\EwheelImporter\Config\Configuration;
 use Trotibike\EwheelImporter\Container\ServiceContainer;
 use Trotibike\EwheelImporter\Sync\SyncLauncher;
 use Trotibike\EwheelImporter\Admin\AdminPage;
-use Trotibike\EwheelImporter\Model\Profile;
 use YahnisElsts\PluginUpdateChecker\v5\PucFactory;
 
 /**
@@ -206,27 +205,63 @@ final class Ewheel_Importer
         add_action('admin_menu', [$this, 'add_admin_menu']);
         add_action('admin_init', [$this, 'register_settings']);
         add_action('admin_init', [$this, 'check_db_tables']); // Self-healing DB
+        add_action('update_option_ewheel_importer_exchange_rate', [$this, 'record_manual_exchange_rate'], 10, 2);
         add_action('admin_enqueue_scripts', [$this, 'enqueue_admin_scripts']);
         add_action('admin_head', [$this, 'product_list_column_styles']);
 
+        // Products list "Sync from ewheel" row action
+        add_filter('post_row_actions', [$this, 'add_product_row_actions'], 10, 2);
+        add_action('admin_post_ewheel_sync_product', [$this, 'handle_product_row_sync']);
+        add_action('admin_notices', [$this, 'render_product_row_sync_notice']);
+
+        // REST API (sync control, status, logs and profiles)
+        add_action('rest_api_init', [$this, 'register_rest_routes']);
+
+        // WP-CLI (wp ewheel ...)
+        if (defined('WP_CLI') && WP_CLI) {
+            \WP_CLI::add_command('ewheel', $this->container->get(\Trotibike\EwheelImporter\Cli\EwheelCommand::class));
+        }
+
         // AJAX
-        add_action('wp_ajax_ewheel_run_sync', [$this, 'ajax_run_sync']);
-        add_action('wp_ajax_ewheel_get_sync_status', [$this, 'ajax_get_sync_status']);
-        add_action('wp_ajax_ewheel_stop_sync', [$this, 'ajax_stop_sync']);
-        add_action('wp_ajax_ewheel_pause_sync', [$this, 'ajax_pause_sync']);
-        add_action('wp_ajax_ewheel_resume_sync', [$this, 'ajax_resume_sync']);
+        add_action('wp_ajax_ewheel_preview_sync', [$this, 'ajax_preview_sync']);
         add_action('wp_ajax_ewheel_test_connection', [$this, 'ajax_test_connection']);
-        add_action('wp_ajax_ewheel_get_logs', [$this, 'ajax_get_logs']);
-        add_action('wp_ajax_ewheel_get_sync_combined', [$this, 'ajax_get_sync_combined']);
-        add_action('wp_ajax_ewheel_get_sync_history', [$this, 'ajax_get_sync_history']);
-        add_action('wp_ajax_ewheel_get_persistent_logs', [$this, 'ajax_get_persistent_logs']);
+        add_action('wp_ajax_ewheel_stream_sync', [$this, 'ajax_stream_sync']);
+        add_action('wp_ajax_ewheel_get_sync_items', [$this, 'ajax_get_sync_items']);
+        add_action('wp_ajax_ewheel_get_sync_item_logs', [$this, 'ajax_get_sync_item_logs']);
+        add_action('wp_ajax_ewheel_export_sync_items', [$this, 'ajax_export_sync_items']);
+        add_action('wp_ajax_ewheel_rollback_sync', [$this, 'ajax_rollback_sync']);
+        add_action('wp_ajax_ewheel_get_rollback_status', [$this, 'ajax_get_rollback_status']);
+        add_action('wp_ajax_ewheel_inspect_product', [$this, 'ajax_inspect_product']);
+        add_action('wp_ajax_ewheel_sync_single_product', [$this, 'ajax_sync_single_product']);
+        add_action('wp_ajax_ewheel_get_discontinued', [$this, 'ajax_get_discontinued']);
+        add_action('wp_ajax_ewheel_scan_feed', [$this, 'ajax_scan_feed']);
+        add_action('wp_ajax_ewheel_reconcile_products', [$this, 'ajax_reconcile_products']);
+        add_action('wp_ajax_ewheel_discontinued_action', [$this, 'ajax_discontinued_action']);
+        add_action('wp_ajax_ewheel_run_stock_sync', [$this, 'ajax_run_stock_sync']);
+        add_action('wp_ajax_ewheel_get_stock_sync_status', [$this, 'ajax_get_stock_sync_status']);
+        add_action('wp_ajax_ewheel_get_variation_groups', [$this, 'ajax_get_variation_groups']);
+        add_action('wp_ajax_ewheel_get_variation_group', [$this, 'ajax_get_variation_group']);
+        add_action('wp_ajax_ewheel_save_variation_override', [$this, 'ajax_save_variation_override']);
+        add_action('wp_ajax_ewheel_get_image_queue', [$this, 'ajax_get_image_queue']);
+        add_action('wp_ajax_ewheel_retry_images', [$this, 'ajax_retry_images']);
+        add_action('wp_ajax_ewheel_refresh_images', [$this, 'ajax_refresh_images']);
+        add_action('wp_ajax_ewheel_process_images', [$this, 'ajax_process_images']);
+        add_action('wp_ajax_ewheel_get_image_duplicates', [$this, 'ajax_get_image_duplicates']);
         add_action('wp_ajax_ewheel_clear_logs', [$this, 'ajax_clear_logs']);
+        add_action('wp_ajax_ewheel_export_logs', [$this, 'ajax_export_logs']);
         add_action('wp_ajax_ewheel_export_settings', [$this, 'ajax_export_settings']);
+        add_action('wp_ajax_ewheel_preview_settings_import', [$this, 'ajax_preview_settings_import']);
         add_action('wp_ajax_ewheel_import_settings', [$this, 'ajax_import_settings']);
+        add_action('wp_ajax_ewheel_preview_pricing', [$this, 'ajax_preview_pricing']);
+        add_action('wp_ajax_ewheel_preview_patterns', [$this, 'ajax_preview_patterns']);
+        add_action('wp_ajax_ewheel_get_rate_history', [$this, 'ajax_get_rate_history']);
+        add_action('wp_ajax_ewheel_refresh_exchange_rate', [$this, 'ajax_refresh_exchange_rate']);
         add_action('wp_ajax_ewheel_get_ewheel_categories', [$this, 'ajax_get_ewheel_categories']);
         add_action('wp_ajax_ewheel_get_woo_categories', [$this, 'ajax_get_woo_categories']);
         add_action('wp_ajax_ewheel_get_category_mappings', [$this, 'ajax_get_category_mappings']);
         add_action('wp_ajax_ewheel_save_category_mapping', [$this, 'ajax_save_category_mapping']);
+        add_action('wp_ajax_ewheel_save_category_mappings', [$this, 'ajax_save_category_mappings']);
+        add_action('wp_ajax_ewheel_suggest_category_mappings', [$this, 'ajax_suggest_category_mappings']);
         add_action('wp_ajax_ewheel_sync_categories', [$this, 'ajax_sync_categories']);
 
         // Category translation AJAX handlers
@@ -234,11 +269,19 @@ final class Ewheel_Importer
         add_action('wp_ajax_ewheel_save_category_translation', [$this, 'ajax_save_category_translation']);
         add_action('wp_ajax_ewheel_clear_category_translations', [$this, 'ajax_clear_category_translations']);
 
-        // Profile AJAX handlers
-        add_action('wp_ajax_ewheel_get_profiles', [$this, 'ajax_get_profiles']);
-        add_action('wp_ajax_ewheel_get_profile', [$this, 'ajax_get_profile']);
-        add_action('wp_ajax_ewheel_save_profile', [$this, 'ajax_save_profile']);
-        add_action('wp_ajax_ewheel_delete_profile', [$this, 'ajax_delete_profile']);
+        // Translation review AJAX handlers
+        add_action('wp_ajax_ewheel_get_translations', [$this, 'ajax_get_translations']);
+        add_action('wp_ajax_ewheel_save_translation', [$this, 'ajax_save_translation']);
+        add_action('wp_ajax_ewheel_approve_translations', [$this, 'ajax_approve_translations']);
+        add_action('wp_ajax_ewheel_retranslate', [$this, 'ajax_retranslate']);
+
+        // Translation glossary AJAX handlers
+        add_action('wp_ajax_ewheel_get_glossary', [$this, 'ajax_get_glossary']);
+        add_action('wp_ajax_ewheel_save_glossary_term', [$this, 'ajax_save_glossary_term']);
+        add_action('wp_ajax_ewheel_delete_glossary_term', [$this, 'ajax_delete_glossary_term']);
+        add_action('wp_ajax_ewheel_export_glossary', [$this, 'ajax_export_glossary']);
+        add_action('wp_ajax_ewheel_import_glossary', [$this, 'ajax_import_glossary']);
+        add_action('wp_ajax_ewheel_check_glossary', [$this, 'ajax_check_glossary']);
 
         // OpenRouter model AJAX handlers
         add_action('wp_ajax_ewheel_get_openrouter_models', [$this, 'ajax_get_openrouter_models']);
@@ -255,6 +298,30 @@ final class Ewheel_Importer
         add_action('wp_ajax_ewheel_get_model_mappings', [$this, 'ajax_get_model_mappings']);
         add_action('wp_ajax_ewheel_save_model_mapping', [$this, 'ajax_save_model_mapping']);
         add_action('wp_ajax_ewheel_delete_model_mapping', [$this, 'ajax_delete_model_mapping']);
+        add_action('wp_ajax_ewheel_get_model_compatibility', [$this, 'ajax_get_model_compatibility']);
+        add_action('wp_ajax_ewheel_change_product_models', [$this, 'ajax_change_product_models']);
+        add_action('wp_ajax_ewheel_export_model_compatibility', [$this, 'ajax_export_model_compatibility']);
+        add_action('wp_ajax_ewheel_import_model_compatibility', [$this, 'ajax_import_model_compatibility']);
+
+        // Brand management AJAX handlers
+        add_action('wp_ajax_ewheel_get_brands', [$this, 'ajax_get_brands']);
+        add_action('wp_ajax_ewheel_save_brand_alias', [$this, 'ajax_save_brand_alias']);
+        add_action('wp_ajax_ewheel_delete_brand_alias', [$this, 'ajax_delete_brand_alias']);
+        add_action('wp_ajax_ewheel_merge_brands', [$this, 'ajax_merge_brands']);
+        add_action('wp_ajax_ewheel_save_brand_filter', [$this, 'ajax_save_brand_filter']);
+
+        // Attribute mapping AJAX handlers
+        add_action('wp_ajax_ewheel_get_attribute_mappings', [$this, 'ajax_get_attribute_mappings']);
+        add_action('wp_ajax_ewheel_save_attribute_mapping', [$this, 'ajax_save_attribute_mapping']);
+
+        // Webhook AJAX handlers
+        add_action('wp_ajax_ewheel_get_webhooks', [$this, 'ajax_get_webhooks']);
+        add_action('wp_ajax_ewheel_save_webhook', [$this, 'ajax_save_webhook']);
+        add_action('wp_ajax_ewheel_delete_webhook', [$this, 'ajax_delete_webhook']);
+        add_action('wp_ajax_ewheel_test_webhook', [$this, 'ajax_test_webhook']);
+        add_action('wp_ajax_ewheel_get_webhook_deliveries', [$this, 'ajax_get_webhook_deliveries']);
+        add_action('wp_ajax_ewheel_redeliver_webhook', [$this, 'ajax_redeliver_webhook']);
+        add_action('wp_ajax_ewheel_save_webhook_settings', [$this, 'ajax_save_webhook_settings']);
 
         // Seed model names on upgrade (no-op if already seeded)
         add_action('admin_init', function () {
@@ -263,6 +330,8 @@ final class Ewheel_Importer
 
         // Cron
         add_action('ewheel_importer_cron_sync', [$this, 'run_scheduled_sync']);
+        add_action(\Trotibike\EwheelImporter\Sync\StockPriceSync::CRON_HOOK, [$this, 'run_scheduled_stock_sync']);
+        add_action(\Trotibike\EwheelImporter\Log\PersistentLogger::PRUNE_HOOK, [$this, 'prune_logs']);
         add_filter('cron_schedules', [$this, 'add_cron_schedules']);
 
         // Activation/Deactivation
@@ -272,6 +341,13 @@ final class Ewheel_Importer
         // Action Scheduler Hooks
         add_action('ewheel_importer_process_batch', [$this, 'process_batch_action'], 10, 5);
         add_action('ewheel_importer_sync_stock', [$this, 'process_stock_sync_action'], 10, 2);
+        add_action('ewheel_importer_rollback_batch', [$this, 'process_rollback_batch_action'], 10, 2);
+        add_action(\Trotibike\EwheelImporter\Service\ImageQueue::PROCESS_HOOK, [$this, 'process_image_queue_action']);
+        add_action(\Trotibike\EwheelImporter\Sync\StockPriceSync::RUN_HOOK, [$this, 'process_stock_price_sync_action']);
+        add_action(\Trotibike\EwheelImporter\Service\WebhookNotifier::DELIVER_HOOK, [$this, 'process_webhook_delivery_action']);
+
+        // Outgoing webhooks
+        add_action(\Trotibike\EwheelImporter\Service\WebhookNotifier::EVENT_HOOK, [$this, 'dispatch_webhooks'], 10, 2);
 
         // Brand Taxonomy
         add_action('init', [$this, 'register_product_brand_taxonomy'], 5);
@@ -304,6 +380,16 @@ final class Ewheel_Importer
         );
     }
 
+    /**
+     * Register the REST API routes.
+     *
+     * @return void
+     */
+    public function register_rest_routes(): void
+    {
+        $this->container->get(\Trotibike\EwheelImporter\Rest\RestController::class)->register_routes();
+    }
+
     /**
      * Register settings.
      *
@@ -319,8 +405,12 @@ final class Ewheel_Importer
             'openrouter_model',
             'translation_driver',
             'exchange_rate',
+            'exchange_rate_source',
+            'exchange_rate_feed_url',
             'markup_percent',
             'sync_frequency',
+            'stock_sync_frequency',
+            'stock_sync_prices',
             'target_language',
             'sync_fields',
             'sync_protection',
@@ -333,6 +423,19 @@ final class Ewheel_Importer
             register_setting('ewheel_importer_settings', 'ewheel_importer_' . $setting);
         }
 
+        foreach (['log_retention_days', 'log_max_entries'] as $setting) {
+            register_setting('ewheel_importer_settings', 'ewheel_importer_' . $setting, [
+                'type' => 'integer',
+                'sanitize_callback' => 'absint',
+            ]);
+        }
+
+        register_setting('ewheel_importer_settings', 'ewheel_importer_pricing_rules', [
+            'type' => 'array',
+            'default' => [],
+            'sanitize_callback' => [\Trotibike\EwheelImporter\Pricing\PricingRules::class, 'sanitize'],
+        ]);
+
         // Reschedule cron when settings are saved
         if (isset($_POST['ewheel_importer_sync_frequency'])) {
             wp_clear_scheduled_hook('ewheel_importer_cron_sync');
@@ -341,6 +444,14 @@ final class Ewheel_Importer
                 wp_schedule_event(time(), $frequency, 'ewheel_importer_cron_sync');
             }
         }
+
+        if (isset($_POST['ewheel_importer_stock_sync_frequency'])) {
+            wp_clear_scheduled_hook(\Trotibike\EwheelImporter\Sync\StockPriceSync::CRON_HOOK);
+            $frequency = sanitize_text_field(wp_unslash($_POST['ewheel_importer_stock_sync_frequency']));
+            if ($frequency !== 'manual') {
+                wp_schedule_event(time(), $frequency, \Trotibike\EwheelImporter\Sync\StockPriceSync::CRON_HOOK);
+            }
+        }
     }
 
     /**
@@ -380,7 +491,11 @@ final class Ewheel_Importer
             [
                 'ajaxUrl' => admin_url('admin-ajax.php'),
                 'nonce' => wp_create_nonce('ewheel_importer_nonce'),
+                'restUrl' => esc_url_raw(rest_url(\Trotibike\EwheelImporter\Rest\RestController::NAMESPACE . '/')),
+                'restNonce' => wp_create_nonce('wp_rest'),
+                'streamEnabled' => (bool) apply_filters('ewheel_importer_sync_stream_enabled', true),
                 'strings' => $this->get_js_strings(),
+                'patternTags' => \Trotibike\EwheelImporter\Sync\PatternTemplate::get_tag_labels(),
             ]
         );
     }
@@ -456,6 +571,33 @@ final class Ewheel_Importer
             'testing' => __('Testing connection...', 'ewheel-importer'),
             'connected' => __('Connection successful!', 'ewheel-importer'),
             'connFailed' => __('Connection failed:', 'ewheel-importer'),
+            // Sync controller strings
+            'pause' => __('Pause', 'ewheel-importer'),
+            'pausing' => __('Pausing...', 'ewheel-importer'),
+            'pausingDetail' => __('Finishing current batch before pausing...', 'ewheel-importer'),
+            'cancel' => __('Cancel', 'ewheel-importer'),
+            'cancelling' => __('Cancelling...', 'ewheel-importer'),
+            'cancellingDetail' => __('Finishing current batch before cancelling...', 'ewheel-importer'),
+            'forceStop' => __('Force Stop', 'ewheel-importer'),
+            'forceStopping' => __('Force stopping...', 'ewheel-importer'),
+            'confirmCancel' => __('Are you sure you want to cancel this sync?', 'ewheel-importer'),
+            'confirmForceStop' => __('Force stop and clear all sync data? This will completely reset the sync state.', 'ewheel-importer'),
+            'syncCancelled' => __('Sync cancelled.', 'ewheel-importer'),
+            'syncFailed' => __('Sync failed.', 'ewheel-importer'),
+            'networkForceStop' => __('Network error. Try Force Stop.', 'ewheel-importer'),
+            'connectionLost' => __('Connection lost. Refresh page to resume.', 'ewheel-importer'),
+            'selectProfile' => __('Please select a profile first.', 'ewheel-importer'),
+            'resume' => __('Resume', 'ewheel-importer'),
+            'eta' => __('ETA', 'ewheel-importer'),
+            'failures' => __('Failed', 'ewheel-importer'),
+            'badgeIdle' => __('Idle', 'ewheel-importer'),
+            'badgeRunning' => __('Running', 'ewheel-importer'),
+            'badgePausing' => __('Pausing', 'ewheel-importer'),
+            'badgePaused' => __('Paused', 'ewheel-importer'),
+            'badgeStopping' => __('Stopping', 'ewheel-importer'),
+            'badgeCompleted' => __('Completed', 'ewheel-importer'),
+            'badgeStopped' => __('Cancelled', 'ewheel-importer'),
+            'badgeFailed' => __('Failed', 'ewheel-importer'),
             // OpenRouter model strings
             'loadingModels' => __('Loading models...', 'ewheel-importer'),
             'modelsFromCache' => __('Models loaded from cache.', 'ewheel-importer'),
@@ -464,6 +606,310 @@ final class Ewheel_Importer
             'selectModel' => __('Select a model', 'ewheel-importer'),
             'freeModels' => __('Free Models', 'ewheel-importer'),
             'paidModels' => __('Paid Models', 'ewheel-importer'),
+            // Sync preview strings
+            'previewLoading' => __('Transforming products, this may take a moment...', 'ewheel-importer'),
+            'previewEmpty' => __('No products returned for this page.', 'ewheel-importer'),
+            'previewCreate' => __('Create', 'ewheel-importer'),
+            'previewUpdate' => __('Update', 'ewheel-importer'),
+            'previewSkip' => __('Skip', 'ewheel-importer'),
+            'previewAction' => __('Action', 'ewheel-importer'),
+            'previewProduct' => __('Product', 'ewheel-importer'),
+            'previewChanges' => __('Changes', 'ewheel-importer'),
+            'previewField' => __('Field', 'ewheel-importer'),
+            'previewCurrent' => __('Current', 'ewheel-importer'),
+            'previewNew' => __('New', 'ewheel-importer'),
+            'previewProtected' => __('protected, will not change', 'ewheel-importer'),
+            'previewPage' => __('API page', 'ewheel-importer'),
+            'previewItems' => __('items', 'ewheel-importer'),
+            'fieldName' => __('Title', 'ewheel-importer'),
+            'fieldDescription' => __('Description', 'ewheel-importer'),
+            'fieldPrice' => __('Price', 'ewheel-importer'),
+            'fieldStock' => __('Stock', 'ewheel-importer'),
+            'fieldImages' => __('Images', 'ewheel-importer'),
+            'fieldCategories' => __('Categories', 'ewheel-importer'),
+            // Sync run detail strings
+            'runLoading' => __('Loading run details...', 'ewheel-importer'),
+            'runEmpty' => __('No products match these filters.', 'ewheel-importer'),
+            'runNoItems' => __('No per-product details were recorded for this run.', 'ewheel-importer'),
+            'runCreated' => __('Created', 'ewheel-importer'),
+            'runUpdated' => __('Updated', 'ewheel-importer'),
+            'runSkipped' => __('Unchanged', 'ewheel-importer'),
+            'runFailed' => __('Failed', 'ewheel-importer'),
+            'runPageInfo' => __('Page %1$d of %2$d (%3$d products)', 'ewheel-importer'),
+            'runLogs' => __('Log entries', 'ewheel-importer'),
+            'runNoLogs' => __('No log entries for this SKU (they may have been pruned).', 'ewheel-importer'),
+            'runBefore' => __('Before', 'ewheel-importer'),
+            'runAfter' => __('After', 'ewheel-importer'),
+            'rollbackConfirm' => __('Restore the values this run overwrote on %d products? Fields edited since the run are kept, and products it created are not removed.', 'ewheel-importer'),
+            'rollbackProgress' => __('Rolling back: %1$d of %2$d products', 'ewheel-importer'),
+            'rollbackDone' => __('Rolled back: %1$d restored, %2$d kept because they changed since, %3$d failed.', 'ewheel-importer'),
+            'rollbackFailed' => __('Rollback failed: %s', 'ewheel-importer'),
+            'translationsLoading' => __('Loading translations...', 'ewheel-importer'),
+            'translationsEmpty' => __('No translations match these filters.', 'ewheel-importer'),
+            'translationsPageInfo' => __('Page %1$d of %2$d (%3$d translations)', 'ewheel-importer'),
+            'translationsSelectFirst' => __('Select at least one translation.', 'ewheel-importer'),
+            'translationsRetranslating' => __('Re-translating %1$d of %2$d...', 'ewheel-importer'),
+            'translationsRetranslated' => __('Re-translated %1$d entries, skipped %2$d approved.', 'ewheel-importer'),
+            'translationsRetranslateConfirm' => __('Send %d translations through the translation driver again? Approved ones are skipped.', 'ewheel-importer'),
+            'translationTitle' => __('Title', 'ewheel-importer'),
+            'translationDescription' => __('Description', 'ewheel-importer'),
+            'translationApproved' => __('Approved', 'ewheel-importer'),
+            'translationPending' => __('Pending', 'ewheel-importer'),
+            'translationSave' => __('Save', 'ewheel-importer'),
+            'translationRequestFailed' => __('Request failed.', 'ewheel-importer'),
+            'glossaryLoading' => __('Loading glossary...', 'ewheel-importer'),
+            'glossaryEmpty' => __('No glossary terms yet.', 'ewheel-importer'),
+            'glossaryTerm' => __('Term', 'ewheel-importer'),
+            'glossaryTranslation' => __('Translation', 'ewheel-importer'),
+            'glossaryProtected' => __('Do not translate', 'ewheel-importer'),
+            'glossaryCaseSensitive' => __('Case-sensitive', 'ewheel-importer'),
+            'glossaryEdit' => __('Edit', 'ewheel-importer'),
+            'glossaryDelete' => __('Delete', 'ewheel-importer'),
+            'glossaryAdd' => __('Add term', 'ewheel-importer'),
+            'glossaryUpdate' => __('Update term', 'ewheel-importer'),
+            'glossaryDeleteConfirm' => __('Delete the glossary term "%s"?', 'ewheel-importer'),
+            'glossaryConfirmReplace' => __('Replace the whole glossary? Terms not in the file are deleted.', 'ewheel-importer'),
+            'glossaryChecking' => __('Checking cached translations...', 'ewheel-importer'),
+            'glossaryMissing' => __('Missing terms', 'ewheel-importer'),
+            'glossaryMoreFlagged' => __('Showing the first %1$d of %2$d flagged translations.', 'ewheel-importer'),
+            'pricingDefault' => __('Default', 'ewheel-importer'),
+            'pricingDefaultMarkup' => __('Default markup', 'ewheel-importer'),
+            'pricingRule' => __('Rule #%d', 'ewheel-importer'),
+            'pricingMoveUp' => __('Move up', 'ewheel-importer'),
+            'pricingMoveDown' => __('Move down', 'ewheel-importer'),
+            'pricingRemove' => __('Remove', 'ewheel-importer'),
+            'pricingPreviewFailed' => __('Could not calculate prices.', 'ewheel-importer'),
+            'rateFetching' => __('Reading feed...', 'ewheel-importer'),
+            'rateFetchFailed' => __('Could not read the feed.', 'ewheel-importer'),
+            'rateLatest' => __('Latest rate: %1$s from %2$s, published %3$s', 'ewheel-importer'),
+            'rateStale' => __('This rate is %d days old.', 'ewheel-importer'),
+            'rateNoHistory' => __('No rates recorded yet.', 'ewheel-importer'),
+            'rateNoSyncs' => __('No syncs yet.', 'ewheel-importer'),
+            'rateManual' => __('manual', 'ewheel-importer'),
+            'patternPreviewLoading' => __('Rendering preview...', 'ewheel-importer'),
+            'patternPreviewFailed' => __('Could not render the preview.', 'ewheel-importer'),
+            'patternPreviewEmpty' => __('(empty)', 'ewheel-importer'),
+            'patternSample' => __('Previewing with product %s.', 'ewheel-importer'),
+            'patternSyntaxError' => __('Check the braces and that every {if} has a matching {/if}.', 'ewheel-importer'),
+            'patternProductField' => __('Product field', 'ewheel-importer'),
+            'inspectLoading' => __('Looking up product...', 'ewheel-importer'),
+            'inspectSyncing' => __('Syncing product...', 'ewheel-importer'),
+            'inspectNoMatch' => __('Not in WooCommerce yet; a sync creates it.', 'ewheel-importer'),
+            'inspectSynced' => __('%1$d created, %2$d updated, %3$d failed.', 'ewheel-importer'),
+            'inspectEdit' => __('Edit', 'ewheel-importer'),
+            'inspectNoLogs' => __('No log lines were recorded.', 'ewheel-importer'),
+            'inspectFailed' => __('Request failed.', 'ewheel-importer'),
+            'discontinuedLoading' => __('Loading products...', 'ewheel-importer'),
+            'discontinuedScanning' => __('Reading the ewheel feed, this can take a few minutes...', 'ewheel-importer'),
+            'discontinuedEmpty' => __('No discontinued products.', 'ewheel-importer'),
+            'discontinuedNoSnapshot' => __('The feed has not been checked yet, so only products handled earlier are listed.', 'ewheel-importer'),
+            /* translators: 1: date, 2: number of references */
+            'discontinuedSnapshot' => __('Feed checked %1$s: %2$d references.', 'ewheel-importer'),
+            /* translators: 1: rows shown, 2: total rows */
+            'discontinuedTruncated' => __('Showing the first %1$d of %2$d products.', 'ewheel-importer'),
+            'discontinuedSelectFirst' => __('Select at least one product.', 'ewheel-importer'),
+            'discontinuedReconcileConfirm' => __('Apply the profile\'s discontinued policy to every pending product?', 'ewheel-importer'),
+            'discontinuedTrashConfirm' => __('Move the selected products to the trash?', 'ewheel-importer'),
+            'discontinuedProduct' => __('Product', 'ewheel-importer'),
+            'discontinuedState' => __('State', 'ewheel-importer'),
+            'discontinuedStock' => __('Stock', 'ewheel-importer'),
+            'discontinuedLastSeen' => __('Last seen in feed', 'ewheel-importer'),
+            /* translators: %d: number of days */
+            'discontinuedSales' => sprintf(__('Sold (%d days)', 'ewheel-importer'), \Trotibike\EwheelImporter\Sync\DiscontinuedProducts::SALES_DAYS),
+            'discontinuedExcluded' => __('Excluded', 'ewheel-importer'),
+            'discontinuedNever' => __('never', 'ewheel-importer'),
+            'discontinuedFailed' => __('Request failed.', 'ewheel-importer'),
+            'discontinuedState_pending' => __('Pending', 'ewheel-importer'),
+            'discontinuedState_draft' => __('Moved to draft', 'ewheel-importer'),
+            'discontinuedState_outofstock' => __('Marked out of stock', 'ewheel-importer'),
+            'discontinuedState_keep' => __('Kept', 'ewheel-importer'),
+            'discontinuedState_trash' => __('Trashed', 'ewheel-importer'),
+            'discontinuedState_excluded' => __('Excluded', 'ewheel-importer'),
+            'stockSyncQueued' => __('Stock sync queued...', 'ewheel-importer'),
+            'stockSyncRunning' => __('Updating stock and prices...', 'ewheel-importer'),
+            'stockSyncNever' => __('The stock sync has not run yet.', 'ewheel-importer'),
+            /* translators: 1: finish time, 2: updated products, 3: price changes, 4: unchanged products */
+            'stockSyncSummary' => __('Last run %1$s: %2$d updated (%3$d price changes), %4$d unchanged.', 'ewheel-importer'),
+            /* translators: 1: finish time, 2: error message */
+            'stockSyncFailed' => __('Last run %1$s failed: %2$s', 'ewheel-importer'),
+            /* translators: %s: date and time */
+            'stockSyncNext' => __('Next scheduled run: %s', 'ewheel-importer'),
+            /* translators: %d: number of products */
+            'stockSyncStatusChanges' => __('Stock status changed on %d products:', 'ewheel-importer'),
+            /* translators: 1: products listed, 2: total products */
+            'stockSyncTruncated' => __('Showing %1$d of %2$d.', 'ewheel-importer'),
+            'stockSyncDetails' => __('Run details', 'ewheel-importer'),
+            'stockSyncError' => __('Request failed.', 'ewheel-importer'),
+            'stockStatus_instock' => __('In stock', 'ewheel-importer'),
+            'stockStatus_outofstock' => __('Out of stock', 'ewheel-importer'),
+            'stockStatus_onbackorder' => __('On backorder', 'ewheel-importer'),
+            'variationsLoading' => __('Loading groups...', 'ewheel-importer'),
+            'variationsEmpty' => __('No imported groups found.', 'ewheel-importer'),
+            'variationsFailed' => __('Request failed.', 'ewheel-importer'),
+            'variationsBase' => __('Reference base', 'ewheel-importer'),
+            'variationsProducts' => __('Products', 'ewheel-importer'),
+            'variationsVariations' => __('Variations', 'ewheel-importer'),
+            'variationsOverride' => __('Override', 'ewheel-importer'),
+            'variationsAutomatic' => __('Automatic', 'ewheel-importer'),
+            'variationsModeSimple' => __('Simple products', 'ewheel-importer'),
+            'variationsModeVariable' => __('Variable product', 'ewheel-importer'),
+            /* translators: %d: number of split variants */
+            'variationsSplitCount' => __('%d split', 'ewheel-importer'),
+            /* translators: %s: reference base */
+            'variationsMergedInto' => __('Merged into %s', 'ewheel-importer'),
+            /* translators: %s: comma-separated reference bases */
+            'variationsMergedFrom' => __('Merged in: %s', 'ewheel-importer'),
+            'variationsMergedFromLabel' => __('Groups merged into this one:', 'ewheel-importer'),
+            /* translators: %s: reference base */
+            'variationsGroupTitle' => __('Group %s', 'ewheel-importer'),
+            'variationsNoProducts' => __('No products of this group are imported right now.', 'ewheel-importer'),
+            'variationsVariable' => __('variable', 'ewheel-importer'),
+            'variationsSimpleProducts' => __('Simple products', 'ewheel-importer'),
+            'variationsSplit' => __('Split out', 'ewheel-importer'),
+            'variationsSku' => __('SKU', 'ewheel-importer'),
+            'variationsName' => __('Name', 'ewheel-importer'),
+            'variationsAny' => __('Any', 'ewheel-importer'),
+            'variationsRegularPrice' => __('Regular price', 'ewheel-importer'),
+            'variationsSalePrice' => __('Sale price', 'ewheel-importer'),
+            'variationsStock' => __('Stock', 'ewheel-importer'),
+            'variationsResetConfirm' => __('Remove the override of this group? The next sync groups it automatically again.', 'ewheel-importer'),
+            'compatLoading' => __('Loading products...', 'ewheel-importer'),
+            'compatEmpty' => __('No products match these filters.', 'ewheel-importer'),
+            'compatProduct' => __('Product', 'ewheel-importer'),
+            'compatSku' => __('SKU', 'ewheel-importer'),
+            'compatModels' => __('Compatible models', 'ewheel-importer'),
+            'compatNoModels' => __('No models', 'ewheel-importer'),
+            'compatManual' => __('Linked by hand', 'ewheel-importer'),
+            'compatUnlink' => __('Unlink this model', 'ewheel-importer'),
+            'compatSelectBoth' => __('Select at least one product and one model.', 'ewheel-importer'),
+            /* translators: 1: number of models, 2: number of products */
+            'compatConfirmUnlink' => __('Unlink %1$d models from %2$d products?', 'ewheel-importer'),
+            'compatConfirmReplace' => __('Replace the models of every product listed in the file? Models not in the file are unlinked from those products.', 'ewheel-importer'),
+            'compatImporting' => __('Importing...', 'ewheel-importer'),
+            /* translators: %d: CSV line number */
+            'compatLine' => __('Line %d', 'ewheel-importer'),
+            /* translators: %d: number of rows not listed */
+            'compatMoreErrors' => __('%d more rows skipped.', 'ewheel-importer'),
+            'brandsLoading' => __('Loading brands...', 'ewheel-importer'),
+            'brandsEmpty' => __('No brands found. Brands are created by syncs.', 'ewheel-importer'),
+            'brandsBrand' => __('Brand', 'ewheel-importer'),
+            'brandsProducts' => __('Products', 'ewheel-importer'),
+            'brandsAliases' => __('Aliases', 'ewheel-importer'),
+            'brandsFilter' => __('Profile filter', 'ewheel-importer'),
+            'brandsFilterImport' => __('Import', 'ewheel-importer'),
+            'brandsFilterInclude' => __('Only these', 'ewheel-importer'),
+            'brandsFilterExclude' => __('Exclude', 'ewheel-importer'),
+            'brandsNoProfile' => __('No import profile yet', 'ewheel-importer'),
+            'brandsFilterSaved' => __('Profile filter saved.', 'ewheel-importer'),
+            'brandsMergeInto' => __('Merge into...', 'ewheel-importer'),
+            'brandsSelect' => __('Select a brand', 'ewheel-importer'),
+            /* translators: 1: duplicate brand, 2: brand to keep */
+            'brandsMergeConfirm' => __('Move all products of "%1$s" to "%2$s" and delete "%1$s"? "%1$s" becomes an alias of "%2$s".', 'ewheel-importer'),
+            'brandsRemoveAlias' => __('Remove alias', 'ewheel-importer'),
+            /* translators: %s: comma-separated aliases */
+            'brandsOrphanAliases' => __('Aliases of brands not imported yet: %s', 'ewheel-importer'),
+            'attributesLoading' => __('Loading attributes...', 'ewheel-importer'),
+            'attributesEmpty' => __('No attributes seen yet. They are counted while products are synced.', 'ewheel-importer'),
+            'attributesSlug' => __('Attribute', 'ewheel-importer'),
+            'attributesProducts' => __('Products', 'ewheel-importer'),
+            'attributesKind' => __('Kind', 'ewheel-importer'),
+            'attributesLabel' => __('Label', 'ewheel-importer'),
+            'attributesValues' => __('Values', 'ewheel-importer'),
+            'attributesEdit' => __('Edit', 'ewheel-importer'),
+            'attributesReserved' => __('Handled by the importer', 'ewheel-importer'),
+            /* translators: %s: default kind */
+            'attributesDefault' => __('Default (%s)', 'ewheel-importer'),
+            /* translators: %d: number of mapped values */
+            'attributesMappedValues' => __('%d mapped', 'ewheel-importer'),
+            /* translators: 1: number of products, 2: date */
+            'attributesUsage' => __('%1$d products counted since %2$s.', 'ewheel-importer'),
+            /* translators: %s: attribute slug */
+            'attributesEditTitle' => __('Attribute: %s', 'ewheel-importer'),
+            /* translators: %s: comma-separated values */
+            'attributesSamples' => __('Sample values: %s', 'ewheel-importer'),
+            'attributesFrom' => __('API value', 'ewheel-importer'),
+            'attributesTo' => __('Normalized value', 'ewheel-importer'),
+            'attributesRemoveValue' => __('Remove value', 'ewheel-importer'),
+            'attributesResetConfirm' => __('Remove the mapping of this attribute and use the built-in defaults?', 'ewheel-importer'),
+            'webhooksLoading' => __('Loading webhooks...', 'ewheel-importer'),
+            'webhooksEmpty' => __('No webhooks yet. Add one to get sync events in chat or another system.', 'ewheel-importer'),
+            /* translators: %d: minimum number of processed products */
+            'webhooksErrorRateHelp' => __('Fires the error-rate event once per sync when this share of processed products failed, judged after %d products. 0 turns it off.', 'ewheel-importer'),
+            'webhooksEndpoint' => __('Endpoint', 'ewheel-importer'),
+            'webhooksEvents' => __('Events', 'ewheel-importer'),
+            'webhooksFormat' => __('Format', 'ewheel-importer'),
+            'webhooksFormatJson' => __('JSON', 'ewheel-importer'),
+            'webhooksFormatChat' => __('Chat', 'ewheel-importer'),
+            'webhooksState' => __('State', 'ewheel-importer'),
+            'webhooksActive' => __('Active', 'ewheel-importer'),
+            'webhooksInactive' => __('Inactive', 'ewheel-importer'),
+            'webhooksEdit' => __('Edit', 'ewheel-importer'),
+            /* translators: %s: webhook name */
+            'webhooksEditTitle' => __('Webhook: %s', 'ewheel-importer'),
+            'webhooksNewTitle' => __('New Webhook', 'ewheel-importer'),
+            'webhooksDeleteConfirm' => __('Delete this webhook? Its delivery log is kept.', 'ewheel-importer'),
+            'webhooksTesting' => __('Sending test event...', 'ewheel-importer'),
+            'webhooksNoDeliveries' => __('No deliveries yet.', 'ewheel-importer'),
+            'webhooksDate' => __('Date', 'ewheel-importer'),
+            'webhooksEvent' => __('Event', 'ewheel-importer'),
+            'webhooksStatus' => __('Status', 'ewheel-importer'),
+            'webhooksAttempts' => __('Attempts', 'ewheel-importer'),
+            'webhooksResponse' => __('Response', 'ewheel-importer'),
+            'webhooksPayload' => __('Payload', 'ewheel-importer'),
+            'webhooksResend' => __('Resend', 'ewheel-importer'),
+            'imagesLoading' => __('Loading images...', 'ewheel-importer'),
+            'imagesEmpty' => __('No images in the queue.', 'ewheel-importer'),
+            'imagesImage' => __('Image', 'ewheel-importer'),
+            'imagesProduct' => __('Product', 'ewheel-importer'),
+            'imagesStatus' => __('Status', 'ewheel-importer'),
+            'imagesAttempts' => __('Attempts', 'ewheel-importer'),
+            'imagesError' => __('Last error', 'ewheel-importer'),
+            'imagesUpdated' => __('Updated', 'ewheel-importer'),
+            'imagesStatus_pending' => __('Pending', 'ewheel-importer'),
+            'imagesStatus_processing' => __('Downloading', 'ewheel-importer'),
+            'imagesStatus_failed' => __('Failed', 'ewheel-importer'),
+            'imagesStatus_completed' => __('Completed', 'ewheel-importer'),
+            'imagesSelectFirst' => __('Select at least one image.', 'ewheel-importer'),
+            'imagesRetryAllConfirm' => __('Queue every failed download again?', 'ewheel-importer'),
+            'imagesRefreshCompletedOnly' => __('Only completed downloads can be refreshed.', 'ewheel-importer'),
+            /* translators: 1: images checked so far, 2: images selected */
+            'imagesRefreshing' => __('Checking images %1$d of %2$d...', 'ewheel-importer'),
+            /* translators: 1: replaced images, 2: unchanged images, 3: failed downloads */
+            'imagesRefreshed' => __('%1$d replaced, %2$d unchanged, %3$d failed.', 'ewheel-importer'),
+            /* translators: 1: first row, 2: last row, 3: total rows */
+            'imagesShowing' => __('Showing %1$d-%2$d of %3$d', 'ewheel-importer'),
+            'imagesDuplicatesEmpty' => __('No duplicate attachments found.', 'ewheel-importer'),
+            'imagesSourceUrl' => __('Source URL', 'ewheel-importer'),
+            'imagesAttachments' => __('Attachments', 'ewheel-importer'),
+            'imagesKept' => __('in use', 'ewheel-importer'),
+            'imagesFailed' => __('Request failed.', 'ewheel-importer'),
+            'logsLoading' => __('Loading logs...', 'ewheel-importer'),
+            'logsEmpty' => __('No logs found.', 'ewheel-importer'),
+            'logsTime' => __('Time', 'ewheel-importer'),
+            'logsLevel' => __('Level', 'ewheel-importer'),
+            'logsMessage' => __('Message', 'ewheel-importer'),
+            'logsSku' => __('SKU', 'ewheel-importer'),
+            'logsRun' => __('Sync run', 'ewheel-importer'),
+            'logsContext' => __('Details', 'ewheel-importer'),
+            /* translators: 1: first entry, 2: last entry, 3: total entries */
+            'logsShowing' => __('Showing %1$d-%2$d of %3$d', 'ewheel-importer'),
+            'logsTailing' => __('Watching for new entries...', 'ewheel-importer'),
+            'logsConfirmClear' => __('Are you sure you want to clear all logs? This cannot be undone.', 'ewheel-importer'),
+            'bundleNoSections' => __('Choose at least one section.', 'ewheel-importer'),
+            /* translators: 1: plugin version, 2: export date */
+            'bundleSource' => __('Exported by version %1$s on %2$s.', 'ewheel-importer'),
+            /* translators: 1: new entries, 2: changed entries, 3: unchanged entries */
+            'bundleSummary' => __('%1$d new, %2$d changed, %3$d unchanged', 'ewheel-importer'),
+            /* translators: %d: number of skipped entries */
+            'bundleMissing' => __('%d skipped (category not found)', 'ewheel-importer'),
+            'bundleShowChanges' => __('Show changes', 'ewheel-importer'),
+            'bundleKey' => __('Entry', 'ewheel-importer'),
+            'bundleStatus' => __('Status', 'ewheel-importer'),
+            'bundleCurrent' => __('Current', 'ewheel-importer'),
+            'bundleIncoming' => __('Incoming', 'ewheel-importer'),
+            'bundleStatus_added' => __('New', 'ewheel-importer'),
+            'bundleStatus_changed' => __('Changed', 'ewheel-importer'),
+            'bundleStatus_missing' => __('Skipped', 'ewheel-importer'),
         ];
     }
 
@@ -537,67 +983,22 @@ final class Ewheel_Importer
     }
 
     /**
-     * Log sync diagnostics before starting a sync.
+     * Make a CSV row safe to open in a spreadsheet.
      *
-     * @param int|null $profile_id Profile ID.
-     * @return void
+     * Text cells starting with a formula character get a leading quote, so
+     * values taken from the feed can't run as formulas. Numbers are kept.
+     *
+     * @param array $cells Row cells.
+     * @return array
      */
-    private function log_sync_diagnostics(?int $profile_id = null): void
+    private function csv_safe_row(array $cells): array
     {
-        $diagnostics = [];
-
-        // Check Action Scheduler
-        $diagnostics['action_scheduler'] = function_exists('as_schedule_single_action') ? 'available' : 'MISSING';
-
-        // Check profile
-        $profile_repo = $this->container->get(\Trotibike\EwheelImporter\Repository\ProfileRepository::class);
-        if ($profile_id) {
-            $profile = $profile_repo->find($profile_id);
-            $diagnostics['profile'] = $profile ? $profile->get_name() : 'NOT FOUND (ID: ' . $profile_id . ')';
-        } else {
-            $profile = $profile_repo->find_default();
-            $diagnostics['profile'] = $profile ? 'Default: ' . $profile->get_name() : 'NO DEFAULT PROFILE';
-        }
-
-        // Check API configuration
-        $config = $this->container->get(\Trotibike\EwheelImporter\Config\Configuration::class);
-        $diagnostics['api_key'] = $config->get_api_key() ? 'configured (' . strlen($config->get_api_key()) . ' chars)' : 'NOT SET';
-
-        // Check pending actions
-        if (function_exists('as_get_scheduled_actions')) {
-            $pending = as_get_scheduled_actions([
-                'hook' => 'ewheel_importer_process_batch',
-                'status' => \ActionScheduler_Store::STATUS_PENDING,
-                'per_page' => 10,
-            ]);
-            $diagnostics['pending_batches'] = count($pending);
-
-            $running = as_get_scheduled_actions([
-                'hook' => 'ewheel_importer_process_batch',
-                'status' => \ActionScheduler_Store::STATUS_RUNNING,
-                'per_page' => 10,
-            ]);
-            $diagnostics['running_batches'] = count($running);
-
-            $failed = as_get_scheduled_actions([
-                'hook' => 'ewheel_importer_process_batch',
-                'status' => \ActionScheduler_Store::STATUS_FAILED,
-                'per_page' => 10,
-            ]);
-            $diagnostics['failed_batches'] = count($failed);
-        }
-
-        // Check current sync status
-        $status_key = $profile_id ? 'ewheel_importer_sync_status_' . $profile_id : 'ewheel_importer_sync_status';
-        $current_status = get_option($status_key, []);
-        $diagnostics['current_status'] = $current_status ? ($current_status['status'] ?? 'unknown') : 'none';
-
-        // Check lock
-        $lock_key = $profile_id ? 'ewheel_importer_sync_lock_' . $profile_id : 'ewheel_importer_sync_lock';
-        $lock = get_transient($lock_key);
-        $diagnostics['lock'] = $lock ? 'LOCKED (sync_id: ' . $lock . ')' : 'unlocked';
-
-        error_log('[Ewheel Sync Diagnostics] ' . wp_json_encode($diagnostics));
+        return array_map(function ($cell) {
+            if (is_string($cell) && $cell !== '' && !is_numeric($cell) && strpbrk($cell[0], "=+-@\t\r") !== false) {
+                return "'" . $cell;
+            }
+            return $cell;
+        }, $cells);
     }
 
     /**
@@ -615,6 +1016,7 @@ final class Ewheel_Importer
             $wpdb->prefix . \Trotibike\EwheelImporter\Log\PersistentLogger::TABLE_NAME,
             $wpdb->prefix . \Trotibike\EwheelImporter\Database\SchemaInstaller::SYNC_HISTORY_TABLE,
             $wpdb->prefix . \Trotibike\EwheelImporter\Database\SchemaInstaller::PROFILES_TABLE,
+            $wpdb->prefix . \Trotibike\EwheelImporter\Database\SchemaInstaller::SYNC_ITEMS_TABLE,
         ];
 
         $missing = false;
@@ -637,68 +1039,35 @@ final class Ewheel_Importer
     }
 
     /**
-     * AJAX: Run sync.
+     * AJAX: Preview sync (dry run).
+     *
+     * Transforms one slice of API products and returns what a sync would
+     * create, update or skip, with per-field differences. Nothing is saved.
      *
      * @return void
      */
-    public function ajax_run_sync(): void
+    public function ajax_preview_sync(): void
     {
-        // Debug Log
-        error_log('Ewheel Importer: AJAX Run Sync Triggered');
-
         check_ajax_referer('ewheel_importer_nonce', 'nonce');
 
         if (!current_user_can('manage_woocommerce')) {
             wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')]);
         }
 
-        try {
-            $limit = isset($_POST['limit']) ? (int) $_POST['limit'] : 0;
-            $profile_id = isset($_POST['profile_id']) ? (int) $_POST['profile_id'] : null;
-            $resume_from_last = !empty($_POST['resume_from_last']);
-
-            // Determine start page (resume from previous sync position or start fresh)
-            $start_page = 0;
-            if ($resume_from_last) {
-                $status_key = $profile_id
-                    ? 'ewheel_importer_sync_status_' . $profile_id
-                    : 'ewheel_importer_sync_status';
-                $prev_status = get_option($status_key, []);
-                if (!empty($prev_status['page'])) {
-                    $start_page = (int) $prev_status['page'] + 1;
-                }
-            }
-
-            error_log("Ewheel Importer: Starting Sync (Limit: $limit, Profile: " . ($profile_id ?? 'Default') . ", Start Page: $start_page)");
-
-            // Pre-sync diagnostics
-            $this->log_sync_diagnostics($profile_id);
+        $page = isset($_POST['page']) ? absint($_POST['page']) : 0;
+        $offset = isset($_POST['offset']) ? absint($_POST['offset']) : 0;
 
-            // Re-use launcher directly or through factory
-            $launcher = $this->container->get(\Trotibike\EwheelImporter\Sync\SyncLauncher::class);
-            $sync_id = $launcher->start_sync($limit, $profile_id, $start_page);
-
-            error_log("Ewheel Importer: Sync Scheduled with ID $sync_id");
+        try {
+            $preview = $this->container->get(\Trotibike\EwheelImporter\Sync\SyncPreview::class);
 
-            // Verify the batch was actually scheduled
-            if (function_exists('as_get_scheduled_actions')) {
-                $pending = as_get_scheduled_actions([
-                    'hook' => 'ewheel_importer_process_batch',
-                    'status' => \ActionScheduler_Store::STATUS_PENDING,
-                    'per_page' => 1,
-                ]);
-                error_log("Ewheel Importer: Pending batch actions after schedule: " . count($pending));
+            // A fresh preview starts from cold caches so stale API data isn't shown
+            if ($page === 0 && $offset === 0) {
+                $preview->clear_cache();
             }
 
-            wp_send_json_success(
-                [
-                    'message' => __('Sync started successfully. ID: ' . $sync_id, 'ewheel-importer'),
-                    'sync_id' => $sync_id,
-                    'profile_id' => $profile_id,
-                ]
-            );
+            wp_send_json_success($preview->preview($page, $offset));
         } catch (\Throwable $e) {
-            $this->log_ajax_error('ewheel_run_sync', $e);
+            $this->log_ajax_error('ewheel_preview_sync', $e);
             wp_send_json_error(['message' => $e->getMessage()]);
         }
     }
@@ -751,6 +1120,88 @@ final class Ewheel_Importer
         }
     }
 
+    /**
+     * Process a rollback batch via Action Scheduler.
+     *
+     * @param string $sync_id Sync ID being rolled back.
+     * @param int    $offset  Offset into the run's snapshot.
+     * @return void
+     */
+    public function process_rollback_batch_action(string $sync_id, int $offset = 0): void
+    {
+        try {
+            $container = ServiceFactory::build_container();
+            $rollback = $container->get(\Trotibike\EwheelImporter\Sync\SyncRollback::class);
+            $rollback->process_batch($sync_id, $offset);
+        } catch (\Throwable $e) {
+            error_log('Ewheel Importer rollback error: ' . $e->getMessage() . ' in ' . $e->getFile() . ':' . $e->getLine());
+        }
+    }
+
+    /**
+     * Download queued images via Action Scheduler.
+     *
+     * @return void
+     */
+    public function process_image_queue_action(): void
+    {
+        try {
+            $container = ServiceFactory::build_container();
+            $container->get(\Trotibike\EwheelImporter\Service\ImageQueue::class)->process_batch();
+        } catch (\Throwable $e) {
+            error_log('Ewheel Importer image queue error: ' . $e->getMessage() . ' in ' . $e->getFile() . ':' . $e->getLine());
+        }
+    }
+
+    /**
+     * Run the stock and price sync via Action Scheduler.
+     *
+     * @return void
+     */
+    public function process_stock_price_sync_action(): void
+    {
+        try {
+            $container = ServiceFactory::build_container();
+            $container->get(\Trotibike\EwheelImporter\Sync\StockPriceSync::class)->run();
+        } catch (\Throwable $e) {
+            error_log('Ewheel Importer stock sync error: ' . $e->getMessage() . ' in ' . $e->getFile() . ':' . $e->getLine());
+        }
+    }
+
+    /**
+     * Post a queued webhook delivery via Action Scheduler.
+     *
+     * @param int $delivery_id Delivery row ID.
+     * @return void
+     */
+    public function process_webhook_delivery_action($delivery_id): void
+    {
+        try {
+            $container = ServiceFactory::build_container();
+            $container->get(\Trotibike\EwheelImporter\Service\WebhookNotifier::class)->deliver((int) $delivery_id);
+        } catch (\Throwable $e) {
+            error_log('Ewheel Importer webhook delivery error: ' . $e->getMessage() . ' in ' . $e->getFile() . ':' . $e->getLine());
+        }
+    }
+
+    /**
+     * Queue a sync event for the webhooks subscribed to it.
+     *
+     * A webhook problem must never break the sync that fired the event.
+     *
+     * @param string $event Event (WebhookNotifier::EVENT_*).
+     * @param array  $data  Event data.
+     * @return void
+     */
+    public function dispatch_webhooks($event, $data = []): void
+    {
+        try {
+            $this->container->get(\Trotibike\EwheelImporter\Service\WebhookNotifier::class)->dispatch((string) $event, (array) $data);
+        } catch (\Throwable $e) {
+            error_log('Ewheel Importer webhook dispatch error: ' . $e->getMessage() . ' in ' . $e->getFile() . ':' . $e->getLine());
+        }
+    }
+
     /**
      * AJAX Test API Connection.
      *
@@ -795,39 +1246,57 @@ final class Ewheel_Importer
     }
 
     /**
-     * AJAX Get Logs (Live Logger).
+     * AJAX Stream Sync Progress.
+     *
+     * Server-sent events endpoint (GET, for EventSource) that pushes status
+     * changes and new live log entries while a sync runs. Clients fall back
+     * to polling GET /sync/status when streaming isn't available.
      *
      * @return void
      */
-    public function ajax_get_logs(): void
+    public function ajax_stream_sync(): void
     {
-        // Check capability first
+        check_ajax_referer('ewheel_importer_nonce', 'nonce');
+
         if (!current_user_can('manage_woocommerce')) {
-            wp_send_json_error(['message' => 'Insufficient permissions']);
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
+        }
+
+        $profile_id = isset($_GET['profile_id']) ? absint($_GET['profile_id']) : null;
+        if ($profile_id === 0) {
+            $profile_id = null;
         }
 
-        $nonce = $_POST['nonce'] ?? '';
-        if (!wp_verify_nonce($nonce, 'ewheel_importer_nonce')) {
-            wp_send_json_error(['message' => 'Invalid nonce']);
+        // EventSource sends the last received event ID back when reconnecting
+        $log_cursor = null;
+        if (isset($_SERVER['HTTP_LAST_EVENT_ID']) && is_numeric($_SERVER['HTTP_LAST_EVENT_ID'])) {
+            $log_cursor = absint($_SERVER['HTTP_LAST_EVENT_ID']);
         }
 
-        // Ensure Logger is loaded if autoloader failed (fallback)
-        if (!class_exists(\Trotibike\EwheelImporter\Log\LiveLogger::class)) {
-            require_once EWHEEL_IMPORTER_PATH . 'includes/Log/LiveLogger.php';
+        // Release the session lock early so other admin requests aren't blocked
+        if (function_exists('session_write_close')) {
+            session_write_close();
         }
 
-        wp_send_json_success(\Trotibike\EwheelImporter\Log\LiveLogger::get_logs());
+        try {
+            $this->container->get(\Trotibike\EwheelImporter\Sync\SyncProgressStream::class)
+                ->stream($profile_id, $log_cursor);
+        } catch (\Throwable $e) {
+            $this->log_ajax_error('stream_sync', $e);
+        }
+
+        exit;
     }
 
     /**
-     * AJAX Get Sync Combined (Status + Logs).
+     * AJAX Get Sync Items.
      *
-     * Combined endpoint that returns both sync status and logs in a single response
-     * to reduce PHP worker usage on shared hosting.
+     * Lists the products a sync run created, updated, skipped or failed,
+     * with the fields that changed.
      *
      * @return void
      */
-    public function ajax_get_sync_combined(): void
+    public function ajax_get_sync_items(): void
     {
         check_ajax_referer('ewheel_importer_nonce', 'nonce');
 
@@ -835,885 +1304,730 @@ final class Ewheel_Importer
             wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
         }
 
-        // Get status data (same logic as ajax_get_sync_status)
-        $profile_id = isset($_POST['profile_id']) ? absint($_POST['profile_id']) : null;
-        if ($profile_id === 0) {
-            $profile_id = null;
+        $sync_id = isset($_POST['sync_id']) ? sanitize_text_field(wp_unslash($_POST['sync_id'])) : '';
+        $record = $sync_id ? \Trotibike\EwheelImporter\Sync\SyncHistoryManager::get($sync_id) : null;
+        if (!$record) {
+            wp_send_json_error(['message' => __('Sync run not found.', 'ewheel-importer')], 404);
         }
 
-        $status_key = $profile_id
-            ? 'ewheel_importer_sync_status_' . $profile_id
-            : 'ewheel_importer_sync_status';
-
-        $status = get_option($status_key, []);
+        $per_page = 50;
+        $page = isset($_POST['page']) ? max(1, absint($_POST['page'])) : 1;
+        $args = [
+            'action' => isset($_POST['item_action']) ? sanitize_key(wp_unslash($_POST['item_action'])) : '',
+            'search' => isset($_POST['search']) ? sanitize_text_field(wp_unslash($_POST['search'])) : '',
+            'limit' => $per_page,
+            'offset' => ($page - 1) * $per_page,
+        ];
 
-        // Check launcher for running state
-        $launcher = $this->container->get(\Trotibike\EwheelImporter\Sync\SyncLauncher::class);
-        $is_running = $launcher->is_sync_running($profile_id);
-        $is_paused = $launcher->is_sync_paused($profile_id);
+        try {
+            $items = \Trotibike\EwheelImporter\Sync\SyncItemLog::get_items($sync_id, $args);
+            $total = \Trotibike\EwheelImporter\Sync\SyncItemLog::get_count($sync_id, $args);
 
-        // Get total product count for progress calculation
-        $limit = $status['limit'] ?? 0;
-        if ($limit > 0) {
-            $total_products = $limit;
-        } else {
-            $cached_count = get_transient('ewheel_product_count_cache');
-            $total_products = $cached_count ? (int) $cached_count : 0;
-        }
-
-        // Build status response
-        $status_data = [
-            'status' => $is_running ? 'running' : ($is_paused ? 'paused' : ($status['status'] ?? 'idle')),
-            'is_running' => $is_running,
-            'is_paused' => $is_paused,
-            'id' => $status['id'] ?? null,
-            'processed' => $status['processed'] ?? 0,
-            'created' => $status['created'] ?? 0,
-            'updated' => $status['updated'] ?? 0,
-            'failed' => $status['failed'] ?? 0,
-            'page' => $status['page'] ?? 0,
-            'limit' => $status['limit'] ?? 0,
-            'total_products' => $total_products,
-            'type' => $status['type'] ?? 'full',
-            'started_at' => $status['started_at'] ?? null,
-            'last_update' => $status['last_update'] ?? null,
-            'completed_at' => $status['completed_at'] ?? null,
-            'batch_size' => $status['batch_size'] ?? 10,
-            'failure_count' => $status['failure_count'] ?? 0,
-        ];
+            foreach ($items as &$item) {
+                $item['edit_url'] = !empty($item['product_id']) ? get_edit_post_link((int) $item['product_id'], 'raw') : '';
+            }
+            unset($item);
 
-        // Get logs data (same logic as ajax_get_logs)
-        $logs = [];
-        if (class_exists(\Trotibike\EwheelImporter\Log\LiveLogger::class)) {
-            $logs = \Trotibike\EwheelImporter\Log\LiveLogger::get_logs();
+            wp_send_json_success([
+                'sync' => $record,
+                'items' => $items,
+                'total' => $total,
+                'page' => $page,
+                'pages' => (int) ceil($total / $per_page),
+                'counts' => \Trotibike\EwheelImporter\Sync\SyncItemLog::get_action_counts($sync_id),
+                'rollback' => $this->container->get(\Trotibike\EwheelImporter\Sync\SyncRollback::class)->get_status($sync_id),
+            ]);
+        } catch (\Throwable $e) {
+            $this->log_ajax_error('get_sync_items', $e);
+            wp_send_json_error(['message' => $e->getMessage()]);
         }
-
-        wp_send_json_success([
-            'status' => $status_data,
-            'logs' => $logs,
-        ]);
     }
 
     /**
-     * AJAX Get Sync History.
+     * AJAX Roll Back Sync.
+     *
+     * Starts restoring the values a finished run overwrote, in the background.
      *
      * @return void
      */
-    public function ajax_get_sync_history(): void
+    public function ajax_rollback_sync(): void
     {
         check_ajax_referer('ewheel_importer_nonce', 'nonce');
 
         if (!current_user_can('manage_woocommerce')) {
-            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')]);
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
         }
 
-        $limit = isset($_POST['limit']) ? absint($_POST['limit']) : 10;
+        $sync_id = isset($_POST['sync_id']) ? sanitize_text_field(wp_unslash($_POST['sync_id'])) : '';
 
-        $history = \Trotibike\EwheelImporter\Sync\SyncHistoryManager::get_recent($limit);
-        $stats = \Trotibike\EwheelImporter\Sync\SyncHistoryManager::get_stats();
+        try {
+            $status = $this->container->get(\Trotibike\EwheelImporter\Sync\SyncRollback::class)->start($sync_id);
 
-        // Format durations for display
-        foreach ($history as &$record) {
-            if (!empty($record['duration_seconds'])) {
-                $record['duration_formatted'] = \Trotibike\EwheelImporter\Sync\SyncHistoryManager::format_duration(
-                    (int) $record['duration_seconds']
-                );
-            }
-            if (!empty($record['started_at'])) {
-                $record['started_at_formatted'] = wp_date(
-                    get_option('date_format') . ' ' . get_option('time_format'),
-                    strtotime($record['started_at'])
-                );
-            }
+            wp_send_json_success(['rollback' => $status]);
+        } catch (\RuntimeException $e) {
+            wp_send_json_error(['message' => $e->getMessage()], 409);
+        } catch (\Throwable $e) {
+            $this->log_ajax_error('rollback_sync', $e);
+            wp_send_json_error(['message' => $e->getMessage()]);
         }
-
-        wp_send_json_success([
-            'history' => $history,
-            'stats' => $stats,
-        ]);
     }
 
     /**
-     * AJAX Get Sync Status.
+     * AJAX Get Rollback Status.
      *
      * @return void
      */
-    public function ajax_get_sync_status(): void
+    public function ajax_get_rollback_status(): void
     {
         check_ajax_referer('ewheel_importer_nonce', 'nonce');
 
         if (!current_user_can('manage_woocommerce')) {
-            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')]);
-        }
-
-        // Get profile ID from request
-        $profile_id = isset($_REQUEST['profile_id']) ? absint($_REQUEST['profile_id']) : null;
-        if ($profile_id === 0) {
-            $profile_id = null;
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
         }
 
-        // Build status key
-        $status_key = $profile_id
-            ? 'ewheel_importer_sync_status_' . $profile_id
-            : 'ewheel_importer_sync_status';
-
-        // Get stored status
-        $status = get_option($status_key, []);
+        $sync_id = isset($_POST['sync_id']) ? sanitize_text_field(wp_unslash($_POST['sync_id'])) : '';
 
-        // Check launcher for running state
-        $launcher = $this->container->get(\Trotibike\EwheelImporter\Sync\SyncLauncher::class);
-        $is_running = $launcher->is_sync_running($profile_id);
-        $is_paused = $launcher->is_sync_paused($profile_id);
+        try {
+            wp_send_json_success([
+                'rollback' => $this->container->get(\Trotibike\EwheelImporter\Sync\SyncRollback::class)->get_status($sync_id),
+            ]);
+        } catch (\Throwable $e) {
+            $this->log_ajax_error('get_rollback_status', $e);
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
+    }
 
-        // Get total product count for progress calculation
-        $limit = $status['limit'] ?? 0;
-        if ($limit > 0) {
-            $total_products = $limit;
-        } else {
-            $cached_count = get_transient('ewheel_product_count_cache');
-            $total_products = $cached_count ? (int) $cached_count : 0;
-        }
-
-        // Build response with full details
-        $response = [
-            'status' => $is_running ? 'running' : ($is_paused ? 'paused' : ($status['status'] ?? 'idle')),
-            'is_running' => $is_running,
-            'is_paused' => $is_paused,
-            'id' => $status['id'] ?? null,
-            'processed' => $status['processed'] ?? 0,
-            'created' => $status['created'] ?? 0,
-            'updated' => $status['updated'] ?? 0,
-            'failed' => $status['failed'] ?? 0,
-            'page' => $status['page'] ?? 0,
-            'limit' => $status['limit'] ?? 0,
-            'total_products' => $total_products,
-            'type' => $status['type'] ?? 'full',
-            'started_at' => $status['started_at'] ?? null,
-            'last_update' => $status['last_update'] ?? null,
-            'completed_at' => $status['completed_at'] ?? null,
-            'batch_size' => $status['batch_size'] ?? 10,
-            'failure_count' => $status['failure_count'] ?? 0,
-        ];
+    /**
+     * AJAX Inspect Product.
+     *
+     * Shows the API payload, transformer output and matched WooCommerce
+     * product for one SKU or ewheel reference.
+     *
+     * @return void
+     */
+    public function ajax_inspect_product(): void
+    {
+        check_ajax_referer('ewheel_importer_nonce', 'nonce');
 
-        // Nudge Action Scheduler if sync appears stalled.
-        // On shared hosting, WP Cron is lazy (triggered by page visits).
-        // The admin polling AJAX doesn't trigger cron, so pending batch jobs
-        // can sit in the queue. This nudge forces AS to check for pending jobs.
-        if ($is_running && !empty($status['last_update'])) {
-            $stale_seconds = time() - (int) $status['last_update'];
+        if (!current_user_can('manage_woocommerce')) {
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
+        }
 
-            if ($stale_seconds >= 30 && class_exists('ActionScheduler_QueueRunner')) {
-                try {
-                    \ActionScheduler_QueueRunner::instance()->run();
-                } catch (\Throwable $e) {
-                    // Silently ignore — this is just a nudge
-                }
-            }
+        $identifier = isset($_POST['identifier']) ? sanitize_text_field(wp_unslash($_POST['identifier'])) : '';
 
-            // Stall recovery: if no progress for 120+ seconds, the AS job likely
-            // died mid-execution (PHP timeout on shared hosting). Clear stuck jobs
-            // and reschedule from the current position.
-            if ($stale_seconds >= 120 && function_exists('as_unschedule_all_actions')) {
-                $sync_id = $status['id'] ?? '';
-                $page = $status['page'] ?? 0;
-                $since = $status['since'] ?? '';
-                $offset = $status['offset'] ?? 0;
-
-                if ($sync_id) {
-                    // Clear any stuck/pending batch jobs
-                    as_unschedule_all_actions('ewheel_importer_process_batch');
-
-                    // Reschedule from where it stalled
-                    as_schedule_single_action(
-                        time() + 2,
-                        'ewheel_importer_process_batch',
-                        [
-                            'page' => $page,
-                            'sync_id' => $sync_id,
-                            'since' => $since,
-                            'profile_id' => $profile_id,
-                            'offset' => $offset,
-                        ]
-                    );
-
-                    // Update last_update to prevent immediate re-trigger
-                    $status['last_update'] = time();
-                    update_option($status_key, $status, false);
-
-                    \Trotibike\EwheelImporter\Log\PersistentLogger::warning(
-                        sprintf('Stall recovery: rescheduled batch at page %d, offset %d (stalled %ds)', $page, $offset, $stale_seconds),
-                        null,
-                        $sync_id,
-                        $profile_id
-                    );
-                }
-            }
-        }
+        try {
+            $single = $this->container->get(\Trotibike\EwheelImporter\Sync\SingleProductSync::class);
 
-        // Add human-readable message
-        if ($is_running) {
-            $response['message'] = sprintf(
-                __('Sync running: %d processed (%d created, %d updated, %d failed)', 'ewheel-importer'),
-                $response['processed'],
-                $response['created'],
-                $response['updated'],
-                $response['failed']
-            );
-        } elseif ($is_paused) {
-            $response['message'] = __('Sync paused. Click Resume to continue.', 'ewheel-importer');
-        } elseif ($response['status'] === 'completed') {
-            $response['message'] = sprintf(
-                __('Sync completed: %d processed (%d created, %d updated)', 'ewheel-importer'),
-                $response['processed'],
-                $response['created'],
-                $response['updated']
-            );
-        } elseif ($response['status'] === 'failed') {
-            $response['message'] = $status['error'] ?? __('Sync failed.', 'ewheel-importer');
-        } elseif ($response['status'] === 'stopped') {
-            $response['message'] = __('Sync stopped by user.', 'ewheel-importer');
-        } else {
-            $response['message'] = __('Sync is idle.', 'ewheel-importer');
+            wp_send_json_success($single->inspect($identifier));
+        } catch (\RuntimeException $e) {
+            wp_send_json_error(['message' => $e->getMessage()], 404);
+        } catch (\Throwable $e) {
+            $this->log_ajax_error('inspect_product', $e);
+            wp_send_json_error(['message' => $e->getMessage()]);
         }
-
-        wp_send_json_success($response);
     }
 
     /**
-     * AJAX Pause Sync.
+     * AJAX Sync Single Product.
      *
      * @return void
      */
-    public function ajax_pause_sync(): void
+    public function ajax_sync_single_product(): void
     {
         check_ajax_referer('ewheel_importer_nonce', 'nonce');
 
         if (!current_user_can('manage_woocommerce')) {
-            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')]);
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
         }
 
-        $launcher = $this->container->get(\Trotibike\EwheelImporter\Sync\SyncLauncher::class);
-        $sync_id = $launcher->get_running_sync_id(); // Default profile
+        $identifier = isset($_POST['identifier']) ? sanitize_text_field(wp_unslash($_POST['identifier'])) : '';
 
-        if ($sync_id) {
-            $status_key = 'ewheel_importer_sync_status'; // Default profile
-            $status = get_option($status_key, []);
-            if (!empty($status)) {
-                $status['status'] = 'paused';
-                $status['paused_at'] = time();
-                update_option($status_key, $status);
-
-                // Also set a specific pause flag
-                update_option('ewheel_importer_pause_sync_' . $sync_id, true);
+        try {
+            $single = $this->container->get(\Trotibike\EwheelImporter\Sync\SingleProductSync::class);
 
-                wp_send_json_success(['message' => __('Sync paused.', 'ewheel-importer')]);
-            }
+            wp_send_json_success($single->sync($identifier));
+        } catch (\RuntimeException $e) {
+            wp_send_json_error(['message' => $e->getMessage()], 409);
+        } catch (\Throwable $e) {
+            $this->log_ajax_error('sync_single_product', $e);
+            wp_send_json_error(['message' => $e->getMessage()]);
         }
-
-        wp_send_json_error(['message' => __('No running sync found to pause.', 'ewheel-importer')]);
     }
 
     /**
-     * AJAX Resume Sync.
+     * AJAX Get Discontinued Products.
+     *
+     * Lists imported products missing from the last feed snapshot, and
+     * those reconciliation already handled.
      *
      * @return void
      */
-    public function ajax_resume_sync(): void
+    public function ajax_get_discontinued(): void
     {
         check_ajax_referer('ewheel_importer_nonce', 'nonce');
 
         if (!current_user_can('manage_woocommerce')) {
-            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')]);
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
         }
 
+        $state = isset($_POST['state']) ? sanitize_key(wp_unslash($_POST['state'])) : '';
+
         try {
-            $launcher = $this->container->get(\Trotibike\EwheelImporter\Sync\SyncLauncher::class);
-            $launcher->resume_sync();
-            wp_send_json_success(['message' => __('Sync resumed.', 'ewheel-importer')]);
-        } catch (\Exception $e) {
+            $discontinued = $this->container->get(\Trotibike\EwheelImporter\Sync\DiscontinuedProducts::class);
+
+            wp_send_json_success($discontinued->get_review($state));
+        } catch (\Throwable $e) {
+            $this->log_ajax_error('get_discontinued', $e);
             wp_send_json_error(['message' => $e->getMessage()]);
         }
     }
 
     /**
-     * AJAX Stop Sync.
+     * AJAX Scan Feed.
+     *
+     * Reads every reference in the ewheel feed for the discontinued review.
      *
      * @return void
      */
-    public function ajax_stop_sync(): void
+    public function ajax_scan_feed(): void
     {
         check_ajax_referer('ewheel_importer_nonce', 'nonce');
 
         if (!current_user_can('manage_woocommerce')) {
-            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')]);
-            return;
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
         }
 
         try {
-            $launcher = $this->container->get(\Trotibike\EwheelImporter\Sync\SyncLauncher::class);
-            $sync_id = $launcher->get_running_sync_id();
-
-            // Also check if paused
-            if (!$sync_id) {
-                $paused = $launcher->get_paused_sync();
-                if ($paused) {
-                    $sync_id = $paused['id'];
-                }
-            }
-
-            // Force clear even without sync_id - clean up any stuck state
-            // Clear status options for default profile
-            delete_option('ewheel_importer_sync_status');
-
-            // Clear the lock transient directly
-            delete_transient('ewheel_importer_sync_lock');
+            $discontinued = $this->container->get(\Trotibike\EwheelImporter\Sync\DiscontinuedProducts::class);
+            $discontinued->scan_feed();
 
-            // Stop ALL running syncs in database history (critical for is_sync_running check)
-            \Trotibike\EwheelImporter\Sync\SyncHistoryManager::stop_all_running();
-
-            if ($sync_id) {
-                // Release lock via launcher (may fail if ownership mismatch, but we cleared it above)
-                $launcher->release_lock($sync_id);
+            wp_send_json_success($discontinued->get_review());
+        } catch (\RuntimeException $e) {
+            wp_send_json_error(['message' => $e->getMessage()], 502);
+        } catch (\Throwable $e) {
+            $this->log_ajax_error('scan_feed', $e);
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
+    }
 
-                // Clear pause flag
-                delete_option('ewheel_importer_pause_sync_' . $sync_id);
+    /**
+     * AJAX Reconcile Products.
+     *
+     * Applies the chosen profile's discontinued policy to every pending product.
+     *
+     * @return void
+     */
+    public function ajax_reconcile_products(): void
+    {
+        check_ajax_referer('ewheel_importer_nonce', 'nonce');
 
-                // Update history to stopped (already handled by stop_all_running above, but keep for explicit logging)
-                try {
-                    \Trotibike\EwheelImporter\Sync\SyncHistoryManager::fail($sync_id, 'Stopped by user');
-                } catch (\Throwable $t) {
-                    // Ignore history update failures
-                }
-            }
+        if (!current_user_can('manage_woocommerce')) {
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
+        }
 
-            // Unschedule ALL pending batch actions
-            if (function_exists('as_unschedule_all_actions')) {
-                as_unschedule_all_actions('ewheel_importer_process_batch');
-            }
+        $profile_id = isset($_POST['profile_id']) ? absint($_POST['profile_id']) : 0;
 
-            wp_send_json_success(['message' => __('Sync stopped.', 'ewheel-importer')]);
-            return;
+        try {
+            $discontinued = $this->container->get(\Trotibike\EwheelImporter\Sync\DiscontinuedProducts::class);
+            $stats = $discontinued->reconcile($profile_id ?: null);
 
+            wp_send_json_success([
+                'message' => sprintf(
+                    /* translators: 1: discontinued products, 2: products back in the feed */
+                    __('%1$d products discontinued, %2$d back in the feed.', 'ewheel-importer'),
+                    $stats['discontinued'],
+                    $stats['restored']
+                ),
+                'review' => $discontinued->get_review(),
+            ]);
+        } catch (\RuntimeException $e) {
+            wp_send_json_error(['message' => $e->getMessage()], 409);
         } catch (\Throwable $e) {
-            // Even on error, try to force cleanup
-            delete_option('ewheel_importer_sync_status');
-            delete_transient('ewheel_importer_sync_lock');
-            if (function_exists('as_unschedule_all_actions')) {
-                as_unschedule_all_actions('ewheel_importer_process_batch');
-            }
-
-            wp_send_json_error(['message' => 'Stop failed: ' . $e->getMessage()]);
-            return;
+            $this->log_ajax_error('reconcile_products', $e);
+            wp_send_json_error(['message' => $e->getMessage()]);
         }
     }
 
-
     /**
-     * AJAX Get Product Count.
+     * AJAX Discontinued Bulk Action.
      *
      * @return void
      */
-    public function ajax_get_product_count(): void
+    public function ajax_discontinued_action(): void
     {
         check_ajax_referer('ewheel_importer_nonce', 'nonce');
 
         if (!current_user_can('manage_woocommerce')) {
-            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')]);
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
         }
 
-        $force = !empty($_POST['force']);
-        $cache_key = 'ewheel_product_count_cache';
-
-        // Try cached value first (unless forced refresh)
-        if (!$force) {
-            $cached = get_transient($cache_key);
-            if ($cached !== false) {
-                wp_send_json_success([
-                    'count' => (int) $cached,
-                    'formatted' => number_format((int) $cached),
-                    'cached' => true,
-                ]);
-            }
-        }
+        $ids = isset($_POST['ids']) ? array_map('absint', (array) wp_unslash($_POST['ids'])) : [];
+        $bulk_action = isset($_POST['bulk_action']) ? sanitize_key(wp_unslash($_POST['bulk_action'])) : '';
+        $state = isset($_POST['state']) ? sanitize_key(wp_unslash($_POST['state'])) : '';
 
         try {
-            $client = $this->container->get(\Trotibike\EwheelImporter\Api\EwheelApiClient::class);
-
-            // Match the sync filter: only count active products
-            $filters = ['Active' => 1];
-            $count = $client->get_product_count($filters);
-
-            // Cache for 1 hour
-            set_transient($cache_key, $count, HOUR_IN_SECONDS);
+            $discontinued = $this->container->get(\Trotibike\EwheelImporter\Sync\DiscontinuedProducts::class);
+            $changed = $discontinued->bulk($ids, $bulk_action);
 
             wp_send_json_success([
-                'count' => $count,
-                'formatted' => number_format($count),
-                'cached' => false,
+                /* translators: %d: number of products */
+                'message' => sprintf(_n('%d product updated.', '%d products updated.', $changed, 'ewheel-importer'), $changed),
+                'review' => $discontinued->get_review($state),
             ]);
-
-        } catch (\Exception $e) {
+        } catch (\RuntimeException $e) {
+            wp_send_json_error(['message' => $e->getMessage()], 400);
+        } catch (\Throwable $e) {
+            $this->log_ajax_error('discontinued_action', $e);
             wp_send_json_error(['message' => $e->getMessage()]);
         }
     }
 
     /**
-     * AJAX Get Persistent Logs.
+     * AJAX Run Stock Sync.
+     *
+     * Queues a stock and price only sync.
      *
      * @return void
      */
-    public function ajax_get_persistent_logs(): void
+    public function ajax_run_stock_sync(): void
     {
         check_ajax_referer('ewheel_importer_nonce', 'nonce');
 
         if (!current_user_can('manage_woocommerce')) {
-            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')]);
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
         }
 
-        $args = [
-            'level' => isset($_POST['level']) ? sanitize_text_field(wp_unslash($_POST['level'])) : '',
-            'batch_id' => isset($_POST['batch_id']) ? sanitize_text_field(wp_unslash($_POST['batch_id'])) : '',
-            'sku' => isset($_POST['sku']) ? sanitize_text_field(wp_unslash($_POST['sku'])) : '',
-            'limit' => isset($_POST['limit']) ? absint($_POST['limit']) : 100,
-            'offset' => isset($_POST['offset']) ? absint($_POST['offset']) : 0,
-        ];
-
-        $logs = \Trotibike\EwheelImporter\Log\PersistentLogger::get_logs($args);
-        $total = \Trotibike\EwheelImporter\Log\PersistentLogger::get_count($args);
+        try {
+            $stock_sync = $this->container->get(\Trotibike\EwheelImporter\Sync\StockPriceSync::class);
+            $stock_sync->queue();
 
-        wp_send_json_success([
-            'logs' => $logs,
-            'total' => $total,
-        ]);
+            wp_send_json_success($this->format_stock_sync_status($stock_sync));
+        } catch (\RuntimeException $e) {
+            wp_send_json_error(['message' => $e->getMessage()], 409);
+        } catch (\Throwable $e) {
+            $this->log_ajax_error('run_stock_sync', $e);
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
     }
 
     /**
-     * AJAX Clear Logs.
+     * AJAX Get Stock Sync Status.
      *
      * @return void
      */
-    public function ajax_clear_logs(): void
+    public function ajax_get_stock_sync_status(): void
     {
         check_ajax_referer('ewheel_importer_nonce', 'nonce');
 
         if (!current_user_can('manage_woocommerce')) {
-            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')]);
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
         }
 
-        $type = isset($_POST['type']) ? sanitize_text_field(wp_unslash($_POST['type'])) : 'live';
+        try {
+            wp_send_json_success($this->format_stock_sync_status(
+                $this->container->get(\Trotibike\EwheelImporter\Sync\StockPriceSync::class)
+            ));
+        } catch (\Throwable $e) {
+            $this->log_ajax_error('get_stock_sync_status', $e);
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
+    }
 
-        if ($type === 'persistent') {
-            \Trotibike\EwheelImporter\Log\PersistentLogger::clear_all();
-        } else {
-            \Trotibike\EwheelImporter\Log\LiveLogger::clear();
+    /**
+     * Build the stock sync status for the admin.
+     *
+     * @param \Trotibike\EwheelImporter\Sync\StockPriceSync $stock_sync Stock sync.
+     * @return array Last run summary, plus busy flag, next scheduled run and product edit links.
+     */
+    private function format_stock_sync_status(\Trotibike\EwheelImporter\Sync\StockPriceSync $stock_sync): array
+    {
+        $status = $stock_sync->get_status();
+        $next_run = wp_next_scheduled(\Trotibike\EwheelImporter\Sync\StockPriceSync::CRON_HOOK);
+
+        foreach ($status['status_changes'] ?? [] as &$change) {
+            $product = wc_get_product((int) $change['product_id']);
+            $change['edit_url'] = $product
+                ? (string) get_edit_post_link($product->get_parent_id() ?: $product->get_id(), 'raw')
+                : '';
         }
+        unset($change);
 
-        wp_send_json_success(['message' => __('Logs cleared successfully', 'ewheel-importer')]);
+        $status['busy'] = $stock_sync->is_busy();
+        $status['next_run'] = $next_run
+            ? wp_date(get_option('date_format') . ' ' . get_option('time_format'), $next_run)
+            : '';
+
+        return $status;
     }
 
     /**
-     * AJAX Export Settings.
+     * AJAX Get Variation Groups.
+     *
+     * Lists the reference bases of imported products for the variation matrix.
      *
      * @return void
      */
-    public function ajax_export_settings(): void
+    public function ajax_get_variation_groups(): void
     {
         check_ajax_referer('ewheel_importer_nonce', 'nonce');
 
         if (!current_user_can('manage_woocommerce')) {
-            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')]);
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
         }
 
-        $settings = $this->config->get_all();
+        $search = isset($_POST['search']) ? sanitize_text_field(wp_unslash($_POST['search'])) : '';
+        $overridden = !empty($_POST['overridden']);
+        $page = isset($_POST['page']) ? max(1, absint($_POST['page'])) : 1;
 
-        // Remove sensitive data for export
-        unset($settings['api_key']);
-        unset($settings['translate_api_key']);
-        unset($settings['deepl_api_key']);
-        unset($settings['openrouter_api_key']);
-        unset($settings['last_sync']);
+        try {
+            $groups = $this->container->get(\Trotibike\EwheelImporter\Sync\VariationGroups::class);
 
-        wp_send_json_success([
-            'settings' => $settings,
-            'version' => EWHEEL_IMPORTER_VERSION,
-            'exported_at' => current_time('mysql'),
-        ]);
+            wp_send_json_success($groups->get_groups($search, $overridden, $page, 20) + ['page' => $page, 'per_page' => 20]);
+        } catch (\Throwable $e) {
+            $this->log_ajax_error('get_variation_groups', $e);
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
     }
 
     /**
-     * AJAX Import Settings.
+     * AJAX Get Variation Group.
+     *
+     * Returns the products, attributes and variations of one reference base.
      *
      * @return void
      */
-    public function ajax_import_settings(): void
+    public function ajax_get_variation_group(): void
     {
         check_ajax_referer('ewheel_importer_nonce', 'nonce');
 
         if (!current_user_can('manage_woocommerce')) {
-            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')]);
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
         }
 
-        $settings_json = isset($_POST['settings']) ? wp_unslash($_POST['settings']) : '';
-
-        if (empty($settings_json)) {
-            wp_send_json_error(['message' => __('No settings data provided', 'ewheel-importer')]);
-        }
+        $base = isset($_POST['base']) ? sanitize_text_field(wp_unslash($_POST['base'])) : '';
 
-        $data = json_decode($settings_json, true);
+        try {
+            $groups = $this->container->get(\Trotibike\EwheelImporter\Sync\VariationGroups::class);
 
-        if (json_last_error() !== JSON_ERROR_NONE) {
-            wp_send_json_error(['message' => __('Invalid JSON data', 'ewheel-importer')]);
+            wp_send_json_success($groups->get_group($base));
+        } catch (\Throwable $e) {
+            $this->log_ajax_error('get_variation_group', $e);
+            wp_send_json_error(['message' => $e->getMessage()]);
         }
+    }
 
-        if (empty($data['settings'])) {
-            wp_send_json_error(['message' => __('No settings found in import data', 'ewheel-importer')]);
+    /**
+     * AJAX Save Variation Override.
+     *
+     * Saves the grouping override of a reference base; an empty override removes it.
+     *
+     * @return void
+     */
+    public function ajax_save_variation_override(): void
+    {
+        check_ajax_referer('ewheel_importer_nonce', 'nonce');
+
+        if (!current_user_can('manage_woocommerce')) {
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
         }
 
-        $allowed_keys = [
-            'exchange_rate',
-            'markup_percent',
-            'sync_frequency',
-            'target_language',
-            'sync_fields',
-            'sync_protection',
-            'custom_patterns',
-            'translation_driver',
-            'openrouter_model',
-            'variation_mode',
+        $base = isset($_POST['base']) ? sanitize_text_field(wp_unslash($_POST['base'])) : '';
+        $override = [
+            'mode' => isset($_POST['mode']) ? sanitize_key(wp_unslash($_POST['mode'])) : '',
+            'split' => isset($_POST['split']) ? array_map('sanitize_text_field', (array) wp_unslash($_POST['split'])) : [],
+            'merge_into' => isset($_POST['merge_into']) ? sanitize_text_field(wp_unslash($_POST['merge_into'])) : '',
         ];
 
-        $imported = 0;
-        foreach ($data['settings'] as $key => $value) {
-            if (in_array($key, $allowed_keys, true)) {
-                $this->config->set($key, $value);
-                $imported++;
-            }
-        }
+        try {
+            $groups = $this->container->get(\Trotibike\EwheelImporter\Sync\VariationGroups::class);
+            $groups->save_override($base, $override);
 
-        wp_send_json_success([
-            'message' => sprintf(
-                /* translators: %d: number of settings imported */
-                __('%d settings imported successfully', 'ewheel-importer'),
-                $imported
-            ),
-        ]);
+            wp_send_json_success([
+                'message' => __('Grouping saved. It is applied the next time this group is synced.', 'ewheel-importer'),
+                'group' => $groups->get_group($base),
+            ]);
+        } catch (\RuntimeException $e) {
+            wp_send_json_error(['message' => $e->getMessage()], 400);
+        } catch (\Throwable $e) {
+            $this->log_ajax_error('save_variation_override', $e);
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
     }
 
     /**
-     * AJAX Get Ewheel Categories from API.
+     * AJAX Get Image Queue.
      *
      * @return void
      */
-    public function ajax_get_ewheel_categories(): void
+    public function ajax_get_image_queue(): void
     {
         check_ajax_referer('ewheel_importer_nonce', 'nonce');
 
         if (!current_user_can('manage_woocommerce')) {
-            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')]);
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
         }
 
-        $api_key = $this->config->get_api_key();
-
-        if (empty($api_key)) {
-            wp_send_json_error(['message' => __('API key not configured', 'ewheel-importer')]);
-        }
+        $per_page = 50;
+        $page = isset($_POST['page']) ? max(1, absint($_POST['page'])) : 1;
 
         try {
-            $client = \Trotibike\EwheelImporter\Factory\ServiceFactory::create_api_client($api_key);
-            $categories = $client->get_all_categories();
-
-            // Use cache-first approach with batch query to avoid N+1 database calls
-            $translation_repo = new \Trotibike\EwheelImporter\Repository\TranslationRepository();
-            $target_lang = $this->config->get_target_language();
-
-            // First pass: extract source texts grouped by source language
-            $category_data = [];
-            $texts_by_lang = [];
-            foreach ($categories as $cat) {
-                $reference = $cat['reference'] ?? ($cat['Reference'] ?? '');
-                $raw_name = $cat['name'] ?? ($cat['Name'] ?? '');
-                $parent = $cat['parentReference'] ?? ($cat['ParentReference'] ?? null);
-
-                // Extract source text from multilingual structure
-                // Handles both: {"translations": [{"reference": "es", "value": "..."}]} and {"es": "text"}
-                $source_text = '';
-                $source_lang = 'es';
-                if (is_array($raw_name)) {
-                    // Complex format: {"translations": [...]}
-                    if (isset($raw_name['translations']) && is_array($raw_name['translations'])) {
-                        foreach (['en', 'es'] as $preferred_lang) {
-                            foreach ($raw_name['translations'] as $t) {
-                                if (isset($t['reference']) && $t['reference'] === $preferred_lang && !empty($t['value'])) {
-                                    $source_text = $t['value'];
-                                    $source_lang = $preferred_lang;
-                                    break 2;
-                                }
-                            }
-                        }
-                        // Fallback to first available
-                        if (empty($source_text) && !empty($raw_name['translations'][0]['value'])) {
-                            $source_text = $raw_name['translations'][0]['value'];
-                            $source_lang = $raw_name['translations'][0]['reference'] ?? 'es';
-                        }
-                        // Simple format: {"es": "text", "en": "text"}
-                    } elseif (!empty($raw_name['es'])) {
-                        $source_text = $raw_name['es'];
-                        $source_lang = 'es';
-                    } elseif (!empty($raw_name['en'])) {
-                        $source_text = $raw_name['en'];
-                        $source_lang = 'en';
-                    } else {
-                        $first_key = array_key_first($raw_name);
-                        $source_text = $first_key ? ($raw_name[$first_key] ?: '') : '';
-                        $source_lang = $first_key ?: 'es';
-                    }
-                } else {
-                    $source_text = (string) $raw_name;
-                }
+            $queue = $this->container->get(\Trotibike\EwheelImporter\Service\ImageQueue::class);
+            $result = $queue->get_items([
+                'status' => isset($_POST['status']) ? sanitize_key(wp_unslash($_POST['status'])) : '',
+                'search' => isset($_POST['search']) ? sanitize_text_field(wp_unslash($_POST['search'])) : '',
+                'limit' => $per_page,
+                'offset' => ($page - 1) * $per_page,
+            ]);
 
-                if (empty($source_text)) {
-                    $source_text = $reference;
-                }
+            wp_send_json_success([
+                'items' => $result['items'],
+                'total' => $result['total'],
+                'page' => $page,
+                'per_page' => $per_page,
+                'counts' => $queue->get_counts(),
+            ]);
+        } catch (\Throwable $e) {
+            $this->log_ajax_error('get_image_queue', $e);
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
+    }
 
-                $category_data[] = [
-                    'reference' => $reference,
-                    'source_text' => $source_text,
-                    'source_lang' => $source_lang,
-                    'parent' => $parent,
-                ];
-                $texts_by_lang[$source_lang][] = $source_text;
-            }
+    /**
+     * AJAX Retry Images.
+     *
+     * Queues the selected failed downloads again, or all of them when none are selected.
+     *
+     * @return void
+     */
+    public function ajax_retry_images(): void
+    {
+        check_ajax_referer('ewheel_importer_nonce', 'nonce');
 
-            // Batch query cache per source language (typically 1-2 queries total)
-            $cache_map = [];
-            foreach ($texts_by_lang as $src_lang => $texts) {
-                $batch_result = $translation_repo->get_batch($texts, $src_lang, $target_lang);
-                foreach ($texts as $text) {
-                    $hash = $translation_repo->generate_hash($text, $src_lang, $target_lang);
-                    if (isset($batch_result[$hash])) {
-                        $cache_map[$hash] = $batch_result[$hash];
-                    }
-                }
-            }
+        if (!current_user_can('manage_woocommerce')) {
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
+        }
 
-            // Second pass: build final list using cached translations
-            $formatted = [];
-            foreach ($category_data as $data) {
-                $hash = $translation_repo->generate_hash($data['source_text'], $data['source_lang'], $target_lang);
-                $name = $cache_map[$hash] ?? $data['source_text'];
+        $ids = isset($_POST['ids']) ? array_map('absint', (array) wp_unslash($_POST['ids'])) : [];
 
-                $formatted[] = [
-                    'reference' => $data['reference'],
-                    'name' => $name,
-                    'parent' => $data['parent'],
-                ];
-            }
+        try {
+            $queued = $this->container->get(\Trotibike\EwheelImporter\Service\ImageQueue::class)->retry($ids);
 
-            wp_send_json_success(['categories' => $formatted]);
-        } catch (\Exception $e) {
+            wp_send_json_success([
+                /* translators: %d: number of images */
+                'message' => sprintf(_n('%d image queued again.', '%d images queued again.', $queued, 'ewheel-importer'), $queued),
+            ]);
+        } catch (\Throwable $e) {
+            $this->log_ajax_error('retry_images', $e);
             wp_send_json_error(['message' => $e->getMessage()]);
         }
     }
 
     /**
-     * AJAX Get WooCommerce Categories.
+     * AJAX Refresh Images.
+     *
+     * Downloads completed images again and replaces those whose content
+     * changed. The admin sends the selection in small chunks.
      *
      * @return void
      */
-    public function ajax_get_woo_categories(): void
+    public function ajax_refresh_images(): void
     {
         check_ajax_referer('ewheel_importer_nonce', 'nonce');
 
         if (!current_user_can('manage_woocommerce')) {
-            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')]);
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
         }
 
-        $terms = get_terms([
-            'taxonomy' => 'product_cat',
-            'hide_empty' => false,
-            'orderby' => 'name',
-            'order' => 'ASC',
-        ]);
+        $ids = isset($_POST['ids']) ? array_map('absint', (array) wp_unslash($_POST['ids'])) : [];
 
-        if (is_wp_error($terms)) {
-            wp_send_json_error(['message' => $terms->get_error_message()]);
+        if (empty($ids)) {
+            wp_send_json_error(['message' => __('Select at least one image.', 'ewheel-importer')], 400);
         }
 
-        $categories = [];
-        foreach ($terms as $term) {
-            $categories[] = [
-                'id' => $term->term_id,
-                'name' => $term->name,
-                'slug' => $term->slug,
-                'parent' => $term->parent,
-                'count' => $term->count,
-            ];
+        try {
+            wp_send_json_success(
+                $this->container->get(\Trotibike\EwheelImporter\Service\ImageQueue::class)->refresh(array_slice($ids, 0, 10))
+            );
+        } catch (\Throwable $e) {
+            $this->log_ajax_error('refresh_images', $e);
+            wp_send_json_error(['message' => $e->getMessage()]);
         }
+    }
 
-        // Build hierarchical structure for display
-        $hierarchical = $this->build_category_hierarchy($categories);
+    /**
+     * AJAX Process Images.
+     *
+     * Runs one queue batch right away instead of waiting for Action Scheduler.
+     *
+     * @return void
+     */
+    public function ajax_process_images(): void
+    {
+        check_ajax_referer('ewheel_importer_nonce', 'nonce');
 
-        wp_send_json_success(['categories' => $hierarchical]);
+        if (!current_user_can('manage_woocommerce')) {
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
+        }
+
+        try {
+            $stats = $this->container->get(\Trotibike\EwheelImporter\Service\ImageQueue::class)->process_batch();
+
+            wp_send_json_success([
+                'message' => sprintf(
+                    /* translators: 1: downloaded images, 2: failed images, 3: images left */
+                    __('%1$d downloaded, %2$d failed, %3$d left in the queue.', 'ewheel-importer'),
+                    $stats['completed'],
+                    $stats['failed'],
+                    $stats['pending']
+                ),
+            ]);
+        } catch (\Throwable $e) {
+            $this->log_ajax_error('process_images', $e);
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
     }
 
     /**
-     * Build category hierarchy for display.
+     * AJAX Get Image Duplicates.
      *
-     * @param array $categories Flat list of categories.
-     * @param int   $parent_id  Parent ID.
-     * @param int   $depth      Current depth.
-     * @return array
+     * Lists source URLs that were imported into more than one attachment.
+     *
+     * @return void
      */
-    private function build_category_hierarchy(array $categories, int $parent_id = 0, int $depth = 0): array
+    public function ajax_get_image_duplicates(): void
     {
-        $result = [];
+        check_ajax_referer('ewheel_importer_nonce', 'nonce');
 
-        foreach ($categories as $cat) {
-            if ((int) $cat['parent'] === $parent_id) {
-                $cat['depth'] = $depth;
-                $cat['display_name'] = str_repeat('— ', $depth) . $cat['name'];
-                $result[] = $cat;
+        if (!current_user_can('manage_woocommerce')) {
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
+        }
 
-                // Get children
-                $children = $this->build_category_hierarchy($categories, (int) $cat['id'], $depth + 1);
-                $result = array_merge($result, $children);
+        try {
+            $duplicates = $this->container->get(\Trotibike\EwheelImporter\Service\ImageService::class)->find_duplicates();
+
+            foreach ($duplicates as &$duplicate) {
+                $duplicate['attachments'] = array_map(fn($id) => [
+                    'id' => $id,
+                    'edit_url' => (string) get_edit_post_link($id, 'raw'),
+                ], $duplicate['attachment_ids']);
             }
-        }
+            unset($duplicate);
 
-        return $result;
+            wp_send_json_success(['duplicates' => $duplicates]);
+        } catch (\Throwable $e) {
+            $this->log_ajax_error('get_image_duplicates', $e);
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
     }
 
     /**
-     * AJAX Get Current Category Mappings.
+     * AJAX Get Sync Item Logs.
      *
-     * Returns categories with original_name, display_name, and translation_status.
-     * Display Priority: Manual override → Transient → Original name
+     * Returns the persistent log entries a sync run wrote for one SKU.
      *
      * @return void
      */
-    public function ajax_get_category_mappings(): void
+    public function ajax_get_sync_item_logs(): void
     {
         check_ajax_referer('ewheel_importer_nonce', 'nonce');
 
         if (!current_user_can('manage_woocommerce')) {
-            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')]);
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
         }
 
-        // Get auto-created mappings from term meta
-        $category_repo = $this->container->get(\Trotibike\EwheelImporter\Repository\CategoryRepository::class);
-        $auto_mappings = $category_repo->get_mapping();
+        $sync_id = isset($_POST['sync_id']) ? sanitize_text_field(wp_unslash($_POST['sync_id'])) : '';
+        $sku = isset($_POST['sku']) ? sanitize_text_field(wp_unslash($_POST['sku'])) : '';
 
-        // Get manual mappings from option
-        $manual_mappings = get_option('ewheel_importer_category_mappings', []);
+        if ($sync_id === '' || $sku === '') {
+            wp_send_json_error(['message' => __('Missing sync ID or SKU.', 'ewheel-importer')]);
+        }
 
-        // Merge (manual takes precedence; use + to preserve numeric string keys)
-        $all_mappings = $manual_mappings + $auto_mappings;
+        $logs = \Trotibike\EwheelImporter\Log\PersistentLogger::get_logs([
+            'batch_id' => $sync_id,
+            'sku' => $sku,
+            'limit' => 100,
+            'order' => 'ASC',
+        ]);
 
-        // Get translation caches
-        $transient_translations = get_transient('ewheel_category_translations') ?: [];
-        $manual_translation_overrides = get_option('ewheel_importer_category_translation_overrides', []);
+        // The SKU filter is a LIKE match; keep only this exact SKU
+        $logs = array_values(array_filter($logs, function ($log) use ($sku) {
+            return $log['product_sku'] === $sku;
+        }));
 
-        // Also fetch ewheel categories from API for profile dropdown
-        $ewheel_categories = [];
-        $api_key = $this->config->get_api_key();
-        if (!empty($api_key)) {
-            try {
-                $client = \Trotibike\EwheelImporter\Factory\ServiceFactory::create_api_client($api_key);
-                $categories = $client->get_all_categories();
+        wp_send_json_success(['logs' => $logs]);
+    }
 
-                $target_lang = $this->config->get_target_language();
+    /**
+     * AJAX Export Sync Items.
+     *
+     * Downloads (GET) the items of a sync run as CSV, honouring the same
+     * filters as the detail panel.
+     *
+     * @return void
+     */
+    public function ajax_export_sync_items(): void
+    {
+        check_ajax_referer('ewheel_importer_nonce', 'nonce');
 
-                // Build category list with original and display names
-                foreach ($categories as $cat) {
-                    $reference = $cat['reference'] ?? ($cat['Reference'] ?? '');
-                    $raw_name = $cat['name'] ?? ($cat['Name'] ?? '');
-                    $parent = $cat['parentReference'] ?? ($cat['ParentReference'] ?? null);
+        if (!current_user_can('manage_woocommerce')) {
+            wp_die(esc_html__('Permission denied', 'ewheel-importer'), '', ['response' => 403]);
+        }
 
-                    // Extract source text from multilingual structure
-                    $source_text = '';
-                    $source_lang = 'es';
-                    if (is_array($raw_name)) {
-                        if (isset($raw_name['translations']) && is_array($raw_name['translations'])) {
-                            foreach (['en', 'es'] as $preferred_lang) {
-                                foreach ($raw_name['translations'] as $t) {
-                                    if (isset($t['reference']) && $t['reference'] === $preferred_lang && !empty($t['value'])) {
-                                        $source_text = $t['value'];
-                                        $source_lang = $preferred_lang;
-                                        break 2;
-                                    }
-                                }
-                            }
-                            if (empty($source_text) && !empty($raw_name['translations'][0]['value'])) {
-                                $source_text = $raw_name['translations'][0]['value'];
-                                $source_lang = $raw_name['translations'][0]['reference'] ?? 'es';
-                            }
-                        } elseif (!empty($raw_name['en'])) {
-                            $source_text = $raw_name['en'];
-                            $source_lang = 'en';
-                        } elseif (!empty($raw_name['es'])) {
-                            $source_text = $raw_name['es'];
-                            $source_lang = 'es';
-                        } else {
-                            $first_key = array_key_first($raw_name);
-                            $source_text = $first_key ? ($raw_name[$first_key] ?: '') : '';
-                            $source_lang = $first_key ?: 'es';
-                        }
-                    } else {
-                        $source_text = (string) $raw_name;
-                    }
+        $sync_id = isset($_GET['sync_id']) ? sanitize_text_field(wp_unslash($_GET['sync_id'])) : '';
+        if ($sync_id === '' || !\Trotibike\EwheelImporter\Sync\SyncHistoryManager::get($sync_id)) {
+            wp_die(esc_html__('Sync run not found.', 'ewheel-importer'), '', ['response' => 404]);
+        }
 
-                    if (empty($source_text)) {
-                        $source_text = $reference;
-                    }
+        $args = [
+            'action' => isset($_GET['item_action']) ? sanitize_key(wp_unslash($_GET['item_action'])) : '',
+            'search' => isset($_GET['search']) ? sanitize_text_field(wp_unslash($_GET['search'])) : '',
+            'limit' => 500,
+            'offset' => 0,
+        ];
 
-                    // Determine display name and translation status
-                    // Priority: Manual override → Transient → Original name
-                    $display_name = $source_text;
-                    $translation_status = 'original';
-                    $is_manually_edited = false;
+        nocache_headers();
+        header('Content-Type: text/csv; charset=utf-8');
+        header('Content-Disposition: attachment; filename="ewheel-sync-' . sanitize_file_name($sync_id) . '.csv"');
 
-                    if (isset($manual_translation_overrides[$reference])) {
-                        $display_name = $manual_translation_overrides[$reference];
-                        $translation_status = 'override';
-                        $is_manually_edited = true;
-                    } elseif (isset($transient_translations[$reference])) {
-                        $display_name = $transient_translations[$reference];
-                        $translation_status = 'translated';
-                    }
+        $output = fopen('php://output', 'w');
+        fputcsv($output, ['sku', 'reference', 'action', 'product_id', 'field', 'old_value', 'new_value', 'message', 'time']);
 
-                    $ewheel_categories[] = [
-                        'reference' => $reference,
-                        'original_name' => $source_text,
-                        'display_name' => $display_name,
-                        'name' => $display_name, // For backwards compatibility
-                        'translation_status' => $translation_status,
-                        'is_manually_edited' => $is_manually_edited,
-                        'source_lang' => $source_lang,
-                        'parent' => $parent,
-                    ];
+        // Page through the items so large runs don't load into memory at once
+        do {
+            $items = \Trotibike\EwheelImporter\Sync\SyncItemLog::get_items($sync_id, $args);
+
+            foreach ($items as $item) {
+                $base = [$item['sku'], $item['reference'], $item['action'], $item['product_id']];
+                $tail = [$item['message'], $item['created_at']];
+
+                if (empty($item['changes'])) {
+                    fputcsv($output, $this->csv_safe_row(array_merge($base, ['', '', ''], $tail)));
+                    continue;
+                }
+
+                // One row per changed field
+                foreach ($item['changes'] as $field => $change) {
+                    fputcsv($output, $this->csv_safe_row(array_merge($base, [
+                        $field,
+                        is_scalar($change['old']) || $change['old'] === null ? $change['old'] : wp_json_encode($change['old']),
+                        is_scalar($change['new']) || $change['new'] === null ? $change['new'] : wp_json_encode($change['new']),
+                    ], $tail)));
                 }
-            } catch (\Exception $e) {
-                // Silent fail - categories will just be empty
             }
-        }
 
-        wp_send_json_success([
-            'mappings' => $all_mappings,
-            'auto_mappings' => $auto_mappings,
-            'manual_mappings' => $manual_mappings,
-            'ewheel_categories' => $ewheel_categories,
-            'has_translations' => !empty($transient_translations),
-            'translation_count' => count($transient_translations),
-            'override_count' => count($manual_translation_overrides),
-        ]);
+            $args['offset'] += $args['limit'];
+        } while (count($items) === $args['limit']);
+
+        fclose($output);
+        exit;
     }
 
     /**
-     * AJAX Save Category Mapping.
+     * AJAX Get Product Count.
      *
      * @return void
      */
-    public function ajax_save_category_mapping(): void
+    public function ajax_get_product_count(): void
     {
         check_ajax_referer('ewheel_importer_nonce', 'nonce');
 
@@ -1721,68 +2035,991 @@ final class Ewheel_Importer
             wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')]);
         }
 
-        $ewheel_ref = isset($_POST['ewheel_ref']) ? sanitize_text_field(wp_unslash($_POST['ewheel_ref'])) : '';
-        $woo_cat_id = isset($_POST['woo_cat_id']) ? absint($_POST['woo_cat_id']) : 0;
+        $force = !empty($_POST['force']);
+        $cache_key = 'ewheel_product_count_cache';
 
-        if (empty($ewheel_ref)) {
-            wp_send_json_error(['message' => __('Ewheel reference is required', 'ewheel-importer')]);
+        // Try cached value first (unless forced refresh)
+        if (!$force) {
+            $cached = get_transient($cache_key);
+            if ($cached !== false) {
+                wp_send_json_success([
+                    'count' => (int) $cached,
+                    'formatted' => number_format((int) $cached),
+                    'cached' => true,
+                ]);
+            }
         }
 
-        // Get existing manual mappings
-        $mappings = get_option('ewheel_importer_category_mappings', []);
+        try {
+            $client = $this->container->get(\Trotibike\EwheelImporter\Api\EwheelApiClient::class);
 
-        if ($woo_cat_id > 0) {
-            // Set mapping
-            $mappings[$ewheel_ref] = $woo_cat_id;
-        } else {
-            // Remove mapping (revert to auto)
-            unset($mappings[$ewheel_ref]);
-        }
+            // Match the sync filter: only count active products
+            $filters = ['Active' => 1];
+            $count = $client->get_product_count($filters);
 
-        update_option('ewheel_importer_category_mappings', $mappings);
+            // Cache for 1 hour
+            set_transient($cache_key, $count, HOUR_IN_SECONDS);
 
-        wp_send_json_success(['message' => __('Mapping saved successfully', 'ewheel-importer')]);
+            wp_send_json_success([
+                'count' => $count,
+                'formatted' => number_format($count),
+                'cached' => false,
+            ]);
+
+        } catch (\Exception $e) {
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
     }
 
     /**
-     * AJAX Sync Categories from API.
+     * AJAX Export Logs.
+     *
+     * Streams the filtered log view as CSV or JSON.
      *
      * @return void
      */
-    public function ajax_sync_categories(): void
+    public function ajax_export_logs(): void
     {
         check_ajax_referer('ewheel_importer_nonce', 'nonce');
 
         if (!current_user_can('manage_woocommerce')) {
-            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')]);
+            wp_die(esc_html__('Permission denied', 'ewheel-importer'), '', ['response' => 403]);
         }
 
-        try {
-            $woo_sync = $this->container->get(\Trotibike\EwheelImporter\Sync\WooCommerceSync::class);
-            $result = $woo_sync->sync_categories();
+        $format = isset($_GET['format']) && $_GET['format'] === 'json' ? 'json' : 'csv';
+        $args = \Trotibike\EwheelImporter\Log\PersistentLogger::sanitize_filters(wp_unslash($_GET));
+        $args['limit'] = 500;
+        $args['offset'] = 0;
 
-            wp_send_json_success([
-                'message' => sprintf(
-                    /* translators: %d: number of categories synced */
-                    __('%d categories synced successfully', 'ewheel-importer'),
-                    count($result)
-                ),
-                'count' => count($result),
-            ]);
-        } catch (\Exception $e) {
-            wp_send_json_error(['message' => $e->getMessage()]);
+        nocache_headers();
+        header('Content-Type: ' . ($format === 'json' ? 'application/json' : 'text/csv') . '; charset=utf-8');
+        header('Content-Disposition: attachment; filename="ewheel-logs-' . gmdate('Y-m-d-His') . '.' . $format . '"');
+
+        $output = fopen('php://output', 'w');
+        $first = true;
+
+        if ($format === 'csv') {
+            fputcsv($output, ['id', 'time', 'level', 'message', 'sku', 'sync_id', 'profile_id', 'context']);
+        } else {
+            fwrite($output, '[');
+        }
+
+        // Page through the logs so large exports don't load into memory at once
+        do {
+            $logs = \Trotibike\EwheelImporter\Log\PersistentLogger::get_logs($args);
+
+            foreach ($logs as $log) {
+                if ($format === 'json') {
+                    fwrite($output, ($first ? '' : ',') . "\n" . wp_json_encode($log));
+                    $first = false;
+                    continue;
+                }
+
+                fputcsv($output, $this->csv_safe_row([
+                    $log['id'],
+                    $log['created_at'],
+                    $log['level'],
+                    $log['message'],
+                    $log['product_sku'],
+                    $log['batch_id'],
+                    $log['profile_id'],
+                    $log['context'] !== null ? wp_json_encode($log['context']) : '',
+                ]));
+            }
+
+            $args['offset'] += $args['limit'];
+        } while (count($logs) === $args['limit']);
+
+        if ($format === 'json') {
+            fwrite($output, "\n]\n");
         }
+
+        fclose($output);
+        exit;
     }
 
     /**
-     * AJAX Translate Categories in Batch.
-     *
-     * Translates a batch of categories and saves to transient.
-     * Rate limiting: 15 categories per batch, 1s delay between batches (handled by JS).
+     * AJAX Clear Logs.
      *
      * @return void
      */
-    public function ajax_translate_categories(): void
+    public function ajax_clear_logs(): void
+    {
+        check_ajax_referer('ewheel_importer_nonce', 'nonce');
+
+        if (!current_user_can('manage_woocommerce')) {
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')]);
+        }
+
+        $type = isset($_POST['type']) ? sanitize_text_field(wp_unslash($_POST['type'])) : 'live';
+
+        if ($type === 'persistent') {
+            \Trotibike\EwheelImporter\Log\PersistentLogger::clear_all();
+        } else {
+            \Trotibike\EwheelImporter\Log\LiveLogger::clear();
+        }
+
+        wp_send_json_success(['message' => __('Logs cleared successfully', 'ewheel-importer')]);
+    }
+
+    /**
+     * AJAX Export Settings.
+     *
+     * Returns a settings bundle with the requested sections.
+     *
+     * @return void
+     */
+    public function ajax_export_settings(): void
+    {
+        check_ajax_referer('ewheel_importer_nonce', 'nonce');
+
+        if (!current_user_can('manage_woocommerce')) {
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')]);
+        }
+
+        $sections = isset($_POST['sections']) ? array_map('sanitize_key', (array) wp_unslash($_POST['sections'])) : [];
+        if (empty($sections)) {
+            $sections = [\Trotibike\EwheelImporter\Config\SettingsBundle::SECTION_SETTINGS];
+        }
+
+        try {
+            $bundle = $this->container->get(\Trotibike\EwheelImporter\Config\SettingsBundle::class);
+
+            wp_send_json_success($bundle->export($sections));
+        } catch (\Throwable $e) {
+            $this->log_ajax_error('export_settings', $e);
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
+    }
+
+    /**
+     * AJAX Preview Settings Import.
+     *
+     * Compares an uploaded bundle with the current setup without changing anything.
+     *
+     * @return void
+     */
+    public function ajax_preview_settings_import(): void
+    {
+        check_ajax_referer('ewheel_importer_nonce', 'nonce');
+
+        if (!current_user_can('manage_woocommerce')) {
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
+        }
+
+        $settings_json = isset($_POST['settings']) ? wp_unslash($_POST['settings']) : '';
+        if (empty($settings_json)) {
+            wp_send_json_error(['message' => __('No settings data provided', 'ewheel-importer')]);
+        }
+
+        try {
+            $bundle = $this->container->get(\Trotibike\EwheelImporter\Config\SettingsBundle::class);
+            $parsed = $bundle->parse($settings_json);
+            $labels = \Trotibike\EwheelImporter\Config\SettingsBundle::get_section_labels();
+
+            $sections = [];
+            foreach ($bundle->diff($parsed['bundle']) as $section => $rows) {
+                $sections[] = [
+                    'section' => $section,
+                    'label' => $labels[$section],
+                    // The resolved values are for apply(), not for display
+                    'rows' => array_map(fn($row) => array_diff_key($row, ['value' => true]), $rows),
+                ];
+            }
+
+            wp_send_json_success([
+                'plugin_version' => $parsed['bundle']['plugin_version'],
+                'exported_at' => $parsed['bundle']['exported_at'] ?? '',
+                'warnings' => $parsed['warnings'],
+                'sections' => $sections,
+            ]);
+        } catch (\RuntimeException $e) {
+            wp_send_json_error(['message' => $e->getMessage()]);
+        } catch (\Throwable $e) {
+            $this->log_ajax_error('preview_settings_import', $e);
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
+    }
+
+    /**
+     * AJAX Import Settings.
+     *
+     * Applies the chosen sections of a bundle.
+     *
+     * @return void
+     */
+    public function ajax_import_settings(): void
+    {
+        check_ajax_referer('ewheel_importer_nonce', 'nonce');
+
+        if (!current_user_can('manage_woocommerce')) {
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')]);
+        }
+
+        $settings_json = isset($_POST['settings']) ? wp_unslash($_POST['settings']) : '';
+        $sections = isset($_POST['sections']) ? array_map('sanitize_key', (array) wp_unslash($_POST['sections'])) : [];
+
+        if (empty($settings_json)) {
+            wp_send_json_error(['message' => __('No settings data provided', 'ewheel-importer')]);
+        }
+
+        if (empty($sections)) {
+            wp_send_json_error(['message' => __('Choose at least one section to import.', 'ewheel-importer')]);
+        }
+
+        try {
+            $bundle = $this->container->get(\Trotibike\EwheelImporter\Config\SettingsBundle::class);
+            $applied = $bundle->apply($bundle->parse($settings_json)['bundle'], $sections);
+        } catch (\RuntimeException $e) {
+            wp_send_json_error(['message' => $e->getMessage()]);
+        } catch (\Throwable $e) {
+            $this->log_ajax_error('import_settings', $e);
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
+
+        wp_send_json_success([
+            'applied' => $applied,
+            'message' => sprintf(
+                /* translators: %d: number of entries imported */
+                _n('%d change imported successfully', '%d changes imported successfully', array_sum($applied), 'ewheel-importer'),
+                array_sum($applied)
+            ),
+        ]);
+    }
+
+    /**
+     * AJAX Preview Pricing.
+     *
+     * Prices sample products with the (unsaved) exchange rate, markup,
+     * rounding and rules from the settings form.
+     *
+     * @return void
+     */
+    public function ajax_preview_pricing(): void
+    {
+        check_ajax_referer('ewheel_importer_nonce', 'nonce');
+
+        if (!current_user_can('manage_woocommerce')) {
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
+        }
+
+        $rate = isset($_POST['exchange_rate']) ? (float) wp_unslash($_POST['exchange_rate']) : 0.0;
+        $rate_source = isset($_POST['exchange_rate_source']) ? sanitize_key(wp_unslash($_POST['exchange_rate_source'])) : Configuration::RATE_SOURCE_MANUAL;
+        $feed_url = isset($_POST['exchange_rate_feed_url']) ? sanitize_text_field(wp_unslash($_POST['exchange_rate_feed_url'])) : '';
+        $markup = isset($_POST['markup_percent']) ? (float) wp_unslash($_POST['markup_percent']) : 0.0;
+        $rounding = isset($_POST['price_rounding']) ? sanitize_key(wp_unslash($_POST['price_rounding'])) : 'none';
+        $rules = isset($_POST['rules']) ? wp_unslash((array) $_POST['rules']) : [];
+        $samples = isset($_POST['samples']) ? wp_unslash((array) $_POST['samples']) : [];
+
+        if ($rate <= 0 && $rate_source === Configuration::RATE_SOURCE_MANUAL) {
+            wp_send_json_error(['message' => __('Enter an exchange rate greater than zero.', 'ewheel-importer')]);
+        }
+
+        try {
+            $converter = new \Trotibike\EwheelImporter\Pricing\PricingConverter(
+                ServiceFactory::create_exchange_rate_provider($rate_source, $feed_url, $rate),
+                'EUR',
+                'RON',
+                $markup
+            );
+            $converter->set_rounding_mode($rounding);
+            $converter->set_rules(new \Trotibike\EwheelImporter\Pricing\PricingRules($rules));
+
+            $quotes = [];
+            foreach (array_slice($samples, 0, 20) as $sample) {
+                if (!is_array($sample) || !isset($sample['price']) || !is_numeric($sample['price'])) {
+                    $quotes[] = null;
+                    continue;
+                }
+
+                $category = sanitize_text_field($sample['category'] ?? '');
+                $quotes[] = $converter->quote(max(0.0, (float) $sample['price']), [
+                    'sku' => sanitize_text_field($sample['sku'] ?? ''),
+                    'brand' => sanitize_text_field($sample['brand'] ?? ''),
+                    'categories' => $category !== '' ? [$category] : [],
+                ]);
+            }
+
+            wp_send_json_success(['quotes' => $quotes]);
+        } catch (\Throwable $e) {
+            $this->log_ajax_error('preview_pricing', $e);
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Record manual exchange rate changes in the rate history.
+     *
+     * @param mixed $old_value Previous rate.
+     * @param mixed $value     New rate.
+     * @return void
+     */
+    public function record_manual_exchange_rate($old_value, $value): void
+    {
+        if ((float) $value > 0) {
+            \Trotibike\EwheelImporter\Pricing\ExchangeRateHistory::record(
+                'EUR_RON',
+                (float) $value,
+                current_time('Y-m-d'),
+                Configuration::RATE_SOURCE_MANUAL
+            );
+        }
+    }
+
+    /**
+     * AJAX Preview Patterns.
+     *
+     * Renders unsaved custom patterns against a sample product from the API.
+     *
+     * @return void
+     */
+    public function ajax_preview_patterns(): void
+    {
+        check_ajax_referer('ewheel_importer_nonce', 'nonce');
+
+        if (!current_user_can('manage_woocommerce')) {
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
+        }
+
+        $patterns = isset($_POST['patterns']) ? (array) wp_unslash($_POST['patterns']) : [];
+        $sku = isset($_POST['sku']) ? sanitize_text_field(wp_unslash($_POST['sku'])) : '';
+
+        try {
+            // One sample per reference is enough while typing; don't hit the API on every keystroke
+            $cache_key = 'ewheel_pattern_sample_' . md5($sku);
+            $product = get_transient($cache_key);
+
+            if (!is_array($product)) {
+                $client = $this->container->get(\Trotibike\EwheelImporter\Api\EwheelApiClient::class);
+                $filters = $sku !== '' ? ['productReference' => $sku] : ['Active' => 1];
+                $products = $client->get_products(0, 1, $filters, true);
+                $product = $products[0] ?? null;
+
+                if (!is_array($product)) {
+                    wp_send_json_error([
+                        'message' => $sku !== ''
+                            ? __('No product found with this reference.', 'ewheel-importer')
+                            : __('The API returned no products.', 'ewheel-importer'),
+                    ]);
+                }
+
+                set_transient($cache_key, $product, HOUR_IN_SECONDS);
+            }
+
+            $transformer = $this->container->get(\Trotibike\EwheelImporter\Sync\ProductTransformer::class);
+            $template = new \Trotibike\EwheelImporter\Sync\PatternTemplate();
+            $tags = $transformer->get_pattern_tags($product);
+
+            $previews = [];
+            foreach (['name', 'description', 'short_description'] as $key) {
+                if (!isset($patterns[$key]) || !is_string($patterns[$key])) {
+                    continue;
+                }
+
+                $pattern = sanitize_textarea_field($patterns[$key]);
+                $previews[$key] = [
+                    'output' => $pattern !== '' ? $transformer->render_pattern($pattern, $product) : '',
+                    'errors' => $template->validate($pattern, $tags),
+                ];
+            }
+
+            $p = array_change_key_case($product, CASE_LOWER);
+
+            wp_send_json_success([
+                'reference' => (string) ($p['reference'] ?? ($p['variants'][0]['reference'] ?? '')),
+                'tags' => $tags,
+                'previews' => $previews,
+            ]);
+        } catch (\Throwable $e) {
+            $this->log_ajax_error('preview_patterns', $e);
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
+    }
+
+    /**
+     * AJAX Get Rate History.
+     *
+     * Returns the EUR to RON rates recorded over time and the rate each
+     * recent sync run used.
+     *
+     * @return void
+     */
+    public function ajax_get_rate_history(): void
+    {
+        check_ajax_referer('ewheel_importer_nonce', 'nonce');
+
+        if (!current_user_can('manage_woocommerce')) {
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
+        }
+
+        $days = isset($_POST['days']) ? min(365, max(7, absint($_POST['days']))) : 90;
+
+        try {
+            $syncs = [];
+            foreach (\Trotibike\EwheelImporter\Sync\SyncHistoryManager::get_recent(15) as $record) {
+                $syncs[] = [
+                    'sync_id' => $record['sync_id'],
+                    'started_at' => $record['started_at'],
+                    'status' => $record['status'],
+                    'exchange_rate' => $record['exchange_rate'] ?? null,
+                    'rate_date' => $record['rate_date'] ?? null,
+                    'rate_source' => $record['rate_source'] ?? null,
+                ];
+            }
+
+            wp_send_json_success([
+                'source' => $this->config->get_exchange_rate_source(),
+                'history' => \Trotibike\EwheelImporter\Pricing\ExchangeRateHistory::get_history('EUR_RON', $days),
+                'latest' => \Trotibike\EwheelImporter\Pricing\ExchangeRateHistory::get_latest('EUR_RON'),
+                'syncs' => $syncs,
+            ]);
+        } catch (\Throwable $e) {
+            $this->log_ajax_error('get_rate_history', $e);
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
+    }
+
+    /**
+     * AJAX Refresh Exchange Rate.
+     *
+     * Reads the selected feed now, bypassing its cache.
+     *
+     * @return void
+     */
+    public function ajax_refresh_exchange_rate(): void
+    {
+        check_ajax_referer('ewheel_importer_nonce', 'nonce');
+
+        if (!current_user_can('manage_woocommerce')) {
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
+        }
+
+        $source = isset($_POST['source']) ? sanitize_key(wp_unslash($_POST['source'])) : '';
+        $feed_url = isset($_POST['feed_url']) ? sanitize_text_field(wp_unslash($_POST['feed_url'])) : '';
+
+        if (!in_array($source, [Configuration::RATE_SOURCE_BNR, Configuration::RATE_SOURCE_ECB], true)) {
+            wp_send_json_error(['message' => __('Choose the BNR or ECB feed first.', 'ewheel-importer')]);
+        }
+
+        try {
+            // No fallback: a broken feed should be reported, not masked
+            $provider = $source === Configuration::RATE_SOURCE_BNR
+                ? new \Trotibike\EwheelImporter\Pricing\BnrExchangeRateProvider($feed_url)
+                : new \Trotibike\EwheelImporter\Pricing\EcbExchangeRateProvider($feed_url);
+            $provider->clear_cache();
+
+            $feed = $provider->get_feed();
+            $rate = $provider->get_rate('EUR', 'RON');
+
+            wp_send_json_success([
+                'rate' => $rate,
+                'date' => $feed['date'],
+                'source' => $source,
+                'message' => sprintf(
+                    /* translators: 1: exchange rate, 2: feed date */
+                    __('EUR to RON: %1$s (published %2$s)', 'ewheel-importer'),
+                    $rate,
+                    $feed['date']
+                ),
+            ]);
+        } catch (\Throwable $e) {
+            // The details stay in the log; they can reveal hosts and files of the server
+            $this->log_ajax_error('refresh_exchange_rate', $e);
+            wp_send_json_error(['message' => __('The rate feed could not be read. Check the feed URL or file; the error log has the details.', 'ewheel-importer')]);
+        }
+    }
+
+    /**
+     * AJAX Get Ewheel Categories from API.
+     *
+     * @return void
+     */
+    public function ajax_get_ewheel_categories(): void
+    {
+        check_ajax_referer('ewheel_importer_nonce', 'nonce');
+
+        if (!current_user_can('manage_woocommerce')) {
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')]);
+        }
+
+        $api_key = $this->config->get_api_key();
+
+        if (empty($api_key)) {
+            wp_send_json_error(['message' => __('API key not configured', 'ewheel-importer')]);
+        }
+
+        try {
+            $client = \Trotibike\EwheelImporter\Factory\ServiceFactory::create_api_client($api_key);
+            $categories = $client->get_all_categories();
+
+            // Use cache-first approach with batch query to avoid N+1 database calls
+            $translation_repo = new \Trotibike\EwheelImporter\Repository\TranslationRepository();
+            $target_lang = $this->config->get_target_language();
+
+            // First pass: extract source texts grouped by source language
+            $category_data = [];
+            $texts_by_lang = [];
+            foreach ($categories as $cat) {
+                $reference = $cat['reference'] ?? ($cat['Reference'] ?? '');
+                $raw_name = $cat['name'] ?? ($cat['Name'] ?? '');
+                $parent = $cat['parentReference'] ?? ($cat['ParentReference'] ?? null);
+
+                // Extract source text from multilingual structure
+                // Handles both: {"translations": [{"reference": "es", "value": "..."}]} and {"es": "text"}
+                $source_text = '';
+                $source_lang = 'es';
+                if (is_array($raw_name)) {
+                    // Complex format: {"translations": [...]}
+                    if (isset($raw_name['translations']) && is_array($raw_name['translations'])) {
+                        foreach (['en', 'es'] as $preferred_lang) {
+                            foreach ($raw_name['translations'] as $t) {
+                                if (isset($t['reference']) && $t['reference'] === $preferred_lang && !empty($t['value'])) {
+                                    $source_text = $t['value'];
+                                    $source_lang = $preferred_lang;
+                                    break 2;
+                                }
+                            }
+                        }
+                        // Fallback to first available
+                        if (empty($source_text) && !empty($raw_name['translations'][0]['value'])) {
+                            $source_text = $raw_name['translations'][0]['value'];
+                            $source_lang = $raw_name['translations'][0]['reference'] ?? 'es';
+                        }
+                        // Simple format: {"es": "text", "en": "text"}
+                    } elseif (!empty($raw_name['es'])) {
+                        $source_text = $raw_name['es'];
+                        $source_lang = 'es';
+                    } elseif (!empty($raw_name['en'])) {
+                        $source_text = $raw_name['en'];
+                        $source_lang = 'en';
+                    } else {
+                        $first_key = array_key_first($raw_name);
+                        $source_text = $first_key ? ($raw_name[$first_key] ?: '') : '';
+                        $source_lang = $first_key ?: 'es';
+                    }
+                } else {
+                    $source_text = (string) $raw_name;
+                }
+
+                if (empty($source_text)) {
+                    $source_text = $reference;
+                }
+
+                $category_data[] = [
+                    'reference' => $reference,
+                    'source_text' => $source_text,
+                    'source_lang' => $source_lang,
+                    'parent' => $parent,
+                ];
+                $texts_by_lang[$source_lang][] = $source_text;
+            }
+
+            // Batch query cache per source language (typically 1-2 queries total)
+            $cache_map = [];
+            foreach ($texts_by_lang as $src_lang => $texts) {
+                $batch_result = $translation_repo->get_batch($texts, $src_lang, $target_lang);
+                foreach ($texts as $text) {
+                    $hash = $translation_repo->generate_hash($text, $src_lang, $target_lang);
+                    if (isset($batch_result[$hash])) {
+                        $cache_map[$hash] = $batch_result[$hash];
+                    }
+                }
+            }
+
+            // Second pass: build final list using cached translations
+            $formatted = [];
+            foreach ($category_data as $data) {
+                $hash = $translation_repo->generate_hash($data['source_text'], $data['source_lang'], $target_lang);
+                $name = $cache_map[$hash] ?? $data['source_text'];
+
+                $formatted[] = [
+                    'reference' => $data['reference'],
+                    'name' => $name,
+                    'parent' => $data['parent'],
+                ];
+            }
+
+            wp_send_json_success(['categories' => $formatted]);
+        } catch (\Exception $e) {
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
+    }
+
+    /**
+     * AJAX Get WooCommerce Categories.
+     *
+     * @return void
+     */
+    public function ajax_get_woo_categories(): void
+    {
+        check_ajax_referer('ewheel_importer_nonce', 'nonce');
+
+        if (!current_user_can('manage_woocommerce')) {
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')]);
+        }
+
+        $terms = get_terms([
+            'taxonomy' => 'product_cat',
+            'hide_empty' => false,
+            'orderby' => 'name',
+            'order' => 'ASC',
+        ]);
+
+        if (is_wp_error($terms)) {
+            wp_send_json_error(['message' => $terms->get_error_message()]);
+        }
+
+        $categories = [];
+        foreach ($terms as $term) {
+            $categories[] = [
+                'id' => $term->term_id,
+                'name' => $term->name,
+                'slug' => $term->slug,
+                'parent' => $term->parent,
+                'count' => $term->count,
+            ];
+        }
+
+        // Build hierarchical structure for display
+        $hierarchical = $this->build_category_hierarchy($categories);
+
+        wp_send_json_success(['categories' => $hierarchical]);
+    }
+
+    /**
+     * Build category hierarchy for display.
+     *
+     * @param array $categories Flat list of categories.
+     * @param int   $parent_id  Parent ID.
+     * @param int   $depth      Current depth.
+     * @return array
+     */
+    private function build_category_hierarchy(array $categories, int $parent_id = 0, int $depth = 0): array
+    {
+        $result = [];
+
+        foreach ($categories as $cat) {
+            if ((int) $cat['parent'] === $parent_id) {
+                $cat['depth'] = $depth;
+                $cat['display_name'] = str_repeat('— ', $depth) . $cat['name'];
+                $result[] = $cat;
+
+                // Get children
+                $children = $this->build_category_hierarchy($categories, (int) $cat['id'], $depth + 1);
+                $result = array_merge($result, $children);
+            }
+        }
+
+        return $result;
+    }
+
+    /**
+     * AJAX Get Current Category Mappings.
+     *
+     * Returns categories with original_name, display_name, and translation_status.
+     * Display Priority: Manual override → Transient → Original name
+     *
+     * @return void
+     */
+    public function ajax_get_category_mappings(): void
+    {
+        check_ajax_referer('ewheel_importer_nonce', 'nonce');
+
+        if (!current_user_can('manage_woocommerce')) {
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')]);
+        }
+
+        // Get auto-created mappings from term meta
+        $category_repo = $this->container->get(\Trotibike\EwheelImporter\Repository\CategoryRepository::class);
+        $auto_mappings = $category_repo->get_mapping();
+
+        // Get manual mappings from option
+        $manual_mappings = get_option('ewheel_importer_category_mappings', []);
+
+        // Merge (manual takes precedence; use + to preserve numeric string keys)
+        $all_mappings = $manual_mappings + $auto_mappings;
+
+        // Get translation caches
+        $transient_translations = get_transient('ewheel_category_translations') ?: [];
+        $manual_translation_overrides = get_option('ewheel_importer_category_translation_overrides', []);
+
+        // Also fetch ewheel categories from API for profile dropdown
+        $ewheel_categories = [];
+        $api_key = $this->config->get_api_key();
+        if (!empty($api_key)) {
+            try {
+                $client = \Trotibike\EwheelImporter\Factory\ServiceFactory::create_api_client($api_key);
+                $categories = $client->get_all_categories();
+
+                $target_lang = $this->config->get_target_language();
+
+                // Build category list with original and display names
+                foreach ($categories as $cat) {
+                    $reference = $cat['reference'] ?? ($cat['Reference'] ?? '');
+                    $raw_name = $cat['name'] ?? ($cat['Name'] ?? '');
+                    $parent = $cat['parentReference'] ?? ($cat['ParentReference'] ?? null);
+
+                    // Extract source text from multilingual structure
+                    $source_text = '';
+                    $source_lang = 'es';
+                    if (is_array($raw_name)) {
+                        if (isset($raw_name['translations']) && is_array($raw_name['translations'])) {
+                            foreach (['en', 'es'] as $preferred_lang) {
+                                foreach ($raw_name['translations'] as $t) {
+                                    if (isset($t['reference']) && $t['reference'] === $preferred_lang && !empty($t['value'])) {
+                                        $source_text = $t['value'];
+                                        $source_lang = $preferred_lang;
+                                        break 2;
+                                    }
+                                }
+                            }
+                            if (empty($source_text) && !empty($raw_name['translations'][0]['value'])) {
+                                $source_text = $raw_name['translations'][0]['value'];
+                                $source_lang = $raw_name['translations'][0]['reference'] ?? 'es';
+                            }
+                        } elseif (!empty($raw_name['en'])) {
+                            $source_text = $raw_name['en'];
+                            $source_lang = 'en';
+                        } elseif (!empty($raw_name['es'])) {
+                            $source_text = $raw_name['es'];
+                            $source_lang = 'es';
+                        } else {
+                            $first_key = array_key_first($raw_name);
+                            $source_text = $first_key ? ($raw_name[$first_key] ?: '') : '';
+                            $source_lang = $first_key ?: 'es';
+                        }
+                    } else {
+                        $source_text = (string) $raw_name;
+                    }
+
+                    if (empty($source_text)) {
+                        $source_text = $reference;
+                    }
+
+                    // Determine display name and translation status
+                    // Priority: Manual override → Transient → Original name
+                    $display_name = $source_text;
+                    $translation_status = 'original';
+                    $is_manually_edited = false;
+
+                    if (isset($manual_translation_overrides[$reference])) {
+                        $display_name = $manual_translation_overrides[$reference];
+                        $translation_status = 'override';
+                        $is_manually_edited = true;
+                    } elseif (isset($transient_translations[$reference])) {
+                        $display_name = $transient_translations[$reference];
+                        $translation_status = 'translated';
+                    }
+
+                    $ewheel_categories[] = [
+                        'reference' => $reference,
+                        'original_name' => $source_text,
+                        'display_name' => $display_name,
+                        'name' => $display_name, // For backwards compatibility
+                        'translation_status' => $translation_status,
+                        'is_manually_edited' => $is_manually_edited,
+                        'source_lang' => $source_lang,
+                        'parent' => $parent,
+                    ];
+                }
+            } catch (\Exception $e) {
+                // Silent fail - categories will just be empty
+            }
+        }
+
+        wp_send_json_success([
+            'mappings' => $all_mappings,
+            'auto_mappings' => $auto_mappings,
+            'manual_mappings' => $manual_mappings,
+            'ewheel_categories' => $ewheel_categories,
+            'has_translations' => !empty($transient_translations),
+            'translation_count' => count($transient_translations),
+            'override_count' => count($manual_translation_overrides),
+        ]);
+    }
+
+    /**
+     * AJAX Save Category Mapping.
+     *
+     * @return void
+     */
+    public function ajax_save_category_mapping(): void
+    {
+        check_ajax_referer('ewheel_importer_nonce', 'nonce');
+
+        if (!current_user_can('manage_woocommerce')) {
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')]);
+        }
+
+        $ewheel_ref = isset($_POST['ewheel_ref']) ? sanitize_text_field(wp_unslash($_POST['ewheel_ref'])) : '';
+        $woo_cat_id = isset($_POST['woo_cat_id']) ? absint($_POST['woo_cat_id']) : 0;
+
+        if (empty($ewheel_ref)) {
+            wp_send_json_error(['message' => __('Ewheel reference is required', 'ewheel-importer')]);
+        }
+
+        // Get existing manual mappings
+        $mappings = get_option('ewheel_importer_category_mappings', []);
+
+        if ($woo_cat_id > 0) {
+            // Set mapping
+            $mappings[$ewheel_ref] = $woo_cat_id;
+        } else {
+            // Remove mapping (revert to auto)
+            unset($mappings[$ewheel_ref]);
+        }
+
+        update_option('ewheel_importer_category_mappings', $mappings);
+
+        wp_send_json_success(['message' => __('Mapping saved successfully', 'ewheel-importer')]);
+    }
+
+    /**
+     * AJAX Save Category Mappings (bulk).
+     *
+     * Saves several manual mappings at once; a WooCommerce category ID of 0
+     * removes the manual mapping for that reference.
+     *
+     * @return void
+     */
+    public function ajax_save_category_mappings(): void
+    {
+        check_ajax_referer('ewheel_importer_nonce', 'nonce');
+
+        if (!current_user_can('manage_woocommerce')) {
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
+        }
+
+        $submitted = isset($_POST['mappings']) && is_array($_POST['mappings']) ? wp_unslash($_POST['mappings']) : [];
+
+        if (empty($submitted)) {
+            wp_send_json_error(['message' => __('No categories selected', 'ewheel-importer')]);
+        }
+
+        $mappings = get_option('ewheel_importer_category_mappings', []);
+        $saved = 0;
+
+        foreach ($submitted as $ewheel_ref => $woo_cat_id) {
+            $ewheel_ref = sanitize_text_field((string) $ewheel_ref);
+            $woo_cat_id = absint($woo_cat_id);
+
+            if ($ewheel_ref === '') {
+                continue;
+            }
+
+            if ($woo_cat_id > 0) {
+                $mappings[$ewheel_ref] = $woo_cat_id;
+            } else {
+                unset($mappings[$ewheel_ref]);
+            }
+            $saved++;
+        }
+
+        update_option('ewheel_importer_category_mappings', $mappings);
+
+        wp_send_json_success([
+            'saved' => $saved,
+            'message' => sprintf(
+                /* translators: %d: number of categories */
+                _n('%d mapping saved', '%d mappings saved', $saved, 'ewheel-importer'),
+                $saved
+            ),
+        ]);
+    }
+
+    /**
+     * AJAX Suggest Category Mappings.
+     *
+     * Fuzzy-matches the given (translated) ewheel category names against
+     * WooCommerce category names. Nothing is saved.
+     *
+     * @return void
+     */
+    public function ajax_suggest_category_mappings(): void
+    {
+        check_ajax_referer('ewheel_importer_nonce', 'nonce');
+
+        if (!current_user_can('manage_woocommerce')) {
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
+        }
+
+        $submitted = isset($_POST['categories']) && is_array($_POST['categories']) ? wp_unslash($_POST['categories']) : [];
+
+        $categories = [];
+        foreach ($submitted as $category) {
+            if (is_array($category)) {
+                $categories[] = [
+                    'reference' => sanitize_text_field($category['reference'] ?? ''),
+                    'name' => sanitize_text_field($category['name'] ?? ''),
+                ];
+            }
+        }
+
+        try {
+            $terms = get_terms([
+                'taxonomy' => 'product_cat',
+                'hide_empty' => false,
+            ]);
+
+            if (is_wp_error($terms)) {
+                throw new \RuntimeException($terms->get_error_message());
+            }
+
+            $woo_categories = array_map(
+                fn($term) => ['id' => $term->term_id, 'name' => html_entity_decode($term->name, ENT_QUOTES, 'UTF-8')],
+                $terms
+            );
+
+            $matcher = $this->container->get(\Trotibike\EwheelImporter\Service\CategoryMatcher::class);
+
+            wp_send_json_success([
+                'suggestions' => $matcher->suggest($categories, $woo_categories),
+            ]);
+        } catch (\Throwable $e) {
+            $this->log_ajax_error('suggest_category_mappings', $e);
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
+    }
+
+    /**
+     * AJAX Sync Categories from API.
+     *
+     * @return void
+     */
+    public function ajax_sync_categories(): void
+    {
+        check_ajax_referer('ewheel_importer_nonce', 'nonce');
+
+        if (!current_user_can('manage_woocommerce')) {
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')]);
+        }
+
+        try {
+            $woo_sync = $this->container->get(\Trotibike\EwheelImporter\Sync\WooCommerceSync::class);
+            $result = $woo_sync->sync_categories();
+
+            wp_send_json_success([
+                'message' => sprintf(
+                    /* translators: %d: number of categories synced */
+                    __('%d categories synced successfully', 'ewheel-importer'),
+                    count($result)
+                ),
+                'count' => count($result),
+            ]);
+        } catch (\Exception $e) {
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
+    }
+
+    /**
+     * AJAX Translate Categories in Batch.
+     *
+     * Translates a batch of categories and saves to transient.
+     * Rate limiting: 15 categories per batch, 1s delay between batches (handled by JS).
+     *
+     * @return void
+     */
+    public function ajax_translate_categories(): void
     {
         check_ajax_referer('ewheel_importer_nonce', 'nonce');
 
@@ -1793,171 +3030,1130 @@ final class Ewheel_Importer
         $categories_json = isset($_POST['categories']) ? wp_unslash($_POST['categories']) : '';
         $batch_index = isset($_POST['batch_index']) ? (int) $_POST['batch_index'] : 0;
 
-        if (empty($categories_json)) {
-            wp_send_json_error(['message' => __('No categories provided', 'ewheel-importer')]);
+        if (empty($categories_json)) {
+            wp_send_json_error(['message' => __('No categories provided', 'ewheel-importer')]);
+        }
+
+        $categories = json_decode($categories_json, true);
+        if (json_last_error() !== JSON_ERROR_NONE || !is_array($categories)) {
+            wp_send_json_error(['message' => __('Invalid categories data', 'ewheel-importer')]);
+        }
+
+        try {
+            $translator = $this->container->get(\Trotibike\EwheelImporter\Translation\Translator::class);
+            $target_lang = $this->config->get_target_language();
+
+            // Get existing transient translations
+            $transient_translations = get_transient('ewheel_category_translations') ?: [];
+
+            $translated = [];
+            $errors = [];
+
+            foreach ($categories as $cat) {
+                $reference = $cat['reference'] ?? '';
+                $original_name = $cat['original_name'] ?? '';
+                $source_lang = $cat['source_lang'] ?? 'es';
+
+                if (empty($reference) || empty($original_name)) {
+                    continue;
+                }
+
+                // Skip if already in manual overrides
+                $manual_overrides = get_option('ewheel_importer_category_translation_overrides', []);
+                if (isset($manual_overrides[$reference])) {
+                    $translated[$reference] = $manual_overrides[$reference];
+                    continue;
+                }
+
+                // Skip if source language is same as target
+                if ($source_lang === $target_lang) {
+                    $translated[$reference] = $original_name;
+                    $transient_translations[$reference] = $original_name;
+                    continue;
+                }
+
+                try {
+                    $translation = $translator->translate($original_name, $source_lang);
+                    $translated[$reference] = $translation;
+                    $transient_translations[$reference] = $translation;
+                } catch (\Exception $e) {
+                    $errors[] = sprintf('%s: %s', $reference, $e->getMessage());
+                    // Keep original on error
+                    $translated[$reference] = $original_name;
+                }
+            }
+
+            // Save to transient with 7 days expiry
+            set_transient('ewheel_category_translations', $transient_translations, 7 * DAY_IN_SECONDS);
+
+            wp_send_json_success([
+                'batch_index' => $batch_index,
+                'translated' => $translated,
+                'translated_count' => count($translated),
+                'total_cached' => count($transient_translations),
+                'errors' => $errors,
+            ]);
+        } catch (\Exception $e) {
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
+    }
+
+    /**
+     * AJAX Save Category Translation Override.
+     *
+     * Saves a manual translation edit to persistent option.
+     *
+     * @return void
+     */
+    public function ajax_save_category_translation(): void
+    {
+        check_ajax_referer('ewheel_importer_nonce', 'nonce');
+
+        if (!current_user_can('manage_woocommerce')) {
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')]);
+        }
+
+        $reference = isset($_POST['reference']) ? sanitize_text_field(wp_unslash($_POST['reference'])) : '';
+        $translation = isset($_POST['translation']) ? sanitize_text_field(wp_unslash($_POST['translation'])) : '';
+        $action_type = isset($_POST['action_type']) ? sanitize_text_field(wp_unslash($_POST['action_type'])) : 'save';
+
+        if (empty($reference)) {
+            wp_send_json_error(['message' => __('Category reference is required', 'ewheel-importer')]);
+        }
+
+        $overrides = get_option('ewheel_importer_category_translation_overrides', []);
+
+        if ($action_type === 'delete' || $action_type === 'revert') {
+            // Remove the manual override, revert to transient or original
+            unset($overrides[$reference]);
+            update_option('ewheel_importer_category_translation_overrides', $overrides);
+
+            // Get the display name after revert
+            $transient_translations = get_transient('ewheel_category_translations') ?: [];
+            $display_name = $transient_translations[$reference] ?? null;
+            $status = $display_name ? 'translated' : 'original';
+
+            wp_send_json_success([
+                'message' => __('Translation reverted', 'ewheel-importer'),
+                'reference' => $reference,
+                'display_name' => $display_name,
+                'translation_status' => $status,
+            ]);
+        } else {
+            // Save the manual override
+            if (empty($translation)) {
+                wp_send_json_error(['message' => __('Translation text is required', 'ewheel-importer')]);
+            }
+
+            $overrides[$reference] = $translation;
+            update_option('ewheel_importer_category_translation_overrides', $overrides);
+
+            wp_send_json_success([
+                'message' => __('Translation saved', 'ewheel-importer'),
+                'reference' => $reference,
+                'display_name' => $translation,
+                'translation_status' => 'override',
+            ]);
+        }
+    }
+
+    /**
+     * AJAX Clear Category Translations Cache.
+     *
+     * Clears the transient cache but preserves manual overrides.
+     *
+     * @return void
+     */
+    public function ajax_clear_category_translations(): void
+    {
+        check_ajax_referer('ewheel_importer_nonce', 'nonce');
+
+        if (!current_user_can('manage_woocommerce')) {
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')]);
+        }
+
+        // Delete the transient cache
+        delete_transient('ewheel_category_translations');
+
+        // Get count of preserved manual overrides
+        $overrides = get_option('ewheel_importer_category_translation_overrides', []);
+        $override_count = count($overrides);
+
+        wp_send_json_success([
+            'message' => sprintf(
+                /* translators: %d: number of manual edits preserved */
+                __('Translation cache cleared. %d manual edits preserved.', 'ewheel-importer'),
+                $override_count
+            ),
+            'overrides_preserved' => $override_count,
+        ]);
+    }
+
+    /**
+     * AJAX Get Translations.
+     *
+     * Lists cached product title and description translations for review.
+     *
+     * @return void
+     */
+    public function ajax_get_translations(): void
+    {
+        check_ajax_referer('ewheel_importer_nonce', 'nonce');
+
+        if (!current_user_can('manage_woocommerce')) {
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
+        }
+
+        $per_page = 25;
+        $page = isset($_POST['page']) ? max(1, absint($_POST['page'])) : 1;
+
+        $args = [];
+        foreach (['context', 'service', 'status', 'date_from', 'date_to', 'search'] as $key) {
+            $args[$key] = isset($_POST[$key]) ? sanitize_text_field(wp_unslash($_POST[$key])) : '';
+        }
+
+        foreach (['date_from', 'date_to'] as $key) {
+            if ($args[$key] !== '' && !preg_match('/^\d{4}-\d{2}-\d{2}$/', $args[$key])) {
+                $args[$key] = '';
+            }
+        }
+
+        try {
+            $repository = $this->container->get(\Trotibike\EwheelImporter\Repository\TranslationRepository::class);
+            $total = $repository->count_entries($args);
+
+            wp_send_json_success([
+                'entries' => $repository->find_entries($args + [
+                    'limit' => $per_page,
+                    'offset' => ($page - 1) * $per_page,
+                ]),
+                'total' => $total,
+                'page' => $page,
+                'pages' => max(1, (int) ceil($total / $per_page)),
+            ]);
+        } catch (\Throwable $e) {
+            $this->log_ajax_error('get_translations', $e);
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
+    }
+
+    /**
+     * AJAX Save Translation.
+     *
+     * Stores a hand-edited translation; edited translations are approved.
+     *
+     * @return void
+     */
+    public function ajax_save_translation(): void
+    {
+        check_ajax_referer('ewheel_importer_nonce', 'nonce');
+
+        if (!current_user_can('manage_woocommerce')) {
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
+        }
+
+        $id = isset($_POST['id']) ? absint($_POST['id']) : 0;
+        $translation = isset($_POST['translation']) ? trim(wp_kses_post(wp_unslash($_POST['translation']))) : '';
+
+        if (!$id || $translation === '') {
+            wp_send_json_error(['message' => __('Translation text is required', 'ewheel-importer')]);
+        }
+
+        try {
+            $repository = $this->container->get(\Trotibike\EwheelImporter\Repository\TranslationRepository::class);
+            if (!$repository->update_entry($id, $translation)) {
+                wp_send_json_error(['message' => __('Could not save the translation.', 'ewheel-importer')]);
+            }
+
+            wp_send_json_success([
+                'message' => __('Translation saved and approved', 'ewheel-importer'),
+                'entries' => $repository->get_entries([$id]),
+            ]);
+        } catch (\Throwable $e) {
+            $this->log_ajax_error('save_translation', $e);
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
+    }
+
+    /**
+     * AJAX Approve Translations.
+     *
+     * Approves or unapproves the selected translations.
+     *
+     * @return void
+     */
+    public function ajax_approve_translations(): void
+    {
+        check_ajax_referer('ewheel_importer_nonce', 'nonce');
+
+        if (!current_user_can('manage_woocommerce')) {
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
+        }
+
+        $ids = isset($_POST['ids']) ? array_map('absint', (array) wp_unslash($_POST['ids'])) : [];
+        $approved = !empty($_POST['approved']) && $_POST['approved'] !== 'false';
+
+        try {
+            $repository = $this->container->get(\Trotibike\EwheelImporter\Repository\TranslationRepository::class);
+            $changed = $repository->set_approved($ids, $approved);
+
+            wp_send_json_success([
+                'changed' => $changed,
+                'entries' => $repository->get_entries($ids),
+            ]);
+        } catch (\Throwable $e) {
+            $this->log_ajax_error('approve_translations', $e);
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
+    }
+
+    /**
+     * AJAX Re-translate.
+     *
+     * Sends the selected translations through the current driver again.
+     * Approved translations are skipped.
+     *
+     * @return void
+     */
+    public function ajax_retranslate(): void
+    {
+        check_ajax_referer('ewheel_importer_nonce', 'nonce');
+
+        if (!current_user_can('manage_woocommerce')) {
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
+        }
+
+        $ids = isset($_POST['ids']) ? array_map('absint', (array) wp_unslash($_POST['ids'])) : [];
+
+        // Keep each request within the driver's batch limits (JS sends chunks)
+        if (count($ids) > 25) {
+            wp_send_json_error(['message' => __('Re-translate at most 25 entries at a time.', 'ewheel-importer')]);
+        }
+
+        try {
+            $repository = $this->container->get(\Trotibike\EwheelImporter\Repository\TranslationRepository::class);
+            $translator = $this->container->get(\Trotibike\EwheelImporter\Translation\Translator::class);
+
+            $groups = [];
+            $skipped = 0;
+            foreach ($repository->get_entries($ids) as $entry) {
+                if (!empty($entry['approved'])) {
+                    $skipped++;
+                    continue;
+                }
+                $groups[$entry['source_lang'] . '|' . $entry['context']][] = $entry;
+            }
+
+            $retranslated = 0;
+            foreach ($groups as $entries) {
+                $translator->retranslate(
+                    array_column($entries, 'source_text'),
+                    $entries[0]['source_lang'],
+                    $entries[0]['context']
+                );
+                $retranslated += count($entries);
+            }
+
+            wp_send_json_success([
+                'retranslated' => $retranslated,
+                'skipped' => $skipped,
+                'entries' => $repository->get_entries($ids),
+            ]);
+        } catch (\Throwable $e) {
+            $this->log_ajax_error('retranslate', $e);
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
+    }
+
+    /**
+     * AJAX: Get the translation glossary.
+     *
+     * @return void
+     */
+    public function ajax_get_glossary(): void
+    {
+        check_ajax_referer('ewheel_importer_nonce', 'nonce');
+
+        if (!current_user_can('manage_woocommerce')) {
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
+        }
+
+        try {
+            $glossary = $this->container->get(\Trotibike\EwheelImporter\Translation\TranslationGlossary::class);
+
+            wp_send_json_success(['entries' => $glossary->get_entries()]);
+        } catch (\Throwable $e) {
+            $this->log_ajax_error('get_glossary', $e);
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
+    }
+
+    /**
+     * AJAX: Save a glossary term.
+     *
+     * @return void
+     */
+    public function ajax_save_glossary_term(): void
+    {
+        check_ajax_referer('ewheel_importer_nonce', 'nonce');
+
+        if (!current_user_can('manage_woocommerce')) {
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
+        }
+
+        $entry = [
+            'source' => isset($_POST['source']) ? sanitize_text_field(wp_unslash($_POST['source'])) : '',
+            'target' => isset($_POST['target']) ? sanitize_text_field(wp_unslash($_POST['target'])) : '',
+            'case_sensitive' => !empty($_POST['case_sensitive']) && $_POST['case_sensitive'] !== 'false',
+        ];
+        $original = isset($_POST['original']) ? sanitize_text_field(wp_unslash($_POST['original'])) : '';
+
+        try {
+            $glossary = $this->container->get(\Trotibike\EwheelImporter\Translation\TranslationGlossary::class);
+            $glossary->save_entry($entry, $original);
+
+            wp_send_json_success([
+                'message' => __('Glossary term saved. It applies to new translations; check the cached ones below.', 'ewheel-importer'),
+                'entries' => $glossary->get_entries(),
+            ]);
+        } catch (\RuntimeException $e) {
+            wp_send_json_error(['message' => $e->getMessage()], 400);
+        } catch (\Throwable $e) {
+            $this->log_ajax_error('save_glossary_term', $e);
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
+    }
+
+    /**
+     * AJAX: Delete a glossary term.
+     *
+     * @return void
+     */
+    public function ajax_delete_glossary_term(): void
+    {
+        check_ajax_referer('ewheel_importer_nonce', 'nonce');
+
+        if (!current_user_can('manage_woocommerce')) {
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
+        }
+
+        $source = isset($_POST['source']) ? sanitize_text_field(wp_unslash($_POST['source'])) : '';
+
+        try {
+            $glossary = $this->container->get(\Trotibike\EwheelImporter\Translation\TranslationGlossary::class);
+
+            if (!$glossary->delete_entry($source)) {
+                wp_send_json_error(['message' => __('Glossary term not found.', 'ewheel-importer')], 404);
+            }
+
+            wp_send_json_success([
+                'message' => __('Glossary term deleted.', 'ewheel-importer'),
+                'entries' => $glossary->get_entries(),
+            ]);
+        } catch (\Throwable $e) {
+            $this->log_ajax_error('delete_glossary_term', $e);
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
+    }
+
+    /**
+     * AJAX: Export the translation glossary.
+     *
+     * Downloads (GET) one CSV row per term.
+     *
+     * @return void
+     */
+    public function ajax_export_glossary(): void
+    {
+        check_ajax_referer('ewheel_importer_nonce', 'nonce');
+
+        if (!current_user_can('manage_woocommerce')) {
+            wp_die(esc_html__('Permission denied', 'ewheel-importer'), '', ['response' => 403]);
+        }
+
+        nocache_headers();
+        header('Content-Type: text/csv; charset=utf-8');
+        header('Content-Disposition: attachment; filename="ewheel-glossary-' . gmdate('Y-m-d-His') . '.csv"');
+
+        $output = fopen('php://output', 'w');
+        $this->container->get(\Trotibike\EwheelImporter\Translation\TranslationGlossary::class)->export_csv($output);
+        fclose($output);
+        exit;
+    }
+
+    /**
+     * AJAX: Import a translation glossary CSV.
+     *
+     * @return void
+     */
+    public function ajax_import_glossary(): void
+    {
+        check_ajax_referer('ewheel_importer_nonce', 'nonce');
+
+        if (!current_user_can('manage_woocommerce')) {
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
+        }
+
+        // CSV text read in the browser; not sanitized as text so quotes and line breaks survive
+        $csv = isset($_POST['csv']) ? (string) wp_unslash($_POST['csv']) : '';
+        $replace = isset($_POST['mode']) && $_POST['mode'] === 'replace';
+
+        if (trim($csv) === '') {
+            wp_send_json_error(['message' => __('The CSV file is empty.', 'ewheel-importer')], 400);
+        }
+
+        try {
+            $glossary = $this->container->get(\Trotibike\EwheelImporter\Translation\TranslationGlossary::class);
+            $summary = $glossary->import_csv($csv, $replace);
+
+            wp_send_json_success($summary + [
+                'message' => sprintf(
+                    /* translators: 1: imported terms, 2: removed terms, 3: skipped rows */
+                    __('%1$d terms imported, %2$d removed, %3$d rows skipped.', 'ewheel-importer'),
+                    $summary['imported'],
+                    $summary['removed'],
+                    $summary['error_count']
+                ),
+                'entries' => $glossary->get_entries(),
+            ]);
+        } catch (\RuntimeException $e) {
+            wp_send_json_error(['message' => $e->getMessage()], 400);
+        } catch (\Throwable $e) {
+            $this->log_ajax_error('import_glossary', $e);
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
+    }
+
+    /**
+     * AJAX: Check the cached translations against the glossary.
+     *
+     * @return void
+     */
+    public function ajax_check_glossary(): void
+    {
+        check_ajax_referer('ewheel_importer_nonce', 'nonce');
+
+        if (!current_user_can('manage_woocommerce')) {
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
+        }
+
+        try {
+            $report = $this->container->get(\Trotibike\EwheelImporter\Translation\TranslationGlossary::class)->check_cache();
+
+            wp_send_json_success($report + [
+                'message' => sprintf(
+                    /* translators: 1: translations breaking the glossary, 2: translations checked */
+                    __('%1$d of %2$d cached translations break the glossary.', 'ewheel-importer'),
+                    $report['violation_count'],
+                    $report['checked']
+                ),
+            ]);
+        } catch (\Throwable $e) {
+            $this->log_ajax_error('check_glossary', $e);
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
+    }
+
+    /**
+     * AJAX: Get OpenRouter Models (with cache).
+     *
+     * @return void
+     */
+    public function ajax_get_openrouter_models(): void
+    {
+        check_ajax_referer('ewheel_importer_nonce', 'nonce');
+
+        if (!current_user_can('manage_woocommerce')) {
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')]);
+        }
+
+        // Check cache first
+        $cached_models = Configuration::get_cached_openrouter_models();
+        if ($cached_models !== false) {
+            wp_send_json_success([
+                'models' => $cached_models,
+                'from_cache' => true,
+            ]);
+            return;
+        }
+
+        // Fetch from API
+        $this->fetch_and_cache_openrouter_models();
+    }
+
+    /**
+     * AJAX: Refresh OpenRouter Models (force refresh).
+     *
+     * @return void
+     */
+    public function ajax_refresh_openrouter_models(): void
+    {
+        check_ajax_referer('ewheel_importer_nonce', 'nonce');
+
+        if (!current_user_can('manage_woocommerce')) {
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')]);
+        }
+
+        // Clear cache and fetch fresh
+        Configuration::clear_cached_openrouter_models();
+        $this->fetch_and_cache_openrouter_models();
+    }
+
+    /**
+     * AJAX: Get Queue Status (Action Scheduler).
+     *
+     * @return void
+     */
+    public function ajax_get_queue_status(): void
+    {
+        check_ajax_referer('ewheel_importer_nonce', 'nonce');
+
+        if (!current_user_can('manage_woocommerce')) {
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')]);
+        }
+
+        if (!function_exists('as_get_scheduled_actions')) {
+            wp_send_json_success([
+                'pending' => 0,
+                'failed' => 0,
+                'available' => false
+            ]);
+        }
+
+        // Check Action Scheduler queue for stuck batches
+        // Using 'ids' is faster and sufficient for counts
+        $pending_actions = as_get_scheduled_actions([
+            'hook' => 'ewheel_importer_process_batch',
+            'status' => \ActionScheduler_Store::STATUS_PENDING,
+        ], 'ids');
+
+        $failed_actions = as_get_scheduled_actions([
+            'hook' => 'ewheel_importer_process_batch',
+            'status' => \ActionScheduler_Store::STATUS_FAILED,
+        ], 'ids');
+
+        $pending_count = is_array($pending_actions) ? count($pending_actions) : 0;
+        $failed_count = is_array($failed_actions) ? count($failed_actions) : 0;
+
+        wp_send_json_success([
+            'pending' => $pending_count,
+            'failed' => $failed_count,
+            'available' => true,
+            'html' => $this->render_queue_status_html($pending_count, $failed_count)
+        ]);
+    }
+
+    /**
+     * Render Queue Status HTML.
+     * 
+     * @param int $pending
+     * @param int $failed
+     * @return string
+     */
+    private function render_queue_status_html(int $pending, int $failed): string
+    {
+        if ($pending === 0 && $failed === 0) {
+            return '';
+        }
+
+        ob_start();
+        ?>
+        <p class="description" style="margin-top: 10px; padding: 8px; background: #fff3cd; border-left: 4px solid #ffc107;">
+            <strong><?php esc_html_e('Queue Issue:', 'ewheel-importer'); ?></strong>
+            <?php echo esc_html($pending); ?>         <?php esc_html_e('pending', 'ewheel-importer'); ?>,
+            <?php echo esc_html($failed); ?>         <?php esc_html_e('failed batches', 'ewheel-importer'); ?>
+            <button type="button" id="ewheel-clear-queue" class="button button-small" style="margin-left: 10px;">
+                <?php esc_html_e('Clear Queue', 'ewheel-importer'); ?>
+            </button>
+            <a href="<?php echo esc_url(admin_url('tools.php?page=action-scheduler&s=ewheel_importer_process_batch')); ?>"
+                style="margin-left: 5px;">
+                <?php esc_html_e('View', 'ewheel-importer'); ?>
+            </a>
+        </p>
+        <?php
+        return ob_get_clean();
+    }
+
+    /**
+     * AJAX: Clear Action Scheduler queue and sync locks.
+     *
+     * @return void
+     */
+    public function ajax_clear_queue(): void
+    {
+        check_ajax_referer('ewheel_importer_nonce', 'nonce');
+
+        if (!current_user_can('manage_woocommerce')) {
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')]);
+        }
+
+        // Clear all pending ewheel batch actions
+        as_unschedule_all_actions('ewheel_importer_process_batch');
+
+        // Delete failed actions from Action Scheduler tables
+        global $wpdb;
+        $table_name = $wpdb->prefix . 'actionscheduler_actions';
+        if ($wpdb->get_var("SHOW TABLES LIKE '$table_name'") === $table_name) {
+            $wpdb->query(
+                $wpdb->prepare(
+                    "DELETE FROM {$table_name} WHERE hook = %s AND status IN ('failed', 'canceled')",
+                    'ewheel_importer_process_batch'
+                )
+            );
+        }
+
+        // Clear sync status and locks
+        $wpdb->query("DELETE FROM {$wpdb->options} WHERE option_name LIKE '%ewheel_importer_sync_status%'");
+        $wpdb->query("DELETE FROM {$wpdb->options} WHERE option_name LIKE '%ewheel_importer_stop_sync%'");
+        $wpdb->query("DELETE FROM {$wpdb->options} WHERE option_name LIKE '%ewheel_importer_pause_sync%'");
+        $wpdb->query("DELETE FROM {$wpdb->options} WHERE option_name LIKE '_transient%ewheel_importer_sync_lock%'");
+
+        // Update sync history: mark any 'running' as 'stopped'
+        \Trotibike\EwheelImporter\Sync\SyncHistoryManager::stop_all_running();
+
+        wp_send_json_success(['message' => __('Queue cleared successfully', 'ewheel-importer')]);
+    }
+
+    /**
+     * Fetch OpenRouter models from API and cache them.
+     *
+     * @return void
+     */
+    private function fetch_and_cache_openrouter_models(): void
+    {
+        $api_key = $this->config->get_openrouter_api_key();
+
+        if (empty($api_key)) {
+            wp_send_json_error([
+                'message' => __('OpenRouter API key not configured. Please enter your API key first.', 'ewheel-importer'),
+                'models' => [],
+            ]);
+            return;
+        }
+
+        try {
+            $http_client = $this->container->get(\Trotibike\EwheelImporter\Api\HttpClientInterface::class);
+            $response = $http_client->get(
+                'https://openrouter.ai/api/v1/models',
+                ['Authorization' => 'Bearer ' . $api_key]
+            );
+
+            if (empty($response['data'])) {
+                wp_send_json_error([
+                    'message' => __('No models returned from OpenRouter', 'ewheel-importer'),
+                    'models' => [],
+                ]);
+                return;
+            }
+
+            // Format models for dropdown
+            $models = [];
+            foreach ($response['data'] as $model) {
+                $id = $model['id'] ?? '';
+                $name = $model['name'] ?? $id;
+
+                // Build display name with pricing info
+                $display_name = $name;
+
+                // Check if it's a free model
+                $is_free = false;
+                if (isset($model['pricing'])) {
+                    $prompt_price = floatval($model['pricing']['prompt'] ?? 1);
+                    $completion_price = floatval($model['pricing']['completion'] ?? 1);
+                    $is_free = ($prompt_price == 0 && $completion_price == 0);
+                }
+                if (strpos($id, ':free') !== false) {
+                    $is_free = true;
+                }
+
+                if ($is_free) {
+                    $display_name .= ' (Free)';
+                }
+
+                // Add context length if available
+                if (isset($model['context_length']) && $model['context_length'] > 0) {
+                    $context_k = round($model['context_length'] / 1000);
+                    $display_name .= ' [' . $context_k . 'k ctx]';
+                }
+
+                $models[] = [
+                    'id' => $id,
+                    'name' => $name,
+                    'display_name' => $display_name,
+                    'is_free' => $is_free,
+                    'context_length' => $model['context_length'] ?? 0,
+                ];
+            }
+
+            // Sort: free models first, then alphabetically
+            usort($models, function ($a, $b) {
+                if ($a['is_free'] !== $b['is_free']) {
+                    return $b['is_free'] - $a['is_free']; // Free first
+                }
+                return strcasecmp($a['name'], $b['name']);
+            });
+
+            // Cache the models
+            Configuration::set_cached_openrouter_models($models);
+
+            wp_send_json_success([
+                'models' => $models,
+                'from_cache' => false,
+            ]);
+        } catch (\Exception $e) {
+            wp_send_json_error([
+                'message' => $e->getMessage(),
+                'models' => [],
+            ]);
+        }
+    }
+
+    /**
+     * Add custom cron schedules.
+     *
+     * @param array $schedules Existing schedules.
+     * @return array
+     */
+    public function add_cron_schedules(array $schedules): array
+    {
+        $schedules['weekly'] = [
+            'interval' => 604800, // WEEK_IN_SECONDS
+            'display' => __('Once Weekly', 'ewheel-importer'),
+        ];
+        $schedules['ewheel_15min'] = [
+            'interval' => 900,
+            'display' => __('Every 15 Minutes', 'ewheel-importer'),
+        ];
+        $schedules['ewheel_30min'] = [
+            'interval' => 1800,
+            'display' => __('Every 30 Minutes', 'ewheel-importer'),
+        ];
+        return $schedules;
+    }
+
+    /**
+     * Apply the log retention policy (daily cron).
+     *
+     * @return void
+     */
+    public function prune_logs(): void
+    {
+        \Trotibike\EwheelImporter\Log\PersistentLogger::prune(
+            $this->config->get_log_retention_days(),
+            $this->config->get_log_max_entries()
+        );
+        $this->container->get(\Trotibike\EwheelImporter\Service\WebhookNotifier::class)->prune($this->config->get_log_retention_days());
+    }
+
+    /**
+     * Run scheduled (cron) sync — incremental, only changed products.
+     *
+     * @return void
+     */
+    public function run_scheduled_sync(): void
+    {
+        $launcher = $this->container->get(SyncLauncher::class);
+
+        if ($launcher->is_sync_running()) {
+            return;
+        }
+
+        try {
+            $launcher->start_incremental_sync();
+        } catch (\Exception $e) {
+            error_log('[Ewheel Cron] Failed: ' . $e->getMessage());
+        }
+    }
+
+    /**
+     * Run scheduled (cron) stock and price sync.
+     *
+     * @return void
+     */
+    public function run_scheduled_stock_sync(): void
+    {
+        $stock_sync = $this->container->get(\Trotibike\EwheelImporter\Sync\StockPriceSync::class);
+
+        if ($stock_sync->is_busy()) {
+            return;
+        }
+
+        try {
+            $stock_sync->queue();
+        } catch (\Exception $e) {
+            error_log('[Ewheel Cron] Stock sync failed: ' . $e->getMessage());
+        }
+    }
+
+    /**
+     * Register product_brand taxonomy for WooCommerce products.
+     *
+     * @return void
+     */
+    public function register_product_brand_taxonomy(): void
+    {
+        if (taxonomy_exists('product_brand')) {
+            return;
+        }
+
+        $labels = [
+            'name'              => __('Brands', 'ewheel-importer'),
+            'singular_name'     => __('Brand', 'ewheel-importer'),
+            'search_items'      => __('Search Brands', 'ewheel-importer'),
+            'all_items'         => __('All Brands', 'ewheel-importer'),
+            'parent_item'       => null,
+            'parent_item_colon' => null,
+            'edit_item'         => __('Edit Brand', 'ewheel-importer'),
+            'update_item'       => __('Update Brand', 'ewheel-importer'),
+            'add_new_item'      => __('Add New Brand', 'ewheel-importer'),
+            'new_item_name'     => __('New Brand Name', 'ewheel-importer'),
+            'menu_name'         => __('Brands', 'ewheel-importer'),
+        ];
+
+        register_taxonomy('product_brand', ['product'], [
+            'hierarchical'      => false,
+            'labels'            => $labels,
+            'show_ui'           => true,
+            'show_admin_column' => true,
+            'show_in_rest'      => true,
+            'query_var'         => true,
+            'rewrite'           => ['slug' => 'brand', 'with_front' => false],
+        ]);
+    }
+
+    /**
+     * Register product_model taxonomy for WooCommerce products.
+     *
+     * @return void
+     */
+    public function register_product_model_taxonomy(): void
+    {
+        if (taxonomy_exists('product_model')) {
+            return;
+        }
+
+        $labels = [
+            'name'              => __('Models', 'ewheel-importer'),
+            'singular_name'     => __('Model', 'ewheel-importer'),
+            'search_items'      => __('Search Models', 'ewheel-importer'),
+            'all_items'         => __('All Models', 'ewheel-importer'),
+            'parent_item'       => null,
+            'parent_item_colon' => null,
+            'edit_item'         => __('Edit Model', 'ewheel-importer'),
+            'update_item'       => __('Update Model', 'ewheel-importer'),
+            'add_new_item'      => __('Add New Model', 'ewheel-importer'),
+            'new_item_name'     => __('New Model Name', 'ewheel-importer'),
+            'menu_name'         => __('Models', 'ewheel-importer'),
+        ];
+
+        register_taxonomy('product_model', ['product'], [
+            'hierarchical'      => false,
+            'labels'            => $labels,
+            'show_ui'           => true,
+            'show_admin_column' => true,
+            'show_in_rest'      => true,
+            'query_var'         => true,
+            'rewrite'           => ['slug' => 'model', 'with_front' => false],
+        ]);
+    }
+
+    /**
+     * Output column styles for product_model taxonomy on WooCommerce product list.
+     *
+     * @return void
+     */
+    public function product_list_column_styles(): void
+    {
+        $screen = get_current_screen();
+        if (!$screen || $screen->post_type !== 'product') {
+            return;
+        }
+        echo '<style>
+            .column-taxonomy-product_model,
+            .column-product_model,
+            th#taxonomy-product_model,
+            td.taxonomy-product_model {
+                width: 150px !important;
+                min-width: 150px !important;
+                max-width: 200px !important;
+                word-break: break-word !important;
+                white-space: normal !important;
+            }
+        </style>';
+    }
+
+    /**
+     * Add "Sync from ewheel" and "Inspect" to imported products in the products list.
+     *
+     * @param array    $actions Row actions.
+     * @param \WP_Post $post    Post.
+     * @return array
+     */
+    public function add_product_row_actions(array $actions, $post): array
+    {
+        if ($post->post_type !== 'product' || !current_user_can('manage_woocommerce')) {
+            return $actions;
         }
 
-        $categories = json_decode($categories_json, true);
-        if (json_last_error() !== JSON_ERROR_NONE || !is_array($categories)) {
-            wp_send_json_error(['message' => __('Invalid categories data', 'ewheel-importer')]);
+        $identifier = $this->get_product_sync_identifier((int) $post->ID);
+        if ($identifier === '') {
+            return $actions;
         }
 
-        try {
-            $translator = $this->container->get(\Trotibike\EwheelImporter\Translation\Translator::class);
-            $target_lang = $this->config->get_target_language();
+        $sync_url = wp_nonce_url(
+            add_query_arg(
+                [
+                    'action' => 'ewheel_sync_product',
+                    'product_id' => $post->ID,
+                ],
+                admin_url('admin-post.php')
+            ),
+            'ewheel_sync_product_' . $post->ID
+        );
+        $inspect_url = add_query_arg(
+            [
+                'page' => 'ewheel-importer',
+                'tab' => 'inspect',
+                'identifier' => rawurlencode($identifier),
+            ],
+            admin_url('admin.php')
+        );
 
-            // Get existing transient translations
-            $transient_translations = get_transient('ewheel_category_translations') ?: [];
+        $actions['ewheel_sync'] = sprintf(
+            '<a href="%s">%s</a>',
+            esc_url($sync_url),
+            esc_html__('Sync from ewheel', 'ewheel-importer')
+        );
+        $actions['ewheel_inspect'] = sprintf(
+            '<a href="%s">%s</a>',
+            esc_url($inspect_url),
+            esc_html__('Inspect', 'ewheel-importer')
+        );
 
-            $translated = [];
-            $errors = [];
+        return $actions;
+    }
 
-            foreach ($categories as $cat) {
-                $reference = $cat['reference'] ?? '';
-                $original_name = $cat['original_name'] ?? '';
-                $source_lang = $cat['source_lang'] ?? 'es';
+    /**
+     * Sync one product from the products list row action, then go back.
+     *
+     * @return void
+     */
+    public function handle_product_row_sync(): void
+    {
+        $product_id = isset($_GET['product_id']) ? absint($_GET['product_id']) : 0;
+        check_admin_referer('ewheel_sync_product_' . $product_id);
 
-                if (empty($reference) || empty($original_name)) {
-                    continue;
-                }
+        if (!current_user_can('manage_woocommerce')) {
+            wp_die(esc_html__('Permission denied', 'ewheel-importer'), '', ['response' => 403]);
+        }
 
-                // Skip if already in manual overrides
-                $manual_overrides = get_option('ewheel_importer_category_translation_overrides', []);
-                if (isset($manual_overrides[$reference])) {
-                    $translated[$reference] = $manual_overrides[$reference];
-                    continue;
-                }
+        $identifier = $this->get_product_sync_identifier($product_id);
 
-                // Skip if source language is same as target
-                if ($source_lang === $target_lang) {
-                    $translated[$reference] = $original_name;
-                    $transient_translations[$reference] = $original_name;
-                    continue;
-                }
+        try {
+            $single = $this->container->get(\Trotibike\EwheelImporter\Sync\SingleProductSync::class);
+            $result = $single->sync($identifier);
+            $counts = $result['results'];
 
-                try {
-                    $translation = $translator->translate($original_name, $source_lang);
-                    $translated[$reference] = $translation;
-                    $transient_translations[$reference] = $translation;
-                } catch (\Exception $e) {
-                    $errors[] = sprintf('%s: %s', $reference, $e->getMessage());
-                    // Keep original on error
-                    $translated[$reference] = $original_name;
-                }
-            }
+            $notice = [
+                'type' => $counts['errors'] > 0 ? 'warning' : 'success',
+                'message' => sprintf(
+                    /* translators: 1: reference, 2: created, 3: updated, 4: failed */
+                    __('Synced %1$s from ewheel: %2$d created, %3$d updated, %4$d failed.', 'ewheel-importer'),
+                    $result['reference'],
+                    $counts['created'],
+                    $counts['updated'],
+                    $counts['errors']
+                ),
+            ];
+        } catch (\Throwable $e) {
+            $notice = [
+                'type' => 'error',
+                /* translators: %s: error message */
+                'message' => sprintf(__('Ewheel sync failed: %s', 'ewheel-importer'), $e->getMessage()),
+            ];
+        }
 
-            // Save to transient with 7 days expiry
-            set_transient('ewheel_category_translations', $transient_translations, 7 * DAY_IN_SECONDS);
+        set_transient('ewheel_row_sync_notice_' . get_current_user_id(), $notice, 5 * MINUTE_IN_SECONDS);
 
-            wp_send_json_success([
-                'batch_index' => $batch_index,
-                'translated' => $translated,
-                'translated_count' => count($translated),
-                'total_cached' => count($transient_translations),
-                'errors' => $errors,
-            ]);
-        } catch (\Exception $e) {
-            wp_send_json_error(['message' => $e->getMessage()]);
-        }
+        wp_safe_redirect(wp_get_referer() ?: admin_url('edit.php?post_type=product'));
+        exit;
     }
 
     /**
-     * AJAX Save Category Translation Override.
-     *
-     * Saves a manual translation edit to persistent option.
+     * Show the result of a row action sync once.
      *
      * @return void
      */
-    public function ajax_save_category_translation(): void
+    public function render_product_row_sync_notice(): void
     {
-        check_ajax_referer('ewheel_importer_nonce', 'nonce');
-
-        if (!current_user_can('manage_woocommerce')) {
-            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')]);
-        }
-
-        $reference = isset($_POST['reference']) ? sanitize_text_field(wp_unslash($_POST['reference'])) : '';
-        $translation = isset($_POST['translation']) ? sanitize_text_field(wp_unslash($_POST['translation'])) : '';
-        $action_type = isset($_POST['action_type']) ? sanitize_text_field(wp_unslash($_POST['action_type'])) : 'save';
-
-        if (empty($reference)) {
-            wp_send_json_error(['message' => __('Category reference is required', 'ewheel-importer')]);
+        $key = 'ewheel_row_sync_notice_' . get_current_user_id();
+        $notice = get_transient($key);
+        if (!is_array($notice)) {
+            return;
         }
 
-        $overrides = get_option('ewheel_importer_category_translation_overrides', []);
+        delete_transient($key);
 
-        if ($action_type === 'delete' || $action_type === 'revert') {
-            // Remove the manual override, revert to transient or original
-            unset($overrides[$reference]);
-            update_option('ewheel_importer_category_translation_overrides', $overrides);
+        printf(
+            '<div class="notice notice-%s is-dismissible"><p>%s</p></div>',
+            esc_attr($notice['type']),
+            esc_html($notice['message'])
+        );
+    }
 
-            // Get the display name after revert
-            $transient_translations = get_transient('ewheel_category_translations') ?: [];
-            $display_name = $transient_translations[$reference] ?? null;
-            $status = $display_name ? 'translated' : 'original';
+    /**
+     * Get the SKU or ewheel reference to sync a product by.
+     *
+     * @param int $product_id Product ID.
+     * @return string Empty for products not imported from ewheel.
+     */
+    private function get_product_sync_identifier(int $product_id): string
+    {
+        $reference = (string) get_post_meta($product_id, '_ewheel_reference', true);
+        if ($reference === '') {
+            $reference = (string) get_post_meta($product_id, '_ewheel_reference_base', true);
+        }
 
-            wp_send_json_success([
-                'message' => __('Translation reverted', 'ewheel-importer'),
-                'reference' => $reference,
-                'display_name' => $display_name,
-                'translation_status' => $status,
-            ]);
-        } else {
-            // Save the manual override
-            if (empty($translation)) {
-                wp_send_json_error(['message' => __('Translation text is required', 'ewheel-importer')]);
-            }
+        if ($reference === '') {
+            return '';
+        }
 
-            $overrides[$reference] = $translation;
-            update_option('ewheel_importer_category_translation_overrides', $overrides);
+        $sku = (string) get_post_meta($product_id, '_sku', true);
 
-            wp_send_json_success([
-                'message' => __('Translation saved', 'ewheel-importer'),
-                'reference' => $reference,
-                'display_name' => $translation,
-                'translation_status' => 'override',
-            ]);
-        }
+        return $sku !== '' ? $sku : $reference;
     }
 
     /**
-     * AJAX Clear Category Translations Cache.
-     *
-     * Clears the transient cache but preserves manual overrides.
+     * Render product badges for NEW and Discontinued status.
      *
      * @return void
      */
-    public function ajax_clear_category_translations(): void
+    public function render_product_badges(): void
     {
-        check_ajax_referer('ewheel_importer_nonce', 'nonce');
+        global $product;
 
-        if (!current_user_can('manage_woocommerce')) {
-            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')]);
+        if (!$product instanceof \WC_Product) {
+            return;
         }
 
-        // Delete the transient cache
-        delete_transient('ewheel_category_translations');
+        $is_new = $product->get_meta('_ewheel_new');
+        $is_obsolete = $product->get_meta('_ewheel_obsolete');
 
-        // Get count of preserved manual overrides
-        $overrides = get_option('ewheel_importer_category_translation_overrides', []);
-        $override_count = count($overrides);
+        if ($is_new === '1' || $is_new === 'true' || $is_new === true) {
+            echo '<span class="ewheel-badge ewheel-badge-new">' . esc_html__('NOU', 'ewheel-importer') . '</span>';
+        }
 
-        wp_send_json_success([
-            'message' => sprintf(
-                /* translators: %d: number of manual edits preserved */
-                __('Translation cache cleared. %d manual edits preserved.', 'ewheel-importer'),
-                $override_count
-            ),
-            'overrides_preserved' => $override_count,
-        ]);
+        if ($is_obsolete === '1' || $is_obsolete === 'true' || $is_obsolete === true) {
+            echo '<span class="ewheel-badge ewheel-badge-discontinued">' . esc_html__('Discontinuat', 'ewheel-importer') . '</span>';
+        }
     }
 
     /**
-     * AJAX Get All Profiles.
+     * AJAX: Get all model ID => name mappings.
      *
      * @return void
      */
-    public function ajax_get_profiles(): void
+    public function ajax_get_model_mappings(): void
     {
         check_ajax_referer('ewheel_importer_nonce', 'nonce');
 
@@ -1966,40 +4162,46 @@ final class Ewheel_Importer
         }
 
         try {
-            $profile_repo = $this->container->get(\Trotibike\EwheelImporter\Repository\ProfileRepository::class);
+            $model_service = $this->container->get(\Trotibike\EwheelImporter\Service\ModelService::class);
 
-            // Ensure table exists
-            if (!$profile_repo->table_exists()) {
-                \Trotibike\EwheelImporter\Database\SchemaInstaller::install();
-            }
+            $all_names = $model_service->get_model_names();
+            $from_option = get_option(\Trotibike\EwheelImporter\Service\ModelService::OPTION_KEY, []);
+            $from_constant = \Trotibike\EwheelImporter\Service\ModelService::MODEL_NAMES;
 
-            $profiles = $profile_repo->find_all();
-
-            // Convert to arrays for JSON
-            $profiles_array = array_map(function ($profile) {
-                $data = $profile->to_array();
-                // Format last_sync for display
-                if (!empty($data['last_sync'])) {
-                    $data['last_sync'] = wp_date(
-                        get_option('date_format') . ' ' . get_option('time_format'),
-                        strtotime($data['last_sync'])
-                    );
+            // Get all existing model terms to identify which IDs have been seen
+            $all_terms = $model_service->get_all_models();
+            $known_model_ids = [];
+            foreach ($all_terms as $term) {
+                $ewheel_id = get_term_meta($term->term_id, '_ewheel_model_id', true);
+                if ($ewheel_id) {
+                    $known_model_ids[$ewheel_id] = $term->name;
                 }
-                return $data;
-            }, $profiles);
+            }
+
+            // Count unmapped: model IDs seen as terms but NOT in the names map
+            $mapped_count = count($all_names);
+            $unmapped_ids = array_diff_key($known_model_ids, $all_names);
+            $unmapped_count = count($unmapped_ids);
 
-            wp_send_json_success(['profiles' => $profiles_array]);
+            wp_send_json_success([
+                'mappings'       => $all_names,
+                'from_option'    => is_array($from_option) ? $from_option : [],
+                'from_constant'  => $from_constant,
+                'mapped_count'   => $mapped_count,
+                'unmapped_count' => $unmapped_count,
+                'unmapped_ids'   => $unmapped_ids,
+            ]);
         } catch (\Exception $e) {
             wp_send_json_error(['message' => $e->getMessage()]);
         }
     }
 
     /**
-     * AJAX Get Single Profile.
+     * AJAX: Save a single model ID => name mapping.
      *
      * @return void
      */
-    public function ajax_get_profile(): void
+    public function ajax_save_model_mapping(): void
     {
         check_ajax_referer('ewheel_importer_nonce', 'nonce');
 
@@ -2007,44 +4209,37 @@ final class Ewheel_Importer
             wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')]);
         }
 
-        $profile_id = isset($_POST['profile_id']) ? absint($_POST['profile_id']) : 0;
+        $model_id = isset($_POST['model_id']) ? sanitize_text_field(wp_unslash($_POST['model_id'])) : '';
+        $name = isset($_POST['name']) ? sanitize_text_field(wp_unslash($_POST['name'])) : '';
 
-        if (empty($profile_id)) {
-            // Return empty profile for new profile creation
-            wp_send_json_success([
-                'profile' => [
-                    'id' => null,
-                    'name' => '',
-                    'slug' => '',
-                    'is_active' => true,
-                    'filters' => Profile::DEFAULT_FILTERS,
-                    'settings' => Profile::DEFAULT_SETTINGS,
-                    'category_mappings' => [],
-                ],
-            ]);
-            return;
+        if (empty($model_id)) {
+            wp_send_json_error(['message' => __('Model ID is required', 'ewheel-importer')]);
+        }
+
+        if (empty($name)) {
+            wp_send_json_error(['message' => __('Model name is required', 'ewheel-importer')]);
         }
 
         try {
-            $profile_repo = $this->container->get(\Trotibike\EwheelImporter\Repository\ProfileRepository::class);
-            $profile = $profile_repo->find($profile_id);
+            $model_service = $this->container->get(\Trotibike\EwheelImporter\Service\ModelService::class);
+            $result = $model_service->save_model_name($model_id, $name);
 
-            if (!$profile) {
-                wp_send_json_error(['message' => __('Profile not found', 'ewheel-importer')]);
+            if ($result) {
+                wp_send_json_success(['message' => __('Model mapping saved', 'ewheel-importer')]);
+            } else {
+                wp_send_json_error(['message' => __('Failed to save model mapping', 'ewheel-importer')]);
             }
-
-            wp_send_json_success(['profile' => $profile->to_array()]);
         } catch (\Exception $e) {
             wp_send_json_error(['message' => $e->getMessage()]);
         }
     }
 
     /**
-     * AJAX Save Profile.
+     * AJAX: Delete a model ID => name mapping.
      *
      * @return void
      */
-    public function ajax_save_profile(): void
+    public function ajax_delete_model_mapping(): void
     {
         check_ajax_referer('ewheel_importer_nonce', 'nonce');
 
@@ -2052,636 +4247,668 @@ final class Ewheel_Importer
             wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')]);
         }
 
-        $profile_id = isset($_POST['profile_id']) ? absint($_POST['profile_id']) : 0;
-        $name = isset($_POST['name']) ? sanitize_text_field(wp_unslash($_POST['name'])) : '';
+        $model_id = isset($_POST['model_id']) ? sanitize_text_field(wp_unslash($_POST['model_id'])) : '';
 
-        if (empty($name)) {
-            wp_send_json_error(['message' => __('Profile name is required', 'ewheel-importer')]);
+        if (empty($model_id)) {
+            wp_send_json_error(['message' => __('Model ID is required', 'ewheel-importer')]);
         }
 
         try {
-            $profile_repo = $this->container->get(\Trotibike\EwheelImporter\Repository\ProfileRepository::class);
-
-            // Ensure table exists
-            if (!$profile_repo->table_exists()) {
-                \Trotibike\EwheelImporter\Database\SchemaInstaller::install();
-            }
-
-            // Build profile data
-            $profile = $profile_id ? $profile_repo->find($profile_id) : new Profile();
-
-            if ($profile_id && !$profile) {
-                wp_send_json_error(['message' => __('Profile not found', 'ewheel-importer')]);
-            }
-
-            $profile->set_name($name);
-            $profile->set_active(!empty($_POST['is_active']));
-
-            // Build filters
-            $filters = [];
-            if (isset($_POST['filters']) && is_array($_POST['filters'])) {
-                $raw_filters = wp_unslash($_POST['filters']);
-                $filters['category'] = sanitize_text_field($raw_filters['category'] ?? '');
-                $filters['active'] = !empty($raw_filters['active']);
-                $filters['hasImages'] = !empty($raw_filters['hasImages']);
-                $filters['hasVariants'] = !empty($raw_filters['hasVariants']);
-                $filters['productReference'] = sanitize_text_field($raw_filters['productReference'] ?? '');
-            }
-            $profile->set_filters($filters);
+            $model_service = $this->container->get(\Trotibike\EwheelImporter\Service\ModelService::class);
+            $model_service->remove_model_name($model_id);
 
-            // Build settings
-            $settings = [];
-            if (isset($_POST['settings']) && is_array($_POST['settings'])) {
-                $raw_settings = wp_unslash($_POST['settings']);
+            $fallback = \Trotibike\EwheelImporter\Service\ModelService::MODEL_NAMES[$model_id] ?? $model_id;
 
-                // Exchange rate - only set if override is selected
-                if (isset($raw_settings['exchange_rate']) && $raw_settings['exchange_rate'] !== '') {
-                    $settings['exchange_rate'] = (float) $raw_settings['exchange_rate'];
-                }
+            wp_send_json_success([
+                'message'  => __('Model mapping removed', 'ewheel-importer'),
+                'fallback' => $fallback,
+            ]);
+        } catch (\Exception $e) {
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
+    }
 
-                // Markup - only set if override is selected
-                if (isset($raw_settings['markup_percent']) && $raw_settings['markup_percent'] !== '') {
-                    $settings['markup_percent'] = (float) $raw_settings['markup_percent'];
-                }
+    /**
+     * AJAX: Get the model compatibility matrix.
+     *
+     * Lists products with their models, filtered by product/model text,
+     * model or products without models, plus all models for the filters.
+     *
+     * @return void
+     */
+    public function ajax_get_model_compatibility(): void
+    {
+        check_ajax_referer('ewheel_importer_nonce', 'nonce');
 
-                // Sync frequency
-                $settings['sync_frequency'] = sanitize_text_field($raw_settings['sync_frequency'] ?? 'manual');
+        if (!current_user_can('manage_woocommerce')) {
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
+        }
 
-                // Test limit
-                $settings['test_limit'] = absint($raw_settings['test_limit'] ?? 0);
-            }
-            $profile->set_settings($settings);
+        $page = isset($_POST['page']) ? max(1, absint($_POST['page'])) : 1;
+        $args = [
+            'search' => isset($_POST['search']) ? sanitize_text_field(wp_unslash($_POST['search'])) : '',
+            'model' => isset($_POST['model']) ? absint($_POST['model']) : 0,
+            'unassigned' => !empty($_POST['unassigned']),
+            'page' => $page,
+            'per_page' => 25,
+        ];
 
-            // Save
-            $saved_id = $profile_repo->save($profile);
+        try {
+            $compatibility = $this->container->get(\Trotibike\EwheelImporter\Service\ModelCompatibility::class);
 
-            wp_send_json_success([
-                'message' => __('Profile saved successfully', 'ewheel-importer'),
-                'profile_id' => $saved_id,
+            wp_send_json_success($compatibility->get_products($args) + [
+                'models' => $compatibility->get_models(),
+                'page' => $page,
+                'per_page' => 25,
             ]);
-        } catch (\Exception $e) {
+        } catch (\Throwable $e) {
+            $this->log_ajax_error('get_model_compatibility', $e);
             wp_send_json_error(['message' => $e->getMessage()]);
         }
     }
 
     /**
-     * AJAX Delete Profile.
+     * AJAX: Link or unlink models of products.
      *
      * @return void
      */
-    public function ajax_delete_profile(): void
+    public function ajax_change_product_models(): void
     {
         check_ajax_referer('ewheel_importer_nonce', 'nonce');
 
         if (!current_user_can('manage_woocommerce')) {
-            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')]);
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
         }
 
-        $profile_id = isset($_POST['profile_id']) ? absint($_POST['profile_id']) : 0;
+        $operation = isset($_POST['operation']) ? sanitize_key(wp_unslash($_POST['operation'])) : '';
+        $product_ids = isset($_POST['product_ids']) ? array_map('absint', (array) $_POST['product_ids']) : [];
+        $term_ids = isset($_POST['term_ids']) ? array_map('absint', (array) $_POST['term_ids']) : [];
+
+        if (!in_array($operation, ['add', 'remove'], true)) {
+            wp_send_json_error(['message' => __('Unknown operation.', 'ewheel-importer')], 400);
+        }
 
-        if (empty($profile_id)) {
-            wp_send_json_error(['message' => __('Profile ID is required', 'ewheel-importer')]);
+        if (empty(array_filter($product_ids)) || empty(array_filter($term_ids))) {
+            wp_send_json_error(['message' => __('Select at least one product and one model.', 'ewheel-importer')], 400);
         }
 
         try {
-            $profile_repo = $this->container->get(\Trotibike\EwheelImporter\Repository\ProfileRepository::class);
-            $profile_repo->delete($profile_id);
+            $model_service = $this->container->get(\Trotibike\EwheelImporter\Service\ModelService::class);
+            $changed = $operation === 'add'
+                ? $model_service->add_models_to_products($product_ids, $term_ids)
+                : $model_service->remove_models_from_products($product_ids, $term_ids);
 
-            wp_send_json_success(['message' => __('Profile deleted successfully', 'ewheel-importer')]);
-        } catch (\Exception $e) {
+            \Trotibike\EwheelImporter\Log\PersistentLogger::info(sprintf(
+                'Models %s %d products by hand (terms %s)',
+                $operation === 'add' ? 'linked to' : 'unlinked from',
+                $changed,
+                implode(',', $term_ids)
+            ));
+
+            wp_send_json_success([
+                'changed' => $changed,
+                'message' => sprintf(
+                    /* translators: %d: number of products */
+                    _n('%d product updated.', '%d products updated.', $changed, 'ewheel-importer'),
+                    $changed
+                ),
+            ]);
+        } catch (\Throwable $e) {
+            $this->log_ajax_error('change_product_models', $e);
             wp_send_json_error(['message' => $e->getMessage()]);
         }
     }
 
     /**
-     * AJAX: Get OpenRouter Models (with cache).
+     * AJAX: Export the model compatibility list.
+     *
+     * Downloads (GET) one CSV row per product/model link.
      *
      * @return void
      */
-    public function ajax_get_openrouter_models(): void
+    public function ajax_export_model_compatibility(): void
     {
         check_ajax_referer('ewheel_importer_nonce', 'nonce');
 
         if (!current_user_can('manage_woocommerce')) {
-            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')]);
+            wp_die(esc_html__('Permission denied', 'ewheel-importer'), '', ['response' => 403]);
         }
 
-        // Check cache first
-        $cached_models = Configuration::get_cached_openrouter_models();
-        if ($cached_models !== false) {
-            wp_send_json_success([
-                'models' => $cached_models,
-                'from_cache' => true,
-            ]);
-            return;
-        }
+        nocache_headers();
+        header('Content-Type: text/csv; charset=utf-8');
+        header('Content-Disposition: attachment; filename="ewheel-model-compatibility-' . gmdate('Y-m-d-His') . '.csv"');
 
-        // Fetch from API
-        $this->fetch_and_cache_openrouter_models();
+        $output = fopen('php://output', 'w');
+        $this->container->get(\Trotibike\EwheelImporter\Service\ModelCompatibility::class)->export_csv($output);
+        fclose($output);
+        exit;
     }
 
     /**
-     * AJAX: Refresh OpenRouter Models (force refresh).
+     * AJAX: Import a model compatibility CSV.
      *
      * @return void
      */
-    public function ajax_refresh_openrouter_models(): void
+    public function ajax_import_model_compatibility(): void
     {
         check_ajax_referer('ewheel_importer_nonce', 'nonce');
 
         if (!current_user_can('manage_woocommerce')) {
-            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')]);
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
         }
 
-        // Clear cache and fetch fresh
-        Configuration::clear_cached_openrouter_models();
-        $this->fetch_and_cache_openrouter_models();
+        // CSV text read in the browser; not sanitized as text so quotes and line breaks survive
+        $csv = isset($_POST['csv']) ? (string) wp_unslash($_POST['csv']) : '';
+        $replace = isset($_POST['mode']) && $_POST['mode'] === 'replace';
+
+        if (trim($csv) === '') {
+            wp_send_json_error(['message' => __('The CSV file is empty.', 'ewheel-importer')], 400);
+        }
+
+        try {
+            $compatibility = $this->container->get(\Trotibike\EwheelImporter\Service\ModelCompatibility::class);
+            $summary = $compatibility->import_csv($csv, $replace);
+
+            wp_send_json_success($summary + [
+                'message' => sprintf(
+                    /* translators: 1: products found, 2: products that gained a model, 3: products that lost a model, 4: skipped rows */
+                    __('%1$d products imported: %2$d gained models, %3$d lost models, %4$d rows skipped.', 'ewheel-importer'),
+                    $summary['products'],
+                    $summary['linked'],
+                    $summary['unlinked'],
+                    $summary['error_count']
+                ),
+            ]);
+        } catch (\RuntimeException $e) {
+            wp_send_json_error(['message' => $e->getMessage()], 400);
+        } catch (\Throwable $e) {
+            $this->log_ajax_error('import_model_compatibility', $e);
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
     }
 
     /**
-     * AJAX: Get Queue Status (Action Scheduler).
+     * AJAX: Get brands with product counts, aliases and a profile's brand filters.
      *
      * @return void
      */
-    public function ajax_get_queue_status(): void
+    public function ajax_get_brands(): void
     {
         check_ajax_referer('ewheel_importer_nonce', 'nonce');
 
         if (!current_user_can('manage_woocommerce')) {
-            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')]);
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
         }
 
-        if (!function_exists('as_get_scheduled_actions')) {
-            wp_send_json_success([
-                'pending' => 0,
-                'failed' => 0,
-                'available' => false
-            ]);
-        }
+        $profile_id = isset($_POST['profile_id']) ? absint($_POST['profile_id']) : 0;
 
-        // Check Action Scheduler queue for stuck batches
-        // Using 'ids' is faster and sufficient for counts
-        $pending_actions = as_get_scheduled_actions([
-            'hook' => 'ewheel_importer_process_batch',
-            'status' => \ActionScheduler_Store::STATUS_PENDING,
-        ], 'ids');
+        try {
+            $brand_service = $this->container->get(\Trotibike\EwheelImporter\Service\BrandService::class);
+            $profile_repo = $this->container->get(\Trotibike\EwheelImporter\Repository\ProfileRepository::class);
 
-        $failed_actions = as_get_scheduled_actions([
-            'hook' => 'ewheel_importer_process_batch',
-            'status' => \ActionScheduler_Store::STATUS_FAILED,
-        ], 'ids');
+            $profiles = [];
+            foreach ($profile_repo->find_all() as $profile) {
+                $profiles[] = ['id' => $profile->get_id(), 'name' => $profile->get_name()];
+            }
 
-        $pending_count = is_array($pending_actions) ? count($pending_actions) : 0;
-        $failed_count = is_array($failed_actions) ? count($failed_actions) : 0;
+            $profile = $profile_id ? $profile_repo->find($profile_id) : $profile_repo->find_default();
 
-        wp_send_json_success([
-            'pending' => $pending_count,
-            'failed' => $failed_count,
-            'available' => true,
-            'html' => $this->render_queue_status_html($pending_count, $failed_count)
-        ]);
+            wp_send_json_success([
+                'brands' => $brand_service->get_brands(),
+                'aliases' => $brand_service->get_aliases(),
+                'profiles' => $profiles,
+                'profile_id' => $profile ? $profile->get_id() : 0,
+                'include' => $profile ? array_values((array) $profile->get_filter(\Trotibike\EwheelImporter\Service\BrandService::FILTER_INCLUDE)) : [],
+                'exclude' => $profile ? array_values((array) $profile->get_filter(\Trotibike\EwheelImporter\Service\BrandService::FILTER_EXCLUDE)) : [],
+            ]);
+        } catch (\Throwable $e) {
+            $this->log_ajax_error('get_brands', $e);
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
     }
 
     /**
-     * Render Queue Status HTML.
-     * 
-     * @param int $pending
-     * @param int $failed
-     * @return string
+     * AJAX: Make a spelling variant an alias of a brand.
+     *
+     * @return void
      */
-    private function render_queue_status_html(int $pending, int $failed): string
+    public function ajax_save_brand_alias(): void
     {
-        if ($pending === 0 && $failed === 0) {
-            return '';
+        check_ajax_referer('ewheel_importer_nonce', 'nonce');
+
+        if (!current_user_can('manage_woocommerce')) {
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
         }
 
-        ob_start();
-        ?>
-        <p class="description" style="margin-top: 10px; padding: 8px; background: #fff3cd; border-left: 4px solid #ffc107;">
-            <strong><?php esc_html_e('Queue Issue:', 'ewheel-importer'); ?></strong>
-            <?php echo esc_html($pending); ?>         <?php esc_html_e('pending', 'ewheel-importer'); ?>,
-            <?php echo esc_html($failed); ?>         <?php esc_html_e('failed batches', 'ewheel-importer'); ?>
-            <button type="button" id="ewheel-clear-queue" class="button button-small" style="margin-left: 10px;">
-                <?php esc_html_e('Clear Queue', 'ewheel-importer'); ?>
-            </button>
-            <a href="<?php echo esc_url(admin_url('tools.php?page=action-scheduler&s=ewheel_importer_process_batch')); ?>"
-                style="margin-left: 5px;">
-                <?php esc_html_e('View', 'ewheel-importer'); ?>
-            </a>
-        </p>
-        <?php
-        return ob_get_clean();
+        $alias = isset($_POST['alias']) ? sanitize_text_field(wp_unslash($_POST['alias'])) : '';
+        $brand = isset($_POST['brand']) ? sanitize_text_field(wp_unslash($_POST['brand'])) : '';
+
+        try {
+            $this->container->get(\Trotibike\EwheelImporter\Service\BrandService::class)->save_alias($alias, $brand);
+
+            wp_send_json_success(['message' => __('Alias saved. Future syncs assign it to the brand.', 'ewheel-importer')]);
+        } catch (\RuntimeException $e) {
+            wp_send_json_error(['message' => $e->getMessage()], 400);
+        } catch (\Throwable $e) {
+            $this->log_ajax_error('save_brand_alias', $e);
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
     }
 
     /**
-     * AJAX: Clear Action Scheduler queue and sync locks.
+     * AJAX: Remove a brand alias.
      *
      * @return void
      */
-    public function ajax_clear_queue(): void
+    public function ajax_delete_brand_alias(): void
     {
         check_ajax_referer('ewheel_importer_nonce', 'nonce');
 
         if (!current_user_can('manage_woocommerce')) {
-            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')]);
-        }
-
-        // Clear all pending ewheel batch actions
-        as_unschedule_all_actions('ewheel_importer_process_batch');
-
-        // Delete failed actions from Action Scheduler tables
-        global $wpdb;
-        $table_name = $wpdb->prefix . 'actionscheduler_actions';
-        if ($wpdb->get_var("SHOW TABLES LIKE '$table_name'") === $table_name) {
-            $wpdb->query(
-                $wpdb->prepare(
-                    "DELETE FROM {$table_name} WHERE hook = %s AND status IN ('failed', 'canceled')",
-                    'ewheel_importer_process_batch'
-                )
-            );
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
         }
 
-        // Clear sync status and locks
-        $wpdb->query("DELETE FROM {$wpdb->options} WHERE option_name LIKE '%ewheel_importer_sync_status%'");
-        $wpdb->query("DELETE FROM {$wpdb->options} WHERE option_name LIKE '%ewheel_importer_stop_sync%'");
-        $wpdb->query("DELETE FROM {$wpdb->options} WHERE option_name LIKE '%ewheel_importer_pause_sync%'");
-        $wpdb->query("DELETE FROM {$wpdb->options} WHERE option_name LIKE '_transient%ewheel_importer_sync_lock%'");
+        $alias = isset($_POST['alias']) ? sanitize_text_field(wp_unslash($_POST['alias'])) : '';
 
-        // Update sync history: mark any 'running' as 'stopped'
-        \Trotibike\EwheelImporter\Sync\SyncHistoryManager::stop_all_running();
+        try {
+            $this->container->get(\Trotibike\EwheelImporter\Service\BrandService::class)->remove_alias($alias);
 
-        wp_send_json_success(['message' => __('Queue cleared successfully', 'ewheel-importer')]);
+            wp_send_json_success(['message' => __('Alias removed.', 'ewheel-importer')]);
+        } catch (\Throwable $e) {
+            $this->log_ajax_error('delete_brand_alias', $e);
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
     }
 
     /**
-     * Fetch OpenRouter models from API and cache them.
+     * AJAX: Merge a duplicate brand into another one.
      *
      * @return void
      */
-    private function fetch_and_cache_openrouter_models(): void
+    public function ajax_merge_brands(): void
     {
-        $api_key = $this->config->get_openrouter_api_key();
+        check_ajax_referer('ewheel_importer_nonce', 'nonce');
 
-        if (empty($api_key)) {
-            wp_send_json_error([
-                'message' => __('OpenRouter API key not configured. Please enter your API key first.', 'ewheel-importer'),
-                'models' => [],
-            ]);
-            return;
+        if (!current_user_can('manage_woocommerce')) {
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
         }
 
+        $source = isset($_POST['source']) ? absint($_POST['source']) : 0;
+        $target = isset($_POST['target']) ? absint($_POST['target']) : 0;
+
         try {
-            $http_client = $this->container->get(\Trotibike\EwheelImporter\Api\HttpClientInterface::class);
-            $response = $http_client->get(
-                'https://openrouter.ai/api/v1/models',
-                ['Authorization' => 'Bearer ' . $api_key]
-            );
+            $moved = $this->container->get(\Trotibike\EwheelImporter\Service\BrandService::class)->merge_brands($source, $target);
 
-            if (empty($response['data'])) {
-                wp_send_json_error([
-                    'message' => __('No models returned from OpenRouter', 'ewheel-importer'),
-                    'models' => [],
-                ]);
-                return;
-            }
+            wp_send_json_success([
+                'moved' => $moved,
+                'message' => sprintf(
+                    /* translators: %d: number of products */
+                    _n('Brands merged: %d product moved.', 'Brands merged: %d products moved.', $moved, 'ewheel-importer'),
+                    $moved
+                ),
+            ]);
+        } catch (\RuntimeException $e) {
+            wp_send_json_error(['message' => $e->getMessage()], 400);
+        } catch (\Throwable $e) {
+            $this->log_ajax_error('merge_brands', $e);
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
+    }
 
-            // Format models for dropdown
-            $models = [];
-            foreach ($response['data'] as $model) {
-                $id = $model['id'] ?? '';
-                $name = $model['name'] ?? $id;
+    /**
+     * AJAX: Include or exclude a brand in a profile's filters.
+     *
+     * @return void
+     */
+    public function ajax_save_brand_filter(): void
+    {
+        check_ajax_referer('ewheel_importer_nonce', 'nonce');
 
-                // Build display name with pricing info
-                $display_name = $name;
+        if (!current_user_can('manage_woocommerce')) {
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
+        }
 
-                // Check if it's a free model
-                $is_free = false;
-                if (isset($model['pricing'])) {
-                    $prompt_price = floatval($model['pricing']['prompt'] ?? 1);
-                    $completion_price = floatval($model['pricing']['completion'] ?? 1);
-                    $is_free = ($prompt_price == 0 && $completion_price == 0);
-                }
-                if (strpos($id, ':free') !== false) {
-                    $is_free = true;
-                }
+        $profile_id = isset($_POST['profile_id']) ? absint($_POST['profile_id']) : 0;
+        $brand = isset($_POST['brand']) ? sanitize_text_field(wp_unslash($_POST['brand'])) : '';
+        $state = isset($_POST['state']) ? sanitize_key(wp_unslash($_POST['state'])) : '';
 
-                if ($is_free) {
-                    $display_name .= ' (Free)';
-                }
+        if ($brand === '' || !in_array($state, ['', 'include', 'exclude'], true)) {
+            wp_send_json_error(['message' => __('Invalid brand filter.', 'ewheel-importer')], 400);
+        }
 
-                // Add context length if available
-                if (isset($model['context_length']) && $model['context_length'] > 0) {
-                    $context_k = round($model['context_length'] / 1000);
-                    $display_name .= ' [' . $context_k . 'k ctx]';
-                }
+        try {
+            $profile_repo = $this->container->get(\Trotibike\EwheelImporter\Repository\ProfileRepository::class);
+            $profile = $profile_id ? $profile_repo->find($profile_id) : null;
 
-                $models[] = [
-                    'id' => $id,
-                    'name' => $name,
-                    'display_name' => $display_name,
-                    'is_free' => $is_free,
-                    'context_length' => $model['context_length'] ?? 0,
-                ];
+            if (!$profile) {
+                wp_send_json_error(['message' => __('Profile not found', 'ewheel-importer')], 404);
             }
 
-            // Sort: free models first, then alphabetically
-            usort($models, function ($a, $b) {
-                if ($a['is_free'] !== $b['is_free']) {
-                    return $b['is_free'] - $a['is_free']; // Free first
+            $keys = [
+                'include' => \Trotibike\EwheelImporter\Service\BrandService::FILTER_INCLUDE,
+                'exclude' => \Trotibike\EwheelImporter\Service\BrandService::FILTER_EXCLUDE,
+            ];
+
+            foreach ($keys as $key_state => $key) {
+                $brands = array_values(array_filter(
+                    (array) $profile->get_filter($key),
+                    fn($name) => strcasecmp((string) $name, $brand) !== 0
+                ));
+                if ($key_state === $state) {
+                    $brands[] = $brand;
                 }
-                return strcasecmp($a['name'], $b['name']);
-            });
+                $profile->set_filter($key, $brands);
+            }
 
-            // Cache the models
-            Configuration::set_cached_openrouter_models($models);
+            $profile_repo->save($profile);
 
             wp_send_json_success([
-                'models' => $models,
-                'from_cache' => false,
-            ]);
-        } catch (\Exception $e) {
-            wp_send_json_error([
-                'message' => $e->getMessage(),
-                'models' => [],
+                'include' => $profile->get_filter(\Trotibike\EwheelImporter\Service\BrandService::FILTER_INCLUDE),
+                'exclude' => $profile->get_filter(\Trotibike\EwheelImporter\Service\BrandService::FILTER_EXCLUDE),
             ]);
+        } catch (\Throwable $e) {
+            $this->log_ajax_error('save_brand_filter', $e);
+            wp_send_json_error(['message' => $e->getMessage()]);
         }
     }
 
     /**
-     * Add custom cron schedules.
+     * AJAX: Get the attributes seen in recent payloads with their mappings.
      *
-     * @param array $schedules Existing schedules.
-     * @return array
+     * @return void
      */
-    public function add_cron_schedules(array $schedules): array
+    public function ajax_get_attribute_mappings(): void
     {
-        $schedules['weekly'] = [
-            'interval' => 604800, // WEEK_IN_SECONDS
-            'display' => __('Once Weekly', 'ewheel-importer'),
-        ];
-        return $schedules;
+        check_ajax_referer('ewheel_importer_nonce', 'nonce');
+
+        if (!current_user_can('manage_woocommerce')) {
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
+        }
+
+        try {
+            wp_send_json_success(
+                $this->container->get(\Trotibike\EwheelImporter\Config\AttributeMappings::class)->get_attributes()
+            );
+        } catch (\Throwable $e) {
+            $this->log_ajax_error('get_attribute_mappings', $e);
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
     }
 
     /**
-     * Run scheduled (cron) sync — incremental, only changed products.
+     * AJAX: Save the mapping of an attribute slug (an empty mapping restores the defaults).
      *
      * @return void
      */
-    public function run_scheduled_sync(): void
+    public function ajax_save_attribute_mapping(): void
     {
-        $launcher = $this->container->get(SyncLauncher::class);
+        check_ajax_referer('ewheel_importer_nonce', 'nonce');
 
-        if ($launcher->is_sync_running()) {
-            return;
+        if (!current_user_can('manage_woocommerce')) {
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
         }
 
+        $slug = isset($_POST['slug']) ? sanitize_text_field(wp_unslash($_POST['slug'])) : '';
+
+        $values = [];
+        foreach ((array) (isset($_POST['values']) ? wp_unslash($_POST['values']) : []) as $pair) {
+            $pair = (array) $pair;
+            $values[] = [
+                'from' => sanitize_text_field($pair['from'] ?? ''),
+                'to' => sanitize_text_field($pair['to'] ?? ''),
+            ];
+        }
+
+        $mapping = [
+            'kind' => isset($_POST['kind']) ? sanitize_key(wp_unslash($_POST['kind'])) : '',
+            'label' => isset($_POST['label']) ? sanitize_text_field(wp_unslash($_POST['label'])) : '',
+            'meta_key' => isset($_POST['meta_key']) ? sanitize_text_field(wp_unslash($_POST['meta_key'])) : '',
+            'unit' => isset($_POST['unit']) ? sanitize_text_field(wp_unslash($_POST['unit'])) : '',
+            'values' => $values,
+        ];
+
         try {
-            $launcher->start_incremental_sync();
-        } catch (\Exception $e) {
-            error_log('[Ewheel Cron] Failed: ' . $e->getMessage());
+            $mappings = $this->container->get(\Trotibike\EwheelImporter\Config\AttributeMappings::class);
+            $mappings->save_mapping($slug, $mapping);
+
+            wp_send_json_success([
+                'message' => __('Attribute mapping saved. It is applied the next time products are synced.', 'ewheel-importer'),
+            ] + $mappings->get_attributes());
+        } catch (\RuntimeException $e) {
+            wp_send_json_error(['message' => $e->getMessage()], 400);
+        } catch (\Throwable $e) {
+            $this->log_ajax_error('save_attribute_mapping', $e);
+            wp_send_json_error(['message' => $e->getMessage()]);
         }
     }
 
     /**
-     * Register product_brand taxonomy for WooCommerce products.
+     * AJAX: Get the webhook endpoints and the events they can subscribe to.
      *
      * @return void
      */
-    public function register_product_brand_taxonomy(): void
+    public function ajax_get_webhooks(): void
     {
-        if (taxonomy_exists('product_brand')) {
-            return;
-        }
+        check_ajax_referer('ewheel_importer_nonce', 'nonce');
 
-        $labels = [
-            'name'              => __('Brands', 'ewheel-importer'),
-            'singular_name'     => __('Brand', 'ewheel-importer'),
-            'search_items'      => __('Search Brands', 'ewheel-importer'),
-            'all_items'         => __('All Brands', 'ewheel-importer'),
-            'parent_item'       => null,
-            'parent_item_colon' => null,
-            'edit_item'         => __('Edit Brand', 'ewheel-importer'),
-            'update_item'       => __('Update Brand', 'ewheel-importer'),
-            'add_new_item'      => __('Add New Brand', 'ewheel-importer'),
-            'new_item_name'     => __('New Brand Name', 'ewheel-importer'),
-            'menu_name'         => __('Brands', 'ewheel-importer'),
-        ];
+        if (!current_user_can('manage_woocommerce')) {
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
+        }
 
-        register_taxonomy('product_brand', ['product'], [
-            'hierarchical'      => false,
-            'labels'            => $labels,
-            'show_ui'           => true,
-            'show_admin_column' => true,
-            'show_in_rest'      => true,
-            'query_var'         => true,
-            'rewrite'           => ['slug' => 'brand', 'with_front' => false],
-        ]);
+        try {
+            wp_send_json_success($this->get_webhooks_data());
+        } catch (\Throwable $e) {
+            $this->log_ajax_error('get_webhooks', $e);
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
     }
 
     /**
-     * Register product_model taxonomy for WooCommerce products.
+     * AJAX: Create or update a webhook endpoint.
      *
      * @return void
      */
-    public function register_product_model_taxonomy(): void
+    public function ajax_save_webhook(): void
     {
-        if (taxonomy_exists('product_model')) {
-            return;
+        check_ajax_referer('ewheel_importer_nonce', 'nonce');
+
+        if (!current_user_can('manage_woocommerce')) {
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
         }
 
-        $labels = [
-            'name'              => __('Models', 'ewheel-importer'),
-            'singular_name'     => __('Model', 'ewheel-importer'),
-            'search_items'      => __('Search Models', 'ewheel-importer'),
-            'all_items'         => __('All Models', 'ewheel-importer'),
-            'parent_item'       => null,
-            'parent_item_colon' => null,
-            'edit_item'         => __('Edit Model', 'ewheel-importer'),
-            'update_item'       => __('Update Model', 'ewheel-importer'),
-            'add_new_item'      => __('Add New Model', 'ewheel-importer'),
-            'new_item_name'     => __('New Model Name', 'ewheel-importer'),
-            'menu_name'         => __('Models', 'ewheel-importer'),
+        $data = [
+            'id' => isset($_POST['id']) ? sanitize_key(wp_unslash($_POST['id'])) : '',
+            'name' => isset($_POST['name']) ? sanitize_text_field(wp_unslash($_POST['name'])) : '',
+            'url' => isset($_POST['url']) ? esc_url_raw(wp_unslash($_POST['url'])) : '',
+            'secret' => isset($_POST['secret']) ? sanitize_text_field(wp_unslash($_POST['secret'])) : '',
+            'regenerate_secret' => !empty($_POST['regenerate_secret']),
+            'events' => isset($_POST['events']) ? array_map('sanitize_text_field', (array) wp_unslash($_POST['events'])) : [],
+            'format' => isset($_POST['format']) ? sanitize_key(wp_unslash($_POST['format'])) : '',
+            'active' => !empty($_POST['active']),
         ];
 
-        register_taxonomy('product_model', ['product'], [
-            'hierarchical'      => false,
-            'labels'            => $labels,
-            'show_ui'           => true,
-            'show_admin_column' => true,
-            'show_in_rest'      => true,
-            'query_var'         => true,
-            'rewrite'           => ['slug' => 'model', 'with_front' => false],
-        ]);
+        try {
+            $webhook = $this->container->get(\Trotibike\EwheelImporter\Service\WebhookNotifier::class)->save_webhook($data);
+
+            wp_send_json_success([
+                'message' => __('Webhook saved.', 'ewheel-importer'),
+                'webhook' => $webhook,
+            ] + $this->get_webhooks_data());
+        } catch (\RuntimeException $e) {
+            wp_send_json_error(['message' => $e->getMessage()], 400);
+        } catch (\Throwable $e) {
+            $this->log_ajax_error('save_webhook', $e);
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
     }
 
     /**
-     * Output column styles for product_model taxonomy on WooCommerce product list.
+     * AJAX: Remove a webhook endpoint.
      *
      * @return void
      */
-    public function product_list_column_styles(): void
+    public function ajax_delete_webhook(): void
     {
-        $screen = get_current_screen();
-        if (!$screen || $screen->post_type !== 'product') {
-            return;
+        check_ajax_referer('ewheel_importer_nonce', 'nonce');
+
+        if (!current_user_can('manage_woocommerce')) {
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
         }
-        echo '<style>
-            .column-taxonomy-product_model,
-            .column-product_model,
-            th#taxonomy-product_model,
-            td.taxonomy-product_model {
-                width: 150px !important;
-                min-width: 150px !important;
-                max-width: 200px !important;
-                word-break: break-word !important;
-                white-space: normal !important;
+
+        $id = isset($_POST['id']) ? sanitize_key(wp_unslash($_POST['id'])) : '';
+
+        try {
+            if (!$this->container->get(\Trotibike\EwheelImporter\Service\WebhookNotifier::class)->delete_webhook($id)) {
+                wp_send_json_error(['message' => __('Webhook not found.', 'ewheel-importer')], 404);
             }
-        </style>';
+
+            wp_send_json_success([
+                'message' => __('Webhook deleted.', 'ewheel-importer'),
+            ] + $this->get_webhooks_data());
+        } catch (\Throwable $e) {
+            $this->log_ajax_error('delete_webhook', $e);
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
     }
 
     /**
-     * Render product badges for NEW and Discontinued status.
+     * AJAX: Send a test event to a webhook endpoint and report the response.
      *
      * @return void
      */
-    public function render_product_badges(): void
+    public function ajax_test_webhook(): void
     {
-        global $product;
+        check_ajax_referer('ewheel_importer_nonce', 'nonce');
 
-        if (!$product instanceof \WC_Product) {
-            return;
+        if (!current_user_can('manage_woocommerce')) {
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
         }
 
-        $is_new = $product->get_meta('_ewheel_new');
-        $is_obsolete = $product->get_meta('_ewheel_obsolete');
+        $id = isset($_POST['id']) ? sanitize_key(wp_unslash($_POST['id'])) : '';
 
-        if ($is_new === '1' || $is_new === 'true' || $is_new === true) {
-            echo '<span class="ewheel-badge ewheel-badge-new">' . esc_html__('NOU', 'ewheel-importer') . '</span>';
-        }
+        try {
+            $delivery = $this->container->get(\Trotibike\EwheelImporter\Service\WebhookNotifier::class)->send_test($id);
 
-        if ($is_obsolete === '1' || $is_obsolete === 'true' || $is_obsolete === true) {
-            echo '<span class="ewheel-badge ewheel-badge-discontinued">' . esc_html__('Discontinuat', 'ewheel-importer') . '</span>';
+            if ($delivery['status'] !== \Trotibike\EwheelImporter\Service\WebhookNotifier::STATUS_DELIVERED) {
+                wp_send_json_error([
+                    /* translators: %s: error message or HTTP status */
+                    'message' => sprintf(__('Test event failed: %s', 'ewheel-importer'), $delivery['last_error']),
+                    'delivery' => $delivery,
+                ], 502);
+            }
+
+            wp_send_json_success([
+                /* translators: %d: HTTP status code */
+                'message' => sprintf(__('Test event delivered (HTTP %d).', 'ewheel-importer'), $delivery['response_code']),
+                'delivery' => $delivery,
+            ]);
+        } catch (\RuntimeException $e) {
+            wp_send_json_error(['message' => $e->getMessage()], 400);
+        } catch (\Throwable $e) {
+            $this->log_ajax_error('test_webhook', $e);
+            wp_send_json_error(['message' => $e->getMessage()]);
         }
     }
 
     /**
-     * AJAX: Get all model ID => name mappings.
+     * AJAX: Get a page of the webhook delivery log.
      *
      * @return void
      */
-    public function ajax_get_model_mappings(): void
+    public function ajax_get_webhook_deliveries(): void
     {
         check_ajax_referer('ewheel_importer_nonce', 'nonce');
 
         if (!current_user_can('manage_woocommerce')) {
-            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')]);
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
         }
 
-        try {
-            $model_service = $this->container->get(\Trotibike\EwheelImporter\Service\ModelService::class);
-
-            $all_names = $model_service->get_model_names();
-            $from_option = get_option(\Trotibike\EwheelImporter\Service\ModelService::OPTION_KEY, []);
-            $from_constant = \Trotibike\EwheelImporter\Service\ModelService::MODEL_NAMES;
-
-            // Get all existing model terms to identify which IDs have been seen
-            $all_terms = $model_service->get_all_models();
-            $known_model_ids = [];
-            foreach ($all_terms as $term) {
-                $ewheel_id = get_term_meta($term->term_id, '_ewheel_model_id', true);
-                if ($ewheel_id) {
-                    $known_model_ids[$ewheel_id] = $term->name;
-                }
-            }
+        $per_page = 25;
+        $page = isset($_POST['page']) ? max(1, absint($_POST['page'])) : 1;
 
-            // Count unmapped: model IDs seen as terms but NOT in the names map
-            $mapped_count = count($all_names);
-            $unmapped_ids = array_diff_key($known_model_ids, $all_names);
-            $unmapped_count = count($unmapped_ids);
+        try {
+            $result = $this->container->get(\Trotibike\EwheelImporter\Service\WebhookNotifier::class)->get_deliveries([
+                'webhook_id' => isset($_POST['webhook_id']) ? sanitize_key(wp_unslash($_POST['webhook_id'])) : '',
+                'status' => isset($_POST['status']) ? sanitize_key(wp_unslash($_POST['status'])) : '',
+                'limit' => $per_page,
+                'offset' => ($page - 1) * $per_page,
+            ]);
 
             wp_send_json_success([
-                'mappings'       => $all_names,
-                'from_option'    => is_array($from_option) ? $from_option : [],
-                'from_constant'  => $from_constant,
-                'mapped_count'   => $mapped_count,
-                'unmapped_count' => $unmapped_count,
-                'unmapped_ids'   => $unmapped_ids,
+                'items' => $result['items'],
+                'total' => $result['total'],
+                'page' => $page,
+                'per_page' => $per_page,
             ]);
-        } catch (\Exception $e) {
+        } catch (\Throwable $e) {
+            $this->log_ajax_error('get_webhook_deliveries', $e);
             wp_send_json_error(['message' => $e->getMessage()]);
         }
     }
 
     /**
-     * AJAX: Save a single model ID => name mapping.
+     * AJAX: Queue a logged webhook delivery again.
      *
      * @return void
      */
-    public function ajax_save_model_mapping(): void
+    public function ajax_redeliver_webhook(): void
     {
         check_ajax_referer('ewheel_importer_nonce', 'nonce');
 
         if (!current_user_can('manage_woocommerce')) {
-            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')]);
-        }
-
-        $model_id = isset($_POST['model_id']) ? sanitize_text_field(wp_unslash($_POST['model_id'])) : '';
-        $name = isset($_POST['name']) ? sanitize_text_field(wp_unslash($_POST['name'])) : '';
-
-        if (empty($model_id)) {
-            wp_send_json_error(['message' => __('Model ID is required', 'ewheel-importer')]);
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
         }
 
-        if (empty($name)) {
-            wp_send_json_error(['message' => __('Model name is required', 'ewheel-importer')]);
-        }
+        $delivery_id = isset($_POST['delivery_id']) ? absint($_POST['delivery_id']) : 0;
 
         try {
-            $model_service = $this->container->get(\Trotibike\EwheelImporter\Service\ModelService::class);
-            $result = $model_service->save_model_name($model_id, $name);
-
-            if ($result) {
-                wp_send_json_success(['message' => __('Model mapping saved', 'ewheel-importer')]);
-            } else {
-                wp_send_json_error(['message' => __('Failed to save model mapping', 'ewheel-importer')]);
+            if (!$this->container->get(\Trotibike\EwheelImporter\Service\WebhookNotifier::class)->redeliver($delivery_id)) {
+                wp_send_json_error(['message' => __('Delivery not found.', 'ewheel-importer')], 404);
             }
-        } catch (\Exception $e) {
+
+            wp_send_json_success(['message' => __('Delivery queued again.', 'ewheel-importer')]);
+        } catch (\Throwable $e) {
+            $this->log_ajax_error('redeliver_webhook', $e);
             wp_send_json_error(['message' => $e->getMessage()]);
         }
     }
 
     /**
-     * AJAX: Delete a model ID => name mapping.
+     * AJAX: Save the failure rate that fires the error-rate webhook event.
      *
      * @return void
      */
-    public function ajax_delete_model_mapping(): void
+    public function ajax_save_webhook_settings(): void
     {
         check_ajax_referer('ewheel_importer_nonce', 'nonce');
 
         if (!current_user_can('manage_woocommerce')) {
-            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')]);
+            wp_send_json_error(['message' => __('Permission denied', 'ewheel-importer')], 403);
         }
 
-        $model_id = isset($_POST['model_id']) ? sanitize_text_field(wp_unslash($_POST['model_id'])) : '';
-
-        if (empty($model_id)) {
-            wp_send_json_error(['message' => __('Model ID is required', 'ewheel-importer')]);
+        $error_rate = isset($_POST['error_rate']) ? (float) $_POST['error_rate'] : 0;
+        if ($error_rate < 0 || $error_rate > 100) {
+            wp_send_json_error(['message' => __('The error rate must be between 0 and 100.', 'ewheel-importer')], 400);
         }
 
-        try {
-            $model_service = $this->container->get(\Trotibike\EwheelImporter\Service\ModelService::class);
-            $model_service->remove_model_name($model_id);
+        $this->config->set('webhook_error_rate', $error_rate);
 
-            $fallback = \Trotibike\EwheelImporter\Service\ModelService::MODEL_NAMES[$model_id] ?? $model_id;
+        wp_send_json_success(['message' => __('Webhook settings saved.', 'ewheel-importer')] + $this->get_webhooks_data());
+    }
 
-            wp_send_json_success([
-                'message'  => __('Model mapping removed', 'ewheel-importer'),
-                'fallback' => $fallback,
-            ]);
-        } catch (\Exception $e) {
-            wp_send_json_error(['message' => $e->getMessage()]);
-        }
+    /**
+     * Get the webhook data the Webhooks tab renders.
+     *
+     * @return array
+     */
+    private function get_webhooks_data(): array
+    {
+        return [
+            'webhooks' => array_values($this->container->get(\Trotibike\EwheelImporter\Service\WebhookNotifier::class)->get_webhooks()),
+            'events' => \Trotibike\EwheelImporter\Service\WebhookNotifier::get_event_labels(),
+            'error_rate' => (float) $this->config->get('webhook_error_rate'),
+            'error_rate_min' => \Trotibike\EwheelImporter\Service\WebhookNotifier::ERROR_RATE_MIN_PROCESSED,
+        ];
     }
 
     /**
@@ -2701,6 +4928,16 @@ final class Ewheel_Importer
         if ($frequency !== 'manual' && !wp_next_scheduled('ewheel_importer_cron_sync')) {
             wp_schedule_event(time(), $frequency, 'ewheel_importer_cron_sync');
         }
+
+        $stock_frequency = $this->config->get_stock_sync_frequency();
+
+        if ($stock_frequency !== 'manual' && !wp_next_scheduled(\Trotibike\EwheelImporter\Sync\StockPriceSync::CRON_HOOK)) {
+            wp_schedule_event(time(), $stock_frequency, \Trotibike\EwheelImporter\Sync\StockPriceSync::CRON_HOOK);
+        }
+
+        if (!wp_next_scheduled(\Trotibike\EwheelImporter\Log\PersistentLogger::PRUNE_HOOK)) {
+            wp_schedule_event(time(), 'daily', \Trotibike\EwheelImporter\Log\PersistentLogger::PRUNE_HOOK);
+        }
     }
 
     /**
@@ -2711,6 +4948,8 @@ final class Ewheel_Importer
     public function deactivate(): void
     {
         wp_clear_scheduled_hook('ewheel_importer_cron_sync');
+        wp_clear_scheduled_hook(\Trotibike\EwheelImporter\Sync\StockPriceSync::CRON_HOOK);
+        wp_clear_scheduled_hook(\Trotibike\EwheelImporter\Log\PersistentLogger::PRUNE_HOOK);
     }
 }
 
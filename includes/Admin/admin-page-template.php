@@ -18,6 +18,13 @@ $last_sync = $settings['last_sync'];
 $sync_stats = \Trotibike\EwheelImporter\Sync\SyncHistoryManager::get_stats();
 $recent_history = \Trotibike\EwheelImporter\Sync\SyncHistoryManager::get_recent(5);
 
+// Log explorer filter choices
+$log_runs = \Trotibike\EwheelImporter\Sync\SyncHistoryManager::get_recent(50);
+$log_profiles = \Trotibike\EwheelImporter\Factory\ServiceFactory::create_profile_repository()->find_all();
+
+// Discontinued products policies
+$discontinued_policies = \Trotibike\EwheelImporter\Sync\DiscontinuedProducts::get_policy_labels();
+
 // Get current sync status
 $current_status = get_option('ewheel_importer_sync_status', []);
 $is_running = !empty($current_status['status']) && in_array($current_status['status'], ['running', 'pausing'], true);
@@ -34,6 +41,14 @@ $is_paused = !empty($current_status['status']) && $current_status['status'] ===
         <div class="ewheel-tab" data-tab="history"><?php esc_html_e('Sync History', 'ewheel-importer'); ?></div>
         <div class="ewheel-tab" data-tab="logs"><?php esc_html_e('Error Logs', 'ewheel-importer'); ?></div>
         <div class="ewheel-tab" data-tab="models"><?php esc_html_e('Models', 'ewheel-importer'); ?></div>
+        <div class="ewheel-tab" data-tab="brands"><?php esc_html_e('Brands', 'ewheel-importer'); ?></div>
+        <div class="ewheel-tab" data-tab="attributes"><?php esc_html_e('Attributes', 'ewheel-importer'); ?></div>
+        <div class="ewheel-tab" data-tab="translations"><?php esc_html_e('Translations', 'ewheel-importer'); ?></div>
+        <div class="ewheel-tab" data-tab="inspect"><?php esc_html_e('Product Inspector', 'ewheel-importer'); ?></div>
+        <div class="ewheel-tab" data-tab="discontinued"><?php esc_html_e('Discontinued', 'ewheel-importer'); ?></div>
+        <div class="ewheel-tab" data-tab="images"><?php esc_html_e('Images', 'ewheel-importer'); ?></div>
+        <div class="ewheel-tab" data-tab="variations"><?php esc_html_e('Variations', 'ewheel-importer'); ?></div>
+        <div class="ewheel-tab" data-tab="webhooks"><?php esc_html_e('Webhooks', 'ewheel-importer'); ?></div>
     </div>
 
     <!-- Settings Tab -->
@@ -123,13 +138,21 @@ $is_paused = !empty($current_status['status']) && $current_status['status'] ===
 
                                     <div id="ewheel_custom_pattern_<?php echo esc_attr($key); ?>"
                                         style="margin-top: 5px; <?php echo esc_attr($current_val !== 'custom' ? 'display:none;' : ''); ?>">
-                                        <input type="text"
-                                            name="ewheel_importer_custom_patterns[<?php echo esc_attr($key); ?>]"
-                                            value="<?php echo esc_attr($custom_val); ?>" class="regular-text"
-                                            placeholder="{name} - {reference}">
+                                        <div class="ewheel-pattern-editor">
+                                            <textarea name="ewheel_importer_custom_patterns[<?php echo esc_attr($key); ?>]"
+                                                class="large-text code ewheel-pattern-input" rows="2" autocomplete="off"
+                                                spellcheck="false" data-key="<?php echo esc_attr($key); ?>"
+                                                placeholder="{name}{if brand} - {brand}{/if}"><?php echo esc_textarea($custom_val); ?></textarea>
+                                            <ul class="ewheel-pattern-suggestions" role="listbox" style="display: none;"></ul>
+                                        </div>
                                         <p class="description">
-                                            <?php esc_html_e('Available tags: {name}, {reference}, {price}, {description}', 'ewheel-importer'); ?>
+                                            <?php esc_html_e('Type { for tags. Use {if brand}...{else}...{/if} or {if !brand}...{/if} to include text only when a tag has (or lacks) a value.', 'ewheel-importer'); ?>
                                         </p>
+                                        <ul class="ewheel-pattern-errors" style="display: none;"></ul>
+                                        <div class="ewheel-pattern-preview" style="display: none;">
+                                            <span class="ewheel-pattern-preview-label"><?php esc_html_e('Preview:', 'ewheel-importer'); ?></span>
+                                            <span class="ewheel-pattern-preview-output"></span>
+                                        </div>
                                     </div>
 
                                     <br>
@@ -143,6 +166,20 @@ $is_paused = !empty($current_status['status']) && $current_status['status'] ===
                             </tr>
                         <?php endforeach; ?>
 
+                        <tr id="ewheel-pattern-sample-row" style="display: none;">
+                            <th scope="row">
+                                <label for="ewheel-pattern-sample-sku"><?php esc_html_e('Pattern Preview Product', 'ewheel-importer'); ?></label>
+                            </th>
+                            <td>
+                                <input type="text" id="ewheel-pattern-sample-sku" class="regular-text"
+                                    placeholder="<?php esc_attr_e('Reference, or empty for the first active product', 'ewheel-importer'); ?>">
+                                <button type="button" id="ewheel-pattern-preview-refresh" class="button">
+                                    <?php esc_html_e('Preview', 'ewheel-importer'); ?>
+                                </button>
+                                <p class="description" id="ewheel-pattern-sample-info"></p>
+                            </td>
+                        </tr>
+
                         <!-- Price Field -->
                         <?php
                         $price_val = $get_val('price', 'rrp');
@@ -314,7 +351,53 @@ $is_paused = !empty($current_status['status']) && $current_status['status'] ===
                     </table>
 
                     <h2><?php esc_html_e('Pricing Settings', 'ewheel-importer'); ?></h2>
+                    <?php $rate_source = $settings['exchange_rate_source'] ?: 'manual'; ?>
                     <table class="form-table">
+                        <tr>
+                            <th scope="row">
+                                <label for="ewheel_importer_exchange_rate_source">
+                                    <?php esc_html_e('Exchange Rate Source', 'ewheel-importer'); ?>
+                                </label>
+                            </th>
+                            <td>
+                                <select id="ewheel_importer_exchange_rate_source" name="ewheel_importer_exchange_rate_source">
+                                    <option value="manual" <?php selected($rate_source, 'manual'); ?>>
+                                        <?php esc_html_e('Manual rate', 'ewheel-importer'); ?>
+                                    </option>
+                                    <option value="bnr" <?php selected($rate_source, 'bnr'); ?>>
+                                        <?php esc_html_e('BNR daily reference rate', 'ewheel-importer'); ?>
+                                    </option>
+                                    <option value="ecb" <?php selected($rate_source, 'ecb'); ?>>
+                                        <?php esc_html_e('ECB daily reference rate', 'ewheel-importer'); ?>
+                                    </option>
+                                </select>
+                                <p class="description">
+                                    <?php esc_html_e('Feed rates are re-read every 6 hours. If the feed is unreachable the last rate read from it is used, then the manual rate.', 'ewheel-importer'); ?>
+                                </p>
+                            </td>
+                        </tr>
+                        <tr class="ewheel-rate-feed-row">
+                            <th scope="row">
+                                <label for="ewheel_importer_exchange_rate_feed_url">
+                                    <?php esc_html_e('Feed URL or File', 'ewheel-importer'); ?>
+                                </label>
+                            </th>
+                            <td>
+                                <input type="text" id="ewheel_importer_exchange_rate_feed_url"
+                                    name="ewheel_importer_exchange_rate_feed_url"
+                                    value="<?php echo esc_attr($settings['exchange_rate_feed_url']); ?>"
+                                    class="regular-text"
+                                    data-placeholder-bnr="<?php echo esc_attr(\Trotibike\EwheelImporter\Pricing\BnrExchangeRateProvider::DEFAULT_URL); ?>"
+                                    data-placeholder-ecb="<?php echo esc_attr(\Trotibike\EwheelImporter\Pricing\EcbExchangeRateProvider::DEFAULT_URL); ?>" />
+                                <button type="button" id="ewheel-refresh-exchange-rate" class="button">
+                                    <?php esc_html_e('Fetch Now', 'ewheel-importer'); ?>
+                                </button>
+                                <span id="ewheel-refresh-exchange-rate-status" class="description"></span>
+                                <p class="description">
+                                    <?php esc_html_e('Leave empty for the official feed. Instead of a URL, a file in the uploads directory can be used (its path, or its name relative to uploads).', 'ewheel-importer'); ?>
+                                </p>
+                            </td>
+                        </tr>
                         <tr>
                             <th scope="row">
                                 <label for="ewheel_importer_exchange_rate">
@@ -325,6 +408,9 @@ $is_paused = !empty($current_status['status']) && $current_status['status'] ===
                                 <input type="number" step="0.0001" min="0" id="ewheel_importer_exchange_rate"
                                     name="ewheel_importer_exchange_rate"
                                     value="<?php echo esc_attr($settings['exchange_rate']); ?>" class="small-text" />
+                                <p class="description ewheel-rate-feed-row">
+                                    <?php esc_html_e('Used only when no feed rate has ever been read.', 'ewheel-importer'); ?>
+                                </p>
                             </td>
                         </tr>
                         <tr>
@@ -368,6 +454,83 @@ $is_paused = !empty($current_status['status']) && $current_status['status'] ===
                         </tr>
                     </table>
 
+                    <!-- Exchange Rate History -->
+                    <div id="ewheel-rate-history" class="ewheel-rate-history">
+                        <h3><?php esc_html_e('Exchange Rate History', 'ewheel-importer'); ?></h3>
+                        <p id="ewheel-rate-history-latest" class="ewheel-rate-history-latest"></p>
+                        <div id="ewheel-rate-chart" class="ewheel-rate-chart"></div>
+                        <h4><?php esc_html_e('Rate used by recent syncs', 'ewheel-importer'); ?></h4>
+                        <table class="ewheel-log-table">
+                            <thead>
+                                <tr>
+                                    <th><?php esc_html_e('Sync started', 'ewheel-importer'); ?></th>
+                                    <th><?php esc_html_e('Status', 'ewheel-importer'); ?></th>
+                                    <th><?php esc_html_e('Rate', 'ewheel-importer'); ?></th>
+                                    <th><?php esc_html_e('Source', 'ewheel-importer'); ?></th>
+                                    <th><?php esc_html_e('Rate date', 'ewheel-importer'); ?></th>
+                                </tr>
+                            </thead>
+                            <tbody id="ewheel-rate-syncs"></tbody>
+                        </table>
+                    </div>
+
+                    <!-- Pricing Rules -->
+                    <h3><?php esc_html_e('Pricing Rules', 'ewheel-importer'); ?></h3>
+                    <p class="description">
+                        <?php esc_html_e('Markup tiers checked from top to bottom before the default markup; the first rule whose conditions all match is used. Leave a condition empty to ignore it, and leave markup or rounding empty to keep the default.', 'ewheel-importer'); ?>
+                    </p>
+                    <div id="ewheel-pricing-rules" class="ewheel-pricing-rules"
+                        data-rules="<?php echo esc_attr(wp_json_encode(array_values((array) ($settings['pricing_rules'] ?: [])))); ?>">
+                        <table class="ewheel-log-table ewheel-pricing-rules-table">
+                            <thead>
+                                <tr>
+                                    <th><?php esc_html_e('Label', 'ewheel-importer'); ?></th>
+                                    <th><?php esc_html_e('Category', 'ewheel-importer'); ?></th>
+                                    <th><?php esc_html_e('Brand', 'ewheel-importer'); ?></th>
+                                    <th><?php esc_html_e('EUR from', 'ewheel-importer'); ?></th>
+                                    <th><?php esc_html_e('EUR under', 'ewheel-importer'); ?></th>
+                                    <th><?php esc_html_e('SKU pattern', 'ewheel-importer'); ?></th>
+                                    <th><?php esc_html_e('Markup %', 'ewheel-importer'); ?></th>
+                                    <th><?php esc_html_e('Rounding', 'ewheel-importer'); ?></th>
+                                    <th></th>
+                                </tr>
+                            </thead>
+                            <tbody id="ewheel-pricing-rules-body"></tbody>
+                        </table>
+                        <p>
+                            <button type="button" id="ewheel-add-pricing-rule" class="button">
+                                <?php esc_html_e('Add Rule', 'ewheel-importer'); ?>
+                            </button>
+                        </p>
+                    </div>
+
+                    <!-- Price Calculator -->
+                    <div id="ewheel-price-calculator" class="ewheel-price-calculator">
+                        <h4><?php esc_html_e('Price Calculator', 'ewheel-importer'); ?></h4>
+                        <p class="description">
+                            <?php esc_html_e('Runs sample ewheel prices through the exchange rate, markup and rules above, including unsaved changes.', 'ewheel-importer'); ?>
+                        </p>
+                        <table class="ewheel-log-table">
+                            <thead>
+                                <tr>
+                                    <th><?php esc_html_e('EUR price', 'ewheel-importer'); ?></th>
+                                    <th><?php esc_html_e('SKU', 'ewheel-importer'); ?></th>
+                                    <th><?php esc_html_e('Brand', 'ewheel-importer'); ?></th>
+                                    <th><?php esc_html_e('Category', 'ewheel-importer'); ?></th>
+                                    <th><?php esc_html_e('RON price', 'ewheel-importer'); ?></th>
+                                    <th><?php esc_html_e('Applied', 'ewheel-importer'); ?></th>
+                                    <th></th>
+                                </tr>
+                            </thead>
+                            <tbody id="ewheel-price-samples"></tbody>
+                        </table>
+                        <p>
+                            <button type="button" id="ewheel-add-price-sample" class="button">
+                                <?php esc_html_e('Add Sample', 'ewheel-importer'); ?>
+                            </button>
+                        </p>
+                    </div>
+
                     <h2><?php esc_html_e('Sync Settings', 'ewheel-importer'); ?></h2>
                     <table class="form-table">
                         <tr>
@@ -393,6 +556,40 @@ $is_paused = !empty($current_status['status']) && $current_status['status'] ===
                                 </p>
                             </td>
                         </tr>
+                        <tr>
+                            <th scope="row">
+                                <label for="ewheel_importer_stock_sync_frequency">
+                                    <?php esc_html_e('Stock Sync Frequency', 'ewheel-importer'); ?>
+                                </label>
+                            </th>
+                            <td>
+                                <select id="ewheel_importer_stock_sync_frequency" name="ewheel_importer_stock_sync_frequency">
+                                    <option value="manual" <?php selected($settings['stock_sync_frequency'], 'manual'); ?>>
+                                        <?php esc_html_e('Manual Only', 'ewheel-importer'); ?>
+                                    </option>
+                                    <option value="ewheel_15min" <?php selected($settings['stock_sync_frequency'], 'ewheel_15min'); ?>>
+                                        <?php esc_html_e('Every 15 Minutes', 'ewheel-importer'); ?>
+                                    </option>
+                                    <option value="ewheel_30min" <?php selected($settings['stock_sync_frequency'], 'ewheel_30min'); ?>>
+                                        <?php esc_html_e('Every 30 Minutes', 'ewheel-importer'); ?>
+                                    </option>
+                                    <option value="hourly" <?php selected($settings['stock_sync_frequency'], 'hourly'); ?>>
+                                        <?php esc_html_e('Hourly', 'ewheel-importer'); ?>
+                                    </option>
+                                </select>
+                                <p>
+                                    <label>
+                                        <input type="checkbox" id="ewheel_importer_stock_sync_prices"
+                                            name="ewheel_importer_stock_sync_prices" value="1"
+                                            <?php checked($settings['stock_sync_prices'] ?? true); ?>>
+                                        <?php esc_html_e('Update prices too', 'ewheel-importer'); ?>
+                                    </label>
+                                </p>
+                                <p class="description">
+                                    <?php esc_html_e('Updates only stock levels and prices of products already imported, between full syncs. Titles, descriptions and images are not touched.', 'ewheel-importer'); ?>
+                                </p>
+                            </td>
+                        </tr>
                         <tr>
                             <th scope="row">
                                 <label for="ewheel_importer_variation_mode">
@@ -431,6 +628,26 @@ $is_paused = !empty($current_status['status']) && $current_status['status'] ===
                                 </label>
                             </td>
                         </tr>
+                        <tr>
+                            <th scope="row">
+                                <label for="ewheel_importer_log_retention_days">
+                                    <?php esc_html_e('Log Retention', 'ewheel-importer'); ?>
+                                </label>
+                            </th>
+                            <td>
+                                <input type="number" id="ewheel_importer_log_retention_days"
+                                    name="ewheel_importer_log_retention_days" min="0" step="1" class="small-text"
+                                    value="<?php echo esc_attr($settings['log_retention_days']); ?>">
+                                <?php esc_html_e('days, at most', 'ewheel-importer'); ?>
+                                <input type="number" id="ewheel_importer_log_max_entries"
+                                    name="ewheel_importer_log_max_entries" min="0" step="1000" class="small-text"
+                                    value="<?php echo esc_attr($settings['log_max_entries']); ?>">
+                                <?php esc_html_e('entries', 'ewheel-importer'); ?>
+                                <p class="description">
+                                    <?php esc_html_e('Older sync log entries are deleted once a day. Use 0 for no limit.', 'ewheel-importer'); ?>
+                                </p>
+                            </td>
+                        </tr>
                         <tr>
                             <th scope="row">
                                 <label for="ewheel_importer_target_language">
@@ -457,6 +674,17 @@ $is_paused = !empty($current_status['status']) && $current_status['status'] ===
 
                     <!-- Settings Export/Import -->
                     <div class="ewheel-settings-actions">
+                        <fieldset class="ewheel-export-sections">
+                            <legend><?php esc_html_e('Include in export:', 'ewheel-importer'); ?></legend>
+                            <?php foreach (\Trotibike\EwheelImporter\Config\SettingsBundle::get_section_labels() as $bundle_section => $bundle_label) : ?>
+                                <label>
+                                    <input type="checkbox" class="ewheel-export-section"
+                                        value="<?php echo esc_attr($bundle_section); ?>"
+                                        <?php checked($bundle_section, \Trotibike\EwheelImporter\Config\SettingsBundle::SECTION_SETTINGS); ?>>
+                                    <?php echo esc_html($bundle_label); ?>
+                                </label>
+                            <?php endforeach; ?>
+                        </fieldset>
                         <button type="button" id="ewheel-export-settings" class="button">
                             <?php esc_html_e('Export Settings', 'ewheel-importer'); ?>
                         </button>
@@ -465,7 +693,53 @@ $is_paused = !empty($current_status['status']) && $current_status['status'] ===
                         </button>
                         <input type="file" id="ewheel-import-file" accept=".json" style="display: none;">
                     </div>
+                    <p class="description">
+                        <?php esc_html_e('API keys are never exported. Categories are matched by slug on import.', 'ewheel-importer'); ?>
+                    </p>
+
+                    <!-- Import preview -->
+                    <div id="ewheel-import-preview" class="ewheel-import-preview" style="display: none;">
+                        <h3><?php esc_html_e('Review Import', 'ewheel-importer'); ?></h3>
+                        <p id="ewheel-import-preview-source" class="description"></p>
+                        <div id="ewheel-import-preview-warnings"></div>
+                        <div id="ewheel-import-preview-sections"></div>
+                        <p>
+                            <button type="button" id="ewheel-import-apply" class="button button-primary">
+                                <?php esc_html_e('Apply Selected Sections', 'ewheel-importer'); ?>
+                            </button>
+                            <button type="button" id="ewheel-import-cancel" class="button">
+                                <?php esc_html_e('Cancel', 'ewheel-importer'); ?>
+                            </button>
+                            <span id="ewheel-import-status"></span>
+                        </p>
+                    </div>
                 </form>
+
+                <!-- Sync Preview (dry run) -->
+                <div id="ewheel-sync-preview" class="ewheel-sync-preview" style="display: none;">
+                    <div class="ewheel-sync-preview-header">
+                        <h2><?php esc_html_e('Sync Preview', 'ewheel-importer'); ?></h2>
+                        <button type="button" id="ewheel-close-preview" class="button button-small">
+                            <?php esc_html_e('Close', 'ewheel-importer'); ?>
+                        </button>
+                    </div>
+                    <p class="description">
+                        <?php esc_html_e('Dry run: shows what the next sync would do with each product. Nothing is saved.', 'ewheel-importer'); ?>
+                    </p>
+                    <div id="ewheel-preview-summary" class="ewheel-preview-summary"></div>
+                    <div id="ewheel-preview-results"></div>
+                    <div class="ewheel-pagination">
+                        <span class="ewheel-pagination-info" id="ewheel-preview-page-info"></span>
+                        <div class="ewheel-pagination-buttons">
+                            <button type="button" class="button" id="ewheel-preview-prev" disabled>
+                                &laquo; <?php esc_html_e('Previous', 'ewheel-importer'); ?>
+                            </button>
+                            <button type="button" class="button" id="ewheel-preview-next" disabled>
+                                <?php esc_html_e('Next', 'ewheel-importer'); ?> &raquo;
+                            </button>
+                        </div>
+                    </div>
+                </div>
             </div>
 
             <div class="ewheel-importer-sidebar">
@@ -527,6 +801,12 @@ $is_paused = !empty($current_status['status']) && $current_status['status'] ===
                             <?php esc_html_e('Run Sync', 'ewheel-importer'); ?>
                         </button>
 
+                        <!-- Preview button: dry run, shown when idle -->
+                        <button type="button" id="ewheel-preview-sync" class="button"
+                            style="<?php echo esc_attr(($is_running || $is_paused) ? 'display:none;' : ''); ?>">
+                            <?php esc_html_e('Preview Sync', 'ewheel-importer'); ?>
+                        </button>
+
                         <!-- Pause button: shown when running -->
                         <button type="button" id="ewheel-pause-sync" class="button button-secondary"
                             style="<?php echo esc_attr($is_running ? '' : 'display:none;'); ?>">
@@ -570,6 +850,20 @@ $is_paused = !empty($current_status['status']) && $current_status['status'] ===
                     <div id="ewheel-queue-status-container"></div>
                 </div>
 
+                <div class="ewheel-importer-box">
+                    <h3><?php esc_html_e('Stock & Price Sync', 'ewheel-importer'); ?></h3>
+                    <p class="description">
+                        <?php esc_html_e('Updates stock levels and prices only, in a minute or two instead of a full sync.', 'ewheel-importer'); ?>
+                    </p>
+                    <p>
+                        <button type="button" id="ewheel-run-stock-sync" class="button">
+                            <?php esc_html_e('Sync Stock & Prices', 'ewheel-importer'); ?>
+                        </button>
+                        <span id="ewheel-stock-sync-state"></span>
+                    </p>
+                    <div id="ewheel-stock-sync-summary" class="ewheel-stock-sync-summary"></div>
+                </div>
+
                 <div class="ewheel-importer-box">
                     <h3><?php esc_html_e('Quick Stats', 'ewheel-importer'); ?></h3>
                     <div class="ewheel-stats-row" style="flex-direction: column;">
@@ -606,6 +900,13 @@ $is_paused = !empty($current_status['status']) && $current_status['status'] ===
             <div class="ewheel-importer-main">
                 <!-- Profile List View -->
                 <div id="ewheel-profile-list-view">
+                    <!-- Active profile syncs: one live card per running or paused profile -->
+                    <div class="ewheel-importer-box ewheel-sync-dashboard" id="ewheel-sync-dashboard"
+                        style="max-width: none; display: none;">
+                        <h3><?php esc_html_e('Active Profile Syncs', 'ewheel-importer'); ?></h3>
+                        <div id="ewheel-sync-dashboard-cards" class="ewheel-sync-cards"></div>
+                    </div>
+
                     <div class="ewheel-importer-box" style="max-width: none;">
                         <div
                             style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 15px;">
@@ -814,6 +1115,22 @@ $is_paused = !empty($current_status['status']) && $current_status['status'] ===
                                         </p>
                                     </td>
                                 </tr>
+                                <tr>
+                                    <th scope="row">
+                                        <label
+                                            for="ewheel-profile-discontinued-policy"><?php esc_html_e('Discontinued Products', 'ewheel-importer'); ?></label>
+                                    </th>
+                                    <td>
+                                        <select id="ewheel-profile-discontinued-policy" name="settings[discontinued_policy]">
+                                            <?php foreach ($discontinued_policies as $policy => $policy_label) : ?>
+                                                <option value="<?php echo esc_attr($policy); ?>"><?php echo esc_html($policy_label); ?></option>
+                                            <?php endforeach; ?>
+                                        </select>
+                                        <p class="description">
+                                            <?php esc_html_e('What reconciliation does with published products that are no longer in the ewheel feed.', 'ewheel-importer'); ?>
+                                        </p>
+                                    </td>
+                                </tr>
                             </table>
 
                             <p class="submit">
@@ -930,6 +1247,63 @@ $is_paused = !empty($current_status['status']) && $current_status['status'] ===
                 </p>
             </div>
 
+            <div id="ewheel-category-toolbar" class="ewheel-category-toolbar" style="display: none;">
+                <input type="search" id="ewheel-category-search" class="regular-text"
+                    placeholder="<?php esc_attr_e('Search name or reference...', 'ewheel-importer'); ?>">
+                <select id="ewheel-category-filter">
+                    <option value=""><?php esc_html_e('All categories', 'ewheel-importer'); ?></option>
+                    <option value="unmapped"><?php esc_html_e('Unmapped', 'ewheel-importer'); ?></option>
+                    <option value="mapped"><?php esc_html_e('Mapped', 'ewheel-importer'); ?></option>
+                </select>
+                <button type="button" id="ewheel-category-expand-all" class="button">
+                    <?php esc_html_e('Expand All', 'ewheel-importer'); ?>
+                </button>
+                <button type="button" id="ewheel-category-collapse-all" class="button">
+                    <?php esc_html_e('Collapse All', 'ewheel-importer'); ?>
+                </button>
+                <button type="button" id="ewheel-category-auto-match" class="button">
+                    <span class="dashicons dashicons-lightbulb" style="vertical-align: middle; margin-right: 5px;"></span>
+                    <?php esc_html_e('Auto-match', 'ewheel-importer'); ?>
+                </button>
+                <span class="ewheel-category-bulk">
+                    <span id="ewheel-category-selected-count"></span>
+                    <select id="ewheel-category-bulk-target"></select>
+                    <button type="button" id="ewheel-category-bulk-assign" class="button" disabled>
+                        <?php esc_html_e('Assign Selected', 'ewheel-importer'); ?>
+                    </button>
+                    <button type="button" id="ewheel-category-bulk-unmap" class="button" disabled>
+                        <?php esc_html_e('Unmap Selected', 'ewheel-importer'); ?>
+                    </button>
+                </span>
+            </div>
+
+            <!-- Auto-match suggestions (hidden until requested) -->
+            <div id="ewheel-category-suggestions" class="ewheel-category-suggestions" style="display: none;">
+                <h4><?php esc_html_e('Suggested Mappings', 'ewheel-importer'); ?></h4>
+                <p class="description">
+                    <?php esc_html_e('Review the matches below, change or untick any that are wrong, then accept.', 'ewheel-importer'); ?>
+                </p>
+                <table class="ewheel-category-map-table">
+                    <thead>
+                        <tr>
+                            <th class="check-column"><input type="checkbox" id="ewheel-suggestions-check-all" checked></th>
+                            <th><?php esc_html_e('Ewheel Category', 'ewheel-importer'); ?></th>
+                            <th><?php esc_html_e('Suggested WooCommerce Category', 'ewheel-importer'); ?></th>
+                            <th><?php esc_html_e('Match', 'ewheel-importer'); ?></th>
+                        </tr>
+                    </thead>
+                    <tbody id="ewheel-category-suggestions-body"></tbody>
+                </table>
+                <p>
+                    <button type="button" id="ewheel-accept-suggestions" class="button button-primary">
+                        <?php esc_html_e('Accept Selected', 'ewheel-importer'); ?>
+                    </button>
+                    <button type="button" id="ewheel-dismiss-suggestions" class="button">
+                        <?php esc_html_e('Dismiss', 'ewheel-importer'); ?>
+                    </button>
+                </p>
+            </div>
+
             <div id="ewheel-category-mapping-container">
                 <div class="ewheel-empty-state">
                     <span class="dashicons dashicons-category"></span>
@@ -991,7 +1365,7 @@ $is_paused = !empty($current_status['status']) && $current_status['status'] ===
                     </thead>
                     <tbody>
                         <?php foreach ($recent_history as $record): ?>
-                            <tr>
+                            <tr class="ewheel-history-row" data-sync-id="<?php echo esc_attr($record['sync_id']); ?>">
                                 <td>
                                     <?php
                                     echo esc_html(wp_date(
@@ -1005,6 +1379,11 @@ $is_paused = !empty($current_status['status']) && $current_status['status'] ===
                                     <span class="ewheel-status-badge <?php echo esc_attr($record['status']); ?>">
                                         <?php echo esc_html(ucfirst($record['status'])); ?>
                                     </span>
+                                    <?php if (($record['rollback_status'] ?? '') === 'completed'): ?>
+                                        <span class="ewheel-status-badge stopped">
+                                            <?php esc_html_e('Rolled back', 'ewheel-importer'); ?>
+                                        </span>
+                                    <?php endif; ?>
                                 </td>
                                 <td><?php echo esc_html(number_format_i18n($record['products_processed'])); ?></td>
                                 <td><?php echo esc_html(number_format_i18n($record['products_created'])); ?></td>
@@ -1035,9 +1414,11 @@ $is_paused = !empty($current_status['status']) && $current_status['status'] ===
                                             data-profile-id="<?php echo esc_attr($record['profile_id'] ?? ''); ?>">
                                             <?php esc_html_e('Cancel', 'ewheel-importer'); ?>
                                         </button>
-                                    <?php else: ?>
-                                        &mdash;
                                     <?php endif; ?>
+                                    <button type="button" class="button button-small ewheel-history-details-btn"
+                                        data-sync-id="<?php echo esc_attr($record['sync_id']); ?>">
+                                        <?php esc_html_e('Details', 'ewheel-importer'); ?>
+                                    </button>
                                 </td>
                             </tr>
                         <?php endforeach; ?>
@@ -1045,6 +1426,60 @@ $is_paused = !empty($current_status['status']) && $current_status['status'] ===
                 </table>
             <?php endif; ?>
 
+            <!-- Sync Run Detail -->
+            <div id="ewheel-sync-run" class="ewheel-sync-preview ewheel-sync-run" style="display: none;">
+                <div class="ewheel-sync-preview-header">
+                    <h2><?php esc_html_e('Run Details', 'ewheel-importer'); ?> <code id="ewheel-sync-run-id"></code></h2>
+                    <button type="button" id="ewheel-close-sync-run" class="button button-small">
+                        <?php esc_html_e('Close', 'ewheel-importer'); ?>
+                    </button>
+                </div>
+                <div id="ewheel-sync-run-summary" class="ewheel-preview-summary"></div>
+                <div id="ewheel-sync-run-rollback" class="ewheel-sync-run-rollback" style="display: none;">
+                    <button type="button" id="ewheel-rollback-sync-run" class="button">
+                        <span class="dashicons dashicons-undo" style="vertical-align: middle; margin-right: 5px;"></span>
+                        <?php esc_html_e('Roll back this run', 'ewheel-importer'); ?>
+                    </button>
+                    <div id="ewheel-rollback-progress" style="display: none;">
+                        <div class="ewheel-progress-container">
+                            <div class="ewheel-progress-bar" id="ewheel-rollback-bar" style="width: 0%;"></div>
+                        </div>
+                    </div>
+                    <span id="ewheel-rollback-status" class="description"></span>
+                </div>
+                <div class="ewheel-log-filters">
+                    <select id="ewheel-sync-run-action">
+                        <option value=""><?php esc_html_e('All Products', 'ewheel-importer'); ?></option>
+                        <option value="created"><?php esc_html_e('Created', 'ewheel-importer'); ?></option>
+                        <option value="updated"><?php esc_html_e('Updated', 'ewheel-importer'); ?></option>
+                        <option value="skipped"><?php esc_html_e('Unchanged', 'ewheel-importer'); ?></option>
+                        <option value="failed"><?php esc_html_e('Failed', 'ewheel-importer'); ?></option>
+                    </select>
+                    <input type="text" id="ewheel-sync-run-search"
+                        placeholder="<?php esc_attr_e('Filter by SKU...', 'ewheel-importer'); ?>">
+                    <button type="button" id="ewheel-sync-run-filter"
+                        class="button"><?php esc_html_e('Filter', 'ewheel-importer'); ?></button>
+                    <button type="button" id="ewheel-sync-run-export" class="button" style="margin-left: auto;">
+                        <?php esc_html_e('Download CSV', 'ewheel-importer'); ?>
+                    </button>
+                    <button type="button" id="ewheel-sync-run-logs" class="button">
+                        <?php esc_html_e('View Logs', 'ewheel-importer'); ?>
+                    </button>
+                </div>
+                <div id="ewheel-sync-run-items"></div>
+                <div class="ewheel-pagination">
+                    <span class="ewheel-pagination-info" id="ewheel-sync-run-page-info"></span>
+                    <div class="ewheel-pagination-buttons">
+                        <button type="button" class="button" id="ewheel-sync-run-prev" disabled>
+                            &laquo; <?php esc_html_e('Previous', 'ewheel-importer'); ?>
+                        </button>
+                        <button type="button" class="button" id="ewheel-sync-run-next" disabled>
+                            <?php esc_html_e('Next', 'ewheel-importer'); ?> &raquo;
+                        </button>
+                    </div>
+                </div>
+            </div>
+
             <p style="margin-top: 15px;">
                 <button type="button" id="ewheel-refresh-history" class="button">
                     <?php esc_html_e('Refresh History', 'ewheel-importer'); ?>
@@ -1062,7 +1497,7 @@ $is_paused = !empty($current_status['status']) && $current_status['status'] ===
             </p>
 
             <!-- Filters -->
-            <div class="ewheel-log-filters">
+            <div class="ewheel-log-filters" id="ewheel-log-filters">
                 <select id="ewheel-log-level-filter">
                     <option value=""><?php esc_html_e('All Levels', 'ewheel-importer'); ?></option>
                     <option value="error"><?php esc_html_e('Errors Only', 'ewheel-importer'); ?></option>
@@ -1070,11 +1505,56 @@ $is_paused = !empty($current_status['status']) && $current_status['status'] ===
                     <option value="info"><?php esc_html_e('Info', 'ewheel-importer'); ?></option>
                     <option value="success"><?php esc_html_e('Success', 'ewheel-importer'); ?></option>
                 </select>
+                <select id="ewheel-log-profile-filter">
+                    <option value=""><?php esc_html_e('All Profiles', 'ewheel-importer'); ?></option>
+                    <?php foreach ($log_profiles as $log_profile) : ?>
+                        <option value="<?php echo esc_attr($log_profile->get_id()); ?>">
+                            <?php echo esc_html($log_profile->get_name()); ?>
+                        </option>
+                    <?php endforeach; ?>
+                </select>
+                <input type="text" id="ewheel-log-run-filter" list="ewheel-log-runs"
+                    placeholder="<?php esc_attr_e('Sync run ID...', 'ewheel-importer'); ?>">
+                <datalist id="ewheel-log-runs">
+                    <?php foreach ($log_runs as $log_run) : ?>
+                        <option value="<?php echo esc_attr($log_run['sync_id']); ?>">
+                            <?php echo esc_html($log_run['started_at'] . ' · ' . ucfirst($log_run['sync_type']) . ' · ' . $log_run['status']); ?>
+                        </option>
+                    <?php endforeach; ?>
+                </datalist>
                 <input type="text" id="ewheel-log-sku-filter"
                     placeholder="<?php esc_attr_e('Filter by SKU...', 'ewheel-importer'); ?>">
+                <input type="text" id="ewheel-log-search"
+                    placeholder="<?php esc_attr_e('Search messages...', 'ewheel-importer'); ?>">
+                <label>
+                    <?php esc_html_e('From', 'ewheel-importer'); ?>
+                    <input type="date" id="ewheel-log-date-from">
+                </label>
+                <label>
+                    <?php esc_html_e('To', 'ewheel-importer'); ?>
+                    <input type="date" id="ewheel-log-date-to">
+                </label>
                 <button type="button" id="ewheel-filter-logs"
                     class="button"><?php esc_html_e('Filter', 'ewheel-importer'); ?></button>
-                <button type="button" id="ewheel-clear-persistent-logs" class="button" style="margin-left: auto;">
+                <button type="button" id="ewheel-reset-log-filters"
+                    class="button-link"><?php esc_html_e('Reset', 'ewheel-importer'); ?></button>
+            </div>
+
+            <div class="ewheel-log-toolbar">
+                <label>
+                    <input type="checkbox" id="ewheel-log-live-tail">
+                    <?php esc_html_e('Live tail', 'ewheel-importer'); ?>
+                </label>
+                <span id="ewheel-log-live-status"></span>
+                <button type="button" id="ewheel-export-logs-csv" class="button" style="margin-left: auto;">
+                    <span class="dashicons dashicons-download" style="vertical-align: middle;"></span>
+                    <?php esc_html_e('Export CSV', 'ewheel-importer'); ?>
+                </button>
+                <button type="button" id="ewheel-export-logs-json" class="button">
+                    <span class="dashicons dashicons-download" style="vertical-align: middle;"></span>
+                    <?php esc_html_e('Export JSON', 'ewheel-importer'); ?>
+                </button>
+                <button type="button" id="ewheel-clear-persistent-logs" class="button">
                     <?php esc_html_e('Clear All Logs', 'ewheel-importer'); ?>
                 </button>
             </div>
@@ -1151,177 +1631,819 @@ $is_paused = !empty($current_status['status']) && $current_status['status'] ===
                 </div>
             </div>
         </div>
-    </div>
-</div>
-
-<script>
-    jQuery(document).ready(function ($) {
-        // Tab switching
-        $('.ewheel-tab').on('click', function () {
-            var tab = $(this).data('tab');
-            $('.ewheel-tab').removeClass('active');
-            $(this).addClass('active');
-            $('.ewheel-tab-content').removeClass('active');
-            $('#tab-' + tab).addClass('active');
 
-            // Load logs when switching to logs tab
-            if (tab === 'logs') {
-                loadPersistentLogs();
-            }
+        <div class="ewheel-importer-box" id="ewheel-compat" style="max-width: none;">
+            <h3><?php esc_html_e('Compatibility Matrix', 'ewheel-importer'); ?></h3>
+            <p class="description">
+                <?php esc_html_e('Which products fit which scooter models. Select products to link or unlink models in bulk, or exchange the whole list as CSV (sku, product_name, model_id, model_name). Links changed here are kept by later syncs; links marked as manual were added by hand.', 'ewheel-importer'); ?>
+            </p>
 
-            // Load category mappings when switching to categories tab
-            if (tab === 'categories') {
-                loadCategoryMappings();
-            }
+            <div class="ewheel-log-filters">
+                <input type="search" id="ewheel-compat-search" placeholder="<?php esc_attr_e('Search product, SKU or model...', 'ewheel-importer'); ?>">
+                <select id="ewheel-compat-model">
+                    <option value=""><?php esc_html_e('All models', 'ewheel-importer'); ?></option>
+                </select>
+                <label>
+                    <input type="checkbox" id="ewheel-compat-unassigned">
+                    <?php esc_html_e('Only products without models', 'ewheel-importer'); ?>
+                </label>
+                <button type="button" id="ewheel-compat-filter" class="button"><?php esc_html_e('Filter', 'ewheel-importer'); ?></button>
+            </div>
 
-            // Load model mappings when switching to models tab
-            if (tab === 'models') {
-                loadModelMappings();
-            }
-        });
+            <div class="ewheel-translation-bulk">
+                <label>
+                    <input type="checkbox" id="ewheel-compat-select-all">
+                    <?php esc_html_e('Select all', 'ewheel-importer'); ?>
+                </label>
+                <select id="ewheel-compat-bulk-models" multiple size="4" aria-label="<?php esc_attr_e('Models to link or unlink', 'ewheel-importer'); ?>"></select>
+                <button type="button" id="ewheel-compat-assign" class="button">
+                    <span class="dashicons dashicons-plus-alt" style="vertical-align: middle;"></span>
+                    <?php esc_html_e('Link models', 'ewheel-importer'); ?>
+                </button>
+                <button type="button" id="ewheel-compat-unassign" class="button">
+                    <span class="dashicons dashicons-minus" style="vertical-align: middle;"></span>
+                    <?php esc_html_e('Unlink models', 'ewheel-importer'); ?>
+                </button>
+                <span id="ewheel-compat-status"></span>
+            </div>
 
-        // Custom pattern toggle
-        $('.ewheel-sync-field-select').on('change', function () {
-            var key = $(this).data('key');
-            var val = $(this).val();
-            if (val === 'custom') {
-                $('#ewheel_custom_pattern_' + key).slideDown();
-            } else {
-                $('#ewheel_custom_pattern_' + key).slideUp();
-            }
-        });
+            <div id="ewheel-compat-container">
+                <div class="ewheel-empty-state">
+                    <span class="dashicons dashicons-networking"></span>
+                    <p><?php esc_html_e('Switch to this tab to load the compatibility matrix.', 'ewheel-importer'); ?></p>
+                </div>
+            </div>
 
-        // Translation driver toggle
-        function toggleTranslationFields() {
-            var driver = $('#ewheel_importer_translation_driver').val();
-            $('.translation-row').hide();
-            $('.translation-' + driver).show();
-        }
-        $('#ewheel_importer_translation_driver').on('change', toggleTranslationFields);
-        toggleTranslationFields();
+            <div class="ewheel-pagination" id="ewheel-compat-pagination" style="display: none;">
+                <span class="ewheel-pagination-info" id="ewheel-compat-info"></span>
+                <div class="ewheel-pagination-buttons">
+                    <button type="button" id="ewheel-compat-prev" class="button" disabled>&laquo;
+                        <?php esc_html_e('Previous', 'ewheel-importer'); ?></button>
+                    <button type="button" id="ewheel-compat-next"
+                        class="button"><?php esc_html_e('Next', 'ewheel-importer'); ?> &raquo;</button>
+                </div>
+            </div>
 
-        // Export settings
-        $('#ewheel-export-settings').on('click', function () {
-            $.ajax({
-                url: ewheelImporter.ajaxUrl,
-                type: 'POST',
-                data: {
-                    action: 'ewheel_export_settings',
-                    nonce: ewheelImporter.nonce
-                },
-                success: function (response) {
-                    if (response.success) {
-                        var blob = new Blob([JSON.stringify(response.data, null, 2)], { type: 'application/json' });
-                        var url = URL.createObjectURL(blob);
-                        var a = document.createElement('a');
-                        a.href = url;
-                        a.download = 'ewheel-importer-settings.json';
-                        a.click();
-                        URL.revokeObjectURL(url);
-                    }
-                }
-            });
-        });
+            <h4><?php esc_html_e('CSV Import / Export', 'ewheel-importer'); ?></h4>
+            <div class="ewheel-compat-csv">
+                <button type="button" id="ewheel-compat-export" class="button">
+                    <span class="dashicons dashicons-download" style="vertical-align: middle;"></span>
+                    <?php esc_html_e('Export CSV', 'ewheel-importer'); ?>
+                </button>
+                <select id="ewheel-compat-import-mode">
+                    <option value="add"><?php esc_html_e('Add the listed links', 'ewheel-importer'); ?></option>
+                    <option value="replace"><?php esc_html_e('Replace the models of listed products', 'ewheel-importer'); ?></option>
+                </select>
+                <button type="button" id="ewheel-compat-import" class="button">
+                    <span class="dashicons dashicons-upload" style="vertical-align: middle;"></span>
+                    <?php esc_html_e('Import CSV', 'ewheel-importer'); ?>
+                </button>
+                <input type="file" id="ewheel-compat-import-file" accept=".csv,text/csv" style="display: none;">
+            </div>
+            <div id="ewheel-compat-import-result"></div>
+        </div>
+    </div>
 
-        // Import settings
-        $('#ewheel-import-settings').on('click', function () {
-            $('#ewheel-import-file').click();
-        });
+    <!-- Brands Tab -->
+    <div class="ewheel-tab-content" id="tab-brands">
+        <div class="ewheel-importer-box" style="max-width: none;">
+            <h3><?php esc_html_e('Brands', 'ewheel-importer'); ?></h3>
+            <p class="description">
+                <?php esc_html_e('Every brand term with its product count. Aliases map spelling variants sent by the API to one brand on future syncs; merging moves the products of a duplicate brand to another one and keeps the duplicate name as an alias. The filter column decides per import profile which brands it imports: with any brand set to "Only these", the profile imports only those brands.', 'ewheel-importer'); ?>
+            </p>
 
-        $('#ewheel-import-file').on('change', function (e) {
-            var file = e.target.files[0];
-            if (file) {
-                var reader = new FileReader();
-                reader.onload = function (e) {
-                    $.ajax({
-                        url: ewheelImporter.ajaxUrl,
-                        type: 'POST',
-                        data: {
-                            action: 'ewheel_import_settings',
-                            nonce: ewheelImporter.nonce,
-                            settings: e.target.result
-                        },
-                        success: function (response) {
-                            if (response.success) {
-                                alert(response.data.message);
-                                location.reload();
-                            } else {
-                                alert('Error: ' + response.data.message);
-                            }
-                        }
-                    });
-                };
-                reader.readAsText(file);
-            }
-        });
+            <div class="ewheel-log-filters">
+                <label>
+                    <?php esc_html_e('Profile', 'ewheel-importer'); ?>
+                    <select id="ewheel-brand-profile"></select>
+                </label>
+                <input type="search" id="ewheel-brand-search" placeholder="<?php esc_attr_e('Filter brands...', 'ewheel-importer'); ?>">
+                <button type="button" id="ewheel-brand-refresh" class="button">
+                    <span class="dashicons dashicons-update" style="vertical-align: middle;"></span>
+                    <?php esc_html_e('Refresh', 'ewheel-importer'); ?>
+                </button>
+                <span id="ewheel-brand-status"></span>
+            </div>
 
-        // Refresh history
-        $('#ewheel-refresh-history').on('click', function () {
-            location.reload();
-        });
+            <div id="ewheel-brand-container">
+                <div class="ewheel-empty-state">
+                    <span class="dashicons dashicons-tag"></span>
+                    <p><?php esc_html_e('Switch to this tab to load the brands.', 'ewheel-importer'); ?></p>
+                </div>
+            </div>
+            <p id="ewheel-brand-orphan-aliases" class="description" style="display: none;"></p>
+        </div>
 
-        // Cancel sync from history table
-        var cancelAttempts = {};
-        $(document).on('click', '.ewheel-history-cancel-btn', function () {
-            var $btn = $(this);
-            var syncId = $btn.data('sync-id');
-            var profileId = $btn.data('profile-id');
+        <div class="ewheel-importer-box" style="max-width: none;">
+            <h3><?php esc_html_e('Aliases and Merging', 'ewheel-importer'); ?></h3>
+            <div class="ewheel-brand-form">
+                <h4><?php esc_html_e('Add Alias', 'ewheel-importer'); ?></h4>
+                <input type="text" id="ewheel-brand-alias" placeholder="<?php esc_attr_e('e.g. Ku-Kirin', 'ewheel-importer'); ?>">
+                <span class="dashicons dashicons-arrow-right-alt"></span>
+                <input type="text" id="ewheel-brand-alias-target" list="ewheel-brand-names" placeholder="<?php esc_attr_e('Brand', 'ewheel-importer'); ?>">
+                <datalist id="ewheel-brand-names"></datalist>
+                <button type="button" id="ewheel-brand-alias-save" class="button button-primary"><?php esc_html_e('Add Alias', 'ewheel-importer'); ?></button>
+            </div>
+            <div class="ewheel-brand-form">
+                <h4><?php esc_html_e('Merge Brands', 'ewheel-importer'); ?></h4>
+                <select id="ewheel-brand-merge-source" class="ewheel-brand-select"></select>
+                <span class="dashicons dashicons-arrow-right-alt"></span>
+                <select id="ewheel-brand-merge-target" class="ewheel-brand-select"></select>
+                <button type="button" id="ewheel-brand-merge" class="button"><?php esc_html_e('Merge', 'ewheel-importer'); ?></button>
+            </div>
+            <p id="ewheel-brand-form-status"></p>
+        </div>
+    </div>
 
-            // Track cancel attempts - force clear on second click
-            var attemptKey = syncId || 'default';
-            cancelAttempts[attemptKey] = (cancelAttempts[attemptKey] || 0) + 1;
-            var forceMode = cancelAttempts[attemptKey] >= 2;
+    <!-- Attributes Tab -->
+    <div class="ewheel-tab-content" id="tab-attributes">
+        <div class="ewheel-importer-box" style="max-width: none;">
+            <h3><?php esc_html_e('Attribute Mapping', 'ewheel-importer'); ?></h3>
+            <p class="description">
+                <?php esc_html_e('Every attribute slug seen in recent API payloads, with the number of products carrying it. Each slug can become a visible or hidden product attribute, product meta, a global attribute (taxonomy) usable in layered navigation, or be ignored. Labels replace the machine-translated attribute name; the value map and unit normalize values before translation. Changes apply the next time products are synced.', 'ewheel-importer'); ?>
+            </p>
 
-            var confirmMsg = forceMode
-                ? '<?php esc_html_e('Force stop and clear all sync data? This will completely reset the sync state.', 'ewheel-importer'); ?>'
-                : '<?php esc_html_e('Are you sure you want to cancel this sync?', 'ewheel-importer'); ?>';
+            <div class="ewheel-log-filters">
+                <input type="search" id="ewheel-attr-search" placeholder="<?php esc_attr_e('Filter attributes...', 'ewheel-importer'); ?>">
+                <label>
+                    <input type="checkbox" id="ewheel-attr-mapped-only">
+                    <?php esc_html_e('Mapped only', 'ewheel-importer'); ?>
+                </label>
+                <button type="button" id="ewheel-attr-refresh" class="button">
+                    <span class="dashicons dashicons-update" style="vertical-align: middle;"></span>
+                    <?php esc_html_e('Refresh', 'ewheel-importer'); ?>
+                </button>
+                <span id="ewheel-attr-status"></span>
+            </div>
 
-            if (!confirm(confirmMsg)) {
-                return;
+            <p id="ewheel-attr-usage" class="description"></p>
+            <div id="ewheel-attr-container">
+                <div class="ewheel-empty-state">
+                    <span class="dashicons dashicons-list-view"></span>
+                    <p><?php esc_html_e('Switch to this tab to load the attributes.', 'ewheel-importer'); ?></p>
+                </div>
+            </div>
+        </div>
+
+        <div class="ewheel-importer-box" id="ewheel-attr-editor" style="max-width: none; display: none;">
+            <h3 id="ewheel-attr-editor-title"></h3>
+            <p id="ewheel-attr-editor-samples" class="description"></p>
+
+            <table class="form-table">
+                <tr>
+                    <th scope="row"><label for="ewheel-attr-kind"><?php esc_html_e('Kind', 'ewheel-importer'); ?></label></th>
+                    <td>
+                        <select id="ewheel-attr-kind">
+                            <option value=""><?php esc_html_e('Default', 'ewheel-importer'); ?></option>
+                            <option value="visible"><?php esc_html_e('Visible attribute', 'ewheel-importer'); ?></option>
+                            <option value="hidden"><?php esc_html_e('Hidden attribute', 'ewheel-importer'); ?></option>
+                            <option value="meta"><?php esc_html_e('Product meta', 'ewheel-importer'); ?></option>
+                            <option value="taxonomy"><?php esc_html_e('Global attribute (taxonomy)', 'ewheel-importer'); ?></option>
+                            <option value="ignore"><?php esc_html_e('Ignore', 'ewheel-importer'); ?></option>
+                        </select>
+                        <p class="description"><?php esc_html_e('Variation attributes stay product attributes even when mapped to a global attribute.', 'ewheel-importer'); ?></p>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><label for="ewheel-attr-label"><?php esc_html_e('Romanian label', 'ewheel-importer'); ?></label></th>
+                    <td><input type="text" id="ewheel-attr-label" class="regular-text"></td>
+                </tr>
+                <tr id="ewheel-attr-meta-row">
+                    <th scope="row"><label for="ewheel-attr-meta-key"><?php esc_html_e('Meta key', 'ewheel-importer'); ?></label></th>
+                    <td><input type="text" id="ewheel-attr-meta-key" class="regular-text code"></td>
+                </tr>
+                <tr>
+                    <th scope="row"><label for="ewheel-attr-unit"><?php esc_html_e('Unit', 'ewheel-importer'); ?></label></th>
+                    <td>
+                        <input type="text" id="ewheel-attr-unit" class="small-text">
+                        <p class="description"><?php esc_html_e('Appended to bare numbers: with "W", 500 becomes "500 W".', 'ewheel-importer'); ?></p>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><?php esc_html_e('Value map', 'ewheel-importer'); ?></th>
+                    <td>
+                        <table class="ewheel-attr-values">
+                            <tbody id="ewheel-attr-values"></tbody>
+                        </table>
+                        <button type="button" id="ewheel-attr-add-value" class="button button-small"><?php esc_html_e('Add Value', 'ewheel-importer'); ?></button>
+                        <p class="description"><?php esc_html_e('Whole values, matched without regard to case. Mapped values are not sent to translation.', 'ewheel-importer'); ?></p>
+                    </td>
+                </tr>
+            </table>
+
+            <p>
+                <button type="button" id="ewheel-attr-save" class="button button-primary"><?php esc_html_e('Save Mapping', 'ewheel-importer'); ?></button>
+                <button type="button" id="ewheel-attr-reset" class="button"><?php esc_html_e('Restore Defaults', 'ewheel-importer'); ?></button>
+                <button type="button" id="ewheel-attr-close" class="button-link"><?php esc_html_e('Close', 'ewheel-importer'); ?></button>
+                <span id="ewheel-attr-editor-status"></span>
+            </p>
+        </div>
+    </div>
+
+    <!-- Translations Tab -->
+    <div class="ewheel-tab-content" id="tab-translations">
+        <div class="ewheel-importer-box" style="max-width: none;">
+            <h3><?php esc_html_e('Translation Review', 'ewheel-importer'); ?></h3>
+            <p class="description">
+                <?php esc_html_e('Cached machine translations of product titles and descriptions. Editing a translation approves it; approved translations are never overwritten by later syncs or re-translation.', 'ewheel-importer'); ?>
+            </p>
+
+            <!-- Filters -->
+            <div class="ewheel-log-filters" id="ewheel-translation-filters">
+                <select id="ewheel-translation-context">
+                    <option value=""><?php esc_html_e('Titles and descriptions', 'ewheel-importer'); ?></option>
+                    <option value="title"><?php esc_html_e('Titles', 'ewheel-importer'); ?></option>
+                    <option value="description"><?php esc_html_e('Descriptions', 'ewheel-importer'); ?></option>
+                </select>
+                <select id="ewheel-translation-service">
+                    <option value=""><?php esc_html_e('All drivers', 'ewheel-importer'); ?></option>
+                    <option value="google"><?php esc_html_e('Google Translate', 'ewheel-importer'); ?></option>
+                    <option value="deepl"><?php esc_html_e('DeepL', 'ewheel-importer'); ?></option>
+                    <option value="openrouter"><?php esc_html_e('OpenRouter', 'ewheel-importer'); ?></option>
+                </select>
+                <select id="ewheel-translation-status">
+                    <option value=""><?php esc_html_e('Any status', 'ewheel-importer'); ?></option>
+                    <option value="pending"><?php esc_html_e('Pending', 'ewheel-importer'); ?></option>
+                    <option value="approved"><?php esc_html_e('Approved', 'ewheel-importer'); ?></option>
+                </select>
+                <label>
+                    <?php esc_html_e('From', 'ewheel-importer'); ?>
+                    <input type="date" id="ewheel-translation-date-from">
+                </label>
+                <label>
+                    <?php esc_html_e('To', 'ewheel-importer'); ?>
+                    <input type="date" id="ewheel-translation-date-to">
+                </label>
+                <input type="text" id="ewheel-translation-search"
+                    placeholder="<?php esc_attr_e('Search text...', 'ewheel-importer'); ?>">
+                <button type="button" id="ewheel-translation-filter"
+                    class="button"><?php esc_html_e('Filter', 'ewheel-importer'); ?></button>
+            </div>
+
+            <!-- Bulk Actions -->
+            <div class="ewheel-translation-bulk">
+                <label>
+                    <input type="checkbox" id="ewheel-translation-select-all">
+                    <?php esc_html_e('Select all', 'ewheel-importer'); ?>
+                </label>
+                <button type="button" id="ewheel-translation-approve" class="button">
+                    <?php esc_html_e('Approve', 'ewheel-importer'); ?>
+                </button>
+                <button type="button" id="ewheel-translation-unapprove" class="button">
+                    <?php esc_html_e('Unapprove', 'ewheel-importer'); ?>
+                </button>
+                <button type="button" id="ewheel-translation-retranslate" class="button">
+                    <span class="dashicons dashicons-translation" style="vertical-align: middle;"></span>
+                    <?php esc_html_e('Re-translate', 'ewheel-importer'); ?>
+                </button>
+                <span id="ewheel-translation-status-message"></span>
+            </div>
+
+            <div id="ewheel-translations-container">
+                <div class="ewheel-empty-state">
+                    <span class="dashicons dashicons-translation"></span>
+                    <p><?php esc_html_e('Switch to this tab to load translations.', 'ewheel-importer'); ?></p>
+                </div>
+            </div>
+
+            <div class="ewheel-pagination" id="ewheel-translations-pagination" style="display: none;">
+                <span class="ewheel-pagination-info" id="ewheel-translations-info"></span>
+                <div class="ewheel-pagination-buttons">
+                    <button type="button" id="ewheel-translations-prev" class="button" disabled>&laquo;
+                        <?php esc_html_e('Previous', 'ewheel-importer'); ?></button>
+                    <button type="button" id="ewheel-translations-next"
+                        class="button"><?php esc_html_e('Next', 'ewheel-importer'); ?> &raquo;</button>
+                </div>
+            </div>
+        </div>
+
+        <div class="ewheel-importer-box" style="max-width: none;">
+            <h3><?php esc_html_e('Glossary', 'ewheel-importer'); ?></h3>
+            <p class="description">
+                <?php esc_html_e('Terms every translation driver must follow. Protected terms such as brand names and model codes are kept as written; forced pairs always become the given translation. DeepL gets them as a DeepL glossary, OpenRouter in its prompt and Google Translate through placeholders. The glossary applies to new translations.', 'ewheel-importer'); ?>
+            </p>
+
+            <div class="ewheel-glossary-form">
+                <input type="text" id="ewheel-glossary-source"
+                    placeholder="<?php esc_attr_e('Term, e.g. neumático', 'ewheel-importer'); ?>">
+                <input type="text" id="ewheel-glossary-target"
+                    placeholder="<?php esc_attr_e('Translation (empty: do not translate)', 'ewheel-importer'); ?>">
+                <label>
+                    <input type="checkbox" id="ewheel-glossary-case">
+                    <?php esc_html_e('Case-sensitive', 'ewheel-importer'); ?>
+                </label>
+                <button type="button" id="ewheel-glossary-save" class="button button-primary">
+                    <?php esc_html_e('Add term', 'ewheel-importer'); ?>
+                </button>
+                <button type="button" id="ewheel-glossary-cancel" class="button" style="display: none;">
+                    <?php esc_html_e('Cancel', 'ewheel-importer'); ?>
+                </button>
+                <span id="ewheel-glossary-status"></span>
+            </div>
+
+            <div id="ewheel-glossary-container">
+                <div class="ewheel-empty-state">
+                    <span class="dashicons dashicons-book"></span>
+                    <p><?php esc_html_e('Switch to this tab to load the glossary.', 'ewheel-importer'); ?></p>
+                </div>
+            </div>
+
+            <h4><?php esc_html_e('CSV Import / Export', 'ewheel-importer'); ?></h4>
+            <p class="description">
+                <?php esc_html_e('Columns: source, target (empty for protected terms) and case_sensitive (1 or 0).', 'ewheel-importer'); ?>
+            </p>
+            <div class="ewheel-compat-csv">
+                <button type="button" id="ewheel-glossary-export" class="button">
+                    <span class="dashicons dashicons-download" style="vertical-align: middle;"></span>
+                    <?php esc_html_e('Export CSV', 'ewheel-importer'); ?>
+                </button>
+                <select id="ewheel-glossary-import-mode">
+                    <option value="add"><?php esc_html_e('Add and update the listed terms', 'ewheel-importer'); ?></option>
+                    <option value="replace"><?php esc_html_e('Replace the whole glossary', 'ewheel-importer'); ?></option>
+                </select>
+                <button type="button" id="ewheel-glossary-import" class="button">
+                    <span class="dashicons dashicons-upload" style="vertical-align: middle;"></span>
+                    <?php esc_html_e('Import CSV', 'ewheel-importer'); ?>
+                </button>
+                <input type="file" id="ewheel-glossary-import-file" accept=".csv,text/csv" style="display: none;">
+            </div>
+            <div id="ewheel-glossary-import-result"></div>
+
+            <h4><?php esc_html_e('Cached Translations', 'ewheel-importer'); ?></h4>
+            <p class="description">
+                <?php esc_html_e('Find cached titles and descriptions that break the glossary, for example ones translated before a term was added.', 'ewheel-importer'); ?>
+            </p>
+            <div class="ewheel-translation-bulk">
+                <button type="button" id="ewheel-glossary-check" class="button">
+                    <span class="dashicons dashicons-search" style="vertical-align: middle;"></span>
+                    <?php esc_html_e('Check cached translations', 'ewheel-importer'); ?>
+                </button>
+                <button type="button" id="ewheel-glossary-retranslate" class="button" style="display: none;">
+                    <span class="dashicons dashicons-translation" style="vertical-align: middle;"></span>
+                    <?php esc_html_e('Re-translate flagged', 'ewheel-importer'); ?>
+                </button>
+                <span id="ewheel-glossary-check-status"></span>
+            </div>
+            <div id="ewheel-glossary-report"></div>
+        </div>
+    </div>
+
+    <!-- Product Inspector Tab -->
+    <div class="ewheel-tab-content" id="tab-inspect">
+        <div class="ewheel-importer-box" style="max-width: none;">
+            <h3><?php esc_html_e('Product Inspector', 'ewheel-importer'); ?></h3>
+            <p class="description">
+                <?php esc_html_e('Look up one product by WooCommerce SKU or ewheel reference to see what the API returns, what the importer makes of it and which WooCommerce product it updates. Sync now imports just that product; the run is recorded in Sync History.', 'ewheel-importer'); ?>
+            </p>
+
+            <div class="ewheel-inspect-form">
+                <input type="text" id="ewheel-inspect-identifier" class="regular-text"
+                    placeholder="<?php esc_attr_e('SKU or ewheel reference', 'ewheel-importer'); ?>">
+                <button type="button" id="ewheel-inspect-lookup" class="button">
+                    <span class="dashicons dashicons-search" style="vertical-align: middle;"></span>
+                    <?php esc_html_e('Inspect', 'ewheel-importer'); ?>
+                </button>
+                <button type="button" id="ewheel-inspect-sync" class="button button-primary" disabled>
+                    <span class="dashicons dashicons-update" style="vertical-align: middle;"></span>
+                    <?php esc_html_e('Sync now', 'ewheel-importer'); ?>
+                </button>
+                <span id="ewheel-inspect-status"></span>
+            </div>
+
+            <div id="ewheel-inspect-result" style="display: none;">
+                <h4><?php esc_html_e('WooCommerce match', 'ewheel-importer'); ?></h4>
+                <table class="widefat striped ewheel-inspect-matches">
+                    <thead>
+                        <tr>
+                            <th><?php esc_html_e('SKU', 'ewheel-importer'); ?></th>
+                            <th><?php esc_html_e('Reference', 'ewheel-importer'); ?></th>
+                            <th><?php esc_html_e('Imported name', 'ewheel-importer'); ?></th>
+                            <th><?php esc_html_e('WooCommerce product', 'ewheel-importer'); ?></th>
+                        </tr>
+                    </thead>
+                    <tbody id="ewheel-inspect-matches"></tbody>
+                </table>
+
+                <div id="ewheel-inspect-sync-result" style="display: none;">
+                    <h4><?php esc_html_e('Sync result', 'ewheel-importer'); ?></h4>
+                    <p id="ewheel-inspect-sync-summary"></p>
+                    <div class="ewheel-inspect-logs" id="ewheel-inspect-logs"></div>
+                </div>
+
+                <details class="ewheel-inspect-json">
+                    <summary><?php esc_html_e('Raw API payload', 'ewheel-importer'); ?></summary>
+                    <pre id="ewheel-inspect-raw"></pre>
+                </details>
+                <details class="ewheel-inspect-json">
+                    <summary><?php esc_html_e('Transformed product data', 'ewheel-importer'); ?></summary>
+                    <pre id="ewheel-inspect-transformed"></pre>
+                </details>
+            </div>
+        </div>
+    </div>
+
+    <!-- Discontinued Products Tab -->
+    <div class="ewheel-tab-content" id="tab-discontinued">
+        <div class="ewheel-importer-box" style="max-width: none;">
+            <h3><?php esc_html_e('Discontinued Products', 'ewheel-importer'); ?></h3>
+            <p class="description">
+                <?php esc_html_e('Imported products that are no longer in the ewheel feed. Check the feed to find the products reconciliation would act on, then apply a profile\'s discontinued policy to all of them or handle them one by one. Excluded products are never touched by reconciliation.', 'ewheel-importer'); ?>
+            </p>
+
+            <div class="ewheel-log-filters">
+                <button type="button" id="ewheel-discontinued-scan" class="button">
+                    <span class="dashicons dashicons-update" style="vertical-align: middle;"></span>
+                    <?php esc_html_e('Check feed', 'ewheel-importer'); ?>
+                </button>
+                <span id="ewheel-discontinued-snapshot" class="description"></span>
+            </div>
+
+            <div class="ewheel-log-filters">
+                <select id="ewheel-discontinued-state">
+                    <option value=""><?php esc_html_e('All states', 'ewheel-importer'); ?></option>
+                    <option value="pending"><?php esc_html_e('Pending', 'ewheel-importer'); ?></option>
+                    <option value="draft"><?php esc_html_e('Moved to draft', 'ewheel-importer'); ?></option>
+                    <option value="outofstock"><?php esc_html_e('Marked out of stock', 'ewheel-importer'); ?></option>
+                    <option value="keep"><?php esc_html_e('Kept', 'ewheel-importer'); ?></option>
+                    <option value="trash"><?php esc_html_e('Trashed', 'ewheel-importer'); ?></option>
+                    <option value="excluded"><?php esc_html_e('Excluded', 'ewheel-importer'); ?></option>
+                </select>
+                <select id="ewheel-discontinued-profile">
+                    <option value=""><?php echo esc_html(sprintf(
+                        /* translators: %s: policy label */
+                        __('Default policy (%s)', 'ewheel-importer'),
+                        $discontinued_policies[\Trotibike\EwheelImporter\Sync\DiscontinuedProducts::POLICY_DRAFT]
+                    )); ?></option>
+                    <?php foreach ($log_profiles as $log_profile) : ?>
+                        <?php $profile_policy = (new \Trotibike\EwheelImporter\Config\ProfileConfiguration($log_profile, $config))->get_discontinued_policy(); ?>
+                        <option value="<?php echo esc_attr($log_profile->get_id()); ?>">
+                            <?php echo esc_html($log_profile->get_name() . ' (' . $discontinued_policies[$profile_policy] . ')'); ?>
+                        </option>
+                    <?php endforeach; ?>
+                </select>
+                <button type="button" id="ewheel-discontinued-reconcile" class="button button-primary">
+                    <?php esc_html_e('Apply policy to pending', 'ewheel-importer'); ?>
+                </button>
+            </div>
+
+            <div class="ewheel-translation-bulk">
+                <label>
+                    <input type="checkbox" id="ewheel-discontinued-select-all">
+                    <?php esc_html_e('Select all', 'ewheel-importer'); ?>
+                </label>
+                <select id="ewheel-discontinued-bulk-action">
+                    <option value="keep"><?php esc_html_e('Keep published', 'ewheel-importer'); ?></option>
+                    <option value="outofstock"><?php esc_html_e('Mark out of stock instead', 'ewheel-importer'); ?></option>
+                    <option value="trash"><?php esc_html_e('Move to trash', 'ewheel-importer'); ?></option>
+                    <option value="exclude"><?php esc_html_e('Exclude from reconciliation', 'ewheel-importer'); ?></option>
+                    <option value="include"><?php esc_html_e('Include in reconciliation again', 'ewheel-importer'); ?></option>
+                </select>
+                <button type="button" id="ewheel-discontinued-apply" class="button">
+                    <?php esc_html_e('Apply', 'ewheel-importer'); ?>
+                </button>
+                <span id="ewheel-discontinued-status"></span>
+            </div>
+
+            <div id="ewheel-discontinued-container">
+                <div class="ewheel-empty-state">
+                    <span class="dashicons dashicons-archive"></span>
+                    <p><?php esc_html_e('Switch to this tab to load discontinued products.', 'ewheel-importer'); ?></p>
+                </div>
+            </div>
+        </div>
+    </div>
+
+    <!-- Images Tab -->
+    <div class="ewheel-tab-content" id="tab-images">
+        <div class="ewheel-importer-box" style="max-width: none;">
+            <h3><?php esc_html_e('Image Downloads', 'ewheel-importer'); ?></h3>
+            <p class="description">
+                <?php esc_html_e('Product images are downloaded in the background after each sync, so slow image hosts do not hold up product batches. Failed downloads are tried again by the next syncs; retry them here once the host is back. Refresh downloads a completed image again and replaces it on every product using it when its content changed.', 'ewheel-importer'); ?>
+            </p>
+
+            <div class="ewheel-image-counts" id="ewheel-image-counts">
+                <?php foreach (['pending' => __('Pending', 'ewheel-importer'), 'processing' => __('Downloading', 'ewheel-importer'), 'failed' => __('Failed', 'ewheel-importer'), 'completed' => __('Completed', 'ewheel-importer')] as $image_status => $image_status_label) : ?>
+                    <button type="button" class="ewheel-image-count" data-status="<?php echo esc_attr($image_status); ?>">
+                        <strong>0</strong>
+                        <span><?php echo esc_html($image_status_label); ?></span>
+                    </button>
+                <?php endforeach; ?>
+            </div>
+
+            <div class="ewheel-log-filters">
+                <select id="ewheel-images-status">
+                    <option value=""><?php esc_html_e('All statuses', 'ewheel-importer'); ?></option>
+                    <option value="pending"><?php esc_html_e('Pending', 'ewheel-importer'); ?></option>
+                    <option value="processing"><?php esc_html_e('Downloading', 'ewheel-importer'); ?></option>
+                    <option value="failed"><?php esc_html_e('Failed', 'ewheel-importer'); ?></option>
+                    <option value="completed"><?php esc_html_e('Completed', 'ewheel-importer'); ?></option>
+                </select>
+                <input type="search" id="ewheel-images-search" placeholder="<?php esc_attr_e('Search URL...', 'ewheel-importer'); ?>">
+                <button type="button" id="ewheel-images-process" class="button">
+                    <?php esc_html_e('Download next batch now', 'ewheel-importer'); ?>
+                </button>
+                <button type="button" id="ewheel-images-retry-all" class="button">
+                    <?php esc_html_e('Retry all failed', 'ewheel-importer'); ?>
+                </button>
+            </div>
+
+            <div class="ewheel-translation-bulk">
+                <label>
+                    <input type="checkbox" id="ewheel-images-select-all">
+                    <?php esc_html_e('Select all', 'ewheel-importer'); ?>
+                </label>
+                <button type="button" id="ewheel-images-retry" class="button">
+                    <?php esc_html_e('Retry selected', 'ewheel-importer'); ?>
+                </button>
+                <button type="button" id="ewheel-images-refresh" class="button">
+                    <?php esc_html_e('Refresh selected', 'ewheel-importer'); ?>
+                </button>
+                <span id="ewheel-images-status-message"></span>
+            </div>
+
+            <div id="ewheel-images-container">
+                <div class="ewheel-empty-state">
+                    <span class="dashicons dashicons-format-image"></span>
+                    <p><?php esc_html_e('Switch to this tab to load the image queue.', 'ewheel-importer'); ?></p>
+                </div>
+            </div>
+            <div class="ewheel-pagination" id="ewheel-images-pagination" style="display: none;">
+                <span class="ewheel-pagination-info" id="ewheel-images-info"></span>
+                <div class="ewheel-pagination-buttons">
+                    <button type="button" id="ewheel-images-prev" class="button" disabled>&laquo;
+                        <?php esc_html_e('Previous', 'ewheel-importer'); ?></button>
+                    <button type="button" id="ewheel-images-next"
+                        class="button"><?php esc_html_e('Next', 'ewheel-importer'); ?> &raquo;</button>
+                </div>
+            </div>
+        </div>
+
+        <div class="ewheel-importer-box" style="max-width: none;">
+            <h3><?php esc_html_e('Duplicate Attachments', 'ewheel-importer'); ?></h3>
+            <p class="description">
+                <?php esc_html_e('Source URLs that were imported into more than one attachment. Products only use the attachment marked in use; the others can be deleted from the media library once you checked nothing else uses them.', 'ewheel-importer'); ?>
+            </p>
+            <button type="button" id="ewheel-images-duplicates" class="button">
+                <?php esc_html_e('Find duplicates', 'ewheel-importer'); ?>
+            </button>
+            <div id="ewheel-images-duplicates-container"></div>
+        </div>
+    </div>
+
+    <!-- Variations Tab -->
+    <div class="ewheel-tab-content" id="tab-variations">
+        <div class="ewheel-importer-box" style="max-width: none;">
+            <h3><?php esc_html_e('Variation Groups', 'ewheel-importer'); ?></h3>
+            <p class="description">
+                <?php esc_html_e('Imported products are grouped by reference base: the ewheel reference without its color, size or number suffix. Open a group to see its variations, split variants out as simple products, merge the group into another one or force its variation mode. Changes are saved as overrides and applied by every following sync of the group.', 'ewheel-importer'); ?>
+            </p>
+
+            <div class="ewheel-log-filters">
+                <input type="search" id="ewheel-variation-search" placeholder="<?php esc_attr_e('Search reference base...', 'ewheel-importer'); ?>">
+                <label>
+                    <input type="checkbox" id="ewheel-variation-overridden">
+                    <?php esc_html_e('Only groups with an override', 'ewheel-importer'); ?>
+                </label>
+            </div>
+
+            <div id="ewheel-variation-groups-container">
+                <div class="ewheel-empty-state">
+                    <span class="dashicons dashicons-screenoptions"></span>
+                    <p><?php esc_html_e('Switch to this tab to load the variation groups.', 'ewheel-importer'); ?></p>
+                </div>
+            </div>
+            <div class="ewheel-pagination" id="ewheel-variation-pagination" style="display: none;">
+                <span class="ewheel-pagination-info" id="ewheel-variation-info"></span>
+                <div class="ewheel-pagination-buttons">
+                    <button type="button" id="ewheel-variation-prev" class="button" disabled>&laquo;
+                        <?php esc_html_e('Previous', 'ewheel-importer'); ?></button>
+                    <button type="button" id="ewheel-variation-next"
+                        class="button"><?php esc_html_e('Next', 'ewheel-importer'); ?> &raquo;</button>
+                </div>
+            </div>
+        </div>
+
+        <div class="ewheel-importer-box" id="ewheel-variation-group" style="max-width: none; display: none;">
+            <h3 id="ewheel-variation-group-title"></h3>
+
+            <table class="form-table">
+                <tr>
+                    <th scope="row">
+                        <label for="ewheel-variation-mode"><?php esc_html_e('Variation Mode', 'ewheel-importer'); ?></label>
+                    </th>
+                    <td>
+                        <select id="ewheel-variation-mode">
+                            <option value=""><?php esc_html_e('Follow settings', 'ewheel-importer'); ?></option>
+                            <option value="variable"><?php esc_html_e('Variable product with variations', 'ewheel-importer'); ?></option>
+                            <option value="simple"><?php esc_html_e('Simple product per variant', 'ewheel-importer'); ?></option>
+                        </select>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row">
+                        <label for="ewheel-variation-merge-into"><?php esc_html_e('Merge Into', 'ewheel-importer'); ?></label>
+                    </th>
+                    <td>
+                        <input type="text" id="ewheel-variation-merge-into" class="regular-text" placeholder="<?php esc_attr_e('Reference base of the target group', 'ewheel-importer'); ?>">
+                        <p class="description">
+                            <?php esc_html_e('The variants of this group become variations of the target group\'s variable product. The target must be imported as a variable product.', 'ewheel-importer'); ?>
+                        </p>
+                    </td>
+                </tr>
+            </table>
+
+            <div id="ewheel-variation-merged-from"></div>
+
+            <div id="ewheel-variation-matrix"></div>
+
+            <p class="description">
+                <?php esc_html_e('Checked variants are imported as simple products of their own.', 'ewheel-importer'); ?>
+            </p>
+
+            <div class="ewheel-translation-bulk">
+                <button type="button" id="ewheel-variation-save" class="button button-primary">
+                    <?php esc_html_e('Save grouping', 'ewheel-importer'); ?>
+                </button>
+                <button type="button" id="ewheel-variation-reset" class="button">
+                    <?php esc_html_e('Reset to automatic', 'ewheel-importer'); ?>
+                </button>
+                <button type="button" id="ewheel-variation-sync" class="button">
+                    <?php esc_html_e('Sync group now', 'ewheel-importer'); ?>
+                </button>
+                <span id="ewheel-variation-status"></span>
+            </div>
+        </div>
+    </div>
+
+    <!-- Webhooks Tab -->
+    <div class="ewheel-tab-content" id="tab-webhooks">
+        <div class="ewheel-importer-box" style="max-width: none;">
+            <h3><?php esc_html_e('Outgoing Webhooks', 'ewheel-importer'); ?></h3>
+            <p class="description">
+                <?php esc_html_e('Sync events are posted as JSON to each active endpoint subscribed to them. Requests are signed with the endpoint secret (X-Ewheel-Signature header) and retried with increasing delays when the endpoint does not answer with a 2xx status. Chat endpoints (Slack, Google Chat incoming webhooks) get a one-line summary instead.', 'ewheel-importer'); ?>
+            </p>
+
+            <div class="ewheel-log-filters">
+                <button type="button" id="ewheel-webhook-add" class="button button-primary">
+                    <?php esc_html_e('Add Webhook', 'ewheel-importer'); ?>
+                </button>
+                <span id="ewheel-webhook-status"></span>
+            </div>
+
+            <div id="ewheel-webhook-container">
+                <div class="ewheel-empty-state">
+                    <span class="dashicons dashicons-rss"></span>
+                    <p><?php esc_html_e('Switch to this tab to load the webhooks.', 'ewheel-importer'); ?></p>
+                </div>
+            </div>
+
+            <table class="form-table">
+                <tr>
+                    <th scope="row">
+                        <label for="ewheel-webhook-error-rate"><?php esc_html_e('Error Rate Threshold', 'ewheel-importer'); ?></label>
+                    </th>
+                    <td>
+                        <input type="number" id="ewheel-webhook-error-rate" class="small-text" min="0" max="100" step="0.1"> %
+                        <button type="button" id="ewheel-webhook-save-settings" class="button"><?php esc_html_e('Save', 'ewheel-importer'); ?></button>
+                        <p class="description" id="ewheel-webhook-error-rate-help"></p>
+                    </td>
+                </tr>
+            </table>
+        </div>
+
+        <div class="ewheel-importer-box" id="ewheel-webhook-editor" style="max-width: none; display: none;">
+            <h3 id="ewheel-webhook-editor-title"></h3>
+
+            <table class="form-table">
+                <tr>
+                    <th scope="row"><label for="ewheel-webhook-name"><?php esc_html_e('Name', 'ewheel-importer'); ?></label></th>
+                    <td><input type="text" id="ewheel-webhook-name" class="regular-text"></td>
+                </tr>
+                <tr>
+                    <th scope="row"><label for="ewheel-webhook-url"><?php esc_html_e('URL', 'ewheel-importer'); ?></label></th>
+                    <td><input type="url" id="ewheel-webhook-url" class="large-text code" placeholder="https://"></td>
+                </tr>
+                <tr>
+                    <th scope="row"><label for="ewheel-webhook-format"><?php esc_html_e('Format', 'ewheel-importer'); ?></label></th>
+                    <td>
+                        <select id="ewheel-webhook-format">
+                            <option value="json"><?php esc_html_e('JSON payload', 'ewheel-importer'); ?></option>
+                            <option value="chat"><?php esc_html_e('Chat message (Slack, Google Chat)', 'ewheel-importer'); ?></option>
+                        </select>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><?php esc_html_e('Events', 'ewheel-importer'); ?></th>
+                    <td><fieldset id="ewheel-webhook-events"></fieldset></td>
+                </tr>
+                <tr>
+                    <th scope="row"><label for="ewheel-webhook-secret"><?php esc_html_e('Secret', 'ewheel-importer'); ?></label></th>
+                    <td>
+                        <input type="text" id="ewheel-webhook-secret" class="regular-text code" autocomplete="off">
+                        <label>
+                            <input type="checkbox" id="ewheel-webhook-regenerate">
+                            <?php esc_html_e('Generate a new secret', 'ewheel-importer'); ?>
+                        </label>
+                        <p class="description"><?php esc_html_e('Leave empty to generate one. Receivers verify the X-Ewheel-Signature header with it.', 'ewheel-importer'); ?></p>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><?php esc_html_e('Active', 'ewheel-importer'); ?></th>
+                    <td>
+                        <label>
+                            <input type="checkbox" id="ewheel-webhook-active">
+                            <?php esc_html_e('Send events to this endpoint', 'ewheel-importer'); ?>
+                        </label>
+                    </td>
+                </tr>
+            </table>
+
+            <p>
+                <button type="button" id="ewheel-webhook-save" class="button button-primary"><?php esc_html_e('Save Webhook', 'ewheel-importer'); ?></button>
+                <button type="button" id="ewheel-webhook-test" class="button"><?php esc_html_e('Send test event', 'ewheel-importer'); ?></button>
+                <button type="button" id="ewheel-webhook-delete" class="button-link button-link-delete"><?php esc_html_e('Delete', 'ewheel-importer'); ?></button>
+                <button type="button" id="ewheel-webhook-close" class="button-link"><?php esc_html_e('Close', 'ewheel-importer'); ?></button>
+                <span id="ewheel-webhook-editor-status"></span>
+            </p>
+        </div>
+
+        <div class="ewheel-importer-box" style="max-width: none;">
+            <h3><?php esc_html_e('Delivery Log', 'ewheel-importer'); ?></h3>
+
+            <div class="ewheel-log-filters">
+                <select id="ewheel-webhook-delivery-webhook">
+                    <option value=""><?php esc_html_e('All webhooks', 'ewheel-importer'); ?></option>
+                </select>
+                <select id="ewheel-webhook-delivery-status">
+                    <option value=""><?php esc_html_e('All statuses', 'ewheel-importer'); ?></option>
+                    <option value="pending"><?php esc_html_e('Pending', 'ewheel-importer'); ?></option>
+                    <option value="delivered"><?php esc_html_e('Delivered', 'ewheel-importer'); ?></option>
+                    <option value="failed"><?php esc_html_e('Failed', 'ewheel-importer'); ?></option>
+                </select>
+                <button type="button" id="ewheel-webhook-deliveries-refresh" class="button">
+                    <span class="dashicons dashicons-update" style="vertical-align: middle;"></span>
+                    <?php esc_html_e('Refresh', 'ewheel-importer'); ?>
+                </button>
+            </div>
+
+            <div id="ewheel-webhook-deliveries"></div>
+            <div class="ewheel-pagination" id="ewheel-webhook-pagination" style="display: none;">
+                <span class="ewheel-pagination-info" id="ewheel-webhook-info"></span>
+                <div class="ewheel-pagination-buttons">
+                    <button type="button" id="ewheel-webhook-prev" class="button" disabled>&laquo;
+                        <?php esc_html_e('Previous', 'ewheel-importer'); ?></button>
+                    <button type="button" id="ewheel-webhook-next"
+                        class="button"><?php esc_html_e('Next', 'ewheel-importer'); ?> &raquo;</button>
+                </div>
+            </div>
+        </div>
+    </div>
+</div>
+
+<script>
+    jQuery(document).ready(function ($) {
+        // Tab switching
+        $('.ewheel-tab').on('click', function () {
+            var tab = $(this).data('tab');
+            $('.ewheel-tab').removeClass('active');
+            $(this).addClass('active');
+            $('.ewheel-tab-content').removeClass('active');
+            $('#tab-' + tab).addClass('active');
+
+            // Load category mappings when switching to categories tab
+            if (tab === 'categories') {
+                loadCategoryMappings();
             }
 
-            $btn.prop('disabled', true).text(forceMode
-                ? '<?php esc_html_e('Force stopping...', 'ewheel-importer'); ?>'
-                : '<?php esc_html_e('Cancelling...', 'ewheel-importer'); ?>');
+            // Load model mappings when switching to models tab
+            if (tab === 'models') {
+                loadModelMappings();
+            }
+        });
 
-            $.ajax({
-                url: ewheelImporter.ajaxUrl,
-                type: 'POST',
-                data: {
-                    action: 'ewheel_stop_sync',
-                    nonce: ewheelImporter.nonce,
-                    sync_id: syncId,
-                    profile_id: profileId || null,
-                    force: forceMode ? 'true' : 'false'
-                },
-                success: function (response) {
-                    if (response.success) {
-                        if (forceMode) {
-                            // Force mode - reload immediately
-                            cancelAttempts[attemptKey] = 0;
-                            location.reload();
-                        } else {
-                            // Update the status badge in the same row
-                            $btn.closest('tr').find('.ewheel-status-badge')
-                                .removeClass('running paused')
-                                .addClass('stopping')
-                                .text('<?php esc_html_e('Stopping', 'ewheel-importer'); ?>');
-                            $btn.prop('disabled', false).text('<?php esc_html_e('Force Stop', 'ewheel-importer'); ?>');
-                            // Reload after a short delay to show updated status
-                            setTimeout(function () {
-                                location.reload();
-                            }, 3000);
-                        }
-                    } else {
-                        alert('<?php esc_html_e('Error:', 'ewheel-importer'); ?> ' + response.data.message);
-                        $btn.prop('disabled', false).text('<?php esc_html_e('Cancel', 'ewheel-importer'); ?>');
-                    }
-                },
-                error: function () {
-                    alert('<?php esc_html_e('Network error. Please try again.', 'ewheel-importer'); ?>');
-                    $btn.prop('disabled', false).text('<?php esc_html_e('Cancel', 'ewheel-importer'); ?>');
-                }
-            });
+        // Custom pattern toggle
+        $('.ewheel-sync-field-select').on('change', function () {
+            var key = $(this).data('key');
+            var val = $(this).val();
+            if (val === 'custom') {
+                $('#ewheel_custom_pattern_' + key).slideDown();
+            } else {
+                $('#ewheel_custom_pattern_' + key).slideUp();
+            }
+        });
+
+        // Translation driver toggle
+        function toggleTranslationFields() {
+            var driver = $('#ewheel_importer_translation_driver').val();
+            $('.translation-row').hide();
+            $('.translation-' + driver).show();
+        }
+        $('#ewheel_importer_translation_driver').on('change', toggleTranslationFields);
+        toggleTranslationFields();
+
+        // Refresh history
+        $('#ewheel-refresh-history').on('click', function () {
+            location.reload();
         });
 
         // Clear queue button
@@ -1344,115 +2466,15 @@ $is_paused = !empty($current_status['status']) && $current_status['status'] ===
                     if (response.success) {
                         location.reload();
                     } else {
-                        alert('<?php esc_html_e('Error:', 'ewheel-importer'); ?> ' + response.data.message);
-                        $btn.prop('disabled', false).text('<?php esc_html_e('Clear Queue', 'ewheel-importer'); ?>');
-                    }
-                },
-                error: function () {
-                    alert('<?php esc_html_e('Network error. Please try again.', 'ewheel-importer'); ?>');
-                    $btn.prop('disabled', false).text('<?php esc_html_e('Clear Queue', 'ewheel-importer'); ?>');
-                }
-            });
-        });
-
-        // Persistent logs
-        var logsOffset = 0;
-        var logsLimit = 50;
-
-        function loadPersistentLogs() {
-            var level = $('#ewheel-log-level-filter').val();
-            var sku = $('#ewheel-log-sku-filter').val();
-
-            $('#ewheel-persistent-logs-container').html('<div class="ewheel-empty-state"><span class="ewheel-loading"></span> <?php esc_html_e('Loading logs...', 'ewheel-importer'); ?></div>');
-
-            $.ajax({
-                url: ewheelImporter.ajaxUrl,
-                type: 'POST',
-                data: {
-                    action: 'ewheel_get_persistent_logs',
-                    nonce: ewheelImporter.nonce,
-                    level: level,
-                    sku: sku,
-                    limit: logsLimit,
-                    offset: logsOffset
-                },
-                success: function (response) {
-                    if (response.success) {
-                        renderLogs(response.data.logs, response.data.total);
-                    }
-                }
-            });
-        }
-
-        function renderLogs(logs, total) {
-            if (logs.length === 0) {
-                $('#ewheel-persistent-logs-container').html(
-                    '<div class="ewheel-empty-state"><span class="dashicons dashicons-yes-alt"></span><p><?php esc_html_e('No logs found.', 'ewheel-importer'); ?></p></div>'
-                );
-                $('#ewheel-logs-pagination').hide();
-                return;
-            }
-
-            var html = '<table class="ewheel-log-table"><thead><tr>' +
-                '<th><?php esc_html_e('Time', 'ewheel-importer'); ?></th>' +
-                '<th><?php esc_html_e('Level', 'ewheel-importer'); ?></th>' +
-                '<th><?php esc_html_e('Message', 'ewheel-importer'); ?></th>' +
-                '<th><?php esc_html_e('SKU', 'ewheel-importer'); ?></th>' +
-                '</tr></thead><tbody>';
-
-            logs.forEach(function (log) {
-                html += '<tr class="level-' + log.level + '">' +
-                    '<td>' + log.created_at + '</td>' +
-                    '<td><span class="ewheel-status-badge ' + log.level + '">' + log.level.toUpperCase() + '</span></td>' +
-                    '<td>' + log.message + '</td>' +
-                    '<td>' + (log.product_sku || '-') + '</td>' +
-                    '</tr>';
-            });
-
-            html += '</tbody></table>';
-            $('#ewheel-persistent-logs-container').html(html);
-
-            // Pagination
-            var start = logsOffset + 1;
-            var end = Math.min(logsOffset + logsLimit, total);
-            $('#ewheel-logs-info').text('<?php esc_html_e('Showing', 'ewheel-importer'); ?> ' + start + '-' + end + ' <?php esc_html_e('of', 'ewheel-importer'); ?> ' + total);
-            $('#ewheel-logs-prev').prop('disabled', logsOffset === 0);
-            $('#ewheel-logs-next').prop('disabled', logsOffset + logsLimit >= total);
-            $('#ewheel-logs-pagination').show();
-        }
-
-        $('#ewheel-filter-logs').on('click', function () {
-            logsOffset = 0;
-            loadPersistentLogs();
-        });
-
-        $('#ewheel-logs-prev').on('click', function () {
-            logsOffset = Math.max(0, logsOffset - logsLimit);
-            loadPersistentLogs();
-        });
-
-        $('#ewheel-logs-next').on('click', function () {
-            logsOffset += logsLimit;
-            loadPersistentLogs();
-        });
-
-        $('#ewheel-clear-persistent-logs').on('click', function () {
-            if (confirm('<?php esc_html_e('Are you sure you want to clear all logs? This cannot be undone.', 'ewheel-importer'); ?>')) {
-                $.ajax({
-                    url: ewheelImporter.ajaxUrl,
-                    type: 'POST',
-                    data: {
-                        action: 'ewheel_clear_logs',
-                        nonce: ewheelImporter.nonce,
-                        type: 'persistent'
-                    },
-                    success: function (response) {
-                        if (response.success) {
-                            loadPersistentLogs();
-                        }
+                        alert('<?php esc_html_e('Error:', 'ewheel-importer'); ?> ' + response.data.message);
+                        $btn.prop('disabled', false).text('<?php esc_html_e('Clear Queue', 'ewheel-importer'); ?>');
                     }
-                });
-            }
+                },
+                error: function () {
+                    alert('<?php esc_html_e('Network error. Please try again.', 'ewheel-importer'); ?>');
+                    $btn.prop('disabled', false).text('<?php esc_html_e('Clear Queue', 'ewheel-importer'); ?>');
+                }
+            });
         });
 
         // Category Mapping
@@ -1511,6 +2533,29 @@ $is_paused = !empty($current_status['status']) && $current_status['status'] ===
             });
         }
 
+        var categoryTree = { children: {}, parents: {}, collapsed: {}, mappings: {}, manual: {} };
+
+        function buildWooCategoryOptions(selectedId, emptyLabel) {
+            var html = '<option value="">' + escapeHtml(emptyLabel) + '</option>';
+
+            wooCategories.forEach(function (wooCat) {
+                var indent = new Array((wooCat.depth || (wooCat.parent > 0 ? 1 : 0)) + 1).join('&mdash; ');
+                var selected = (selectedId == wooCat.id) ? ' selected' : '';
+                html += '<option value="' + wooCat.id + '"' + selected + '>' + indent + escapeHtml(wooCat.name) + '</option>';
+            });
+
+            return html;
+        }
+
+        function mappingBadgeHtml(wooId, isManual) {
+            if (!wooId) {
+                return '<span class="ewheel-status-badge stopped"><?php esc_html_e('Unmapped', 'ewheel-importer'); ?></span>';
+            }
+            return isManual
+                ? '<span class="ewheel-status-badge completed"><?php esc_html_e('Manual', 'ewheel-importer'); ?></span>'
+                : '<span class="ewheel-status-badge running"><?php esc_html_e('Auto', 'ewheel-importer'); ?></span>';
+        }
+
         function renderCategoryMappings(data) {
             var ewheelCategories = data.ewheel_categories || [];
             var currentMappings = data.mappings || {};
@@ -1525,6 +2570,7 @@ $is_paused = !empty($current_status['status']) && $current_status['status'] ===
             $('#ewheel-clear-category-translations').prop('disabled', !hasTranslations && data.override_count === 0);
 
             if (ewheelCategories.length === 0) {
+                $('#ewheel-category-toolbar').hide();
                 $('#ewheel-category-mapping-container').html(
                     '<div class="ewheel-empty-state">' +
                     '<span class="dashicons dashicons-category"></span>' +
@@ -1534,8 +2580,30 @@ $is_paused = !empty($current_status['status']) && $current_status['status'] ===
                 return;
             }
 
-            var html = '<table class="ewheel-category-map-table">' +
+            // Index the hierarchy; categories whose parent is unknown become roots
+            var byRef = {};
+            ewheelCategories.forEach(function (cat) {
+                byRef[cat.reference || cat.Reference || ''] = cat;
+            });
+
+            categoryTree.children = { '': [] };
+            categoryTree.parents = {};
+            categoryTree.mappings = $.extend({}, currentMappings);
+            categoryTree.manual = $.extend({}, data.manual_mappings || {});
+
+            ewheelCategories.forEach(function (cat) {
+                var ref = cat.reference || cat.Reference || '';
+                var parent = cat.parent && byRef[cat.parent] && cat.parent !== ref ? String(cat.parent) : '';
+                categoryTree.parents[ref] = parent;
+                (categoryTree.children[parent] = categoryTree.children[parent] || []).push(cat);
+            });
+
+            $('#ewheel-category-bulk-target').html(buildWooCategoryOptions('', '<?php esc_html_e('-- WooCommerce category --', 'ewheel-importer'); ?>'));
+            $('#ewheel-category-toolbar').css('display', 'flex');
+
+            var html = '<table class="ewheel-category-map-table ewheel-category-tree">' +
                 '<thead><tr>' +
+                '<th class="check-column"><input type="checkbox" id="ewheel-category-check-all" title="<?php esc_attr_e('Select all visible', 'ewheel-importer'); ?>"></th>' +
                 '<th><?php esc_html_e('Original Name', 'ewheel-importer'); ?></th>' +
                 '<th><?php esc_html_e('Translated Name', 'ewheel-importer'); ?></th>' +
                 '<th><?php esc_html_e('Reference', 'ewheel-importer'); ?></th>' +
@@ -1544,68 +2612,76 @@ $is_paused = !empty($current_status['status']) && $current_status['status'] ===
                 '<th><?php esc_html_e('Mapping', 'ewheel-importer'); ?></th>' +
                 '</tr></thead><tbody>';
 
-            ewheelCategories.forEach(function (cat) {
-                var ewheelRef = cat.reference || cat.Reference || '';
-                var originalName = cat.original_name || cat.name || ewheelRef;
-                var displayName = cat.display_name || originalName;
-                var translationStatus = cat.translation_status || 'original';
-                var isManuallyEdited = cat.is_manually_edited || false;
-                var mappedWooId = currentMappings[ewheelRef] || '';
-                var isManualMapping = data.manual_mappings && data.manual_mappings[ewheelRef];
-
-                // Translation status badge
-                var translationBadge = '';
-                if (translationStatus === 'override') {
-                    translationBadge = '<span class="ewheel-status-badge completed"><?php esc_html_e('Edited', 'ewheel-importer'); ?></span>';
-                } else if (translationStatus === 'translated') {
-                    translationBadge = '<span class="ewheel-status-badge running"><?php esc_html_e('Translated', 'ewheel-importer'); ?></span>';
-                } else {
-                    translationBadge = '<span class="ewheel-status-badge stopped"><?php esc_html_e('Original', 'ewheel-importer'); ?></span>';
-                }
-
-                // Mapping status badge
-                var mappingBadge = '';
-                if (mappedWooId) {
-                    mappingBadge = isManualMapping
-                        ? '<span class="ewheel-status-badge completed"><?php esc_html_e('Manual', 'ewheel-importer'); ?></span>'
-                        : '<span class="ewheel-status-badge running"><?php esc_html_e('Auto', 'ewheel-importer'); ?></span>';
-                } else {
-                    mappingBadge = '<span class="ewheel-status-badge stopped"><?php esc_html_e('Unmapped', 'ewheel-importer'); ?></span>';
-                }
-
-                html += '<tr data-ewheel-ref="' + escapeHtml(ewheelRef) + '" data-original-name="' + escapeHtml(originalName) + '" data-source-lang="' + escapeHtml(cat.source_lang || 'es') + '">' +
-                    '<td class="ewheel-original-name">' + escapeHtml(originalName) + '</td>' +
-                    '<td class="ewheel-translated-name">' +
-                    '<div class="ewheel-editable-translation">' +
-                    '<input type="text" class="ewheel-translation-input" value="' + escapeHtml(displayName) + '" data-ref="' + escapeHtml(ewheelRef) + '" data-original="' + escapeHtml(displayName) + '">' +
-                    '<button type="button" class="button button-small ewheel-save-translation" data-ref="' + escapeHtml(ewheelRef) + '" title="<?php esc_attr_e('Save', 'ewheel-importer'); ?>" style="display:none;">' +
-                    '<span class="dashicons dashicons-yes" style="vertical-align: middle;"></span>' +
-                    '</button>' +
-                    (isManuallyEdited ? '<button type="button" class="button button-small ewheel-revert-translation" data-ref="' + escapeHtml(ewheelRef) + '" title="<?php esc_attr_e('Revert to auto', 'ewheel-importer'); ?>">' +
-                        '<span class="dashicons dashicons-undo" style="vertical-align: middle;"></span>' +
-                        '</button>' : '') +
-                    '</div>' +
-                    '</td>' +
-                    '<td><code>' + escapeHtml(ewheelRef) + '</code></td>' +
-                    '<td>' +
-                    '<select class="ewheel-category-select" data-ewheel-ref="' + escapeHtml(ewheelRef) + '">' +
-                    '<option value=""><?php esc_html_e('-- Not Mapped --', 'ewheel-importer'); ?></option>';
-
-                wooCategories.forEach(function (wooCat) {
-                    var indent = '';
-                    if (wooCat.parent > 0) {
-                        indent = '&mdash; ';
+            var visited = {};
+            var renderBranch = function (parentRef, depth) {
+                (categoryTree.children[parentRef] || []).forEach(function (cat) {
+                    var ewheelRef = cat.reference || cat.Reference || '';
+                    if (visited[ewheelRef]) {
+                        return;
+                    }
+                    visited[ewheelRef] = true;
+
+                    var originalName = cat.original_name || cat.name || ewheelRef;
+                    var displayName = cat.display_name || originalName;
+                    var translationStatus = cat.translation_status || 'original';
+                    var isManuallyEdited = cat.is_manually_edited || false;
+                    var mappedWooId = currentMappings[ewheelRef] || '';
+                    var isManualMapping = data.manual_mappings && data.manual_mappings[ewheelRef];
+                    var hasChildren = (categoryTree.children[ewheelRef] || []).length > 0;
+
+                    // Translation status badge
+                    var translationBadge = '';
+                    if (translationStatus === 'override') {
+                        translationBadge = '<span class="ewheel-status-badge completed"><?php esc_html_e('Edited', 'ewheel-importer'); ?></span>';
+                    } else if (translationStatus === 'translated') {
+                        translationBadge = '<span class="ewheel-status-badge running"><?php esc_html_e('Translated', 'ewheel-importer'); ?></span>';
+                    } else {
+                        translationBadge = '<span class="ewheel-status-badge stopped"><?php esc_html_e('Original', 'ewheel-importer'); ?></span>';
                     }
-                    var selected = (mappedWooId == wooCat.id) ? ' selected' : '';
-                    html += '<option value="' + wooCat.id + '"' + selected + '>' + indent + escapeHtml(wooCat.name) + '</option>';
+
+                    html += '<tr data-ewheel-ref="' + escapeHtml(ewheelRef) + '" data-parent-ref="' + escapeHtml(categoryTree.parents[ewheelRef]) + '" data-depth="' + depth + '" data-original-name="' + escapeHtml(originalName) + '" data-source-lang="' + escapeHtml(cat.source_lang || 'es') + '">' +
+                        '<td class="check-column"><input type="checkbox" class="ewheel-category-check" value="' + escapeHtml(ewheelRef) + '"></td>' +
+                        '<td class="ewheel-original-name" style="padding-left: ' + (10 + depth * 20) + 'px;">' +
+                        (hasChildren
+                            ? '<button type="button" class="button-link ewheel-tree-toggle" aria-expanded="false"><span class="dashicons dashicons-arrow-right-alt2"></span></button>'
+                            : '<span class="ewheel-tree-spacer"></span>') +
+                        escapeHtml(originalName) +
+                        (hasChildren ? ' <span class="ewheel-tree-count">(' + categoryTree.children[ewheelRef].length + ')</span>' : '') +
+                        '</td>' +
+                        '<td class="ewheel-translated-name">' +
+                        '<div class="ewheel-editable-translation">' +
+                        '<input type="text" class="ewheel-translation-input" value="' + escapeHtml(displayName) + '" data-ref="' + escapeHtml(ewheelRef) + '" data-original="' + escapeHtml(displayName) + '">' +
+                        '<button type="button" class="button button-small ewheel-save-translation" data-ref="' + escapeHtml(ewheelRef) + '" title="<?php esc_attr_e('Save', 'ewheel-importer'); ?>" style="display:none;">' +
+                        '<span class="dashicons dashicons-yes" style="vertical-align: middle;"></span>' +
+                        '</button>' +
+                        (isManuallyEdited ? '<button type="button" class="button button-small ewheel-revert-translation" data-ref="' + escapeHtml(ewheelRef) + '" title="<?php esc_attr_e('Revert to auto', 'ewheel-importer'); ?>">' +
+                            '<span class="dashicons dashicons-undo" style="vertical-align: middle;"></span>' +
+                            '</button>' : '') +
+                        '</div>' +
+                        '</td>' +
+                        '<td><code>' + escapeHtml(ewheelRef) + '</code></td>' +
+                        '<td>' +
+                        '<select class="ewheel-category-select" data-ewheel-ref="' + escapeHtml(ewheelRef) + '">' +
+                        buildWooCategoryOptions(mappedWooId, '<?php esc_html_e('-- Not Mapped --', 'ewheel-importer'); ?>') +
+                        '</select></td>' +
+                        '<td class="translation-status">' + translationBadge + '</td>' +
+                        '<td class="mapping-status">' + mappingBadgeHtml(mappedWooId, isManualMapping) + '</td>' +
+                        '</tr>';
+
+                    renderBranch(ewheelRef, depth + 1);
                 });
+            };
 
-                html += '</select></td>' +
-                    '<td class="translation-status">' + translationBadge + '</td>' +
-                    '<td class="mapping-status">' + mappingBadge + '</td>' +
-                    '</tr>';
+            // Start collapsed so only top-level categories are listed
+            categoryTree.collapsed = {};
+            $.each(categoryTree.children, function (ref) {
+                if (ref !== '') {
+                    categoryTree.collapsed[ref] = true;
+                }
             });
 
+            renderBranch('', 0);
+
             html += '</tbody></table>';
             $('#ewheel-category-mapping-container').html(html);
 
@@ -1615,13 +2691,292 @@ $is_paused = !empty($current_status['status']) && $current_status['status'] ===
                 var ewheelRef = $select.data('ewheel-ref');
                 var wooId = $select.val();
 
+                categoryTree.mappings[ewheelRef] = wooId;
+                categoryTree.manual[ewheelRef] = wooId;
                 saveCategoryMapping(ewheelRef, wooId, $select.closest('tr').find('.mapping-status'));
             });
 
             // Bind translation input events
             bindTranslationEvents();
+            applyCategoryTreeFilters();
+        }
+
+        // Show rows whose ancestors are expanded and which pass the search and mapping filters.
+        // While searching, matches are shown with their ancestors regardless of collapsed branches.
+        function applyCategoryTreeFilters() {
+            var term = $.trim($('#ewheel-category-search').val() || '').toLowerCase();
+            var filter = $('#ewheel-category-filter').val();
+            var $rows = $('.ewheel-category-tree tbody tr');
+            var forced = {};
+
+            if (term) {
+                $rows.each(function () {
+                    var $row = $(this);
+                    var haystack = ($row.data('original-name') + ' ' + $row.find('.ewheel-translation-input').val() + ' ' + $row.data('ewheel-ref')).toLowerCase();
+                    if (haystack.indexOf(term) !== -1) {
+                        var ref = String($row.data('ewheel-ref'));
+                        forced[ref] = 'match';
+                        for (var parent = categoryTree.parents[ref]; parent; parent = categoryTree.parents[parent]) {
+                            forced[parent] = forced[parent] || 'ancestor';
+                        }
+                    }
+                });
+            }
+
+            $rows.each(function () {
+                var $row = $(this);
+                var ref = String($row.data('ewheel-ref'));
+                var mapped = !!categoryTree.mappings[ref];
+                var visible;
+
+                if (term) {
+                    visible = !!forced[ref];
+                } else {
+                    visible = true;
+                    for (var parent = categoryTree.parents[ref]; parent; parent = categoryTree.parents[parent]) {
+                        if (categoryTree.collapsed[parent]) {
+                            visible = false;
+                            break;
+                        }
+                    }
+                }
+
+                // Ancestors of a search hit stay visible for context even when filtered out
+                if (visible && forced[ref] !== 'ancestor' && ((filter === 'mapped' && !mapped) || (filter === 'unmapped' && mapped))) {
+                    visible = false;
+                }
+
+                $row.toggle(visible).toggleClass('ewheel-search-hit', forced[ref] === 'match');
+
+                var expanded = term ? !!forced[ref] : !categoryTree.collapsed[ref];
+                $row.find('.ewheel-tree-toggle').attr('aria-expanded', expanded ? 'true' : 'false')
+                    .find('.dashicons').toggleClass('dashicons-arrow-down-alt2', expanded).toggleClass('dashicons-arrow-right-alt2', !expanded);
+            });
+
+            updateCategorySelection();
+        }
+
+        function getSelectedCategoryRefs() {
+            return $('.ewheel-category-check:checked').map(function () {
+                return $(this).val();
+            }).get();
+        }
+
+        function updateCategorySelection() {
+            var count = $('.ewheel-category-check:checked').length;
+
+            $('#ewheel-category-selected-count').text(count ? '<?php echo esc_js(__('%d selected', 'ewheel-importer')); ?>'.replace('%d', count) : '');
+            $('#ewheel-category-bulk-assign').prop('disabled', count === 0 || !$('#ewheel-category-bulk-target').val());
+            $('#ewheel-category-bulk-unmap').prop('disabled', count === 0);
+        }
+
+        // Apply saved mappings to the tree rows
+        function applyCategoryMappings(mappings) {
+            $.each(mappings, function (ref, wooId) {
+                var $row = $('.ewheel-category-tree tr').filter(function () {
+                    return String($(this).data('ewheel-ref')) === String(ref);
+                });
+
+                categoryTree.mappings[ref] = wooId;
+                categoryTree.manual[ref] = wooId;
+                $row.find('.ewheel-category-select').val(wooId ? String(wooId) : '');
+                $row.find('.mapping-status').html(mappingBadgeHtml(wooId, true));
+            });
+        }
+
+        function saveCategoryMappings(mappings, $button) {
+            $button.prop('disabled', true);
+            $('#ewheel-category-sync-status').html('<span class="ewheel-loading"></span>');
+
+            return $.ajax({
+                url: ewheelImporter.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'ewheel_save_category_mappings',
+                    nonce: ewheelImporter.nonce,
+                    mappings: mappings
+                },
+                success: function (response) {
+                    if (response.success) {
+                        applyCategoryMappings(mappings);
+                        $('#ewheel-category-sync-status').html('<span style="color: green;">' + escapeHtml(response.data.message) + '</span>');
+                    } else {
+                        $('#ewheel-category-sync-status').html('<span style="color: red;">' + escapeHtml(response.data.message || '<?php esc_html_e('Error', 'ewheel-importer'); ?>') + '</span>');
+                    }
+                },
+                error: function () {
+                    $('#ewheel-category-sync-status').html('<span style="color: red;"><?php esc_html_e('Error', 'ewheel-importer'); ?></span>');
+                },
+                complete: function () {
+                    $button.prop('disabled', false);
+                    updateCategorySelection();
+                }
+            });
+        }
+
+        function bulkAssignCategories(wooId, $button) {
+            var mappings = {};
+
+            getSelectedCategoryRefs().forEach(function (ref) {
+                mappings[ref] = wooId || 0;
+            });
+
+            saveCategoryMappings(mappings, $button).done(function (response) {
+                if (response.success) {
+                    $('.ewheel-category-check, #ewheel-category-check-all').prop('checked', false);
+                    applyCategoryTreeFilters();
+                }
+            });
+        }
+
+        function requestCategorySuggestions() {
+            var $button = $('#ewheel-category-auto-match');
+            var selected = getSelectedCategoryRefs();
+            var categories = [];
+
+            // Match the selection, or every unmapped category when nothing is selected
+            $('.ewheel-category-tree tbody tr').each(function () {
+                var $row = $(this);
+                var ref = String($row.data('ewheel-ref'));
+                if (selected.length ? selected.indexOf(ref) !== -1 : !categoryTree.mappings[ref]) {
+                    categories.push({ reference: ref, name: $row.find('.ewheel-translation-input').val() });
+                }
+            });
+
+            if (categories.length === 0) {
+                $('#ewheel-category-sync-status').html('<span><?php esc_html_e('Every category is already mapped.', 'ewheel-importer'); ?></span>');
+                return;
+            }
+
+            $button.prop('disabled', true);
+            $('#ewheel-category-sync-status').html('<span class="ewheel-loading"></span>');
+
+            $.ajax({
+                url: ewheelImporter.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'ewheel_suggest_category_mappings',
+                    nonce: ewheelImporter.nonce,
+                    categories: categories
+                },
+                success: function (response) {
+                    $('#ewheel-category-sync-status').empty();
+                    if (response.success) {
+                        renderCategorySuggestions(categories, response.data.suggestions || {});
+                    } else {
+                        $('#ewheel-category-sync-status').html('<span style="color: red;">' + escapeHtml(response.data.message || '<?php esc_html_e('Error', 'ewheel-importer'); ?>') + '</span>');
+                    }
+                },
+                error: function () {
+                    $('#ewheel-category-sync-status').html('<span style="color: red;"><?php esc_html_e('Error', 'ewheel-importer'); ?></span>');
+                },
+                complete: function () {
+                    $button.prop('disabled', false);
+                }
+            });
+        }
+
+        function renderCategorySuggestions(categories, suggestions) {
+            var html = '';
+
+            categories.forEach(function (cat) {
+                var suggestion = suggestions[cat.reference];
+                if (!suggestion) {
+                    return;
+                }
+
+                html += '<tr data-ewheel-ref="' + escapeHtml(cat.reference) + '">' +
+                    '<td class="check-column"><input type="checkbox" class="ewheel-suggestion-check" checked></td>' +
+                    '<td>' + escapeHtml(cat.name) + ' <code>' + escapeHtml(cat.reference) + '</code></td>' +
+                    '<td><select class="ewheel-suggestion-target">' + buildWooCategoryOptions(suggestion.woo_id, '<?php esc_html_e('-- Not Mapped --', 'ewheel-importer'); ?>') + '</select></td>' +
+                    '<td>' + Math.round(suggestion.score * 100) + '%</td>' +
+                    '</tr>';
+            });
+
+            if (!html) {
+                $('#ewheel-category-suggestions').hide();
+                $('#ewheel-category-sync-status').html('<span><?php esc_html_e('No confident matches found.', 'ewheel-importer'); ?></span>');
+                return;
+            }
+
+            $('#ewheel-category-suggestions-body').html(html);
+            $('#ewheel-suggestions-check-all').prop('checked', true);
+            $('#ewheel-category-suggestions').show();
         }
 
+        $('#ewheel-category-search').on('input', function () {
+            clearTimeout(window.ewheelCategorySearchTimer);
+            window.ewheelCategorySearchTimer = setTimeout(applyCategoryTreeFilters, 200);
+        });
+
+        $('#ewheel-category-filter').on('change', applyCategoryTreeFilters);
+
+        $('#ewheel-category-expand-all, #ewheel-category-collapse-all').on('click', function () {
+            var collapse = this.id === 'ewheel-category-collapse-all';
+            $.each(categoryTree.children, function (ref) {
+                if (ref !== '') {
+                    categoryTree.collapsed[ref] = collapse;
+                }
+            });
+            applyCategoryTreeFilters();
+        });
+
+        $('#ewheel-category-mapping-container').on('click', '.ewheel-tree-toggle', function () {
+            var ref = String($(this).closest('tr').data('ewheel-ref'));
+            categoryTree.collapsed[ref] = !categoryTree.collapsed[ref];
+            applyCategoryTreeFilters();
+        });
+
+        $('#ewheel-category-mapping-container').on('change', '.ewheel-category-check', updateCategorySelection);
+
+        $('#ewheel-category-mapping-container').on('change', '#ewheel-category-check-all', function () {
+            $('.ewheel-category-tree tbody tr:visible .ewheel-category-check').prop('checked', $(this).is(':checked'));
+            updateCategorySelection();
+        });
+
+        $('#ewheel-category-bulk-target').on('change', updateCategorySelection);
+
+        $('#ewheel-category-bulk-assign').on('click', function () {
+            bulkAssignCategories($('#ewheel-category-bulk-target').val(), $(this));
+        });
+
+        $('#ewheel-category-bulk-unmap').on('click', function () {
+            bulkAssignCategories(0, $(this));
+        });
+
+        $('#ewheel-category-auto-match').on('click', requestCategorySuggestions);
+
+        $('#ewheel-suggestions-check-all').on('change', function () {
+            $('.ewheel-suggestion-check').prop('checked', $(this).is(':checked'));
+        });
+
+        $('#ewheel-accept-suggestions').on('click', function () {
+            var mappings = {};
+
+            $('#ewheel-category-suggestions-body tr').each(function () {
+                var $row = $(this);
+                var wooId = $row.find('.ewheel-suggestion-target').val();
+                if ($row.find('.ewheel-suggestion-check').is(':checked') && wooId) {
+                    mappings[$row.data('ewheel-ref')] = wooId;
+                }
+            });
+
+            if ($.isEmptyObject(mappings)) {
+                return;
+            }
+
+            saveCategoryMappings(mappings, $(this)).done(function (response) {
+                if (response.success) {
+                    $('#ewheel-category-suggestions').hide();
+                    applyCategoryTreeFilters();
+                }
+            });
+        });
+
+        $('#ewheel-dismiss-suggestions').on('click', function () {
+            $('#ewheel-category-suggestions').hide();
+        });
+
         function bindTranslationEvents() {
             // Show save button when input changes
             $('.ewheel-translation-input').on('input', function () {
@@ -2003,7 +3358,6 @@ $is_paused = !empty($current_status['status']) && $current_status['status'] ===
         // Profile Management
         // ========================================
         var profilesLoaded = false;
-        var currentProfileId = null;
         var ewheelCategoriesForProfiles = [];
 
         // Load profiles when switching to profiles tab
@@ -2020,21 +3374,12 @@ $is_paused = !empty($current_status['status']) && $current_status['status'] ===
             );
 
             $.ajax({
-                url: ewheelImporter.ajaxUrl,
-                type: 'POST',
-                data: {
-                    action: 'ewheel_get_profiles',
-                    nonce: ewheelImporter.nonce
-                },
-                success: function (response) {
-                    if (response.success) {
-                        renderProfiles(response.data.profiles);
-                        profilesLoaded = true;
-                    } else {
-                        $('#ewheel-profiles-container').html(
-                            '<div class="ewheel-empty-state"><span class="dashicons dashicons-warning"></span><p>' + (response.data.message || '<?php esc_html_e('Error loading profiles', 'ewheel-importer'); ?>') + '</p></div>'
-                        );
-                    }
+                url: ewheelImporter.restUrl + 'profiles',
+                type: 'GET',
+                headers: { 'X-WP-Nonce': ewheelImporter.restNonce },
+                success: function (data) {
+                    renderProfiles(data.profiles);
+                    profilesLoaded = true;
                 },
                 error: function () {
                     $('#ewheel-profiles-container').html(
@@ -2114,7 +3459,7 @@ $is_paused = !empty($current_status['status']) && $current_status['status'] ===
                     '<td><strong>' + escapeHtml(profile.name) + '</strong>' + (isDefault ? ' <span class="ewheel-status-badge completed"><?php esc_html_e('Default', 'ewheel-importer'); ?></span>' : '') + '</td>' +
                     '<td><span class="ewheel-status-badge ' + statusClass + '">' + statusText + '</span></td>' +
                     '<td><small>' + filtersSummary.join(', ') + '</small></td>' +
-                    '<td>' + (profile.last_sync ? profile.last_sync : '<?php esc_html_e('Never', 'ewheel-importer'); ?>') + '</td>' +
+                    '<td>' + (profile.last_sync_formatted ? escapeHtml(profile.last_sync_formatted) : '<?php esc_html_e('Never', 'ewheel-importer'); ?>') + '</td>' +
                     '<td>' +
                     '<button type="button" class="button ewheel-edit-profile" data-id="' + profile.id + '"><?php esc_html_e('Edit', 'ewheel-importer'); ?></button> ' +
                     '<button type="button" class="button ewheel-sync-profile" data-id="' + profile.id + '" data-name="' + escapeHtml(profile.name) + '"' + (!profile.is_active ? ' disabled' : '') + '><?php esc_html_e('Sync', 'ewheel-importer'); ?></button> ' +
@@ -2153,18 +3498,12 @@ $is_paused = !empty($current_status['status']) && $current_status['status'] ===
 
         function loadProfileForEdit(profileId) {
             $.ajax({
-                url: ewheelImporter.ajaxUrl,
-                type: 'POST',
-                data: {
-                    action: 'ewheel_get_profile',
-                    nonce: ewheelImporter.nonce,
-                    profile_id: profileId
-                },
-                success: function (response) {
-                    if (response.success) {
-                        populateProfileForm(response.data.profile);
-                        showProfileEditView(profileId ? '<?php esc_html_e('Edit Profile', 'ewheel-importer'); ?>' : '<?php esc_html_e('Add New Profile', 'ewheel-importer'); ?>');
-                    }
+                url: ewheelImporter.restUrl + 'profiles/' + parseInt(profileId, 10),
+                type: 'GET',
+                headers: { 'X-WP-Nonce': ewheelImporter.restNonce },
+                success: function (data) {
+                    populateProfileForm(data.profile);
+                    showProfileEditView('<?php esc_html_e('Edit Profile', 'ewheel-importer'); ?>');
                 }
             });
         }
@@ -2212,6 +3551,9 @@ $is_paused = !empty($current_status['status']) && $current_status['status'] ===
 
                 // Test limit
                 $('#ewheel-profile-test-limit').val(profile.settings.test_limit || 0);
+
+                // Discontinued products policy
+                $('#ewheel-profile-discontinued-policy').val(profile.settings.discontinued_policy || 'draft');
             }
         }
 
@@ -2249,26 +3591,27 @@ $is_paused = !empty($current_status['status']) && $current_status['status'] ===
             var $status = $('#ewheel-profile-save-status');
 
             // Build data object
+            var profileId = parseInt($('#ewheel-profile-id').val(), 10) || 0;
             var data = {
-                action: 'ewheel_save_profile',
-                nonce: ewheelImporter.nonce,
-                profile_id: $('#ewheel-profile-id').val(),
                 name: $('#ewheel-profile-name').val(),
-                is_active: $('#ewheel-profile-active').is(':checked') ? 1 : 0,
+                is_active: $('#ewheel-profile-active').is(':checked'),
                 filters: {
                     category: $('#ewheel-profile-filter-category').val(),
-                    active: $form.find('input[name="filters[active]"]').is(':checked') ? 1 : 0,
-                    hasImages: $form.find('input[name="filters[hasImages]"]').is(':checked') ? 1 : 0,
-                    hasVariants: $form.find('input[name="filters[hasVariants]"]').is(':checked') ? 1 : 0,
+                    active: $form.find('input[name="filters[active]"]').is(':checked'),
+                    hasImages: $form.find('input[name="filters[hasImages]"]').is(':checked'),
+                    hasVariants: $form.find('input[name="filters[hasVariants]"]').is(':checked'),
                     productReference: $('#ewheel-profile-filter-sku').val()
                 },
                 settings: {
                     sync_frequency: $('#ewheel-profile-sync-frequency').val(),
-                    test_limit: $('#ewheel-profile-test-limit').val()
+                    test_limit: $('#ewheel-profile-test-limit').val(),
+                    discontinued_policy: $('#ewheel-profile-discontinued-policy').val(),
+                    exchange_rate: '',
+                    markup_percent: ''
                 }
             };
 
-            // Handle pricing settings
+            // Handle pricing settings (empty falls back to the global setting)
             if ($form.find('input[name="settings[use_global_exchange_rate]"]:checked').val() === '0') {
                 data.settings.exchange_rate = $form.find('input[name="settings[exchange_rate]"]').val();
             }
@@ -2280,23 +3623,22 @@ $is_paused = !empty($current_status['status']) && $current_status['status'] ===
             $status.html('<span class="ewheel-loading"></span>');
 
             $.ajax({
-                url: ewheelImporter.ajaxUrl,
-                type: 'POST',
-                data: data,
-                success: function (response) {
+                url: ewheelImporter.restUrl + 'profiles' + (profileId ? '/' + profileId : ''),
+                type: profileId ? 'PUT' : 'POST',
+                headers: { 'X-WP-Nonce': ewheelImporter.restNonce },
+                contentType: 'application/json',
+                data: JSON.stringify(data),
+                success: function () {
                     $btn.prop('disabled', false);
-                    if (response.success) {
-                        $status.html('<span style="color: #155724;"><?php esc_html_e('Profile saved!', 'ewheel-importer'); ?></span>');
-                        setTimeout(function () {
-                            showProfileListView();
-                        }, 1000);
-                    } else {
-                        $status.html('<span style="color: #721c24;">' + (response.data.message || '<?php esc_html_e('Error saving profile', 'ewheel-importer'); ?>') + '</span>');
-                    }
+                    $status.html('<span style="color: #155724;"><?php esc_html_e('Profile saved!', 'ewheel-importer'); ?></span>');
+                    setTimeout(function () {
+                        showProfileListView();
+                    }, 1000);
                 },
-                error: function () {
+                error: function (xhr) {
                     $btn.prop('disabled', false);
-                    $status.html('<span style="color: #721c24;"><?php esc_html_e('Request failed', 'ewheel-importer'); ?></span>');
+                    var message = (xhr.responseJSON && xhr.responseJSON.message) || '<?php esc_html_e('Request failed', 'ewheel-importer'); ?>';
+                    $status.html($('<span style="color: #721c24;">').text(message));
                 }
             });
         });
@@ -2308,126 +3650,36 @@ $is_paused = !empty($current_status['status']) && $current_status['status'] ===
             }
 
             $.ajax({
-                url: ewheelImporter.ajaxUrl,
-                type: 'POST',
-                data: {
-                    action: 'ewheel_delete_profile',
-                    nonce: ewheelImporter.nonce,
-                    profile_id: profileId
+                url: ewheelImporter.restUrl + 'profiles/' + parseInt(profileId, 10),
+                type: 'DELETE',
+                headers: { 'X-WP-Nonce': ewheelImporter.restNonce },
+                success: function () {
+                    loadProfiles();
                 },
-                success: function (response) {
-                    if (response.success) {
-                        loadProfiles();
-                    } else {
-                        alert(response.data.message || '<?php esc_html_e('Error deleting profile', 'ewheel-importer'); ?>');
-                    }
+                error: function (xhr) {
+                    alert((xhr.responseJSON && xhr.responseJSON.message) || '<?php esc_html_e('Error deleting profile', 'ewheel-importer'); ?>');
                 }
             });
         }
 
         // Select profile for sync
         function selectProfileForSync(profileId, profileName) {
-            currentProfileId = profileId;
             $('#ewheel-selected-profile-name').text(profileName);
             $('#ewheel-profile-sync-description').hide();
             $('#ewheel-profile-sync-controls').show();
 
-            // Check sync status
-            checkProfileSyncStatus(profileId);
-        }
-
-        function checkProfileSyncStatus(profileId) {
-            $.ajax({
-                url: ewheelImporter.ajaxUrl,
-                type: 'POST',
-                data: {
-                    action: 'ewheel_get_sync_status',
-                    nonce: ewheelImporter.nonce,
-                    profile_id: profileId
-                },
-                success: function (response) {
-                    if (response.success && response.data.status === 'running') {
-                        $('#ewheel-run-profile-sync').hide();
-                        $('#ewheel-stop-profile-sync').show();
-                        $('#ewheel-profile-sync-progress').show();
-                        updateProfileSyncProgress(response.data);
-                    } else {
-                        $('#ewheel-run-profile-sync').show();
-                        $('#ewheel-stop-profile-sync').hide();
-                        $('#ewheel-profile-sync-progress').hide();
-                    }
-
-                    if (response.data && response.data.last_sync) {
-                        $('#ewheel-profile-last-sync').html('<small><?php esc_html_e('Last sync:', 'ewheel-importer'); ?> ' + response.data.last_sync + '</small>');
-                    }
-                }
-            });
-        }
-
-        function updateProfileSyncProgress(data) {
-            var percent = data.total > 0 ? Math.round((data.processed / data.total) * 100) : 0;
-            $('#ewheel-profile-sync-progress .ewheel-progress-bar').css('width', percent + '%');
-            $('#ewheel-profile-progress-text').text(percent + '%');
-            $('#ewheel-profile-sync-details').text('<?php esc_html_e('Processing:', 'ewheel-importer'); ?> ' + data.processed + ' / ' + data.total);
+            // Hand the sync panel over to the shared sync controller
+            $(document).trigger('ewheel:profile-selected', [profileId]);
         }
 
-        // Run profile sync
-        $('#ewheel-run-profile-sync').on('click', function () {
-            if (!currentProfileId) return;
-
-            var $btn = $(this);
-            $btn.prop('disabled', true);
-
-            $.ajax({
-                url: ewheelImporter.ajaxUrl,
-                type: 'POST',
-                data: {
-                    action: 'ewheel_run_sync',
-                    nonce: ewheelImporter.nonce,
-                    profile_id: currentProfileId
-                },
-                success: function (response) {
-                    $btn.prop('disabled', false);
-                    if (response.success) {
-                        $('#ewheel-run-profile-sync').hide();
-                        $('#ewheel-stop-profile-sync').show();
-                        $('#ewheel-profile-sync-progress').show();
-
-                        // Start polling for status
-                        profileSyncPoller = setInterval(function () {
-                            checkProfileSyncStatus(currentProfileId);
-                        }, 2000);
-                    } else {
-                        alert(response.data.message || '<?php esc_html_e('Error starting sync', 'ewheel-importer'); ?>');
-                    }
-                }
-            });
+        // Run/pause/resume/cancel for the selected profile live in admin.js;
+        // refresh the list so last-sync info stays current once a run settles.
+        $(document).on('ewheel:sync-settled', function (e, profileId) {
+            if (profileId) {
+                loadProfiles();
+            }
         });
 
-        var profileSyncPoller = null;
-
-        // Stop profile sync
-        $('#ewheel-stop-profile-sync').on('click', function () {
-            if (!currentProfileId) return;
-
-            $.ajax({
-                url: ewheelImporter.ajaxUrl,
-                type: 'POST',
-                data: {
-                    action: 'ewheel_stop_sync',
-                    nonce: ewheelImporter.nonce,
-                    profile_id: currentProfileId
-                },
-                success: function (response) {
-                    if (profileSyncPoller) {
-                        clearInterval(profileSyncPoller);
-                    }
-                    $('#ewheel-run-profile-sync').show();
-                    $('#ewheel-stop-profile-sync').hide();
-                    loadProfiles();
-                }
-            });
-        });
         // ==========================================
         // Model Mapping
         // ==========================================
@@ -32,4 +32,14 @@ interface HttpClientInterface {
      * @throws \RuntimeException If the request fails.
      */
     public function get( string $url, array $headers = [] ): array;
+
+    /**
+     * Make a DELETE request.
+     *
+     * @param string $url     The URL to request.
+     * @param array  $headers The request headers.
+     * @return array The response data (empty without a body).
+     * @throws \RuntimeException If the request fails.
+     */
+    public function delete( string $url, array $headers = [] ): array;
 }
@@ -81,6 +81,31 @@ class WPHttpClient implements HttpClientInterface {
         return $this->handle_response( $response );
     }
 
+    /**
+     * Make a DELETE request.
+     *
+     * @param string $url     The URL to request.
+     * @param array  $headers The request headers.
+     * @return array The response data (empty without a body).
+     * @throws \RuntimeException If the request fails.
+     */
+    public function delete( string $url, array $headers = [] ): array {
+        $args = [
+            'method'  => 'DELETE',
+            'timeout' => $this->get_timeout_for_url( $url ),
+            'headers' => array_merge(
+                [
+                    'Accept' => 'application/json',
+                ],
+                $headers
+            ),
+        ];
+
+        $response = wp_remote_request( $url, $args );
+
+        return $this->handle_response( $response );
+    }
+
     /**
      * Get appropriate timeout based on URL.
      *
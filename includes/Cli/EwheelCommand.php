@@ -0,0 +1,1024 @@
+<?php
+/**
+ * WP-CLI Command.
+ *
+ * @package Trotibike\EwheelImporter
+ */
+
+namespace Trotibike\EwheelImporter\Cli;
+
+use Trotibike\EwheelImporter\Config\Configuration;
+use Trotibike\EwheelImporter\Config\SettingsBundle;
+use Trotibike\EwheelImporter\Repository\ProfileRepository;
+use Trotibike\EwheelImporter\Repository\TranslationRepository;
+use Trotibike\EwheelImporter\Sync\DiscontinuedProducts;
+use Trotibike\EwheelImporter\Sync\StockPriceSync;
+use Trotibike\EwheelImporter\Sync\SyncBatchProcessor;
+use Trotibike\EwheelImporter\Sync\SyncControl;
+use Trotibike\EwheelImporter\Sync\SyncPreview;
+use WP_CLI;
+use WP_CLI\Utils;
+
+/**
+ * Runs ewheel syncs and maintenance tasks from the command line.
+ *
+ * Syncs are started through SyncControl like from the admin screen. Unless
+ * --background is given, the command then takes the sync's queued batches
+ * off Action Scheduler and runs them with SyncBatchProcessor in this process,
+ * so it does not depend on WP-Cron.
+ *
+ * ## EXIT STATUS
+ *
+ * 0 on success, 1 on errors, 2 when the sync state doesn't allow the command
+ * (a sync is already running, nothing to pause), 3 when a sync finished but
+ * some products failed, 4 when a sync was stopped or paused before it finished.
+ */
+class EwheelCommand
+{
+    /**
+     * Exit codes.
+     */
+    public const EXIT_OK = 0;
+    public const EXIT_ERROR = 1;
+    public const EXIT_CONFLICT = 2;
+    public const EXIT_FAILED_ITEMS = 3;
+    public const EXIT_INTERRUPTED = 4;
+
+    /**
+     * Action Scheduler hooks that make up a sync.
+     */
+    private const SYNC_HOOKS = ['ewheel_importer_process_batch', 'ewheel_importer_sync_stock'];
+
+    /**
+     * Statuses after which no more batches run.
+     */
+    private const FINAL_STATUSES = ['idle', 'completed', 'failed', 'stopped', 'paused'];
+
+    /**
+     * Seconds between checks while another runner has the current batch.
+     */
+    private const POLL_SECONDS = 5;
+
+    /**
+     * Longest wait for a batch that is scheduled with a delay.
+     */
+    private const MAX_DELAY_SECONDS = 30;
+
+    /**
+     * Seconds without progress before giving up on a sync.
+     */
+    private const STALL_TIMEOUT = 1800;
+
+    /**
+     * Transient holding the cached feed product count.
+     */
+    private const PRODUCT_COUNT_CACHE = 'ewheel_product_count_cache';
+
+    /**
+     * Transient holding the cached category translations.
+     */
+    private const CATEGORY_TRANSLATIONS_CACHE = 'ewheel_category_translations';
+
+    /**
+     * Sync control.
+     *
+     * @var SyncControl
+     */
+    private SyncControl $control;
+
+    /**
+     * Batch processor.
+     *
+     * @var SyncBatchProcessor
+     */
+    private SyncBatchProcessor $processor;
+
+    /**
+     * Sync preview.
+     *
+     * @var SyncPreview
+     */
+    private SyncPreview $preview;
+
+    /**
+     * Stock and price sync.
+     *
+     * @var StockPriceSync
+     */
+    private StockPriceSync $stock_sync;
+
+    /**
+     * Discontinued products.
+     *
+     * @var DiscontinuedProducts
+     */
+    private DiscontinuedProducts $discontinued;
+
+    /**
+     * Settings bundle.
+     *
+     * @var SettingsBundle
+     */
+    private SettingsBundle $settings_bundle;
+
+    /**
+     * Translation repository.
+     *
+     * @var TranslationRepository
+     */
+    private TranslationRepository $translation_repository;
+
+    /**
+     * Profile repository.
+     *
+     * @var ProfileRepository
+     */
+    private ProfileRepository $profile_repository;
+
+    /**
+     * Constructor.
+     *
+     * @param SyncControl           $control                Sync control.
+     * @param SyncBatchProcessor    $processor              Batch processor.
+     * @param SyncPreview           $preview                Sync preview.
+     * @param StockPriceSync        $stock_sync             Stock and price sync.
+     * @param DiscontinuedProducts  $discontinued           Discontinued products.
+     * @param SettingsBundle        $settings_bundle        Settings bundle.
+     * @param TranslationRepository $translation_repository Translation repository.
+     * @param ProfileRepository     $profile_repository     Profile repository.
+     */
+    public function __construct(
+        SyncControl $control,
+        SyncBatchProcessor $processor,
+        SyncPreview $preview,
+        StockPriceSync $stock_sync,
+        DiscontinuedProducts $discontinued,
+        SettingsBundle $settings_bundle,
+        TranslationRepository $translation_repository,
+        ProfileRepository $profile_repository
+    ) {
+        $this->control = $control;
+        $this->processor = $processor;
+        $this->preview = $preview;
+        $this->stock_sync = $stock_sync;
+        $this->discontinued = $discontinued;
+        $this->settings_bundle = $settings_bundle;
+        $this->translation_repository = $translation_repository;
+        $this->profile_repository = $profile_repository;
+    }
+
+    /**
+     * Runs a full, incremental or profile sync.
+     *
+     * ## OPTIONS
+     *
+     * [--profile=<id>]
+     * : Import profile to sync. Leave out for the global sync.
+     *
+     * [--incremental]
+     * : Only sync products changed since the last sync.
+     *
+     * [--since=<date>]
+     * : With --incremental, sync products changed since this date instead.
+     *
+     * [--limit=<number>]
+     * : Stop after this many products (full sync only).
+     * ---
+     * default: 0
+     * ---
+     *
+     * [--resume]
+     * : Continue from the page the previous sync reached (full sync only).
+     *
+     * [--background]
+     * : Start the sync and exit, leaving the batches to Action Scheduler.
+     *
+     * [--dry-run]
+     * : List what a full sync would create, update or skip, without changing anything.
+     *
+     * [--format=<format>]
+     * : Format of the --dry-run listing.
+     * ---
+     * default: table
+     * options:
+     *   - table
+     *   - csv
+     *   - json
+     *   - yaml
+     * ---
+     *
+     * ## EXAMPLES
+     *
+     *     # Nightly incremental sync from the server crontab
+     *     $ wp ewheel sync --incremental --quiet
+     *
+     *     # Try a profile on 20 products first
+     *     $ wp ewheel sync --profile=3 --limit=20 --dry-run
+     *
+     * @param array $args       Positional arguments.
+     * @param array $assoc_args Associative arguments.
+     * @return void
+     */
+    public function sync(array $args, array $assoc_args): void
+    {
+        $profile_id = $this->get_profile_id($assoc_args);
+        $incremental = (bool) Utils\get_flag_value($assoc_args, 'incremental', false);
+        $resume = (bool) Utils\get_flag_value($assoc_args, 'resume', false);
+        $limit = absint($assoc_args['limit'] ?? 0);
+        $since = isset($assoc_args['since']) ? (string) $assoc_args['since'] : null;
+
+        if ($since !== null && !$incremental) {
+            WP_CLI::error('--since only applies to --incremental.', self::EXIT_ERROR);
+        }
+        if ($incremental && ($limit > 0 || $resume)) {
+            WP_CLI::error('--limit and --resume only apply to full syncs.', self::EXIT_ERROR);
+        }
+
+        if (Utils\get_flag_value($assoc_args, 'dry-run', false)) {
+            if ($incremental) {
+                WP_CLI::error('--dry-run previews a full sync and cannot be combined with --incremental.', self::EXIT_ERROR);
+            }
+            $this->dry_run_sync($profile_id, $limit, $assoc_args['format'] ?? 'table');
+            return;
+        }
+
+        if ($since !== null) {
+            $timestamp = strtotime($since);
+            if ($timestamp === false) {
+                WP_CLI::error(sprintf('Invalid --since date: %s', $since), self::EXIT_ERROR);
+            }
+            // Same format the last sync time is stored in
+            $since = gmdate('Y-m-d\TH:i:s', $timestamp);
+        }
+
+        try {
+            $sync_id = $incremental
+                ? $this->control->start_incremental($since, $profile_id)
+                : $this->control->start($limit, $profile_id, $resume);
+        } catch (\RuntimeException $e) {
+            WP_CLI::error($e->getMessage(), self::EXIT_CONFLICT);
+        }
+
+        if (Utils\get_flag_value($assoc_args, 'background', false)) {
+            WP_CLI::success(sprintf('Sync %s queued.', $sync_id));
+            return;
+        }
+
+        WP_CLI::log(sprintf('Sync %s started.', $sync_id));
+        $this->run_in_foreground($sync_id, $profile_id, !$incremental);
+    }
+
+    /**
+     * Runs the stock (and price) sync.
+     *
+     * ## OPTIONS
+     *
+     * [--background]
+     * : Queue the run in Action Scheduler and exit.
+     *
+     * [--dry-run]
+     * : Count the products the run would change, without saving them.
+     *
+     * ## EXAMPLES
+     *
+     *     $ wp ewheel stock
+     *     $ wp ewheel stock --dry-run
+     *
+     * @param array $args       Positional arguments.
+     * @param array $assoc_args Associative arguments.
+     * @return void
+     */
+    public function stock(array $args, array $assoc_args): void
+    {
+        if (Utils\get_flag_value($assoc_args, 'dry-run', false)) {
+            WP_CLI::log('Reading stock from the ewheel API...');
+
+            try {
+                $summary = $this->stock_sync->preview();
+            } catch (\Throwable $e) {
+                WP_CLI::error($e->getMessage(), self::EXIT_ERROR);
+            }
+
+            $this->print_stock_changes($summary);
+            WP_CLI::success(sprintf(
+                'Dry run: %d products would be updated (%d price changes, %d stock status changes), %d unchanged, %d not in WooCommerce.',
+                $summary['updated'],
+                $summary['price_changes'],
+                $summary['status_change_count'],
+                $summary['unchanged'],
+                $summary['skipped']
+            ));
+            return;
+        }
+
+        if ($this->stock_sync->is_busy()) {
+            WP_CLI::error('A stock sync is already running.', self::EXIT_CONFLICT);
+        }
+
+        if (Utils\get_flag_value($assoc_args, 'background', false)) {
+            try {
+                $this->stock_sync->queue();
+            } catch (\RuntimeException $e) {
+                WP_CLI::error($e->getMessage(), self::EXIT_CONFLICT);
+            }
+
+            WP_CLI::success('Stock sync queued.');
+            return;
+        }
+
+        WP_CLI::log('Reading stock from the ewheel API...');
+        $status = $this->stock_sync->run();
+
+        if (($status['status'] ?? '') === StockPriceSync::STATUS_FAILED) {
+            WP_CLI::error($status['error'] ?? 'Stock sync failed.', self::EXIT_ERROR);
+        }
+        if (($status['status'] ?? '') !== StockPriceSync::STATUS_COMPLETED) {
+            // run() returns the current state when another process holds the lock
+            WP_CLI::error('A stock sync is already running.', self::EXIT_CONFLICT);
+        }
+
+        $this->print_stock_changes($status);
+        WP_CLI::success(sprintf(
+            'Stock sync complete: %d updated (%d price changes, %d stock status changes), %d unchanged, %d not in WooCommerce.',
+            $status['updated'],
+            $status['price_changes'],
+            $status['status_change_count'],
+            $status['unchanged'],
+            $status['skipped']
+        ));
+    }
+
+    /**
+     * Shows the state of the global or a profile sync.
+     *
+     * ## OPTIONS
+     *
+     * [--profile=<id>]
+     * : Import profile. Leave out for the global sync.
+     *
+     * [--format=<format>]
+     * : Output format.
+     * ---
+     * default: table
+     * options:
+     *   - table
+     *   - json
+     *   - yaml
+     * ---
+     *
+     * @param array $args       Positional arguments.
+     * @param array $assoc_args Associative arguments.
+     * @return void
+     */
+    public function status(array $args, array $assoc_args): void
+    {
+        $status = $this->control->get_status($this->get_profile_id($assoc_args), false);
+
+        $fields = ['status', 'id', 'type', 'processed', 'created', 'updated', 'failed', 'page', 'total_products', 'eta_seconds', 'message'];
+        $formatter = new \WP_CLI\Formatter($assoc_args, $fields);
+        $formatter->display_item($status);
+    }
+
+    /**
+     * Pauses the running sync after its current batch.
+     *
+     * ## OPTIONS
+     *
+     * [--profile=<id>]
+     * : Import profile. Leave out for the global sync.
+     *
+     * @param array $args       Positional arguments.
+     * @param array $assoc_args Associative arguments.
+     * @return void
+     */
+    public function pause(array $args, array $assoc_args): void
+    {
+        try {
+            $sync_id = $this->control->pause($this->get_profile_id($assoc_args));
+        } catch (\RuntimeException $e) {
+            WP_CLI::error($e->getMessage(), self::EXIT_CONFLICT);
+        }
+
+        WP_CLI::success(sprintf('Sync %s will pause after its current batch.', $sync_id));
+    }
+
+    /**
+     * Resumes a paused sync.
+     *
+     * ## OPTIONS
+     *
+     * [--profile=<id>]
+     * : Import profile. Leave out for the global sync.
+     *
+     * [--background]
+     * : Resume the sync and exit, leaving the batches to Action Scheduler.
+     *
+     * @param array $args       Positional arguments.
+     * @param array $assoc_args Associative arguments.
+     * @return void
+     */
+    public function resume(array $args, array $assoc_args): void
+    {
+        $profile_id = $this->get_profile_id($assoc_args);
+
+        try {
+            $sync_id = $this->control->resume($profile_id);
+        } catch (\RuntimeException $e) {
+            WP_CLI::error($e->getMessage(), self::EXIT_CONFLICT);
+        }
+
+        if (Utils\get_flag_value($assoc_args, 'background', false)) {
+            WP_CLI::success(sprintf('Sync %s resumed.', $sync_id));
+            return;
+        }
+
+        WP_CLI::log(sprintf('Sync %s resumed.', $sync_id));
+        $this->run_in_foreground($sync_id, $profile_id, true);
+    }
+
+    /**
+     * Stops the running or paused sync.
+     *
+     * ## OPTIONS
+     *
+     * [--profile=<id>]
+     * : Import profile. Leave out for the global sync.
+     *
+     * [--force]
+     * : Also reset the state of every other sync and unschedule all batches.
+     *
+     * @param array $args       Positional arguments.
+     * @param array $assoc_args Associative arguments.
+     * @return void
+     */
+    public function stop(array $args, array $assoc_args): void
+    {
+        $force = (bool) Utils\get_flag_value($assoc_args, 'force', false);
+        $sync_id = $this->control->stop($this->get_profile_id($assoc_args), $force);
+
+        if ($sync_id) {
+            WP_CLI::success(sprintf('Sync %s stopped.', $sync_id));
+        } else {
+            WP_CLI::success('No sync was running. Sync state cleared.');
+        }
+    }
+
+    /**
+     * Applies the discontinued policy to products no longer in the feed.
+     *
+     * ## OPTIONS
+     *
+     * [--profile=<id>]
+     * : Use the discontinued policy of this profile.
+     *
+     * [--scan]
+     * : Read the ewheel feed first instead of using the last snapshot.
+     *
+     * [--dry-run]
+     * : Only list the products reconciliation would act on.
+     *
+     * [--format=<format>]
+     * : Format of the product report.
+     * ---
+     * default: table
+     * options:
+     *   - table
+     *   - csv
+     *   - json
+     *   - yaml
+     *   - count
+     * ---
+     *
+     * ## EXAMPLES
+     *
+     *     $ wp ewheel reconcile --scan --dry-run
+     *     $ wp ewheel reconcile --profile=3 --format=csv > discontinued.csv
+     *
+     * @param array $args       Positional arguments.
+     * @param array $assoc_args Associative arguments.
+     * @return void
+     */
+    public function reconcile(array $args, array $assoc_args): void
+    {
+        $profile_id = $this->get_profile_id($assoc_args);
+        $dry_run = (bool) Utils\get_flag_value($assoc_args, 'dry-run', false);
+
+        try {
+            if (Utils\get_flag_value($assoc_args, 'scan', false)) {
+                WP_CLI::log('Reading the ewheel feed...');
+                $snapshot = $this->discontinued->scan_feed();
+                WP_CLI::log(sprintf('Feed checked: %d references.', $snapshot['count']));
+            }
+
+            $snapshot = $this->discontinued->get_snapshot_info();
+            if ($snapshot === null) {
+                WP_CLI::error('The feed has not been checked yet. Run with --scan.', self::EXIT_ERROR);
+            }
+
+            $stats = $dry_run ? null : $this->discontinued->reconcile($profile_id);
+        } catch (\RuntimeException $e) {
+            WP_CLI::error($e->getMessage(), self::EXIT_ERROR);
+        }
+
+        $review = $this->discontinued->get_review($dry_run ? DiscontinuedProducts::STATE_PENDING : '');
+
+        $fields = ['id', 'sku', 'name', 'status', 'state', 'excluded', 'stock_quantity', 'sales', 'discontinued_at'];
+        Utils\format_items($assoc_args['format'] ?? 'table', $review['products'], $fields);
+
+        if ($review['total'] > count($review['products'])) {
+            WP_CLI::warning(sprintf('Only the first %d of %d products are listed.', count($review['products']), $review['total']));
+        }
+
+        if ($dry_run) {
+            WP_CLI::success(sprintf(
+                'Dry run: %d published products are missing from the feed (checked %s). The %s policy would apply.',
+                $review['total'],
+                $snapshot['checked_at'],
+                $this->discontinued->get_policy($profile_id)
+            ));
+            return;
+        }
+
+        WP_CLI::success(sprintf(
+            '%d products discontinued, %d back in the feed, %d excluded, %d checked.',
+            $stats['discontinued'],
+            $stats['restored'],
+            $stats['excluded'],
+            $stats['checked']
+        ));
+    }
+
+    /**
+     * Clears a cache.
+     *
+     * ## OPTIONS
+     *
+     * <cache>
+     * : Cache to clear.
+     * ---
+     * options:
+     *   - translations
+     *   - models
+     *   - product-count
+     *   - all
+     * ---
+     *
+     * [--include-approved]
+     * : Also delete translations that were approved or edited by hand.
+     *
+     * ## EXAMPLES
+     *
+     *     # After changing the translation driver
+     *     $ wp ewheel clear-cache translations
+     *
+     * @subcommand clear-cache
+     *
+     * @param array $args       Positional arguments.
+     * @param array $assoc_args Associative arguments.
+     * @return void
+     */
+    public function clear_cache(array $args, array $assoc_args): void
+    {
+        $cache = $args[0];
+
+        if ($cache === 'translations' || $cache === 'all') {
+            $include_approved = (bool) Utils\get_flag_value($assoc_args, 'include-approved', false);
+            $deleted = $this->translation_repository->clear($include_approved);
+            delete_transient(self::CATEGORY_TRANSLATIONS_CACHE);
+
+            WP_CLI::log(sprintf(
+                $include_approved
+                    ? 'Deleted %d cached translations and the category translation cache.'
+                    : 'Deleted %d cached translations and the category translation cache. Approved translations and manual category edits were kept.',
+                $deleted
+            ));
+        }
+
+        if ($cache === 'models' || $cache === 'all') {
+            Configuration::clear_cached_openrouter_models();
+            WP_CLI::log('Cleared the OpenRouter model list.');
+        }
+
+        if ($cache === 'product-count' || $cache === 'all') {
+            delete_transient(self::PRODUCT_COUNT_CACHE);
+            WP_CLI::log('Cleared the feed product count.');
+        }
+
+        WP_CLI::success('Cache cleared.');
+    }
+
+    /**
+     * Exports settings as a JSON bundle.
+     *
+     * API keys are never exported.
+     *
+     * ## OPTIONS
+     *
+     * [--sections=<sections>]
+     * : Comma-separated sections: settings, profiles, category_mappings, model_names, category_translations. Default: all.
+     *
+     * [--file=<path>]
+     * : Write the bundle to this file instead of STDOUT.
+     *
+     * ## EXAMPLES
+     *
+     *     $ wp ewheel export-settings --file=ewheel-settings.json
+     *
+     * @subcommand export-settings
+     *
+     * @param array $args       Positional arguments.
+     * @param array $assoc_args Associative arguments.
+     * @return void
+     */
+    public function export_settings(array $args, array $assoc_args): void
+    {
+        $sections = $this->get_sections($assoc_args);
+        $json = wp_json_encode(
+            $this->settings_bundle->export($sections),
+            JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE
+        );
+
+        if (empty($assoc_args['file'])) {
+            WP_CLI::line($json);
+            return;
+        }
+
+        if (file_put_contents($assoc_args['file'], $json . "\n") === false) {
+            WP_CLI::error(sprintf('Could not write %s.', $assoc_args['file']), self::EXIT_ERROR);
+        }
+
+        WP_CLI::success(sprintf('Exported %s to %s.', implode(', ', $sections), $assoc_args['file']));
+    }
+
+    /**
+     * Imports a settings bundle.
+     *
+     * ## OPTIONS
+     *
+     * <file>
+     * : Bundle file written by export-settings, or - to read STDIN.
+     *
+     * [--sections=<sections>]
+     * : Comma-separated sections to apply. Default: all sections in the bundle.
+     *
+     * [--dry-run]
+     * : Only list the entries the import would add or change.
+     *
+     * ## EXAMPLES
+     *
+     *     $ wp ewheel import-settings ewheel-settings.json --dry-run
+     *     $ wp ewheel import-settings ewheel-settings.json --sections=settings,profiles
+     *
+     * @subcommand import-settings
+     *
+     * @param array $args       Positional arguments.
+     * @param array $assoc_args Associative arguments.
+     * @return void
+     */
+    public function import_settings(array $args, array $assoc_args): void
+    {
+        $file = $args[0];
+        if ($file !== '-' && !is_readable($file)) {
+            WP_CLI::error(sprintf('Cannot read %s.', $file), self::EXIT_ERROR);
+        }
+        $json = (string) file_get_contents($file === '-' ? 'php://stdin' : $file);
+
+        try {
+            $parsed = $this->settings_bundle->parse($json);
+        } catch (\RuntimeException $e) {
+            WP_CLI::error($e->getMessage(), self::EXIT_ERROR);
+        }
+
+        foreach ($parsed['warnings'] as $warning) {
+            WP_CLI::warning($warning);
+        }
+
+        $diff = $this->settings_bundle->diff($parsed['bundle']);
+        $sections = isset($assoc_args['sections']) ? $this->get_sections($assoc_args) : array_keys($diff);
+
+        $rows = [];
+        foreach ($diff as $section => $entries) {
+            if (!in_array($section, $sections, true)) {
+                continue;
+            }
+            foreach ($entries as $entry) {
+                if ($entry['status'] === SettingsBundle::STATUS_SAME) {
+                    continue;
+                }
+                $rows[] = [
+                    'section' => $section,
+                    'key' => $entry['key'],
+                    'status' => $entry['status'],
+                    'current' => $entry['current'],
+                    'incoming' => $entry['incoming'],
+                ];
+            }
+        }
+
+        if (!empty($rows)) {
+            Utils\format_items('table', $rows, ['section', 'key', 'status', 'current', 'incoming']);
+        }
+
+        $missing = count(array_filter($rows, fn($row) => $row['status'] === SettingsBundle::STATUS_MISSING));
+        if ($missing > 0) {
+            WP_CLI::warning(sprintf('%d entries refer to categories or profiles that do not exist here and will be skipped.', $missing));
+        }
+
+        if (Utils\get_flag_value($assoc_args, 'dry-run', false)) {
+            WP_CLI::success(sprintf('Dry run: %d entries would be added or changed.', count($rows) - $missing));
+            return;
+        }
+
+        $applied = $this->settings_bundle->apply($parsed['bundle'], $sections);
+
+        $summary = [];
+        foreach ($applied as $section => $count) {
+            $summary[] = sprintf('%s: %d', $section, $count);
+        }
+
+        WP_CLI::success(sprintf('Settings imported (%s).', $summary ? implode(', ', $summary) : 'nothing to apply'));
+    }
+
+    /**
+     * Run the queued batches of a sync in this process until it ends.
+     *
+     * Exits with EXIT_FAILED_ITEMS, EXIT_INTERRUPTED or EXIT_ERROR when the
+     * sync did not complete cleanly.
+     *
+     * @param string   $sync_id    Sync ID.
+     * @param int|null $profile_id Profile ID (null for global sync).
+     * @param bool     $show_bar   Show a progress bar when the total is known.
+     * @return void
+     */
+    private function run_in_foreground(string $sync_id, ?int $profile_id, bool $show_bar): void
+    {
+        $status = $this->control->get_status($profile_id, false);
+        $total = (int) $status['total_products'];
+        $progress = $show_bar && $total > 0 ? Utils\make_progress_bar('Syncing products', $total) : null;
+
+        $reported = (int) $status['processed'];
+        $last_progress = time();
+
+        while (true) {
+            // Pick up pause and stop requests made by other processes
+            Utils\wp_clear_object_cache();
+
+            $ran = $this->run_next_batch($sync_id);
+
+            // Without a queued batch, let the stall recovery reschedule a batch that died
+            $status = $this->control->get_status($profile_id, !$ran);
+
+            if ($status['id'] !== $sync_id || in_array($status['status'], self::FINAL_STATUSES, true)) {
+                break;
+            }
+
+            $processed = (int) $status['processed'];
+            if ($processed > $reported) {
+                if ($progress) {
+                    $progress->tick(min($processed, $total) - min($reported, $total));
+                } else {
+                    WP_CLI::log(sprintf(
+                        'Processed %d products (%d created, %d updated, %d failed)',
+                        $processed,
+                        $status['created'],
+                        $status['updated'],
+                        $status['failed']
+                    ));
+                }
+                $reported = $processed;
+                $last_progress = time();
+            } elseif ($ran) {
+                $last_progress = time();
+            } elseif (time() - $last_progress > self::STALL_TIMEOUT) {
+                WP_CLI::error(sprintf('Sync %s made no progress for %d minutes.', $sync_id, self::STALL_TIMEOUT / 60), self::EXIT_ERROR);
+            }
+
+            if (!$ran) {
+                // Another runner (WP-Cron) has the current batch
+                sleep(self::POLL_SECONDS);
+            }
+        }
+
+        if ($progress) {
+            $progress->finish();
+        }
+
+        $this->finish($sync_id, $status);
+    }
+
+    /**
+     * Take the next queued batch of a sync off Action Scheduler and run it here.
+     *
+     * @param string $sync_id Sync ID.
+     * @return bool False when nothing is queued for the sync.
+     */
+    private function run_next_batch(string $sync_id): bool
+    {
+        foreach (self::SYNC_HOOKS as $hook) {
+            $actions = as_get_scheduled_actions([
+                'hook' => $hook,
+                'status' => \ActionScheduler_Store::STATUS_PENDING,
+                'per_page' => 50,
+            ]);
+
+            foreach ($actions as $action) {
+                $args = $action->get_args();
+                if (($args['sync_id'] ?? '') !== $sync_id) {
+                    continue;
+                }
+
+                $due = as_next_scheduled_action($hook, $args);
+
+                // Claimed by another runner in the meantime
+                if (!as_unschedule_action($hook, $args)) {
+                    continue;
+                }
+
+                // Keep the delay between pages and after failures
+                if (is_int($due) && $due > time()) {
+                    sleep(min($due - time(), self::MAX_DELAY_SECONDS));
+                }
+
+                $profile_id = isset($args['profile_id']) ? (int) $args['profile_id'] : null;
+
+                try {
+                    if ($hook === 'ewheel_importer_sync_stock') {
+                        $this->processor->process_stock_sync($sync_id, $profile_id);
+                    } else {
+                        $this->processor->process_batch(
+                            (int) $args['page'],
+                            $sync_id,
+                            (string) ($args['since'] ?? ''),
+                            $profile_id,
+                            (int) ($args['offset'] ?? 0)
+                        );
+                    }
+                } catch (\Throwable $e) {
+                    WP_CLI::warning('Batch error: ' . $e->getMessage());
+                }
+
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Report how a sync ended and exit with the matching code.
+     *
+     * @param string $sync_id Sync ID.
+     * @param array  $status  Final status from SyncControl::get_status().
+     * @return void
+     */
+    private function finish(string $sync_id, array $status): void
+    {
+        if ($status['id'] !== $sync_id || in_array($status['status'], ['idle', 'stopped'], true)) {
+            WP_CLI::warning(sprintf('Sync %s was stopped.', $sync_id));
+            WP_CLI::halt(self::EXIT_INTERRUPTED);
+        }
+
+        if ($status['status'] === 'paused') {
+            WP_CLI::warning(sprintf('Sync %s was paused. Continue it with `wp ewheel resume`.', $sync_id));
+            WP_CLI::halt(self::EXIT_INTERRUPTED);
+        }
+
+        if ($status['status'] === 'failed') {
+            WP_CLI::error($status['message'], self::EXIT_ERROR);
+        }
+
+        if ((int) $status['failed'] > 0) {
+            WP_CLI::warning(sprintf(
+                'Sync finished with %d failed products: %d processed (%d created, %d updated). See `wp ewheel status` and the logs.',
+                $status['failed'],
+                $status['processed'],
+                $status['created'],
+                $status['updated']
+            ));
+            WP_CLI::halt(self::EXIT_FAILED_ITEMS);
+        }
+
+        WP_CLI::success($status['message']);
+    }
+
+    /**
+     * Preview a full sync page by page.
+     *
+     * @param int|null $profile_id Profile ID (null for global sync).
+     * @param int      $limit      Products to preview, 0 for all.
+     * @param string   $format     Output format.
+     * @return void
+     */
+    private function dry_run_sync(?int $profile_id, int $limit, string $format): void
+    {
+        $cached_count = (int) get_transient(self::PRODUCT_COUNT_CACHE);
+        $total = $limit > 0 ? $limit : $cached_count;
+        $progress = $total > 0 ? Utils\make_progress_bar('Previewing products', $total) : null;
+
+        $rows = [];
+        $summary = ['create' => 0, 'update' => 0, 'skip' => 0];
+        $next = ['page' => 0, 'offset' => 0];
+
+        while ($next && ($limit === 0 || count($rows) < $limit)) {
+            try {
+                $result = $this->preview->preview($next['page'], $next['offset'], $profile_id);
+            } catch (\Throwable $e) {
+                WP_CLI::error($e->getMessage(), self::EXIT_ERROR);
+            }
+
+            foreach ($result['items'] as $item) {
+                $summary[$item['action']]++;
+                $rows[] = [
+                    'action' => $item['action'],
+                    'sku' => $item['sku'] !== '' ? $item['sku'] : $item['reference'],
+                    'name' => $item['name'],
+                    'product_id' => $item['product_id'],
+                    'changes' => $item['reason'] !== '' ? $item['reason'] : implode(', ', array_keys($item['changes'])),
+                ];
+            }
+
+            if ($progress) {
+                $progress->tick(count($result['items']));
+            }
+
+            $next = $result['next'];
+        }
+
+        if ($progress) {
+            $progress->finish();
+        }
+
+        Utils\format_items($format, $rows, ['action', 'sku', 'name', 'product_id', 'changes']);
+
+        WP_CLI::success(sprintf(
+            'Dry run: %d to create, %d to update, %d to skip.',
+            $summary['create'],
+            $summary['update'],
+            $summary['skip']
+        ));
+    }
+
+    /**
+     * List the stock status changes of a stock sync run.
+     *
+     * @param array $summary Run summary from StockPriceSync.
+     * @return void
+     */
+    private function print_stock_changes(array $summary): void
+    {
+        if (empty($summary['status_changes'])) {
+            return;
+        }
+
+        Utils\format_items('table', $summary['status_changes'], ['sku', 'product_id', 'name', 'old', 'new']);
+
+        if ($summary['status_change_count'] > count($summary['status_changes'])) {
+            WP_CLI::log(sprintf('...and %d more.', $summary['status_change_count'] - count($summary['status_changes'])));
+        }
+    }
+
+    /**
+     * Read and check the --profile option.
+     *
+     * @param array $assoc_args Associative arguments.
+     * @return int|null Profile ID, null for the global sync.
+     */
+    private function get_profile_id(array $assoc_args): ?int
+    {
+        $profile_id = absint($assoc_args['profile'] ?? 0);
+        if (!$profile_id) {
+            return null;
+        }
+
+        if (!$this->profile_repository->find($profile_id)) {
+            WP_CLI::error(sprintf('Profile %d not found.', $profile_id), self::EXIT_ERROR);
+        }
+
+        return $profile_id;
+    }
+
+    /**
+     * Read and check the --sections option.
+     *
+     * @param array $assoc_args Associative arguments.
+     * @return string[] Sections, all of them when the option is missing.
+     */
+    private function get_sections(array $assoc_args): array
+    {
+        $known = array_keys(SettingsBundle::get_section_labels());
+        if (empty($assoc_args['sections'])) {
+            return $known;
+        }
+
+        $sections = array_filter(array_map('trim', explode(',', (string) $assoc_args['sections'])));
+        $unknown = array_diff($sections, $known);
+        if (!empty($unknown)) {
+            WP_CLI::error(
+                sprintf('Unknown sections: %s. Use: %s.', implode(', ', $unknown), implode(', ', $known)),
+                self::EXIT_ERROR
+            );
+        }
+
+        return array_values($sections);
+    }
+}
@@ -14,9 +14,36 @@ namespace Trotibike\EwheelImporter\Config;
  * - Visible: Shown on product page
  * - Hidden: Filterable but not displayed
  * - Meta: Stored as product meta (not WooCommerce attributes)
+ * - Taxonomy: Global WooCommerce attribute (pa_*), shown on product page
+ * - Ignore: Not imported at all
+ *
+ * The constants below are the defaults. Mappings saved from the Attributes
+ * tab override them per attribute slug, together with a Romanian label and
+ * a value map for normalized units. AttributeMappings loads them through
+ * set_mappings(); until then only the defaults apply.
  */
 class AttributeConfiguration
 {
+    /**
+     * Attribute kinds.
+     */
+    public const KIND_VISIBLE = 'visible';
+    public const KIND_HIDDEN = 'hidden';
+    public const KIND_META = 'meta';
+    public const KIND_TAXONOMY = 'taxonomy';
+    public const KIND_IGNORE = 'ignore';
+
+    /**
+     * All attribute kinds.
+     */
+    public const KINDS = [
+        self::KIND_VISIBLE,
+        self::KIND_HIDDEN,
+        self::KIND_META,
+        self::KIND_TAXONOMY,
+        self::KIND_IGNORE,
+    ];
+
     /**
      * Visible attributes (shown on product page).
      */
@@ -107,6 +134,83 @@ class AttributeConfiguration
         'no'        => 'Nu',
     ];
 
+    /**
+     * Saved mappings in use.
+     *
+     * @var array
+     */
+    private static array $mappings = [];
+
+    /**
+     * Use saved mappings on top of the defaults.
+     *
+     * @param array<string, array> $mappings Attribute slug => mapping (kind, label, meta_key, unit, values).
+     * @return void
+     */
+    public static function set_mappings(array $mappings): void
+    {
+        self::$mappings = $mappings;
+    }
+
+    /**
+     * Get the saved mappings in use.
+     *
+     * @return array<string, array>
+     */
+    public static function get_mappings(): array
+    {
+        return self::$mappings;
+    }
+
+    /**
+     * Get the saved mapping of an attribute.
+     *
+     * @param string $attribute_key The attribute key.
+     * @return array Mapping, empty when none is saved.
+     */
+    public static function get_mapping(string $attribute_key): array
+    {
+        $mapping = self::get_mappings()[self::normalize_key($attribute_key)] ?? [];
+
+        return is_array($mapping) ? $mapping : [];
+    }
+
+    /**
+     * Get the kind the constants give an attribute.
+     *
+     * @param string $attribute_key The attribute key.
+     * @return string One of KINDS, or '' for attributes not listed.
+     */
+    public static function get_default_kind(string $attribute_key): string
+    {
+        $normalized = self::normalize_key($attribute_key);
+
+        if (in_array($normalized, self::VISIBLE_ATTRIBUTES, true)) {
+            return self::KIND_VISIBLE;
+        }
+        if (in_array($normalized, self::HIDDEN_ATTRIBUTES, true)) {
+            return self::KIND_HIDDEN;
+        }
+        if (isset(self::META_ATTRIBUTES[$normalized])) {
+            return self::KIND_META;
+        }
+
+        return '';
+    }
+
+    /**
+     * Get the kind of an attribute, saved mapping first.
+     *
+     * @param string $attribute_key The attribute key.
+     * @return string One of KINDS, or '' for attributes neither mapped nor listed.
+     */
+    public static function get_kind(string $attribute_key): string
+    {
+        $kind = (string) (self::get_mapping($attribute_key)['kind'] ?? '');
+
+        return in_array($kind, self::KINDS, true) ? $kind : self::get_default_kind($attribute_key);
+    }
+
     /**
      * Normalize an attribute key for consistent lookup.
      *
@@ -126,8 +230,7 @@ class AttributeConfiguration
      */
     public static function is_visible(string $attribute_key): bool
     {
-        $normalized = self::normalize_key($attribute_key);
-        return in_array($normalized, self::VISIBLE_ATTRIBUTES, true);
+        return in_array(self::get_kind($attribute_key), [self::KIND_VISIBLE, self::KIND_TAXONOMY], true);
     }
 
     /**
@@ -138,8 +241,7 @@ class AttributeConfiguration
      */
     public static function is_hidden(string $attribute_key): bool
     {
-        $normalized = self::normalize_key($attribute_key);
-        return in_array($normalized, self::HIDDEN_ATTRIBUTES, true);
+        return self::get_kind($attribute_key) === self::KIND_HIDDEN;
     }
 
     /**
@@ -150,20 +252,70 @@ class AttributeConfiguration
      */
     public static function is_meta(string $attribute_key): bool
     {
-        $normalized = self::normalize_key($attribute_key);
-        return isset(self::META_ATTRIBUTES[$normalized]);
+        return self::get_kind($attribute_key) === self::KIND_META;
+    }
+
+    /**
+     * Check if an attribute should be a global (pa_*) WooCommerce attribute.
+     *
+     * @param string $attribute_key The attribute key (slug).
+     * @return bool
+     */
+    public static function is_taxonomy(string $attribute_key): bool
+    {
+        return self::get_kind($attribute_key) === self::KIND_TAXONOMY;
+    }
+
+    /**
+     * Check if an attribute should not be imported.
+     *
+     * @param string $attribute_key The attribute key (slug).
+     * @return bool
+     */
+    public static function is_ignored(string $attribute_key): bool
+    {
+        return self::get_kind($attribute_key) === self::KIND_IGNORE;
     }
 
     /**
      * Get meta key for an API attribute.
      *
+     * Attributes mapped to meta without a key of their own are stored
+     * under '_ewheel_' followed by the slug.
+     *
      * @param string $attribute_key The API attribute key.
      * @return string|null Meta key or null if not a meta attribute.
      */
     public static function get_meta_key(string $attribute_key): ?string
+    {
+        if (!self::is_meta($attribute_key)) {
+            return null;
+        }
+
+        $normalized = self::normalize_key($attribute_key);
+        $meta_key = (string) (self::get_mapping($normalized)['meta_key'] ?? '');
+
+        if ($meta_key !== '') {
+            return $meta_key;
+        }
+
+        return self::META_ATTRIBUTES[$normalized] ?? '_ewheel_' . str_replace('-', '_', $normalized);
+    }
+
+    /**
+     * Check if an attribute has a Romanian label (saved or built in).
+     *
+     * Attributes without one get their name translated by the API.
+     *
+     * @param string $attribute_key The attribute key.
+     * @return bool
+     */
+    public static function has_label(string $attribute_key): bool
     {
         $normalized = self::normalize_key($attribute_key);
-        return self::META_ATTRIBUTES[$normalized] ?? null;
+
+        return (string) (self::get_mapping($normalized)['label'] ?? '') !== ''
+            || isset(self::ATTRIBUTE_LABELS[$normalized]);
     }
 
     /**
@@ -175,9 +327,45 @@ class AttributeConfiguration
     public static function get_label(string $attribute_key): string
     {
         $normalized = self::normalize_key($attribute_key);
+        $label = (string) (self::get_mapping($normalized)['label'] ?? '');
+
+        if ($label !== '') {
+            return $label;
+        }
+
         return self::ATTRIBUTE_LABELS[$normalized] ?? ucfirst(str_replace('-', ' ', $normalized));
     }
 
+    /**
+     * Normalize an attribute value with the attribute's saved value map and unit.
+     *
+     * The value map is matched case-insensitively on the whole value. A unit
+     * is appended to bare numbers ("500" → "500 W"), with a decimal comma
+     * turned into a point.
+     *
+     * @param string $attribute_key The attribute key.
+     * @param string $value         The cleaned API value.
+     * @return string|null Normalized value, or null when no mapping applies.
+     */
+    public static function map_value(string $attribute_key, string $value): ?string
+    {
+        $mapping = self::get_mapping($attribute_key);
+        $trimmed = trim($value);
+
+        foreach ((array) ($mapping['values'] ?? []) as $from => $to) {
+            if (strtolower(trim((string) $from)) === strtolower($trimmed)) {
+                return (string) $to;
+            }
+        }
+
+        $unit = trim((string) ($mapping['unit'] ?? ''));
+        if ($unit !== '' && preg_match('/^\d+([.,]\d+)?$/', $trimmed)) {
+            return str_replace(',', '.', $trimmed) . ' ' . $unit;
+        }
+
+        return null;
+    }
+
     /**
      * Determine visibility for an attribute.
      *
@@ -189,15 +377,8 @@ class AttributeConfiguration
      */
     public static function get_visibility(string $attribute_key): bool
     {
-        $normalized = self::normalize_key($attribute_key);
-
-        // If explicitly hidden, return false
-        if (in_array($normalized, self::HIDDEN_ATTRIBUTES, true)) {
-            return false;
-        }
-
-        // Otherwise visible (including explicitly visible or unknown)
-        return true;
+        // If hidden, return false; otherwise visible (including unknown)
+        return !self::is_hidden($attribute_key);
     }
 
     /**
@@ -235,4 +416,16 @@ class AttributeConfiguration
         $normalized = self::normalize_key($attribute_key);
         return in_array($normalized, ['peso', 'alto', 'ancho', 'largo', 'longitud'], true);
     }
+
+    /**
+     * Check if an attribute is handled by a dedicated feature (brand, models,
+     * dimensions) and cannot be mapped.
+     *
+     * @param string $attribute_key The attribute key.
+     * @return bool
+     */
+    public static function is_reserved(string $attribute_key): bool
+    {
+        return self::is_brand($attribute_key) || self::is_model($attribute_key) || self::is_dimension($attribute_key);
+    }
 }
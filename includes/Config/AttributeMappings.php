@@ -0,0 +1,310 @@
+<?php
+/**
+ * Attribute Mappings.
+ *
+ * @package Trotibike\EwheelImporter
+ */
+
+namespace Trotibike\EwheelImporter\Config;
+
+use Trotibike\EwheelImporter\Log\PersistentLogger;
+
+/**
+ * Keeps the attribute mappings edited in the Attributes tab and counts the
+ * attribute slugs seen in API payloads.
+ *
+ * A mapping overrides how AttributeConfiguration treats one attribute slug:
+ * its kind, its Romanian label, the meta key of meta attributes, and a value
+ * map plus unit that normalize its values. Usage counts restart every
+ * USAGE_WINDOW_DAYS so the tab reflects recent payloads.
+ */
+class AttributeMappings
+{
+    /**
+     * Option holding the mappings, keyed by attribute slug.
+     */
+    public const OPTION = 'ewheel_importer_attribute_mappings';
+
+    /**
+     * Option holding the attribute usage counts.
+     */
+    public const USAGE_OPTION = 'ewheel_importer_attribute_usage';
+
+    /**
+     * Days after which usage counts restart.
+     */
+    public const USAGE_WINDOW_DAYS = 30;
+
+    /**
+     * Sample values kept per attribute.
+     */
+    public const MAX_SAMPLES = 5;
+
+    /**
+     * Most value map entries per attribute.
+     */
+    public const MAX_VALUES = 200;
+
+    /**
+     * Get the saved mappings.
+     *
+     * @return array<string, array> Attribute slug => mapping (kind, label, meta_key, unit, values).
+     */
+    public function get_mappings(): array
+    {
+        $mappings = get_option(self::OPTION, []);
+        if (!is_array($mappings)) {
+            return [];
+        }
+
+        $normalized = [];
+        foreach ($mappings as $slug => $mapping) {
+            $normalized[(string) $slug] = $this->normalize(is_array($mapping) ? $mapping : []);
+        }
+
+        return $normalized;
+    }
+
+    /**
+     * Get the usage counts.
+     *
+     * @return array {
+     *     @type int   $since    Unix time the counts started.
+     *     @type int   $products Products counted.
+     *     @type array $slugs    Attribute slug => count, last_seen and samples.
+     * }
+     */
+    public function get_usage(): array
+    {
+        $usage = get_option(self::USAGE_OPTION, []);
+        if (!is_array($usage)) {
+            $usage = [];
+        }
+
+        return [
+            'since' => (int) ($usage['since'] ?? 0),
+            'products' => (int) ($usage['products'] ?? 0),
+            'slugs' => is_array($usage['slugs'] ?? null) ? $usage['slugs'] : [],
+        ];
+    }
+
+    /**
+     * Add the attributes of a batch of payloads to the usage counts.
+     *
+     * @param array $slugs    Attribute slug => ['count' => products carrying it, 'samples' => values].
+     * @param int   $products Products in the batch.
+     * @return void
+     */
+    public function record_usage(array $slugs, int $products): void
+    {
+        if ($products < 1) {
+            return;
+        }
+
+        $usage = $this->get_usage();
+        $now = time();
+
+        if ($usage['since'] < $now - self::USAGE_WINDOW_DAYS * DAY_IN_SECONDS) {
+            $usage = ['since' => $now, 'products' => 0, 'slugs' => []];
+        }
+
+        $usage['products'] += $products;
+
+        foreach ($slugs as $slug => $seen) {
+            $slug = AttributeConfiguration::normalize_key((string) $slug);
+            if ($slug === '') {
+                continue;
+            }
+
+            $entry = $usage['slugs'][$slug] ?? ['count' => 0, 'last_seen' => 0, 'samples' => []];
+            $samples = array_merge((array) $entry['samples'], array_map('strval', (array) ($seen['samples'] ?? [])));
+
+            $usage['slugs'][$slug] = [
+                'count' => (int) $entry['count'] + (int) ($seen['count'] ?? 0),
+                'last_seen' => $now,
+                'samples' => array_slice(array_values(array_unique($samples)), 0, self::MAX_SAMPLES),
+            ];
+        }
+
+        update_option(self::USAGE_OPTION, $usage, false);
+    }
+
+    /**
+     * List the attributes seen in recent payloads or mapped, most frequent first.
+     *
+     * @return array {
+     *     @type int   $since      Unix time the counts started.
+     *     @type int   $products   Products counted.
+     *     @type array $attributes Rows with slug, count, last_seen, samples, kind,
+     *                             default_kind, label, default_label, meta_key,
+     *                             default_meta_key, unit, values (from/to pairs)
+     *                             and reserved.
+     * }
+     */
+    public function get_attributes(): array
+    {
+        $usage = $this->get_usage();
+        $mappings = $this->get_mappings();
+
+        $slugs = array_unique(array_merge(
+            array_map('strval', array_keys($usage['slugs'])),
+            array_map('strval', array_keys($mappings))
+        ));
+
+        $rows = [];
+        foreach ($slugs as $slug) {
+            $seen = $usage['slugs'][$slug] ?? [];
+            $mapping = $this->normalize($mappings[$slug] ?? []);
+            $default_kind = AttributeConfiguration::get_default_kind($slug);
+
+            $rows[] = [
+                'slug' => $slug,
+                'count' => (int) ($seen['count'] ?? 0),
+                'last_seen' => (int) ($seen['last_seen'] ?? 0),
+                'samples' => array_values((array) ($seen['samples'] ?? [])),
+                'kind' => $mapping['kind'],
+                'default_kind' => $default_kind !== '' ? $default_kind : AttributeConfiguration::KIND_VISIBLE,
+                'label' => $mapping['label'],
+                'default_label' => AttributeConfiguration::ATTRIBUTE_LABELS[$slug] ?? '',
+                'meta_key' => $mapping['meta_key'],
+                'default_meta_key' => AttributeConfiguration::META_ATTRIBUTES[$slug] ?? '_ewheel_' . str_replace('-', '_', $slug),
+                'unit' => $mapping['unit'],
+                // A list of pairs: numeric keys would turn a map into a JSON array
+                'values' => array_map(
+                    fn($from, $to) => ['from' => (string) $from, 'to' => $to],
+                    array_keys($mapping['values']),
+                    array_values($mapping['values'])
+                ),
+                'reserved' => AttributeConfiguration::is_reserved($slug),
+            ];
+        }
+
+        usort($rows, fn($a, $b) => [$b['count'], $a['slug']] <=> [$a['count'], $b['slug']]);
+
+        return [
+            'since' => $usage['since'],
+            'products' => $usage['products'],
+            'attributes' => $rows,
+        ];
+    }
+
+    /**
+     * Save the mapping of an attribute slug.
+     *
+     * A mapping without a kind, label, meta key, unit or values is removed,
+     * so the attribute falls back to the built-in defaults.
+     *
+     * @param string $slug    Attribute slug.
+     * @param array  $mapping Mapping (kind, label, meta_key, unit, values as from => to).
+     * @return array The saved mapping.
+     * @throws \RuntimeException On a reserved slug, an unknown kind or an invalid meta key.
+     */
+    public function save_mapping(string $slug, array $mapping): array
+    {
+        $slug = AttributeConfiguration::normalize_key($slug);
+        if ($slug === '') {
+            throw new \RuntimeException(__('Attribute slug is required.', 'ewheel-importer'));
+        }
+
+        if (AttributeConfiguration::is_reserved($slug)) {
+            throw new \RuntimeException(__('Brand, model and dimension attributes are handled by the importer and cannot be mapped.', 'ewheel-importer'));
+        }
+
+        $kind = (string) ($mapping['kind'] ?? '');
+        if ($kind !== '' && !in_array($kind, AttributeConfiguration::KINDS, true)) {
+            throw new \RuntimeException(__('Unknown attribute kind.', 'ewheel-importer'));
+        }
+
+        $mapping = $this->normalize($mapping);
+
+        if ($mapping['meta_key'] !== '' && !preg_match('/^[a-z0-9_]+$/', $mapping['meta_key'])) {
+            throw new \RuntimeException(__('Meta keys may only contain lowercase letters, digits and underscores.', 'ewheel-importer'));
+        }
+
+        if (count($mapping['values']) > self::MAX_VALUES) {
+            throw new \RuntimeException(
+                sprintf(__('An attribute can map at most %d values.', 'ewheel-importer'), self::MAX_VALUES)
+            );
+        }
+
+        if ($mapping === $this->normalize([])) {
+            $this->delete_mapping($slug);
+            return $mapping;
+        }
+
+        $mappings = $this->get_mappings();
+        $mappings[$slug] = $mapping;
+        update_option(self::OPTION, $mappings, false);
+        AttributeConfiguration::set_mappings($mappings);
+
+        PersistentLogger::info(
+            sprintf(
+                'Attribute mapping saved for %s: kind=%s, label=%s, values=%d',
+                $slug,
+                $mapping['kind'] ?: 'default',
+                $mapping['label'] ?: 'default',
+                count($mapping['values'])
+            )
+        );
+
+        return $mapping;
+    }
+
+    /**
+     * Remove the mapping of an attribute slug.
+     *
+     * @param string $slug Attribute slug.
+     * @return bool True if a mapping was removed.
+     */
+    public function delete_mapping(string $slug): bool
+    {
+        $slug = AttributeConfiguration::normalize_key($slug);
+        $mappings = $this->get_mappings();
+
+        if (!isset($mappings[$slug])) {
+            return false;
+        }
+
+        unset($mappings[$slug]);
+        update_option(self::OPTION, $mappings, false);
+        AttributeConfiguration::set_mappings($mappings);
+
+        PersistentLogger::info(sprintf('Attribute mapping removed for %s', $slug));
+
+        return true;
+    }
+
+    /**
+     * Fill in defaults and clean a mapping.
+     *
+     * @param array $mapping Raw mapping.
+     * @return array
+     */
+    private function normalize(array $mapping): array
+    {
+        $kind = (string) ($mapping['kind'] ?? '');
+
+        $values = [];
+        foreach ((array) ($mapping['values'] ?? []) as $from => $to) {
+            // Accept both from => to maps and lists of from/to pairs
+            if (is_array($to)) {
+                $from = $to['from'] ?? '';
+                $to = $to['to'] ?? '';
+            }
+
+            $from = trim((string) $from);
+            $to = trim((string) $to);
+            if ($from !== '' && $to !== '') {
+                $values[$from] = $to;
+            }
+        }
+
+        return [
+            'kind' => in_array($kind, AttributeConfiguration::KINDS, true) ? $kind : '',
+            'label' => trim((string) ($mapping['label'] ?? '')),
+            'meta_key' => trim((string) ($mapping['meta_key'] ?? '')),
+            'unit' => trim((string) ($mapping['unit'] ?? '')),
+            'values' => $values,
+        ];
+    }
+}
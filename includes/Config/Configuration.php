@@ -35,6 +35,21 @@ class Configuration
      */
     public const VARIATION_MODE_SIMPLE = 'simple';
 
+    /**
+     * Exchange rate source: the manually entered rate.
+     */
+    public const RATE_SOURCE_MANUAL = 'manual';
+
+    /**
+     * Exchange rate source: National Bank of Romania XML feed.
+     */
+    public const RATE_SOURCE_BNR = 'bnr';
+
+    /**
+     * Exchange rate source: European Central Bank XML feed.
+     */
+    public const RATE_SOURCE_ECB = 'ecb';
+
     /**
      * OpenRouter models transient key.
      */
@@ -55,8 +70,12 @@ class Configuration
         'openrouter_api_key' => '',
         'translation_driver' => 'google', // 'google', 'deepl', 'openrouter'
         'exchange_rate' => 4.97,
+        'exchange_rate_source' => self::RATE_SOURCE_MANUAL, // 'manual', 'bnr', 'ecb'
+        'exchange_rate_feed_url' => '', // Feed URL or local file; empty for the official feed
         'markup_percent' => 20.0,
         'sync_frequency' => 'daily',
+        'stock_sync_frequency' => 'manual', // 'manual', 'ewheel_15min', 'ewheel_30min', 'hourly'
+        'stock_sync_prices' => true,
         'target_language' => 'ro',
         'last_sync' => null,
         'sync_fields' => [
@@ -86,6 +105,10 @@ class Configuration
         'variation_mode' => self::VARIATION_MODE_AUTO, // 'auto', 'variable', or 'simple'
         'notify_on_sync' => true,
         'price_rounding' => 'none', // 'none', 'ceil', '99', 'nearest5', 'nearest10'
+        'pricing_rules' => [],
+        'log_retention_days' => 30, // 0 keeps logs regardless of age
+        'log_max_entries' => 50000, // 0 for no limit
+        'webhook_error_rate' => 0, // Failed products (%) that fire the sync.error_rate webhook, 0 to turn it off
     ];
 
     /**
@@ -182,6 +205,29 @@ class Configuration
         return (float) $this->get('exchange_rate');
     }
 
+    /**
+     * Get exchange rate source.
+     *
+     * @return string 'manual', 'bnr', or 'ecb'
+     */
+    public function get_exchange_rate_source(): string
+    {
+        $source = (string) $this->get('exchange_rate_source');
+        return in_array($source, [self::RATE_SOURCE_MANUAL, self::RATE_SOURCE_BNR, self::RATE_SOURCE_ECB], true)
+            ? $source
+            : self::RATE_SOURCE_MANUAL;
+    }
+
+    /**
+     * Get exchange rate feed URL or file path.
+     *
+     * @return string Empty for the source's official feed.
+     */
+    public function get_exchange_rate_feed_url(): string
+    {
+        return trim((string) $this->get('exchange_rate_feed_url'));
+    }
+
     /**
      * Get markup percentage.
      *
@@ -202,6 +248,37 @@ class Configuration
         return (string) $this->get('price_rounding');
     }
 
+    /**
+     * Get pricing rules (markup tiers evaluated before the default markup).
+     *
+     * @return array
+     */
+    public function get_pricing_rules(): array
+    {
+        $rules = $this->get('pricing_rules');
+        return is_array($rules) ? $rules : [];
+    }
+
+    /**
+     * Get the number of days sync logs are kept.
+     *
+     * @return int 0 to keep logs regardless of age.
+     */
+    public function get_log_retention_days(): int
+    {
+        return max(0, (int) $this->get('log_retention_days'));
+    }
+
+    /**
+     * Get the maximum number of sync log entries kept.
+     *
+     * @return int 0 for no limit.
+     */
+    public function get_log_max_entries(): int
+    {
+        return max(0, (int) $this->get('log_max_entries'));
+    }
+
     /**
      * Get sync frequency.
      *
@@ -212,6 +289,26 @@ class Configuration
         return (string) $this->get('sync_frequency');
     }
 
+    /**
+     * Get how often the stock and price sync runs.
+     *
+     * @return string Cron schedule name, or 'manual'.
+     */
+    public function get_stock_sync_frequency(): string
+    {
+        return (string) $this->get('stock_sync_frequency');
+    }
+
+    /**
+     * Check if the stock sync also updates prices.
+     *
+     * @return bool
+     */
+    public function is_stock_sync_prices_enabled(): bool
+    {
+        return (bool) $this->get('stock_sync_prices');
+    }
+
     /**
      * Get target language.
      *
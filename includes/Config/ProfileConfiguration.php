@@ -8,6 +8,7 @@
 namespace Trotibike\EwheelImporter\Config;
 
 use Trotibike\EwheelImporter\Model\Profile;
+use Trotibike\EwheelImporter\Sync\DiscontinuedProducts;
 
 /**
  * Wraps a Profile and provides Configuration-like interface.
@@ -225,6 +226,19 @@ class ProfileConfiguration
         return (int) ($this->profile->get_setting('test_limit') ?: 0);
     }
 
+    /**
+     * Get what reconciliation does with products no longer in the feed.
+     *
+     * @return string One of the DiscontinuedProducts::POLICY_* constants.
+     */
+    public function get_discontinued_policy(): string
+    {
+        $policy = $this->profile->get_setting('discontinued_policy');
+        return array_key_exists((string) $policy, DiscontinuedProducts::get_policy_labels())
+            ? $policy
+            : DiscontinuedProducts::POLICY_DRAFT;
+    }
+
     /**
      * Get last sync time for this profile.
      *
@@ -0,0 +1,529 @@
+<?php
+/**
+ * Settings Bundle.
+ *
+ * @package Trotibike\EwheelImporter
+ */
+
+namespace Trotibike\EwheelImporter\Config;
+
+use Trotibike\EwheelImporter\Model\Profile;
+use Trotibike\EwheelImporter\Pricing\PricingRules;
+use Trotibike\EwheelImporter\Repository\CategoryRepository;
+use Trotibike\EwheelImporter\Repository\ProfileRepository;
+use Trotibike\EwheelImporter\Service\ModelService;
+
+/**
+ * Exports and imports the plugin setup as one versioned JSON bundle.
+ *
+ * A bundle holds any of the sections below. Category IDs differ between
+ * sites, so categories travel by slug and are resolved again on import.
+ * Imports are previewed as a diff first, then applied per section; map
+ * sections are merged, so entries that only exist on this site are kept.
+ *
+ * Version 1 bundles are the settings-only exports of earlier releases.
+ */
+class SettingsBundle
+{
+    /**
+     * Current bundle format version.
+     */
+    public const BUNDLE_VERSION = 2;
+
+    /**
+     * Bundle sections.
+     */
+    public const SECTION_SETTINGS = 'settings';
+    public const SECTION_PROFILES = 'profiles';
+    public const SECTION_CATEGORY_MAPPINGS = 'category_mappings';
+    public const SECTION_MODEL_NAMES = 'model_names';
+    public const SECTION_CATEGORY_TRANSLATIONS = 'category_translations';
+
+    /**
+     * Option holding manual category name translations.
+     */
+    public const CATEGORY_TRANSLATIONS_OPTION = 'ewheel_importer_category_translation_overrides';
+
+    /**
+     * Diff row statuses.
+     */
+    public const STATUS_ADDED = 'added';
+    public const STATUS_CHANGED = 'changed';
+    public const STATUS_SAME = 'same';
+    public const STATUS_MISSING = 'missing';
+
+    /**
+     * Settings that are never exported: credentials and run state.
+     */
+    private const EXCLUDED_SETTINGS = [
+        'api_key',
+        'translate_api_key',
+        'deepl_api_key',
+        'openrouter_api_key',
+        'last_sync',
+    ];
+
+    /**
+     * Configuration.
+     *
+     * @var Configuration
+     */
+    private Configuration $config;
+
+    /**
+     * Profile repository.
+     *
+     * @var ProfileRepository
+     */
+    private ProfileRepository $profile_repository;
+
+    /**
+     * Category repository.
+     *
+     * @var CategoryRepository
+     */
+    private CategoryRepository $category_repository;
+
+    /**
+     * Model service.
+     *
+     * @var ModelService
+     */
+    private ModelService $model_service;
+
+    /**
+     * Running plugin version.
+     *
+     * @var string
+     */
+    private string $plugin_version;
+
+    /**
+     * Constructor.
+     *
+     * @param Configuration      $config              Configuration.
+     * @param ProfileRepository  $profile_repository  Profile repository.
+     * @param CategoryRepository $category_repository Category repository.
+     * @param ModelService       $model_service       Model service.
+     * @param string             $plugin_version      Running plugin version.
+     */
+    public function __construct(
+        Configuration $config,
+        ProfileRepository $profile_repository,
+        CategoryRepository $category_repository,
+        ModelService $model_service,
+        string $plugin_version
+    ) {
+        $this->config = $config;
+        $this->profile_repository = $profile_repository;
+        $this->category_repository = $category_repository;
+        $this->model_service = $model_service;
+        $this->plugin_version = $plugin_version;
+    }
+
+    /**
+     * Get the sections with their labels.
+     *
+     * @return array<string, string> Section => label.
+     */
+    public static function get_section_labels(): array
+    {
+        return [
+            self::SECTION_SETTINGS => __('Settings', 'ewheel-importer'),
+            self::SECTION_PROFILES => __('Import profiles', 'ewheel-importer'),
+            self::SECTION_CATEGORY_MAPPINGS => __('Category mappings', 'ewheel-importer'),
+            self::SECTION_MODEL_NAMES => __('Model names', 'ewheel-importer'),
+            self::SECTION_CATEGORY_TRANSLATIONS => __('Category translations', 'ewheel-importer'),
+        ];
+    }
+
+    /**
+     * Build a bundle.
+     *
+     * @param array $sections Sections to include.
+     * @return array
+     */
+    public function export(array $sections): array
+    {
+        $bundle = [
+            'bundle_version' => self::BUNDLE_VERSION,
+            'plugin_version' => $this->plugin_version,
+            'exported_at' => current_time('mysql'),
+        ];
+
+        foreach (array_intersect(array_keys(self::get_section_labels()), $sections) as $section) {
+            $bundle[$section] = $this->read_section($section);
+        }
+
+        return $bundle;
+    }
+
+    /**
+     * Decode and check an uploaded bundle.
+     *
+     * @param string $json Bundle JSON.
+     * @return array ['bundle' => array, 'warnings' => string[]].
+     * @throws \RuntimeException If the bundle cannot be imported.
+     */
+    public function parse(string $json): array
+    {
+        $bundle = json_decode($json, true);
+        if (!is_array($bundle)) {
+            throw new \RuntimeException(__('Invalid JSON data', 'ewheel-importer'));
+        }
+
+        // Version 1: {settings, version, exported_at}
+        $bundle_version = (int) ($bundle['bundle_version'] ?? 1);
+        $plugin_version = (string) ($bundle['plugin_version'] ?? ($bundle['version'] ?? ''));
+
+        if ($bundle_version > self::BUNDLE_VERSION) {
+            throw new \RuntimeException(sprintf(
+                /* translators: %s: plugin version */
+                __('This bundle was exported by a newer version of the plugin (%s). Update the plugin before importing it.', 'ewheel-importer'),
+                $plugin_version !== '' ? $plugin_version : '?'
+            ));
+        }
+
+        $sections = array_filter(
+            array_keys(self::get_section_labels()),
+            fn($section) => isset($bundle[$section]) && is_array($bundle[$section])
+        );
+        if (empty($sections)) {
+            throw new \RuntimeException(__('No settings found in import data', 'ewheel-importer'));
+        }
+
+        $warnings = [];
+        if ($plugin_version === '') {
+            $warnings[] = __('The bundle does not say which plugin version exported it.', 'ewheel-importer');
+        } elseif (version_compare($plugin_version, $this->plugin_version, '>')) {
+            $warnings[] = sprintf(
+                /* translators: 1: bundle plugin version, 2: running plugin version */
+                __('Exported by version %1$s, newer than this site (%2$s). Settings this version does not know are skipped.', 'ewheel-importer'),
+                $plugin_version,
+                $this->plugin_version
+            );
+        } elseif (version_compare($plugin_version, $this->plugin_version, '<')) {
+            $warnings[] = sprintf(
+                /* translators: 1: bundle plugin version, 2: running plugin version */
+                __('Exported by version %1$s (this site runs %2$s). Settings added since keep their current values.', 'ewheel-importer'),
+                $plugin_version,
+                $this->plugin_version
+            );
+        }
+
+        $bundle['bundle_version'] = $bundle_version;
+        $bundle['plugin_version'] = $plugin_version;
+
+        return [
+            'bundle' => $bundle,
+            'warnings' => $warnings,
+        ];
+    }
+
+    /**
+     * Compare a bundle with the current setup.
+     *
+     * @param array $bundle Bundle from parse().
+     * @return array Section => list of rows {key, status, current, incoming, value}.
+     */
+    public function diff(array $bundle): array
+    {
+        $diff = [];
+
+        foreach (array_keys(self::get_section_labels()) as $section) {
+            if (!isset($bundle[$section]) || !is_array($bundle[$section])) {
+                continue;
+            }
+
+            $current = $this->read_section($section);
+            $rows = [];
+
+            foreach ($bundle[$section] as $key => $incoming) {
+                $key = (string) $key;
+
+                if ($section === self::SECTION_SETTINGS && !array_key_exists($key, $current)) {
+                    continue;
+                }
+
+                $value = $incoming;
+                $status = null;
+
+                if ($section === self::SECTION_CATEGORY_MAPPINGS) {
+                    $value = $this->resolve_category($incoming);
+                    $status = $value === null ? self::STATUS_MISSING : null;
+                } elseif ($section === self::SECTION_PROFILES) {
+                    $value = is_array($incoming) ? $this->resolve_profile($incoming) : null;
+                    $status = $value === null ? self::STATUS_MISSING : null;
+                }
+
+                if ($status === null) {
+                    if (!array_key_exists($key, $current)) {
+                        $status = self::STATUS_ADDED;
+                    } elseif ($this->is_same($section, $current[$key], $incoming)) {
+                        $status = self::STATUS_SAME;
+                    } else {
+                        $status = self::STATUS_CHANGED;
+                    }
+                }
+
+                $rows[] = [
+                    'key' => $key,
+                    'status' => $status,
+                    'current' => array_key_exists($key, $current) ? $this->format($current[$key]) : '',
+                    'incoming' => $this->format($incoming),
+                    'value' => $value,
+                ];
+            }
+
+            $diff[$section] = $rows;
+        }
+
+        return $diff;
+    }
+
+    /**
+     * Apply the chosen sections of a bundle.
+     *
+     * @param array $bundle   Bundle from parse().
+     * @param array $sections Sections to apply.
+     * @return array Section => number of entries written.
+     */
+    public function apply(array $bundle, array $sections): array
+    {
+        $applied = [];
+
+        foreach ($this->diff($bundle) as $section => $rows) {
+            if (!in_array($section, $sections, true)) {
+                continue;
+            }
+
+            $applied[$section] = 0;
+
+            foreach ($rows as $row) {
+                if (!in_array($row['status'], [self::STATUS_ADDED, self::STATUS_CHANGED], true)) {
+                    continue;
+                }
+
+                $this->write_entry($section, $row['key'], $row['value']);
+                $applied[$section]++;
+            }
+        }
+
+        return $applied;
+    }
+
+    /**
+     * Read a section from the current setup, in bundle form.
+     *
+     * @param string $section Section.
+     * @return array
+     */
+    private function read_section(string $section): array
+    {
+        switch ($section) {
+            case self::SECTION_SETTINGS:
+                return array_diff_key($this->config->get_all(), array_flip(self::EXCLUDED_SETTINGS));
+
+            case self::SECTION_PROFILES:
+                $profiles = [];
+                foreach ($this->profile_repository->find_all() as $profile) {
+                    $profiles[$profile->get_slug()] = [
+                        'name' => $profile->get_name(),
+                        'is_active' => $profile->is_active(),
+                        'filters' => $profile->get_filters(),
+                        'settings' => $profile->get_settings(),
+                        'category_mappings' => $this->export_category_map($profile->get_category_mappings()),
+                    ];
+                }
+                return $profiles;
+
+            case self::SECTION_CATEGORY_MAPPINGS:
+                return $this->export_category_map($this->category_repository->get_manual_mapping());
+
+            case self::SECTION_MODEL_NAMES:
+                return array_map('strval', $this->model_service->get_model_names());
+
+            case self::SECTION_CATEGORY_TRANSLATIONS:
+                $translations = get_option(self::CATEGORY_TRANSLATIONS_OPTION, []);
+                return is_array($translations) ? $translations : [];
+        }
+
+        return [];
+    }
+
+    /**
+     * Write one imported entry.
+     *
+     * @param string $section Section.
+     * @param string $key     Entry key.
+     * @param mixed  $value   Resolved value from diff().
+     * @return void
+     */
+    private function write_entry(string $section, string $key, $value): void
+    {
+        switch ($section) {
+            case self::SECTION_SETTINGS:
+                if ($key === 'pricing_rules') {
+                    $value = PricingRules::sanitize($value);
+                }
+                $this->config->set($key, $value);
+                break;
+
+            case self::SECTION_PROFILES:
+                $existing = $this->profile_repository->find_by_slug($key);
+                $profile = $existing ?: new Profile();
+                $profile->set_slug($key);
+                $profile->set_name($value['name']);
+                $profile->set_active($value['is_active']);
+                $profile->set_filters($value['filters']);
+                $profile->set_settings($value['settings']);
+                $profile->set_category_mappings($value['category_mappings']);
+                $this->profile_repository->save($profile);
+                break;
+
+            case self::SECTION_CATEGORY_MAPPINGS:
+                $this->category_repository->set_manual_mapping($key, (int) $value);
+                break;
+
+            case self::SECTION_MODEL_NAMES:
+                $this->model_service->save_model_name($key, (string) $value);
+                break;
+
+            case self::SECTION_CATEGORY_TRANSLATIONS:
+                $translations = get_option(self::CATEGORY_TRANSLATIONS_OPTION, []);
+                $translations = is_array($translations) ? $translations : [];
+                $translations[$key] = sanitize_text_field((string) $value);
+                update_option(self::CATEGORY_TRANSLATIONS_OPTION, $translations);
+                break;
+        }
+    }
+
+    /**
+     * Turn a category map of term IDs into one of slugs.
+     *
+     * @param array $map Ewheel reference => term ID.
+     * @return array Ewheel reference => ['slug' => string, 'name' => string].
+     */
+    private function export_category_map(array $map): array
+    {
+        $exported = [];
+
+        foreach ($map as $reference => $term_id) {
+            $term = $this->category_repository->find((int) $term_id);
+            if ($term) {
+                $exported[(string) $reference] = [
+                    'slug' => $term->slug,
+                    'name' => $term->name,
+                ];
+            }
+        }
+
+        return $exported;
+    }
+
+    /**
+     * Find the local category for an exported one.
+     *
+     * @param mixed $category ['slug' => string, 'name' => string].
+     * @return int|null Term ID, null when no category has that slug.
+     */
+    private function resolve_category($category): ?int
+    {
+        if (!is_array($category) || empty($category['slug'])) {
+            return null;
+        }
+
+        $term = $this->category_repository->find_by_reference((string) $category['slug']);
+
+        return $term ? (int) $term->term_id : null;
+    }
+
+    /**
+     * Resolve an exported profile for saving.
+     *
+     * Categories that don't exist on this site are dropped from the profile's mappings.
+     *
+     * @param array $profile Exported profile.
+     * @return array|null Profile values, null when the profile has no name.
+     */
+    private function resolve_profile(array $profile): ?array
+    {
+        if (empty($profile['name'])) {
+            return null;
+        }
+
+        $mappings = [];
+        foreach ((array) ($profile['category_mappings'] ?? []) as $reference => $category) {
+            $term_id = $this->resolve_category($category);
+            if ($term_id !== null) {
+                $mappings[(string) $reference] = $term_id;
+            }
+        }
+
+        return [
+            'name' => sanitize_text_field((string) $profile['name']),
+            'is_active' => !empty($profile['is_active']),
+            'filters' => (array) ($profile['filters'] ?? []),
+            'settings' => (array) ($profile['settings'] ?? []),
+            'category_mappings' => $mappings,
+        ];
+    }
+
+    /**
+     * Check whether an incoming entry matches the current one.
+     *
+     * @param string $section  Section.
+     * @param mixed  $current  Current value.
+     * @param mixed  $incoming Incoming value.
+     * @return bool
+     */
+    private function is_same(string $section, $current, $incoming): bool
+    {
+        // Categories are matched by slug; their names may be translated differently
+        if ($section === self::SECTION_CATEGORY_MAPPINGS) {
+            return ($current['slug'] ?? null) === ($incoming['slug'] ?? null);
+        }
+
+        return $this->normalize($current) === $this->normalize($incoming);
+    }
+
+    /**
+     * Normalize a value for comparison.
+     *
+     * Options come back from the database as strings, bundles keep JSON types.
+     *
+     * @param mixed $value Value.
+     * @return mixed
+     */
+    private function normalize($value)
+    {
+        if (is_array($value)) {
+            return array_map([$this, 'normalize'], $value);
+        }
+
+        if (is_bool($value)) {
+            return $value ? '1' : '';
+        }
+
+        return $value === null ? '' : (string) $value;
+    }
+
+    /**
+     * Format a value for the diff view.
+     *
+     * @param mixed $value Value.
+     * @return string
+     */
+    private function format($value): string
+    {
+        if (is_array($value)) {
+            return (string) wp_json_encode($value);
+        }
+
+        if (is_bool($value)) {
+            return $value ? 'true' : 'false';
+        }
+
+        return (string) $value;
+    }
+}
@@ -31,6 +31,21 @@ class SchemaInstaller
      */
     public const PROFILES_TABLE = 'ewheel_profiles';
 
+    /**
+     * Sync items (per-product changelog) table name.
+     */
+    public const SYNC_ITEMS_TABLE = 'ewheel_sync_items';
+
+    /**
+     * Image download queue table name.
+     */
+    public const IMAGE_QUEUE_TABLE = 'ewheel_image_queue';
+
+    /**
+     * Outgoing webhook delivery log table name.
+     */
+    public const WEBHOOK_DELIVERIES_TABLE = 'ewheel_webhook_deliveries';
+
     /**
      * DB version option name.
      */
@@ -39,7 +54,7 @@ class SchemaInstaller
     /**
      * Current DB version.
      */
-    private const CURRENT_DB_VERSION = '2.0.0';
+    private const CURRENT_DB_VERSION = '2.7.0';
 
     /**
      * Install or update the database schema.
@@ -52,6 +67,9 @@ class SchemaInstaller
         self::install_sync_logs_table();
         self::install_sync_history_table();
         self::install_profiles_table();
+        self::install_sync_items_table();
+        self::install_image_queue_table();
+        self::install_webhook_deliveries_table();
         self::run_migrations();
 
         update_option(self::DB_VERSION_OPTION, self::CURRENT_DB_VERSION);
@@ -77,11 +95,14 @@ class SchemaInstaller
             source_lang varchar(10) NOT NULL,
             target_lang varchar(10) NOT NULL,
             service varchar(20) NOT NULL,
+            context varchar(20) NOT NULL DEFAULT '',
+            approved tinyint(1) NOT NULL DEFAULT 0,
             created_at datetime DEFAULT CURRENT_TIMESTAMP,
             PRIMARY KEY  (id),
             UNIQUE KEY source_hash (source_hash),
             KEY source_lang (source_lang),
-            KEY target_lang (target_lang)
+            KEY target_lang (target_lang),
+            KEY context (context)
         ) $charset_collate;";
 
         require_once ABSPATH . 'wp-admin/includes/upgrade.php';
@@ -124,6 +145,11 @@ class SchemaInstaller
             started_at datetime DEFAULT CURRENT_TIMESTAMP,
             completed_at datetime DEFAULT NULL,
             duration_seconds int(11) unsigned DEFAULT NULL,
+            exchange_rate decimal(12,6) DEFAULT NULL,
+            rate_date date DEFAULT NULL,
+            rate_source varchar(20) DEFAULT NULL,
+            rollback_status varchar(20) DEFAULT NULL,
+            rolled_back_at datetime DEFAULT NULL,
             PRIMARY KEY  (id),
             UNIQUE KEY sync_id (sync_id),
             KEY profile_id (profile_id),
@@ -167,6 +193,111 @@ class SchemaInstaller
         dbDelta($sql);
     }
 
+    /**
+     * Install the sync items table.
+     *
+     * @return void
+     */
+    private static function install_sync_items_table(): void
+    {
+        global $wpdb;
+
+        $table_name = $wpdb->prefix . self::SYNC_ITEMS_TABLE;
+        $charset_collate = $wpdb->get_charset_collate();
+
+        $sql = "CREATE TABLE $table_name (
+            id bigint(20) unsigned NOT NULL AUTO_INCREMENT,
+            sync_id varchar(50) NOT NULL,
+            profile_id bigint(20) unsigned DEFAULT NULL,
+            product_id bigint(20) unsigned DEFAULT NULL,
+            sku varchar(100) NOT NULL DEFAULT '',
+            reference varchar(100) DEFAULT NULL,
+            action varchar(20) NOT NULL,
+            changes longtext DEFAULT NULL,
+            message text DEFAULT NULL,
+            created_at datetime DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY  (id),
+            KEY sync_id (sync_id),
+            KEY sku (sku),
+            KEY action (action)
+        ) $charset_collate;";
+
+        require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+        dbDelta($sql);
+    }
+
+    /**
+     * Install the image download queue table.
+     *
+     * One row per image URL and product; the URL hash keeps the unique key short.
+     *
+     * @return void
+     */
+    private static function install_image_queue_table(): void
+    {
+        global $wpdb;
+
+        $table_name = $wpdb->prefix . self::IMAGE_QUEUE_TABLE;
+        $charset_collate = $wpdb->get_charset_collate();
+
+        $sql = "CREATE TABLE $table_name (
+            id bigint(20) unsigned NOT NULL AUTO_INCREMENT,
+            url text NOT NULL,
+            url_hash char(32) NOT NULL,
+            product_id bigint(20) unsigned NOT NULL DEFAULT 0,
+            alt_text varchar(255) NOT NULL DEFAULT '',
+            status varchar(20) NOT NULL DEFAULT 'pending',
+            attempts smallint(5) unsigned NOT NULL DEFAULT 0,
+            attachment_id bigint(20) unsigned DEFAULT NULL,
+            last_error text DEFAULT NULL,
+            created_at datetime DEFAULT CURRENT_TIMESTAMP,
+            updated_at datetime DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY  (id),
+            UNIQUE KEY url_product (url_hash, product_id),
+            KEY status (status),
+            KEY product_id (product_id)
+        ) $charset_collate;";
+
+        require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+        dbDelta($sql);
+    }
+
+    /**
+     * Install the webhook delivery log table.
+     *
+     * One row per event and endpoint; the row doubles as the retry queue.
+     *
+     * @return void
+     */
+    private static function install_webhook_deliveries_table(): void
+    {
+        global $wpdb;
+
+        $table_name = $wpdb->prefix . self::WEBHOOK_DELIVERIES_TABLE;
+        $charset_collate = $wpdb->get_charset_collate();
+
+        $sql = "CREATE TABLE $table_name (
+            id bigint(20) unsigned NOT NULL AUTO_INCREMENT,
+            webhook_id varchar(32) NOT NULL,
+            event varchar(50) NOT NULL,
+            payload longtext NOT NULL,
+            status varchar(20) NOT NULL DEFAULT 'pending',
+            attempts smallint(5) unsigned NOT NULL DEFAULT 0,
+            response_code smallint(5) unsigned DEFAULT NULL,
+            response_body text DEFAULT NULL,
+            last_error text DEFAULT NULL,
+            created_at datetime DEFAULT CURRENT_TIMESTAMP,
+            updated_at datetime DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY  (id),
+            KEY webhook_id (webhook_id),
+            KEY status (status),
+            KEY created_at (created_at)
+        ) $charset_collate;";
+
+        require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+        dbDelta($sql);
+    }
+
     /**
      * Run database migrations.
      *
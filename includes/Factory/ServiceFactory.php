@@ -8,6 +8,8 @@
 namespace Trotibike\EwheelImporter\Factory;
 
 use Trotibike\EwheelImporter\Config\Configuration;
+use Trotibike\EwheelImporter\Config\SettingsBundle;
+use Trotibike\EwheelImporter\Config\AttributeMappings;
 use Trotibike\EwheelImporter\Container\ServiceContainer;
 use Trotibike\EwheelImporter\Api\EwheelApiClient;
 use Trotibike\EwheelImporter\Api\WPHttpClient;
@@ -17,23 +19,41 @@ use Trotibike\EwheelImporter\Translation\GoogleTranslateService;
 use Trotibike\EwheelImporter\Translation\DeepLTranslateService;
 use Trotibike\EwheelImporter\Translation\OpenRouterTranslateService;
 use Trotibike\EwheelImporter\Translation\TranslationServiceInterface;
+use Trotibike\EwheelImporter\Translation\TranslationGlossary;
 use Trotibike\EwheelImporter\Repository\TranslationRepository;
 use Trotibike\EwheelImporter\Repository\ProfileRepository;
 use Trotibike\EwheelImporter\Pricing\PricingConverter;
+use Trotibike\EwheelImporter\Pricing\PricingRules;
 use Trotibike\EwheelImporter\Pricing\FixedExchangeRateProvider;
+use Trotibike\EwheelImporter\Pricing\BnrExchangeRateProvider;
+use Trotibike\EwheelImporter\Pricing\EcbExchangeRateProvider;
 use Trotibike\EwheelImporter\Pricing\ExchangeRateProviderInterface;
 use Trotibike\EwheelImporter\Sync\ProductTransformer;
 use Trotibike\EwheelImporter\Sync\SyncService;
 use Trotibike\EwheelImporter\Sync\SyncLauncher;
 use Trotibike\EwheelImporter\Sync\SyncBatchProcessor;
+use Trotibike\EwheelImporter\Sync\SyncPreview;
+use Trotibike\EwheelImporter\Sync\SyncProgressStream;
+use Trotibike\EwheelImporter\Sync\SyncControl;
+use Trotibike\EwheelImporter\Sync\SyncRollback;
+use Trotibike\EwheelImporter\Sync\SingleProductSync;
+use Trotibike\EwheelImporter\Sync\StockPriceSync;
+use Trotibike\EwheelImporter\Sync\DiscontinuedProducts;
+use Trotibike\EwheelImporter\Sync\VariationGroups;
 use Trotibike\EwheelImporter\Sync\WooCommerceSync;
 use Trotibike\EwheelImporter\Repository\ProductRepository;
 use Trotibike\EwheelImporter\Repository\CategoryRepository;
+use Trotibike\EwheelImporter\Service\ImageQueue;
 use Trotibike\EwheelImporter\Service\ImageService;
 use Trotibike\EwheelImporter\Service\AttributeService;
 use Trotibike\EwheelImporter\Service\VariationService;
 use Trotibike\EwheelImporter\Service\BrandService;
 use Trotibike\EwheelImporter\Service\ModelService;
+use Trotibike\EwheelImporter\Service\ModelCompatibility;
+use Trotibike\EwheelImporter\Service\CategoryMatcher;
+use Trotibike\EwheelImporter\Service\WebhookNotifier;
+use Trotibike\EwheelImporter\Rest\RestController;
+use Trotibike\EwheelImporter\Cli\EwheelCommand;
 
 /**
  * Factory for creating and configuring services.
@@ -112,6 +132,12 @@ class ServiceFactory
             fn() => new TranslationRepository()
         );
 
+        // Translation Glossary
+        $container->singleton(
+            TranslationGlossary::class,
+            fn(ServiceContainer $c) => new TranslationGlossary($c->get(TranslationRepository::class))
+        );
+
         // Translator
         $container->singleton(
             Translator::class,
@@ -120,7 +146,8 @@ class ServiceFactory
                 return new Translator(
                     $c->get(TranslationServiceInterface::class),
                     $c->get(TranslationRepository::class),
-                    $config->get_target_language()
+                    $config->get_target_language(),
+                    $c->get(TranslationGlossary::class)
                 );
             }
         );
@@ -130,8 +157,11 @@ class ServiceFactory
             ExchangeRateProviderInterface::class,
             function (ServiceContainer $c) {
                 $config = $c->get(Configuration::class);
-                return new FixedExchangeRateProvider(
-                    ['EUR_RON' => $config->get_exchange_rate()]
+                return self::create_exchange_rate_provider(
+                    $config->get_exchange_rate_source(),
+                    $config->get_exchange_rate_feed_url(),
+                    $config->get_exchange_rate(),
+                    true
                 );
             }
         );
@@ -148,6 +178,7 @@ class ServiceFactory
                     $config->get_markup_percent()
                 );
                 $converter->set_rounding_mode($config->get_price_rounding());
+                $converter->set_rules(new PricingRules($config->get_pricing_rules()));
                 return $converter;
             }
         );
@@ -164,11 +195,19 @@ class ServiceFactory
             fn() => new ImageService()
         );
 
+        // Image Queue (background image downloads)
+        $container->singleton(
+            ImageQueue::class,
+            fn(ServiceContainer $c) => new ImageQueue(
+                $c->get(ImageService::class)
+            )
+        );
+
         // Variation Service
         $container->singleton(
             VariationService::class,
             fn(ServiceContainer $c) => new VariationService(
-                $c->get(ImageService::class)
+                $c->get(ImageQueue::class)
             )
         );
 
@@ -184,6 +223,20 @@ class ServiceFactory
             fn() => new ModelService()
         );
 
+        // Model Compatibility (compatibility matrix and CSV)
+        $container->singleton(
+            ModelCompatibility::class,
+            fn(ServiceContainer $c) => new ModelCompatibility(
+                $c->get(ModelService::class)
+            )
+        );
+
+        // Category Matcher
+        $container->singleton(
+            CategoryMatcher::class,
+            fn() => new CategoryMatcher()
+        );
+
         // Repositories
         $container->singleton(
             CategoryRepository::class,
@@ -203,6 +256,18 @@ class ServiceFactory
             fn() => new ProfileRepository()
         );
 
+        // Variation grouping overrides
+        $container->singleton(
+            VariationGroups::class,
+            fn() => new VariationGroups()
+        );
+
+        // Attribute mappings and usage counts
+        $container->singleton(
+            AttributeMappings::class,
+            fn() => new AttributeMappings()
+        );
+
         // Product Transformer
         $container->singleton(
             ProductTransformer::class,
@@ -210,7 +275,11 @@ class ServiceFactory
                 return new ProductTransformer(
                     $c->get(Translator::class),
                     $c->get(PricingConverter::class),
-                    $c->get(Configuration::class)
+                    $c->get(Configuration::class),
+                    [],
+                    $c->get(ModelService::class),
+                    $c->get(VariationGroups::class),
+                    $c->get(AttributeMappings::class)
                 );
             }
         );
@@ -238,7 +307,7 @@ class ServiceFactory
                 $c->get(CategoryRepository::class),
                 $c->get(AttributeService::class),
                 $c->get(VariationService::class),
-                $c->get(ImageService::class),
+                $c->get(ImageQueue::class),
                 $c->get(BrandService::class),
                 $c->get(ModelService::class),
                 $c->get(Configuration::class),
@@ -251,7 +320,8 @@ class ServiceFactory
             SyncLauncher::class,
             fn(ServiceContainer $c) => new SyncLauncher(
                 $c->get(Configuration::class),
-                $c->get(ProfileRepository::class)
+                $c->get(ProfileRepository::class),
+                $c->get(PricingConverter::class)
             )
         );
 
@@ -262,6 +332,123 @@ class ServiceFactory
                 $c->get(EwheelApiClient::class),
                 $c->get(WooCommerceSync::class),
                 $c->get(Configuration::class),
+                $c->get(ProfileRepository::class),
+                $c->get(PricingConverter::class)
+            )
+        );
+
+        // Sync Preview (dry run)
+        $container->singleton(
+            SyncPreview::class,
+            fn(ServiceContainer $c) => new SyncPreview(
+                $c->get(EwheelApiClient::class),
+                $c->get(ProductTransformer::class),
+                $c->get(CategoryRepository::class),
+                $c->get(Configuration::class),
+                $c->get(ProfileRepository::class),
+                $c->get(PricingConverter::class)
+            )
+        );
+
+        // Sync progress (status payload + server-sent events)
+        $container->singleton(
+            SyncProgressStream::class,
+            fn(ServiceContainer $c) => new SyncProgressStream(
+                $c->get(SyncLauncher::class)
+            )
+        );
+
+        // Sync control (start, pause, resume, stop and status)
+        $container->singleton(
+            SyncControl::class,
+            fn(ServiceContainer $c) => new SyncControl(
+                $c->get(SyncLauncher::class),
+                $c->get(SyncProgressStream::class),
+                $c->get(ProfileRepository::class),
+                $c->get(Configuration::class)
+            )
+        );
+
+        // REST API (ewheel/v1)
+        $container->singleton(
+            RestController::class,
+            fn(ServiceContainer $c) => new RestController(
+                $c->get(SyncControl::class),
+                $c->get(ProfileRepository::class)
+            )
+        );
+
+        // Sync rollback (restores values a run overwrote)
+        $container->singleton(
+            SyncRollback::class,
+            fn(ServiceContainer $c) => new SyncRollback()
+        );
+
+        // Single product inspect and sync
+        $container->singleton(
+            SingleProductSync::class,
+            fn(ServiceContainer $c) => new SingleProductSync(
+                $c->get(EwheelApiClient::class),
+                $c->get(ProductTransformer::class),
+                $c->get(WooCommerceSync::class),
+                $c->get(CategoryRepository::class)
+            )
+        );
+
+        // Stock and price only sync
+        $container->singleton(
+            StockPriceSync::class,
+            fn(ServiceContainer $c) => new StockPriceSync(
+                $c->get(EwheelApiClient::class),
+                $c->get(ProductTransformer::class),
+                $c->get(WooCommerceSync::class),
+                $c->get(Configuration::class)
+            )
+        );
+
+        // Discontinued product review and reconciliation
+        $container->singleton(
+            DiscontinuedProducts::class,
+            fn(ServiceContainer $c) => new DiscontinuedProducts(
+                $c->get(EwheelApiClient::class),
+                $c->get(WooCommerceSync::class),
+                $c->get(ProfileRepository::class),
+                $c->get(Configuration::class)
+            )
+        );
+
+        // Settings export/import bundles
+        $container->singleton(
+            SettingsBundle::class,
+            fn(ServiceContainer $c) => new SettingsBundle(
+                $c->get(Configuration::class),
+                $c->get(ProfileRepository::class),
+                $c->get(CategoryRepository::class),
+                $c->get(ModelService::class),
+                EWHEEL_IMPORTER_VERSION
+            )
+        );
+
+        // Outgoing webhooks for sync lifecycle events
+        $container->singleton(
+            WebhookNotifier::class,
+            fn(ServiceContainer $c) => new WebhookNotifier(
+                $c->get(ProfileRepository::class),
+                EWHEEL_IMPORTER_VERSION
+            )
+        );
+
+        // WP-CLI commands (wp ewheel)
+        $container->singleton(
+            EwheelCommand::class,
+            fn(ServiceContainer $c) => new EwheelCommand(
+                $c->get(SyncControl::class),
+                $c->get(SyncBatchProcessor::class),
+                $c->get(SyncPreview::class),
+                $c->get(StockPriceSync::class),
+                $c->get(DiscontinuedProducts::class),
+                $c->get(SettingsBundle::class),
+                $c->get(TranslationRepository::class),
                 $c->get(ProfileRepository::class)
             )
         );
@@ -293,6 +480,37 @@ class ServiceFactory
         return new EwheelApiClient($api_key, new WPHttpClient());
     }
 
+    /**
+     * Create an exchange rate provider for a rate source.
+     *
+     * Feed providers fall back to the manual rate when the feed has never
+     * been read successfully. Only the saved configuration records feed
+     * rates in the history; previews of unsaved settings must not.
+     *
+     * @param string $source         'manual', 'bnr' or 'ecb'.
+     * @param string $feed_url       Feed URL or local file (empty for the official feed).
+     * @param float  $manual_rate    Manually entered EUR to RON rate.
+     * @param bool   $record_history Add feed rates to the rate history.
+     * @return ExchangeRateProviderInterface
+     */
+    public static function create_exchange_rate_provider(
+        string $source,
+        string $feed_url,
+        float $manual_rate,
+        bool $record_history = false
+    ): ExchangeRateProviderInterface {
+        $manual = new FixedExchangeRateProvider(['EUR_RON' => $manual_rate]);
+
+        switch ($source) {
+            case Configuration::RATE_SOURCE_BNR:
+                return new BnrExchangeRateProvider($feed_url, $manual, $record_history);
+            case Configuration::RATE_SOURCE_ECB:
+                return new EcbExchangeRateProvider($feed_url, $manual, $record_history);
+            default:
+                return $manual;
+        }
+    }
+
     /**
      * Create a profile repository.
      *
@@ -36,7 +36,11 @@ class LiveLogger
             $logs = [];
         }
 
+        // Sequential ID lets streaming clients ask for entries newer than a cursor
+        $last_id = isset($logs[0]['id']) ? (int) $logs[0]['id'] : 0;
+
         $entry = [
+            'id' => $last_id + 1,
             'time' => current_time('H:i:s'),
             'message' => $message,
             'type' => $type,
@@ -64,6 +68,33 @@ class LiveLogger
         return is_array($logs) ? $logs : [];
     }
 
+    /**
+     * Get logs newer than a cursor, oldest first.
+     *
+     * @param int $cursor Last log ID the caller has seen.
+     * @return array
+     */
+    public static function get_logs_since(int $cursor): array
+    {
+        $new = array_filter(
+            self::get_logs(),
+            fn($log) => isset($log['id']) && (int) $log['id'] > $cursor
+        );
+
+        return array_reverse(array_values($new));
+    }
+
+    /**
+     * Get the ID of the most recent log entry.
+     *
+     * @return int 0 when there are no logs.
+     */
+    public static function get_last_id(): int
+    {
+        $logs = self::get_logs();
+        return isset($logs[0]['id']) ? (int) $logs[0]['id'] : 0;
+    }
+
     /**
      * Clear logs.
      *
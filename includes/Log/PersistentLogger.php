@@ -20,9 +20,14 @@ class PersistentLogger
     public const TABLE_NAME = 'ewheel_sync_logs';
 
     /**
-     * Maximum number of entries to keep.
+     * WP-Cron hook that applies the retention policy.
      */
-    private const MAX_ENTRIES = 1000;
+    public const PRUNE_HOOK = 'ewheel_importer_prune_logs';
+
+    /**
+     * Rows deleted per query while pruning, to keep table locks short.
+     */
+    private const PRUNE_CHUNK = 5000;
 
     /**
      * Log levels.
@@ -40,6 +45,7 @@ class PersistentLogger
      * @param string|null $sku        Optional product SKU reference.
      * @param string|null $batch_id   Optional batch/sync ID.
      * @param int|null    $profile_id Optional profile ID.
+     * @param array       $context    Optional details shown collapsed in the log explorer.
      * @return bool
      */
     public static function log(
@@ -47,7 +53,8 @@ class PersistentLogger
         string $level = self::LEVEL_INFO,
         ?string $sku = null,
         ?string $batch_id = null,
-        ?int $profile_id = null
+        ?int $profile_id = null,
+        array $context = []
     ): bool {
         global $wpdb;
         if (null === $wpdb) {
@@ -70,17 +77,15 @@ class PersistentLogger
                 'product_sku' => $sku,
                 'batch_id' => $batch_id,
                 'profile_id' => $profile_id,
+                'context' => empty($context) ? null : wp_json_encode($context),
                 'created_at' => current_time('mysql'),
             ],
-            ['%s', '%s', '%s', '%s', '%d', '%s']
+            ['%s', '%s', '%s', '%s', '%d', '%s', '%s']
         );
 
         // Also log to LiveLogger for real-time display
         LiveLogger::log($message, $level);
 
-        // Auto-prune old entries
-        self::prune_old_entries();
-
         return $result !== false;
     }
 
@@ -91,11 +96,12 @@ class PersistentLogger
      * @param string|null $sku        Optional SKU.
      * @param string|null $batch_id   Optional batch ID.
      * @param int|null    $profile_id Optional profile ID.
+     * @param array       $context    Optional details.
      * @return bool
      */
-    public static function info(string $message, ?string $sku = null, ?string $batch_id = null, ?int $profile_id = null): bool
+    public static function info(string $message, ?string $sku = null, ?string $batch_id = null, ?int $profile_id = null, array $context = []): bool
     {
-        return self::log($message, self::LEVEL_INFO, $sku, $batch_id, $profile_id);
+        return self::log($message, self::LEVEL_INFO, $sku, $batch_id, $profile_id, $context);
     }
 
     /**
@@ -105,11 +111,12 @@ class PersistentLogger
      * @param string|null $sku        Optional SKU.
      * @param string|null $batch_id   Optional batch ID.
      * @param int|null    $profile_id Optional profile ID.
+     * @param array       $context    Optional details.
      * @return bool
      */
-    public static function warning(string $message, ?string $sku = null, ?string $batch_id = null, ?int $profile_id = null): bool
+    public static function warning(string $message, ?string $sku = null, ?string $batch_id = null, ?int $profile_id = null, array $context = []): bool
     {
-        return self::log($message, self::LEVEL_WARNING, $sku, $batch_id, $profile_id);
+        return self::log($message, self::LEVEL_WARNING, $sku, $batch_id, $profile_id, $context);
     }
 
     /**
@@ -119,11 +126,12 @@ class PersistentLogger
      * @param string|null $sku        Optional SKU.
      * @param string|null $batch_id   Optional batch ID.
      * @param int|null    $profile_id Optional profile ID.
+     * @param array       $context    Optional details.
      * @return bool
      */
-    public static function error(string $message, ?string $sku = null, ?string $batch_id = null, ?int $profile_id = null): bool
+    public static function error(string $message, ?string $sku = null, ?string $batch_id = null, ?int $profile_id = null, array $context = []): bool
     {
-        return self::log($message, self::LEVEL_ERROR, $sku, $batch_id, $profile_id);
+        return self::log($message, self::LEVEL_ERROR, $sku, $batch_id, $profile_id, $context);
     }
 
     /**
@@ -133,11 +141,56 @@ class PersistentLogger
      * @param string|null $sku        Optional SKU.
      * @param string|null $batch_id   Optional batch ID.
      * @param int|null    $profile_id Optional profile ID.
+     * @param array       $context    Optional details.
      * @return bool
      */
-    public static function success(string $message, ?string $sku = null, ?string $batch_id = null, ?int $profile_id = null): bool
+    public static function success(string $message, ?string $sku = null, ?string $batch_id = null, ?int $profile_id = null, array $context = []): bool
+    {
+        return self::log($message, self::LEVEL_SUCCESS, $sku, $batch_id, $profile_id, $context);
+    }
+
+    /**
+     * Build log context for an exception.
+     *
+     * @param \Throwable $exception The exception.
+     * @return array
+     */
+    public static function exception_context(\Throwable $exception): array
     {
-        return self::log($message, self::LEVEL_SUCCESS, $sku, $batch_id, $profile_id);
+        return [
+            'exception' => get_class($exception),
+            'file' => $exception->getFile(),
+            'line' => $exception->getLine(),
+            'trace' => array_slice(explode("\n", $exception->getTraceAsString()), 0, 15),
+        ];
+    }
+
+    /**
+     * Read the log explorer filters from a request.
+     *
+     * @param array $request Unslashed request data.
+     * @return array Filters for get_logs() and get_count().
+     */
+    public static function sanitize_filters(array $request): array
+    {
+        $filters = [
+            'level' => sanitize_key($request['level'] ?? ''),
+            'batch_id' => sanitize_text_field($request['batch_id'] ?? ''),
+            'sku' => sanitize_text_field($request['sku'] ?? ''),
+            'search' => sanitize_text_field($request['search'] ?? ''),
+            'profile_id' => !empty($request['profile_id']) ? absint($request['profile_id']) : null,
+            'date_from' => '',
+            'date_to' => '',
+        ];
+
+        foreach (['date_from', 'date_to'] as $key) {
+            $date = sanitize_text_field($request[$key] ?? '');
+            if (preg_match('/^\d{4}-\d{2}-\d{2}$/', $date)) {
+                $filters[$key] = $date;
+            }
+        }
+
+        return $filters;
     }
 
     /**
@@ -150,11 +203,15 @@ class PersistentLogger
      *     @type string   $batch_id   Filter by batch ID.
      *     @type string   $sku        Filter by product SKU.
      *     @type int|null $profile_id Filter by profile ID.
+     *     @type string   $search     Search in messages and SKUs.
+     *     @type string   $date_from  Earliest day (Y-m-d), inclusive.
+     *     @type string   $date_to    Latest day (Y-m-d), inclusive.
+     *     @type int      $after_id   Only entries newer than this ID.
      *     @type int      $limit      Maximum entries to return. Default 100.
      *     @type int      $offset     Offset for pagination. Default 0.
      *     @type string   $order      Order direction (ASC or DESC). Default DESC.
      * }
-     * @return array
+     * @return array Entries, with context decoded to an array or null.
      */
     public static function get_logs(array $args = []): array
     {
@@ -168,6 +225,10 @@ class PersistentLogger
             'batch_id' => '',
             'sku' => '',
             'profile_id' => null,
+            'search' => '',
+            'date_from' => '',
+            'date_to' => '',
+            'after_id' => 0,
             'limit' => 100,
             'offset' => 0,
             'order' => 'DESC',
@@ -182,44 +243,25 @@ class PersistentLogger
             return [];
         }
 
-        $where = ['1=1'];
-        $prepare_args = [];
-
-        if (!empty($args['level'])) {
-            $where[] = 'level = %s';
-            $prepare_args[] = $args['level'];
-        }
-
-        if (!empty($args['batch_id'])) {
-            $where[] = 'batch_id = %s';
-            $prepare_args[] = $args['batch_id'];
-        }
-
-        if (!empty($args['sku'])) {
-            $where[] = 'product_sku LIKE %s';
-            $prepare_args[] = '%' . $wpdb->esc_like($args['sku']) . '%';
-        }
-
-        if ($args['profile_id'] !== null) {
-            $where[] = 'profile_id = %d';
-            $prepare_args[] = $args['profile_id'];
-        }
+        [$where_clause, $prepare_args] = self::build_where($args);
 
         $order = strtoupper($args['order']) === 'ASC' ? 'ASC' : 'DESC';
         $limit = absint($args['limit']);
         $offset = absint($args['offset']);
 
-        $where_clause = implode(' AND ', $where);
-
-        $sql = "SELECT * FROM `{$table_name}` WHERE {$where_clause} ORDER BY created_at {$order} LIMIT %d OFFSET %d";
+        $sql = "SELECT * FROM `{$table_name}` WHERE {$where_clause} ORDER BY created_at {$order}, id {$order} LIMIT %d OFFSET %d";
         $prepare_args[] = $limit;
         $prepare_args[] = $offset;
 
-        if (!empty($prepare_args)) {
-            $sql = $wpdb->prepare($sql, $prepare_args);
+        $rows = $wpdb->get_results($wpdb->prepare($sql, $prepare_args), ARRAY_A) ?: [];
+
+        foreach ($rows as &$row) {
+            $context = isset($row['context']) && $row['context'] !== '' ? json_decode($row['context'], true) : null;
+            $row['context'] = is_array($context) ? $context : null;
         }
+        unset($row);
 
-        return $wpdb->get_results($sql, ARRAY_A) ?: [];
+        return $rows;
     }
 
     /**
@@ -243,6 +285,27 @@ class PersistentLogger
             return 0;
         }
 
+        [$where_clause, $prepare_args] = self::build_where($args);
+
+        $sql = "SELECT COUNT(*) FROM `{$table_name}` WHERE {$where_clause}";
+
+        if (!empty($prepare_args)) {
+            $sql = $wpdb->prepare($sql, $prepare_args);
+        }
+
+        return (int) $wpdb->get_var($sql);
+    }
+
+    /**
+     * Build the WHERE clause for get_logs() and get_count().
+     *
+     * @param array $args Filters, see get_logs().
+     * @return array [string $where_clause, array $prepare_args].
+     */
+    private static function build_where(array $args): array
+    {
+        global $wpdb;
+
         $where = ['1=1'];
         $prepare_args = [];
 
@@ -266,15 +329,29 @@ class PersistentLogger
             $prepare_args[] = $args['profile_id'];
         }
 
-        $where_clause = implode(' AND ', $where);
+        if (!empty($args['search'])) {
+            $like = '%' . $wpdb->esc_like($args['search']) . '%';
+            $where[] = '(message LIKE %s OR product_sku LIKE %s)';
+            $prepare_args[] = $like;
+            $prepare_args[] = $like;
+        }
 
-        $sql = "SELECT COUNT(*) FROM `{$table_name}` WHERE {$where_clause}";
+        if (!empty($args['date_from'])) {
+            $where[] = 'created_at >= %s';
+            $prepare_args[] = $args['date_from'] . ' 00:00:00';
+        }
 
-        if (!empty($prepare_args)) {
-            $sql = $wpdb->prepare($sql, $prepare_args);
+        if (!empty($args['date_to'])) {
+            $where[] = 'created_at <= %s';
+            $prepare_args[] = $args['date_to'] . ' 23:59:59';
         }
 
-        return (int) $wpdb->get_var($sql);
+        if (!empty($args['after_id'])) {
+            $where[] = 'id > %d';
+            $prepare_args[] = $args['after_id'];
+        }
+
+        return [implode(' AND ', $where), $prepare_args];
     }
 
     /**
@@ -368,52 +445,72 @@ class PersistentLogger
             return 0;
         }
 
-        $cutoff = gmdate('Y-m-d H:i:s', strtotime("-{$days} days"));
+        // Entries are stored in site time (current_time('mysql')), so compare in site time too
+        $cutoff = gmdate('Y-m-d H:i:s', current_time('timestamp') - $days * DAY_IN_SECONDS);
 
         $delete_sql = $wpdb->prepare("DELETE FROM `{$table_name}` WHERE created_at < %s", $cutoff);
         return (int) $wpdb->query($delete_sql);
     }
 
     /**
-     * Prune old entries to keep table size under control.
+     * Apply the retention policy.
      *
-     * Keeps only the last MAX_ENTRIES entries.
+     * Deletes entries older than the retention period, then the oldest
+     * entries above the size limit. Runs daily on PRUNE_HOOK.
      *
-     * @return void
+     * @param int $retention_days Days to keep, 0 to keep regardless of age.
+     * @param int $max_entries    Entries to keep, 0 for no limit.
+     * @return int Number of rows deleted.
      */
-    private static function prune_old_entries(): void
+    public static function prune(int $retention_days, int $max_entries): int
     {
         global $wpdb;
         if (null === $wpdb) {
-            return;
+            return 0;
         }
 
         $table_name = $wpdb->prefix . self::TABLE_NAME;
 
-        // Only run pruning occasionally (1% of the time)
-        if (wp_rand(1, 100) !== 1) {
-            return;
+        // Check if table exists
+        $check_sql = $wpdb->prepare("SHOW TABLES LIKE %s", $table_name);
+        if ($wpdb->get_var($check_sql) !== $table_name) {
+            return 0;
+        }
+
+        $deleted = $retention_days > 0 ? self::clear_older_than($retention_days) : 0;
+
+        if ($max_entries <= 0) {
+            return $deleted;
         }
 
         $count_sql = "SELECT COUNT(*) FROM `{$table_name}`";
-        $count = (int) $wpdb->get_var($count_sql);
+        $to_delete = (int) $wpdb->get_var($count_sql) - $max_entries;
 
-        if ($count > self::MAX_ENTRIES) {
-            $to_delete = $count - self::MAX_ENTRIES;
+        while ($to_delete > 0) {
             // Find the cutoff ID, then delete everything at or below it.
             // Works on both MariaDB and SQLite (avoids LIMIT inside IN subquery).
             $cutoff_sql = $wpdb->prepare(
-                "SELECT id FROM `{$table_name}` ORDER BY created_at ASC, id ASC LIMIT 1 OFFSET %d",
-                $to_delete - 1
+                "SELECT id FROM `{$table_name}` ORDER BY id ASC LIMIT 1 OFFSET %d",
+                min($to_delete, self::PRUNE_CHUNK) - 1
             );
             $cutoff_id = $wpdb->get_var($cutoff_sql);
-            if ($cutoff_id) {
-                $wpdb->query($wpdb->prepare(
-                    "DELETE FROM `{$table_name}` WHERE id <= %d",
-                    $cutoff_id
-                ));
+            if (!$cutoff_id) {
+                break;
+            }
+
+            $rows = (int) $wpdb->query($wpdb->prepare(
+                "DELETE FROM `{$table_name}` WHERE id <= %d",
+                $cutoff_id
+            ));
+            if ($rows === 0) {
+                break;
             }
+
+            $deleted += $rows;
+            $to_delete -= $rows;
         }
+
+        return $deleted;
     }
 
     /**
@@ -438,6 +535,7 @@ class PersistentLogger
             product_sku varchar(100) DEFAULT NULL,
             batch_id varchar(50) DEFAULT NULL,
             profile_id bigint(20) unsigned DEFAULT NULL,
+            context longtext DEFAULT NULL,
             created_at datetime DEFAULT CURRENT_TIMESTAMP,
             PRIMARY KEY  (id),
             KEY level (level),
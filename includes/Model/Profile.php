@@ -96,6 +96,8 @@ class Profile
         'productReference' => '',      // Filter by SKU (partial match)
         'productsIds'      => [],      // Specific product IDs
         'NewerThan'        => '',      // For incremental syncs
+        'includeBrands'    => [],      // Only these brands (applied locally, not sent to the API)
+        'excludeBrands'    => [],      // Never these brands (applied locally, not sent to the API)
     ];
 
     /**
@@ -115,6 +117,9 @@ class Profile
         // Sync settings
         'sync_frequency'    => 'manual', // manual, daily, weekly
         'test_limit'        => 0,        // 0 = all products
+
+        // Products no longer in the feed: draft, outofstock, keep, trash
+        'discontinued_policy' => 'draft',
     ];
 
     /**
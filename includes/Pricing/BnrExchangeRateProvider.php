@@ -0,0 +1,79 @@
+<?php
+/**
+ * BNR Exchange Rate Provider.
+ *
+ * @package Trotibike\EwheelImporter
+ */
+
+namespace Trotibike\EwheelImporter\Pricing;
+
+/**
+ * Reads the National Bank of Romania reference rates (RON based).
+ *
+ * Format: <DataSet><Body><Cube date="Y-m-d"><Rate currency="EUR">4.9732</Rate>...
+ * Some currencies carry a multiplier attribute (e.g. 100 HUF).
+ */
+class BnrExchangeRateProvider extends XmlFeedExchangeRateProvider {
+
+    /**
+     * Official daily feed.
+     */
+    public const DEFAULT_URL = 'https://www.bnr.ro/nbrfxrates.xml';
+
+    /**
+     * Short name of the feed, stored with recorded rates.
+     *
+     * @return string
+     */
+    public function get_source_name(): string {
+        return 'bnr';
+    }
+
+    /**
+     * Official URL of the feed.
+     *
+     * @return string
+     */
+    public function get_default_url(): string {
+        return self::DEFAULT_URL;
+    }
+
+    /**
+     * Parse the feed.
+     *
+     * @param string $xml Raw XML.
+     * @return array Publication date and [currency => value in RON].
+     * @throws \RuntimeException If the XML is not a valid feed.
+     */
+    public function parse( string $xml ): array {
+        $dom    = $this->load_xml( $xml );
+        $latest = null;
+
+        // Multi-day files hold one Cube per day; use the most recent
+        foreach ( $dom->getElementsByTagNameNS( '*', 'Cube' ) as $cube ) {
+            if ( $latest === null || strcmp( $cube->getAttribute( 'date' ), $latest->getAttribute( 'date' ) ) > 0 ) {
+                $latest = $cube;
+            }
+        }
+
+        if ( $latest === null || $latest->getAttribute( 'date' ) === '' ) {
+            throw new \RuntimeException( 'BNR rate feed has no rates' );
+        }
+
+        $rates = [ 'RON' => 1.0 ];
+        foreach ( $latest->getElementsByTagNameNS( '*', 'Rate' ) as $node ) {
+            $currency   = strtoupper( $node->getAttribute( 'currency' ) );
+            $value      = (float) trim( $node->textContent );
+            $multiplier = $node->hasAttribute( 'multiplier' ) ? (float) $node->getAttribute( 'multiplier' ) : 1.0;
+
+            if ( $currency !== '' && $value > 0 && $multiplier > 0 ) {
+                $rates[ $currency ] = $value / $multiplier;
+            }
+        }
+
+        return [
+            'date'  => $latest->getAttribute( 'date' ),
+            'rates' => $rates,
+        ];
+    }
+}
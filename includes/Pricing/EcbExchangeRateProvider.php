@@ -0,0 +1,81 @@
+<?php
+/**
+ * ECB Exchange Rate Provider.
+ *
+ * @package Trotibike\EwheelImporter
+ */
+
+namespace Trotibike\EwheelImporter\Pricing;
+
+/**
+ * Reads the European Central Bank euro foreign exchange reference rates (EUR based).
+ *
+ * Format: <gesmes:Envelope><Cube><Cube time="Y-m-d"><Cube currency="RON" rate="4.9732"/>...
+ */
+class EcbExchangeRateProvider extends XmlFeedExchangeRateProvider {
+
+    /**
+     * Official daily feed.
+     */
+    public const DEFAULT_URL = 'https://www.ecb.europa.eu/stats/eurofxref/eurofxref-daily.xml';
+
+    /**
+     * Short name of the feed, stored with recorded rates.
+     *
+     * @return string
+     */
+    public function get_source_name(): string {
+        return 'ecb';
+    }
+
+    /**
+     * Official URL of the feed.
+     *
+     * @return string
+     */
+    public function get_default_url(): string {
+        return self::DEFAULT_URL;
+    }
+
+    /**
+     * Parse the feed.
+     *
+     * @param string $xml Raw XML.
+     * @return array Publication date and [currency => value in EUR].
+     * @throws \RuntimeException If the XML is not a valid feed.
+     */
+    public function parse( string $xml ): array {
+        $dom    = $this->load_xml( $xml );
+        $latest = null;
+
+        // Historical files hold one dated Cube per day; use the most recent
+        foreach ( $dom->getElementsByTagNameNS( '*', 'Cube' ) as $cube ) {
+            if ( ! $cube->hasAttribute( 'time' ) ) {
+                continue;
+            }
+            if ( $latest === null || strcmp( $cube->getAttribute( 'time' ), $latest->getAttribute( 'time' ) ) > 0 ) {
+                $latest = $cube;
+            }
+        }
+
+        if ( $latest === null ) {
+            throw new \RuntimeException( 'ECB rate feed has no rates' );
+        }
+
+        // The feed quotes units per euro; store the euro value of one unit
+        $rates = [ 'EUR' => 1.0 ];
+        foreach ( $latest->getElementsByTagNameNS( '*', 'Cube' ) as $node ) {
+            $currency = strtoupper( $node->getAttribute( 'currency' ) );
+            $value    = (float) $node->getAttribute( 'rate' );
+
+            if ( $currency !== '' && $value > 0 ) {
+                $rates[ $currency ] = 1 / $value;
+            }
+        }
+
+        return [
+            'date'  => $latest->getAttribute( 'time' ),
+            'rates' => $rates,
+        ];
+    }
+}
@@ -0,0 +1,108 @@
+<?php
+/**
+ * Exchange Rate History.
+ *
+ * @package Trotibike\EwheelImporter
+ */
+
+namespace Trotibike\EwheelImporter\Pricing;
+
+/**
+ * Keeps one rate per currency pair, source and day for the rate history chart.
+ */
+class ExchangeRateHistory {
+
+    /**
+     * Option holding the history.
+     */
+    private const OPTION = 'ewheel_importer_rate_history';
+
+    /**
+     * Maximum entries kept (oldest are dropped first).
+     */
+    private const MAX_ENTRIES = 500;
+
+    /**
+     * Record a rate.
+     *
+     * A later rate for the same pair, source and day replaces the earlier one.
+     *
+     * @param string $pair   Currency pair (e.g. 'EUR_RON').
+     * @param float  $rate   Exchange rate.
+     * @param string $date   Date the rate applies to (Y-m-d).
+     * @param string $source Where the rate came from ('bnr', 'ecb', 'manual').
+     * @return bool True when the history changed.
+     */
+    public static function record( string $pair, float $rate, string $date, string $source ): bool {
+        $entries = self::get_entries();
+
+        foreach ( $entries as $index => $entry ) {
+            if ( $entry['pair'] === $pair && $entry['source'] === $source && $entry['date'] === $date ) {
+                if ( (float) $entry['rate'] === $rate ) {
+                    return false;
+                }
+                unset( $entries[ $index ] );
+            }
+        }
+
+        $entries[] = [
+            'pair'        => $pair,
+            'rate'        => $rate,
+            'date'        => $date,
+            'source'      => $source,
+            'recorded_at' => current_time( 'mysql' ),
+        ];
+
+        usort(
+            $entries,
+            fn( $a, $b ) => strcmp( $a['date'], $b['date'] )
+        );
+
+        return update_option( self::OPTION, array_slice( $entries, -self::MAX_ENTRIES ), false );
+    }
+
+    /**
+     * Get the rates of a pair, oldest first.
+     *
+     * @param string $pair Currency pair.
+     * @param int    $days Only include rates from the last N days (0 for all).
+     * @return array List of entries (pair, rate, date, source, recorded_at).
+     */
+    public static function get_history( string $pair, int $days = 90 ): array {
+        $since = $days > 0 ? gmdate( 'Y-m-d', time() - $days * DAY_IN_SECONDS ) : '';
+
+        return array_values(
+            array_filter(
+                self::get_entries(),
+                fn( $entry ) => $entry['pair'] === $pair && $entry['date'] >= $since
+            )
+        );
+    }
+
+    /**
+     * Get the most recent rate of a pair.
+     *
+     * @param string      $pair   Currency pair.
+     * @param string|null $source Limit to one source.
+     * @return array|null Entry, null when nothing was recorded.
+     */
+    public static function get_latest( string $pair, ?string $source = null ): ?array {
+        $entries = array_filter(
+            self::get_entries(),
+            fn( $entry ) => $entry['pair'] === $pair && ( $source === null || $entry['source'] === $source )
+        );
+
+        return $entries ? end( $entries ) : null;
+    }
+
+    /**
+     * Get all stored entries.
+     *
+     * @return array
+     */
+    private static function get_entries(): array {
+        $entries = get_option( self::OPTION, [] );
+
+        return is_array( $entries ) ? array_values( $entries ) : [];
+    }
+}
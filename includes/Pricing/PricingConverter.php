@@ -47,6 +47,13 @@ class PricingConverter {
      */
     private string $rounding_mode = 'none';
 
+    /**
+     * Markup rules overriding the default markup and rounding.
+     *
+     * @var PricingRules|null
+     */
+    private ?PricingRules $rules = null;
+
     /**
      * Cached exchange rate.
      *
@@ -77,27 +84,74 @@ class PricingConverter {
     /**
      * Convert a price from source to target currency with markup.
      *
-     * @param float $price The price in source currency.
+     * @param float $price   The price in source currency.
+     * @param array $context Optional product context for pricing rules (see PricingRules::match()).
      * @return float The converted price in target currency.
      * @throws \InvalidArgumentException If price is negative.
      */
-    public function convert( float $price ): float {
+    public function convert( float $price, array $context = [] ): float {
+        return $this->quote( $price, $context )['price'];
+    }
+
+    /**
+     * Convert a price and report how the result was reached.
+     *
+     * The rule is picked by the context's `price` when given, so a sale
+     * and regular price of the same product land in the same tier.
+     *
+     * @param float $price   The price in source currency.
+     * @param array $context Optional product context for pricing rules.
+     * @return array {
+     *     @type float       $price    Converted price.
+     *     @type float       $rate     Exchange rate used.
+     *     @type float       $markup   Markup percentage applied.
+     *     @type string      $rounding Rounding mode applied.
+     *     @type int|null    $rule     Index of the matching rule.
+     *     @type string|null $label    Label of the matching rule.
+     * }
+     * @throws \InvalidArgumentException If price is negative.
+     */
+    public function quote( float $price, array $context = [] ): array {
         if ( $price < 0 ) {
             throw new \InvalidArgumentException( 'Price cannot be negative' );
         }
 
+        $markup     = $this->markup_percentage;
+        $rounding   = $this->rounding_mode;
+        $rule_index = null;
+        $label      = null;
+
+        if ( $this->rules ) {
+            $rule_index = $this->rules->match( $context + [ 'price' => $price ] );
+            $rule       = $rule_index !== null ? $this->rules->get_rule( $rule_index ) : null;
+            if ( $rule ) {
+                $markup   = $rule['markup'] ?? $markup;
+                $rounding = $rule['rounding'] !== '' ? $rule['rounding'] : $rounding;
+                $label    = $rule['label'];
+            }
+        }
+
+        $quote = [
+            'price'    => 0.0,
+            'rate'     => 0.0,
+            'markup'   => (float) $markup,
+            'rounding' => $rounding,
+            'rule'     => $rule_index,
+            'label'    => $label,
+        ];
+
         if ( $price === 0.0 ) {
-            return 0.0;
+            return $quote;
         }
 
-        $rate = $this->get_cached_rate();
+        $quote['rate'] = $this->get_cached_rate();
 
         // Convert currency
-        $converted = $price * $rate;
+        $converted = $price * $quote['rate'];
 
         // Apply markup
-        if ( $this->markup_percentage !== 0.0 ) {
-            $markup_multiplier = 1 + ( $this->markup_percentage / 100 );
+        if ( $quote['markup'] !== 0.0 ) {
+            $markup_multiplier = 1 + ( $quote['markup'] / 100 );
             $converted         = $converted * $markup_multiplier;
         }
 
@@ -105,7 +159,9 @@ class PricingConverter {
         $converted = round( $converted, 2 );
 
         // Apply price rounding
-        return $this->apply_rounding( $converted );
+        $quote['price'] = $this->apply_rounding( $converted, $rounding );
+
+        return $quote;
     }
 
     /**
@@ -156,6 +212,16 @@ class PricingConverter {
         $this->rounding_mode = $mode;
     }
 
+    /**
+     * Set the markup rules.
+     *
+     * @param PricingRules|null $rules Rules (null to use only the default markup).
+     * @return void
+     */
+    public function set_rules( ?PricingRules $rules ): void {
+        $this->rules = $rules;
+    }
+
     /**
      * Get the current rounding mode.
      *
@@ -168,11 +234,12 @@ class PricingConverter {
     /**
      * Apply rounding to a converted price.
      *
-     * @param float $price The price after conversion and markup.
+     * @param float  $price The price after conversion and markup.
+     * @param string $mode  Rounding mode.
      * @return float The rounded price.
      */
-    private function apply_rounding( float $price ): float {
-        switch ( $this->rounding_mode ) {
+    private function apply_rounding( float $price, string $mode ): float {
+        switch ( $mode ) {
             case 'ceil':
                 return (float) ceil( $price );
             case '99':
@@ -187,6 +254,28 @@ class PricingConverter {
         }
     }
 
+    /**
+     * Describe the exchange rate prices are converted with.
+     *
+     * @return array {
+     *     @type float       $exchange_rate Exchange rate.
+     *     @type string|null $rate_date     Publication date of a feed rate (Y-m-d), null for manual rates.
+     *     @type string      $rate_source   'bnr', 'ecb' or 'manual'.
+     * }
+     * @throws \RuntimeException If the rate cannot be read.
+     */
+    public function get_rate_info(): array {
+        $rate = $this->get_cached_rate();
+        $date = $this->rate_provider instanceof XmlFeedExchangeRateProvider ? $this->rate_provider->get_rate_date() : null;
+
+        // A feed provider without a date fell back to the manual rate
+        return [
+            'exchange_rate' => $rate,
+            'rate_date'     => $date,
+            'rate_source'   => $date !== null ? $this->rate_provider->get_source_name() : 'manual',
+        ];
+    }
+
     /**
      * Get the cached exchange rate, fetching it if necessary.
      *
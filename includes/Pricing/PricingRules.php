@@ -0,0 +1,203 @@
+<?php
+/**
+ * Pricing Rules.
+ *
+ * @package Trotibike\EwheelImporter
+ */
+
+namespace Trotibike\EwheelImporter\Pricing;
+
+/**
+ * Ordered markup rules matched by category, brand, EUR price band and SKU pattern.
+ *
+ * Every condition a rule sets must match; empty conditions are ignored.
+ * The first matching rule wins, products matching none use the default
+ * markup and rounding.
+ */
+class PricingRules {
+
+    /**
+     * Rounding modes a rule may use ('' keeps the default rounding).
+     */
+    public const ROUNDING_MODES = [ '', 'none', 'ceil', '99', 'nearest5', 'nearest10' ];
+
+    /**
+     * The rules, in priority order.
+     *
+     * @var array
+     */
+    private array $rules;
+
+    /**
+     * Constructor.
+     *
+     * @param array $rules Rules as stored in the pricing_rules setting.
+     */
+    public function __construct( array $rules = [] ) {
+        $this->rules = self::sanitize( $rules );
+    }
+
+    /**
+     * Get the rules.
+     *
+     * @return array
+     */
+    public function get_rules(): array {
+        return $this->rules;
+    }
+
+    /**
+     * Find the first rule matching a product.
+     *
+     * @param array $context {
+     *     Product being priced.
+     *
+     *     @type float    $price      Base price in EUR.
+     *     @type string   $sku        Product SKU / ewheel reference.
+     *     @type string   $brand      Brand name.
+     *     @type string[] $categories Category references, family and subfamily names.
+     * }
+     * @return int|null Index of the matching rule, null when none matches.
+     */
+    public function match( array $context ): ?int {
+        foreach ( $this->rules as $index => $rule ) {
+            if ( $this->rule_matches( $rule, $context ) ) {
+                return $index;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get a rule by index.
+     *
+     * @param int $index Rule index.
+     * @return array|null
+     */
+    public function get_rule( int $index ): ?array {
+        return $this->rules[ $index ] ?? null;
+    }
+
+    /**
+     * Normalize rules submitted from the settings form.
+     *
+     * An empty markup or rounding keeps the default for that part; rules
+     * that change neither are dropped and the list is re-indexed.
+     *
+     * @param mixed $rules Raw rules.
+     * @return array
+     */
+    public static function sanitize( $rules ): array {
+        if ( ! is_array( $rules ) ) {
+            return [];
+        }
+
+        $clean = [];
+        foreach ( $rules as $rule ) {
+            if ( ! is_array( $rule ) ) {
+                continue;
+            }
+
+            $markup   = isset( $rule['markup'] ) && is_numeric( $rule['markup'] ) ? (float) $rule['markup'] : null;
+            $rounding = (string) ( $rule['rounding'] ?? '' );
+            $rounding = in_array( $rounding, self::ROUNDING_MODES, true ) ? $rounding : '';
+
+            if ( $markup === null && $rounding === '' ) {
+                continue;
+            }
+
+            $clean[] = [
+                'label'       => self::clean_text( $rule['label'] ?? '' ),
+                'category'    => self::clean_text( $rule['category'] ?? '' ),
+                'brand'       => self::clean_text( $rule['brand'] ?? '' ),
+                'sku_pattern' => self::clean_text( $rule['sku_pattern'] ?? '' ),
+                'min_price'   => self::clean_price( $rule['min_price'] ?? null ),
+                'max_price'   => self::clean_price( $rule['max_price'] ?? null ),
+                'markup'      => $markup,
+                'rounding'    => $rounding,
+            ];
+        }
+
+        return $clean;
+    }
+
+    /**
+     * Check a single rule against a product.
+     *
+     * @param array $rule    Sanitized rule.
+     * @param array $context Product context.
+     * @return bool
+     */
+    private function rule_matches( array $rule, array $context ): bool {
+        $price = (float) ( $context['price'] ?? 0 );
+
+        // Price band: minimum inclusive, maximum exclusive
+        if ( $rule['min_price'] !== null && $price < $rule['min_price'] ) {
+            return false;
+        }
+        if ( $rule['max_price'] !== null && $price >= $rule['max_price'] ) {
+            return false;
+        }
+
+        if ( $rule['brand'] !== '' && strcasecmp( $rule['brand'], (string) ( $context['brand'] ?? '' ) ) !== 0 ) {
+            return false;
+        }
+
+        if ( $rule['category'] !== '' ) {
+            $categories = array_map( 'strtolower', array_map( 'strval', (array) ( $context['categories'] ?? [] ) ) );
+            if ( ! in_array( strtolower( $rule['category'] ), $categories, true ) ) {
+                return false;
+            }
+        }
+
+        if ( $rule['sku_pattern'] !== '' && ! self::sku_matches( $rule['sku_pattern'], (string) ( $context['sku'] ?? '' ) ) ) {
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Match a SKU against a wildcard pattern (* any characters, ? one character).
+     *
+     * @param string $pattern Pattern, case-insensitive.
+     * @param string $sku     SKU to test.
+     * @return bool
+     */
+    private static function sku_matches( string $pattern, string $sku ): bool {
+        $regex = strtr(
+            preg_quote( $pattern, '/' ),
+            [
+                '\*' => '.*',
+                '\?' => '.',
+            ]
+        );
+
+        return (bool) preg_match( '/^' . $regex . '$/i', $sku );
+    }
+
+    /**
+     * Trim a text condition.
+     *
+     * @param mixed $value Raw value.
+     * @return string
+     */
+    private static function clean_text( $value ): string {
+        return is_scalar( $value ) ? sanitize_text_field( (string) $value ) : '';
+    }
+
+    /**
+     * Parse an optional price bound.
+     *
+     * @param mixed $value Raw value.
+     * @return float|null Null when empty.
+     */
+    private static function clean_price( $value ): ?float {
+        if ( $value === null || $value === '' || ! is_numeric( $value ) ) {
+            return null;
+        }
+
+        return max( 0.0, (float) $value );
+    }
+}
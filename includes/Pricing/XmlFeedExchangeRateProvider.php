@@ -0,0 +1,282 @@
+<?php
+/**
+ * XML Feed Exchange Rate Provider.
+ *
+ * @package Trotibike\EwheelImporter
+ */
+
+namespace Trotibike\EwheelImporter\Pricing;
+
+/**
+ * Base class for providers reading a central bank's daily XML rate feed.
+ *
+ * The source is either a public HTTP(S) URL or a file in the uploads
+ * directory (EWHEEL_IMPORTER_RATE_FEED_DIR when defined), as shop managers
+ * can set it. Parsed feeds are cached for a few hours; when the feed cannot
+ * be read the last recorded rate is used, then the fallback provider.
+ */
+abstract class XmlFeedExchangeRateProvider implements ExchangeRateProviderInterface {
+
+    /**
+     * How long a fetched feed is reused, in seconds.
+     */
+    protected const CACHE_TTL = 6 * HOUR_IN_SECONDS;
+
+    /**
+     * Feed URL or local file path.
+     *
+     * @var string
+     */
+    private string $source;
+
+    /**
+     * Provider used when the feed and history are both unavailable.
+     *
+     * @var ExchangeRateProviderInterface|null
+     */
+    private ?ExchangeRateProviderInterface $fallback;
+
+    /**
+     * Parsed feed for this request.
+     *
+     * @var array|null
+     */
+    private ?array $feed = null;
+
+    /**
+     * Date of the last rate returned by get_rate().
+     *
+     * @var string|null
+     */
+    private ?string $rate_date = null;
+
+    /**
+     * Whether rates read from the feed are added to the rate history.
+     *
+     * @var bool
+     */
+    private bool $record_history;
+
+    /**
+     * Constructor.
+     *
+     * @param string                             $source         Feed URL or local file path (empty for the default URL).
+     * @param ExchangeRateProviderInterface|null $fallback       Provider used when no feed rate is available.
+     * @param bool                               $record_history Add feed rates to the rate history (only for the configured feed).
+     */
+    public function __construct( string $source = '', ?ExchangeRateProviderInterface $fallback = null, bool $record_history = false ) {
+        $this->source         = $source !== '' ? $source : $this->get_default_url();
+        $this->fallback       = $fallback;
+        $this->record_history = $record_history;
+    }
+
+    /**
+     * Short name of the feed, stored with recorded rates (e.g. 'bnr').
+     *
+     * @return string
+     */
+    abstract public function get_source_name(): string;
+
+    /**
+     * Official URL of the feed.
+     *
+     * @return string
+     */
+    abstract public function get_default_url(): string;
+
+    /**
+     * Parse the feed.
+     *
+     * @param string $xml Raw XML.
+     * @return array {
+     *     @type string $date  Publication date (Y-m-d).
+     *     @type array  $rates [currency => value of one unit in the base currency], base included.
+     * }
+     * @throws \RuntimeException If the XML is not a valid feed.
+     */
+    abstract public function parse( string $xml ): array;
+
+    /**
+     * Get the exchange rate between two currencies.
+     *
+     * @param string $from_currency The source currency code.
+     * @param string $to_currency   The target currency code.
+     * @return float The exchange rate.
+     * @throws \RuntimeException If no rate is available.
+     */
+    public function get_rate( string $from_currency, string $to_currency ): float {
+        $from = strtoupper( $from_currency );
+        $to   = strtoupper( $to_currency );
+        $pair = $from . '_' . $to;
+
+        if ( $from === $to ) {
+            return 1.0;
+        }
+
+        try {
+            $feed = $this->get_feed();
+
+            if ( ! isset( $feed['rates'][ $from ], $feed['rates'][ $to ] ) ) {
+                throw new \RuntimeException(
+                    sprintf( 'Rate for %s not found in %s feed', $pair, strtoupper( $this->get_source_name() ) )
+                );
+            }
+
+            $rate            = round( $feed['rates'][ $from ] / $feed['rates'][ $to ], 6 );
+            $this->rate_date = $feed['date'];
+            if ( $this->record_history ) {
+                ExchangeRateHistory::record( $pair, $rate, $feed['date'], $this->get_source_name() );
+            }
+
+            return $rate;
+        } catch ( \RuntimeException $e ) {
+            error_log( 'Ewheel Importer exchange rate feed error: ' . $e->getMessage() );
+
+            $last = ExchangeRateHistory::get_latest( $pair, $this->get_source_name() );
+            if ( $last ) {
+                $this->rate_date = $last['date'];
+                return (float) $last['rate'];
+            }
+
+            if ( $this->fallback ) {
+                $this->rate_date = null;
+                return $this->fallback->get_rate( $from, $to );
+            }
+
+            throw $e;
+        }
+    }
+
+    /**
+     * Get the publication date of the last rate returned.
+     *
+     * @return string|null Date (Y-m-d), null before a rate was read or when the fallback was used.
+     */
+    public function get_rate_date(): ?string {
+        return $this->rate_date;
+    }
+
+    /**
+     * Drop the cached feed so the next rate is read from the source.
+     *
+     * @return void
+     */
+    public function clear_cache(): void {
+        $this->feed = null;
+        delete_transient( $this->get_cache_key() );
+    }
+
+    /**
+     * Get the parsed feed from cache or source.
+     *
+     * Unlike get_rate(), this never falls back to older rates.
+     *
+     * @return array Same shape as parse().
+     * @throws \RuntimeException If the feed cannot be read or parsed.
+     */
+    public function get_feed(): array {
+        if ( $this->feed !== null ) {
+            return $this->feed;
+        }
+
+        $cached = get_transient( $this->get_cache_key() );
+        if ( is_array( $cached ) && isset( $cached['date'], $cached['rates'] ) ) {
+            $this->feed = $cached;
+            return $this->feed;
+        }
+
+        $this->feed = $this->parse( $this->fetch() );
+        set_transient( $this->get_cache_key(), $this->feed, static::CACHE_TTL );
+
+        return $this->feed;
+    }
+
+    /**
+     * Read the raw feed.
+     *
+     * @return string
+     * @throws \RuntimeException If the source cannot be read.
+     */
+    private function fetch(): string {
+        if ( preg_match( '#^https?://#i', $this->source ) ) {
+            $response = wp_safe_remote_get(
+                $this->source,
+                [
+                    'timeout' => 15,
+                    'headers' => [ 'Accept' => 'application/xml, text/xml' ],
+                ]
+            );
+
+            if ( is_wp_error( $response ) ) {
+                throw new \RuntimeException( 'Rate feed request failed: ' . $response->get_error_message() );
+            }
+
+            $code = wp_remote_retrieve_response_code( $response );
+            if ( $code < 200 || $code >= 300 ) {
+                throw new \RuntimeException( sprintf( 'Rate feed returned HTTP %d', $code ) );
+            }
+
+            return (string) wp_remote_retrieve_body( $response );
+        }
+
+        $dir  = $this->get_local_dir();
+        $dir  = $dir !== '' ? realpath( $dir ) : false;
+        $path = false;
+
+        if ( $dir !== false ) {
+            // Relative paths are read from the feed directory
+            $path = realpath( preg_match( '#^([a-z]:)?[\\\\/]#i', $this->source ) ? $this->source : $dir . '/' . $this->source );
+        }
+
+        if ( $path === false || strpos( $path, rtrim( $dir, '\\/' ) . DIRECTORY_SEPARATOR ) !== 0 || ! is_file( $path ) || ! is_readable( $path ) ) {
+            throw new \RuntimeException( 'Rate feed file is not a readable file in the feed directory' );
+        }
+
+        return (string) file_get_contents( $path );
+    }
+
+    /**
+     * Get the directory local feed files must be in.
+     *
+     * @return string The EWHEEL_IMPORTER_RATE_FEED_DIR constant, else the uploads directory.
+     */
+    private function get_local_dir(): string {
+        if ( defined( 'EWHEEL_IMPORTER_RATE_FEED_DIR' ) ) {
+            return (string) EWHEEL_IMPORTER_RATE_FEED_DIR;
+        }
+
+        $uploads = wp_upload_dir( null, false );
+
+        return (string) ( $uploads['basedir'] ?? '' );
+    }
+
+    /**
+     * Load XML into a DOM document.
+     *
+     * @param string $xml Raw XML.
+     * @return \DOMDocument
+     * @throws \RuntimeException If the XML is malformed.
+     */
+    protected function load_xml( string $xml ): \DOMDocument {
+        $previous = libxml_use_internal_errors( true );
+        $dom      = new \DOMDocument();
+        $loaded   = trim( $xml ) !== '' && $dom->loadXML( $xml, LIBXML_NONET );
+        libxml_clear_errors();
+        libxml_use_internal_errors( $previous );
+
+        if ( ! $loaded ) {
+            throw new \RuntimeException( sprintf( 'Invalid %s rate feed XML', strtoupper( $this->get_source_name() ) ) );
+        }
+
+        return $dom;
+    }
+
+    /**
+     * Get the transient key for the parsed feed.
+     *
+     * @return string
+     */
+    private function get_cache_key(): string {
+        return 'ewheel_rate_feed_' . md5( $this->get_source_name() . '|' . $this->source );
+    }
+}
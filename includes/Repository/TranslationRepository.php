@@ -18,6 +18,12 @@ class TranslationRepository
      */
     private const TABLE_NAME = 'ewheel_translations';
 
+    /**
+     * Context constants (what a cached text was translated for).
+     */
+    public const CONTEXT_TITLE = 'title';
+    public const CONTEXT_DESCRIPTION = 'description';
+
     /**
      * Get a translation from the database.
      *
@@ -89,20 +95,32 @@ class TranslationRepository
     /**
      * Save a translation.
      *
+     * Approved translations are never replaced; they were reviewed by hand.
+     *
      * @param string $text        Source text.
      * @param string $translated  Translated text.
      * @param string $source_lang Source language.
      * @param string $target_lang Target language.
-     * @param string $service     Service used (google/deepl).
-     * @return bool Success.
+     * @param string $service     Service used (google/deepl/openrouter).
+     * @param string $context     What the text is (CONTEXT_* constant), empty when unknown.
+     * @return bool Success (false when the stored translation is approved).
      */
-    public function save(string $text, string $translated, string $source_lang, string $target_lang, string $service): bool
+    public function save(string $text, string $translated, string $source_lang, string $target_lang, string $service, string $context = ''): bool
     {
         global $wpdb;
 
         $table_name = $wpdb->prefix . self::TABLE_NAME;
         $hash = $this->generate_hash($text, $source_lang, $target_lang);
 
+        $existing = $wpdb->get_row(
+            $wpdb->prepare("SELECT approved, context FROM $table_name WHERE source_hash = %s", $hash),
+            ARRAY_A
+        );
+
+        if (!empty($existing['approved'])) {
+            return false;
+        }
+
         $result = $wpdb->replace(
             $table_name,
             [
@@ -112,13 +130,230 @@ class TranslationRepository
                 'source_lang' => $source_lang,
                 'target_lang' => $target_lang,
                 'service' => $service,
+                'context' => $context !== '' ? $context : ($existing['context'] ?? ''),
+                'approved' => 0,
             ],
-            ['%s', '%s', '%s', '%s', '%s', '%s']
+            ['%s', '%s', '%s', '%s', '%s', '%s', '%s', '%d']
         );
 
         return $result !== false;
     }
 
+    /**
+     * Record what a cached text is used for, if not known yet.
+     *
+     * @param string $text        Source text.
+     * @param string $source_lang Source language.
+     * @param string $target_lang Target language.
+     * @param string $context     CONTEXT_* constant.
+     * @return void
+     */
+    public function set_context(string $text, string $source_lang, string $target_lang, string $context): void
+    {
+        global $wpdb;
+
+        $table_name = $wpdb->prefix . self::TABLE_NAME;
+
+        $wpdb->query(
+            $wpdb->prepare(
+                "UPDATE $table_name SET context = %s WHERE source_hash = %s AND context = ''",
+                $context,
+                $this->generate_hash($text, $source_lang, $target_lang)
+            )
+        );
+    }
+
+    /**
+     * Find cached translations for review.
+     *
+     * @param array $args {
+     *     Optional. Filters.
+     *
+     *     @type string $context   CONTEXT_* constant, empty for titles and descriptions.
+     *     @type string $service   Translation driver.
+     *     @type string $status    'approved', 'pending' or empty for both.
+     *     @type string $date_from Oldest creation date (Y-m-d).
+     *     @type string $date_to   Newest creation date (Y-m-d).
+     *     @type string $search    Search in source and translated text.
+     *     @type int    $limit     Maximum rows. Default 25.
+     *     @type int    $offset    Offset for pagination. Default 0.
+     * }
+     * @return array Rows.
+     */
+    public function find_entries(array $args = []): array
+    {
+        global $wpdb;
+
+        $args = wp_parse_args($args, [
+            'limit' => 25,
+            'offset' => 0,
+        ]);
+
+        $table_name = $wpdb->prefix . self::TABLE_NAME;
+        [$where_clause, $prepare_args] = $this->build_where($args);
+        $prepare_args[] = absint($args['limit']);
+        $prepare_args[] = absint($args['offset']);
+
+        $sql = "SELECT id, source_text, translated_text, source_lang, target_lang, service, context, approved, created_at
+            FROM $table_name WHERE {$where_clause} ORDER BY created_at DESC, id DESC LIMIT %d OFFSET %d";
+
+        return $wpdb->get_results($wpdb->prepare($sql, $prepare_args), ARRAY_A) ?: [];
+    }
+
+    /**
+     * Count cached translations for review.
+     *
+     * @param array $args Same filters as find_entries().
+     * @return int
+     */
+    public function count_entries(array $args = []): int
+    {
+        global $wpdb;
+
+        $table_name = $wpdb->prefix . self::TABLE_NAME;
+        [$where_clause, $prepare_args] = $this->build_where($args);
+
+        $sql = "SELECT COUNT(*) FROM $table_name WHERE {$where_clause}";
+
+        return (int) $wpdb->get_var($wpdb->prepare($sql, $prepare_args));
+    }
+
+    /**
+     * Get cached translations by ID.
+     *
+     * @param array $ids Row IDs.
+     * @return array Rows.
+     */
+    public function get_entries(array $ids): array
+    {
+        global $wpdb;
+
+        $ids = array_values(array_filter(array_map('absint', $ids)));
+        if (empty($ids)) {
+            return [];
+        }
+
+        $table_name = $wpdb->prefix . self::TABLE_NAME;
+        $placeholders = implode(',', array_fill(0, count($ids), '%d'));
+        $sql = "SELECT * FROM $table_name WHERE id IN ($placeholders)";
+
+        return $wpdb->get_results($wpdb->prepare($sql, $ids), ARRAY_A) ?: [];
+    }
+
+    /**
+     * Replace a translation by hand and mark it approved.
+     *
+     * @param int    $id         Row ID.
+     * @param string $translated Translated text.
+     * @return bool
+     */
+    public function update_entry(int $id, string $translated): bool
+    {
+        global $wpdb;
+
+        return $wpdb->update(
+            $wpdb->prefix . self::TABLE_NAME,
+            ['translated_text' => $translated, 'approved' => 1],
+            ['id' => $id],
+            ['%s', '%d'],
+            ['%d']
+        ) !== false;
+    }
+
+    /**
+     * Approve or unapprove translations.
+     *
+     * @param array $ids      Row IDs.
+     * @param bool  $approved Approved flag.
+     * @return int Rows changed.
+     */
+    public function set_approved(array $ids, bool $approved): int
+    {
+        global $wpdb;
+
+        $ids = array_values(array_filter(array_map('absint', $ids)));
+        if (empty($ids)) {
+            return 0;
+        }
+
+        $table_name = $wpdb->prefix . self::TABLE_NAME;
+        $placeholders = implode(',', array_fill(0, count($ids), '%d'));
+        $sql = "UPDATE $table_name SET approved = %d WHERE id IN ($placeholders)";
+
+        return (int) $wpdb->query($wpdb->prepare($sql, array_merge([$approved ? 1 : 0], $ids)));
+    }
+
+    /**
+     * Delete cached translations.
+     *
+     * Approved translations were reviewed by hand, so they are kept unless asked for.
+     *
+     * @param bool $include_approved Also delete approved translations.
+     * @return int Rows deleted.
+     */
+    public function clear(bool $include_approved = false): int
+    {
+        global $wpdb;
+
+        $table_name = $wpdb->prefix . self::TABLE_NAME;
+        $sql = $include_approved ? "DELETE FROM $table_name" : "DELETE FROM $table_name WHERE approved = 0";
+
+        return (int) $wpdb->query($sql);
+    }
+
+    /**
+     * Build the WHERE clause for review queries.
+     *
+     * @param array $args Filters.
+     * @return array [where clause, prepare args].
+     */
+    private function build_where(array $args): array
+    {
+        global $wpdb;
+
+        $where = [];
+        $prepare_args = [];
+
+        if (!empty($args['context'])) {
+            $where[] = 'context = %s';
+            $prepare_args[] = $args['context'];
+        } else {
+            $where[] = 'context IN (%s, %s)';
+            $prepare_args[] = self::CONTEXT_TITLE;
+            $prepare_args[] = self::CONTEXT_DESCRIPTION;
+        }
+
+        if (!empty($args['service'])) {
+            $where[] = 'service = %s';
+            $prepare_args[] = $args['service'];
+        }
+
+        if (($args['status'] ?? '') === 'approved') {
+            $where[] = 'approved = 1';
+        } elseif (($args['status'] ?? '') === 'pending') {
+            $where[] = 'approved = 0';
+        }
+
+        if (!empty($args['date_from'])) {
+            $where[] = 'created_at >= %s';
+            $prepare_args[] = $args['date_from'] . ' 00:00:00';
+        }
+
+        if (!empty($args['date_to'])) {
+            $where[] = 'created_at <= %s';
+            $prepare_args[] = $args['date_to'] . ' 23:59:59';
+        }
+
+        if (!empty($args['search'])) {
+            $like = '%' . $wpdb->esc_like($args['search']) . '%';
+            $where[] = '(source_text LIKE %s OR translated_text LIKE %s)';
+            $prepare_args[] = $like;
+            $prepare_args[] = $like;
+        }
+
+        return [implode(' AND ', $where), $prepare_args];
+    }
+
     /**
      * Generate a unique hash for the translation key.
      *
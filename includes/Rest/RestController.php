@@ -0,0 +1,672 @@
+<?php
+/**
+ * REST Controller.
+ *
+ * @package Trotibike\EwheelImporter
+ */
+
+namespace Trotibike\EwheelImporter\Rest;
+
+use Trotibike\EwheelImporter\Database\SchemaInstaller;
+use Trotibike\EwheelImporter\Log\LiveLogger;
+use Trotibike\EwheelImporter\Log\PersistentLogger;
+use Trotibike\EwheelImporter\Model\Profile;
+use Trotibike\EwheelImporter\Repository\ProfileRepository;
+use Trotibike\EwheelImporter\Service\BrandService;
+use Trotibike\EwheelImporter\Sync\DiscontinuedProducts;
+use Trotibike\EwheelImporter\Sync\SyncControl;
+
+/**
+ * The ewheel/v1 REST namespace: sync control and status, sync history,
+ * logs and profiles.
+ *
+ * Used by the admin screen (cookie auth with an X-WP-Nonce header) and by
+ * external tooling (application passwords over Basic auth). Every route
+ * needs the manage_woocommerce capability.
+ */
+class RestController
+{
+    /**
+     * REST namespace.
+     */
+    public const NAMESPACE = 'ewheel/v1';
+
+    /**
+     * Capability every route requires.
+     */
+    public const CAPABILITY = 'manage_woocommerce';
+
+    /**
+     * Most log entries per request.
+     */
+    public const MAX_LOGS = 200;
+
+    /**
+     * Sync control.
+     *
+     * @var SyncControl
+     */
+    private SyncControl $sync_control;
+
+    /**
+     * Profile repository.
+     *
+     * @var ProfileRepository
+     */
+    private ProfileRepository $profile_repository;
+
+    /**
+     * Constructor.
+     *
+     * @param SyncControl       $sync_control       Sync control.
+     * @param ProfileRepository $profile_repository Profile repository.
+     */
+    public function __construct(SyncControl $sync_control, ProfileRepository $profile_repository)
+    {
+        $this->sync_control = $sync_control;
+        $this->profile_repository = $profile_repository;
+    }
+
+    /**
+     * Register the routes.
+     *
+     * @return void
+     */
+    public function register_routes(): void
+    {
+        $profile_arg = [
+            'profile_id' => [
+                'description' => __('Profile ID. Leave empty for the global sync.', 'ewheel-importer'),
+                'type' => 'integer',
+                'minimum' => 0,
+                'default' => 0,
+            ],
+        ];
+
+        register_rest_route(self::NAMESPACE, '/sync/status', [
+            'methods' => \WP_REST_Server::READABLE,
+            'callback' => [$this, 'get_sync_status'],
+            'permission_callback' => [$this, 'check_permission'],
+            'args' => $profile_arg + [
+                'include_logs' => [
+                    'description' => __('Also return the live log of the running sync.', 'ewheel-importer'),
+                    'type' => 'boolean',
+                    'default' => false,
+                ],
+                'recover' => [
+                    'description' => __('Nudge Action Scheduler when a running sync has stalled.', 'ewheel-importer'),
+                    'type' => 'boolean',
+                    'default' => true,
+                ],
+            ],
+        ]);
+
+        register_rest_route(self::NAMESPACE, '/sync/active', [
+            'methods' => \WP_REST_Server::READABLE,
+            'callback' => [$this, 'get_active_syncs'],
+            'permission_callback' => [$this, 'check_permission'],
+        ]);
+
+        register_rest_route(self::NAMESPACE, '/sync/start', [
+            'methods' => \WP_REST_Server::CREATABLE,
+            'callback' => [$this, 'start_sync'],
+            'permission_callback' => [$this, 'check_permission'],
+            'args' => $profile_arg + [
+                'limit' => [
+                    'description' => __('Products to sync, 0 for all.', 'ewheel-importer'),
+                    'type' => 'integer',
+                    'minimum' => 0,
+                    'default' => 0,
+                ],
+                'resume_from_last' => [
+                    'description' => __('Continue from the page the previous sync reached.', 'ewheel-importer'),
+                    'type' => 'boolean',
+                    'default' => false,
+                ],
+            ],
+        ]);
+
+        foreach (['pause', 'resume'] as $action) {
+            register_rest_route(self::NAMESPACE, '/sync/' . $action, [
+                'methods' => \WP_REST_Server::CREATABLE,
+                'callback' => [$this, $action . '_sync'],
+                'permission_callback' => [$this, 'check_permission'],
+                'args' => $profile_arg,
+            ]);
+        }
+
+        register_rest_route(self::NAMESPACE, '/sync/stop', [
+            'methods' => \WP_REST_Server::CREATABLE,
+            'callback' => [$this, 'stop_sync'],
+            'permission_callback' => [$this, 'check_permission'],
+            'args' => $profile_arg + [
+                'force' => [
+                    'description' => __('Reset all sync state, including other profiles.', 'ewheel-importer'),
+                    'type' => 'boolean',
+                    'default' => false,
+                ],
+            ],
+        ]);
+
+        register_rest_route(self::NAMESPACE, '/sync/history', [
+            'methods' => \WP_REST_Server::READABLE,
+            'callback' => [$this, 'get_sync_history'],
+            'permission_callback' => [$this, 'check_permission'],
+            'args' => $profile_arg + [
+                'limit' => [
+                    'type' => 'integer',
+                    'minimum' => 1,
+                    'maximum' => 100,
+                    'default' => 10,
+                ],
+            ],
+        ]);
+
+        register_rest_route(self::NAMESPACE, '/logs', [
+            'methods' => \WP_REST_Server::READABLE,
+            'callback' => [$this, 'get_logs'],
+            'permission_callback' => [$this, 'check_permission'],
+            'args' => $profile_arg + [
+                'level' => ['type' => 'string', 'default' => ''],
+                'batch_id' => ['type' => 'string', 'default' => ''],
+                'sku' => ['type' => 'string', 'default' => ''],
+                'search' => ['type' => 'string', 'default' => ''],
+                'date_from' => ['type' => 'string', 'default' => ''],
+                'date_to' => ['type' => 'string', 'default' => ''],
+                'limit' => ['type' => 'integer', 'minimum' => 1, 'maximum' => self::MAX_LOGS, 'default' => 100],
+                'offset' => ['type' => 'integer', 'minimum' => 0, 'default' => 0],
+                'after_id' => [
+                    'description' => __('Only entries newer than this log ID, oldest first.', 'ewheel-importer'),
+                    'type' => 'integer',
+                    'minimum' => 0,
+                    'default' => 0,
+                ],
+            ],
+        ]);
+
+        register_rest_route(self::NAMESPACE, '/profiles', [
+            [
+                'methods' => \WP_REST_Server::READABLE,
+                'callback' => [$this, 'get_profiles'],
+                'permission_callback' => [$this, 'check_permission'],
+            ],
+            [
+                'methods' => \WP_REST_Server::CREATABLE,
+                'callback' => [$this, 'save_profile'],
+                'permission_callback' => [$this, 'check_permission'],
+                'args' => $this->get_profile_args(true),
+            ],
+        ]);
+
+        register_rest_route(self::NAMESPACE, '/profiles/(?P<id>\d+)', [
+            [
+                'methods' => \WP_REST_Server::READABLE,
+                'callback' => [$this, 'get_profile'],
+                'permission_callback' => [$this, 'check_permission'],
+            ],
+            [
+                'methods' => \WP_REST_Server::EDITABLE,
+                'callback' => [$this, 'save_profile'],
+                'permission_callback' => [$this, 'check_permission'],
+                'args' => $this->get_profile_args(false),
+            ],
+            [
+                'methods' => \WP_REST_Server::DELETABLE,
+                'callback' => [$this, 'delete_profile'],
+                'permission_callback' => [$this, 'check_permission'],
+            ],
+        ]);
+    }
+
+    /**
+     * Check the current user may control syncs.
+     *
+     * @return bool|\WP_Error
+     */
+    public function check_permission()
+    {
+        if (current_user_can(self::CAPABILITY)) {
+            return true;
+        }
+
+        return new \WP_Error(
+            'ewheel_forbidden',
+            __('Permission denied', 'ewheel-importer'),
+            ['status' => rest_authorization_required_code()]
+        );
+    }
+
+    /**
+     * GET /sync/status
+     *
+     * @param \WP_REST_Request $request Request.
+     * @return \WP_REST_Response
+     */
+    public function get_sync_status(\WP_REST_Request $request): \WP_REST_Response
+    {
+        $data = $this->sync_control->get_status(
+            $this->get_profile_id($request),
+            (bool) $request->get_param('recover')
+        );
+
+        if ($request->get_param('include_logs')) {
+            $data['logs'] = LiveLogger::get_logs();
+        }
+
+        return rest_ensure_response($data);
+    }
+
+    /**
+     * GET /sync/active
+     *
+     * @return \WP_REST_Response
+     */
+    public function get_active_syncs(): \WP_REST_Response
+    {
+        return rest_ensure_response(['syncs' => $this->sync_control->get_active_syncs()]);
+    }
+
+    /**
+     * POST /sync/start
+     *
+     * @param \WP_REST_Request $request Request.
+     * @return \WP_REST_Response|\WP_Error
+     */
+    public function start_sync(\WP_REST_Request $request)
+    {
+        $profile_id = $this->get_profile_id($request);
+        if ($profile_id && !$this->profile_repository->find($profile_id)) {
+            return $this->profile_not_found();
+        }
+
+        try {
+            $sync_id = $this->sync_control->start(
+                (int) $request->get_param('limit'),
+                $profile_id,
+                (bool) $request->get_param('resume_from_last')
+            );
+        } catch (\RuntimeException $e) {
+            return $this->error('ewheel_sync_not_started', $e, 409);
+        }
+
+        $response = rest_ensure_response([
+            'message' => sprintf(__('Sync started successfully. ID: %s', 'ewheel-importer'), $sync_id),
+            'sync_id' => $sync_id,
+            'profile_id' => $profile_id,
+        ]);
+        $response->set_status(202);
+
+        return $response;
+    }
+
+    /**
+     * POST /sync/pause
+     *
+     * @param \WP_REST_Request $request Request.
+     * @return \WP_REST_Response|\WP_Error
+     */
+    public function pause_sync(\WP_REST_Request $request)
+    {
+        try {
+            $sync_id = $this->sync_control->pause($this->get_profile_id($request));
+        } catch (\RuntimeException $e) {
+            return $this->error('ewheel_sync_not_running', $e, 409);
+        }
+
+        return rest_ensure_response([
+            'message' => __('Sync paused.', 'ewheel-importer'),
+            'sync_id' => $sync_id,
+        ]);
+    }
+
+    /**
+     * POST /sync/resume
+     *
+     * @param \WP_REST_Request $request Request.
+     * @return \WP_REST_Response|\WP_Error
+     */
+    public function resume_sync(\WP_REST_Request $request)
+    {
+        try {
+            $sync_id = $this->sync_control->resume($this->get_profile_id($request));
+        } catch (\RuntimeException $e) {
+            return $this->error('ewheel_sync_not_paused', $e, 409);
+        }
+
+        return rest_ensure_response([
+            'message' => __('Sync resumed.', 'ewheel-importer'),
+            'sync_id' => $sync_id,
+        ]);
+    }
+
+    /**
+     * POST /sync/stop
+     *
+     * @param \WP_REST_Request $request Request.
+     * @return \WP_REST_Response|\WP_Error
+     */
+    public function stop_sync(\WP_REST_Request $request)
+    {
+        try {
+            $sync_id = $this->sync_control->stop(
+                $this->get_profile_id($request),
+                (bool) $request->get_param('force')
+            );
+        } catch (\Throwable $e) {
+            return $this->error('ewheel_sync_stop_failed', $e, 500);
+        }
+
+        return rest_ensure_response([
+            'message' => __('Sync stopped.', 'ewheel-importer'),
+            'sync_id' => $sync_id,
+        ]);
+    }
+
+    /**
+     * GET /sync/history
+     *
+     * @param \WP_REST_Request $request Request.
+     * @return \WP_REST_Response
+     */
+    public function get_sync_history(\WP_REST_Request $request): \WP_REST_Response
+    {
+        return rest_ensure_response($this->sync_control->get_history(
+            (int) $request->get_param('limit'),
+            $this->get_profile_id($request)
+        ));
+    }
+
+    /**
+     * GET /logs
+     *
+     * @param \WP_REST_Request $request Request.
+     * @return \WP_REST_Response
+     */
+    public function get_logs(\WP_REST_Request $request): \WP_REST_Response
+    {
+        $args = PersistentLogger::sanitize_filters($request->get_params());
+        $args['limit'] = min(self::MAX_LOGS, (int) $request->get_param('limit'));
+        $args['offset'] = (int) $request->get_param('offset');
+
+        // Live tail: only entries newer than the last one shown, oldest first
+        $args['after_id'] = (int) $request->get_param('after_id');
+        if ($args['after_id'] > 0) {
+            $args['order'] = 'ASC';
+            $args['offset'] = 0;
+        }
+
+        return rest_ensure_response([
+            'logs' => PersistentLogger::get_logs($args),
+            'total' => PersistentLogger::get_count($args),
+        ]);
+    }
+
+    /**
+     * GET /profiles
+     *
+     * @return \WP_REST_Response
+     */
+    public function get_profiles(): \WP_REST_Response
+    {
+        $this->ensure_profiles_table();
+
+        $profiles = array_map([$this, 'prepare_profile'], $this->profile_repository->find_all());
+
+        return rest_ensure_response(['profiles' => $profiles]);
+    }
+
+    /**
+     * GET /profiles/{id}
+     *
+     * @param \WP_REST_Request $request Request.
+     * @return \WP_REST_Response|\WP_Error
+     */
+    public function get_profile(\WP_REST_Request $request)
+    {
+        $profile = $this->profile_repository->find((int) $request['id']);
+        if (!$profile) {
+            return $this->profile_not_found();
+        }
+
+        return rest_ensure_response(['profile' => $this->prepare_profile($profile)]);
+    }
+
+    /**
+     * POST /profiles and PUT /profiles/{id}
+     *
+     * Filters and settings missing from the request keep their saved values.
+     * Brand filters are edited in the Brands tab and are never changed here.
+     *
+     * @param \WP_REST_Request $request Request.
+     * @return \WP_REST_Response|\WP_Error
+     */
+    public function save_profile(\WP_REST_Request $request)
+    {
+        $this->ensure_profiles_table();
+
+        $profile_id = (int) $request['id'];
+        $profile = $profile_id ? $this->profile_repository->find($profile_id) : new Profile();
+        if (!$profile) {
+            return $this->profile_not_found();
+        }
+
+        if ($request->has_param('name')) {
+            $profile->set_name(sanitize_text_field($request->get_param('name')));
+        }
+        if ($profile->get_name() === '') {
+            return new \WP_Error('ewheel_invalid_profile', __('Profile name is required', 'ewheel-importer'), ['status' => 400]);
+        }
+
+        if ($request->has_param('is_active')) {
+            $profile->set_active((bool) $request->get_param('is_active'));
+        }
+
+        if (is_array($request->get_param('filters'))) {
+            $profile->set_filters($this->sanitize_profile_filters($request->get_param('filters'), $profile));
+        }
+
+        if (is_array($request->get_param('settings'))) {
+            $profile->set_settings($this->sanitize_profile_settings($request->get_param('settings'), $profile));
+        }
+
+        try {
+            $saved_id = $this->profile_repository->save($profile);
+        } catch (\RuntimeException $e) {
+            return $this->error('ewheel_profile_not_saved', $e, 400);
+        }
+
+        $response = rest_ensure_response([
+            'message' => __('Profile saved successfully', 'ewheel-importer'),
+            'profile' => $this->prepare_profile($this->profile_repository->find($saved_id) ?? $profile),
+        ]);
+        $response->set_status($profile_id ? 200 : 201);
+
+        return $response;
+    }
+
+    /**
+     * DELETE /profiles/{id}
+     *
+     * @param \WP_REST_Request $request Request.
+     * @return \WP_REST_Response|\WP_Error
+     */
+    public function delete_profile(\WP_REST_Request $request)
+    {
+        $profile_id = (int) $request['id'];
+        if (!$this->profile_repository->find($profile_id)) {
+            return $this->profile_not_found();
+        }
+
+        try {
+            $this->profile_repository->delete($profile_id);
+        } catch (\RuntimeException $e) {
+            return $this->error('ewheel_profile_not_deleted', $e, 400);
+        }
+
+        return rest_ensure_response([
+            'message' => __('Profile deleted successfully', 'ewheel-importer'),
+            'deleted' => true,
+        ]);
+    }
+
+    /**
+     * Get the arguments accepted when saving a profile.
+     *
+     * @param bool $creating Whether the profile is being created.
+     * @return array
+     */
+    private function get_profile_args(bool $creating): array
+    {
+        return [
+            'name' => [
+                'type' => 'string',
+                'required' => $creating,
+            ],
+            'is_active' => [
+                'type' => 'boolean',
+            ],
+            'filters' => [
+                'description' => __('category, active, hasImages, hasVariants and productReference.', 'ewheel-importer'),
+                'type' => 'object',
+            ],
+            'settings' => [
+                'description' => __('exchange_rate, markup_percent, sync_frequency, test_limit and discontinued_policy. An empty exchange_rate or markup_percent falls back to the global setting.', 'ewheel-importer'),
+                'type' => 'object',
+            ],
+        ];
+    }
+
+    /**
+     * Merge profile filters from a request over the saved ones.
+     *
+     * @param array   $raw     Filters from the request.
+     * @param Profile $profile Profile being saved.
+     * @return array
+     */
+    private function sanitize_profile_filters(array $raw, Profile $profile): array
+    {
+        $filters = $profile->get_filters();
+
+        foreach (['category', 'productReference'] as $key) {
+            if (array_key_exists($key, $raw)) {
+                $filters[$key] = sanitize_text_field((string) $raw[$key]);
+            }
+        }
+
+        foreach (['active', 'hasImages', 'hasVariants'] as $key) {
+            if (array_key_exists($key, $raw)) {
+                $filters[$key] = rest_sanitize_boolean($raw[$key]);
+            }
+        }
+
+        foreach ([BrandService::FILTER_INCLUDE, BrandService::FILTER_EXCLUDE] as $key) {
+            $filters[$key] = $profile->get_filter($key);
+        }
+
+        return $filters;
+    }
+
+    /**
+     * Merge profile settings from a request over the saved ones.
+     *
+     * @param array   $raw     Settings from the request.
+     * @param Profile $profile Profile being saved.
+     * @return array
+     */
+    private function sanitize_profile_settings(array $raw, Profile $profile): array
+    {
+        $settings = $profile->to_array()['settings'];
+
+        // Pricing overrides: an empty value falls back to the global setting
+        foreach (['exchange_rate', 'markup_percent'] as $key) {
+            if (!array_key_exists($key, $raw)) {
+                continue;
+            }
+            if ($raw[$key] === '' || $raw[$key] === null) {
+                unset($settings[$key]);
+            } else {
+                $settings[$key] = (float) $raw[$key];
+            }
+        }
+
+        if (array_key_exists('sync_frequency', $raw)) {
+            $settings['sync_frequency'] = sanitize_text_field((string) $raw['sync_frequency']) ?: 'manual';
+        }
+
+        if (array_key_exists('test_limit', $raw)) {
+            $settings['test_limit'] = absint($raw['test_limit']);
+        }
+
+        if (array_key_exists('discontinued_policy', $raw)) {
+            $policy = sanitize_key((string) $raw['discontinued_policy']);
+            $settings['discontinued_policy'] = array_key_exists($policy, DiscontinuedProducts::get_policy_labels())
+                ? $policy
+                : DiscontinuedProducts::POLICY_DRAFT;
+        }
+
+        return $settings;
+    }
+
+    /**
+     * Convert a profile for a response.
+     *
+     * @param Profile $profile Profile.
+     * @return array Profile::to_array() plus last_sync_formatted.
+     */
+    private function prepare_profile(Profile $profile): array
+    {
+        $data = $profile->to_array();
+        $data['last_sync_formatted'] = !empty($data['last_sync'])
+            ? wp_date(get_option('date_format') . ' ' . get_option('time_format'), strtotime($data['last_sync']))
+            : null;
+
+        return $data;
+    }
+
+    /**
+     * Create the profiles table if it is missing.
+     *
+     * @return void
+     */
+    private function ensure_profiles_table(): void
+    {
+        if (!$this->profile_repository->table_exists()) {
+            SchemaInstaller::install();
+        }
+    }
+
+    /**
+     * Read the profile ID of a request.
+     *
+     * @param \WP_REST_Request $request Request.
+     * @return int|null Null for the global sync.
+     */
+    private function get_profile_id(\WP_REST_Request $request): ?int
+    {
+        $profile_id = (int) $request->get_param('profile_id');
+        return $profile_id > 0 ? $profile_id : null;
+    }
+
+    /**
+     * Build the error for a missing profile.
+     *
+     * @return \WP_Error
+     */
+    private function profile_not_found(): \WP_Error
+    {
+        return new \WP_Error('ewheel_profile_not_found', __('Profile not found', 'ewheel-importer'), ['status' => 404]);
+    }
+
+    /**
+     * Build an error response from an exception.
+     *
+     * @param string     $code      Error code.
+     * @param \Throwable $exception Exception.
+     * @param int        $status    HTTP status.
+     * @return \WP_Error
+     */
+    private function error(string $code, \Throwable $exception, int $status): \WP_Error
+    {
+        return new \WP_Error($code, $exception->getMessage(), ['status' => $status]);
+    }
+}
@@ -7,6 +7,8 @@
 
 namespace Trotibike\EwheelImporter\Service;
 
+use Trotibike\EwheelImporter\Log\PersistentLogger;
+
 /**
  * Handles WooCommerce product attributes.
  */
@@ -43,6 +45,15 @@ class AttributeService
                 continue;
             }
 
+            // Attributes mapped to a taxonomy replace the preserved pa_* attribute of the same slug
+            if (!empty($attr['taxonomy'])) {
+                $attribute = $this->build_taxonomy_attribute((string) $attr['taxonomy'], $name, $options, $attr['visible'] ?? true);
+                if ($attribute) {
+                    $preserved[$attribute->get_name()] = $attribute;
+                }
+                continue;
+            }
+
             $attribute = new \WC_Product_Attribute();
             $attribute->set_name($name);
             $attribute->set_options($options);
@@ -55,4 +66,143 @@ class AttributeService
         // Merge: preserved taxonomy attrs + new API attrs (API wins on conflict)
         $product->set_attributes($preserved + $wc_attributes);
     }
+
+    /**
+     * Build a global (pa_*) attribute, creating the attribute and its terms when missing.
+     *
+     * @param string $slug    Attribute slug.
+     * @param string $label   Attribute label, used when the attribute is created.
+     * @param array  $options Term names.
+     * @param bool   $visible Whether the attribute shows on the product page.
+     * @return \WC_Product_Attribute|null Null when the attribute could not be created.
+     */
+    private function build_taxonomy_attribute(string $slug, string $label, array $options, bool $visible): ?\WC_Product_Attribute
+    {
+        // WooCommerce limits attribute slugs to 28 characters
+        $slug = substr(wc_sanitize_taxonomy_name($slug), 0, 28);
+        $taxonomy = wc_attribute_taxonomy_name($slug);
+
+        $attribute_id = wc_attribute_taxonomy_id_by_name($slug);
+        if (!$attribute_id) {
+            $attribute_id = wc_create_attribute([
+                'name' => $label,
+                'slug' => $slug,
+                'type' => 'select',
+                'has_archives' => false,
+            ]);
+
+            if (is_wp_error($attribute_id)) {
+                PersistentLogger::warning(sprintf('Could not create attribute %s: %s', $taxonomy, $attribute_id->get_error_message()));
+                return null;
+            }
+        }
+
+        // Attributes created during this request are not registered yet
+        if (!taxonomy_exists($taxonomy)) {
+            register_taxonomy($taxonomy, ['product'], [
+                'hierarchical' => false,
+                'show_ui' => false,
+                'query_var' => true,
+                'rewrite' => false,
+            ]);
+        }
+
+        $term_ids = [];
+        foreach ($options as $option) {
+            $term = term_exists((string) $option, $taxonomy);
+            if (!$term) {
+                $term = wp_insert_term((string) $option, $taxonomy);
+            }
+
+            if (is_wp_error($term)) {
+                PersistentLogger::warning(sprintf('Could not create term "%s" in %s: %s', $option, $taxonomy, $term->get_error_message()));
+                continue;
+            }
+
+            $term_ids[] = (int) (is_array($term) ? $term['term_id'] : $term);
+        }
+
+        if (empty($term_ids)) {
+            return null;
+        }
+
+        $attribute = new \WC_Product_Attribute();
+        $attribute->set_id((int) $attribute_id);
+        $attribute->set_name($taxonomy);
+        $attribute->set_options($term_ids);
+        $attribute->set_visible($visible);
+        $attribute->set_variation(false);
+
+        return $attribute;
+    }
+
+    /**
+     * Add attribute options to a product without removing any.
+     *
+     * Used for variable products holding variations merged in from other
+     * reference bases: each group brings its own attribute values.
+     *
+     * @param \WC_Product $product    The product.
+     * @param array       $attributes Array of attribute data (name, options, visible, variation).
+     * @return void
+     */
+    public function add_product_attributes(\WC_Product $product, array $attributes): void
+    {
+        $existing = $product->get_attributes();
+
+        foreach ($attributes as $attr) {
+            $name = $attr['name'] ?? '';
+            $options = $attr['options'] ?? [];
+
+            if (empty($name) || empty($options)) {
+                continue;
+            }
+
+            // WooCommerce keys attributes by their sanitized name
+            $key = sanitize_title($name);
+
+            if (isset($existing[$key]) && !$existing[$key]->is_taxonomy()) {
+                $attribute = $existing[$key];
+                $attribute->set_options(array_values(array_unique(array_merge($attribute->get_options(), $options))));
+                $attribute->set_variation($attribute->get_variation() || !empty($attr['variation']));
+                continue;
+            }
+
+            $attribute = new \WC_Product_Attribute();
+            $attribute->set_name($name);
+            $attribute->set_options($options);
+            $attribute->set_visible($attr['visible'] ?? true);
+            $attribute->set_variation($attr['variation'] ?? false);
+
+            $existing[$key] = $attribute;
+        }
+
+        $product->set_attributes($existing);
+    }
+
+    /**
+     * Get the custom variation attributes of a product as attribute data.
+     *
+     * @param \WC_Product $product The product.
+     * @return array Array of attribute data, as accepted by add_product_attributes().
+     */
+    public function get_variation_attribute_data(\WC_Product $product): array
+    {
+        $data = [];
+
+        foreach ($product->get_attributes() as $attribute) {
+            if ($attribute->is_taxonomy() || !$attribute->get_variation()) {
+                continue;
+            }
+
+            $data[] = [
+                'name' => $attribute->get_name(),
+                'options' => $attribute->get_options(),
+                'visible' => $attribute->get_visible(),
+                'variation' => true,
+            ];
+        }
+
+        return $data;
+    }
 }
@@ -7,11 +7,15 @@
 
 namespace Trotibike\EwheelImporter\Service;
 
+use Trotibike\EwheelImporter\Log\PersistentLogger;
+
 /**
  * Handles product brand taxonomy operations.
  *
  * Manages the product_brand taxonomy for WooCommerce products,
  * providing methods to create brands and assign them to products.
+ * Brand names from the API are resolved through aliases first, so
+ * spelling variants end up on one brand term.
  */
 class BrandService
 {
@@ -20,6 +24,17 @@ class BrandService
      */
     public const TAXONOMY = 'product_brand';
 
+    /**
+     * WP option key for brand aliases (normalized alias => brand name).
+     */
+    public const ALIAS_OPTION = 'ewheel_importer_brand_aliases';
+
+    /**
+     * Profile filter keys of the brands a profile imports only / never.
+     */
+    public const FILTER_INCLUDE = 'includeBrands';
+    public const FILTER_EXCLUDE = 'excludeBrands';
+
     /**
      * Get or create a brand term.
      *
@@ -28,7 +43,7 @@ class BrandService
      */
     public function get_or_create_brand(string $brand_name): ?int
     {
-        $brand_name = trim($brand_name);
+        $brand_name = $this->resolve_brand_name($brand_name);
 
         if (empty($brand_name)) {
             return null;
@@ -141,4 +156,202 @@ class BrandService
 
         return !is_wp_error($result);
     }
+
+    /**
+     * Resolve a brand name through the aliases.
+     *
+     * @param string $brand_name Brand name as sent by the API.
+     * @return string The brand the name is an alias of, or the trimmed name.
+     */
+    public function resolve_brand_name(string $brand_name): string
+    {
+        $brand_name = trim($brand_name);
+
+        return $this->get_aliases()[self::normalize_alias($brand_name)] ?? $brand_name;
+    }
+
+    /**
+     * Get all aliases.
+     *
+     * @return array<string, string> Normalized alias => brand name.
+     */
+    public function get_aliases(): array
+    {
+        $aliases = get_option(self::ALIAS_OPTION, []);
+
+        return is_array($aliases) ? $aliases : [];
+    }
+
+    /**
+     * Make a name an alias of a brand.
+     *
+     * @param string $alias      Spelling variant.
+     * @param string $brand_name Brand name the variant resolves to.
+     * @return void
+     * @throws \RuntimeException If either name is empty or both only differ in case or spacing.
+     */
+    public function save_alias(string $alias, string $brand_name): void
+    {
+        $key = self::normalize_alias($alias);
+        $brand_name = trim($brand_name);
+
+        if ($key === '' || $brand_name === '') {
+            throw new \RuntimeException(__('Alias and brand are required.', 'ewheel-importer'));
+        }
+
+        if ($key === self::normalize_alias($brand_name)) {
+            throw new \RuntimeException(__('Names that differ only in case or spacing already resolve to the same brand.', 'ewheel-importer'));
+        }
+
+        $aliases = $this->get_aliases();
+
+        // The brand may itself have been an alias; keep every chain one step long
+        unset($aliases[self::normalize_alias($brand_name)]);
+        foreach ($aliases as $existing => $target) {
+            if (self::normalize_alias($target) === $key) {
+                $aliases[$existing] = $brand_name;
+            }
+        }
+
+        $aliases[$key] = $brand_name;
+        ksort($aliases);
+        update_option(self::ALIAS_OPTION, $aliases, false);
+    }
+
+    /**
+     * Remove an alias.
+     *
+     * @param string $alias Spelling variant.
+     * @return bool True if the alias existed.
+     */
+    public function remove_alias(string $alias): bool
+    {
+        $key = self::normalize_alias($alias);
+        $aliases = $this->get_aliases();
+
+        if (!isset($aliases[$key])) {
+            return false;
+        }
+
+        unset($aliases[$key]);
+        update_option(self::ALIAS_OPTION, $aliases, false);
+
+        return true;
+    }
+
+    /**
+     * List brands with product counts and aliases.
+     *
+     * @return array Rows with term_id, name, slug, count and aliases.
+     */
+    public function get_brands(): array
+    {
+        $aliases_by_brand = [];
+        foreach ($this->get_aliases() as $alias => $brand_name) {
+            $aliases_by_brand[self::normalize_alias($brand_name)][] = (string) $alias;
+        }
+
+        $brands = [];
+        foreach ($this->get_all_brands() as $term) {
+            $brands[] = [
+                'term_id' => (int) $term->term_id,
+                'name' => $term->name,
+                'slug' => $term->slug,
+                'count' => (int) $term->count,
+                'aliases' => $aliases_by_brand[self::normalize_alias($term->name)] ?? [],
+            ];
+        }
+
+        return $brands;
+    }
+
+    /**
+     * Merge a duplicate brand into another one.
+     *
+     * Products of the source brand move to the target, the source name and
+     * its aliases become aliases of the target, and the source term is deleted.
+     *
+     * @param int $source_id Term ID of the duplicate.
+     * @param int $target_id Term ID of the brand to keep.
+     * @return int Number of products moved.
+     * @throws \RuntimeException If a term is missing or both are the same.
+     */
+    public function merge_brands(int $source_id, int $target_id): int
+    {
+        if ($source_id === $target_id) {
+            throw new \RuntimeException(__('A brand cannot be merged into itself.', 'ewheel-importer'));
+        }
+
+        $source = get_term($source_id, self::TAXONOMY);
+        $target = get_term($target_id, self::TAXONOMY);
+
+        if (!$source instanceof \WP_Term || !$target instanceof \WP_Term) {
+            throw new \RuntimeException(__('Brand not found.', 'ewheel-importer'));
+        }
+
+        $product_ids = get_objects_in_term($source_id, self::TAXONOMY);
+        $product_ids = is_wp_error($product_ids) ? [] : array_map('intval', $product_ids);
+
+        foreach ($product_ids as $product_id) {
+            wp_set_object_terms($product_id, [$target_id], self::TAXONOMY);
+        }
+
+        // Also points the aliases of the source to the target
+        if (self::normalize_alias($source->name) !== self::normalize_alias($target->name)) {
+            $this->save_alias($source->name, $target->name);
+        }
+
+        $deleted = wp_delete_term($source_id, self::TAXONOMY);
+        if (is_wp_error($deleted)) {
+            throw new \RuntimeException($deleted->get_error_message());
+        }
+
+        PersistentLogger::info(sprintf(
+            'Brand "%s" merged into "%s": %d products moved',
+            $source->name,
+            $target->name,
+            count($product_ids)
+        ));
+
+        return count($product_ids);
+    }
+
+    /**
+     * Check whether a profile imports products of a brand.
+     *
+     * With an include list only the listed brands are imported (products
+     * without a brand are not); the exclude list is applied after it.
+     *
+     * @param string $brand_name Brand name as sent by the API.
+     * @param array  $filters    Profile filters (FILTER_INCLUDE, FILTER_EXCLUDE).
+     * @return bool
+     */
+    public function is_brand_allowed(string $brand_name, array $filters): bool
+    {
+        $include = array_map([self::class, 'normalize_alias'], (array) ($filters[self::FILTER_INCLUDE] ?? []));
+        $exclude = array_map([self::class, 'normalize_alias'], (array) ($filters[self::FILTER_EXCLUDE] ?? []));
+
+        if (empty($include) && empty($exclude)) {
+            return true;
+        }
+
+        $brand = self::normalize_alias($this->resolve_brand_name($brand_name));
+
+        if (!empty($include) && !in_array($brand, $include, true)) {
+            return false;
+        }
+
+        return $brand === '' || !in_array($brand, $exclude, true);
+    }
+
+    /**
+     * Normalize a brand name for alias lookups (case and spacing).
+     *
+     * @param string $name Brand name.
+     * @return string
+     */
+    public static function normalize_alias(string $name): string
+    {
+        return strtolower((string) preg_replace('/\s+/u', ' ', trim($name)));
+    }
 }
@@ -0,0 +1,160 @@
+<?php
+/**
+ * Category Matcher class.
+ *
+ * @package Trotibike\EwheelImporter\Service
+ */
+
+namespace Trotibike\EwheelImporter\Service;
+
+/**
+ * Suggests WooCommerce categories for ewheel categories by fuzzy name matching.
+ *
+ * Names are compared after lowercasing, stripping diacritics and
+ * punctuation. The score blends word overlap (words sharing a 5-letter
+ * stem count as equal, which absorbs most plural and gender endings)
+ * with the edit distance of the whole name.
+ */
+class CategoryMatcher
+{
+    /**
+     * Minimum score for a suggestion.
+     */
+    public const DEFAULT_THRESHOLD = 0.6;
+
+    /**
+     * Word stem length used to compare words.
+     */
+    private const STEM_LENGTH = 5;
+
+    /**
+     * Diacritics found in Romanian, Spanish and other catalogue languages.
+     */
+    private const DIACRITICS = [
+        'ă' => 'a', 'â' => 'a', 'á' => 'a', 'à' => 'a', 'ä' => 'a',
+        'î' => 'i', 'í' => 'i', 'ï' => 'i',
+        'ș' => 's', 'ş' => 's', 'ț' => 't', 'ţ' => 't',
+        'é' => 'e', 'è' => 'e', 'ë' => 'e', 'ê' => 'e',
+        'ó' => 'o', 'ò' => 'o', 'ö' => 'o', 'ô' => 'o',
+        'ú' => 'u', 'ù' => 'u', 'ü' => 'u',
+        'ñ' => 'n', 'ç' => 'c',
+    ];
+
+    /**
+     * Suggest a WooCommerce category for each ewheel category.
+     *
+     * @param array $ewheel_categories List of ['reference' => string, 'name' => string].
+     * @param array $woo_categories    List of ['id' => int, 'name' => string].
+     * @param float $threshold         Minimum score (0-1).
+     * @return array [reference => ['woo_id' => int, 'woo_name' => string, 'score' => float]], best first per reference.
+     */
+    public function suggest(array $ewheel_categories, array $woo_categories, float $threshold = self::DEFAULT_THRESHOLD): array
+    {
+        $candidates = [];
+        foreach ($woo_categories as $woo_cat) {
+            $normalized = $this->normalize((string) ($woo_cat['name'] ?? ''));
+            if ($normalized !== '') {
+                $candidates[] = [
+                    'id' => (int) $woo_cat['id'],
+                    'name' => (string) $woo_cat['name'],
+                    'normalized' => $normalized,
+                ];
+            }
+        }
+
+        $suggestions = [];
+        foreach ($ewheel_categories as $ewheel_cat) {
+            $reference = (string) ($ewheel_cat['reference'] ?? '');
+            $name = $this->normalize((string) ($ewheel_cat['name'] ?? ''));
+            if ($reference === '' || $name === '') {
+                continue;
+            }
+
+            $best = null;
+            foreach ($candidates as $candidate) {
+                $score = $this->score($name, $candidate['normalized']);
+                if ($score >= $threshold && ($best === null || $score > $best['score'])) {
+                    $best = [
+                        'woo_id' => $candidate['id'],
+                        'woo_name' => $candidate['name'],
+                        'score' => $score,
+                    ];
+                }
+            }
+
+            if ($best !== null) {
+                $suggestions[$reference] = $best;
+            }
+        }
+
+        return $suggestions;
+    }
+
+    /**
+     * Score how similar two normalized names are.
+     *
+     * @param string $a Normalized name.
+     * @param string $b Normalized name.
+     * @return float 0 (unrelated) to 1 (identical).
+     */
+    public function score(string $a, string $b): float
+    {
+        if ($a === $b) {
+            return 1.0;
+        }
+
+        $words_a = $this->stems($a);
+        $words_b = $this->stems($b);
+
+        // Dice coefficient over word stems
+        $shared = count(array_intersect($words_a, $words_b));
+        $overlap = (2 * $shared) / (count($words_a) + count($words_b));
+
+        // Same words in full is as good as a match gets for names that differ only in endings
+        if ($overlap === 1.0) {
+            return 0.95;
+        }
+
+        $max_length = max(strlen($a), strlen($b));
+        $edit = $max_length > 255
+            ? 0.0
+            : 1 - levenshtein($a, $b) / $max_length;
+
+        return round(max($overlap, ($overlap + $edit) / 2), 3);
+    }
+
+    /**
+     * Lowercase, strip diacritics and punctuation, collapse whitespace.
+     *
+     * @param string $name Category name.
+     * @return string
+     */
+    public function normalize(string $name): string
+    {
+        $name = function_exists('mb_strtolower') ? mb_strtolower($name, 'UTF-8') : strtolower($name);
+        $name = strtr($name, self::DIACRITICS);
+        $name = preg_replace('/[^a-z0-9]+/', ' ', $name);
+
+        return trim((string) $name);
+    }
+
+    /**
+     * Split a normalized name into unique word stems.
+     *
+     * @param string $name Normalized name.
+     * @return array
+     */
+    private function stems(string $name): array
+    {
+        $stems = [];
+        foreach (explode(' ', $name) as $word) {
+            // Short connector words ("de", "y", "si") carry no meaning
+            if (strlen($word) < 3 && !ctype_digit($word)) {
+                continue;
+            }
+            $stems[] = substr($word, 0, self::STEM_LENGTH);
+        }
+
+        return array_values(array_unique($stems ?: explode(' ', $name)));
+    }
+}
@@ -0,0 +1,587 @@
+<?php
+/**
+ * Image Queue.
+ *
+ * @package Trotibike\EwheelImporter
+ */
+
+namespace Trotibike\EwheelImporter\Service;
+
+use Trotibike\EwheelImporter\Database\SchemaInstaller;
+use Trotibike\EwheelImporter\Log\PersistentLogger;
+
+/**
+ * Downloads product images in the background.
+ *
+ * A sync only stores the image URLs of a product and uses the ones already
+ * in the media library. Missing images are queued, one row per URL and
+ * product, and downloaded by an Action Scheduler job that assigns them to
+ * the product once they are in. A slow image host only slows the queue.
+ */
+class ImageQueue
+{
+    /**
+     * Status constants.
+     */
+    public const STATUS_PENDING = 'pending';
+    public const STATUS_PROCESSING = 'processing';
+    public const STATUS_FAILED = 'failed';
+    public const STATUS_COMPLETED = 'completed';
+
+    /**
+     * Action Scheduler hook that works through the queue.
+     */
+    public const PROCESS_HOOK = 'ewheel_importer_process_images';
+
+    /**
+     * Product meta holding the image URLs in display order.
+     */
+    public const IMAGE_URLS_META = '_ewheel_image_urls';
+
+    /**
+     * Images per queue run.
+     */
+    private const BATCH_SIZE = 10;
+
+    /**
+     * Seconds a queue run may spend downloading before it hands over to the next.
+     */
+    private const TIME_BUDGET = 40;
+
+    /**
+     * Failed downloads are queued again by later syncs until they failed this often.
+     */
+    public const MAX_ATTEMPTS = 3;
+
+    /**
+     * Seconds after which a row left in processing by a killed run is queued again.
+     */
+    private const STALE_AFTER = 600;
+
+    /**
+     * Image service.
+     *
+     * @var ImageService
+     */
+    private ImageService $image_service;
+
+    /**
+     * Constructor.
+     *
+     * @param ImageService $image_service Image service.
+     */
+    public function __construct(ImageService $image_service)
+    {
+        $this->image_service = $image_service;
+    }
+
+    /**
+     * Set the images of a product from what is already in the media library.
+     *
+     * Stores the URLs on the product, so the queue can complete its images
+     * later. Call before saving the product, then pass the returned URLs to
+     * enqueue() once it has an ID.
+     *
+     * @param \WC_Product $product Product or variation.
+     * @param array       $urls    Image URLs, first one is the featured image.
+     * @return array URLs that still have to be downloaded.
+     */
+    public function attach(\WC_Product $product, array $urls): array
+    {
+        $urls = array_values(array_unique(array_filter(array_map([$this->image_service, 'normalize_url'], $urls))));
+        $product->update_meta_data(self::IMAGE_URLS_META, $urls);
+
+        $image_ids = [];
+        $missing = [];
+
+        foreach ($urls as $url) {
+            $attachment_id = $this->image_service->find_by_source_url($url);
+            if ($attachment_id) {
+                $this->image_service->backfill_alt_text($attachment_id, $product->get_name());
+                $image_ids[] = $attachment_id;
+            } else {
+                $missing[] = $url;
+            }
+        }
+
+        $this->set_images($product, $image_ids);
+
+        return $missing;
+    }
+
+    /**
+     * Queue image downloads for a product.
+     *
+     * Falls back to downloading right away while the queue table does not
+     * exist yet (before the schema upgrade ran).
+     *
+     * @param int    $product_id Product or variation ID.
+     * @param array  $urls       Image URLs from attach().
+     * @param string $alt_text   Alt text and title for the attachments.
+     * @return int Number of URLs queued.
+     */
+    public function enqueue(int $product_id, array $urls, string $alt_text = ''): int
+    {
+        global $wpdb;
+
+        if (empty($urls) || $product_id <= 0) {
+            return 0;
+        }
+
+        if (!self::table_exists()) {
+            foreach ($urls as $url) {
+                $this->image_service->import_from_url($url, ['alt_text' => $alt_text, 'title' => $alt_text]);
+            }
+            $this->apply_images($product_id);
+            return 0;
+        }
+
+        $table_name = $wpdb->prefix . SchemaInstaller::IMAGE_QUEUE_TABLE;
+        $now = current_time('mysql');
+
+        foreach ($urls as $url) {
+            // A URL missing again after completing (attachment deleted) starts over;
+            // failed ones get another try until they hit MAX_ATTEMPTS
+            $wpdb->query($wpdb->prepare(
+                "INSERT INTO `{$table_name}` (url, url_hash, product_id, alt_text, status, created_at, updated_at)
+                 VALUES (%s, %s, %d, %s, %s, %s, %s)
+                 ON DUPLICATE KEY UPDATE
+                    alt_text = VALUES(alt_text),
+                    attempts = IF(status = 'completed', 0, attempts),
+                    status = IF(status = 'processing' OR (status = 'failed' AND attempts >= %d), status, 'pending'),
+                    updated_at = VALUES(updated_at)",
+                $url,
+                md5($url),
+                $product_id,
+                mb_substr($alt_text, 0, 255),
+                self::STATUS_PENDING,
+                $now,
+                $now,
+                self::MAX_ATTEMPTS
+            ));
+        }
+
+        $this->schedule();
+
+        return count($urls);
+    }
+
+    /**
+     * Schedule a queue run unless one is already waiting.
+     *
+     * @param int $delay Seconds from now.
+     * @return void
+     */
+    public function schedule(int $delay = 5): void
+    {
+        if (!function_exists('as_schedule_single_action')) {
+            return;
+        }
+
+        if (function_exists('as_has_scheduled_action') && as_has_scheduled_action(self::PROCESS_HOOK)) {
+            return;
+        }
+
+        as_schedule_single_action(time() + $delay, self::PROCESS_HOOK);
+    }
+
+    /**
+     * Download the next images in the queue.
+     *
+     * Schedules another run while images are left.
+     *
+     * @return array Stats: ['completed' => int, 'failed' => int, 'pending' => int].
+     */
+    public function process_batch(): array
+    {
+        global $wpdb;
+
+        $stats = ['completed' => 0, 'failed' => 0, 'pending' => 0];
+        if (!self::table_exists()) {
+            return $stats;
+        }
+
+        $table_name = $wpdb->prefix . SchemaInstaller::IMAGE_QUEUE_TABLE;
+        $started = time();
+
+        // Rows left in processing by a run that was killed go back to the queue
+        $wpdb->query($wpdb->prepare(
+            "UPDATE `{$table_name}` SET status = %s WHERE status = %s AND updated_at < %s",
+            self::STATUS_PENDING,
+            self::STATUS_PROCESSING,
+            gmdate('Y-m-d H:i:s', current_time('timestamp') - self::STALE_AFTER)
+        ));
+
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT * FROM `{$table_name}` WHERE status = %s ORDER BY id ASC LIMIT %d",
+            self::STATUS_PENDING,
+            self::BATCH_SIZE
+        ), ARRAY_A) ?: [];
+
+        foreach ($rows as $row) {
+            if (time() - $started >= self::TIME_BUDGET) {
+                break;
+            }
+
+            // Claim the row, so overlapping runs never download the same image twice
+            $claimed = $wpdb->query($wpdb->prepare(
+                "UPDATE `{$table_name}` SET status = %s, attempts = attempts + 1, updated_at = %s WHERE id = %d AND status = %s",
+                self::STATUS_PROCESSING,
+                current_time('mysql'),
+                $row['id'],
+                self::STATUS_PENDING
+            ));
+            if (!$claimed) {
+                continue;
+            }
+
+            if ($this->process_item($row)) {
+                $stats['completed']++;
+            } else {
+                $stats['failed']++;
+            }
+        }
+
+        $stats['pending'] = $this->get_counts()[self::STATUS_PENDING];
+        if ($stats['pending'] > 0) {
+            $this->schedule(2);
+        }
+
+        return $stats;
+    }
+
+    /**
+     * Download one queued image and assign it to its product.
+     *
+     * @param array $row Queue row.
+     * @return bool
+     */
+    private function process_item(array $row): bool
+    {
+        $attachment_id = $this->image_service->import_from_url($row['url'], [
+            'alt_text' => $row['alt_text'],
+            'title' => $row['alt_text'],
+        ]);
+
+        if (!$attachment_id) {
+            $error = $this->image_service->get_last_error() ?: __('Download failed.', 'ewheel-importer');
+            $this->update_row((int) $row['id'], [
+                'status' => self::STATUS_FAILED,
+                'last_error' => $error,
+            ]);
+            PersistentLogger::warning(
+                'Image download failed: ' . $error,
+                null,
+                null,
+                null,
+                ['url' => $row['url'], 'product_id' => (int) $row['product_id']]
+            );
+            return false;
+        }
+
+        // Stored now, so a later refresh has something to compare with
+        $this->image_service->get_source_hash($attachment_id);
+
+        $this->update_row((int) $row['id'], [
+            'status' => self::STATUS_COMPLETED,
+            'attachment_id' => $attachment_id,
+            'last_error' => null,
+        ]);
+        $this->apply_images((int) $row['product_id']);
+
+        return true;
+    }
+
+    /**
+     * Set a product's images from its stored URLs.
+     *
+     * Images that are not downloaded yet are left out and added by a later call.
+     *
+     * @param int $product_id Product or variation ID.
+     * @return bool False when the product is gone or none of its images exist yet.
+     */
+    public function apply_images(int $product_id): bool
+    {
+        $product = wc_get_product($product_id);
+        if (!$product) {
+            return false;
+        }
+
+        $image_ids = [];
+        foreach ((array) $product->get_meta(self::IMAGE_URLS_META) as $url) {
+            $attachment_id = $this->image_service->find_by_source_url((string) $url);
+            if ($attachment_id) {
+                $image_ids[] = $attachment_id;
+            }
+        }
+
+        if (empty($image_ids)) {
+            return false;
+        }
+
+        $this->set_images($product, $image_ids);
+        $product->save();
+
+        return true;
+    }
+
+    /**
+     * Set the featured image and gallery of a product.
+     *
+     * Variations only take the featured image.
+     *
+     * @param \WC_Product $product   Product.
+     * @param array       $image_ids Attachment IDs, featured image first.
+     * @return void
+     */
+    private function set_images(\WC_Product $product, array $image_ids): void
+    {
+        if (empty($image_ids)) {
+            return;
+        }
+
+        $product->set_image_id($image_ids[0]);
+        if (count($image_ids) > 1 && !$product->is_type('variation')) {
+            $product->set_gallery_image_ids(array_slice($image_ids, 1));
+        }
+    }
+
+    /**
+     * Queue failed downloads again.
+     *
+     * @param array $ids Queue row IDs, empty for every failed row.
+     * @return int Number of rows queued.
+     */
+    public function retry(array $ids = []): int
+    {
+        global $wpdb;
+
+        if (!self::table_exists()) {
+            return 0;
+        }
+
+        $table_name = $wpdb->prefix . SchemaInstaller::IMAGE_QUEUE_TABLE;
+        $sql = "UPDATE `{$table_name}` SET status = %s, attempts = 0, last_error = NULL, updated_at = %s WHERE status = %s";
+        $args = [self::STATUS_PENDING, current_time('mysql'), self::STATUS_FAILED];
+
+        $ids = array_filter(array_map('absint', $ids));
+        if (!empty($ids)) {
+            $sql .= ' AND id IN (' . implode(',', array_fill(0, count($ids), '%d')) . ')';
+            $args = array_merge($args, $ids);
+        }
+
+        $queued = (int) $wpdb->query($wpdb->prepare($sql, $args));
+        if ($queued > 0) {
+            $this->schedule();
+        }
+
+        return $queued;
+    }
+
+    /**
+     * Download completed images again and replace the ones whose content changed.
+     *
+     * Every product using a replaced image gets the new attachment.
+     *
+     * @param array $ids Queue row IDs of completed downloads.
+     * @return array Stats: ['changed' => int, 'unchanged' => int, 'failed' => int].
+     */
+    public function refresh(array $ids): array
+    {
+        global $wpdb;
+
+        $stats = ['changed' => 0, 'unchanged' => 0, 'failed' => 0];
+        $ids = array_filter(array_map('absint', $ids));
+
+        if (empty($ids) || !self::table_exists()) {
+            return $stats;
+        }
+
+        $table_name = $wpdb->prefix . SchemaInstaller::IMAGE_QUEUE_TABLE;
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT * FROM `{$table_name}` WHERE status = %s AND id IN (" . implode(',', array_fill(0, count($ids), '%d')) . ')',
+            array_merge([self::STATUS_COMPLETED], $ids)
+        ), ARRAY_A) ?: [];
+
+        // Several products can share one image; download it once
+        $by_url = [];
+        foreach ($rows as $row) {
+            $by_url[$row['url_hash']] = $row;
+        }
+
+        foreach ($by_url as $url_hash => $row) {
+            $old_id = (int) ($this->image_service->find_by_source_url($row['url']) ?: $row['attachment_id']);
+            $new_id = $this->image_service->refresh_from_url($old_id, $row['url'], [
+                'alt_text' => $row['alt_text'],
+                'title' => $row['alt_text'],
+            ]);
+
+            if (!$new_id) {
+                $stats['failed']++;
+                $this->update_row((int) $row['id'], ['last_error' => $this->image_service->get_last_error()]);
+                continue;
+            }
+
+            if ($new_id === $old_id) {
+                $stats['unchanged']++;
+                continue;
+            }
+
+            $stats['changed']++;
+            $this->image_service->get_source_hash($new_id);
+
+            $product_ids = $wpdb->get_col($wpdb->prepare(
+                "SELECT product_id FROM `{$table_name}` WHERE url_hash = %s",
+                $url_hash
+            ));
+            $wpdb->query($wpdb->prepare(
+                "UPDATE `{$table_name}` SET attachment_id = %d, last_error = NULL, updated_at = %s WHERE url_hash = %s",
+                $new_id,
+                current_time('mysql'),
+                $url_hash
+            ));
+
+            foreach ($product_ids as $product_id) {
+                $this->apply_images((int) $product_id);
+            }
+
+            PersistentLogger::info(
+                sprintf('Image replaced (content changed): attachment %d -> %d', $old_id, $new_id),
+                null,
+                null,
+                null,
+                ['url' => $row['url']]
+            );
+        }
+
+        return $stats;
+    }
+
+    /**
+     * Count queue rows per status.
+     *
+     * @return array [status => count] for every status.
+     */
+    public function get_counts(): array
+    {
+        global $wpdb;
+
+        $counts = [
+            self::STATUS_PENDING => 0,
+            self::STATUS_PROCESSING => 0,
+            self::STATUS_FAILED => 0,
+            self::STATUS_COMPLETED => 0,
+        ];
+
+        if (!self::table_exists()) {
+            return $counts;
+        }
+
+        $table_name = $wpdb->prefix . SchemaInstaller::IMAGE_QUEUE_TABLE;
+        $rows = $wpdb->get_results("SELECT status, COUNT(*) AS total FROM `{$table_name}` GROUP BY status", ARRAY_A) ?: [];
+
+        foreach ($rows as $row) {
+            $counts[$row['status']] = (int) $row['total'];
+        }
+
+        return $counts;
+    }
+
+    /**
+     * Get queue rows.
+     *
+     * @param array $args {
+     *     Optional. Arguments for filtering rows.
+     *
+     *     @type string $status Filter by status.
+     *     @type string $search Search in URL.
+     *     @type int    $limit  Maximum rows to return. Default 50.
+     *     @type int    $offset Offset for pagination. Default 0.
+     * }
+     * @return array ['items' => array, 'total' => int]; items carry product_name and edit_url.
+     */
+    public function get_items(array $args = []): array
+    {
+        global $wpdb;
+
+        if (!self::table_exists()) {
+            return ['items' => [], 'total' => 0];
+        }
+
+        $args = wp_parse_args($args, [
+            'status' => '',
+            'search' => '',
+            'limit' => 50,
+            'offset' => 0,
+        ]);
+
+        $table_name = $wpdb->prefix . SchemaInstaller::IMAGE_QUEUE_TABLE;
+        $where = ['1=1'];
+        $prepare_args = [];
+
+        if (!empty($args['status'])) {
+            $where[] = 'status = %s';
+            $prepare_args[] = $args['status'];
+        }
+
+        if (!empty($args['search'])) {
+            $where[] = 'url LIKE %s';
+            $prepare_args[] = '%' . $wpdb->esc_like($args['search']) . '%';
+        }
+
+        $where_clause = implode(' AND ', $where);
+
+        $count_sql = "SELECT COUNT(*) FROM `{$table_name}` WHERE {$where_clause}";
+        $total = (int) $wpdb->get_var(empty($prepare_args) ? $count_sql : $wpdb->prepare($count_sql, $prepare_args));
+
+        $items = $wpdb->get_results($wpdb->prepare(
+            "SELECT * FROM `{$table_name}` WHERE {$where_clause} ORDER BY updated_at DESC, id DESC LIMIT %d OFFSET %d",
+            array_merge($prepare_args, [max(1, absint($args['limit'])), absint($args['offset'])])
+        ), ARRAY_A) ?: [];
+
+        foreach ($items as &$item) {
+            $product = wc_get_product((int) $item['product_id']);
+            $item['product_name'] = $product ? $product->get_name() : '';
+            $item['edit_url'] = $product
+                ? (string) get_edit_post_link($product->get_parent_id() ?: $product->get_id(), 'raw')
+                : '';
+        }
+
+        return ['items' => $items, 'total' => $total];
+    }
+
+    /**
+     * Update a queue row.
+     *
+     * @param int   $id   Row ID.
+     * @param array $data Columns to set.
+     * @return void
+     */
+    private function update_row(int $id, array $data): void
+    {
+        global $wpdb;
+
+        $data['updated_at'] = current_time('mysql');
+
+        $wpdb->update($wpdb->prefix . SchemaInstaller::IMAGE_QUEUE_TABLE, $data, ['id' => $id]);
+    }
+
+    /**
+     * Check if the table exists.
+     *
+     * @return bool
+     */
+    private static function table_exists(): bool
+    {
+        global $wpdb;
+
+        if (null === $wpdb) {
+            return false;
+        }
+
+        $table_name = $wpdb->prefix . SchemaInstaller::IMAGE_QUEUE_TABLE;
+
+        $check_sql = $wpdb->prepare("SHOW TABLES LIKE %s", $table_name);
+        return $wpdb->get_var($check_sql) === $table_name;
+    }
+}
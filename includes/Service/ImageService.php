@@ -19,6 +19,28 @@ class ImageService {
      */
     private const SOURCE_URL_META = '_ewheel_source_url';
 
+    /**
+     * Meta key for the source URL of an attachment that was replaced by a newer download.
+     */
+    private const REPLACED_SOURCE_URL_META = '_ewheel_replaced_source_url';
+
+    /**
+     * Meta key for the MD5 hash of the downloaded file.
+     */
+    private const SOURCE_HASH_META = '_ewheel_source_hash';
+
+    /**
+     * Seconds to wait for an image host before giving up.
+     */
+    private const DOWNLOAD_TIMEOUT = 30;
+
+    /**
+     * Last error message.
+     *
+     * @var string
+     */
+    private string $last_error = '';
+
     /**
      * Import an image from URL.
      *
@@ -27,26 +49,164 @@ class ImageService {
      * @return int|null Attachment ID or null on failure.
      */
     public function import_from_url( string $url, array $meta = [] ): ?int {
+        $this->last_error = '';
+
         if ( empty( $url ) ) {
             return null;
         }
 
-        // Normalize HTTP to HTTPS to avoid mixed content warnings
-        $url = preg_replace( '/^http:\/\//i', 'https://', $url );
+        $url = $this->normalize_url( $url );
 
         // Check if already imported
         $existing = $this->find_by_source_url( $url );
         if ( $existing ) {
-            // Backfill alt text on existing images if missing
-            if ( ! empty( $meta['alt_text'] ) && ! get_post_meta( $existing, '_wp_attachment_image_alt', true ) ) {
-                update_post_meta( $existing, '_wp_attachment_image_alt', sanitize_text_field( $meta['alt_text'] ) );
-            }
+            $this->backfill_alt_text( $existing, $meta['alt_text'] ?? '' );
             return $existing;
         }
 
         return $this->download_and_attach( $url, $meta );
     }
 
+    /**
+     * Normalize an image URL the way it is stored as source URL.
+     *
+     * HTTP is switched to HTTPS to avoid mixed content warnings.
+     *
+     * @param string $url Image URL.
+     * @return string
+     */
+    public function normalize_url( string $url ): string {
+        return (string) preg_replace( '/^http:\/\//i', 'https://', trim( $url ) );
+    }
+
+    /**
+     * Set the alt text of an existing image, unless it already has one.
+     *
+     * @param int    $attachment_id Attachment ID.
+     * @param string $alt_text      Alt text.
+     * @return void
+     */
+    public function backfill_alt_text( int $attachment_id, string $alt_text ): void {
+        if ( $alt_text !== '' && ! get_post_meta( $attachment_id, '_wp_attachment_image_alt', true ) ) {
+            update_post_meta( $attachment_id, '_wp_attachment_image_alt', sanitize_text_field( $alt_text ) );
+        }
+    }
+
+    /**
+     * Get the message of the last failed download.
+     *
+     * @return string
+     */
+    public function get_last_error(): string {
+        return $this->last_error;
+    }
+
+    /**
+     * Get the MD5 hash of an attachment's original file.
+     *
+     * The hash is stored on first use, so later checks do not read the file again.
+     *
+     * @param int $attachment_id Attachment ID.
+     * @return string|null Null when the file is missing.
+     */
+    public function get_source_hash( int $attachment_id ): ?string {
+        $hash = (string) get_post_meta( $attachment_id, self::SOURCE_HASH_META, true );
+        if ( $hash !== '' ) {
+            return $hash;
+        }
+
+        $file = function_exists( 'wp_get_original_image_path' )
+            ? wp_get_original_image_path( $attachment_id )
+            : get_attached_file( $attachment_id );
+
+        if ( ! $file || ! file_exists( $file ) ) {
+            return null;
+        }
+
+        $hash = md5_file( $file );
+        update_post_meta( $attachment_id, self::SOURCE_HASH_META, $hash );
+
+        return $hash;
+    }
+
+    /**
+     * Download an image again and replace its attachment when the content changed.
+     *
+     * The old attachment is kept in the media library, but no longer
+     * answers to the source URL.
+     *
+     * @param int    $attachment_id Current attachment ID.
+     * @param string $url           Image URL.
+     * @param array  $meta          Optional metadata: 'alt_text', 'title'.
+     * @return int|null The attachment to use (the same ID when unchanged), null on failure.
+     */
+    public function refresh_from_url( int $attachment_id, string $url, array $meta = [] ): ?int {
+        $this->last_error = '';
+        $this->require_wp_media_functions();
+
+        $url       = $this->normalize_url( $url );
+        $temp_file = download_url( $url, self::DOWNLOAD_TIMEOUT );
+
+        if ( is_wp_error( $temp_file ) ) {
+            $this->log_error( 'Failed to download image: ' . $temp_file->get_error_message(), $url );
+            return null;
+        }
+
+        $hash = md5_file( $temp_file );
+        if ( $hash === $this->get_source_hash( $attachment_id ) ) {
+            $this->cleanup_temp_file( $temp_file );
+            return $attachment_id;
+        }
+
+        $new_id = $this->attach_file( $temp_file, $url, $meta );
+        if ( $new_id ) {
+            update_post_meta( $new_id, self::SOURCE_HASH_META, $hash );
+            delete_post_meta( $attachment_id, self::SOURCE_URL_META );
+            update_post_meta( $attachment_id, self::REPLACED_SOURCE_URL_META, $url );
+        }
+
+        return $new_id;
+    }
+
+    /**
+     * Find source URLs that more than one attachment was imported from.
+     *
+     * find_by_source_url() only ever returns one of them, so the others are
+     * wasted disk space. HTTP and HTTPS variants of a URL count as the same.
+     *
+     * @param int $limit Maximum URLs to return.
+     * @return array Rows: ['url' => string, 'attachment_ids' => int[], 'kept_id' => int|null].
+     */
+    public function find_duplicates( int $limit = 100 ): array {
+        global $wpdb;
+
+        $rows = $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT REPLACE(meta_value, 'http://', 'https://') AS url, GROUP_CONCAT(post_id ORDER BY post_id) AS ids
+                 FROM {$wpdb->postmeta}
+                 WHERE meta_key = %s
+                 GROUP BY url
+                 HAVING COUNT(*) > 1
+                 ORDER BY COUNT(*) DESC
+                 LIMIT %d",
+                self::SOURCE_URL_META,
+                $limit
+            ),
+            ARRAY_A
+        ) ?: [];
+
+        $duplicates = [];
+        foreach ( $rows as $row ) {
+            $duplicates[] = [
+                'url'            => $row['url'],
+                'attachment_ids' => array_map( 'intval', explode( ',', $row['ids'] ) ),
+                'kept_id'        => $this->find_by_source_url( $row['url'] ),
+            ];
+        }
+
+        return $duplicates;
+    }
+
     /**
      * Find attachment by source URL.
      *
@@ -77,13 +237,25 @@ class ImageService {
     private function download_and_attach( string $url, array $meta = [] ): ?int {
         $this->require_wp_media_functions();
 
-        $temp_file = download_url( $url );
+        $temp_file = download_url( $url, self::DOWNLOAD_TIMEOUT );
 
         if ( is_wp_error( $temp_file ) ) {
             $this->log_error( 'Failed to download image: ' . $temp_file->get_error_message(), $url );
             return null;
         }
 
+        return $this->attach_file( $temp_file, $url, $meta );
+    }
+
+    /**
+     * Create an attachment from a downloaded file.
+     *
+     * @param string $temp_file Path to the downloaded file.
+     * @param string $url       Image URL.
+     * @param array  $meta      Optional metadata: 'alt_text', 'title'.
+     * @return int|null Attachment ID or null on failure.
+     */
+    private function attach_file( string $temp_file, string $url, array $meta = [] ): ?int {
         try {
             $file_array = [
                 'name'     => $this->get_filename_from_url( $url ),
@@ -185,6 +357,7 @@ class ImageService {
      * @return void
      */
     private function log_error( string $message, string $url ): void {
+        $this->last_error = $message;
         error_log( sprintf( 'Ewheel Importer - Image Service: %s (URL: %s)', $message, $url ) );
     }
 
@@ -0,0 +1,418 @@
+<?php
+/**
+ * Model Compatibility class.
+ *
+ * @package Trotibike\EwheelImporter\Service
+ */
+
+namespace Trotibike\EwheelImporter\Service;
+
+use Trotibike\EwheelImporter\Log\PersistentLogger;
+
+/**
+ * Lists which products fit which scooter models and imports/exports that
+ * compatibility list as CSV.
+ *
+ * Links are the product_model terms of a product. Changes made here go
+ * through ModelService, so they are remembered and survive later syncs.
+ */
+class ModelCompatibility
+{
+    /**
+     * Most products returned per page by get_products().
+     */
+    public const MAX_PER_PAGE = 100;
+
+    /**
+     * Columns of the CSV export; imports need sku and model_id or model_name.
+     */
+    public const CSV_COLUMNS = ['sku', 'product_name', 'model_id', 'model_name'];
+
+    /**
+     * Errors reported per import, the rest are only counted.
+     */
+    public const MAX_IMPORT_ERRORS = 50;
+
+    /**
+     * Model service.
+     *
+     * @var ModelService
+     */
+    private ModelService $model_service;
+
+    /**
+     * Constructor.
+     *
+     * @param ModelService $model_service Model service.
+     */
+    public function __construct(ModelService $model_service)
+    {
+        $this->model_service = $model_service;
+    }
+
+    /**
+     * Get all models with the number of linked products.
+     *
+     * @return array Rows with term_id, name, model_id and count.
+     */
+    public function get_models(): array
+    {
+        $models = [];
+        foreach ($this->model_service->get_all_models() as $term) {
+            $models[] = [
+                'term_id' => (int) $term->term_id,
+                'name' => $term->name,
+                'model_id' => (string) get_term_meta($term->term_id, '_ewheel_model_id', true),
+                'count' => (int) $term->count,
+            ];
+        }
+
+        return $models;
+    }
+
+    /**
+     * List products with their models.
+     *
+     * @param array $args {
+     *     @type string $search     Text in the product name, SKU or a model name.
+     *     @type int    $model      Only products linked to this model term.
+     *     @type bool   $unassigned Only products without any model.
+     *     @type int    $page       Page number, from 1.
+     *     @type int    $per_page   Products per page.
+     * }
+     * @return array {
+     *     @type int   $total    Matching products.
+     *     @type array $products Rows with id, sku, name, status, edit_url and models.
+     * }
+     */
+    public function get_products(array $args = []): array
+    {
+        global $wpdb;
+
+        $per_page = max(1, min(self::MAX_PER_PAGE, (int) ($args['per_page'] ?? 20)));
+        $offset = (max(1, (int) ($args['page'] ?? 1)) - 1) * $per_page;
+
+        $terms_sql = "SELECT tr.object_id
+                      FROM {$wpdb->term_relationships} tr
+                      INNER JOIN {$wpdb->term_taxonomy} tt ON tt.term_taxonomy_id = tr.term_taxonomy_id
+                      INNER JOIN {$wpdb->terms} t ON t.term_id = tt.term_id
+                      WHERE tt.taxonomy = '" . ModelService::TAXONOMY . "'";
+
+        $where = "p.post_type = 'product' AND p.post_status NOT IN ('trash', 'auto-draft')";
+        $params = [];
+
+        $search = trim((string) ($args['search'] ?? ''));
+        if ($search !== '') {
+            $like = '%' . $wpdb->esc_like($search) . '%';
+            $where .= " AND (p.post_title LIKE %s OR sku.meta_value LIKE %s OR p.ID IN ({$terms_sql} AND t.name LIKE %s))";
+            array_push($params, $like, $like, $like);
+        }
+
+        if (!empty($args['model'])) {
+            $where .= " AND p.ID IN ({$terms_sql} AND t.term_id = %d)";
+            $params[] = (int) $args['model'];
+        }
+
+        if (!empty($args['unassigned'])) {
+            $where .= " AND p.ID NOT IN ({$terms_sql})";
+        }
+
+        $from = "FROM {$wpdb->posts} p
+                 LEFT JOIN {$wpdb->postmeta} sku ON sku.post_id = p.ID AND sku.meta_key = '_sku'";
+
+        $count_sql = "SELECT COUNT(*) {$from} WHERE {$where}";
+        $total = (int) $wpdb->get_var($params ? $wpdb->prepare($count_sql, $params) : $count_sql);
+
+        $rows = $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT p.ID AS id, p.post_title AS name, p.post_status AS status, sku.meta_value AS sku
+                 {$from}
+                 WHERE {$where}
+                 ORDER BY p.post_title ASC, p.ID ASC
+                 LIMIT %d OFFSET %d",
+                array_merge($params, [$per_page, $offset])
+            ),
+            ARRAY_A
+        ) ?: [];
+
+        $models = $this->get_product_models(array_map('intval', array_column($rows, 'id')));
+
+        $products = [];
+        foreach ($rows as $row) {
+            $id = (int) $row['id'];
+            $manual = $this->model_service->get_manual_models($id);
+
+            $products[] = [
+                'id' => $id,
+                'sku' => (string) $row['sku'],
+                'name' => $row['name'],
+                'status' => $row['status'],
+                'edit_url' => (string) get_edit_post_link($id, 'raw'),
+                'models' => array_map(function (array $model) use ($manual) {
+                    return $model + ['manual' => in_array($model['term_id'], $manual, true)];
+                }, $models[$id] ?? []),
+            ];
+        }
+
+        return [
+            'total' => $total,
+            'products' => $products,
+        ];
+    }
+
+    /**
+     * Write the compatibility list as CSV, one row per product/model link.
+     *
+     * @param resource $output Writable stream.
+     * @return int Rows written.
+     */
+    public function export_csv($output): int
+    {
+        global $wpdb;
+
+        fputcsv($output, self::CSV_COLUMNS);
+
+        $rows = 0;
+        $last_id = 0;
+
+        // Page through the products so large catalogues don't load into memory at once
+        do {
+            $ids = array_map('intval', $wpdb->get_col(
+                $wpdb->prepare(
+                    "SELECT p.ID
+                     FROM {$wpdb->posts} p
+                     WHERE p.post_type = 'product'
+                     AND p.post_status NOT IN ('trash', 'auto-draft')
+                     AND p.ID > %d
+                     ORDER BY p.ID ASC
+                     LIMIT 500",
+                    $last_id
+                )
+            ) ?: []);
+
+            $models = $this->get_product_models($ids);
+
+            foreach ($ids as $id) {
+                if (empty($models[$id])) {
+                    continue;
+                }
+
+                $sku = (string) get_post_meta($id, '_sku', true);
+                $name = get_the_title($id);
+
+                foreach ($models[$id] as $model) {
+                    fputcsv($output, [$sku, $name, $model['model_id'], $model['name']]);
+                    $rows++;
+                }
+            }
+
+            $last_id = $ids ? end($ids) : $last_id;
+        } while (count($ids) === 500);
+
+        return $rows;
+    }
+
+    /**
+     * Parse a compatibility CSV.
+     *
+     * @param string $csv CSV text with a header row.
+     * @return array {
+     *     @type array $links  [sku => [['model_id' => string, 'model_name' => string, 'line' => int], ...]].
+     *     @type array $errors Line errors as ['line' => int, 'message' => string].
+     * }
+     * @throws \RuntimeException If the header lacks the sku or model columns.
+     */
+    public function parse_csv(string $csv): array
+    {
+        $stream = fopen('php://temp', 'r+');
+        fwrite($stream, preg_replace('/^\xEF\xBB\xBF/', '', $csv));
+        rewind($stream);
+
+        $header = fgetcsv($stream);
+        $columns = is_array($header) ? array_map(fn($column) => strtolower(trim((string) $column)), $header) : [];
+
+        $sku_col = array_search('sku', $columns, true);
+        $id_col = array_search('model_id', $columns, true);
+        $name_col = array_search('model_name', $columns, true);
+
+        if ($sku_col === false || ($id_col === false && $name_col === false)) {
+            fclose($stream);
+            throw new \RuntimeException(__('The CSV needs a sku column and a model_id or model_name column.', 'ewheel-importer'));
+        }
+
+        $links = [];
+        $errors = [];
+        $line = 1;
+
+        while (($row = fgetcsv($stream)) !== false) {
+            $line++;
+
+            if ($row === [null] || implode('', $row) === '') {
+                continue;
+            }
+
+            $sku = trim((string) ($row[$sku_col] ?? ''));
+            $model_id = $id_col !== false ? trim((string) ($row[$id_col] ?? '')) : '';
+            $model_name = $name_col !== false ? trim((string) ($row[$name_col] ?? '')) : '';
+
+            if ($sku === '') {
+                $errors[] = ['line' => $line, 'message' => __('SKU is missing.', 'ewheel-importer')];
+                continue;
+            }
+
+            $links[$sku] = $links[$sku] ?? [];
+
+            // A product row without a model clears it in replace mode
+            if ($model_id === '' && $model_name === '') {
+                continue;
+            }
+
+            $links[$sku][] = ['model_id' => $model_id, 'model_name' => $model_name, 'line' => $line];
+        }
+
+        fclose($stream);
+
+        return [
+            'links' => $links,
+            'errors' => $errors,
+        ];
+    }
+
+    /**
+     * Import a compatibility CSV.
+     *
+     * Rows are matched to products by SKU (a variation SKU counts for its
+     * parent) and to models by ewheel model ID, or by name when the ID
+     * column is empty. In replace mode a product with an unknown model
+     * keeps its other models, so a typo never wipes a product's list.
+     *
+     * @param string $csv     CSV text with a header row.
+     * @param bool   $replace True to make the listed models the only models of each listed product.
+     * @return array {
+     *     @type int   $products    Products in the file that were found.
+     *     @type int   $linked      Products that gained a model.
+     *     @type int   $unlinked    Products that lost a model (replace only).
+     *     @type int   $error_count Rows that were skipped.
+     *     @type array $errors      The first MAX_IMPORT_ERRORS of them.
+     * }
+     * @throws \RuntimeException If the header lacks the sku or model columns.
+     */
+    public function import_csv(string $csv, bool $replace = false): array
+    {
+        $parsed = $this->parse_csv($csv);
+        $errors = $parsed['errors'];
+        $summary = ['products' => 0, 'linked' => 0, 'unlinked' => 0];
+        $terms_by_name = [];
+
+        foreach ($this->model_service->get_all_models() as $term) {
+            $terms_by_name[strtolower($term->name)] = (int) $term->term_id;
+        }
+
+        foreach ($parsed['links'] as $sku => $links) {
+            $product_id = $this->find_product_by_sku((string) $sku);
+            if (!$product_id) {
+                $line = $links[0]['line'] ?? 0;
+                /* translators: %s: product SKU */
+                $errors[] = ['line' => $line, 'message' => sprintf(__('No product with SKU %s.', 'ewheel-importer'), $sku)];
+                continue;
+            }
+
+            $term_ids = [];
+            $complete = true;
+            foreach ($links as $link) {
+                $term_id = $link['model_id'] !== ''
+                    ? $this->model_service->get_or_create_model($link['model_id'])
+                    : ($terms_by_name[strtolower($link['model_name'])] ?? null);
+
+                if ($term_id === null) {
+                    $errors[] = [
+                        'line' => $link['line'],
+                        /* translators: %s: model ID or name */
+                        'message' => sprintf(__('Unknown model %s.', 'ewheel-importer'), $link['model_id'] !== '' ? $link['model_id'] : $link['model_name']),
+                    ];
+                    $complete = false;
+                    continue;
+                }
+
+                $term_ids[] = $term_id;
+            }
+
+            $summary['products']++;
+            $summary['linked'] += $this->model_service->add_models_to_products([$product_id], $term_ids);
+
+            if ($replace && $complete) {
+                $current = wp_get_object_terms($product_id, ModelService::TAXONOMY, ['fields' => 'ids']);
+                $stale = is_wp_error($current) ? [] : array_diff(array_map('intval', $current), $term_ids);
+                $summary['unlinked'] += $this->model_service->remove_models_from_products([$product_id], $stale);
+            }
+        }
+
+        usort($errors, fn($a, $b) => $a['line'] <=> $b['line']);
+
+        PersistentLogger::info(sprintf(
+            'Model compatibility imported (%s): %d products, %d linked, %d unlinked, %d rows skipped',
+            $replace ? 'replace' : 'add',
+            $summary['products'],
+            $summary['linked'],
+            $summary['unlinked'],
+            count($errors)
+        ));
+
+        return $summary + [
+            'error_count' => count($errors),
+            'errors' => array_slice($errors, 0, self::MAX_IMPORT_ERRORS),
+        ];
+    }
+
+    /**
+     * Get the models of products in one query.
+     *
+     * @param array $product_ids Product IDs.
+     * @return array [product_id => [['term_id' => int, 'name' => string, 'model_id' => string], ...]].
+     */
+    private function get_product_models(array $product_ids): array
+    {
+        if (empty($product_ids)) {
+            return [];
+        }
+
+        $terms = wp_get_object_terms($product_ids, ModelService::TAXONOMY, [
+            'fields' => 'all_with_object_id',
+            'orderby' => 'name',
+        ]);
+
+        if (is_wp_error($terms)) {
+            return [];
+        }
+
+        $models = [];
+        foreach ($terms as $term) {
+            $models[(int) $term->object_id][] = [
+                'term_id' => (int) $term->term_id,
+                'name' => $term->name,
+                'model_id' => (string) get_term_meta($term->term_id, '_ewheel_model_id', true),
+            ];
+        }
+
+        return $models;
+    }
+
+    /**
+     * Find the product a SKU belongs to.
+     *
+     * @param string $sku Product or variation SKU.
+     * @return int Product ID, 0 if not found.
+     */
+    private function find_product_by_sku(string $sku): int
+    {
+        $product_id = (int) wc_get_product_id_by_sku($sku);
+        if (!$product_id) {
+            return 0;
+        }
+
+        // Models live on the parent of a variation
+        $parent_id = (int) wp_get_post_parent_id($product_id);
+
+        return $parent_id ?: $product_id;
+    }
+}
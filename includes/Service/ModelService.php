@@ -26,6 +26,15 @@ class ModelService
      */
     public const OPTION_KEY = 'ewheel_importer_model_names';
 
+    /**
+     * Product meta keys of models linked and unlinked by hand (term IDs).
+     *
+     * Syncs apply them on top of the feed models, so manual corrections
+     * to the compatibility list survive the next sync.
+     */
+    public const META_ADDED = '_ewheel_models_added';
+    public const META_REMOVED = '_ewheel_models_removed';
+
     /**
      * Default model ID → scooter name mapping (seed data).
      * Scraped from ewheel.es product catalog (single-model products only).
@@ -290,6 +299,12 @@ class ModelService
             return false;
         }
 
+        // Manual links are kept and manual unlinks stay unlinked
+        $term_ids = array_values(array_diff(
+            array_unique(array_merge($term_ids, $this->get_manual_terms($product_id, self::META_ADDED))),
+            $this->get_manual_terms($product_id, self::META_REMOVED)
+        ));
+
         $result = wp_set_object_terms($product_id, $term_ids, self::TAXONOMY);
 
         if (is_wp_error($result)) {
@@ -300,6 +315,41 @@ class ModelService
         return true;
     }
 
+    /**
+     * Link models to products by hand.
+     *
+     * @param array $product_ids Product IDs.
+     * @param array $term_ids    Model term IDs.
+     * @return int Number of products that gained a model.
+     */
+    public function add_models_to_products(array $product_ids, array $term_ids): int
+    {
+        return $this->change_product_models($product_ids, $term_ids, true);
+    }
+
+    /**
+     * Unlink models from products by hand.
+     *
+     * @param array $product_ids Product IDs.
+     * @param array $term_ids    Model term IDs.
+     * @return int Number of products that lost a model.
+     */
+    public function remove_models_from_products(array $product_ids, array $term_ids): int
+    {
+        return $this->change_product_models($product_ids, $term_ids, false);
+    }
+
+    /**
+     * Get the models linked to a product by hand.
+     *
+     * @param int $product_id The product ID.
+     * @return array Model term IDs.
+     */
+    public function get_manual_models(int $product_id): array
+    {
+        return $this->get_manual_terms($product_id, self::META_ADDED);
+    }
+
     /**
      * Get models assigned to a product.
      *
@@ -340,4 +390,88 @@ class ModelService
 
         return $terms;
     }
+
+    /**
+     * Link or unlink models and remember the change for later syncs.
+     *
+     * @param array $product_ids Product IDs.
+     * @param array $term_ids    Model term IDs.
+     * @param bool  $add         True to link, false to unlink.
+     * @return int Number of products changed.
+     */
+    private function change_product_models(array $product_ids, array $term_ids, bool $add): int
+    {
+        $term_ids = array_values(array_unique(array_filter(array_map('intval', $term_ids))));
+        if (empty($term_ids)) {
+            return 0;
+        }
+
+        $changed = 0;
+        foreach (array_unique(array_filter(array_map('intval', $product_ids))) as $product_id) {
+            $current = wp_get_object_terms($product_id, self::TAXONOMY, ['fields' => 'ids']);
+            $current = is_wp_error($current) ? [] : array_map('intval', $current);
+
+            $result = $add
+                ? wp_set_object_terms($product_id, $term_ids, self::TAXONOMY, true)
+                : wp_remove_object_terms($product_id, $term_ids, self::TAXONOMY);
+
+            if (is_wp_error($result)) {
+                error_log('[Ewheel Model] Failed to change models of product ' . $product_id . ': ' . $result->get_error_message());
+                continue;
+            }
+
+            $added = $this->get_manual_terms($product_id, self::META_ADDED);
+            $removed = $this->get_manual_terms($product_id, self::META_REMOVED);
+
+            if ($add) {
+                $added = array_unique(array_merge($added, $term_ids));
+                $removed = array_diff($removed, $term_ids);
+            } else {
+                $removed = array_unique(array_merge($removed, $term_ids));
+                $added = array_diff($added, $term_ids);
+            }
+
+            $this->set_manual_terms($product_id, self::META_ADDED, $added);
+            $this->set_manual_terms($product_id, self::META_REMOVED, $removed);
+
+            $touched = $add ? array_diff($term_ids, $current) : array_intersect($term_ids, $current);
+            if (!empty($touched)) {
+                $changed++;
+            }
+        }
+
+        return $changed;
+    }
+
+    /**
+     * Read a manual model list of a product.
+     *
+     * @param int    $product_id The product ID.
+     * @param string $meta_key   META_ADDED or META_REMOVED.
+     * @return array Model term IDs.
+     */
+    private function get_manual_terms(int $product_id, string $meta_key): array
+    {
+        $terms = get_post_meta($product_id, $meta_key, true);
+
+        return is_array($terms) ? array_values(array_map('intval', $terms)) : [];
+    }
+
+    /**
+     * Store a manual model list of a product.
+     *
+     * @param int    $product_id The product ID.
+     * @param string $meta_key   META_ADDED or META_REMOVED.
+     * @param array  $term_ids   Model term IDs.
+     * @return void
+     */
+    private function set_manual_terms(int $product_id, string $meta_key, array $term_ids): void
+    {
+        if (empty($term_ids)) {
+            delete_post_meta($product_id, $meta_key);
+            return;
+        }
+
+        update_post_meta($product_id, $meta_key, array_values($term_ids));
+    }
 }
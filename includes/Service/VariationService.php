@@ -7,26 +7,29 @@
 
 namespace Trotibike\EwheelImporter\Service;
 
+use Trotibike\EwheelImporter\Sync\SyncItemLog;
+use Trotibike\EwheelImporter\Log\PersistentLogger;
+
 /**
  * Handles WooCommerce product variations.
  */
 class VariationService
 {
     /**
-     * Image service instance.
+     * Image queue instance.
      *
-     * @var ImageService
+     * @var ImageQueue
      */
-    private ImageService $image_service;
+    private ImageQueue $image_queue;
 
     /**
      * Constructor.
      *
-     * @param ImageService $image_service Image service.
+     * @param ImageQueue $image_queue Image queue.
      */
-    public function __construct(ImageService $image_service)
+    public function __construct(ImageQueue $image_queue)
     {
-        $this->image_service = $image_service;
+        $this->image_queue = $image_queue;
     }
 
     /**
@@ -35,18 +38,26 @@ class VariationService
      * @param int   $product_id The parent product ID.
      * @param array $variations Array of variation data.
      * @param array $attributes The product attributes.
-     * @return void
+     * @return array Created variation IDs keyed by SKU.
      */
-    public function create_variations(int $product_id, array $variations, array $attributes): void
+    public function create_variations(int $product_id, array $variations, array $attributes): array
     {
+        $created = [];
+
         foreach ($variations as $variation_data) {
-            $variation = new \WC_Product_Variation();
+            $variation = $this->claim_sku($product_id, (string) ($variation_data['sku'] ?? ''))
+                ?? new \WC_Product_Variation();
             $variation->set_parent_id($product_id);
 
-            $this->set_variation_data($variation, $variation_data);
+            $missing_images = $this->set_variation_data($variation, $variation_data);
+
+            $variation_id = $variation->save();
+            $this->image_queue->enqueue($variation_id, $missing_images, $variation->get_name());
 
-            $variation->save();
+            $created[$variation_data['sku'] ?? ''] = $variation_id;
         }
+
+        return $created;
     }
 
     /**
@@ -55,15 +66,17 @@ class VariationService
      * @param int   $product_id The parent product ID.
      * @param array $variations Array of variation data.
      * @param array $attributes The product attributes.
-     * @return void
+     * @return array Per-SKU results: ['action' => SyncItemLog::ACTION_*, 'product_id' => int, 'changes' => array].
      */
-    public function update_variations(int $product_id, array $variations, array $attributes): void
+    public function update_variations(int $product_id, array $variations, array $attributes): array
     {
+        $results = [];
+
         // Get existing variations
         $product = wc_get_product($product_id);
 
         if (!$product) {
-            return;
+            return $results;
         }
 
         $existing_variation_ids = $product->get_children();
@@ -85,21 +98,127 @@ class VariationService
                 // Update existing
                 $variation = wc_get_product($existing_by_sku[$sku]);
                 if ($variation) {
-                    $this->set_variation_data($variation, $variation_data);
+                    $missing_images = $this->set_variation_data($variation, $variation_data);
+                    $changes = SyncItemLog::diff_changes($variation->get_data(), $variation->get_changes());
                     $variation->save();
+                    $this->image_queue->enqueue($variation->get_id(), $missing_images, $variation->get_name());
+
+                    $results[$sku] = [
+                        'action' => empty($changes) ? SyncItemLog::ACTION_SKIPPED : SyncItemLog::ACTION_UPDATED,
+                        'product_id' => $variation->get_id(),
+                        'changes' => $changes,
+                    ];
                 }
                 unset($existing_by_sku[$sku]);
             } else {
-                // Create new variation
-                $variation = new \WC_Product_Variation();
+                // Create new variation, or move it over from the group it was imported in
+                $variation = $this->claim_sku($product_id, $sku) ?? new \WC_Product_Variation();
                 $variation->set_parent_id($product_id);
-                $this->set_variation_data($variation, $variation_data);
-                $variation->save();
+                $missing_images = $this->set_variation_data($variation, $variation_data);
+                $variation_id = $variation->save();
+                $this->image_queue->enqueue($variation_id, $missing_images, $variation->get_name());
+
+                $results[$sku] = [
+                    'action' => SyncItemLog::ACTION_CREATED,
+                    'product_id' => $variation_id,
+                    'changes' => [],
+                ];
             }
         }
 
         // Note: We don't delete variations that are no longer in the feed
         // to avoid data loss. They can be manually removed.
+
+        return $results;
+    }
+
+    /**
+     * Trash a variation whose SKU is now imported as a simple product.
+     *
+     * The parent product is trashed too once it has no variations left.
+     *
+     * @param \WC_Product_Variation $variation The variation.
+     * @return void
+     */
+    public function remove_variation(\WC_Product_Variation $variation): void
+    {
+        $parent_id = $variation->get_parent_id();
+        $variation_id = $variation->get_id();
+        $sku = $variation->get_sku();
+
+        $variation->delete(false);
+        PersistentLogger::info(sprintf('Variation %d (%s) trashed: it is now imported as a simple product', $variation_id, $sku), $sku);
+
+        $this->trash_if_empty($parent_id);
+    }
+
+    /**
+     * Free a SKU for a variation of a product.
+     *
+     * Grouping overrides move SKUs between products. A variation of another
+     * product is moved to this one (keeping its ID, so orders still point at
+     * it); a simple product is trashed so its SKU can be reused.
+     *
+     * @param int    $product_id The parent product ID.
+     * @param string $sku        The variation SKU.
+     * @return \WC_Product_Variation|null The variation to reuse, null to create one.
+     */
+    private function claim_sku(int $product_id, string $sku): ?\WC_Product_Variation
+    {
+        $existing_id = $sku !== '' ? wc_get_product_id_by_sku($sku) : 0;
+        $existing = $existing_id ? wc_get_product($existing_id) : null;
+
+        if (!$existing || $existing->get_parent_id() === $product_id) {
+            return null;
+        }
+
+        // Products created outside the importer are never touched
+        $owner_id = $existing->get_parent_id() ?: $existing->get_id();
+        if ((string) get_post_meta($owner_id, '_ewheel_reference', true) === '') {
+            return null;
+        }
+
+        if ($existing instanceof \WC_Product_Variation) {
+            $old_parent_id = $existing->get_parent_id();
+            $existing->set_parent_id($product_id);
+            $existing->save();
+
+            PersistentLogger::info(sprintf('Variation %s moved from product %d to product %d', $sku, $old_parent_id, $product_id), $sku);
+
+            $this->trash_if_empty($old_parent_id);
+
+            return $existing;
+        }
+
+        if ($existing->is_type('variable')) {
+            return null;
+        }
+
+        $existing->delete(false);
+        PersistentLogger::info(sprintf('Product %d (%s) trashed: it is now imported as a variation of product %d', $existing_id, $sku, $product_id), $sku);
+
+        return null;
+    }
+
+    /**
+     * Trash a variable product that has no variations left.
+     *
+     * @param int $product_id The product ID.
+     * @return void
+     */
+    private function trash_if_empty(int $product_id): void
+    {
+        if ($product_id <= 0) {
+            return;
+        }
+
+        wc_delete_product_transients($product_id);
+        $product = wc_get_product($product_id);
+
+        if ($product && $product->is_type('variable') && empty($product->get_children())) {
+            $product->delete(false);
+            PersistentLogger::info(sprintf('Product %d trashed: all of its variations were moved to other products', $product_id));
+        }
     }
 
     /**
@@ -107,9 +226,9 @@ class VariationService
      *
      * @param \WC_Product_Variation $variation The variation object.
      * @param array                 $data      The variation data.
-     * @return void
+     * @return array Image URLs to queue once the variation is saved.
      */
-    private function set_variation_data(\WC_Product_Variation $variation, array $data): void
+    private function set_variation_data(\WC_Product_Variation $variation, array $data): array
     {
         if (isset($data['sku'])) {
             $variation->set_sku($data['sku']);
@@ -155,15 +274,10 @@ class VariationService
             $variation->set_height($data['height']);
         }
 
-        // Image (with SEO metadata)
+        // Image (downloaded by the image queue when not in the media library yet)
+        $missing_images = [];
         if (!empty($data['image'])) {
-            $image_id = $this->image_service->import_from_url($data['image'], [
-                'alt_text' => $variation->get_name(),
-                'title'    => $variation->get_name(),
-            ]);
-            if ($image_id) {
-                $variation->set_image_id($image_id);
-            }
+            $missing_images = $this->image_queue->attach($variation, [$data['image']]);
         }
 
         // Attributes
@@ -175,5 +289,7 @@ class VariationService
             }
             $variation->set_attributes($attrs);
         }
+
+        return $missing_images;
     }
 }
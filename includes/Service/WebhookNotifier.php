@@ -0,0 +1,734 @@
+<?php
+/**
+ * Webhook Notifier.
+ *
+ * @package Trotibike\EwheelImporter
+ */
+
+namespace Trotibike\EwheelImporter\Service;
+
+use Trotibike\EwheelImporter\Database\SchemaInstaller;
+use Trotibike\EwheelImporter\Log\PersistentLogger;
+use Trotibike\EwheelImporter\Repository\ProfileRepository;
+
+/**
+ * Sends sync lifecycle events to outgoing webhooks.
+ *
+ * Sync code announces events on EVENT_HOOK; every active endpoint that
+ * subscribed to the event gets a delivery row, which an Action Scheduler
+ * job posts and retries with backoff. Bodies are JSON, signed with the
+ * endpoint's secret: the X-Ewheel-Signature header carries
+ * "sha256=" . HMAC-SHA256("<X-Ewheel-Timestamp>.<body>", secret).
+ * Chat endpoints (Slack, Google Chat) get a {"text": ...} summary instead.
+ */
+class WebhookNotifier
+{
+    /**
+     * Event constants.
+     */
+    public const EVENT_SYNC_STARTED = 'sync.started';
+    public const EVENT_SYNC_PAUSED = 'sync.paused';
+    public const EVENT_SYNC_COMPLETED = 'sync.completed';
+    public const EVENT_SYNC_FAILED = 'sync.failed';
+    public const EVENT_SYNC_STOPPED = 'sync.stopped';
+    public const EVENT_ERROR_RATE = 'sync.error_rate';
+    public const EVENT_DISCONTINUED = 'products.discontinued';
+    public const EVENT_TEST = 'test';
+
+    /**
+     * Delivery status constants.
+     */
+    public const STATUS_PENDING = 'pending';
+    public const STATUS_DELIVERED = 'delivered';
+    public const STATUS_FAILED = 'failed';
+
+    /**
+     * Payload formats.
+     */
+    public const FORMAT_JSON = 'json';
+    public const FORMAT_CHAT = 'chat';
+
+    /**
+     * Action the sync code fires with ($event, $data).
+     */
+    public const EVENT_HOOK = 'ewheel_importer_sync_event';
+
+    /**
+     * Action Scheduler hook that posts one delivery.
+     */
+    public const DELIVER_HOOK = 'ewheel_importer_deliver_webhook';
+
+    /**
+     * Option holding the endpoints, keyed by ID.
+     */
+    public const OPTION = 'ewheel_importer_webhooks';
+
+    /**
+     * Products a sync must have processed before its error rate is judged.
+     */
+    public const ERROR_RATE_MIN_PROCESSED = 20;
+
+    /**
+     * Attempts per delivery before it is marked failed.
+     */
+    public const MAX_ATTEMPTS = 5;
+
+    /**
+     * Seconds to wait before each retry.
+     */
+    private const RETRY_DELAYS = [60, 300, 1800, 7200];
+
+    /**
+     * Request timeout in seconds.
+     */
+    private const TIMEOUT = 10;
+
+    /**
+     * Characters of a successful response body kept in the delivery log.
+     */
+    private const MAX_RESPONSE_LENGTH = 2000;
+
+    /**
+     * Products listed in a discontinued event.
+     */
+    private const MAX_PRODUCTS = 100;
+
+    /**
+     * Profile repository.
+     *
+     * @var ProfileRepository
+     */
+    private ProfileRepository $profile_repository;
+
+    /**
+     * Plugin version, sent in the user agent.
+     *
+     * @var string
+     */
+    private string $plugin_version;
+
+    /**
+     * Constructor.
+     *
+     * @param ProfileRepository $profile_repository Profile repository.
+     * @param string            $plugin_version     Plugin version.
+     */
+    public function __construct(ProfileRepository $profile_repository, string $plugin_version)
+    {
+        $this->profile_repository = $profile_repository;
+        $this->plugin_version = $plugin_version;
+    }
+
+    /**
+     * Get the events an endpoint can subscribe to.
+     *
+     * @return array [event => label].
+     */
+    public static function get_event_labels(): array
+    {
+        return [
+            self::EVENT_SYNC_STARTED => __('Sync started', 'ewheel-importer'),
+            self::EVENT_SYNC_PAUSED => __('Sync paused', 'ewheel-importer'),
+            self::EVENT_SYNC_COMPLETED => __('Sync completed', 'ewheel-importer'),
+            self::EVENT_SYNC_FAILED => __('Sync failed', 'ewheel-importer'),
+            self::EVENT_SYNC_STOPPED => __('Sync stopped', 'ewheel-importer'),
+            self::EVENT_ERROR_RATE => __('Error rate above threshold', 'ewheel-importer'),
+            self::EVENT_DISCONTINUED => __('Products discontinued', 'ewheel-importer'),
+        ];
+    }
+
+    /**
+     * Build the payload data of a sync event from its status.
+     *
+     * @param array    $status     Sync status option.
+     * @param int|null $profile_id Profile ID.
+     * @return array
+     */
+    public static function sync_data(array $status, ?int $profile_id): array
+    {
+        return [
+            'sync_id' => (string) ($status['id'] ?? ''),
+            'profile_id' => $profile_id,
+            'type' => (string) ($status['type'] ?? 'full'),
+            'status' => (string) ($status['status'] ?? ''),
+            'processed' => (int) ($status['processed'] ?? 0),
+            'created' => (int) ($status['created'] ?? 0),
+            'updated' => (int) ($status['updated'] ?? 0),
+            'failed' => (int) ($status['failed'] ?? 0),
+            'started_at' => !empty($status['started_at']) ? gmdate('c', (int) $status['started_at']) : null,
+            'completed_at' => !empty($status['completed_at']) ? gmdate('c', (int) $status['completed_at']) : null,
+            'error' => (string) ($status['error'] ?? ''),
+        ];
+    }
+
+    /**
+     * Sign a request body.
+     *
+     * @param string $body      Request body.
+     * @param string $secret    Endpoint secret.
+     * @param int    $timestamp Unix time sent in X-Ewheel-Timestamp.
+     * @return string Value of the X-Ewheel-Signature header.
+     */
+    public static function sign(string $body, string $secret, int $timestamp): string
+    {
+        return 'sha256=' . hash_hmac('sha256', $timestamp . '.' . $body, $secret);
+    }
+
+    /**
+     * Get the configured endpoints.
+     *
+     * @return array [id => webhook], see save_webhook().
+     */
+    public function get_webhooks(): array
+    {
+        $webhooks = get_option(self::OPTION, []);
+
+        return is_array($webhooks) ? $webhooks : [];
+    }
+
+    /**
+     * Create or update an endpoint.
+     *
+     * A new endpoint without a secret gets a generated one; an existing
+     * endpoint keeps its secret unless a new one is given or
+     * regenerate_secret is set.
+     *
+     * @param array $data {
+     *     @type string $id                Endpoint ID, empty to create one.
+     *     @type string $name              Display name, defaults to the host.
+     *     @type string $url               http(s) URL to post to.
+     *     @type string $secret            Signing secret.
+     *     @type bool   $regenerate_secret Replace the secret with a generated one.
+     *     @type array  $events            Subscribed EVENT_* values.
+     *     @type string $format            FORMAT_JSON or FORMAT_CHAT.
+     *     @type bool   $active            Whether events are sent.
+     * }
+     * @return array The saved endpoint.
+     * @throws \RuntimeException On an invalid URL, no events or an unknown ID.
+     */
+    public function save_webhook(array $data): array
+    {
+        $webhooks = $this->get_webhooks();
+        $id = sanitize_key((string) ($data['id'] ?? ''));
+
+        if ($id !== '' && !isset($webhooks[$id])) {
+            throw new \RuntimeException(__('Webhook not found.', 'ewheel-importer'));
+        }
+
+        $url = trim((string) ($data['url'] ?? ''));
+        $scheme = strtolower((string) wp_parse_url($url, PHP_URL_SCHEME));
+        if (!filter_var($url, FILTER_VALIDATE_URL) || !in_array($scheme, ['http', 'https'], true)) {
+            throw new \RuntimeException(__('Enter a valid http(s) URL.', 'ewheel-importer'));
+        }
+
+        // Deliveries are made for shop managers, so they may not reach the server's own network
+        if (!wp_http_validate_url($url)) {
+            throw new \RuntimeException(__('The webhook URL must point to a public host, not a local or private address.', 'ewheel-importer'));
+        }
+
+        $events = array_values(array_intersect(
+            array_keys(self::get_event_labels()),
+            array_map('strval', (array) ($data['events'] ?? []))
+        ));
+        if (empty($events)) {
+            throw new \RuntimeException(__('Select at least one event.', 'ewheel-importer'));
+        }
+
+        $existing = $id !== '' ? $webhooks[$id] : [];
+        $secret = trim((string) ($data['secret'] ?? ''));
+        if (!empty($data['regenerate_secret']) || ($secret === '' && empty($existing['secret']))) {
+            $secret = wp_generate_password(32, false);
+        } elseif ($secret === '') {
+            $secret = $existing['secret'];
+        }
+
+        $name = sanitize_text_field((string) ($data['name'] ?? ''));
+        $format = (string) ($data['format'] ?? self::FORMAT_JSON);
+
+        $webhook = [
+            'id' => $id !== '' ? $id : strtolower(wp_generate_password(12, false)),
+            'name' => $name !== '' ? $name : (string) wp_parse_url($url, PHP_URL_HOST),
+            'url' => esc_url_raw($url, ['http', 'https']),
+            'secret' => $secret,
+            'events' => $events,
+            'format' => $format === self::FORMAT_CHAT ? self::FORMAT_CHAT : self::FORMAT_JSON,
+            'active' => !empty($data['active']),
+            'created_at' => $existing['created_at'] ?? current_time('mysql'),
+        ];
+
+        $webhooks[$webhook['id']] = $webhook;
+        update_option(self::OPTION, $webhooks, false);
+
+        PersistentLogger::info(sprintf('Webhook saved: %s (%s)', $webhook['name'], implode(', ', $events)));
+
+        return $webhook;
+    }
+
+    /**
+     * Remove an endpoint. Its delivery log is kept until pruned.
+     *
+     * @param string $id Endpoint ID.
+     * @return bool True if an endpoint was removed.
+     */
+    public function delete_webhook(string $id): bool
+    {
+        $webhooks = $this->get_webhooks();
+        if (!isset($webhooks[$id])) {
+            return false;
+        }
+
+        $name = $webhooks[$id]['name'];
+        unset($webhooks[$id]);
+        update_option(self::OPTION, $webhooks, false);
+
+        PersistentLogger::info(sprintf('Webhook removed: %s', $name));
+
+        return true;
+    }
+
+    /**
+     * Queue an event for every active endpoint subscribed to it.
+     *
+     * @param string $event One of the EVENT_* constants.
+     * @param array  $data  Event data.
+     * @return int Number of deliveries queued.
+     */
+    public function dispatch(string $event, array $data = []): int
+    {
+        if (!self::table_exists()) {
+            return 0;
+        }
+
+        $payload = null;
+        $queued = 0;
+
+        foreach ($this->get_webhooks() as $webhook) {
+            if (empty($webhook['active']) || !in_array($event, (array) $webhook['events'], true)) {
+                continue;
+            }
+
+            $payload = $payload ?? $this->build_payload($event, $data);
+            $delivery_id = $this->insert_delivery($webhook['id'], $event, $payload);
+
+            if ($delivery_id && function_exists('as_schedule_single_action')) {
+                as_schedule_single_action(time(), self::DELIVER_HOOK, ['delivery_id' => $delivery_id]);
+                $queued++;
+            }
+        }
+
+        return $queued;
+    }
+
+    /**
+     * Post a queued delivery, and schedule a retry when it fails.
+     *
+     * @param int $delivery_id Delivery row ID.
+     * @return bool True if the endpoint accepted it.
+     */
+    public function deliver(int $delivery_id): bool
+    {
+        $row = $this->get_delivery($delivery_id);
+        if (!$row || $row['status'] !== self::STATUS_PENDING) {
+            return false;
+        }
+
+        return $this->send($row, true);
+    }
+
+    /**
+     * Send a test event to an endpoint right away, without retries.
+     *
+     * @param string $id Endpoint ID.
+     * @return array The delivery row, with the response.
+     * @throws \RuntimeException If the endpoint or the delivery log table does not exist.
+     */
+    public function send_test(string $id): array
+    {
+        $webhooks = $this->get_webhooks();
+        if (!isset($webhooks[$id])) {
+            throw new \RuntimeException(__('Webhook not found.', 'ewheel-importer'));
+        }
+
+        if (!self::table_exists()) {
+            throw new \RuntimeException(__('The webhook delivery table is missing. Deactivate and activate the plugin to create it.', 'ewheel-importer'));
+        }
+
+        $delivery_id = $this->insert_delivery($id, self::EVENT_TEST, $this->build_payload(self::EVENT_TEST, [
+            'webhook_id' => $id,
+            'webhook_name' => $webhooks[$id]['name'],
+        ]));
+        if (!$delivery_id) {
+            throw new \RuntimeException(__('The test delivery could not be stored.', 'ewheel-importer'));
+        }
+
+        $this->send($this->get_delivery($delivery_id), false);
+
+        return $this->get_delivery($delivery_id);
+    }
+
+    /**
+     * Queue a delivery again, with a fresh set of attempts.
+     *
+     * @param int $delivery_id Delivery row ID.
+     * @return bool False if the delivery does not exist.
+     */
+    public function redeliver(int $delivery_id): bool
+    {
+        if (!$this->get_delivery($delivery_id)) {
+            return false;
+        }
+
+        $this->update_delivery($delivery_id, [
+            'status' => self::STATUS_PENDING,
+            'attempts' => 0,
+            'last_error' => null,
+        ]);
+
+        if (function_exists('as_schedule_single_action')) {
+            as_schedule_single_action(time(), self::DELIVER_HOOK, ['delivery_id' => $delivery_id]);
+        }
+
+        return true;
+    }
+
+    /**
+     * Get delivery log rows.
+     *
+     * @param array $args {
+     *     Optional. Arguments for filtering rows.
+     *
+     *     @type string $webhook_id Filter by endpoint.
+     *     @type string $status     Filter by status.
+     *     @type string $event      Filter by event.
+     *     @type int    $limit      Maximum rows to return. Default 50.
+     *     @type int    $offset     Offset for pagination. Default 0.
+     * }
+     * @return array ['items' => array, 'total' => int]; items carry webhook_name.
+     */
+    public function get_deliveries(array $args = []): array
+    {
+        global $wpdb;
+
+        if (!self::table_exists()) {
+            return ['items' => [], 'total' => 0];
+        }
+
+        $args = wp_parse_args($args, [
+            'webhook_id' => '',
+            'status' => '',
+            'event' => '',
+            'limit' => 50,
+            'offset' => 0,
+        ]);
+
+        $table_name = $wpdb->prefix . SchemaInstaller::WEBHOOK_DELIVERIES_TABLE;
+        $where = ['1=1'];
+        $prepare_args = [];
+
+        foreach (['webhook_id', 'status', 'event'] as $column) {
+            if (!empty($args[$column])) {
+                $where[] = "{$column} = %s";
+                $prepare_args[] = $args[$column];
+            }
+        }
+
+        $where_clause = implode(' AND ', $where);
+
+        $count_sql = "SELECT COUNT(*) FROM `{$table_name}` WHERE {$where_clause}";
+        $total = (int) $wpdb->get_var(empty($prepare_args) ? $count_sql : $wpdb->prepare($count_sql, $prepare_args));
+
+        $items = $wpdb->get_results($wpdb->prepare(
+            "SELECT * FROM `{$table_name}` WHERE {$where_clause} ORDER BY id DESC LIMIT %d OFFSET %d",
+            array_merge($prepare_args, [max(1, absint($args['limit'])), absint($args['offset'])])
+        ), ARRAY_A) ?: [];
+
+        $webhooks = $this->get_webhooks();
+        foreach ($items as &$item) {
+            $item['webhook_name'] = $webhooks[$item['webhook_id']]['name'] ?? '';
+        }
+
+        return ['items' => $items, 'total' => $total];
+    }
+
+    /**
+     * Delete delivery log rows older than the retention period.
+     *
+     * @param int $retention_days Days to keep, 0 to keep regardless of age.
+     * @return int Number of rows deleted.
+     */
+    public function prune(int $retention_days): int
+    {
+        global $wpdb;
+
+        if ($retention_days <= 0 || !self::table_exists()) {
+            return 0;
+        }
+
+        $table_name = $wpdb->prefix . SchemaInstaller::WEBHOOK_DELIVERIES_TABLE;
+
+        return (int) $wpdb->query($wpdb->prepare(
+            "DELETE FROM `{$table_name}` WHERE created_at < %s AND status <> %s",
+            gmdate('Y-m-d H:i:s', current_time('timestamp') - $retention_days * DAY_IN_SECONDS),
+            self::STATUS_PENDING
+        ));
+    }
+
+    /**
+     * Post a delivery and record the outcome.
+     *
+     * @param array $row   Delivery row.
+     * @param bool  $retry Schedule a retry on failure until MAX_ATTEMPTS.
+     * @return bool True on a 2xx response.
+     */
+    private function send(array $row, bool $retry): bool
+    {
+        $id = (int) $row['id'];
+        $attempts = (int) $row['attempts'] + 1;
+        $webhook = $this->get_webhooks()[$row['webhook_id']] ?? null;
+
+        if (!$webhook) {
+            $this->update_delivery($id, [
+                'status' => self::STATUS_FAILED,
+                'attempts' => $attempts,
+                'last_error' => __('The webhook was deleted.', 'ewheel-importer'),
+            ]);
+            return false;
+        }
+
+        $payload = json_decode((string) $row['payload'], true) ?: [];
+        if ($webhook['format'] === self::FORMAT_CHAT) {
+            $payload = ['text' => (string) ($payload['message'] ?? $row['event'])];
+        }
+
+        $body = (string) wp_json_encode($payload);
+        $timestamp = time();
+
+        $response = wp_safe_remote_post($webhook['url'], [
+            'timeout' => self::TIMEOUT,
+            'headers' => [
+                'Content-Type' => 'application/json',
+                'User-Agent' => 'Ewheel-Importer/' . $this->plugin_version,
+                'X-Ewheel-Event' => $row['event'],
+                'X-Ewheel-Delivery' => (string) $id,
+                'X-Ewheel-Timestamp' => (string) $timestamp,
+                'X-Ewheel-Signature' => self::sign($body, (string) $webhook['secret'], $timestamp),
+            ],
+            'body' => $body,
+        ]);
+
+        $code = null;
+        $response_body = null;
+        if (is_wp_error($response)) {
+            $error = $response->get_error_message();
+        } else {
+            $code = (int) wp_remote_retrieve_response_code($response);
+            $error = ($code >= 200 && $code < 300) ? null : sprintf('HTTP %d', $code);
+
+            // Only 2xx answers are kept, so the log can't be used to read arbitrary error pages
+            if ($error === null) {
+                $response_body = mb_substr((string) wp_remote_retrieve_body($response), 0, self::MAX_RESPONSE_LENGTH);
+            }
+        }
+
+        if ($error === null) {
+            $this->update_delivery($id, [
+                'status' => self::STATUS_DELIVERED,
+                'attempts' => $attempts,
+                'response_code' => $code,
+                'response_body' => $response_body,
+                'last_error' => null,
+            ]);
+            return true;
+        }
+
+        $will_retry = $retry && $attempts < self::MAX_ATTEMPTS && function_exists('as_schedule_single_action');
+
+        $this->update_delivery($id, [
+            'status' => $will_retry ? self::STATUS_PENDING : self::STATUS_FAILED,
+            'attempts' => $attempts,
+            'response_code' => $code,
+            'response_body' => $response_body,
+            'last_error' => $error,
+        ]);
+
+        if ($will_retry) {
+            $delay = self::RETRY_DELAYS[min($attempts, count(self::RETRY_DELAYS)) - 1];
+            as_schedule_single_action(time() + $delay, self::DELIVER_HOOK, ['delivery_id' => $id]);
+        } elseif ($retry) {
+            PersistentLogger::warning(
+                sprintf('Webhook delivery failed after %d attempts: %s', $attempts, $error),
+                null,
+                null,
+                null,
+                ['webhook' => $webhook['name'], 'event' => $row['event'], 'delivery_id' => $id]
+            );
+        }
+
+        return false;
+    }
+
+    /**
+     * Build the payload of an event.
+     *
+     * @param string $event Event.
+     * @param array  $data  Event data.
+     * @return array
+     */
+    private function build_payload(string $event, array $data): array
+    {
+        if (!empty($data['profile_id'])) {
+            $profile = $this->profile_repository->find((int) $data['profile_id']);
+            $data['profile_name'] = $profile ? $profile->get_name() : '';
+        }
+
+        if (isset($data['products']) && is_array($data['products'])) {
+            $data['product_count'] = count($data['products']);
+            $data['products'] = array_slice($data['products'], 0, self::MAX_PRODUCTS);
+        }
+
+        return [
+            'event' => $event,
+            'created_at' => gmdate('c'),
+            'site' => home_url(),
+            'message' => $this->build_message($event, $data),
+            'data' => $data,
+        ];
+    }
+
+    /**
+     * Build the one-line summary of an event, used as chat text.
+     *
+     * @param string $event Event.
+     * @param array  $data  Event data.
+     * @return string
+     */
+    private function build_message(string $event, array $data): string
+    {
+        $scope = !empty($data['profile_name']) ? sprintf(' (Profile: %s)', $data['profile_name']) : '';
+        $counts = sprintf(
+            '%d processed, %d created, %d updated, %d failed',
+            $data['processed'] ?? 0,
+            $data['created'] ?? 0,
+            $data['updated'] ?? 0,
+            $data['failed'] ?? 0
+        );
+
+        switch ($event) {
+            case self::EVENT_SYNC_STARTED:
+                $message = sprintf('%s sync started%s.', ucfirst($data['type'] ?? 'full'), $scope);
+                break;
+            case self::EVENT_SYNC_PAUSED:
+            case self::EVENT_SYNC_STOPPED:
+            case self::EVENT_SYNC_COMPLETED:
+                $message = sprintf('Sync %s%s: %s.', substr($event, 5), $scope, $counts);
+                break;
+            case self::EVENT_SYNC_FAILED:
+                $message = sprintf('Sync failed%s: %s. %s', $scope, $counts, $data['error'] ?? '');
+                break;
+            case self::EVENT_ERROR_RATE:
+                $message = sprintf(
+                    'Sync error rate %s%% is above %s%%%s: %s.',
+                    $data['error_rate'] ?? 0,
+                    $data['threshold'] ?? 0,
+                    $scope,
+                    $counts
+                );
+                break;
+            case self::EVENT_DISCONTINUED:
+                $message = sprintf(
+                    '%d products discontinued by reconciliation (policy: %s)%s.',
+                    $data['discontinued'] ?? 0,
+                    $data['policy'] ?? '',
+                    $scope
+                );
+                break;
+            case self::EVENT_TEST:
+                $message = 'Test event from the ewheel importer.';
+                break;
+            default:
+                $message = $event;
+        }
+
+        return sprintf('[%s] %s', get_bloginfo('name'), trim($message));
+    }
+
+    /**
+     * Insert a pending delivery row.
+     *
+     * @param string $webhook_id Endpoint ID.
+     * @param string $event      Event.
+     * @param array  $payload    Payload.
+     * @return int Row ID, 0 on failure.
+     */
+    private function insert_delivery(string $webhook_id, string $event, array $payload): int
+    {
+        global $wpdb;
+
+        $now = current_time('mysql');
+        $inserted = $wpdb->insert($wpdb->prefix . SchemaInstaller::WEBHOOK_DELIVERIES_TABLE, [
+            'webhook_id' => $webhook_id,
+            'event' => $event,
+            'payload' => wp_json_encode($payload),
+            'status' => self::STATUS_PENDING,
+            'created_at' => $now,
+            'updated_at' => $now,
+        ]);
+
+        return $inserted ? (int) $wpdb->insert_id : 0;
+    }
+
+    /**
+     * Get a delivery row.
+     *
+     * @param int $id Row ID.
+     * @return array|null
+     */
+    private function get_delivery(int $id): ?array
+    {
+        global $wpdb;
+
+        if (!self::table_exists()) {
+            return null;
+        }
+
+        $table_name = $wpdb->prefix . SchemaInstaller::WEBHOOK_DELIVERIES_TABLE;
+        $row = $wpdb->get_row($wpdb->prepare("SELECT * FROM `{$table_name}` WHERE id = %d", $id), ARRAY_A);
+
+        return $row ?: null;
+    }
+
+    /**
+     * Update a delivery row.
+     *
+     * @param int   $id   Row ID.
+     * @param array $data Columns to set.
+     * @return void
+     */
+    private function update_delivery(int $id, array $data): void
+    {
+        global $wpdb;
+
+        $data['updated_at'] = current_time('mysql');
+
+        $wpdb->update($wpdb->prefix . SchemaInstaller::WEBHOOK_DELIVERIES_TABLE, $data, ['id' => $id]);
+    }
+
+    /**
+     * Check if the table exists.
+     *
+     * @return bool
+     */
+    private static function table_exists(): bool
+    {
+        global $wpdb;
+
+        if (null === $wpdb) {
+            return false;
+        }
+
+        $table_name = $wpdb->prefix . SchemaInstaller::WEBHOOK_DELIVERIES_TABLE;
+
+        $check_sql = $wpdb->prepare("SHOW TABLES LIKE %s", $table_name);
+        return $wpdb->get_var($check_sql) === $table_name;
+    }
+}
@@ -0,0 +1,554 @@
+<?php
+/**
+ * Discontinued Products.
+ *
+ * @package Trotibike\EwheelImporter
+ */
+
+namespace Trotibike\EwheelImporter\Sync;
+
+use Trotibike\EwheelImporter\Api\EwheelApiClient;
+use Trotibike\EwheelImporter\Config\Configuration;
+use Trotibike\EwheelImporter\Config\ProfileConfiguration;
+use Trotibike\EwheelImporter\Repository\ProfileRepository;
+use Trotibike\EwheelImporter\Log\PersistentLogger;
+use Trotibike\EwheelImporter\Service\WebhookNotifier;
+
+/**
+ * Reviews imported products that are no longer in the ewheel feed.
+ *
+ * The feed is checked on demand, without filters, and the references it
+ * returned are kept as a snapshot. Reconciliation compares imported
+ * products against that snapshot and applies the profile's discontinued
+ * policy. Each handled product is marked with the action taken, so the
+ * review screen can list it and reconciliation leaves it alone until it
+ * shows up in the feed again.
+ */
+class DiscontinuedProducts
+{
+    /**
+     * Discontinued policies.
+     */
+    public const POLICY_DRAFT = 'draft';
+    public const POLICY_OUT_OF_STOCK = 'outofstock';
+    public const POLICY_KEEP = 'keep';
+    public const POLICY_TRASH = 'trash';
+
+    /**
+     * Bulk actions besides the policies.
+     */
+    public const ACTION_EXCLUDE = 'exclude';
+    public const ACTION_INCLUDE = 'include';
+
+    /**
+     * Review states besides the policies.
+     */
+    public const STATE_PENDING = 'pending';
+    public const STATE_EXCLUDED = 'excluded';
+
+    /**
+     * Product meta keys.
+     */
+    public const META_ACTION = '_ewheel_discontinued_action';
+    public const META_AT = '_ewheel_discontinued_at';
+    public const META_EXCLUDED = '_ewheel_reconcile_exclude';
+
+    /**
+     * Option holding the last feed snapshot.
+     */
+    public const SNAPSHOT_OPTION = 'ewheel_importer_feed_snapshot';
+
+    /**
+     * Days of sales shown per product.
+     */
+    public const SALES_DAYS = 90;
+
+    /**
+     * Most rows returned by get_review().
+     */
+    public const MAX_ROWS = 500;
+
+    /**
+     * Page size and page limit when reading the feed.
+     */
+    private const SCAN_PAGE_SIZE = 100;
+    private const SCAN_MAX_PAGES = 500;
+
+    /**
+     * API client.
+     *
+     * @var EwheelApiClient
+     */
+    private EwheelApiClient $api_client;
+
+    /**
+     * WooCommerce sync.
+     *
+     * @var WooCommerceSync
+     */
+    private WooCommerceSync $woo_sync;
+
+    /**
+     * Profile repository.
+     *
+     * @var ProfileRepository
+     */
+    private ProfileRepository $profile_repository;
+
+    /**
+     * Global configuration.
+     *
+     * @var Configuration
+     */
+    private Configuration $config;
+
+    /**
+     * Constructor.
+     *
+     * @param EwheelApiClient   $api_client         API client.
+     * @param WooCommerceSync   $woo_sync           WooCommerce sync.
+     * @param ProfileRepository $profile_repository Profile repository.
+     * @param Configuration     $config             Global configuration.
+     */
+    public function __construct(
+        EwheelApiClient $api_client,
+        WooCommerceSync $woo_sync,
+        ProfileRepository $profile_repository,
+        Configuration $config
+    ) {
+        $this->api_client = $api_client;
+        $this->woo_sync = $woo_sync;
+        $this->profile_repository = $profile_repository;
+        $this->config = $config;
+    }
+
+    /**
+     * Get the policies with their labels.
+     *
+     * @return array<string, string> Policy => label.
+     */
+    public static function get_policy_labels(): array
+    {
+        return [
+            self::POLICY_DRAFT => __('Move to draft', 'ewheel-importer'),
+            self::POLICY_OUT_OF_STOCK => __('Keep published, mark out of stock', 'ewheel-importer'),
+            self::POLICY_KEEP => __('Keep published, only list for review', 'ewheel-importer'),
+            self::POLICY_TRASH => __('Move to trash', 'ewheel-importer'),
+        ];
+    }
+
+    /**
+     * Get imported products with their reconciliation state.
+     *
+     * @return array Rows with post_id, reference, post_status, action, excluded and unpublished_reason.
+     */
+    public static function get_imported_products(): array
+    {
+        global $wpdb;
+
+        return $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT r.post_id, r.meta_value AS reference, p.post_status,
+                        a.meta_value AS action, x.meta_value AS excluded, u.meta_value AS unpublished_reason
+                 FROM {$wpdb->postmeta} r
+                 INNER JOIN {$wpdb->posts} p ON p.ID = r.post_id AND p.post_type = 'product'
+                 LEFT JOIN {$wpdb->postmeta} a ON a.post_id = r.post_id AND a.meta_key = %s
+                 LEFT JOIN {$wpdb->postmeta} x ON x.post_id = r.post_id AND x.meta_key = %s
+                 LEFT JOIN {$wpdb->postmeta} u ON u.post_id = r.post_id AND u.meta_key = '_ewheel_unpublished_reason'
+                 WHERE r.meta_key = '_ewheel_reference'
+                 AND r.meta_value != ''",
+                self::META_ACTION,
+                self::META_EXCLUDED
+            ),
+            ARRAY_A
+        ) ?: [];
+    }
+
+    /**
+     * Apply a policy to one product and record it.
+     *
+     * Applying POLICY_KEEP also republishes a product that was unpublished
+     * or trashed earlier.
+     *
+     * @param int    $post_id Product ID.
+     * @param string $policy  One of the POLICY_* constants.
+     * @return bool False when the product does not exist.
+     */
+    public static function apply_policy(int $post_id, string $policy): bool
+    {
+        $product = wc_get_product($post_id);
+        if (!$product) {
+            return false;
+        }
+
+        switch ($policy) {
+            case self::POLICY_DRAFT:
+                wp_update_post(['ID' => $post_id, 'post_status' => 'draft']);
+                update_post_meta($post_id, '_ewheel_unpublished_reason', 'removed_from_api');
+                update_post_meta($post_id, '_ewheel_unpublished_at', gmdate('Y-m-d\TH:i:s'));
+                break;
+
+            case self::POLICY_OUT_OF_STOCK:
+                $items = $product->is_type('variable')
+                    ? array_filter(array_map('wc_get_product', $product->get_children()))
+                    : [$product];
+
+                foreach ($items as $item) {
+                    if ($item->get_manage_stock()) {
+                        $item->set_stock_quantity(0);
+                    }
+                    $item->set_stock_status('outofstock');
+                    $item->save();
+                }
+                break;
+
+            case self::POLICY_TRASH:
+                wp_trash_post($post_id);
+                break;
+
+            default:
+                if (get_post_status($post_id) === 'trash') {
+                    wp_untrash_post($post_id);
+                }
+                if (get_post_status($post_id) !== 'publish') {
+                    wp_update_post(['ID' => $post_id, 'post_status' => 'publish']);
+                }
+                delete_post_meta($post_id, '_ewheel_unpublished_reason');
+                delete_post_meta($post_id, '_ewheel_unpublished_at');
+                $policy = self::POLICY_KEEP;
+        }
+
+        update_post_meta($post_id, self::META_ACTION, $policy);
+        update_post_meta($post_id, self::META_AT, gmdate('Y-m-d\TH:i:s'));
+
+        return true;
+    }
+
+    /**
+     * Forget the discontinued state of a product that is back in the feed.
+     *
+     * Its status is left as is; the next sync of the product decides it.
+     *
+     * @param int $post_id Product ID.
+     * @return void
+     */
+    public static function clear(int $post_id): void
+    {
+        delete_post_meta($post_id, self::META_ACTION);
+        delete_post_meta($post_id, self::META_AT);
+        delete_post_meta($post_id, '_ewheel_unpublished_reason');
+        delete_post_meta($post_id, '_ewheel_unpublished_at');
+    }
+
+    /**
+     * Read every reference in the feed and store them as the snapshot.
+     *
+     * No filters are sent, so inactive products count as still in the feed.
+     *
+     * @return array Snapshot info: ['checked_at' => string, 'count' => int].
+     * @throws \RuntimeException If the feed could not be read completely.
+     */
+    public function scan_feed(): array
+    {
+        $references = [];
+        $page = 0;
+
+        try {
+            do {
+                $products = $this->api_client->get_products($page, self::SCAN_PAGE_SIZE, [], true);
+
+                foreach ($products as $raw) {
+                    $p = is_array($raw) ? array_change_key_case($raw, CASE_LOWER) : [];
+                    if (!empty($p['reference'])) {
+                        $references[(string) $p['reference']] = true;
+                    }
+                    foreach ((array) ($p['variants'] ?? []) as $variant) {
+                        $v = is_array($variant) ? array_change_key_case($variant, CASE_LOWER) : [];
+                        if (!empty($v['reference'])) {
+                            $references[(string) $v['reference']] = true;
+                        }
+                    }
+                }
+
+                $page++;
+            } while (!empty($products) && $page < self::SCAN_MAX_PAGES);
+        } catch (\Throwable $e) {
+            throw new \RuntimeException(
+                /* translators: %s: error message */
+                sprintf(__('Could not read the ewheel feed: %s', 'ewheel-importer'), $e->getMessage()),
+                0,
+                $e
+            );
+        }
+
+        // A partial snapshot would flag the rest of the catalog as discontinued
+        if (!empty($products) || empty($references)) {
+            throw new \RuntimeException(__('The ewheel feed returned no products or too many pages; the snapshot was not saved.', 'ewheel-importer'));
+        }
+
+        $snapshot = [
+            'checked_at' => current_time('mysql'),
+            'references' => array_keys($references),
+        ];
+        update_option(self::SNAPSHOT_OPTION, $snapshot, false);
+
+        PersistentLogger::info(sprintf('Feed snapshot saved: %d references', count($snapshot['references'])));
+
+        return $this->get_snapshot_info();
+    }
+
+    /**
+     * Get when the feed was last read and how many references it had.
+     *
+     * @return array|null ['checked_at' => string, 'count' => int], null before the first scan.
+     */
+    public function get_snapshot_info(): ?array
+    {
+        $snapshot = get_option(self::SNAPSHOT_OPTION);
+        if (!is_array($snapshot) || !isset($snapshot['references'])) {
+            return null;
+        }
+
+        return [
+            'checked_at' => (string) $snapshot['checked_at'],
+            'count' => count($snapshot['references']),
+        ];
+    }
+
+    /**
+     * Get the references from the last feed snapshot.
+     *
+     * @return array|null Null before the first scan.
+     */
+    private function get_snapshot_references(): ?array
+    {
+        $snapshot = get_option(self::SNAPSHOT_OPTION);
+
+        return is_array($snapshot) && isset($snapshot['references']) ? (array) $snapshot['references'] : null;
+    }
+
+    /**
+     * Get the policy a profile applies to discontinued products.
+     *
+     * @param int|null $profile_id Profile ID, null for the default policy.
+     * @return string
+     */
+    public function get_policy(?int $profile_id): string
+    {
+        $profile = $profile_id ? $this->profile_repository->find($profile_id) : null;
+
+        return $profile
+            ? (new ProfileConfiguration($profile, $this->config))->get_discontinued_policy()
+            : self::POLICY_DRAFT;
+    }
+
+    /**
+     * Run reconciliation against the last feed snapshot.
+     *
+     * @param int|null $profile_id Profile whose policy applies.
+     * @return array WooCommerceSync::reconcile_products() stats.
+     * @throws \RuntimeException If the feed has not been checked yet.
+     */
+    public function reconcile(?int $profile_id): array
+    {
+        $references = $this->get_snapshot_references();
+        if ($references === null) {
+            throw new \RuntimeException(__('Check the feed first.', 'ewheel-importer'));
+        }
+
+        $policy = $this->get_policy($profile_id);
+        $stats = $this->woo_sync->reconcile_products($references, $policy);
+
+        if ($stats['discontinued'] > 0) {
+            do_action(WebhookNotifier::EVENT_HOOK, WebhookNotifier::EVENT_DISCONTINUED, [
+                'profile_id' => $profile_id,
+                'policy' => $policy,
+                'discontinued' => $stats['discontinued'],
+                'restored' => $stats['restored'],
+                'excluded' => $stats['excluded'],
+                'checked' => $stats['checked'],
+                'products' => $stats['products'],
+            ]);
+        }
+
+        return $stats;
+    }
+
+    /**
+     * List the products reconciliation would act on, and those it already has.
+     *
+     * @param string $state Only return rows in this state, empty for all.
+     * @return array {
+     *     @type array|null $snapshot Snapshot info.
+     *     @type array      $counts   Rows per state.
+     *     @type int        $total    Rows matching $state.
+     *     @type array      $products Product rows, at most MAX_ROWS.
+     * }
+     */
+    public function get_review(string $state = ''): array
+    {
+        $references = $this->get_snapshot_references();
+        $active_set = $references !== null ? array_flip($references) : null;
+
+        $counts = [];
+        $matched = [];
+
+        foreach (self::get_imported_products() as $row) {
+            $row_state = $this->get_state($row, $active_set);
+            if ($row_state === null) {
+                continue;
+            }
+
+            $counts[$row_state] = ($counts[$row_state] ?? 0) + 1;
+            if ($state === '' || $state === $row_state) {
+                $matched[(int) $row['post_id']] = $row + ['state' => $row_state];
+            }
+        }
+
+        $rows = array_slice($matched, 0, self::MAX_ROWS, true);
+        $sales = $this->get_sales(array_keys($rows));
+
+        $products = [];
+        foreach ($rows as $post_id => $row) {
+            $product = wc_get_product($post_id);
+            if (!$product) {
+                continue;
+            }
+
+            $products[] = [
+                'id' => $post_id,
+                'name' => $product->get_name(),
+                'sku' => $product->get_sku(),
+                'reference' => $row['reference'],
+                'status' => $row['post_status'],
+                'state' => $row['state'],
+                'excluded' => !empty($row['excluded']),
+                'last_seen' => (string) $product->get_meta('_ewheel_last_sync'),
+                'discontinued_at' => (string) $product->get_meta(self::META_AT),
+                'stock_quantity' => $product->get_stock_quantity(),
+                'stock_status' => $product->get_stock_status(),
+                'sales' => $sales[$post_id] ?? 0,
+                'edit_url' => (string) get_edit_post_link($post_id, 'raw'),
+            ];
+        }
+
+        return [
+            'snapshot' => $this->get_snapshot_info(),
+            'counts' => $counts,
+            'total' => count($matched),
+            'products' => $products,
+        ];
+    }
+
+    /**
+     * Get the review state of an imported product.
+     *
+     * @param array      $row        Row from get_imported_products().
+     * @param array|null $active_set Flipped snapshot references, null before the first scan.
+     * @return string|null Null when the product needs no review.
+     */
+    private function get_state(array $row, ?array $active_set): ?string
+    {
+        if (!empty($row['action'])) {
+            return $row['action'];
+        }
+
+        // Unpublished by reconciliation before actions were recorded
+        if ($row['unpublished_reason'] === 'removed_from_api' && $row['post_status'] !== 'publish') {
+            return self::POLICY_DRAFT;
+        }
+
+        $missing = $active_set === null || !isset($active_set[$row['reference']]);
+
+        if (!empty($row['excluded'])) {
+            return $missing ? self::STATE_EXCLUDED : null;
+        }
+
+        if ($active_set !== null && $missing && $row['post_status'] === 'publish') {
+            return self::STATE_PENDING;
+        }
+
+        return null;
+    }
+
+    /**
+     * Get units sold per product over the last SALES_DAYS days.
+     *
+     * Variation sales count towards their parent product.
+     *
+     * @param array $product_ids Product IDs.
+     * @return array<int, int> Product ID => units sold.
+     */
+    private function get_sales(array $product_ids): array
+    {
+        global $wpdb;
+
+        if (empty($product_ids)) {
+            return [];
+        }
+
+        $placeholders = implode(',', array_fill(0, count($product_ids), '%d'));
+        $since = gmdate('Y-m-d H:i:s', time() - self::SALES_DAYS * DAY_IN_SECONDS);
+
+        $rows = $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT l.product_id, SUM(l.product_qty) AS qty
+                 FROM {$wpdb->prefix}wc_order_product_lookup l
+                 INNER JOIN {$wpdb->prefix}wc_order_stats s ON s.order_id = l.order_id
+                 WHERE l.product_id IN ({$placeholders})
+                 AND l.date_created >= %s
+                 AND s.status NOT IN ('wc-failed', 'wc-cancelled', 'wc-pending', 'wc-checkout-draft')
+                 GROUP BY l.product_id",
+                array_merge($product_ids, [$since])
+            ),
+            ARRAY_A
+        ) ?: [];
+
+        $sales = [];
+        foreach ($rows as $row) {
+            $sales[(int) $row['product_id']] = max(0, (int) $row['qty']);
+        }
+
+        return $sales;
+    }
+
+    /**
+     * Apply a bulk action from the review screen.
+     *
+     * Only imported products are touched.
+     *
+     * @param array  $product_ids Product IDs.
+     * @param string $action      POLICY_KEEP, POLICY_OUT_OF_STOCK, POLICY_TRASH, ACTION_EXCLUDE or ACTION_INCLUDE.
+     * @return int Number of products changed.
+     * @throws \RuntimeException On an unknown action.
+     */
+    public function bulk(array $product_ids, string $action): int
+    {
+        $actions = [self::POLICY_KEEP, self::POLICY_OUT_OF_STOCK, self::POLICY_TRASH, self::ACTION_EXCLUDE, self::ACTION_INCLUDE];
+        if (!in_array($action, $actions, true)) {
+            throw new \RuntimeException(__('Unknown action.', 'ewheel-importer'));
+        }
+
+        $changed = 0;
+
+        foreach (array_unique(array_filter(array_map('intval', $product_ids))) as $post_id) {
+            if ((string) get_post_meta($post_id, '_ewheel_reference', true) === '') {
+                continue;
+            }
+
+            if ($action === self::ACTION_EXCLUDE) {
+                update_post_meta($post_id, self::META_EXCLUDED, '1');
+            } elseif ($action === self::ACTION_INCLUDE) {
+                delete_post_meta($post_id, self::META_EXCLUDED);
+            } elseif (!self::apply_policy($post_id, $action)) {
+                continue;
+            }
+
+            $changed++;
+        }
+
+        PersistentLogger::info(sprintf('Discontinued review: "%s" applied to %d products', $action, $changed));
+
+        return $changed;
+    }
+}
@@ -0,0 +1,278 @@
+<?php
+/**
+ * Pattern Template.
+ *
+ * @package Trotibike\EwheelImporter
+ */
+
+namespace Trotibike\EwheelImporter\Sync;
+
+/**
+ * Parses and renders the custom patterns used for product names and descriptions.
+ *
+ * Syntax:
+ * - {tag} inserts a value, e.g. {name} or {brand}.
+ * - {if tag}...{/if} keeps its content only when the tag has a value.
+ * - {if !tag}...{/if} keeps its content only when the tag is empty.
+ * - {else} may split an {if} block once.
+ *
+ * Rendering is forgiving: malformed parts are output as written, so a
+ * typo never blocks a sync. validate() reports them for the editor.
+ */
+class PatternTemplate
+{
+    /**
+     * Tags every product can provide.
+     */
+    public const BASE_TAGS = [
+        'name',
+        'reference',
+        'price',
+        'description',
+        'brand',
+        'model',
+        'category',
+        'family',
+        'subfamily',
+        'color',
+        'ean',
+        'upc',
+        'weight',
+        'height',
+        'width',
+        'length',
+    ];
+
+    /**
+     * Get the base tags with their descriptions.
+     *
+     * @return array<string, string> Tag => description.
+     */
+    public static function get_tag_labels(): array
+    {
+        return [
+            'name' => __('Product name (translated)', 'ewheel-importer'),
+            'reference' => __('Reference (SKU)', 'ewheel-importer'),
+            'price' => __('Supplier price', 'ewheel-importer'),
+            'description' => __('Supplier description', 'ewheel-importer'),
+            'brand' => __('Brand', 'ewheel-importer'),
+            'model' => __('Compatible scooter models', 'ewheel-importer'),
+            'category' => __('Category (mapped WooCommerce category, else subfamily or family)', 'ewheel-importer'),
+            'family' => __('Family', 'ewheel-importer'),
+            'subfamily' => __('Subfamily', 'ewheel-importer'),
+            'color' => __('Color', 'ewheel-importer'),
+            'ean' => __('EAN barcode', 'ewheel-importer'),
+            'upc' => __('UPC barcode', 'ewheel-importer'),
+            'weight' => __('Weight (kg)', 'ewheel-importer'),
+            'height' => __('Height (cm)', 'ewheel-importer'),
+            'width' => __('Width (cm)', 'ewheel-importer'),
+            'length' => __('Length (cm)', 'ewheel-importer'),
+        ];
+    }
+
+    /**
+     * Render a pattern.
+     *
+     * @param string   $template The pattern.
+     * @param callable $resolve  Returns the value of a tag: fn(string $tag): string.
+     * @return string
+     */
+    public function render(string $template, callable $resolve): string
+    {
+        $values = [];
+        $lookup = function (string $tag) use ($resolve, &$values): string {
+            if (!array_key_exists($tag, $values)) {
+                $values[$tag] = trim((string) $resolve($tag));
+            }
+            return $values[$tag];
+        };
+
+        $output = $this->render_nodes($this->parse($template)['nodes'], $lookup);
+
+        // Tags left empty inside running text leave double spaces behind
+        return trim((string) preg_replace('/[ \t]{2,}/', ' ', $output));
+    }
+
+    /**
+     * Check a pattern for syntax errors and unknown tags.
+     *
+     * @param string $template   The pattern.
+     * @param array  $known_tags Accepted tags, empty to skip the check.
+     * @return array Error messages.
+     */
+    public function validate(string $template, array $known_tags = []): array
+    {
+        $parsed = $this->parse($template);
+        $errors = $parsed['errors'];
+
+        if (!empty($known_tags)) {
+            $unknown = array_diff(array_unique($this->collect_tags($parsed['nodes'])), $known_tags);
+            foreach ($unknown as $tag) {
+                /* translators: %s: tag name */
+                $errors[] = sprintf(__('Unknown tag {%s}.', 'ewheel-importer'), $tag);
+            }
+        }
+
+        return $errors;
+    }
+
+    /**
+     * Get the tags a pattern uses.
+     *
+     * @param string $template The pattern.
+     * @return array Tag names.
+     */
+    public function get_used_tags(string $template): array
+    {
+        return array_values(array_unique($this->collect_tags($this->parse($template)['nodes'])));
+    }
+
+    /**
+     * Parse a pattern into nodes.
+     *
+     * @param string $template The pattern.
+     * @return array ['nodes' => array, 'errors' => string[]].
+     */
+    public function parse(string $template): array
+    {
+        $tokens = preg_split('/(\{[^{}]*\})/', $template, -1, PREG_SPLIT_DELIM_CAPTURE | PREG_SPLIT_NO_EMPTY) ?: [];
+        $position = 0;
+        $errors = [];
+
+        $block = $this->parse_block($tokens, $position, $errors, 0, false);
+
+        return [
+            'nodes' => $block['nodes'],
+            'errors' => $errors,
+        ];
+    }
+
+    /**
+     * Parse tokens until the end of the current block.
+     *
+     * @param array $tokens   Tokens from parse().
+     * @param int   $position Current token, advanced while parsing.
+     * @param array $errors   Collected errors.
+     * @param int   $depth    Number of open {if} blocks.
+     * @param bool  $in_else  Whether this block follows an {else}.
+     * @return array ['nodes' => array, 'end' => 'else'|'/if'|null].
+     */
+    private function parse_block(array $tokens, int &$position, array &$errors, int $depth, bool $in_else): array
+    {
+        $nodes = [];
+        $count = count($tokens);
+
+        while ($position < $count) {
+            $token = $tokens[$position++];
+
+            if ($token[0] !== '{' || substr($token, -1) !== '}') {
+                if (strpbrk($token, '{}') !== false) {
+                    /* translators: %s: part of the pattern */
+                    $errors[] = sprintf(__('Unmatched brace in "%s".', 'ewheel-importer'), trim($token));
+                }
+                $nodes[] = ['type' => 'text', 'value' => $token];
+                continue;
+            }
+
+            $inner = strtolower(trim(substr($token, 1, -1)));
+
+            if ($inner === 'else' || $inner === '/if') {
+                if ($depth === 0) {
+                    /* translators: %s: {else} or {/if} */
+                    $errors[] = sprintf(__('%s without a matching {if}.', 'ewheel-importer'), $token);
+                    continue;
+                }
+                if ($inner === 'else' && $in_else) {
+                    $errors[] = __('An {if} block can only have one {else}.', 'ewheel-importer');
+                    continue;
+                }
+                return ['nodes' => $nodes, 'end' => $inner];
+            }
+
+            if (preg_match('/^if\s+(!?)\s*([a-z0-9_-]+)$/', $inner, $matches)) {
+                $then = $this->parse_block($tokens, $position, $errors, $depth + 1, false);
+                $else = ['nodes' => [], 'end' => $then['end']];
+
+                if ($then['end'] === 'else') {
+                    $else = $this->parse_block($tokens, $position, $errors, $depth + 1, true);
+                }
+
+                if ($else['end'] === null) {
+                    /* translators: %s: the {if} tag */
+                    $errors[] = sprintf(__('%s is never closed with {/if}.', 'ewheel-importer'), $token);
+                }
+
+                $nodes[] = [
+                    'type' => 'if',
+                    'tag' => $matches[2],
+                    'negate' => $matches[1] === '!',
+                    'then' => $then['nodes'],
+                    'else' => $else['nodes'],
+                ];
+                continue;
+            }
+
+            if ($inner !== 'if' && preg_match('/^[a-z0-9_-]+$/', $inner)) {
+                $nodes[] = ['type' => 'tag', 'name' => $inner];
+                continue;
+            }
+
+            /* translators: %s: the malformed tag */
+            $errors[] = sprintf(__('Invalid tag %s.', 'ewheel-importer'), $token);
+            $nodes[] = ['type' => 'text', 'value' => $token];
+        }
+
+        return ['nodes' => $nodes, 'end' => null];
+    }
+
+    /**
+     * Render parsed nodes.
+     *
+     * @param array    $nodes  Nodes from parse().
+     * @param callable $lookup Tag value lookup.
+     * @return string
+     */
+    private function render_nodes(array $nodes, callable $lookup): string
+    {
+        $output = '';
+
+        foreach ($nodes as $node) {
+            switch ($node['type']) {
+                case 'text':
+                    $output .= $node['value'];
+                    break;
+                case 'tag':
+                    $output .= $lookup($node['name']);
+                    break;
+                case 'if':
+                    $has_value = $lookup($node['tag']) !== '';
+                    $output .= $this->render_nodes($has_value !== $node['negate'] ? $node['then'] : $node['else'], $lookup);
+                    break;
+            }
+        }
+
+        return $output;
+    }
+
+    /**
+     * Collect the tag names used in parsed nodes.
+     *
+     * @param array $nodes Nodes from parse().
+     * @return array
+     */
+    private function collect_tags(array $nodes): array
+    {
+        $tags = [];
+
+        foreach ($nodes as $node) {
+            if ($node['type'] === 'tag') {
+                $tags[] = $node['name'];
+            } elseif ($node['type'] === 'if') {
+                $tags[] = $node['tag'];
+                $tags = array_merge($tags, $this->collect_tags($node['then']), $this->collect_tags($node['else']));
+            }
+        }
+
+        return $tags;
+    }
+}
@@ -8,10 +8,13 @@
 namespace Trotibike\EwheelImporter\Sync;
 
 use Trotibike\EwheelImporter\Translation\Translator;
+use Trotibike\EwheelImporter\Repository\TranslationRepository;
 use Trotibike\EwheelImporter\Pricing\PricingConverter;
 use Trotibike\EwheelImporter\Config\Configuration;
 use Trotibike\EwheelImporter\Config\AttributeConfiguration;
+use Trotibike\EwheelImporter\Config\AttributeMappings;
 use Trotibike\EwheelImporter\Log\PersistentLogger;
+use Trotibike\EwheelImporter\Service\ModelService;
 
 /**
  * Transforms ewheel.es products to WooCommerce format.
@@ -52,23 +55,66 @@ class ProductTransformer
      */
     private Configuration $config;
 
+    /**
+     * Model service, for model names in custom patterns.
+     *
+     * @var ModelService|null
+     */
+    private ?ModelService $model_service;
+
+    /**
+     * Custom pattern engine.
+     *
+     * @var PatternTemplate
+     */
+    private PatternTemplate $pattern_template;
+
+    /**
+     * Grouping overrides per reference base.
+     *
+     * @var VariationGroups|null
+     */
+    private ?VariationGroups $variation_groups;
+
+    /**
+     * Attribute mappings, applied to AttributeConfiguration and updated with
+     * the attributes seen in payloads.
+     *
+     * @var AttributeMappings|null
+     */
+    private ?AttributeMappings $attribute_mappings;
+
     /**
      * Constructor.
      *
-     * @param Translator       $translator        The translator instance.
-     * @param PricingConverter $pricing_converter The pricing converter instance.
-     * @param array            $category_map      Category mapping array.
+     * @param Translator        $translator        The translator instance.
+     * @param PricingConverter  $pricing_converter The pricing converter instance.
+     * @param array             $category_map      Category mapping array.
+     * @param ModelService|null $model_service     Model service for the {model} pattern tag.
+     * @param VariationGroups|null $variation_groups Grouping overrides per reference base.
+     * @param AttributeMappings|null $attribute_mappings Saved attribute mappings and usage counts.
      */
     public function __construct(
         Translator $translator,
         PricingConverter $pricing_converter,
         Configuration $config,
-        array $category_map = []
+        array $category_map = [],
+        ?ModelService $model_service = null,
+        ?VariationGroups $variation_groups = null,
+        ?AttributeMappings $attribute_mappings = null
     ) {
         $this->translator = $translator;
         $this->pricing_converter = $pricing_converter;
         $this->config = $config;
         $this->category_map = $category_map;
+        $this->model_service = $model_service;
+        $this->variation_groups = $variation_groups;
+        $this->attribute_mappings = $attribute_mappings;
+        $this->pattern_template = new PatternTemplate();
+
+        if ($attribute_mappings) {
+            AttributeConfiguration::set_mappings($attribute_mappings->get_mappings());
+        }
     }
 
     /**
@@ -77,10 +123,109 @@ class ProductTransformer
      * Returns an array of products. For variable mode with variants, returns one variable product.
      * For simple mode with variants, returns multiple simple products (one per variant).
      *
+     * The grouping override of the product's reference base is applied:
+     * split variants become simple products of their own, and a merged
+     * group is returned as a variable product tagged with '_merge_into'.
+     *
      * @param array $ewheel_product The ewheel.es product data.
      * @return array Array of WooCommerce product data arrays.
      */
     public function transform(array $ewheel_product): array
+    {
+        $override = $this->get_variation_override($ewheel_product);
+        $mode = $override['merge_into'] !== '' ? VariationGroups::MODE_VARIABLE : $override['mode'];
+
+        [$kept, $split] = $this->split_variants($ewheel_product, $override['split']);
+
+        $products = $kept !== null ? $this->transform_group($kept, $mode) : [];
+
+        foreach ($products as &$product) {
+            if (($product['type'] ?? '') !== 'variable') {
+                continue;
+            }
+
+            if ($override['merge_into'] !== '') {
+                $product['_merge_into'] = $override['merge_into'];
+            } elseif (!empty($override['merged_from'])) {
+                // Merged variations use attribute values this group's feed data does not list
+                $product['_keep_variation_options'] = true;
+            }
+        }
+        unset($product);
+
+        foreach ($split as $single) {
+            $products = array_merge($products, $this->transform_group($single, VariationGroups::MODE_SIMPLE));
+        }
+
+        return $products;
+    }
+
+    /**
+     * Get the grouping override of a product's reference base.
+     *
+     * @param array $ewheel_product The ewheel.es product data.
+     * @return array VariationGroups::get_override() plus merged_from (reference bases merged into this one).
+     */
+    private function get_variation_override(array $ewheel_product): array
+    {
+        $p = array_change_key_case($ewheel_product, CASE_LOWER);
+        $base = $this->extract_reference_base((string) ($p['reference'] ?? ''));
+
+        if ($this->variation_groups === null || $base === '') {
+            return ['mode' => '', 'split' => [], 'merge_into' => '', 'merged_from' => []];
+        }
+
+        return $this->variation_groups->get_override($base) + [
+            'merged_from' => $this->variation_groups->get_merged_from($base),
+        ];
+    }
+
+    /**
+     * Separate the variants split out of a group.
+     *
+     * @param array $ewheel_product The ewheel.es product data.
+     * @param array $split_skus     Variant SKUs to import as standalone products.
+     * @return array [product with the remaining variants (null when none remain), products with one split variant each].
+     */
+    private function split_variants(array $ewheel_product, array $split_skus): array
+    {
+        $p = array_change_key_case($ewheel_product, CASE_LOWER);
+        $variants = (array) ($p['variants'] ?? []);
+
+        if (empty($split_skus) || empty($variants)) {
+            return [$ewheel_product, []];
+        }
+
+        // Keys are read case-insensitively, so both spellings are replaced
+        $parent = $ewheel_product;
+        unset($parent['Variants'], $parent['variants']);
+
+        $kept = [];
+        $split = [];
+        foreach ($variants as $variant) {
+            $v = array_change_key_case((array) $variant, CASE_LOWER);
+            if (in_array((string) ($v['reference'] ?? ''), $split_skus, true)) {
+                $split[] = $parent + ['variants' => [$variant]];
+            } else {
+                $kept[] = $variant;
+            }
+        }
+
+        if (empty($split)) {
+            return [$ewheel_product, []];
+        }
+
+        return [empty($kept) ? null : $parent + ['variants' => $kept], $split];
+    }
+
+    /**
+     * Transform one group of variants.
+     *
+     * @param array  $ewheel_product The ewheel.es product data.
+     * @param string $forced_mode    VariationGroups::MODE_* to override the settings, '' to follow them.
+     * @return array Array of WooCommerce product data arrays.
+     */
+    private function transform_group(array $ewheel_product, string $forced_mode = ''): array
     {
         try {
             // Handle case sensitivity (API returns lowercase, code might expect PascalCase)
@@ -89,23 +234,17 @@ class ProductTransformer
             $ref = $p['reference'] ?? ($ewheel_product['Reference'] ?? 'unknown');
             PersistentLogger::info("ProductTransformer::transform - reference: {$ref}");
 
-            $variants = $p['variants'] ?? [];
-            $variant_count = count($variants);
-            $has_variants = $variant_count > 0;
+            $has_variants = !empty($p['variants']);
 
-            // For auto-detect mode: the ewheel API wraps ALL products in a
-            // parent + variant structure.  Products with only 1 variant are
-            // effectively simple products.  Only treat as truly "variable"
-            // when multiple variants exist.
-            $has_meaningful_variants = $variant_count > 1;
-            $use_variable_mode = $this->config->is_variable_product_mode($has_meaningful_variants);
+            $pricing = $this->resolve_variant_pricing($ewheel_product, $forced_mode);
+            $use_variable_mode = $pricing['variable'];
 
             $mode = $has_variants ? ($use_variable_mode ? 'variable' : 'simple-expanded') : 'simple';
             PersistentLogger::info("Transform mode: {$mode}");
 
             // If simple mode and has variants, expand to multiple simple products
             if ($has_variants && !$use_variable_mode) {
-                return $this->transform_to_simple_products($ewheel_product);
+                return $this->transform_to_simple_products($ewheel_product, $pricing['prices']);
             }
 
             // Standard transformation (single product)
@@ -167,7 +306,7 @@ class ProductTransformer
             PersistentLogger::info("name_val type: " . gettype($name_val) . ", value: " . (is_array($name_val) ? json_encode($name_val) : substr((string) $name_val, 0, 100)));
 
             if ($name_val !== null) {
-                $woo_product['name'] = $this->translate_field($name_val);
+                $woo_product['name'] = $this->translate_field($name_val, TranslationRepository::CONTEXT_TITLE);
                 PersistentLogger::info("Translated name: " . substr($woo_product['name'], 0, 100));
             }
 
@@ -176,7 +315,7 @@ class ProductTransformer
             // which is NOT customer-facing content. The NAME field has the actual product description.
             $name_for_desc = $this->get_mapped_value($p, 'name', 'name');
             if ($name_for_desc !== null) {
-                $woo_product['description'] = $this->translate_field($name_for_desc);
+                $woo_product['description'] = $this->translate_field($name_for_desc, TranslationRepository::CONTEXT_DESCRIPTION);
             }
 
             // Extract structured data from pipe-separated description
@@ -239,9 +378,11 @@ class ProductTransformer
                 }
             }
 
+            $price_context = $this->build_price_context($p, $pipe_data, $this->clean_sku($raw_ref));
+
             $price_val = $this->get_mapped_value($p, 'price', 'rrp');
             if ($price_val !== null) {
-                $woo_product['regular_price'] = $this->convert_price($price_val);
+                $woo_product['regular_price'] = $this->convert_price($price_val, $price_context);
             }
 
             $images_val = $this->get_mapped_value($p, 'images', 'images');
@@ -301,6 +442,16 @@ class ProductTransformer
                 }
             }
 
+            // Attributes mapped to product meta in the Attributes tab
+            foreach ($this->extract_mapped_meta(is_array($attrs_val) ? $attrs_val : []) as $meta_key => $meta_value) {
+                if (!$this->has_meta_key($woo_product, $meta_key)) {
+                    $woo_product['meta_data'][] = [
+                        'key' => $meta_key,
+                        'value' => $meta_value,
+                    ];
+                }
+            }
+
             // Merge pipe-extracted attributes (from description field) with API attributes
             $pipe_woo_attributes = $this->convert_pipe_attributes_to_woo($pipe_data);
             $woo_product['attributes'] = $this->merge_attributes($api_attributes, $pipe_woo_attributes);
@@ -308,7 +459,7 @@ class ProductTransformer
             // Add variations for variable products
             if ($has_variants) {
                 PersistentLogger::info("Processing " . count($p['variants']) . " variants");
-                $woo_product['variations'] = $this->transform_variations($p['variants']);
+                $woo_product['variations'] = $this->transform_variations($p['variants'], $pricing['prices']);
                 // For variable products, variation attributes take precedence
                 $variation_attrs = $this->get_variation_attributes($ewheel_product);
                 // Merge: variation attrs take precedence, pipe attrs fill gaps
@@ -376,28 +527,168 @@ class ProductTransformer
             return '';
         }
 
-        // supported tags: {name}, {reference}, {price}, {description}
-        // we can add more dynamically based on keys in $data
-        return preg_replace_callback('/\{([a-z0-9_]+)\}/i', function ($matches) use ($data) {
-            $key = strtolower($matches[1]);
-            $val = $data[$key] ?? '';
+        return $this->render_pattern($pattern, $data);
+    }
 
-            // If value is an array (like multilingual name), translate it first
-            if (is_array($val)) {
-                return $this->translate_field($val);
+    /**
+     * Render a custom pattern against a product.
+     *
+     * @param string $pattern        The pattern (see PatternTemplate).
+     * @param array  $ewheel_product The ewheel.es product data.
+     * @return string
+     */
+    public function render_pattern(string $pattern, array $ewheel_product): string
+    {
+        $p = array_change_key_case($ewheel_product, CASE_LOWER);
+        $pipe_data = null;
+
+        return $this->pattern_template->render($pattern, function (string $tag) use ($p, &$pipe_data) {
+            // Only parse the pipe data when a pattern needs it
+            $pipe_data = $pipe_data ?? $this->extract_pipe_attributes($p);
+
+            return $this->resolve_pattern_tag($tag, $p, $pipe_data);
+        });
+    }
+
+    /**
+     * Get the tags a product can fill in a custom pattern.
+     *
+     * @param array $ewheel_product The ewheel.es product data.
+     * @return array Tag names: the base tags plus the product's pipe attributes and fields.
+     */
+    public function get_pattern_tags(array $ewheel_product): array
+    {
+        $p = array_change_key_case($ewheel_product, CASE_LOWER);
+        $pipe_data = $this->extract_pipe_attributes($p);
+
+        $tags = array_merge(
+            PatternTemplate::BASE_TAGS,
+            array_keys($pipe_data['attributes']),
+            array_keys($pipe_data['meta'])
+        );
+
+        foreach ($p as $key => $value) {
+            if (is_scalar($value) || $this->is_multilingual($value)) {
+                $tags[] = $key;
             }
+        }
 
-            return (string) $val;
-        }, $pattern);
+        return array_values(array_unique(array_map('strtolower', $tags)));
+    }
+
+    /**
+     * Get the value of one custom pattern tag.
+     *
+     * @param string $tag       Tag name.
+     * @param array  $p         Lower-cased ewheel product data.
+     * @param array  $pipe_data Data from extract_pipe_attributes().
+     * @return string
+     */
+    private function resolve_pattern_tag(string $tag, array $p, array $pipe_data): string
+    {
+        switch ($tag) {
+            case 'brand':
+                return (string) ($pipe_data['brand'] ?? '');
+            case 'model':
+                return $this->get_pattern_model_names($p);
+            case 'category':
+                return $this->get_pattern_category($p, $pipe_data);
+            case 'ean':
+            case 'upc':
+                return (string) ($pipe_data['gtin'][$tag] ?? '');
+            case 'weight':
+            case 'height':
+            case 'width':
+            case 'length':
+                return (string) ($pipe_data['dimensions'][$tag] ?? '');
+        }
+
+        if (isset($p[$tag])) {
+            // Multilingual values (like the name) are translated first
+            return is_array($p[$tag]) ? $this->translate_field($p[$tag]) : (string) $p[$tag];
+        }
+
+        if (isset($pipe_data['attributes'][$tag])) {
+            $attr = $pipe_data['attributes'][$tag];
+            return $this->translate_text((string) (is_array($attr) ? ($attr['value'] ?? '') : $attr));
+        }
+
+        if (isset($pipe_data['meta'][$tag])) {
+            return (string) $pipe_data['meta'][$tag];
+        }
+
+        return isset($pipe_data[$tag]) && is_scalar($pipe_data[$tag]) ? (string) $pipe_data[$tag] : '';
+    }
+
+    /**
+     * Get the names of the scooter models a product fits, for patterns.
+     *
+     * @param array $p Lower-cased ewheel product data.
+     * @return string Comma-separated names; IDs without a name are left out.
+     */
+    private function get_pattern_model_names(array $p): string
+    {
+        $attributes = $p['attributes'] ?? [];
+        $model_ids = $this->extract_model_ids(is_array($attributes) ? $attributes : []);
+        if (empty($model_ids) || !$this->model_service) {
+            return '';
+        }
+
+        $names = $this->model_service->get_model_names();
+        $found = [];
+        foreach ($model_ids as $model_id) {
+            if (!empty($names[(string) $model_id])) {
+                $found[] = $names[(string) $model_id];
+            }
+        }
+
+        return implode(', ', array_unique($found));
+    }
+
+    /**
+     * Get the category name for patterns.
+     *
+     * @param array $p         Lower-cased ewheel product data.
+     * @param array $pipe_data Data from extract_pipe_attributes().
+     * @return string Mapped WooCommerce category, else subfamily or family.
+     */
+    private function get_pattern_category(array $p, array $pipe_data): string
+    {
+        foreach ($this->transform_categories((array) ($p['categories'] ?? [])) as $category) {
+            $term = get_term((int) $category['id'], 'product_cat');
+            if ($term && !is_wp_error($term)) {
+                return $term->name;
+            }
+        }
+
+        return (string) ($pipe_data['subfamily'] ?? ($pipe_data['family'] ?? ''));
+    }
+
+    /**
+     * Check whether a value is a multilingual text.
+     *
+     * @param mixed $value Value.
+     * @return bool
+     */
+    private function is_multilingual($value): bool
+    {
+        if (!is_array($value) || empty($value)) {
+            return false;
+        }
+
+        $keys = array_map('strtolower', array_keys($value));
+
+        return in_array('translations', $keys, true) || in_array('es', $keys, true) || in_array('en', $keys, true);
     }
 
     /**
      * Transform a product with variants into multiple simple products.
      *
      * @param array $ewheel_product The ewheel.es product data.
+     * @param array $prices         Variant prices from resolve_variant_pricing().
      * @return array Array of simple WooCommerce product data arrays.
      */
-    private function transform_to_simple_products(array $ewheel_product): array
+    private function transform_to_simple_products(array $ewheel_product, array $prices): array
     {
         $p = array_change_key_case($ewheel_product, CASE_LOWER);
         $variants = $p['variants'] ?? [];
@@ -405,13 +696,13 @@ class ProductTransformer
 
         // Parent reference for linking related products
         $parent_reference = $p['reference'] ?? ($ewheel_product['Reference'] ?? '');
-        $parent_name = $this->translate_field($p['name'] ?? ($ewheel_product['Name'] ?? []));
+        $parent_name = $this->translate_field($p['name'] ?? ($ewheel_product['Name'] ?? []), TranslationRepository::CONTEXT_TITLE);
 
         $products = [];
 
         $is_single_variant = count($variants) <= 1;
 
-        foreach ($variants as $variant) {
+        foreach ($variants as $key => $variant) {
             $v = array_change_key_case($variant, CASE_LOWER);
 
             // Build variant-specific name (e.g., "Scooter X500 - Red")
@@ -450,7 +741,7 @@ class ProductTransformer
                 // Let's append suffix regardless to ensure uniqueness?
                 // Or maybe the user wants exact mapping.
                 // Assuming standard behavior: base value + suffix.
-                $base_name = $this->translate_field($name_val);
+                $base_name = $this->translate_field($name_val, TranslationRepository::CONTEXT_TITLE);
                 $woo_product['name'] = $base_name . $variant_suffix;
             }
 
@@ -458,7 +749,7 @@ class ProductTransformer
             // (same logic as main transform() - API description is pipe-separated inventory data)
             $name_for_desc = $this->get_mapped_value($p, 'name', 'name');
             if ($name_for_desc !== null) {
-                $woo_product['description'] = $this->translate_field($name_for_desc);
+                $woo_product['description'] = $this->translate_field($name_for_desc, TranslationRepository::CONTEXT_DESCRIPTION);
             }
 
             // Extract structured data from pipe-separated description
@@ -541,15 +832,10 @@ class ProductTransformer
                 ];
             }
 
-            $net_price = $this->get_mapped_value($v, 'price', 'net');
-            if ($net_price !== null) {
-                $woo_product['regular_price'] = $this->convert_price($net_price);
-
-                // Check for sale price (comparePrice)
-                $compare_price = $v['compareprice'] ?? ($variant['ComparePrice'] ?? ($v['comparePrice'] ?? null));
-                if ($compare_price !== null && (float) $compare_price > 0 && (float) $compare_price > (float) $net_price) {
-                    $woo_product['regular_price'] = $this->convert_price($compare_price);
-                    $woo_product['sale_price'] = $this->convert_price($net_price);
+            if (isset($prices[$key])) {
+                $woo_product['regular_price'] = $prices[$key]['regular_price'];
+                if ($prices[$key]['sale_price'] !== '') {
+                    $woo_product['sale_price'] = $prices[$key]['sale_price'];
                 }
             }
 
@@ -642,6 +928,20 @@ class ProductTransformer
                 }
             }
 
+            // Attributes mapped to product meta in the Attributes tab (variant values win)
+            $mapped_meta = $this->extract_mapped_meta(array_merge(
+                is_array($attrs_val) ? $attrs_val : [],
+                is_array($variant_raw_attrs) ? $variant_raw_attrs : []
+            ));
+            foreach ($mapped_meta as $meta_key => $meta_value) {
+                if (!$this->has_meta_key($woo_product, $meta_key)) {
+                    $woo_product['meta_data'][] = [
+                        'key' => $meta_key,
+                        'value' => $meta_value,
+                    ];
+                }
+            }
+
             // Combine: parent attrs + variant attrs + pipe-extracted attrs (deduplicated)
             $variant_attrs_woo = $this->transform_variant_attributes($v);
             $pipe_woo_attributes = $this->convert_pipe_attributes_to_woo($pipe_data);
@@ -730,16 +1030,25 @@ class ProductTransformer
             if (AttributeConfiguration::is_meta($normalized_key)) {
                 continue;
             }
+            if (AttributeConfiguration::is_ignored($normalized_key)) {
+                continue;
+            }
 
             $final_val = $this->clean_attribute_value($value);
 
             if ($final_val !== null) {
-                $woo_attributes[] = [
+                $woo_attribute = [
                     'name' => $this->translate_attribute_name((string) $name),
-                    'options' => [$this->translate_attribute_value($final_val)],
+                    'options' => [$this->convert_attribute_value($normalized_key, $final_val)],
                     'visible' => AttributeConfiguration::get_visibility($normalized_key),
                     'variation' => false,
                 ];
+
+                if (AttributeConfiguration::is_taxonomy($normalized_key)) {
+                    $woo_attribute['taxonomy'] = $normalized_key;
+                }
+
+                $woo_attributes[] = $woo_attribute;
             }
         }
 
@@ -763,15 +1072,136 @@ class ProductTransformer
         return $result;
     }
 
+    /**
+     * Get the prices transform() would set, without translating anything.
+     *
+     * Used by the stock and price sync, which must stay fast.
+     *
+     * @param array $ewheel_product The ewheel.es product data.
+     * @return array [sku => ['regular_price' => string, 'sale_price' => string]]; an empty sale price clears the sale.
+     */
+    public function transform_prices(array $ewheel_product): array
+    {
+        $p = array_change_key_case($ewheel_product, CASE_LOWER);
+        $prices = [];
+
+        if (empty($p['variants'])) {
+            $sku = $this->clean_sku((string) ($p['reference'] ?? ''));
+            $price_val = $this->get_mapped_value($p, 'price', 'rrp');
+
+            if ($sku !== '' && $price_val !== null) {
+                $pipe_data = $this->extract_pipe_attributes($ewheel_product);
+                $prices[$sku] = [
+                    'regular_price' => $this->convert_price($price_val, $this->build_price_context($p, $pipe_data, $sku)),
+                    'sale_price' => '',
+                ];
+            }
+
+            return $prices;
+        }
+
+        // Same groups as transform(): split variants are always simple products
+        $override = $this->get_variation_override($ewheel_product);
+        [$kept, $split] = $this->split_variants($ewheel_product, $override['split']);
+
+        $groups = [];
+        if ($kept !== null) {
+            $groups[] = [$kept, $override['merge_into'] !== '' ? VariationGroups::MODE_VARIABLE : $override['mode']];
+        }
+        foreach ($split as $single) {
+            $groups[] = [$single, VariationGroups::MODE_SIMPLE];
+        }
+
+        foreach ($groups as [$group, $mode]) {
+            $group_prices = $this->resolve_variant_pricing($group, $mode)['prices'];
+            $group_variants = (array) (array_change_key_case($group, CASE_LOWER)['variants'] ?? []);
+
+            foreach ($group_variants as $key => $variant) {
+                $sku = (string) (array_change_key_case((array) $variant, CASE_LOWER)['reference'] ?? '');
+                if ($sku !== '' && $group_prices[$key] !== null) {
+                    $prices[$sku] = $group_prices[$key];
+                }
+            }
+        }
+
+        return $prices;
+    }
+
+    /**
+     * Resolve how a group of variants is imported and what each variant costs.
+     *
+     * transform() and transform_prices() both go through here, so the stock
+     * and price sync sets the prices a full sync would.
+     *
+     * @param array  $ewheel_product The ewheel.es product data (one group).
+     * @param string $forced_mode    VariationGroups::MODE_* to override the settings, '' to follow them.
+     * @return array {
+     *     @type bool  $variable Whether the variants become variations of one variable product.
+     *     @type array $prices   Per variant, under the variant's key: ['regular_price' => string,
+     *                           'sale_price' => string ('' when not on sale)], or null when the
+     *                           mapped price field is disabled.
+     * }
+     */
+    private function resolve_variant_pricing(array $ewheel_product, string $forced_mode = ''): array
+    {
+        $p = array_change_key_case($ewheel_product, CASE_LOWER);
+        $variants = (array) ($p['variants'] ?? []);
+
+        // For auto-detect mode: the ewheel API wraps ALL products in a
+        // parent + variant structure.  Products with only 1 variant are
+        // effectively simple products.  Only treat as truly "variable"
+        // when multiple variants exist.
+        $variable = $forced_mode !== ''
+            ? $forced_mode === VariationGroups::MODE_VARIABLE
+            : $this->config->is_variable_product_mode(count($variants) > 1);
+
+        $pipe_data = $this->extract_pipe_attributes($ewheel_product);
+        $prices = [];
+
+        foreach ($variants as $key => $variant) {
+            $v = array_change_key_case((array) $variant, CASE_LOWER);
+
+            // Variations read net directly, simple products go through the field mapping
+            $net_price = $variable ? ($v['net'] ?? 0) : $this->get_mapped_value($v, 'price', 'net');
+            if ($net_price === null) {
+                $prices[$key] = null;
+                continue;
+            }
+
+            // Both prices use the tier of the net price so a sale never ends up above the regular price
+            $context = array_merge(
+                $this->build_price_context($p, $pipe_data, (string) ($v['reference'] ?? '')),
+                ['price' => (float) $net_price]
+            );
+
+            // A comparePrice above net means the product is on sale
+            $compare_price = $v['compareprice'] ?? null;
+            if ($compare_price !== null && (float) $compare_price > 0 && (float) $compare_price > (float) $net_price) {
+                $prices[$key] = [
+                    'regular_price' => $this->convert_price($compare_price, $context),
+                    'sale_price' => $this->convert_price($net_price, $context),
+                ];
+            } else {
+                $prices[$key] = [
+                    'regular_price' => $this->convert_price($net_price, $context),
+                    'sale_price' => '',
+                ];
+            }
+        }
+
+        return ['variable' => $variable, 'prices' => $prices];
+    }
+
     /**
      * Translate a multilingual field.
      *
-     * @param array|string $field The field value (array with language keys or string).
+     * @param array|string $field   The field value (array with language keys or string).
+     * @param string       $context What the field is (TranslationRepository::CONTEXT_*).
      * @return string The translated text.
      */
-    private function translate_field($field): string
+    private function translate_field($field, string $context = ''): string
     {
-        return $this->translate_text($field);
+        return $this->translate_text($field, $context);
     }
 
     /**
@@ -781,15 +1211,16 @@ class ProductTransformer
      * - Simple: {"es": "texto", "en": "text"}
      * - Complex: {"defaultLanguageCode": "es", "translations": [{"reference": "es", "value": "texto"}]}
      *
-     * @param array|string $text The text to translate.
+     * @param array|string $text    The text to translate.
+     * @param string       $context What the text is (TranslationRepository::CONTEXT_*), empty when unknown.
      * @return string The translated text in target language.
      */
-    public function translate_text($text): string
+    public function translate_text($text, string $context = ''): string
     {
         if (is_string($text)) {
             // String inputs should be translated from Spanish
             if (!empty($text)) {
-                return $this->translator->translate($text, 'es');
+                return $this->translator->translate($text, 'es', $context);
             }
             return $text;
         }
@@ -804,11 +1235,11 @@ class ProductTransformer
 
                 // If it has 'translations' key, pass as-is (complex format)
                 if (isset($normalized['translations'])) {
-                    return $this->translator->translate_multilingual($text);
+                    return $this->translator->translate_multilingual($text, $context);
                 }
 
                 // Simple format - use normalized keys
-                return $this->translator->translate_multilingual($normalized);
+                return $this->translator->translate_multilingual($normalized, $context);
             } catch (\Throwable $e) {
                 PersistentLogger::error("translate_text exception: " . $e->getMessage());
                 // Fallback: try to extract any string value
@@ -827,20 +1258,52 @@ class ProductTransformer
     /**
      * Convert price using the pricing converter.
      *
-     * @param float|int $price The price in source currency.
+     * @param float|int $price   The price in source currency.
+     * @param array     $context Pricing rule context (see build_price_context()).
      * @return string The converted price as string.
      */
-    private function convert_price($price): string
+    private function convert_price($price, array $context = []): string
     {
         $price = (float) $price;
         if ($price <= 0) {
             return '0';
         }
 
-        $converted = $this->pricing_converter->convert($price);
+        $converted = $this->pricing_converter->convert($price, $context);
         return $this->pricing_converter->format_price($converted);
     }
 
+    /**
+     * Build the context pricing rules are matched against.
+     *
+     * @param array  $p         Lower-cased ewheel product data.
+     * @param array  $pipe_data Data from extract_pipe_attributes().
+     * @param string $sku       Product SKU.
+     * @return array Context with sku, brand and categories (ewheel references, family, subfamily).
+     */
+    private function build_price_context(array $p, array $pipe_data, string $sku): array
+    {
+        $categories = [];
+        foreach ((array) ($p['categories'] ?? []) as $item) {
+            $ref = is_array($item) ? ($item['reference'] ?? ($item['Reference'] ?? '')) : $item;
+            if ($ref !== '' && $ref !== null) {
+                $categories[] = (string) $ref;
+            }
+        }
+
+        foreach (['family', 'subfamily'] as $key) {
+            if (!empty($pipe_data[$key])) {
+                $categories[] = (string) $pipe_data[$key];
+            }
+        }
+
+        return [
+            'sku' => $sku,
+            'brand' => (string) ($pipe_data['brand'] ?? ''),
+            'categories' => $categories,
+        ];
+    }
+
     /**
      * Transform images to WooCommerce format.
      *
@@ -1083,6 +1546,11 @@ class ProductTransformer
                 continue;
             }
 
+            // Skip attributes mapped to be ignored
+            if (AttributeConfiguration::is_ignored($normalized_key)) {
+                continue;
+            }
+
             // Clean the attribute value
             $final_val = $this->clean_attribute_value($attr_val);
 
@@ -1104,18 +1572,25 @@ class ProductTransformer
             // Translate attribute name
             $translated_name = $this->translate_attribute_name((string) $attr_name);
 
-            // Translate value
-            $translated_val = $this->translate_attribute_value($final_val);
+            // Normalize or translate value
+            $translated_val = $this->convert_attribute_value($normalized_key, $final_val);
 
             // Determine visibility from configuration
             $is_visible = AttributeConfiguration::get_visibility($normalized_key);
 
-            $woo_attributes[] = [
+            $woo_attribute = [
                 'name' => $translated_name,
                 'options' => [$translated_val],
                 'visible' => $is_visible,
                 'variation' => false,
             ];
+
+            // Global attribute: AttributeService creates the pa_* taxonomy and its terms
+            if (AttributeConfiguration::is_taxonomy($normalized_key)) {
+                $woo_attribute['taxonomy'] = $normalized_key;
+            }
+
+            $woo_attributes[] = $woo_attribute;
         }
 
         return $woo_attributes;
@@ -1166,6 +1641,9 @@ class ProductTransformer
                 if (AttributeConfiguration::is_meta($normalized_key)) {
                     continue;
                 }
+                if (AttributeConfiguration::is_ignored($normalized_key)) {
+                    continue;
+                }
 
                 $final_val = $this->clean_attribute_value($value);
 
@@ -1185,9 +1663,11 @@ class ProductTransformer
         foreach ($attribute_values as $name => $values) {
             $normalized_key = AttributeConfiguration::normalize_key($name);
 
-            // Translate each value
-            $translated_values = array_map(function ($val) {
-                return $this->translate_attribute_value($val);
+            // Normalize or translate each value
+            // Variation attributes stay custom even when mapped to a taxonomy:
+            // variations reference them by option text
+            $translated_values = array_map(function ($val) use ($normalized_key) {
+                return $this->convert_attribute_value($normalized_key, $val);
             }, $values);
 
             $woo_attributes[] = [
@@ -1205,30 +1685,26 @@ class ProductTransformer
      * Transform variations to WooCommerce format.
      *
      * @param array $variants Array of ewheel.es variants.
+     * @param array $prices   Variant prices from resolve_variant_pricing().
      * @return array WooCommerce variations array.
      */
-    private function transform_variations(array $variants): array
+    private function transform_variations(array $variants, array $prices): array
     {
         $woo_variations = [];
 
-        foreach ($variants as $variant) {
+        foreach ($variants as $key => $variant) {
             $v = array_change_key_case($variant, CASE_LOWER);
 
-            $net_price = $v['net'] ?? ($variant['Net'] ?? 0);
-            $compare_price = $v['compareprice'] ?? ($variant['ComparePrice'] ?? ($v['comparePrice'] ?? null));
-
             $variation = [
                 'sku' => $v['reference'] ?? ($variant['Reference'] ?? ''),
-                'regular_price' => $this->convert_price($net_price),
+                'regular_price' => $prices[$key]['regular_price'] ?? '0',
                 'attributes' => [],
                 'manage_stock' => true, // Default to managed
                 'stock_quantity' => isset($v['stock']) ? (int) $v['stock'] : 100, // Default to 100 if missing, matching user script logic
             ];
 
-            // If comparePrice exists and is greater than net, product is on sale
-            if ($compare_price !== null && (float) $compare_price > 0 && (float) $compare_price > (float) $net_price) {
-                $variation['regular_price'] = $this->convert_price($compare_price);
-                $variation['sale_price'] = $this->convert_price($net_price);
+            if (($prices[$key]['sale_price'] ?? '') !== '') {
+                $variation['sale_price'] = $prices[$key]['sale_price'];
             }
 
             // Image
@@ -1276,11 +1752,14 @@ class ProductTransformer
                 if (AttributeConfiguration::is_meta($normalized_key)) {
                     continue;
                 }
+                if (AttributeConfiguration::is_ignored($normalized_key)) {
+                    continue;
+                }
 
                 if (!empty($name) && !empty($value)) {
                     $variation['attributes'][] = [
                         'name' => $this->translate_attribute_name((string) $name),
-                        'option' => $this->translate_attribute_value((string) $value),
+                        'option' => $this->convert_attribute_value($normalized_key, (string) $value),
                     ];
                 }
             }
@@ -1339,12 +1818,10 @@ class ProductTransformer
      */
     private function translate_attribute_name(string $name, string $source_lang = 'es'): string
     {
-        // Check for a hardcoded Romanian label first (more reliable for short words)
-        $normalized = AttributeConfiguration::normalize_key($name);
-        $label = AttributeConfiguration::get_label($normalized);
+        // Check for a saved or hardcoded Romanian label first (more reliable for short words)
         // get_label returns ucfirst(slug) as fallback — only use it if it's a real label
-        if (isset(AttributeConfiguration::ATTRIBUTE_LABELS[$normalized])) {
-            return $label;
+        if (AttributeConfiguration::has_label($name)) {
+            return AttributeConfiguration::get_label($name);
         }
 
         // Fall back to API translation
@@ -1390,6 +1867,19 @@ class ProductTransformer
         return !empty($translated) ? $translated : $trimmed;
     }
 
+    /**
+     * Convert an attribute value with the attribute's value map, or translate it.
+     *
+     * @param string $normalized_key Normalized attribute key.
+     * @param string $value          The cleaned attribute value.
+     * @return string The normalized or translated value.
+     */
+    private function convert_attribute_value(string $normalized_key, string $value): string
+    {
+        return AttributeConfiguration::map_value($normalized_key, $value)
+            ?? $this->translate_attribute_value($value);
+    }
+
     /**
      * Get short description from product.
      *
@@ -1404,11 +1894,11 @@ class ProductTransformer
 
         // If there's a specific short description field, use it
         if ($short) {
-            return $this->translate_field($short);
+            return $this->translate_field($short, TranslationRepository::CONTEXT_DESCRIPTION);
         }
 
         // Otherwise, truncate the main description
-        $description = $this->translate_field($p['description'] ?? ($ewheel_product['Description'] ?? []));
+        $description = $this->translate_field($p['description'] ?? ($ewheel_product['Description'] ?? []), TranslationRepository::CONTEXT_DESCRIPTION);
         if (strlen($description) > 200) {
             return substr($description, 0, 197) . '...';
         }
@@ -1634,6 +2124,36 @@ class ProductTransformer
         return $result;
     }
 
+    /**
+     * Extract the attributes mapped to product meta in the Attributes tab.
+     *
+     * Built-in meta attributes are left to their dedicated extraction
+     * (pipe data, barcodes, taxonomy fields).
+     *
+     * @param array $attributes Raw API attributes array.
+     * @return array Meta key => value.
+     */
+    private function extract_mapped_meta(array $attributes): array
+    {
+        $meta = [];
+
+        foreach ($attributes as $key => $value) {
+            $attr = $this->normalize_attribute($key, $value);
+            $normalized = AttributeConfiguration::normalize_key((string) $attr['name']);
+
+            if ($normalized === '' || (AttributeConfiguration::get_mapping($normalized)['kind'] ?? '') !== AttributeConfiguration::KIND_META) {
+                continue;
+            }
+
+            $cleaned = $this->clean_attribute_value($attr['value']);
+            if ($cleaned !== null) {
+                $meta[AttributeConfiguration::get_meta_key($normalized)] = $cleaned;
+            }
+        }
+
+        return $meta;
+    }
+
     /**
      * Check if a product data array already has a specific meta key.
      *
@@ -1864,7 +2384,7 @@ class ProductTransformer
         }
 
         // Position 16: Color (visible attribute)
-        if (!empty($parts[16]) && $parts[16] !== '/' && $parts[16] !== '0') {
+        if (!empty($parts[16]) && $parts[16] !== '/' && $parts[16] !== '0' && !AttributeConfiguration::is_ignored('color')) {
             $result['attributes']['color'] = [
                 'value' => $parts[16],
                 'visible' => AttributeConfiguration::get_visibility('color'),
@@ -1939,7 +2459,7 @@ class ProductTransformer
 
             // Translate name and value
             $translated_name = $this->translate_attribute_name($key);
-            $translated_value = $this->translate_attribute_value((string) $value);
+            $translated_value = $this->convert_attribute_value(AttributeConfiguration::normalize_key((string) $key), (string) $value);
 
             $woo_attributes[] = [
                 'name' => $translated_name,
@@ -2055,6 +2575,60 @@ class ProductTransformer
         return $html;
     }
 
+    /**
+     * Count the attributes of a batch of raw products for the Attributes tab.
+     *
+     * An attribute counts once per product, whether it is set on the product
+     * or on its variants.
+     *
+     * @param array $ewheel_products Array of raw ewheel products.
+     * @return void
+     */
+    public function record_attribute_usage(array $ewheel_products): void
+    {
+        if (!$this->attribute_mappings || empty($ewheel_products)) {
+            return;
+        }
+
+        $slugs = [];
+
+        foreach ($ewheel_products as $ewheel_product) {
+            $p = array_change_key_case($ewheel_product, CASE_LOWER);
+
+            $attribute_sets = [(array) ($p['attributes'] ?? [])];
+            foreach ((array) ($p['variants'] ?? []) as $variant) {
+                $v = array_change_key_case((array) $variant, CASE_LOWER);
+                $attribute_sets[] = (array) ($v['attributes'] ?? []);
+            }
+
+            $seen = [];
+            foreach ($attribute_sets as $attributes) {
+                foreach ($attributes as $key => $val) {
+                    $attr = $this->normalize_attribute($key, $val);
+                    $slug = AttributeConfiguration::normalize_key((string) $attr['name']);
+                    if ($slug === '') {
+                        continue;
+                    }
+
+                    $seen[$slug] = true;
+
+                    $samples = $slugs[$slug]['samples'] ?? [];
+                    $value = $this->clean_attribute_value($attr['value']);
+                    if ($value !== null && count($samples) < AttributeMappings::MAX_SAMPLES) {
+                        $sample = function_exists('mb_substr') ? mb_substr($value, 0, 100) : substr($value, 0, 100);
+                        $slugs[$slug]['samples'] = array_values(array_unique(array_merge($samples, [$sample])));
+                    }
+                }
+            }
+
+            foreach (array_keys($seen) as $slug) {
+                $slugs[$slug]['count'] = ($slugs[$slug]['count'] ?? 0) + 1;
+            }
+        }
+
+        $this->attribute_mappings->record_usage($slugs, count($ewheel_products));
+    }
+
     /**
      * Prefetch translations for a batch of products.
      *
@@ -2066,17 +2640,18 @@ class ProductTransformer
      */
     public function prefetch_translations(array $ewheel_products): void
     {
+        $titles_to_translate = [];
         $texts_to_translate = [];
 
         foreach ($ewheel_products as $product) {
             $p = array_change_key_case($product, CASE_LOWER);
 
-            // 1. Name
+            // 1. Name (kept apart so the cache knows these are product titles)
             $name_val = $this->get_mapped_value($p, 'name', 'name');
             if ($name_val) {
                 $text = $this->extract_es_text($name_val);
                 if ($text)
-                    $texts_to_translate[$text] = true;
+                    $titles_to_translate[$text] = true;
             }
 
             // 2. Attributes (names and values)
@@ -2107,22 +2682,32 @@ class ProductTransformer
             }
         }
 
-        if (!empty($texts_to_translate)) {
-            $unique_texts = array_keys($texts_to_translate);
-            $count = count($unique_texts);
+        // Titles double as attribute values now and then; they stay titles
+        $texts_to_translate = array_diff_key($texts_to_translate, $titles_to_translate);
 
-            PersistentLogger::info("[Performance] Prefetching translations for $count strings...");
+        $count = count($titles_to_translate) + count($texts_to_translate);
+        if ($count === 0) {
+            return;
+        }
 
-            // Process in chunks of 25 to stay within token limits and reduce failure blast radius
-            $chunks = array_chunk($unique_texts, 25);
-            $chunk_count = count($chunks);
-            foreach ($chunks as $index => $chunk) {
-                $this->translator->translate_batch($chunk, 'es');
+        PersistentLogger::info("[Performance] Prefetching translations for $count strings...");
 
-                // Add 1 second delay between chunks to prevent API rate limiting
-                if ($index < $chunk_count - 1) {
-                    sleep(1);
-                }
+        // Process in chunks of 25 to stay within token limits and reduce failure blast radius
+        $chunks = [];
+        foreach (array_chunk(array_keys($titles_to_translate), 25) as $chunk) {
+            $chunks[] = [$chunk, TranslationRepository::CONTEXT_TITLE];
+        }
+        foreach (array_chunk(array_keys($texts_to_translate), 25) as $chunk) {
+            $chunks[] = [$chunk, ''];
+        }
+
+        $chunk_count = count($chunks);
+        foreach ($chunks as $index => [$chunk, $context]) {
+            $this->translator->translate_batch($chunk, 'es', $context);
+
+            // Add 1 second delay between chunks to prevent API rate limiting
+            if ($index < $chunk_count - 1) {
+                sleep(1);
             }
         }
     }
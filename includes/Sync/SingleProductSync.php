@@ -0,0 +1,308 @@
+<?php
+/**
+ * Single Product Sync.
+ *
+ * @package Trotibike\EwheelImporter
+ */
+
+namespace Trotibike\EwheelImporter\Sync;
+
+use Trotibike\EwheelImporter\Api\EwheelApiClient;
+use Trotibike\EwheelImporter\Repository\CategoryRepository;
+use Trotibike\EwheelImporter\Log\PersistentLogger;
+
+/**
+ * Inspects and re-imports one product, looked up by SKU or ewheel reference.
+ *
+ * A sync is recorded as a run of its own (type "single"), so it shows up
+ * in Sync History with its per-product details and can be rolled back.
+ */
+class SingleProductSync
+{
+    /**
+     * API client.
+     *
+     * @var EwheelApiClient
+     */
+    private EwheelApiClient $api_client;
+
+    /**
+     * Product transformer.
+     *
+     * @var ProductTransformer
+     */
+    private ProductTransformer $transformer;
+
+    /**
+     * WooCommerce sync.
+     *
+     * @var WooCommerceSync
+     */
+    private WooCommerceSync $woo_sync;
+
+    /**
+     * Category repository.
+     *
+     * @var CategoryRepository
+     */
+    private CategoryRepository $category_repository;
+
+    /**
+     * Constructor.
+     *
+     * @param EwheelApiClient    $api_client          API client.
+     * @param ProductTransformer $transformer         Product transformer.
+     * @param WooCommerceSync    $woo_sync            WooCommerce sync.
+     * @param CategoryRepository $category_repository Category repository.
+     */
+    public function __construct(
+        EwheelApiClient $api_client,
+        ProductTransformer $transformer,
+        WooCommerceSync $woo_sync,
+        CategoryRepository $category_repository
+    ) {
+        $this->api_client = $api_client;
+        $this->transformer = $transformer;
+        $this->woo_sync = $woo_sync;
+        $this->category_repository = $category_repository;
+    }
+
+    /**
+     * Show what a sync of one product would work with.
+     *
+     * @param string $identifier WooCommerce SKU or ewheel reference.
+     * @return array {
+     *     @type string $reference   Ewheel reference found.
+     *     @type array  $raw         Raw API payload.
+     *     @type array  $transformed ProductTransformer::transform() output.
+     *     @type array  $matches     Matched WooCommerce product per transformed product.
+     * }
+     * @throws \RuntimeException If no ewheel product matches.
+     */
+    public function inspect(string $identifier): array
+    {
+        $raw = $this->find_raw_product($identifier);
+
+        $this->transformer->set_category_map($this->category_repository->get_combined_mapping());
+        $transformed = $this->transformer->transform($raw);
+
+        $cache = new ProductLookupCache();
+        $cache->warm();
+
+        $matches = [];
+        foreach ($transformed as $product_data) {
+            $matches[] = $this->match_product($product_data, $cache);
+        }
+
+        return [
+            'reference' => $this->get_raw_reference($raw),
+            'raw' => $raw,
+            'transformed' => $transformed,
+            'matches' => $matches,
+        ];
+    }
+
+    /**
+     * Sync one product now.
+     *
+     * @param string $identifier WooCommerce SKU or ewheel reference.
+     * @return array {
+     *     @type string $sync_id   Run ID.
+     *     @type string $reference Ewheel reference found.
+     *     @type array  $results   Created/updated/errors counts.
+     *     @type array  $matches   WooCommerce products after the sync.
+     *     @type array  $logs      Log lines of the run, oldest first.
+     * }
+     * @throws \RuntimeException If no ewheel product matches.
+     */
+    public function sync(string $identifier): array
+    {
+        $raw = $this->find_raw_product($identifier);
+        $reference = $this->get_raw_reference($raw);
+
+        $sync_id = uniqid('single_');
+        SyncHistoryManager::create($sync_id, SyncHistoryManager::TYPE_SINGLE);
+        PersistentLogger::info(sprintf('Single product sync started for %s', $reference), $reference, $sync_id);
+
+        $cache = new ProductLookupCache();
+        $cache->warm();
+        $this->woo_sync->set_lookup_cache($cache);
+        $this->woo_sync->set_run_context($sync_id);
+
+        try {
+            $results = $this->woo_sync->process_ewheel_products_batch([$raw]);
+        } catch (\Throwable $e) {
+            PersistentLogger::error(
+                'Single product sync failed: ' . $e->getMessage(),
+                $reference,
+                $sync_id,
+                null,
+                PersistentLogger::exception_context($e)
+            );
+            SyncHistoryManager::fail($sync_id, $e->getMessage());
+            throw new \RuntimeException($e->getMessage(), 0, $e);
+        } finally {
+            $this->woo_sync->set_run_context(null);
+        }
+
+        SyncHistoryManager::update($sync_id, [
+            'products_processed' => $results['created'] + $results['updated'] + $results['errors'],
+            'products_created' => $results['created'],
+            'products_updated' => $results['updated'],
+            'products_failed' => $results['errors'],
+        ]);
+        SyncHistoryManager::complete($sync_id);
+
+        $matches = [];
+        foreach ($this->transformer->transform($raw) as $product_data) {
+            $matches[] = $this->match_product($product_data, $cache);
+        }
+
+        return [
+            'sync_id' => $sync_id,
+            'reference' => $reference,
+            'results' => $results,
+            'matches' => $matches,
+            'logs' => PersistentLogger::get_logs([
+                'batch_id' => $sync_id,
+                'order' => 'ASC',
+                'limit' => 200,
+            ]),
+        ];
+    }
+
+    /**
+     * Fetch the raw API product for a SKU or reference.
+     *
+     * A WooCommerce SKU is first resolved to the ewheel reference stored on
+     * the product, since variants are imported under their own SKUs.
+     *
+     * @param string $identifier WooCommerce SKU or ewheel reference.
+     * @return array Raw product.
+     * @throws \RuntimeException If no ewheel product matches.
+     */
+    public function find_raw_product(string $identifier): array
+    {
+        $identifier = trim($identifier);
+        if ($identifier === '') {
+            throw new \RuntimeException(__('Enter a SKU or ewheel reference.', 'ewheel-importer'));
+        }
+
+        foreach ($this->get_candidate_references($identifier) as $reference) {
+            foreach ($this->api_client->get_products(0, 5, ['productReference' => $reference], true) as $raw) {
+                if (is_array($raw) && $this->raw_matches($raw, $reference)) {
+                    return $raw;
+                }
+            }
+        }
+
+        /* translators: %s: SKU or reference */
+        throw new \RuntimeException(sprintf(__('No ewheel product found for "%s".', 'ewheel-importer'), $identifier));
+    }
+
+    /**
+     * Get the ewheel references to try for an identifier.
+     *
+     * @param string $identifier WooCommerce SKU or ewheel reference.
+     * @return array References, most specific first.
+     */
+    private function get_candidate_references(string $identifier): array
+    {
+        $references = [$identifier];
+
+        $product_id = wc_get_product_id_by_sku($identifier);
+        $product = $product_id ? wc_get_product($product_id) : null;
+
+        if ($product) {
+            $sources = [$product];
+            if ($product->get_parent_id()) {
+                $parent = wc_get_product($product->get_parent_id());
+                if ($parent) {
+                    $sources[] = $parent;
+                }
+            }
+
+            foreach ($sources as $source) {
+                foreach (['_ewheel_reference', '_ewheel_reference_base'] as $meta_key) {
+                    $value = (string) $source->get_meta($meta_key);
+                    if ($value !== '') {
+                        $references[] = $value;
+                    }
+                }
+            }
+        }
+
+        return array_values(array_unique($references));
+    }
+
+    /**
+     * Check that an API product is the one asked for, or one of its variants is.
+     *
+     * @param array  $raw       Raw product.
+     * @param string $reference Requested reference.
+     * @return bool
+     */
+    private function raw_matches(array $raw, string $reference): bool
+    {
+        $p = array_change_key_case($raw, CASE_LOWER);
+
+        if (strcasecmp((string) ($p['reference'] ?? ''), $reference) === 0) {
+            return true;
+        }
+
+        foreach ((array) ($p['variants'] ?? []) as $variant) {
+            $v = is_array($variant) ? array_change_key_case($variant, CASE_LOWER) : [];
+            if (strcasecmp((string) ($v['reference'] ?? ''), $reference) === 0) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Get the reference of a raw product.
+     *
+     * @param array $raw Raw product.
+     * @return string
+     */
+    private function get_raw_reference(array $raw): string
+    {
+        $p = array_change_key_case($raw, CASE_LOWER);
+
+        return (string) ($p['reference'] ?? ($p['variants'][0]['reference'] ?? ''));
+    }
+
+    /**
+     * Find the WooCommerce product a transformed product maps to.
+     *
+     * Uses the same lookups as WooCommerceSync: SKU, then _ewheel_reference.
+     *
+     * @param array              $product_data Transformed product.
+     * @param ProductLookupCache $cache        Warmed lookup cache.
+     * @return array Match details; product_id is 0 when the sync would create it.
+     */
+    private function match_product(array $product_data, ProductLookupCache $cache): array
+    {
+        $sku = (string) ($product_data['sku'] ?? '');
+        $reference = '';
+        foreach ($product_data['meta_data'] ?? [] as $meta) {
+            if ($meta['key'] === '_ewheel_reference') {
+                $reference = (string) $meta['value'];
+            }
+        }
+
+        $product_id = $sku !== '' ? $cache->find_by_sku($sku) : $cache->find_by_reference($reference);
+        $product = $product_id ? wc_get_product($product_id) : null;
+
+        return [
+            'sku' => $sku,
+            'reference' => $reference,
+            'name' => (string) ($product_data['name'] ?? ''),
+            'product_id' => $product ? $product->get_id() : 0,
+            'product_name' => $product ? $product->get_name() : '',
+            'product_status' => $product ? $product->get_status() : '',
+            'edit_url' => $product ? (string) get_edit_post_link($product->get_id(), 'raw') : '',
+        ];
+    }
+}
@@ -0,0 +1,358 @@
+<?php
+/**
+ * Stock and Price Sync.
+ *
+ * @package Trotibike\EwheelImporter
+ */
+
+namespace Trotibike\EwheelImporter\Sync;
+
+use Trotibike\EwheelImporter\Api\EwheelApiClient;
+use Trotibike\EwheelImporter\Config\Configuration;
+use Trotibike\EwheelImporter\Log\PersistentLogger;
+
+/**
+ * Updates stock levels and prices of imported products, and nothing else.
+ *
+ * Meant to run often (every 15 minutes) between full syncs, so stock that
+ * sold out at ewheel stops being sold here. Titles, descriptions, images
+ * and categories are never touched and nothing is translated. Each run
+ * that changes a product is recorded in Sync History (type "stock").
+ */
+class StockPriceSync
+{
+    /**
+     * Action Scheduler hook a run executes on.
+     */
+    public const RUN_HOOK = 'ewheel_importer_stock_price_sync';
+
+    /**
+     * WP-Cron hook of the schedule.
+     */
+    public const CRON_HOOK = 'ewheel_importer_cron_stock_sync';
+
+    /**
+     * Option holding the state and summary of the last run.
+     */
+    public const STATUS_OPTION = 'ewheel_importer_stock_sync_status';
+
+    /**
+     * Status constants.
+     */
+    public const STATUS_QUEUED = 'queued';
+    public const STATUS_RUNNING = 'running';
+    public const STATUS_COMPLETED = 'completed';
+    public const STATUS_FAILED = 'failed';
+
+    /**
+     * Stock status changes kept in the summary.
+     */
+    public const MAX_STATUS_CHANGES = 100;
+
+    /**
+     * Lock transient, so runs never overlap.
+     */
+    private const LOCK_KEY = 'ewheel_importer_stock_sync_lock';
+
+    /**
+     * Seconds after which the lock of a killed run expires.
+     */
+    private const LOCK_TIMEOUT = 900;
+
+    /**
+     * Products per feed page when reading prices.
+     */
+    private const PAGE_SIZE = 50;
+
+    /**
+     * Safety limit on feed pages per run.
+     */
+    private const MAX_PAGES = 500;
+
+    /**
+     * API client.
+     *
+     * @var EwheelApiClient
+     */
+    private EwheelApiClient $api_client;
+
+    /**
+     * Product transformer.
+     *
+     * @var ProductTransformer
+     */
+    private ProductTransformer $transformer;
+
+    /**
+     * WooCommerce sync.
+     *
+     * @var WooCommerceSync
+     */
+    private WooCommerceSync $woo_sync;
+
+    /**
+     * Configuration.
+     *
+     * @var Configuration
+     */
+    private Configuration $config;
+
+    /**
+     * Constructor.
+     *
+     * @param EwheelApiClient    $api_client  API client.
+     * @param ProductTransformer $transformer Product transformer.
+     * @param WooCommerceSync    $woo_sync    WooCommerce sync.
+     * @param Configuration      $config      Configuration.
+     */
+    public function __construct(
+        EwheelApiClient $api_client,
+        ProductTransformer $transformer,
+        WooCommerceSync $woo_sync,
+        Configuration $config
+    ) {
+        $this->api_client = $api_client;
+        $this->transformer = $transformer;
+        $this->woo_sync = $woo_sync;
+        $this->config = $config;
+    }
+
+    /**
+     * Queue a run in Action Scheduler.
+     *
+     * @return void
+     * @throws \RuntimeException If a run is already queued or running.
+     */
+    public function queue(): void
+    {
+        if ($this->is_busy()) {
+            throw new \RuntimeException(__('A stock sync is already running.', 'ewheel-importer'));
+        }
+
+        $status = $this->get_status();
+        $status['status'] = self::STATUS_QUEUED;
+        $status['queued_at'] = current_time('mysql');
+        update_option(self::STATUS_OPTION, $status, false);
+
+        as_schedule_single_action(time(), self::RUN_HOOK);
+    }
+
+    /**
+     * Check if a run is queued or running.
+     *
+     * A queued run whose action is gone (queue cleared) does not count.
+     *
+     * @return bool
+     */
+    public function is_busy(): bool
+    {
+        if (get_transient(self::LOCK_KEY)) {
+            return true;
+        }
+
+        return ($this->get_status()['status'] ?? '') === self::STATUS_QUEUED
+            && function_exists('as_has_scheduled_action')
+            && as_has_scheduled_action(self::RUN_HOOK);
+    }
+
+    /**
+     * Run the sync now.
+     *
+     * @return array The run summary (see get_status()).
+     */
+    public function run(): array
+    {
+        if (get_transient(self::LOCK_KEY)) {
+            return $this->get_status();
+        }
+        set_transient(self::LOCK_KEY, 1, self::LOCK_TIMEOUT);
+
+        $sync_id = uniqid('stock_');
+        $started_at = current_time('mysql');
+        $with_prices = $this->config->is_stock_sync_prices_enabled();
+
+        $this->save_status([
+            'status' => self::STATUS_RUNNING,
+            'sync_id' => $sync_id,
+            'started_at' => $started_at,
+            'with_prices' => $with_prices,
+        ]);
+
+        SyncHistoryManager::create($sync_id, SyncHistoryManager::TYPE_STOCK);
+        PersistentLogger::info($with_prices ? 'Stock and price sync started.' : 'Stock sync started.', null, $sync_id);
+
+        $lookup_cache = new ProductLookupCache();
+        $lookup_cache->warm();
+        $this->woo_sync->set_lookup_cache($lookup_cache);
+        $this->woo_sync->set_run_context($sync_id);
+
+        try {
+            $stock_map = $this->api_client->get_stock();
+            if (empty($stock_map)) {
+                throw new \RuntimeException('No stock data received from the ewheel API.');
+            }
+
+            $price_map = $with_prices ? $this->fetch_prices() : [];
+            $stats = $this->woo_sync->sync_stock_and_prices($stock_map, $price_map);
+        } catch (\Throwable $e) {
+            // Like runs that changed nothing, failures that saved no product stay out of history
+            if (array_sum(SyncItemLog::get_action_counts($sync_id)) > 0) {
+                SyncHistoryManager::fail($sync_id, $e->getMessage());
+            } else {
+                SyncHistoryManager::delete($sync_id);
+            }
+            return $this->save_status([
+                'status' => self::STATUS_FAILED,
+                'sync_id' => $sync_id,
+                'started_at' => $started_at,
+                'finished_at' => current_time('mysql'),
+                'with_prices' => $with_prices,
+                'error' => $e->getMessage(),
+            ]);
+        } finally {
+            $this->woo_sync->set_run_context(null);
+            delete_transient(self::LOCK_KEY);
+        }
+
+        PersistentLogger::success(
+            sprintf(
+                'Stock sync complete: %d updated (%d price changes, %d stock status changes), %d unchanged, %d not in WooCommerce',
+                $stats['updated'],
+                $stats['price_changes'],
+                count($stats['status_changes']),
+                $stats['unchanged'],
+                $stats['skipped']
+            ),
+            null,
+            $sync_id
+        );
+
+        // Runs that changed nothing would bury the full syncs in history
+        if ($stats['updated'] > 0) {
+            SyncHistoryManager::update($sync_id, [
+                'products_processed' => $stats['updated'] + $stats['unchanged'],
+                'products_updated' => $stats['updated'],
+            ]);
+            SyncHistoryManager::complete($sync_id);
+        } else {
+            SyncHistoryManager::delete($sync_id);
+        }
+        SyncItemLog::prune();
+
+        return $this->save_status([
+            'status' => self::STATUS_COMPLETED,
+            'sync_id' => $stats['updated'] > 0 ? $sync_id : '',
+            'started_at' => $started_at,
+            'finished_at' => current_time('mysql'),
+            'with_prices' => $with_prices,
+            'updated' => $stats['updated'],
+            'unchanged' => $stats['unchanged'],
+            'skipped' => $stats['skipped'],
+            'price_changes' => $stats['price_changes'],
+            'status_change_count' => count($stats['status_changes']),
+            'status_changes' => array_slice($stats['status_changes'], 0, self::MAX_STATUS_CHANGES),
+        ]);
+    }
+
+    /**
+     * Work out what a run would change, without saving anything.
+     *
+     * @return array Same counts as a completed run (see get_status()), without status, sync_id and times.
+     * @throws \RuntimeException If the feed cannot be read.
+     */
+    public function preview(): array
+    {
+        $with_prices = $this->config->is_stock_sync_prices_enabled();
+
+        $lookup_cache = new ProductLookupCache();
+        $lookup_cache->warm();
+        $this->woo_sync->set_lookup_cache($lookup_cache);
+
+        $stock_map = $this->api_client->get_stock();
+        if (empty($stock_map)) {
+            throw new \RuntimeException('No stock data received from the ewheel API.');
+        }
+
+        $price_map = $with_prices ? $this->fetch_prices() : [];
+        $stats = $this->woo_sync->sync_stock_and_prices($stock_map, $price_map, true);
+
+        return [
+            'with_prices' => $with_prices,
+            'updated' => $stats['updated'],
+            'unchanged' => $stats['unchanged'],
+            'skipped' => $stats['skipped'],
+            'price_changes' => $stats['price_changes'],
+            'status_change_count' => count($stats['status_changes']),
+            'status_changes' => array_slice($stats['status_changes'], 0, self::MAX_STATUS_CHANGES),
+        ];
+    }
+
+    /**
+     * Get the state and summary of the last run.
+     *
+     * @return array {
+     *     @type string $status              One of the STATUS_* constants, '' before the first run.
+     *     @type string $sync_id             History entry of the run ('' when nothing changed).
+     *     @type string $started_at          Start time (site time).
+     *     @type string $finished_at         End time (site time).
+     *     @type bool   $with_prices         Whether prices were synced.
+     *     @type int    $updated             Products saved.
+     *     @type int    $unchanged           Products already up to date.
+     *     @type int    $skipped             Feed SKUs not in WooCommerce.
+     *     @type int    $price_changes       Products whose price changed.
+     *     @type int    $status_change_count Products whose stock status changed.
+     *     @type array  $status_changes      The first MAX_STATUS_CHANGES of them.
+     *     @type string $error               Failure reason.
+     * }
+     */
+    public function get_status(): array
+    {
+        $status = get_option(self::STATUS_OPTION, []);
+
+        return is_array($status) ? $status : [];
+    }
+
+    /**
+     * Store the run state.
+     *
+     * @param array $status Run state.
+     * @return array The stored state.
+     */
+    private function save_status(array $status): array
+    {
+        update_option(self::STATUS_OPTION, $status, false);
+
+        return $status;
+    }
+
+    /**
+     * Read the prices of every active product in the feed.
+     *
+     * @return array [sku => ['regular_price' => string, 'sale_price' => string]].
+     * @throws \RuntimeException If the feed cannot be read completely.
+     */
+    private function fetch_prices(): array
+    {
+        $prices = [];
+
+        for ($page = 0; $page < self::MAX_PAGES; $page++) {
+            $products = $this->api_client->get_products($page, self::PAGE_SIZE, ['Active' => 1], true);
+
+            foreach ($products as $raw) {
+                if (!is_array($raw)) {
+                    continue;
+                }
+
+                foreach ($this->transformer->transform_prices($raw) as $sku => $price) {
+                    $prices[$sku] = $price;
+                }
+            }
+
+            if (count($products) < self::PAGE_SIZE) {
+                return $prices;
+            }
+        }
+
+        throw new \RuntimeException(sprintf('The product feed has more than %d pages; prices were not synced.', self::MAX_PAGES));
+    }
+}
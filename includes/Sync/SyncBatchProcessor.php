@@ -12,7 +12,9 @@ use Trotibike\EwheelImporter\Config\Configuration;
 use Trotibike\EwheelImporter\Config\ProfileConfiguration;
 use Trotibike\EwheelImporter\Log\PersistentLogger;
 use Trotibike\EwheelImporter\Model\Profile;
+use Trotibike\EwheelImporter\Pricing\PricingConverter;
 use Trotibike\EwheelImporter\Repository\ProfileRepository;
+use Trotibike\EwheelImporter\Service\WebhookNotifier;
 
 /**
  * Handles processing of a single sync batch.
@@ -80,24 +82,67 @@ class SyncBatchProcessor
      */
     private ProfileRepository $profile_repository;
 
+    /**
+     * Pricing converter.
+     *
+     * @var PricingConverter|null
+     */
+    private ?PricingConverter $pricing_converter;
+
     /**
      * Constructor.
      *
-     * @param EwheelApiClient   $api_client         API client.
-     * @param WooCommerceSync   $woo_sync           WooCommerce Sync.
-     * @param Configuration     $config             Configuration.
-     * @param ProfileRepository $profile_repository Profile repository.
+     * @param EwheelApiClient       $api_client         API client.
+     * @param WooCommerceSync       $woo_sync           WooCommerce Sync.
+     * @param Configuration         $config             Configuration.
+     * @param ProfileRepository     $profile_repository Profile repository.
+     * @param PricingConverter|null $pricing_converter  Pricing converter (records the rate each run used).
      */
     public function __construct(
         EwheelApiClient $api_client,
         WooCommerceSync $woo_sync,
         Configuration $config,
-        ProfileRepository $profile_repository
+        ProfileRepository $profile_repository,
+        ?PricingConverter $pricing_converter = null
     ) {
         $this->api_client = $api_client;
         $this->woo_sync = $woo_sync;
         $this->config = $config;
         $this->profile_repository = $profile_repository;
+        $this->pricing_converter = $pricing_converter;
+    }
+
+    /**
+     * Store the exchange rate a run converts prices with, and the date it was published.
+     *
+     * @param string   $sync_id    Sync ID.
+     * @param int|null $profile_id Profile ID.
+     * @return void
+     */
+    private function record_exchange_rate(string $sync_id, ?int $profile_id): void
+    {
+        if (!$this->pricing_converter) {
+            return;
+        }
+
+        try {
+            $rate_info = $this->pricing_converter->get_rate_info();
+            SyncHistoryManager::update($sync_id, $rate_info);
+
+            PersistentLogger::info(
+                sprintf(
+                    'Exchange rate: %s (%s%s)',
+                    $rate_info['exchange_rate'],
+                    strtoupper($rate_info['rate_source']),
+                    $rate_info['rate_date'] ? ', ' . $rate_info['rate_date'] : ''
+                ),
+                null,
+                $sync_id,
+                $profile_id
+            );
+        } catch (\Throwable $e) {
+            PersistentLogger::warning('Could not read exchange rate: ' . $e->getMessage(), null, $sync_id, $profile_id);
+        }
     }
 
     /**
@@ -226,6 +271,8 @@ class SyncBatchProcessor
                     : SyncHistoryManager::TYPE_FULL;
 
                 SyncHistoryManager::create($sync_id, $sync_type, $profile_id);
+                SyncItemLog::prune();
+                $this->record_exchange_rate($sync_id, $profile_id);
 
                 // Log sync start
                 $sync_label = $page > 0
@@ -237,6 +284,8 @@ class SyncBatchProcessor
 
                 $status['history_created'] = true;
                 update_option($this->get_status_key($profile_id), $status);
+
+                $this->notify(WebhookNotifier::EVENT_SYNC_STARTED, $status, $profile_id, ['page' => $page]);
             }
 
             // On fresh sync (page 0), sync categories before products
@@ -339,6 +388,7 @@ class SyncBatchProcessor
             PersistentLogger::info("Calling woo_sync->process_ewheel_products_batch with " . count($products) . " products", null, $sync_id, $profile_id);
 
             // Process products with profile configuration
+            $this->woo_sync->set_run_context($sync_id, $profile_id);
             $batch_result = $this->woo_sync->process_ewheel_products_batch($products, $profile_config);
 
             PersistentLogger::info("WooSync result: created={$batch_result['created']}, updated={$batch_result['updated']}, errors={$batch_result['errors']}", null, $sync_id, $profile_id);
@@ -449,6 +499,7 @@ class SyncBatchProcessor
                 $status['failed'] = ($status['failed'] ?? 0) + ($batch_result['failed'] ?? 0);
             }
 
+            $this->check_error_rate($status, $profile_id);
             update_option($this->get_status_key($profile_id), $status);
 
             // Update history database
@@ -461,6 +512,36 @@ class SyncBatchProcessor
         }
     }
 
+    /**
+     * Announce a high failure rate, once per sync.
+     *
+     * Off while the webhook_error_rate setting is 0, and only judged once
+     * enough products were processed for the rate to mean something.
+     *
+     * @param array    $status     Sync status; flagged when the event fires.
+     * @param int|null $profile_id Profile ID.
+     */
+    private function check_error_rate(array &$status, ?int $profile_id): void
+    {
+        $threshold = (float) $this->config->get('webhook_error_rate');
+        $processed = (int) ($status['processed'] ?? 0);
+
+        if ($threshold <= 0 || !empty($status['error_rate_notified']) || $processed < WebhookNotifier::ERROR_RATE_MIN_PROCESSED) {
+            return;
+        }
+
+        $rate = (int) ($status['failed'] ?? 0) * 100 / $processed;
+        if ($rate < $threshold) {
+            return;
+        }
+
+        $status['error_rate_notified'] = true;
+        $this->notify(WebhookNotifier::EVENT_ERROR_RATE, $status, $profile_id, [
+            'error_rate' => round($rate, 1),
+            'threshold' => $threshold,
+        ]);
+    }
+
     /**
      * Finish sync successfully.
      *
@@ -530,6 +611,7 @@ class SyncBatchProcessor
         // Note: lifecycle reconciliation is disabled because the sync uses Active=1
         // filter — we only see a subset of the catalog. Reconciling against a filtered
         // subset would incorrectly unpublish inactive-but-still-sellable products.
+        // It runs from the Discontinued tab instead, against an unfiltered feed snapshot.
 
         // Now mark as fully completed
         $this->complete_sync($sync_id, $profile_id);
@@ -564,6 +646,7 @@ class SyncBatchProcessor
             delete_transient($this->get_lock_key($profile_id));
 
             PersistentLogger::success('Sync fully completed.', null, $sync_id, $profile_id);
+            $this->notify(WebhookNotifier::EVENT_SYNC_COMPLETED, $status, $profile_id);
 
             // Email notification
             if ($this->config->get('notify_on_sync')) {
@@ -594,6 +677,8 @@ class SyncBatchProcessor
 
             // Release lock
             delete_transient($this->get_lock_key($profile_id));
+
+            $this->notify(WebhookNotifier::EVENT_SYNC_STOPPED, $status, $profile_id);
         }
     }
 
@@ -622,6 +707,8 @@ class SyncBatchProcessor
             // Note: We do NOT release the lock - sync can be resumed
             // But we should extend the lock timeout
             set_transient($this->get_lock_key($profile_id), $sync_id, 3600 * 24); // 24 hours for paused sync
+
+            $this->notify(WebhookNotifier::EVENT_SYNC_PAUSED, $status, $profile_id);
         }
     }
 
@@ -647,6 +734,8 @@ class SyncBatchProcessor
             // Release lock
             delete_transient($this->get_lock_key($profile_id));
 
+            $this->notify(WebhookNotifier::EVENT_SYNC_FAILED, $status, $profile_id);
+
             // Email notification
             if ($this->config->get('notify_on_sync')) {
                 $this->send_sync_email('failed', $status, $profile_id);
@@ -654,6 +743,19 @@ class SyncBatchProcessor
         }
     }
 
+    /**
+     * Announce a sync lifecycle event to the outgoing webhooks.
+     *
+     * @param string   $event      One of the WebhookNotifier::EVENT_* constants.
+     * @param array    $status     Sync status.
+     * @param int|null $profile_id Profile ID.
+     * @param array    $extra      Additional payload data.
+     */
+    private function notify(string $event, array $status, ?int $profile_id, array $extra = []): void
+    {
+        do_action(WebhookNotifier::EVENT_HOOK, $event, array_merge(WebhookNotifier::sync_data($status, $profile_id), $extra));
+    }
+
     /**
      * Send email notification about sync result.
      *
@@ -0,0 +1,521 @@
+<?php
+/**
+ * Sync Control.
+ *
+ * @package Trotibike\EwheelImporter
+ */
+
+namespace Trotibike\EwheelImporter\Sync;
+
+use Trotibike\EwheelImporter\Config\Configuration;
+use Trotibike\EwheelImporter\Log\PersistentLogger;
+use Trotibike\EwheelImporter\Repository\ProfileRepository;
+use Trotibike\EwheelImporter\Service\WebhookNotifier;
+
+/**
+ * Starts, pauses, resumes and stops the global or a profile sync, and
+ * reports its status and history.
+ *
+ * This is the one place sync control goes through, so the admin screen and
+ * the REST API behave the same.
+ */
+class SyncControl
+{
+    /**
+     * Seconds without progress before Action Scheduler is nudged.
+     */
+    public const NUDGE_AFTER_SECONDS = 30;
+
+    /**
+     * Seconds without progress before the current batch is rescheduled.
+     */
+    public const RECOVER_AFTER_SECONDS = 120;
+
+    /**
+     * Statuses listed as active syncs.
+     */
+    public const ACTIVE_STATUSES = ['running', 'pausing', 'paused', 'syncing_stock'];
+
+    /**
+     * Sync launcher.
+     *
+     * @var SyncLauncher
+     */
+    private SyncLauncher $launcher;
+
+    /**
+     * Sync progress.
+     *
+     * @var SyncProgressStream
+     */
+    private SyncProgressStream $progress;
+
+    /**
+     * Profile repository.
+     *
+     * @var ProfileRepository
+     */
+    private ProfileRepository $profile_repository;
+
+    /**
+     * Configuration.
+     *
+     * @var Configuration
+     */
+    private Configuration $config;
+
+    /**
+     * Constructor.
+     *
+     * @param SyncLauncher       $launcher           Sync launcher.
+     * @param SyncProgressStream $progress           Sync progress.
+     * @param ProfileRepository  $profile_repository Profile repository.
+     * @param Configuration      $config             Configuration.
+     */
+    public function __construct(
+        SyncLauncher $launcher,
+        SyncProgressStream $progress,
+        ProfileRepository $profile_repository,
+        Configuration $config
+    ) {
+        $this->launcher = $launcher;
+        $this->progress = $progress;
+        $this->profile_repository = $profile_repository;
+        $this->config = $config;
+    }
+
+    /**
+     * Start a full sync.
+     *
+     * @param int      $limit            Products to sync, 0 for unlimited.
+     * @param int|null $profile_id       Profile ID (null for global sync).
+     * @param bool     $resume_from_last Continue from the page the previous sync reached.
+     * @return string Sync ID.
+     * @throws \RuntimeException If the profile doesn't exist or a sync is already running.
+     */
+    public function start(int $limit = 0, ?int $profile_id = null, bool $resume_from_last = false): string
+    {
+        $this->assert_profile($profile_id);
+
+        // Determine start page (resume from previous sync position or start fresh)
+        $start_page = 0;
+        if ($resume_from_last) {
+            $previous = get_option($this->get_status_key($profile_id), []);
+            if (!empty($previous['page'])) {
+                $start_page = (int) $previous['page'] + 1;
+            }
+        }
+
+        error_log("Ewheel Importer: Starting Sync (Limit: $limit, Profile: " . ($profile_id ?? 'Default') . ", Start Page: $start_page)");
+
+        $this->log_diagnostics($profile_id);
+
+        try {
+            $sync_id = $this->launcher->start_sync($limit, $profile_id, $start_page);
+        } catch (\RuntimeException $e) {
+            throw $e;
+        } catch (\Exception $e) {
+            throw new \RuntimeException($e->getMessage(), 0, $e);
+        }
+
+        error_log("Ewheel Importer: Sync Scheduled with ID $sync_id");
+
+        return $sync_id;
+    }
+
+    /**
+     * Start an incremental sync.
+     *
+     * @param string|null $since      Only products changed since this date (null for the last sync time).
+     * @param int|null    $profile_id Profile ID (null for global sync).
+     * @return string Sync ID.
+     * @throws \RuntimeException If the profile doesn't exist or a sync is already running.
+     */
+    public function start_incremental(?string $since = null, ?int $profile_id = null): string
+    {
+        $this->assert_profile($profile_id);
+
+        error_log('Ewheel Importer: Starting Incremental Sync (Since: ' . ($since ?? 'last sync') . ', Profile: ' . ($profile_id ?? 'Default') . ')');
+
+        $this->log_diagnostics($profile_id);
+
+        try {
+            return $this->launcher->start_incremental_sync($since, $profile_id);
+        } catch (\RuntimeException $e) {
+            throw $e;
+        } catch (\Exception $e) {
+            throw new \RuntimeException($e->getMessage(), 0, $e);
+        }
+    }
+
+    /**
+     * Ask the running sync to pause once its current batch finishes.
+     *
+     * @param int|null $profile_id Profile ID (null for global sync).
+     * @return string Sync ID.
+     * @throws \RuntimeException If no sync is running.
+     */
+    public function pause(?int $profile_id = null): string
+    {
+        $sync_id = $this->launcher->get_running_sync_id($profile_id);
+        $status_key = $this->get_status_key($profile_id);
+        $status = get_option($status_key, []);
+
+        if (!$sync_id || empty($status)) {
+            throw new \RuntimeException(__('No running sync found to pause.', 'ewheel-importer'));
+        }
+
+        $status['status'] = 'paused';
+        $status['paused_at'] = time();
+        update_option($status_key, $status);
+
+        // The batch processor picks this flag up before its next batch
+        update_option('ewheel_importer_pause_sync_' . $sync_id, true);
+
+        return $sync_id;
+    }
+
+    /**
+     * Resume a paused sync.
+     *
+     * @param int|null $profile_id Profile ID (null for global sync).
+     * @return string Sync ID.
+     * @throws \RuntimeException If no sync is paused.
+     */
+    public function resume(?int $profile_id = null): string
+    {
+        try {
+            return $this->launcher->resume_sync($profile_id);
+        } catch (\Exception $e) {
+            throw new \RuntimeException($e->getMessage(), 0, $e);
+        }
+    }
+
+    /**
+     * Stop the running or paused sync.
+     *
+     * A normal stop only touches the given scope. A forced stop also marks
+     * every running sync in the history as stopped and unschedules every
+     * pending batch, to clear state left behind by a crashed sync.
+     *
+     * @param int|null $profile_id Profile ID (null for global sync).
+     * @param bool     $force      Reset all sync state.
+     * @return string|null ID of the stopped sync, null if none was found.
+     */
+    public function stop(?int $profile_id = null, bool $force = false): ?string
+    {
+        $sync_id = $this->launcher->get_running_sync_id($profile_id);
+        if (!$sync_id) {
+            $paused = $this->launcher->get_paused_sync($profile_id);
+            if ($paused) {
+                $sync_id = $paused['id'];
+            }
+        }
+
+        $status = get_option($this->get_status_key($profile_id), []);
+
+        // Clear state even without a sync ID, so stuck state can always be reset
+        delete_option($this->get_status_key($profile_id));
+        delete_transient($this->get_lock_key($profile_id));
+
+        if ($sync_id) {
+            delete_option('ewheel_importer_pause_sync_' . $sync_id);
+
+            try {
+                SyncHistoryManager::stop($sync_id);
+            } catch (\Throwable $t) {
+                // Ignore history update failures
+            }
+
+            PersistentLogger::info('Sync stopped by user', null, $sync_id, $profile_id);
+
+            if (is_array($status) && ($status['id'] ?? '') === $sync_id) {
+                $status['status'] = 'stopped';
+                $status['completed_at'] = time();
+                do_action(WebhookNotifier::EVENT_HOOK, WebhookNotifier::EVENT_SYNC_STOPPED, WebhookNotifier::sync_data($status, $profile_id));
+            }
+        }
+
+        if ($force) {
+            SyncHistoryManager::stop_all_running();
+        }
+
+        if (function_exists('as_unschedule_all_actions')) {
+            if ($force) {
+                as_unschedule_all_actions('ewheel_importer_process_batch');
+            } elseif ($sync_id) {
+                $this->unschedule_batches($sync_id);
+            }
+        }
+
+        return $sync_id;
+    }
+
+    /**
+     * Get the sync status with a human-readable message.
+     *
+     * Also nudges Action Scheduler when a running sync has stalled: on shared
+     * hosting WP-Cron only runs on page visits, so status polling is often
+     * the only thing that keeps queued batches moving.
+     *
+     * @param int|null $profile_id Profile ID (null for global sync).
+     * @param bool     $recover    Nudge a stalled sync.
+     * @return array Status payload from SyncProgressStream::get_status() plus message.
+     */
+    public function get_status(?int $profile_id = null, bool $recover = true): array
+    {
+        $status_key = $this->get_status_key($profile_id);
+        $status = get_option($status_key, []);
+        if (!is_array($status)) {
+            $status = [];
+        }
+
+        $response = $this->progress->get_status($profile_id);
+
+        if ($recover && $response['is_running'] && !empty($status['last_update'])) {
+            $this->recover_stalled($status, $profile_id);
+        }
+
+        if ($response['is_running']) {
+            $response['message'] = sprintf(
+                __('Sync running: %d processed (%d created, %d updated, %d failed)', 'ewheel-importer'),
+                $response['processed'],
+                $response['created'],
+                $response['updated'],
+                $response['failed']
+            );
+        } elseif ($response['is_paused']) {
+            $response['message'] = __('Sync paused. Click Resume to continue.', 'ewheel-importer');
+        } elseif ($response['status'] === 'completed') {
+            $response['message'] = sprintf(
+                __('Sync completed: %d processed (%d created, %d updated)', 'ewheel-importer'),
+                $response['processed'],
+                $response['created'],
+                $response['updated']
+            );
+        } elseif ($response['status'] === 'failed') {
+            $response['message'] = $status['error'] ?? __('Sync failed.', 'ewheel-importer');
+        } elseif ($response['status'] === 'stopped') {
+            $response['message'] = __('Sync stopped by user.', 'ewheel-importer');
+        } else {
+            $response['message'] = __('Sync is idle.', 'ewheel-importer');
+        }
+
+        $response['profile_id'] = $profile_id;
+
+        return $response;
+    }
+
+    /**
+     * List every profile with a running or paused sync.
+     *
+     * @return array[] Status payloads with profile_id and profile_name.
+     */
+    public function get_active_syncs(): array
+    {
+        $syncs = [];
+        foreach ($this->profile_repository->find_all() as $profile) {
+            $status = $this->progress->get_status($profile->get_id());
+            if (!in_array($status['status'], self::ACTIVE_STATUSES, true)) {
+                continue;
+            }
+
+            $status['profile_id'] = $profile->get_id();
+            $status['profile_name'] = $profile->get_name();
+            $syncs[] = $status;
+        }
+
+        return $syncs;
+    }
+
+    /**
+     * Get recent sync runs and overall stats.
+     *
+     * @param int      $limit      Runs to return.
+     * @param int|null $profile_id Only runs of this profile (null for all).
+     * @return array {
+     *     @type array[] $history Runs, newest first, with formatted duration and start time.
+     *     @type array   $stats   Totals from SyncHistoryManager::get_stats().
+     * }
+     */
+    public function get_history(int $limit = 10, ?int $profile_id = null): array
+    {
+        $history = SyncHistoryManager::get_recent($limit, $profile_id);
+
+        foreach ($history as &$record) {
+            if (!empty($record['duration_seconds'])) {
+                $record['duration_formatted'] = SyncHistoryManager::format_duration((int) $record['duration_seconds']);
+            }
+            if (!empty($record['started_at'])) {
+                $record['started_at_formatted'] = wp_date(
+                    get_option('date_format') . ' ' . get_option('time_format'),
+                    strtotime($record['started_at'])
+                );
+            }
+        }
+        unset($record);
+
+        return [
+            'history' => $history,
+            'stats' => SyncHistoryManager::get_stats($profile_id),
+        ];
+    }
+
+    /**
+     * Nudge Action Scheduler and reschedule the current batch of a stalled sync.
+     *
+     * @param array    $status     Stored sync status.
+     * @param int|null $profile_id Profile ID.
+     * @return void
+     */
+    private function recover_stalled(array $status, ?int $profile_id): void
+    {
+        $stale_seconds = time() - (int) $status['last_update'];
+
+        if ($stale_seconds >= self::NUDGE_AFTER_SECONDS && class_exists('ActionScheduler_QueueRunner')) {
+            try {
+                \ActionScheduler_QueueRunner::instance()->run();
+            } catch (\Throwable $e) {
+                // Silently ignore — this is just a nudge
+            }
+        }
+
+        // No progress for this long means the batch job likely died mid-execution
+        // (PHP timeout on shared hosting): reschedule from the current position.
+        $sync_id = $status['id'] ?? '';
+        if ($stale_seconds < self::RECOVER_AFTER_SECONDS || !$sync_id || !function_exists('as_unschedule_all_actions')) {
+            return;
+        }
+
+        $page = $status['page'] ?? 0;
+        $offset = $status['offset'] ?? 0;
+
+        as_unschedule_all_actions('ewheel_importer_process_batch');
+        as_schedule_single_action(
+            time() + 2,
+            'ewheel_importer_process_batch',
+            [
+                'page' => $page,
+                'sync_id' => $sync_id,
+                'since' => $status['since'] ?? '',
+                'profile_id' => $profile_id,
+                'offset' => $offset,
+            ]
+        );
+
+        // Prevent an immediate re-trigger
+        $status['last_update'] = time();
+        update_option($this->get_status_key($profile_id), $status, false);
+
+        PersistentLogger::warning(
+            sprintf('Stall recovery: rescheduled batch at page %d, offset %d (stalled %ds)', $page, $offset, $stale_seconds),
+            null,
+            $sync_id,
+            $profile_id
+        );
+    }
+
+    /**
+     * Unschedule the pending batches of one sync.
+     *
+     * @param string $sync_id Sync ID.
+     * @return void
+     */
+    private function unschedule_batches(string $sync_id): void
+    {
+        if (!function_exists('as_get_scheduled_actions') || !function_exists('as_unschedule_action')) {
+            return;
+        }
+
+        $actions = as_get_scheduled_actions([
+            'hook' => 'ewheel_importer_process_batch',
+            'status' => \ActionScheduler_Store::STATUS_PENDING,
+            'per_page' => 50,
+        ]);
+
+        foreach ($actions as $action) {
+            $args = $action->get_args();
+            if (($args['sync_id'] ?? '') === $sync_id) {
+                as_unschedule_action('ewheel_importer_process_batch', $args);
+            }
+        }
+    }
+
+    /**
+     * Make sure a profile exists.
+     *
+     * @param int|null $profile_id Profile ID (null for global sync).
+     * @return void
+     * @throws \RuntimeException If the profile doesn't exist.
+     */
+    private function assert_profile(?int $profile_id): void
+    {
+        if ($profile_id && !$this->profile_repository->find($profile_id)) {
+            throw new \RuntimeException(__('Profile not found', 'ewheel-importer'));
+        }
+    }
+
+    /**
+     * Log sync diagnostics before starting a sync.
+     *
+     * @param int|null $profile_id Profile ID.
+     * @return void
+     */
+    private function log_diagnostics(?int $profile_id): void
+    {
+        $diagnostics = [];
+
+        $diagnostics['action_scheduler'] = function_exists('as_schedule_single_action') ? 'available' : 'MISSING';
+
+        if ($profile_id) {
+            $profile = $this->profile_repository->find($profile_id);
+            $diagnostics['profile'] = $profile ? $profile->get_name() : 'NOT FOUND (ID: ' . $profile_id . ')';
+        } else {
+            $profile = $this->profile_repository->find_default();
+            $diagnostics['profile'] = $profile ? 'Default: ' . $profile->get_name() : 'NO DEFAULT PROFILE';
+        }
+
+        $api_key = $this->config->get_api_key();
+        $diagnostics['api_key'] = $api_key ? 'configured (' . strlen($api_key) . ' chars)' : 'NOT SET';
+
+        if (function_exists('as_get_scheduled_actions')) {
+            foreach (['pending' => \ActionScheduler_Store::STATUS_PENDING, 'running' => \ActionScheduler_Store::STATUS_RUNNING, 'failed' => \ActionScheduler_Store::STATUS_FAILED] as $label => $as_status) {
+                $diagnostics[$label . '_batches'] = count(as_get_scheduled_actions([
+                    'hook' => 'ewheel_importer_process_batch',
+                    'status' => $as_status,
+                    'per_page' => 10,
+                ]));
+            }
+        }
+
+        $current_status = get_option($this->get_status_key($profile_id), []);
+        $diagnostics['current_status'] = $current_status ? ($current_status['status'] ?? 'unknown') : 'none';
+
+        $lock = get_transient($this->get_lock_key($profile_id));
+        $diagnostics['lock'] = $lock ? 'LOCKED (sync_id: ' . $lock . ')' : 'unlocked';
+
+        error_log('[Ewheel Sync Diagnostics] ' . wp_json_encode($diagnostics));
+    }
+
+    /**
+     * Get status option key for a profile.
+     *
+     * @param int|null $profile_id Profile ID.
+     * @return string
+     */
+    private function get_status_key(?int $profile_id): string
+    {
+        return $profile_id ? 'ewheel_importer_sync_status_' . $profile_id : 'ewheel_importer_sync_status';
+    }
+
+    /**
+     * Get lock transient key for a profile.
+     *
+     * @param int|null $profile_id Profile ID.
+     * @return string
+     */
+    private function get_lock_key(?int $profile_id): string
+    {
+        return $profile_id ? 'ewheel_importer_sync_lock_' . $profile_id : 'ewheel_importer_sync_lock';
+    }
+}
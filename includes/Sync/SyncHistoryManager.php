@@ -31,12 +31,21 @@ class SyncHistoryManager
      */
     public const TYPE_FULL = 'full';
     public const TYPE_INCREMENTAL = 'incremental';
+    public const TYPE_SINGLE = 'single';
+    public const TYPE_STOCK = 'stock';
+
+    /**
+     * Rollback status constants.
+     */
+    public const ROLLBACK_RUNNING = 'running';
+    public const ROLLBACK_COMPLETED = 'completed';
+    public const ROLLBACK_FAILED = 'failed';
 
     /**
      * Create a new sync history record.
      *
      * @param string   $sync_id    Unique sync ID.
-     * @param string   $sync_type  Sync type (full or incremental).
+     * @param string   $sync_type  Sync type (full, incremental, single or stock).
      * @param int|null $profile_id Profile ID.
      * @return bool
      */
@@ -90,6 +99,11 @@ class SyncHistoryManager
             'error_count',
             'completed_at',
             'duration_seconds',
+            'exchange_rate',
+            'rate_date',
+            'rate_source',
+            'rollback_status',
+            'rolled_back_at',
         ];
 
         $update_data = [];
@@ -235,6 +249,25 @@ class SyncHistoryManager
         ]);
     }
 
+    /**
+     * Delete a sync history record.
+     *
+     * @param string $sync_id Sync ID.
+     * @return bool
+     */
+    public static function delete(string $sync_id): bool
+    {
+        global $wpdb;
+
+        $table_name = $wpdb->prefix . SchemaInstaller::SYNC_HISTORY_TABLE;
+
+        if (!self::table_exists()) {
+            return false;
+        }
+
+        return (bool) $wpdb->delete($table_name, ['sync_id' => $sync_id], ['%s']);
+    }
+
     /**
      * Stop all running syncs (used when clearing queue).
      *
@@ -388,6 +421,53 @@ class SyncHistoryManager
         ) ?: [];
     }
 
+    /**
+     * Get the snapshot of values a run overwrote.
+     *
+     * Every updated product is logged with the old and new value of each
+     * changed field (see SyncItemLog::diff_changes()), which is what a
+     * rollback restores.
+     *
+     * @param string $sync_id Sync ID.
+     * @param int    $limit   Maximum products to return.
+     * @param int    $offset  Offset for batching.
+     * @return array List of ['product_id' => int, 'sku' => string, 'changes' => [field => ['old' => mixed, 'new' => mixed]]].
+     */
+    public static function get_snapshot(string $sync_id, int $limit = 50, int $offset = 0): array
+    {
+        $items = SyncItemLog::get_items($sync_id, [
+            'action' => SyncItemLog::ACTION_UPDATED,
+            'limit' => $limit,
+            'offset' => $offset,
+        ]);
+
+        $snapshot = [];
+        foreach ($items as $item) {
+            if (empty($item['product_id']) || empty($item['changes'])) {
+                continue;
+            }
+
+            $snapshot[] = [
+                'product_id' => (int) $item['product_id'],
+                'sku' => $item['sku'],
+                'changes' => $item['changes'],
+            ];
+        }
+
+        return $snapshot;
+    }
+
+    /**
+     * Count the products in a run's snapshot.
+     *
+     * @param string $sync_id Sync ID.
+     * @return int
+     */
+    public static function get_snapshot_count(string $sync_id): int
+    {
+        return SyncItemLog::get_count($sync_id, ['action' => SyncItemLog::ACTION_UPDATED]);
+    }
+
     /**
      * Get sync statistics.
      *
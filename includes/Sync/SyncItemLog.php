@@ -0,0 +1,346 @@
+<?php
+/**
+ * Sync Item Log.
+ *
+ * Records what a sync run did to each product.
+ *
+ * @package Trotibike\EwheelImporter
+ */
+
+namespace Trotibike\EwheelImporter\Sync;
+
+use Trotibike\EwheelImporter\Database\SchemaInstaller;
+
+/**
+ * Stores one row per SKU touched by a sync run, with the fields that changed.
+ */
+class SyncItemLog
+{
+    /**
+     * Action constants.
+     */
+    public const ACTION_CREATED = 'created';
+    public const ACTION_UPDATED = 'updated';
+    public const ACTION_SKIPPED = 'skipped';
+    public const ACTION_FAILED = 'failed';
+
+    /**
+     * Number of most recent runs whose items are kept.
+     */
+    private const KEEP_RUNS = 30;
+
+    /**
+     * Days the items of stock runs are kept.
+     *
+     * Stock runs come every few minutes, so they are kept by age and don't
+     * count towards KEEP_RUNS.
+     */
+    private const KEEP_STOCK_DAYS = 7;
+
+    /**
+     * Product props that change on every save and say nothing about the sync.
+     */
+    private const IGNORED_FIELDS = ['date_modified', 'date_created'];
+
+    /**
+     * Record a product touched by a sync run.
+     *
+     * @param string      $sync_id    Sync ID.
+     * @param int|null    $profile_id Profile ID.
+     * @param string      $sku        Product SKU (or ewheel reference when the product has none).
+     * @param string      $action     One of the ACTION_* constants.
+     * @param array       $changes    Changed fields as [field => ['old' => mixed, 'new' => mixed]].
+     * @param int|null    $product_id WooCommerce product ID.
+     * @param string      $message    Optional message (error reason for failures).
+     * @param string|null $reference  Ewheel reference.
+     * @return bool
+     */
+    public static function record(
+        string $sync_id,
+        ?int $profile_id,
+        string $sku,
+        string $action,
+        array $changes = [],
+        ?int $product_id = null,
+        string $message = '',
+        ?string $reference = null
+    ): bool {
+        global $wpdb;
+        if (null === $wpdb || !self::table_exists()) {
+            return false;
+        }
+
+        $table_name = $wpdb->prefix . SchemaInstaller::SYNC_ITEMS_TABLE;
+
+        return $wpdb->insert(
+            $table_name,
+            [
+                'sync_id' => $sync_id,
+                'profile_id' => $profile_id,
+                'product_id' => $product_id,
+                'sku' => $sku,
+                'reference' => $reference,
+                'action' => $action,
+                'changes' => empty($changes) ? null : wp_json_encode($changes),
+                'message' => $message,
+                'created_at' => current_time('mysql'),
+            ],
+            ['%s', '%d', '%d', '%s', '%s', '%s', '%s', '%s', '%s']
+        ) !== false;
+    }
+
+    /**
+     * Get the items of a sync run.
+     *
+     * @param string $sync_id Sync ID.
+     * @param array  $args {
+     *     Optional. Arguments for filtering items.
+     *
+     *     @type string $action Filter by action.
+     *     @type string $search Search in SKU and reference.
+     *     @type int    $limit  Maximum items to return (0 for all). Default 50.
+     *     @type int    $offset Offset for pagination. Default 0.
+     * }
+     * @return array Items with `changes` decoded.
+     */
+    public static function get_items(string $sync_id, array $args = []): array
+    {
+        global $wpdb;
+        if (null === $wpdb || !self::table_exists()) {
+            return [];
+        }
+
+        $args = wp_parse_args($args, [
+            'action' => '',
+            'search' => '',
+            'limit' => 50,
+            'offset' => 0,
+        ]);
+
+        $table_name = $wpdb->prefix . SchemaInstaller::SYNC_ITEMS_TABLE;
+        [$where_clause, $prepare_args] = self::build_where($sync_id, $args);
+
+        $sql = "SELECT * FROM `{$table_name}` WHERE {$where_clause} ORDER BY id ASC";
+        if (absint($args['limit']) > 0) {
+            $sql .= ' LIMIT %d OFFSET %d';
+            $prepare_args[] = absint($args['limit']);
+            $prepare_args[] = absint($args['offset']);
+        }
+
+        $items = $wpdb->get_results($wpdb->prepare($sql, $prepare_args), ARRAY_A) ?: [];
+
+        foreach ($items as &$item) {
+            $item['changes'] = !empty($item['changes']) ? (json_decode($item['changes'], true) ?: []) : [];
+        }
+
+        return $items;
+    }
+
+    /**
+     * Count the items of a sync run.
+     *
+     * @param string $sync_id Sync ID.
+     * @param array  $args    Same filters as get_items().
+     * @return int
+     */
+    public static function get_count(string $sync_id, array $args = []): int
+    {
+        global $wpdb;
+        if (null === $wpdb || !self::table_exists()) {
+            return 0;
+        }
+
+        $table_name = $wpdb->prefix . SchemaInstaller::SYNC_ITEMS_TABLE;
+        [$where_clause, $prepare_args] = self::build_where($sync_id, $args);
+
+        $sql = "SELECT COUNT(*) FROM `{$table_name}` WHERE {$where_clause}";
+
+        return (int) $wpdb->get_var($wpdb->prepare($sql, $prepare_args));
+    }
+
+    /**
+     * Count the items of a sync run per action.
+     *
+     * @param string $sync_id Sync ID.
+     * @return array [action => count] for every action.
+     */
+    public static function get_action_counts(string $sync_id): array
+    {
+        global $wpdb;
+
+        $counts = [
+            self::ACTION_CREATED => 0,
+            self::ACTION_UPDATED => 0,
+            self::ACTION_SKIPPED => 0,
+            self::ACTION_FAILED => 0,
+        ];
+
+        if (null === $wpdb || !self::table_exists()) {
+            return $counts;
+        }
+
+        $table_name = $wpdb->prefix . SchemaInstaller::SYNC_ITEMS_TABLE;
+
+        $rows = $wpdb->get_results(
+            $wpdb->prepare("SELECT action, COUNT(*) AS total FROM `{$table_name}` WHERE sync_id = %s GROUP BY action", $sync_id),
+            ARRAY_A
+        ) ?: [];
+
+        foreach ($rows as $row) {
+            $counts[$row['action']] = (int) $row['total'];
+        }
+
+        return $counts;
+    }
+
+    /**
+     * Delete items of all but the most recent runs, and of old stock runs.
+     *
+     * @param int $keep_runs Number of runs, stock runs aside, to keep items for.
+     * @return int Number of rows deleted.
+     */
+    public static function prune(int $keep_runs = self::KEEP_RUNS): int
+    {
+        global $wpdb;
+        if (null === $wpdb || !self::table_exists()) {
+            return 0;
+        }
+
+        $table_name = $wpdb->prefix . SchemaInstaller::SYNC_ITEMS_TABLE;
+        $history_table = $wpdb->prefix . SchemaInstaller::SYNC_HISTORY_TABLE;
+
+        $deleted = (int) $wpdb->query($wpdb->prepare(
+            "DELETE FROM `{$table_name}` WHERE sync_id IN (SELECT sync_id FROM `{$history_table}` WHERE sync_type = %s AND started_at < %s)",
+            SyncHistoryManager::TYPE_STOCK,
+            gmdate('Y-m-d H:i:s', current_time('timestamp') - self::KEEP_STOCK_DAYS * DAY_IN_SECONDS)
+        ));
+
+        // Find the start time of the oldest run to keep, then drop items of anything older
+        $cutoff_sql = $wpdb->prepare(
+            "SELECT started_at FROM `{$history_table}` WHERE sync_type <> %s ORDER BY started_at DESC LIMIT 1 OFFSET %d",
+            SyncHistoryManager::TYPE_STOCK,
+            max(0, $keep_runs - 1)
+        );
+        $cutoff = $wpdb->get_var($cutoff_sql);
+        if (!$cutoff) {
+            return $deleted;
+        }
+
+        return $deleted + (int) $wpdb->query($wpdb->prepare(
+            "DELETE FROM `{$table_name}` WHERE sync_id IN (SELECT sync_id FROM `{$history_table}` WHERE sync_type <> %s AND started_at < %s)",
+            SyncHistoryManager::TYPE_STOCK,
+            $cutoff
+        ));
+    }
+
+    /**
+     * Build a field diff from a product's stored data and its pending changes.
+     *
+     * Takes the output of WC_Data::get_data() (taken before save) and
+     * WC_Data::get_changes(), and returns only the fields whose value
+     * really differs, as JSON-safe scalars and arrays.
+     *
+     * @param array $old_data Stored data.
+     * @param array $changes  Pending changes.
+     * @return array [field => ['old' => mixed, 'new' => mixed]].
+     */
+    public static function diff_changes(array $old_data, array $changes): array
+    {
+        $diff = [];
+
+        foreach ($changes as $field => $new_value) {
+            if (in_array($field, self::IGNORED_FIELDS, true)) {
+                continue;
+            }
+
+            $old = self::normalize_value($old_data[$field] ?? null);
+            $new = self::normalize_value($new_value);
+
+            if ($old === $new) {
+                continue;
+            }
+
+            $diff[$field] = ['old' => $old, 'new' => $new];
+        }
+
+        return $diff;
+    }
+
+    /**
+     * Turn a product prop value into something that can be compared and JSON encoded.
+     *
+     * Recorded diffs hold values in this form, so current product values
+     * must go through it before being compared with them.
+     *
+     * @param mixed $value Prop value.
+     * @return mixed
+     */
+    public static function normalize_value($value)
+    {
+        if ($value instanceof \DateTimeInterface) {
+            return $value->format('Y-m-d H:i:s');
+        }
+
+        if (is_object($value)) {
+            if (method_exists($value, 'get_data')) {
+                return self::normalize_value($value->get_data());
+            }
+            return method_exists($value, '__toString') ? (string) $value : get_class($value);
+        }
+
+        if (is_array($value)) {
+            return array_map([self::class, 'normalize_value'], $value);
+        }
+
+        // Prices and quantities are compared as strings ("10" vs 10.0)
+        if (is_int($value) || is_float($value)) {
+            return (string) $value;
+        }
+
+        return $value;
+    }
+
+    /**
+     * Build the WHERE clause for item queries.
+     *
+     * @param string $sync_id Sync ID.
+     * @param array  $args    Filters.
+     * @return array [where clause, prepare args].
+     */
+    private static function build_where(string $sync_id, array $args): array
+    {
+        global $wpdb;
+
+        $where = ['sync_id = %s'];
+        $prepare_args = [$sync_id];
+
+        if (!empty($args['action'])) {
+            $where[] = 'action = %s';
+            $prepare_args[] = $args['action'];
+        }
+
+        if (!empty($args['search'])) {
+            $like = '%' . $wpdb->esc_like($args['search']) . '%';
+            $where[] = '(sku LIKE %s OR reference LIKE %s)';
+            $prepare_args[] = $like;
+            $prepare_args[] = $like;
+        }
+
+        return [implode(' AND ', $where), $prepare_args];
+    }
+
+    /**
+     * Check if the table exists.
+     *
+     * @return bool
+     */
+    private static function table_exists(): bool
+    {
+        global $wpdb;
+
+        $table_name = $wpdb->prefix . SchemaInstaller::SYNC_ITEMS_TABLE;
+
+        $check_sql = $wpdb->prepare("SHOW TABLES LIKE %s", $table_name);
+        return $wpdb->get_var($check_sql) === $table_name;
+    }
+}
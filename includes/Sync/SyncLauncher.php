@@ -361,6 +361,12 @@ class SyncLauncher
         // Clear any lingering pause flag
         delete_option('ewheel_importer_pause_sync_' . $sync_id);
 
+        // Track time spent paused so progress ETAs only count active time
+        if (!empty($paused_status['paused_at'])) {
+            $paused_status['paused_seconds'] = (int) ($paused_status['paused_seconds'] ?? 0)
+                + max(0, time() - (int) $paused_status['paused_at']);
+        }
+
         // Update status back to running
         $paused_status['status'] = 'running';
         $paused_status['last_update'] = time();
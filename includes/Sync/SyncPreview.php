@@ -0,0 +1,595 @@
+<?php
+/**
+ * Sync Preview.
+ *
+ * @package Trotibike\EwheelImporter
+ */
+
+namespace Trotibike\EwheelImporter\Sync;
+
+use Trotibike\EwheelImporter\Api\EwheelApiClient;
+use Trotibike\EwheelImporter\Config\Configuration;
+use Trotibike\EwheelImporter\Config\ProfileConfiguration;
+use Trotibike\EwheelImporter\Repository\CategoryRepository;
+use Trotibike\EwheelImporter\Repository\ProfileRepository;
+
+/**
+ * Dry-run preview of a sync.
+ *
+ * Fetches one page of API products, runs them through the transformer and
+ * compares the result with the matching WooCommerce product without saving
+ * anything.
+ */
+class SyncPreview
+{
+
+    /**
+     * API page size — same as SyncBatchProcessor for consistent pagination.
+     */
+    public const API_PAGE_SIZE = 50;
+
+    /**
+     * How many API products are transformed per preview request.
+     */
+    public const PREVIEW_BATCH_SIZE = 10;
+
+    /**
+     * Transient prefix for cached API pages.
+     */
+    private const PAGE_CACHE_PREFIX = 'ewheel_preview_page_';
+
+    /**
+     * Transient key for the cached stock map.
+     */
+    private const STOCK_CACHE_KEY = 'ewheel_preview_stock';
+
+    /**
+     * Cache lifetime for preview data (10 minutes).
+     */
+    private const CACHE_TTL = 600;
+
+    /**
+     * Fields compared in the preview.
+     */
+    public const DIFF_FIELDS = ['name', 'description', 'price', 'stock', 'images', 'categories'];
+
+    /**
+     * Image source URL meta key (set by ImageService).
+     */
+    private const SOURCE_URL_META = '_ewheel_source_url';
+
+    /**
+     * Ewheel API client.
+     *
+     * @var EwheelApiClient
+     */
+    private EwheelApiClient $api_client;
+
+    /**
+     * Product transformer.
+     *
+     * @var ProductTransformer
+     */
+    private ProductTransformer $transformer;
+
+    /**
+     * Category repository.
+     *
+     * @var CategoryRepository
+     */
+    private CategoryRepository $category_repository;
+
+    /**
+     * Configuration.
+     *
+     * @var Configuration
+     */
+    private Configuration $config;
+
+    /**
+     * Profile repository.
+     *
+     * @var ProfileRepository
+     */
+    private ProfileRepository $profile_repository;
+
+    /**
+     * Product lookup cache.
+     *
+     * @var ProductLookupCache|null
+     */
+    private ?ProductLookupCache $lookup_cache = null;
+
+    /**
+     * Constructor.
+     *
+     * @param EwheelApiClient    $api_client          API client.
+     * @param ProductTransformer $transformer         Product transformer.
+     * @param CategoryRepository $category_repository Category repository.
+     * @param Configuration      $config              Configuration.
+     * @param ProfileRepository  $profile_repository  Profile repository.
+     */
+    public function __construct(
+        EwheelApiClient $api_client,
+        ProductTransformer $transformer,
+        CategoryRepository $category_repository,
+        Configuration $config,
+        ProfileRepository $profile_repository
+    ) {
+        $this->api_client = $api_client;
+        $this->transformer = $transformer;
+        $this->category_repository = $category_repository;
+        $this->config = $config;
+        $this->profile_repository = $profile_repository;
+    }
+
+    /**
+     * Set the product lookup cache.
+     *
+     * @param ProductLookupCache $cache The warmed cache instance.
+     */
+    public function set_lookup_cache(ProductLookupCache $cache): void
+    {
+        $this->lookup_cache = $cache;
+    }
+
+    /**
+     * Preview one slice of an API page.
+     *
+     * Uses the default profile, like a sync started from the sync panel.
+     *
+     * @param int $page   API page number (0-indexed).
+     * @param int $offset Offset within the API page.
+     * @return array {
+     *     @type array $items       Preview rows.
+     *     @type array $summary     Counts per action (create, update, skip).
+     *     @type int   $page        Current API page.
+     *     @type int   $offset      Current offset.
+     *     @type array|null $next   Next ['page' => int, 'offset' => int] or null when done.
+     * }
+     * @throws \RuntimeException If there is no default profile.
+     */
+    public function preview(int $page = 0, int $offset = 0): array
+    {
+        $profile_config = $this->get_profile_config();
+        if (!$profile_config) {
+            throw new \RuntimeException(__('Profile not found', 'ewheel-importer'));
+        }
+
+        $products = $this->get_page($page, $this->build_filters($profile_config));
+        $slice = array_slice($products, $offset, self::PREVIEW_BATCH_SIZE);
+
+        $this->transformer->set_category_map($this->category_repository->get_combined_mapping());
+        if (!empty($slice)) {
+            $this->transformer->prefetch_translations($slice);
+        }
+
+        $lookup_cache = new ProductLookupCache();
+        $lookup_cache->warm();
+        $this->set_lookup_cache($lookup_cache);
+
+        $stock_map = $this->get_stock_map();
+        $protection = $profile_config->get_sync_protection();
+
+        $items = [];
+        $summary = ['create' => 0, 'update' => 0, 'skip' => 0];
+
+        foreach ($slice as $raw_product) {
+            $transformed = $this->transformer->transform($raw_product);
+
+            if (empty($transformed)) {
+                $items[] = [
+                    'action' => 'skip',
+                    'reference' => $this->get_raw_reference($raw_product),
+                    'sku' => '',
+                    'name' => '',
+                    'product_id' => 0,
+                    'edit_url' => '',
+                    'reason' => __('Transform failed — see logs.', 'ewheel-importer'),
+                    'changes' => [],
+                ];
+                $summary['skip']++;
+                continue;
+            }
+
+            foreach ($transformed as $product_data) {
+                $row = $this->build_row($product_data, $stock_map, $protection);
+                $summary[$row['action']]++;
+                $items[] = $row;
+            }
+        }
+
+        $next_offset = $offset + self::PREVIEW_BATCH_SIZE;
+        if ($next_offset < count($products)) {
+            $next = ['page' => $page, 'offset' => $next_offset];
+        } elseif (count($products) >= self::API_PAGE_SIZE) {
+            $next = ['page' => $page + 1, 'offset' => 0];
+        } else {
+            $next = null;
+        }
+
+        return [
+            'items' => $items,
+            'summary' => $summary,
+            'page' => $page,
+            'offset' => $offset,
+            'next' => $next,
+        ];
+    }
+
+    /**
+     * Clear cached API pages and stock used by the preview.
+     *
+     * @return void
+     */
+    public function clear_cache(): void
+    {
+        global $wpdb;
+
+        delete_transient(self::STOCK_CACHE_KEY);
+
+        $like = $wpdb->esc_like('_transient_' . self::PAGE_CACHE_PREFIX) . '%';
+        $sql = $wpdb->prepare(
+            "SELECT option_name FROM {$wpdb->options} WHERE option_name LIKE %s",
+            $like
+        );
+        $names = $wpdb->get_col($sql);
+
+        foreach ($names as $name) {
+            delete_transient(substr($name, strlen('_transient_')));
+        }
+    }
+
+    /**
+     * Build a preview row for a single transformed product.
+     *
+     * @param array $product_data Transformed product data.
+     * @param array $stock_map    Stock levels indexed by variant reference.
+     * @param array $protection   Sync protection settings.
+     * @return array
+     */
+    public function build_row(array $product_data, array $stock_map, array $protection = []): array
+    {
+        $sku = $product_data['sku'] ?? '';
+        $reference = $this->get_meta_value($product_data, '_ewheel_reference');
+        $product_id = $this->find_existing($sku, $reference);
+
+        $row = [
+            'action' => 'create',
+            'reference' => $reference ?: $sku,
+            'sku' => $sku,
+            'name' => $product_data['name'] ?? '',
+            'product_id' => $product_id,
+            'edit_url' => '',
+            'reason' => '',
+            'changes' => [],
+        ];
+
+        $new_values = $this->get_new_values($product_data, $stock_map);
+        $product = $product_id ? wc_get_product($product_id) : null;
+
+        if (!$product) {
+            // New product: every field is a change from nothing.
+            foreach ($new_values as $field => $value) {
+                $row['changes'][$field] = [
+                    'current' => '',
+                    'new' => $value,
+                    'protected' => false,
+                ];
+            }
+            return $row;
+        }
+
+        $row['edit_url'] = get_edit_post_link($product_id, 'raw') ?: '';
+        $current_values = $this->get_current_values($product);
+
+        foreach ($new_values as $field => $value) {
+            $current = $current_values[$field] ?? '';
+            if ($this->normalize_for_compare($current) === $this->normalize_for_compare($value)) {
+                continue;
+            }
+
+            $row['changes'][$field] = [
+                'current' => $current,
+                'new' => $value,
+                'protected' => $this->is_protected($field, $protection),
+            ];
+        }
+
+        $effective = array_filter($row['changes'], function ($change) {
+            return !$change['protected'];
+        });
+
+        if (empty($effective)) {
+            $row['action'] = 'skip';
+            $row['reason'] = empty($row['changes'])
+                ? __('No changes', 'ewheel-importer')
+                : __('Only protected fields differ', 'ewheel-importer');
+        } else {
+            $row['action'] = 'update';
+        }
+
+        return $row;
+    }
+
+    /**
+     * Extract the comparable values from transformed product data.
+     *
+     * Fields that are disabled in the field mapping are absent from the
+     * transformer output and therefore left out here.
+     *
+     * @param array $product_data Transformed product data.
+     * @param array $stock_map    Stock levels indexed by variant reference.
+     * @return array Field => display value.
+     */
+    private function get_new_values(array $product_data, array $stock_map): array
+    {
+        $values = [];
+
+        if (isset($product_data['name'])) {
+            $values['name'] = (string) $product_data['name'];
+        }
+
+        if (isset($product_data['description'])) {
+            $values['description'] = wp_strip_all_tags((string) $product_data['description']);
+        }
+
+        if (!empty($product_data['variations'])) {
+            $prices = array_filter(array_map('floatval', array_column($product_data['variations'], 'regular_price')));
+            if (!empty($prices)) {
+                $values['price'] = $this->format_range(min($prices), max($prices));
+            }
+        } elseif (isset($product_data['regular_price'])) {
+            $values['price'] = $this->format_range((float) $product_data['regular_price'], (float) $product_data['regular_price']);
+        }
+
+        $skus = !empty($product_data['variations'])
+            ? array_filter(array_column($product_data['variations'], 'sku'))
+            : array_filter([$product_data['sku'] ?? '']);
+        $known = array_intersect_key($stock_map, array_flip($skus));
+        if (!empty($known)) {
+            $values['stock'] = (string) array_sum($known);
+        }
+
+        if (isset($product_data['images'])) {
+            $values['images'] = array_values(array_filter(array_column($product_data['images'], 'src')));
+        }
+
+        if (isset($product_data['categories'])) {
+            $values['categories'] = $this->get_category_names(array_column($product_data['categories'], 'id'));
+        }
+
+        return $values;
+    }
+
+    /**
+     * Read the comparable values from an existing WooCommerce product.
+     *
+     * @param \WC_Product $product The product.
+     * @return array Field => display value.
+     */
+    private function get_current_values(\WC_Product $product): array
+    {
+        if ($product instanceof \WC_Product_Variable) {
+            $price = $this->format_range(
+                (float) $product->get_variation_regular_price('min'),
+                (float) $product->get_variation_regular_price('max')
+            );
+            $stock = 0;
+            foreach ($product->get_children() as $child_id) {
+                $child = wc_get_product($child_id);
+                if ($child) {
+                    $stock += (int) $child->get_stock_quantity();
+                }
+            }
+        } else {
+            $price = $this->format_range((float) $product->get_regular_price(), (float) $product->get_regular_price());
+            $stock = (int) $product->get_stock_quantity();
+        }
+
+        $image_ids = array_filter(array_merge([$product->get_image_id()], $product->get_gallery_image_ids()));
+        $images = [];
+        foreach ($image_ids as $image_id) {
+            $images[] = get_post_meta((int) $image_id, self::SOURCE_URL_META, true) ?: (string) wp_get_attachment_url((int) $image_id);
+        }
+
+        return [
+            'name' => $product->get_name(),
+            'description' => wp_strip_all_tags($product->get_description()),
+            'price' => $price,
+            'stock' => (string) $stock,
+            'images' => array_values(array_filter($images)),
+            'categories' => $this->get_category_names($product->get_category_ids()),
+        ];
+    }
+
+    /**
+     * Check whether a preview field is protected from updates.
+     *
+     * @param string $field      Preview field name.
+     * @param array  $protection Sync protection settings.
+     * @return bool
+     */
+    private function is_protected(string $field, array $protection): bool
+    {
+        // Map preview fields to the sync_protection keys used by WooCommerceSync.
+        $map = [
+            'name' => 'name',
+            'description' => 'description',
+            'price' => 'price',
+            'images' => 'image',
+            'categories' => 'categories',
+        ];
+
+        return isset($map[$field]) && !empty($protection[$map[$field]]);
+    }
+
+    /**
+     * Find an existing product by SKU or ewheel reference.
+     *
+     * @param string $sku       Product SKU.
+     * @param string $reference Ewheel reference.
+     * @return int Product ID or 0.
+     */
+    private function find_existing(string $sku, string $reference): int
+    {
+        if (!$this->lookup_cache) {
+            return 0;
+        }
+
+        if (!empty($sku)) {
+            $product_id = $this->lookup_cache->find_by_sku($sku);
+            if ($product_id) {
+                return $product_id;
+            }
+        }
+
+        return $reference !== '' ? $this->lookup_cache->find_by_reference($reference) : 0;
+    }
+
+    /**
+     * Resolve category IDs to names.
+     *
+     * @param array $ids Term IDs.
+     * @return array Sorted category names.
+     */
+    private function get_category_names(array $ids): array
+    {
+        $names = [];
+        foreach (array_unique(array_map('intval', $ids)) as $id) {
+            $term = get_term($id, 'product_cat');
+            if ($term instanceof \WP_Term) {
+                $names[] = $term->name;
+            }
+        }
+        sort($names);
+        return $names;
+    }
+
+    /**
+     * Normalize a value for comparison.
+     *
+     * @param mixed $value Value.
+     * @return string
+     */
+    private function normalize_for_compare($value): string
+    {
+        if (is_array($value)) {
+            return implode("\n", array_map('trim', $value));
+        }
+        return trim(preg_replace('/\s+/', ' ', (string) $value));
+    }
+
+    /**
+     * Format a price range.
+     *
+     * @param float $min Minimum price.
+     * @param float $max Maximum price.
+     * @return string
+     */
+    private function format_range(float $min, float $max): string
+    {
+        if (abs($max - $min) < 0.005) {
+            return number_format($min, 2, '.', '');
+        }
+        return number_format($min, 2, '.', '') . ' – ' . number_format($max, 2, '.', '');
+    }
+
+    /**
+     * Get a meta value from transformed product data.
+     *
+     * @param array  $product_data Product data.
+     * @param string $key          Meta key.
+     * @return string
+     */
+    private function get_meta_value(array $product_data, string $key): string
+    {
+        foreach ($product_data['meta_data'] ?? [] as $meta) {
+            if (($meta['key'] ?? '') === $key) {
+                return (string) $meta['value'];
+            }
+        }
+        return '';
+    }
+
+    /**
+     * Get the reference of a raw API product.
+     *
+     * @param array $raw_product Raw API product.
+     * @return string
+     */
+    private function get_raw_reference(array $raw_product): string
+    {
+        $ref = $raw_product['reference'] ?? ($raw_product['Reference'] ?? '');
+        if (empty($ref) && !empty($raw_product['variants'][0]['reference'])) {
+            $ref = $raw_product['variants'][0]['reference'];
+        }
+        return (string) $ref;
+    }
+
+    /**
+     * Build API filters the same way SyncBatchProcessor does.
+     *
+     * @param ProfileConfiguration $profile_config Profile configuration.
+     * @return array
+     */
+    private function build_filters(ProfileConfiguration $profile_config): array
+    {
+        $api_filters = $profile_config->get_api_filters();
+        if (!isset($api_filters['active'])) {
+            $api_filters['Active'] = 1;
+        }
+        return $api_filters;
+    }
+
+    /**
+     * Get an API page, cached so paging through slices doesn't refetch it.
+     *
+     * @param int   $page    API page.
+     * @param array $filters API filters.
+     * @return array
+     */
+    private function get_page(int $page, array $filters): array
+    {
+        $key = self::PAGE_CACHE_PREFIX . md5(wp_json_encode($filters) . '|' . $page);
+        $cached = get_transient($key);
+        if (is_array($cached)) {
+            return $cached;
+        }
+
+        $products = $this->api_client->get_products($page, self::API_PAGE_SIZE, $filters, true);
+        set_transient($key, $products, self::CACHE_TTL);
+
+        return $products;
+    }
+
+    /**
+     * Get the stock map, cached for the duration of a preview session.
+     *
+     * @return array
+     */
+    private function get_stock_map(): array
+    {
+        $cached = get_transient(self::STOCK_CACHE_KEY);
+        if (is_array($cached)) {
+            return $cached;
+        }
+
+        $stock = $this->api_client->get_stock();
+        set_transient(self::STOCK_CACHE_KEY, $stock, self::CACHE_TTL);
+
+        return $stock;
+    }
+
+    /**
+     * Get the default profile configuration.
+     *
+     * @return ProfileConfiguration|null
+     */
+    private function get_profile_config(): ?ProfileConfiguration
+    {
+        $profile = $this->profile_repository->find_default();
+
+        return $profile ? new ProfileConfiguration($profile, $this->config) : null;
+    }
+}
@@ -0,0 +1,286 @@
+<?php
+/**
+ * Sync Progress Stream.
+ *
+ * @package Trotibike\EwheelImporter
+ */
+
+namespace Trotibike\EwheelImporter\Sync;
+
+use Trotibike\EwheelImporter\Log\LiveLogger;
+
+/**
+ * Pushes sync status and live log entries to the admin as server-sent events.
+ *
+ * Each connection is held open for a bounded time and then closed; the
+ * browser's EventSource reconnects on its own and resumes from the last
+ * log ID it received (sent back in the Last-Event-ID header).
+ */
+class SyncProgressStream
+{
+    /**
+     * Seconds between status checks.
+     */
+    private const TICK_SECONDS = 2;
+
+    /**
+     * Max seconds to hold a single connection open.
+     */
+    private const MAX_DURATION = 25;
+
+    /**
+     * Seconds between keep-alive comments when nothing changes.
+     */
+    private const KEEPALIVE_SECONDS = 15;
+
+    /**
+     * Milliseconds the browser waits before reconnecting.
+     */
+    private const RETRY_MS = 2000;
+
+    /**
+     * Statuses after which there is nothing left to stream.
+     */
+    private const FINAL_STATUSES = ['idle', 'completed', 'failed', 'stopped', 'paused'];
+
+    /**
+     * Sync launcher.
+     *
+     * @var SyncLauncher
+     */
+    private SyncLauncher $launcher;
+
+    /**
+     * Constructor.
+     *
+     * @param SyncLauncher $launcher Sync launcher.
+     */
+    public function __construct(SyncLauncher $launcher)
+    {
+        $this->launcher = $launcher;
+    }
+
+    /**
+     * Build the status payload shared by polling and streaming.
+     *
+     * @param int|null $profile_id Profile ID (null for global sync).
+     * @return array
+     */
+    public function get_status(?int $profile_id = null): array
+    {
+        $status = get_option($this->get_status_key($profile_id), []);
+        if (!is_array($status)) {
+            $status = [];
+        }
+
+        $is_running = $this->launcher->is_sync_running($profile_id);
+        $is_paused = $this->launcher->is_sync_paused($profile_id);
+
+        // Get total product count for progress calculation
+        $limit = $status['limit'] ?? 0;
+        if ($limit > 0) {
+            $total_products = $limit;
+        } else {
+            $cached_count = get_transient('ewheel_product_count_cache');
+            $total_products = $cached_count ? (int) $cached_count : 0;
+        }
+
+        return [
+            'status' => $is_running ? 'running' : ($is_paused ? 'paused' : ($status['status'] ?? 'idle')),
+            'is_running' => $is_running,
+            'is_paused' => $is_paused,
+            'id' => $status['id'] ?? null,
+            'processed' => $status['processed'] ?? 0,
+            'created' => $status['created'] ?? 0,
+            'updated' => $status['updated'] ?? 0,
+            'failed' => $status['failed'] ?? 0,
+            'page' => $status['page'] ?? 0,
+            'limit' => $status['limit'] ?? 0,
+            'total_products' => $total_products,
+            'type' => $status['type'] ?? 'full',
+            'started_at' => $status['started_at'] ?? null,
+            'last_update' => $status['last_update'] ?? null,
+            'completed_at' => $status['completed_at'] ?? null,
+            'batch_size' => $status['batch_size'] ?? 10,
+            'failure_count' => $status['failure_count'] ?? 0,
+            'eta_seconds' => $this->estimate_remaining_seconds($status, (int) $total_products),
+        ];
+    }
+
+    /**
+     * Estimate seconds left from the average rate so far, excluding paused time.
+     *
+     * @param array $status Stored sync status.
+     * @param int   $total  Total products expected.
+     * @return int|null Null when there isn't enough progress to estimate.
+     */
+    public function estimate_remaining_seconds(array $status, int $total): ?int
+    {
+        $processed = (int) ($status['processed'] ?? 0);
+        $active_seconds = (int) ($status['last_update'] ?? 0)
+            - (int) ($status['started_at'] ?? 0)
+            - (int) ($status['paused_seconds'] ?? 0);
+
+        if ($total <= 0 || $processed <= 0 || $processed >= $total || $active_seconds <= 0) {
+            return null;
+        }
+
+        return (int) round(($total - $processed) * $active_seconds / $processed);
+    }
+
+    /**
+     * Collect the events that happened since the previous tick.
+     *
+     * Emits a full `logs` snapshot on the first tick (or when the log
+     * transient was cleared and IDs restarted), `log` for each new entry
+     * afterwards, and `status` whenever the status payload changed.
+     *
+     * @param int|null    $profile_id  Profile ID (null for global sync).
+     * @param int|null    $log_cursor  Last log ID sent; null before the first tick.
+     * @param string|null $status_hash Hash of the last status sent.
+     * @return array List of ['event' => string, 'data' => mixed, 'id' => int|null].
+     */
+    public function collect_events(?int $profile_id, ?int &$log_cursor, ?string &$status_hash): array
+    {
+        $events = [];
+        $last_id = LiveLogger::get_last_id();
+
+        if ($log_cursor === null || $last_id < $log_cursor) {
+            $events[] = ['event' => 'logs', 'data' => LiveLogger::get_logs(), 'id' => $last_id];
+        } else {
+            foreach (LiveLogger::get_logs_since($log_cursor) as $log) {
+                $events[] = ['event' => 'log', 'data' => $log, 'id' => (int) $log['id']];
+            }
+        }
+        $log_cursor = $last_id;
+
+        $status = $this->get_status($profile_id);
+        $hash = md5((string) wp_json_encode($status));
+        if ($hash !== $status_hash) {
+            $events[] = ['event' => 'status', 'data' => $status, 'id' => null];
+            $status_hash = $hash;
+        }
+
+        if (in_array($status['status'], self::FINAL_STATUSES, true)) {
+            $events[] = ['event' => 'end', 'data' => ['status' => $status['status']], 'id' => null];
+        }
+
+        return $events;
+    }
+
+    /**
+     * Format a single server-sent event.
+     *
+     * The payload is JSON encoded here, so the result is echoed as is.
+     *
+     * @param string   $event Event name.
+     * @param mixed    $data  Payload (JSON encoded).
+     * @param int|null $id    Optional event ID.
+     * @return string Pre-encoded event, ready to send.
+     */
+    public function format_event(string $event, $data, ?int $id = null): string
+    {
+        $output = '';
+        if ($id !== null) {
+            $output .= 'id: ' . $id . "\n";
+        }
+        $output .= 'event: ' . $event . "\n";
+        $output .= 'data: ' . wp_json_encode($data) . "\n\n";
+
+        return $output;
+    }
+
+    /**
+     * Stream events to the client until the sync settles or the time budget runs out.
+     *
+     * @param int|null $profile_id Profile ID (null for global sync).
+     * @param int|null $log_cursor Last log ID the client has seen (null for a fresh connection).
+     * @return void
+     */
+    public function stream(?int $profile_id, ?int $log_cursor): void
+    {
+        ignore_user_abort(false);
+        if (function_exists('set_time_limit')) {
+            set_time_limit(self::MAX_DURATION + 10);
+        }
+
+        // Drop any output buffers so events reach the browser immediately
+        while (ob_get_level() > 0) {
+            ob_end_clean();
+        }
+
+        nocache_headers();
+        header('Content-Type: text/event-stream; charset=utf-8');
+        header('Cache-Control: no-cache, no-transform');
+        header('X-Accel-Buffering: no');
+
+        echo 'retry: ' . self::RETRY_MS . "\n\n";
+        flush();
+
+        $status_hash = null;
+        $started = time();
+        $last_sent = $started;
+
+        while (!connection_aborted()) {
+            $this->refresh_cached_options($profile_id);
+
+            $events = $this->collect_events($profile_id, $log_cursor, $status_hash);
+            $finished = false;
+
+            foreach ($events as $event) {
+                echo $this->format_event($event['event'], $event['data'], $event['id']);
+                $finished = $finished || $event['event'] === 'end';
+            }
+
+            if (!empty($events)) {
+                $last_sent = time();
+            } elseif ((time() - $last_sent) >= self::KEEPALIVE_SECONDS) {
+                echo ": keep-alive\n\n";
+                $last_sent = time();
+            }
+            flush();
+
+            if ($finished || (time() - $started) >= self::MAX_DURATION) {
+                break;
+            }
+
+            sleep(self::TICK_SECONDS);
+        }
+    }
+
+    /**
+     * Drop per-request option caches so each tick sees what the batch workers wrote.
+     *
+     * With a persistent object cache the workers update the shared cache,
+     * so there is nothing to drop.
+     *
+     * @param int|null $profile_id Profile ID.
+     * @return void
+     */
+    private function refresh_cached_options(?int $profile_id): void
+    {
+        if (wp_using_ext_object_cache()) {
+            return;
+        }
+
+        wp_cache_delete('alloptions', 'options');
+        wp_cache_delete('notoptions', 'options');
+        wp_cache_delete($this->get_status_key($profile_id), 'options');
+        wp_cache_delete('_transient_ewheel_importer_sync_lock' . ($profile_id ? '_' . $profile_id : ''), 'options');
+        wp_cache_delete('_transient_ewheel_importer_live_logs', 'options');
+        wp_cache_delete('_transient_ewheel_product_count_cache', 'options');
+    }
+
+    /**
+     * Get the status option key for a profile.
+     *
+     * @param int|null $profile_id Profile ID.
+     * @return string
+     */
+    private function get_status_key(?int $profile_id): string
+    {
+        return $profile_id
+            ? 'ewheel_importer_sync_status_' . $profile_id
+            : 'ewheel_importer_sync_status';
+    }
+}
@@ -0,0 +1,309 @@
+<?php
+/**
+ * Sync Rollback.
+ *
+ * @package Trotibike\EwheelImporter
+ */
+
+namespace Trotibike\EwheelImporter\Sync;
+
+use Trotibike\EwheelImporter\Log\PersistentLogger;
+
+/**
+ * Restores the product values a finished sync run overwrote.
+ *
+ * Runs in the background through Action Scheduler, a few products per
+ * action, like SyncBatchProcessor. Fields edited again after the run are
+ * left alone, and products the run created are kept.
+ */
+class SyncRollback
+{
+    /**
+     * Action Scheduler hook that processes one rollback batch.
+     */
+    public const BATCH_HOOK = 'ewheel_importer_rollback_batch';
+
+    /**
+     * Products restored per action.
+     */
+    private const BATCH_SIZE = 20;
+
+    /**
+     * Status option key prefix.
+     */
+    private const STATUS_KEY_PREFIX = 'ewheel_importer_rollback_';
+
+    /**
+     * Start rolling back a sync run.
+     *
+     * @param string $sync_id Sync ID.
+     * @return array Rollback status.
+     * @throws \RuntimeException If the run cannot be rolled back.
+     */
+    public function start(string $sync_id): array
+    {
+        $record = SyncHistoryManager::get($sync_id);
+        if (!$record) {
+            throw new \RuntimeException(__('Sync run not found.', 'ewheel-importer'));
+        }
+
+        if (in_array($record['status'], [SyncHistoryManager::STATUS_RUNNING, SyncHistoryManager::STATUS_PAUSED], true)) {
+            throw new \RuntimeException(__('A sync run can only be rolled back once it has finished.', 'ewheel-importer'));
+        }
+
+        // A sync writing products at the same time would fight the rollback
+        if (SyncHistoryManager::has_running_sync()) {
+            throw new \RuntimeException(__('Wait for the running sync to finish before rolling back.', 'ewheel-importer'));
+        }
+
+        $status = $this->get_status($sync_id);
+        if ($status && $status['status'] === SyncHistoryManager::ROLLBACK_RUNNING) {
+            throw new \RuntimeException(__('This run is already being rolled back.', 'ewheel-importer'));
+        }
+
+        $total = SyncHistoryManager::get_snapshot_count($sync_id);
+        if ($total === 0) {
+            throw new \RuntimeException(__('This run did not change any existing products, or its details were already pruned.', 'ewheel-importer'));
+        }
+
+        $status = [
+            'status' => SyncHistoryManager::ROLLBACK_RUNNING,
+            'total' => $total,
+            'processed' => 0,
+            'restored' => 0,
+            'conflicts' => 0,
+            'failed' => 0,
+            'started_at' => time(),
+            'last_update' => time(),
+        ];
+        update_option($this->get_status_key($sync_id), $status, false);
+
+        SyncHistoryManager::update($sync_id, ['rollback_status' => SyncHistoryManager::ROLLBACK_RUNNING]);
+
+        $profile_id = SyncHistoryManager::get_profile_id($sync_id);
+        PersistentLogger::info(sprintf('Rollback started for %d updated products', $total), null, $sync_id, $profile_id);
+
+        as_schedule_single_action(
+            time(),
+            self::BATCH_HOOK,
+            [
+                'sync_id' => $sync_id,
+                'offset' => 0,
+            ]
+        );
+
+        return $status;
+    }
+
+    /**
+     * Get the rollback status of a run.
+     *
+     * @param string $sync_id Sync ID.
+     * @return array|null Status, null when the run was never rolled back.
+     */
+    public function get_status(string $sync_id): ?array
+    {
+        $status = get_option($this->get_status_key($sync_id), null);
+
+        return is_array($status) ? $status : null;
+    }
+
+    /**
+     * Restore one batch of products, then schedule the next.
+     *
+     * @param string $sync_id Sync ID.
+     * @param int    $offset  Offset into the run's snapshot.
+     * @return void
+     */
+    public function process_batch(string $sync_id, int $offset = 0): void
+    {
+        $status = $this->get_status($sync_id);
+        if (!$status || $status['status'] !== SyncHistoryManager::ROLLBACK_RUNNING) {
+            return;
+        }
+
+        $profile_id = SyncHistoryManager::get_profile_id($sync_id);
+
+        try {
+            $items = SyncHistoryManager::get_snapshot($sync_id, self::BATCH_SIZE, $offset);
+
+            foreach ($items as $item) {
+                $product = wc_get_product($item['product_id']);
+                if (!$product) {
+                    $status['failed']++;
+                    PersistentLogger::warning('Rollback: product no longer exists', $item['sku'], $sync_id, $profile_id);
+                    continue;
+                }
+
+                $result = $this->restore_product($product, $item['changes']);
+
+                if (!empty($result['restored'])) {
+                    $status['restored']++;
+                    PersistentLogger::info(
+                        'Rollback: restored ' . implode(', ', $result['restored']),
+                        $item['sku'],
+                        $sync_id,
+                        $profile_id
+                    );
+                }
+
+                if (!empty($result['conflicts'])) {
+                    $status['conflicts']++;
+                    PersistentLogger::warning(
+                        'Rollback: kept ' . implode(', ', $result['conflicts']) . ' (changed after the sync)',
+                        $item['sku'],
+                        $sync_id,
+                        $profile_id
+                    );
+                }
+            }
+
+            // Unchanged items are counted too, so offsets stay in step with the item log
+            $status['processed'] = min($status['total'], $offset + self::BATCH_SIZE);
+            $status['last_update'] = time();
+
+            if ($offset + self::BATCH_SIZE >= $status['total']) {
+                $this->finish($sync_id, $status, $profile_id);
+                return;
+            }
+
+            update_option($this->get_status_key($sync_id), $status, false);
+
+            as_schedule_single_action(
+                time() + 2,
+                self::BATCH_HOOK,
+                [
+                    'sync_id' => $sync_id,
+                    'offset' => $offset + self::BATCH_SIZE,
+                ]
+            );
+        } catch (\Throwable $e) {
+            $status['status'] = SyncHistoryManager::ROLLBACK_FAILED;
+            $status['error'] = $e->getMessage();
+            update_option($this->get_status_key($sync_id), $status, false);
+
+            SyncHistoryManager::update($sync_id, ['rollback_status' => SyncHistoryManager::ROLLBACK_FAILED]);
+            PersistentLogger::error('Rollback failed: ' . $e->getMessage(), null, $sync_id, $profile_id);
+        }
+    }
+
+    /**
+     * Put back the old values of a product's recorded changes.
+     *
+     * A field is only restored while it still holds the value the run
+     * wrote; anything edited since is reported as a conflict instead.
+     *
+     * @param \WC_Product $product The product.
+     * @param array       $changes Recorded changes as [field => ['old' => mixed, 'new' => mixed]].
+     * @return array ['restored' => string[], 'conflicts' => string[]].
+     */
+    public function restore_product(\WC_Product $product, array $changes): array
+    {
+        $current = $product->get_data();
+        $restored = [];
+        $conflicts = [];
+
+        foreach ($changes as $field => $change) {
+            $setter = 'set_' . $field;
+            if (!is_array($change) || !array_key_exists('old', $change) || !is_callable([$product, $setter])) {
+                continue;
+            }
+
+            if (SyncItemLog::normalize_value($current[$field] ?? null) !== ($change['new'] ?? null)) {
+                $conflicts[] = $field;
+                continue;
+            }
+
+            $value = $change['old'];
+            if ($field === 'attributes' && is_array($value)) {
+                $value = $this->build_attributes($value);
+            }
+
+            $product->$setter($value);
+            $restored[] = $field;
+        }
+
+        if (!empty($restored)) {
+            $product->save();
+        }
+
+        return [
+            'restored' => $restored,
+            'conflicts' => $conflicts,
+        ];
+    }
+
+    /**
+     * Turn recorded product attributes back into attribute objects.
+     *
+     * Variation attributes are plain [slug => value] pairs and are returned as-is.
+     *
+     * @param array $attributes Recorded attributes.
+     * @return array
+     */
+    private function build_attributes(array $attributes): array
+    {
+        $built = [];
+
+        foreach ($attributes as $key => $data) {
+            if (!is_array($data) || !isset($data['name'])) {
+                $built[$key] = $data;
+                continue;
+            }
+
+            $attribute = new \WC_Product_Attribute();
+            $attribute->set_id((int) ($data['id'] ?? 0));
+            $attribute->set_name($data['name']);
+            $attribute->set_options($data['options'] ?? []);
+            $attribute->set_position((int) ($data['position'] ?? 0));
+            $attribute->set_visible(!empty($data['visible']));
+            $attribute->set_variation(!empty($data['variation']));
+            $built[$key] = $attribute;
+        }
+
+        return $built;
+    }
+
+    /**
+     * Mark a rollback as finished.
+     *
+     * @param string   $sync_id    Sync ID.
+     * @param array    $status     Rollback status.
+     * @param int|null $profile_id Profile ID.
+     * @return void
+     */
+    private function finish(string $sync_id, array $status, ?int $profile_id): void
+    {
+        $status['status'] = SyncHistoryManager::ROLLBACK_COMPLETED;
+        $status['completed_at'] = time();
+        update_option($this->get_status_key($sync_id), $status, false);
+
+        SyncHistoryManager::update($sync_id, [
+            'rollback_status' => SyncHistoryManager::ROLLBACK_COMPLETED,
+            'rolled_back_at' => current_time('mysql'),
+        ]);
+
+        PersistentLogger::success(
+            sprintf(
+                'Rollback complete: %d restored, %d with conflicts, %d failed',
+                $status['restored'],
+                $status['conflicts'],
+                $status['failed']
+            ),
+            null,
+            $sync_id,
+            $profile_id
+        );
+    }
+
+    /**
+     * Get the status option key for a run.
+     *
+     * @param string $sync_id Sync ID.
+     * @return string
+     */
+    private function get_status_key(string $sync_id): string
+    {
+        return self::STATUS_KEY_PREFIX . $sync_id;
+    }
+}
@@ -0,0 +1,388 @@
+<?php
+/**
+ * Variation Groups.
+ *
+ * @package Trotibike\EwheelImporter
+ */
+
+namespace Trotibike\EwheelImporter\Sync;
+
+use Trotibike\EwheelImporter\Log\PersistentLogger;
+
+/**
+ * Lists how imported products are grouped per reference base and keeps the
+ * grouping overrides syncs apply.
+ *
+ * A reference base is the ewheel reference without its variant suffix
+ * (ProductTransformer::extract_reference_base()). An override can force
+ * the variation mode of the group, split variant SKUs out as standalone
+ * simple products, or merge the group's variants into the variable product
+ * of another reference base. Overrides take effect on the next sync of the
+ * group.
+ */
+class VariationGroups
+{
+    /**
+     * Option holding the overrides, keyed by reference base.
+     */
+    public const OPTION = 'ewheel_importer_variation_overrides';
+
+    /**
+     * Forced variation modes ('' follows the settings).
+     */
+    public const MODE_VARIABLE = 'variable';
+    public const MODE_SIMPLE = 'simple';
+
+    /**
+     * Most groups returned per page by get_groups().
+     */
+    public const MAX_PER_PAGE = 100;
+
+    /**
+     * Get all overrides.
+     *
+     * @return array<string, array> Reference base => override (see get_override()).
+     */
+    public function get_overrides(): array
+    {
+        $overrides = get_option(self::OPTION, []);
+        if (!is_array($overrides)) {
+            return [];
+        }
+
+        $normalized = [];
+        foreach ($overrides as $base => $override) {
+            $normalized[(string) $base] = $this->normalize(is_array($override) ? $override : []);
+        }
+
+        return $normalized;
+    }
+
+    /**
+     * Get the override of a reference base.
+     *
+     * @param string $base Reference base.
+     * @return array {
+     *     @type string $mode       MODE_VARIABLE, MODE_SIMPLE or '' to follow the settings.
+     *     @type array  $split      Variant SKUs imported as standalone simple products.
+     *     @type string $merge_into Reference base whose variable product gets this group's variants, or ''.
+     * }
+     */
+    public function get_override(string $base): array
+    {
+        return $this->get_overrides()[$base] ?? $this->normalize([]);
+    }
+
+    /**
+     * Get the reference bases merged into a group.
+     *
+     * @param string $base Reference base.
+     * @return array Reference bases.
+     */
+    public function get_merged_from(string $base): array
+    {
+        $merged = [];
+        foreach ($this->get_overrides() as $source => $override) {
+            if ($override['merge_into'] === $base) {
+                $merged[] = (string) $source;
+            }
+        }
+
+        return $merged;
+    }
+
+    /**
+     * Save the override of a reference base.
+     *
+     * An override without a mode, split SKUs or merge target is removed.
+     *
+     * @param string $base     Reference base.
+     * @param array  $override Override (see get_override()).
+     * @return array The saved override.
+     * @throws \RuntimeException On an invalid mode or merge target.
+     */
+    public function save_override(string $base, array $override): array
+    {
+        $base = trim($base);
+        if ($base === '') {
+            throw new \RuntimeException(__('Reference base is required.', 'ewheel-importer'));
+        }
+
+        $mode = (string) ($override['mode'] ?? '');
+        if (!in_array($mode, ['', self::MODE_VARIABLE, self::MODE_SIMPLE], true)) {
+            throw new \RuntimeException(__('Unknown variation mode.', 'ewheel-importer'));
+        }
+
+        $override = $this->normalize($override);
+        $overrides = $this->get_overrides();
+
+        if ($override['merge_into'] !== '') {
+            if ($override['merge_into'] === $base) {
+                throw new \RuntimeException(__('A group cannot be merged into itself.', 'ewheel-importer'));
+            }
+
+            // One level only: the target keeps its own product, merged groups keep none
+            if (($overrides[$override['merge_into']]['merge_into'] ?? '') !== '') {
+                throw new \RuntimeException(__('The target group is itself merged into another group.', 'ewheel-importer'));
+            }
+
+            if (!empty($this->get_merged_from($base))) {
+                throw new \RuntimeException(__('Other groups are merged into this group; unmerge them first.', 'ewheel-importer'));
+            }
+        }
+
+        if ($override['mode'] === '' && empty($override['split']) && $override['merge_into'] === '') {
+            $this->delete_override($base);
+            return $override;
+        }
+
+        $overrides[$base] = $override;
+        update_option(self::OPTION, $overrides, false);
+
+        PersistentLogger::info(
+            sprintf(
+                'Variation override saved for %s: mode=%s, split=%s, merge_into=%s',
+                $base,
+                $override['mode'] ?: 'settings',
+                implode(',', $override['split']) ?: 'none',
+                $override['merge_into'] ?: 'none'
+            ),
+            $base
+        );
+
+        return $override;
+    }
+
+    /**
+     * Remove the override of a reference base.
+     *
+     * @param string $base Reference base.
+     * @return bool True if an override was removed.
+     */
+    public function delete_override(string $base): bool
+    {
+        $overrides = get_option(self::OPTION, []);
+        if (!is_array($overrides) || !isset($overrides[$base])) {
+            return false;
+        }
+
+        unset($overrides[$base]);
+        update_option(self::OPTION, $overrides, false);
+
+        PersistentLogger::info(sprintf('Variation override removed for %s', $base), $base);
+
+        return true;
+    }
+
+    /**
+     * List the reference bases of imported products.
+     *
+     * @param string $search     Only bases containing this text.
+     * @param bool   $overridden Only bases with an override.
+     * @param int    $page       Page number, from 1.
+     * @param int    $per_page   Groups per page.
+     * @return array {
+     *     @type int   $total  Matching groups.
+     *     @type array $groups Rows with base, products, variations, override and merged_from.
+     * }
+     */
+    public function get_groups(string $search = '', bool $overridden = false, int $page = 1, int $per_page = 20): array
+    {
+        global $wpdb;
+
+        $overrides = $this->get_overrides();
+        $per_page = max(1, min(self::MAX_PER_PAGE, $per_page));
+        $offset = (max(1, $page) - 1) * $per_page;
+
+        $where = "pm.meta_key = '_ewheel_reference_base' AND pm.meta_value != ''";
+        $args = [];
+
+        if ($search !== '') {
+            $where .= ' AND pm.meta_value LIKE %s';
+            $args[] = '%' . $wpdb->esc_like($search) . '%';
+        }
+
+        if ($overridden) {
+            if (empty($overrides)) {
+                return ['total' => 0, 'groups' => []];
+            }
+
+            $where .= ' AND pm.meta_value IN (' . implode(',', array_fill(0, count($overrides), '%s')) . ')';
+            $args = array_merge($args, array_map('strval', array_keys($overrides)));
+        }
+
+        $from = "FROM {$wpdb->postmeta} pm
+                 INNER JOIN {$wpdb->posts} p ON p.ID = pm.post_id
+                    AND p.post_type = 'product'
+                    AND p.post_status != 'trash'";
+
+        $count_sql = "SELECT COUNT(DISTINCT pm.meta_value) {$from} WHERE {$where}";
+        $total = (int) $wpdb->get_var($args ? $wpdb->prepare($count_sql, $args) : $count_sql);
+
+        $rows = $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT pm.meta_value AS base,
+                        COUNT(DISTINCT p.ID) AS products,
+                        COUNT(v.ID) AS variations
+                 {$from}
+                 LEFT JOIN {$wpdb->posts} v ON v.post_parent = p.ID
+                    AND v.post_type = 'product_variation'
+                    AND v.post_status != 'trash'
+                 WHERE {$where}
+                 GROUP BY pm.meta_value
+                 ORDER BY pm.meta_value ASC
+                 LIMIT %d OFFSET %d",
+                array_merge($args, [$per_page, $offset])
+            ),
+            ARRAY_A
+        ) ?: [];
+
+        $groups = [];
+        foreach ($rows as $row) {
+            $base = (string) $row['base'];
+            $groups[] = [
+                'base' => $base,
+                'products' => (int) $row['products'],
+                'variations' => (int) $row['variations'],
+                'override' => $overrides[$base] ?? null,
+                'merged_from' => $this->get_merged_from($base),
+            ];
+        }
+
+        return [
+            'total' => $total,
+            'groups' => $groups,
+        ];
+    }
+
+    /**
+     * Get the products of a reference base with their variations.
+     *
+     * @param string $base Reference base.
+     * @return array {
+     *     @type string $base        Reference base.
+     *     @type string $reference   Ewheel reference to sync the group by, '' when not imported.
+     *     @type array  $override    Override (see get_override()).
+     *     @type array  $merged_from Reference bases merged into this group.
+     *     @type array  $products    Products with attributes and variation rows.
+     * }
+     */
+    public function get_group(string $base): array
+    {
+        global $wpdb;
+
+        $product_ids = array_map('intval', $wpdb->get_col(
+            $wpdb->prepare(
+                "SELECT p.ID
+                 FROM {$wpdb->postmeta} pm
+                 INNER JOIN {$wpdb->posts} p ON p.ID = pm.post_id
+                 WHERE pm.meta_key = '_ewheel_reference_base'
+                 AND pm.meta_value = %s
+                 AND p.post_type = 'product'
+                 AND p.post_status != 'trash'
+                 ORDER BY p.ID ASC",
+                $base
+            )
+        ) ?: []);
+
+        $reference = '';
+        $products = [];
+
+        foreach ($product_ids as $product_id) {
+            $product = wc_get_product($product_id);
+            if (!$product) {
+                continue;
+            }
+
+            if ($reference === '') {
+                $reference = (string) $product->get_meta('_ewheel_reference');
+            }
+
+            $variations = [];
+            if ($product->is_type('variable')) {
+                foreach ($product->get_children() as $variation_id) {
+                    $variation = wc_get_product($variation_id);
+                    if ($variation) {
+                        $variations[] = $this->format_row($variation);
+                    }
+                }
+            }
+
+            $attributes = [];
+            foreach ($product->get_attributes() as $attribute) {
+                if ($attribute->get_variation()) {
+                    $attributes[] = [
+                        'name' => wc_attribute_label($attribute->get_name()),
+                        'slug' => sanitize_title($attribute->get_name()),
+                        'options' => $attribute->is_taxonomy()
+                            ? wc_get_product_terms($product_id, $attribute->get_name(), ['fields' => 'names'])
+                            : $attribute->get_options(),
+                    ];
+                }
+            }
+
+            $products[] = $this->format_row($product) + [
+                'type' => $product->get_type(),
+                'name' => $product->get_name(),
+                'status' => $product->get_status(),
+                'attributes' => $attributes,
+                'variations' => $variations,
+            ];
+        }
+
+        return [
+            'base' => $base,
+            'reference' => $reference,
+            'override' => $this->get_override($base),
+            'merged_from' => $this->get_merged_from($base),
+            'products' => $products,
+        ];
+    }
+
+    /**
+     * Format the price and stock of a product or variation.
+     *
+     * @param \WC_Product $product Product or variation.
+     * @return array
+     */
+    private function format_row(\WC_Product $product): array
+    {
+        $attributes = [];
+        if ($product->is_type('variation')) {
+            foreach ($product->get_attributes() as $slug => $value) {
+                $attributes[$slug] = (string) $value;
+            }
+        }
+
+        return [
+            'id' => $product->get_id(),
+            'sku' => $product->get_sku(),
+            'attributes' => $attributes,
+            'regular_price' => (string) $product->get_regular_price(),
+            'sale_price' => (string) $product->get_sale_price(),
+            'stock_quantity' => $product->get_stock_quantity(),
+            'stock_status' => $product->get_stock_status(),
+            'edit_url' => (string) get_edit_post_link($product->get_parent_id() ?: $product->get_id(), 'raw'),
+        ];
+    }
+
+    /**
+     * Fill in defaults and clean an override.
+     *
+     * @param array $override Raw override.
+     * @return array
+     */
+    private function normalize(array $override): array
+    {
+        $split = array_map('strval', (array) ($override['split'] ?? []));
+        $split = array_values(array_unique(array_filter(array_map('trim', $split), 'strlen')));
+
+        $mode = (string) ($override['mode'] ?? '');
+
+        return [
+            'mode' => in_array($mode, [self::MODE_VARIABLE, self::MODE_SIMPLE], true) ? $mode : '',
+            'split' => $split,
+            'merge_into' => trim((string) ($override['merge_into'] ?? '')),
+        ];
+    }
+}
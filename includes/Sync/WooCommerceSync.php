@@ -9,6 +9,7 @@ namespace Trotibike\EwheelImporter\Sync;
 
 use Trotibike\EwheelImporter\Api\EwheelApiClient;
 use Trotibike\EwheelImporter\Config\Configuration;
+use Trotibike\EwheelImporter\Config\ProfileConfiguration;
 use Trotibike\EwheelImporter\Log\PersistentLogger;
 use Trotibike\EwheelImporter\Service\BrandService;
 use Trotibike\EwheelImporter\Service\ModelService;
@@ -66,11 +67,18 @@ class WooCommerceSync
     private $variation_service;
 
     /**
-     * Image Service.
+     * Image Queue.
      *
-     * @var \Trotibike\EwheelImporter\Service\ImageService
+     * @var \Trotibike\EwheelImporter\Service\ImageQueue
      */
-    private $image_service;
+    private $image_queue;
+
+    /**
+     * Image URLs of the product being saved that still have to be downloaded.
+     *
+     * @var array
+     */
+    private array $missing_images = [];
 
     /**
      * Category Repository.
@@ -107,6 +115,20 @@ class WooCommerceSync
      */
     private ?ProductLookupCache $lookup_cache = null;
 
+    /**
+     * Sync run the current batch belongs to (items are only recorded when set).
+     *
+     * @var string|null
+     */
+    private ?string $sync_id = null;
+
+    /**
+     * Profile of the current sync run.
+     *
+     * @var int|null
+     */
+    private ?int $profile_id = null;
+
     /**
      * Constructor.
      *
@@ -115,7 +137,7 @@ class WooCommerceSync
      * @param \Trotibike\EwheelImporter\Repository\CategoryRepository $category_repository Category repository.
      * @param \Trotibike\EwheelImporter\Service\AttributeService  $attribute_service   Attribute service.
      * @param \Trotibike\EwheelImporter\Service\VariationService  $variation_service   Variation service.
-     * @param \Trotibike\EwheelImporter\Service\ImageService      $image_service       Image service.
+     * @param \Trotibike\EwheelImporter\Service\ImageQueue        $image_queue         Image queue.
      * @param BrandService                                        $brand_service       Brand service.
      * @param ModelService                                        $model_service       Model service.
      * @param Configuration                                       $config              Configuration.
@@ -127,7 +149,7 @@ class WooCommerceSync
         \Trotibike\EwheelImporter\Repository\CategoryRepository $category_repository,
         \Trotibike\EwheelImporter\Service\AttributeService $attribute_service,
         \Trotibike\EwheelImporter\Service\VariationService $variation_service,
-        \Trotibike\EwheelImporter\Service\ImageService $image_service,
+        \Trotibike\EwheelImporter\Service\ImageQueue $image_queue,
         BrandService $brand_service,
         ModelService $model_service,
         Configuration $config,
@@ -138,7 +160,7 @@ class WooCommerceSync
         $this->category_repository = $category_repository;
         $this->attribute_service = $attribute_service;
         $this->variation_service = $variation_service;
-        $this->image_service = $image_service;
+        $this->image_queue = $image_queue;
         $this->brand_service = $brand_service;
         $this->model_service = $model_service;
         $this->config = $config;
@@ -157,6 +179,21 @@ class WooCommerceSync
         $this->lookup_cache = $cache;
     }
 
+    /**
+     * Set the sync run that following batches belong to.
+     *
+     * Products are then logged against the run and recorded in the
+     * SyncItemLog with the fields that changed.
+     *
+     * @param string|null $sync_id    Sync ID (null to stop recording).
+     * @param int|null    $profile_id Profile ID.
+     */
+    public function set_run_context(?string $sync_id, ?int $profile_id = null): void
+    {
+        $this->sync_id = $sync_id;
+        $this->profile_id = $profile_id;
+    }
+
     /**
      * Sync all categories from ewheel.es.
      *
@@ -466,13 +503,20 @@ class WooCommerceSync
      * Process a batch of raw Ewheel products.
      *
      * @param array      $ewheel_products Array of raw ewheel products.
-     * @param mixed|null $profile_config  Optional profile configuration (for future use).
+     * @param mixed|null $profile_config  Optional profile configuration; its brand filters are applied.
      * @return array Batch results.
      */
     public function process_ewheel_products_batch(array $ewheel_products, $profile_config = null): array
     {
         PersistentLogger::info("process_ewheel_products_batch called with " . count($ewheel_products) . " products");
 
+        if ($profile_config instanceof ProfileConfiguration) {
+            $ewheel_products = $this->filter_brands($ewheel_products, $profile_config->get_filters());
+        }
+
+        // Attribute slugs and frequencies for the Attributes tab
+        $this->transformer->record_attribute_usage($ewheel_products);
+
         // Load category map for this batch
         if ($this->category_repository) {
             $category_map = $this->category_repository->get_combined_mapping();
@@ -543,6 +587,14 @@ class WooCommerceSync
                 $transformed_products = $this->transformer->transform($raw_product);
             } catch (\Throwable $e) {
                 $results['errors']++;
+                PersistentLogger::error(
+                    "Failed to transform product {$raw_ref}: " . $e->getMessage(),
+                    $raw_ref,
+                    $this->sync_id,
+                    $this->profile_id,
+                    PersistentLogger::exception_context($e) + ['payload' => $raw_product]
+                );
+                $this->record_item($raw_ref, SyncItemLog::ACTION_FAILED, [], null, $e->getMessage(), $raw_ref);
                 continue;
             }
 
@@ -557,7 +609,7 @@ class WooCommerceSync
                         $results['created']++;
                     } elseif ($result === 'updated') {
                         $results['updated']++;
-                    } else {
+                    } elseif ($result !== 'skipped') {
                         $results['errors']++;
                     }
                 } catch (\Throwable $e) {
@@ -580,6 +632,40 @@ class WooCommerceSync
         return $results;
     }
 
+    /**
+     * Drop products of brands the profile does not import.
+     *
+     * Filtered products are recorded as skipped; they are neither created
+     * nor updated, and products imported earlier are left as they are.
+     *
+     * @param array $ewheel_products Raw ewheel products.
+     * @param array $filters         Profile filters.
+     * @return array The products to import.
+     */
+    private function filter_brands(array $ewheel_products, array $filters): array
+    {
+        if (empty($filters[BrandService::FILTER_INCLUDE]) && empty($filters[BrandService::FILTER_EXCLUDE])) {
+            return $ewheel_products;
+        }
+
+        $kept = [];
+        foreach ($ewheel_products as $raw_product) {
+            $brand = (string) ($this->transformer->extract_pipe_attributes($raw_product)['brand'] ?? '');
+
+            if ($this->brand_service->is_brand_allowed($brand, $filters)) {
+                $kept[] = $raw_product;
+                continue;
+            }
+
+            $raw_ref = (string) ($raw_product['reference'] ?? ($raw_product['Reference'] ?? ''));
+            $message = sprintf('Brand "%s" is filtered out by the profile', $brand !== '' ? $brand : '-');
+            PersistentLogger::info($message, $raw_ref, $this->sync_id, $this->profile_id);
+            $this->record_item($raw_ref, SyncItemLog::ACTION_SKIPPED, [], null, $message, $raw_ref);
+        }
+
+        return $kept;
+    }
+
     /**
      * Process a batch of products.
      *
@@ -600,7 +686,7 @@ class WooCommerceSync
                 $results['created']++;
             } elseif ($result === 'updated') {
                 $results['updated']++;
-            } else {
+            } elseif ($result !== 'skipped') {
                 $results['errors']++;
             }
         }
@@ -627,11 +713,17 @@ class WooCommerceSync
      * Sync a single product.
      *
      * @param array $product_data The WooCommerce product data.
-     * @return string Result: 'created', 'updated', or 'error'.
+     * @return string Result: 'created', 'updated', 'skipped', or 'error'.
      */
     private function sync_single_product(array $product_data): string
     {
+        if (!empty($product_data['_merge_into'])) {
+            return $this->merge_into_group($product_data);
+        }
+
         $sku = $product_data['sku'] ?? '';
+        $reference = $this->get_meta_value($product_data, '_ewheel_reference');
+        $item_sku = $sku !== '' ? $sku : $reference;
 
         // Check if product exists by SKU — use cache if available
         if (!empty($sku)) {
@@ -647,13 +739,37 @@ class WooCommerceSync
             $existing_id = $this->find_product_by_ewheel_reference($product_data);
         }
 
-        PersistentLogger::info("sync_single_product - SKU: {$sku}, existing_id: " . ($existing_id ?: 'none'));
+        // The group changed shape (grouping override or variation mode): a variation now
+        // imported as a simple product is trashed, and simple products found by reference
+        // do not become the variable product (their SKUs move to its variations instead)
+        $is_variable = ($product_data['type'] ?? 'simple') === 'variable';
+        $existing_type = $existing_id ? \WC_Product_Factory::get_product_type($existing_id) : '';
+
+        if ($existing_type === 'variation' && !$is_variable) {
+            $this->variation_service->remove_variation(new \WC_Product_Variation($existing_id));
+            if ($this->lookup_cache) {
+                $this->lookup_cache->remove_sku($sku);
+            }
+            $existing_id = 0;
+        } elseif ($existing_id && $is_variable && $existing_type !== 'variable') {
+            $existing_id = 0;
+        }
+
+        PersistentLogger::info("sync_single_product - SKU: {$sku}, existing_id: " . ($existing_id ?: 'none'), $item_sku, $this->sync_id, $this->profile_id);
 
         try {
             if ($existing_id) {
-                $this->update_product($existing_id, $product_data);
+                $changes = $this->update_product($existing_id, $product_data);
                 $this->record_in_cache($existing_id, $product_data);
-                PersistentLogger::info("Product updated - ID: {$existing_id}, SKU: {$sku}");
+                PersistentLogger::info("Product updated - ID: {$existing_id}, SKU: {$sku}", $item_sku, $this->sync_id, $this->profile_id);
+                $this->record_item(
+                    $item_sku,
+                    empty($changes) ? SyncItemLog::ACTION_SKIPPED : SyncItemLog::ACTION_UPDATED,
+                    $changes,
+                    $existing_id,
+                    '',
+                    $reference
+                );
                 return 'updated';
             } else {
                 // Before creating, check for parent relationship
@@ -668,7 +784,8 @@ class WooCommerceSync
 
                 $new_id = $this->create_product($product_data);
                 $this->record_in_cache($new_id, $product_data);
-                PersistentLogger::info("Product created - ID: {$new_id}, SKU: {$sku}");
+                PersistentLogger::info("Product created - ID: {$new_id}, SKU: {$sku}", $item_sku, $this->sync_id, $this->profile_id);
+                $this->record_item($item_sku, SyncItemLog::ACTION_CREATED, [], $new_id, '', $reference);
                 return 'created';
             }
         } catch (\Exception $e) {
@@ -677,13 +794,149 @@ class WooCommerceSync
             if (class_exists(\Trotibike\EwheelImporter\Log\PersistentLogger::class)) {
                 \Trotibike\EwheelImporter\Log\PersistentLogger::error(
                     'Failed to sync product: ' . $e->getMessage(),
-                    $sku
+                    $item_sku,
+                    $this->sync_id,
+                    $this->profile_id,
+                    \Trotibike\EwheelImporter\Log\PersistentLogger::exception_context($e)
                 );
             }
+            $this->record_item($item_sku, SyncItemLog::ACTION_FAILED, [], $existing_id ?: null, $e->getMessage(), $reference);
+            return 'error';
+        }
+    }
+
+    /**
+     * Add the variations of a merged group to the variable product of its target group.
+     *
+     * @param array $product_data Variable product data tagged with '_merge_into'.
+     * @return string Result: 'updated', 'skipped' (target not imported yet), or 'error'.
+     */
+    private function merge_into_group(array $product_data): string
+    {
+        $target_base = (string) $product_data['_merge_into'];
+        $reference = $this->get_meta_value($product_data, '_ewheel_reference');
+        $target_id = $this->find_variable_product_by_base($target_base);
+
+        if (!$target_id) {
+            $message = sprintf('Merge target %s is not imported yet; the group is synced once it is', $target_base);
+            PersistentLogger::warning($message, $reference, $this->sync_id, $this->profile_id);
+            $this->record_item($reference, SyncItemLog::ACTION_SKIPPED, [], null, $message, $reference);
+            return 'skipped';
+        }
+
+        try {
+            // Only the variation attributes: the target keeps its own specs
+            $variation_attributes = array_values(array_filter(
+                $product_data['attributes'] ?? [],
+                fn($attribute) => !empty($attribute['variation'])
+            ));
+
+            $target = wc_get_product($target_id);
+            $this->attribute_service->add_product_attributes($target, $variation_attributes);
+            $target->save();
+
+            $results = $this->variation_service->update_variations($target_id, $product_data['variations'] ?? [], $variation_attributes);
+            foreach ($results as $variation_sku => $result) {
+                $this->record_item((string) $variation_sku, $result['action'], $result['changes'], $result['product_id'], '', $reference);
+            }
+
+            WC_Product_Variable::sync($target_id);
+
+            PersistentLogger::info(
+                sprintf('Group %s merged into product %d (%s): %d variations', $reference, $target_id, $target_base, count($results)),
+                $reference,
+                $this->sync_id,
+                $this->profile_id
+            );
+            return 'updated';
+        } catch (\Exception $e) {
+            PersistentLogger::error(
+                sprintf('Failed to merge %s into %s: %s', $reference, $target_base, $e->getMessage()),
+                $reference,
+                $this->sync_id,
+                $this->profile_id,
+                PersistentLogger::exception_context($e)
+            );
+            $this->record_item($reference, SyncItemLog::ACTION_FAILED, [], $target_id, $e->getMessage(), $reference);
             return 'error';
         }
     }
 
+    /**
+     * Find the variable product imported for a reference base.
+     *
+     * @param string $base Reference base.
+     * @return int Product ID or 0 if not found.
+     */
+    private function find_variable_product_by_base(string $base): int
+    {
+        global $wpdb;
+
+        $product_ids = $wpdb->get_col(
+            $wpdb->prepare(
+                "SELECT pm.post_id FROM {$wpdb->postmeta} pm
+                INNER JOIN {$wpdb->posts} p ON p.ID = pm.post_id
+                WHERE pm.meta_key = '_ewheel_reference_base'
+                AND pm.meta_value = %s
+                AND p.post_type = 'product'
+                AND p.post_status != 'trash'
+                ORDER BY p.ID ASC",
+                $base
+            )
+        ) ?: [];
+
+        foreach ($product_ids as $product_id) {
+            if (\WC_Product_Factory::get_product_type((int) $product_id) === 'variable') {
+                return (int) $product_id;
+            }
+        }
+
+        return 0;
+    }
+
+    /**
+     * Record a product in the current run's item log.
+     *
+     * @param string      $sku        SKU (or reference for products without one).
+     * @param string      $action     SyncItemLog action.
+     * @param array       $changes    Changed fields.
+     * @param int|null    $product_id Product ID.
+     * @param string      $message    Optional message.
+     * @param string|null $reference  Ewheel reference.
+     */
+    private function record_item(
+        string $sku,
+        string $action,
+        array $changes = [],
+        ?int $product_id = null,
+        string $message = '',
+        ?string $reference = null
+    ): void {
+        if ($this->sync_id === null) {
+            return;
+        }
+
+        SyncItemLog::record($this->sync_id, $this->profile_id, $sku, $action, $changes, $product_id, $message, $reference ?: null);
+    }
+
+    /**
+     * Get a meta value from transformed product data.
+     *
+     * @param array  $product_data The product data array.
+     * @param string $key          Meta key.
+     * @return string Empty string when not set.
+     */
+    private function get_meta_value(array $product_data, string $key): string
+    {
+        foreach ($product_data['meta_data'] ?? [] as $meta) {
+            if ($meta['key'] === $key) {
+                return (string) $meta['value'];
+            }
+        }
+
+        return '';
+    }
+
     /**
      * Record a product's identifiers in the lookup cache after create/update.
      *
@@ -879,9 +1132,13 @@ class WooCommerceSync
             $product = new \WC_Product_Simple();
         }
 
+        $this->missing_images = [];
         $this->set_product_data($product, $data);
         $product_id = $product->save();
 
+        // Queue images that are not in the media library yet (needs the product ID)
+        $this->image_queue->enqueue($product_id, $this->missing_images, $product->get_name());
+
         // Assign brand taxonomy (must be done after save)
         if (!empty($data['_brand'])) {
             $this->brand_service->assign_brand_to_product($product_id, $data['_brand']);
@@ -904,7 +1161,10 @@ class WooCommerceSync
 
         // Handle variations for variable products
         if ($product_type === 'variable' && !empty($data['variations'])) {
-            $this->variation_service->create_variations($product_id, $data['variations'], $data['attributes'] ?? []);
+            $created = $this->variation_service->create_variations($product_id, $data['variations'], $data['attributes'] ?? []);
+            foreach ($created as $variation_sku => $variation_id) {
+                $this->record_item((string) $variation_sku, SyncItemLog::ACTION_CREATED, [], (int) $variation_id);
+            }
 
             // Sync parent price from variation prices so WooCommerce displays price range
             WC_Product_Variable::sync($product_id);
@@ -918,9 +1178,9 @@ class WooCommerceSync
      *
      * @param int   $product_id The product ID.
      * @param array $data       The product data.
-     * @return void
+     * @return array Fields that changed on the product itself.
      */
-    private function update_product(int $product_id, array $data): void
+    private function update_product(int $product_id, array $data): array
     {
         $product = wc_get_product($product_id);
 
@@ -928,9 +1188,22 @@ class WooCommerceSync
             throw new \RuntimeException('Product not found: ' . $product_id);
         }
 
+        // Variations merged in from other groups use values the feed data of this group does not list
+        $kept_attributes = !empty($data['_keep_variation_options'])
+            ? $this->attribute_service->get_variation_attribute_data($product)
+            : [];
+
+        $this->missing_images = [];
         $this->set_product_data($product, $data);
+        if (!empty($kept_attributes)) {
+            $this->attribute_service->add_product_attributes($product, $kept_attributes);
+        }
+        $changes = SyncItemLog::diff_changes($product->get_data(), $product->get_changes());
         $product->save();
 
+        // Queue images that are not in the media library yet
+        $this->image_queue->enqueue($product_id, $this->missing_images, $product->get_name());
+
         // Assign brand taxonomy (update on sync)
         if (!empty($data['_brand'])) {
             $this->brand_service->assign_brand_to_product($product_id, $data['_brand']);
@@ -953,11 +1226,16 @@ class WooCommerceSync
 
         // Update variations for variable products
         if ($product instanceof \WC_Product_Variable && !empty($data['variations'])) {
-            $this->variation_service->update_variations($product_id, $data['variations'], $data['attributes'] ?? []);
+            $variation_results = $this->variation_service->update_variations($product_id, $data['variations'], $data['attributes'] ?? []);
+            foreach ($variation_results as $variation_sku => $result) {
+                $this->record_item((string) $variation_sku, $result['action'], $result['changes'], $result['product_id']);
+            }
 
             // Sync parent price from variation prices
             WC_Product_Variable::sync($product_id);
         }
+
+        return $changes;
     }
 
     /**
@@ -1020,60 +1298,171 @@ class WooCommerceSync
     }
 
     /**
-     * Reconcile WooCommerce products against API product references.
+     * Update stock and prices of existing products, and nothing else.
      *
-     * Unpublishes (sets to draft) products that no longer exist in the API.
-     * Only affects products that have _ewheel_reference meta (imported products).
+     * Products are only saved when a value really changed; changes are
+     * recorded as items of the current run. Prices are left alone while
+     * price sync protection is on.
      *
-     * @param array $active_references Array of ewheel references currently active in API.
-     * @return array Stats: ['unpublished' => int, 'checked' => int].
+     * @param array $stock_map Stock quantities by SKU (EwheelApiClient::get_stock()).
+     * @param array $price_map Prices by SKU (ProductTransformer::transform_prices()).
+     * @param bool  $dry_run   Count the changes without saving them.
+     * @return array Stats: updated, unchanged, skipped (not in WooCommerce), price_changes
+     *               and status_changes (rows: sku, product_id, name, old, new).
      */
-    public function reconcile_products(array $active_references): array
+    public function sync_stock_and_prices(array $stock_map, array $price_map = [], bool $dry_run = false): array
     {
-        global $wpdb;
+        $sync_protection = $this->config->get('sync_protection') ?: [];
+        if (!empty($sync_protection['price'])) {
+            $price_map = [];
+        }
 
-        // Get all WooCommerce product IDs that have _ewheel_reference meta
-        $ewheel_products = $wpdb->get_results(
-            "SELECT post_id, meta_value FROM {$wpdb->postmeta}
-             WHERE meta_key = '_ewheel_reference'
-             AND meta_value != ''",
-            ARRAY_A
-        );
+        $stats = [
+            'updated' => 0,
+            'unchanged' => 0,
+            'skipped' => 0,
+            'price_changes' => 0,
+            'status_changes' => [],
+        ];
+        $parent_ids = [];
+
+        $skus = array_unique(array_map('strval', array_merge(array_keys($stock_map), array_keys($price_map))));
+
+        foreach ($skus as $sku) {
+            $product_id = $this->lookup_cache
+                ? $this->lookup_cache->find_by_sku($sku)
+                : wc_get_product_id_by_sku($sku);
+            $product = $product_id ? wc_get_product($product_id) : null;
+
+            if (!$product) {
+                $stats['skipped']++;
+                continue;
+            }
+
+            if (isset($stock_map[$sku])) {
+                $stock_qty = (int) $stock_map[$sku];
+                $product->set_manage_stock(true);
+                $product->set_stock_quantity($stock_qty);
+                $product->set_stock_status($stock_qty > 0 ? 'instock' : 'outofstock');
+            }
+
+            if (isset($price_map[$sku])) {
+                $product->set_regular_price($price_map[$sku]['regular_price']);
+                $product->set_sale_price($price_map[$sku]['sale_price']);
+            }
+
+            $changes = SyncItemLog::diff_changes($product->get_data(), $product->get_changes());
+            if (empty($changes)) {
+                $stats['unchanged']++;
+                continue;
+            }
+
+            if (!$dry_run) {
+                $product->save();
+                $this->record_item($sku, SyncItemLog::ACTION_UPDATED, $changes, $product->get_id());
+            }
+            $stats['updated']++;
+
+            if (isset($changes['regular_price']) || isset($changes['sale_price'])) {
+                $stats['price_changes']++;
+            }
+
+            if (isset($changes['stock_status'])) {
+                $stats['status_changes'][] = [
+                    'sku' => $sku,
+                    'product_id' => $product->get_id(),
+                    'name' => $product->get_name(),
+                    'old' => $changes['stock_status']['old'],
+                    'new' => $changes['stock_status']['new'],
+                ];
+            }
+
+            if (!$dry_run && $product->get_parent_id()) {
+                $parent_ids[$product->get_parent_id()] = true;
+            }
+        }
+
+        // Refresh the price range and stock status of variable parents
+        foreach (array_keys($parent_ids) as $parent_id) {
+            WC_Product_Variable::sync($parent_id);
+        }
+
+        return $stats;
+    }
+
+    /**
+     * Reconcile WooCommerce products against API product references.
+     *
+     * Applies the discontinued policy to published products that no longer
+     * exist in the API. Only affects products that have _ewheel_reference
+     * meta (imported products). Products excluded from reconciliation, or
+     * already handled, are left alone; handled products that are back in the
+     * API lose their discontinued state.
+     *
+     * @param array  $active_references Array of ewheel references currently in the API.
+     * @param string $policy            One of the DiscontinuedProducts::POLICY_* constants.
+     * @return array Stats: ['discontinued' => int, 'restored' => int, 'excluded' => int, 'checked' => int,
+     *               'products' => [['product_id' => int, 'reference' => string]]] with the discontinued products.
+     */
+    public function reconcile_products(array $active_references, string $policy = DiscontinuedProducts::POLICY_DRAFT): array
+    {
+        $ewheel_products = DiscontinuedProducts::get_imported_products();
 
         $active_set = array_flip($active_references);
-        $unpublished = 0;
+        $discontinued = 0;
+        $restored = 0;
+        $excluded = 0;
         $checked = count($ewheel_products);
+        $products = [];
 
         foreach ($ewheel_products as $row) {
-            $ref = $row['meta_value'];
             $post_id = (int) $row['post_id'];
 
-            if (isset($active_set[$ref])) {
-                continue; // Still active in API
+            if (isset($active_set[$row['reference']])) {
+                // Still active in API
+                if (!empty($row['action'])) {
+                    DiscontinuedProducts::clear($post_id);
+                    $restored++;
+                }
+                continue;
             }
 
-            // Check current status — only unpublish if currently published
-            $post_status = get_post_status($post_id);
-            if ($post_status === 'publish') {
-                wp_update_post([
-                    'ID' => $post_id,
-                    'post_status' => 'draft',
-                ]);
+            if (!empty($row['excluded'])) {
+                $excluded++;
+                continue;
+            }
 
-                // Track why it was unpublished
-                update_post_meta($post_id, '_ewheel_unpublished_reason', 'removed_from_api');
-                update_post_meta($post_id, '_ewheel_unpublished_at', gmdate('Y-m-d\TH:i:s'));
+            // Only act on published products that were not handled before
+            if (!empty($row['action']) || $row['post_status'] !== 'publish') {
+                continue;
+            }
 
-                $unpublished++;
+            if (DiscontinuedProducts::apply_policy($post_id, $policy)) {
+                $discontinued++;
+                $products[] = ['product_id' => $post_id, 'reference' => (string) $row['reference']];
             }
         }
 
         \Trotibike\EwheelImporter\Log\LiveLogger::log(
-            "Lifecycle reconciliation: {$unpublished} unpublished, {$checked} checked",
-            $unpublished > 0 ? 'warning' : 'success'
+            "Lifecycle reconciliation ({$policy}): {$discontinued} discontinued, {$restored} back in feed, {$excluded} excluded, {$checked} checked",
+            $discontinued > 0 ? 'warning' : 'success'
         );
-
-        return ['unpublished' => $unpublished, 'checked' => $checked];
+        PersistentLogger::info(sprintf(
+            'Lifecycle reconciliation (%s): %d discontinued, %d back in feed, %d excluded, %d checked',
+            $policy,
+            $discontinued,
+            $restored,
+            $excluded,
+            $checked
+        ), null, $this->sync_id, $this->profile_id);
+
+        return [
+            'discontinued' => $discontinued,
+            'restored' => $restored,
+            'excluded' => $excluded,
+            'checked' => $checked,
+            'products' => $products,
+        ];
     }
 
     /**
@@ -1193,37 +1582,19 @@ class WooCommerceSync
     /**
      * Set product images.
      *
+     * Images already in the media library are set right away; the rest are
+     * kept in $missing_images for the image queue, so slow image hosts do
+     * not hold up the batch.
+     *
      * @param \WC_Product $product The product.
      * @param array       $images  Array of image data.
      * @return void
      */
     private function set_product_images(\WC_Product $product, array $images): void
     {
-        $image_ids = [];
-
-        foreach ($images as $image) {
-            $url = $image['src'] ?? '';
-            if (empty($url)) {
-                continue;
-            }
-
-            // Use ImageService to import (with SEO metadata)
-            $attachment_id = $this->image_service->import_from_url($url, [
-                'alt_text' => $product->get_name(),
-                'title'    => $product->get_name(),
-            ]);
+        $urls = array_filter(array_map(fn($image) => $image['src'] ?? '', $images));
 
-            if ($attachment_id) {
-                $image_ids[] = $attachment_id;
-            }
-        }
-
-        if (!empty($image_ids)) {
-            $product->set_image_id($image_ids[0]);
-            if (count($image_ids) > 1) {
-                $product->set_gallery_image_ids(array_slice($image_ids, 1));
-            }
-        }
+        $this->missing_images = $this->image_queue->attach($product, $urls);
     }
 
 
@@ -8,11 +8,15 @@
 namespace Trotibike\EwheelImporter\Translation;
 
 use Trotibike\EwheelImporter\Api\HttpClientInterface;
+use Trotibike\EwheelImporter\Log\PersistentLogger;
 
 /**
  * Translation service using DeepL API.
+ *
+ * The glossary is applied with a native DeepL glossary, created once per
+ * language pair and glossary version. The glossary it replaces is deleted.
  */
-class DeepLTranslateService implements TranslationServiceInterface
+class DeepLTranslateService implements TranslationServiceInterface, GlossaryAwareInterface
 {
 
     /**
@@ -21,6 +25,17 @@ class DeepLTranslateService implements TranslationServiceInterface
     private const API_FREE_ENDPOINT = 'https://api-free.deepl.com/v2/translate';
     private const API_PRO_ENDPOINT = 'https://api.deepl.com/v2/translate';
 
+    /**
+     * DeepL glossary endpoints.
+     */
+    private const GLOSSARY_FREE_ENDPOINT = 'https://api-free.deepl.com/v2/glossaries';
+    private const GLOSSARY_PRO_ENDPOINT = 'https://api.deepl.com/v2/glossaries';
+
+    /**
+     * Option holding the created DeepL glossaries, keyed by language pair.
+     */
+    public const GLOSSARIES_OPTION = 'ewheel_importer_deepl_glossaries';
+
     /**
      * The API key.
      *
@@ -35,6 +50,20 @@ class DeepLTranslateService implements TranslationServiceInterface
      */
     private HttpClientInterface $http_client;
 
+    /**
+     * Glossary entries for the next translations.
+     *
+     * @var array
+     */
+    private array $glossary = [];
+
+    /**
+     * Glossary versions DeepL refused during this request.
+     *
+     * @var array<string, bool>
+     */
+    private array $failed_glossaries = [];
+
     /**
      * Constructor.
      *
@@ -47,6 +76,17 @@ class DeepLTranslateService implements TranslationServiceInterface
         $this->http_client = $http_client;
     }
 
+    /**
+     * Set the glossary used by the next translations.
+     *
+     * @param array $entries Glossary entries (source, target, case_sensitive).
+     * @return void
+     */
+    public function set_glossary(array $entries): void
+    {
+        $this->glossary = $entries;
+    }
+
     /**
      * Translate text.
      *
@@ -86,6 +126,11 @@ class DeepLTranslateService implements TranslationServiceInterface
             'target_lang' => strtoupper($target_lang),
         ];
 
+        $glossary_id = $this->get_glossary_id($source_lang, $target_lang);
+        if ($glossary_id !== '') {
+            $body['glossary_id'] = $glossary_id;
+        }
+
         try {
             // DeepL expects form-url-encoded or JSON. Using request params directly via HttpClient if possible,
             // but our HttpClient sends JSON body by default in post(). DeepL accepts JSON.
@@ -115,4 +160,110 @@ class DeepLTranslateService implements TranslationServiceInterface
             );
         }
     }
+
+    /**
+     * Get the DeepL glossary for the current entries, creating it when needed.
+     *
+     * DeepL glossaries can't be edited, so a changed glossary gets a new one
+     * and the old one is deleted from the account. When DeepL refuses it (unsupported language pair, account limits) the
+     * text is translated without it and Translator falls back to placeholders.
+     *
+     * @param string $source_lang The source language code.
+     * @param string $target_lang The target language code.
+     * @return string Glossary ID, empty without a glossary.
+     */
+    private function get_glossary_id(string $source_lang, string $target_lang): string
+    {
+        if (empty($this->glossary)) {
+            return '';
+        }
+
+        $lines = [];
+        foreach ($this->glossary as $entry) {
+            $source = (string) ($entry['source'] ?? '');
+            $target = (string) ($entry['target'] ?? '') !== '' ? (string) $entry['target'] : $source;
+            if ($source !== '') {
+                $lines[] = $source . "\t" . $target;
+            }
+        }
+
+        $pair = strtolower($source_lang) . '-' . strtolower($target_lang);
+        $entries = implode("\n", $lines);
+        $hash = md5($this->api_key . '|' . $pair . '|' . $entries);
+
+        $glossaries = get_option(self::GLOSSARIES_OPTION, []);
+        if (!is_array($glossaries)) {
+            $glossaries = [];
+        }
+
+        if (($glossaries[$pair]['hash'] ?? '') === $hash && !empty($glossaries[$pair]['id'])) {
+            return (string) $glossaries[$pair]['id'];
+        }
+
+        if (isset($this->failed_glossaries[$hash])) {
+            return '';
+        }
+
+        $endpoint = strpos($this->api_key, ':fx') !== false
+            ? self::GLOSSARY_FREE_ENDPOINT
+            : self::GLOSSARY_PRO_ENDPOINT;
+
+        try {
+            $response = $this->http_client->post($endpoint, [
+                'name' => 'Ewheel Importer ' . $pair . ' ' . gmdate('Y-m-d H:i'),
+                'source_lang' => strtolower($source_lang),
+                'target_lang' => strtolower($target_lang),
+                'entries' => $entries,
+                'entries_format' => 'tsv',
+            ], [
+                'Authorization' => 'DeepL-Auth-Key ' . $this->api_key,
+                'Content-Type' => 'application/json',
+            ]);
+
+            if (empty($response['glossary_id'])) {
+                throw new \RuntimeException('Invalid response from DeepL API');
+            }
+        } catch (\Exception $e) {
+            $this->failed_glossaries[$hash] = true;
+            PersistentLogger::warning(sprintf('[Translation] DeepL glossary for %s could not be created: %s', $pair, $e->getMessage()));
+            return '';
+        }
+
+        $old_id = (string) ($glossaries[$pair]['id'] ?? '');
+        if ($old_id !== '' && $old_id !== (string) $response['glossary_id']) {
+            $this->delete_glossary($endpoint, $old_id, $pair);
+        }
+
+        $glossaries[$pair] = [
+            'id' => (string) $response['glossary_id'],
+            'hash' => $hash,
+            'entries' => count($lines),
+            'created_at' => time(),
+        ];
+        update_option(self::GLOSSARIES_OPTION, $glossaries, false);
+
+        PersistentLogger::info(sprintf('[Translation] DeepL glossary created for %s with %d entries', $pair, count($lines)));
+
+        return (string) $response['glossary_id'];
+    }
+
+    /**
+     * Delete a replaced glossary, so they don't pile up in the DeepL account.
+     *
+     * @param string $endpoint    Glossary endpoint.
+     * @param string $glossary_id ID of the replaced glossary.
+     * @param string $pair        Language pair, for the log.
+     * @return void
+     */
+    private function delete_glossary(string $endpoint, string $glossary_id, string $pair): void
+    {
+        try {
+            $this->http_client->delete($endpoint . '/' . rawurlencode($glossary_id), [
+                'Authorization' => 'DeepL-Auth-Key ' . $this->api_key,
+            ]);
+        } catch (\Exception $e) {
+            // Already deleted in the account, or created with another API key
+            PersistentLogger::warning(sprintf('[Translation] Old DeepL glossary for %s could not be deleted: %s', $pair, $e->getMessage()));
+        }
+    }
 }
@@ -0,0 +1,24 @@
+<?php
+/**
+ * Glossary Aware Interface.
+ *
+ * @package Trotibike\EwheelImporter
+ */
+
+namespace Trotibike\EwheelImporter\Translation;
+
+/**
+ * Interface for translation services that apply a glossary themselves
+ * (DeepL glossaries, LLM prompts). Translator uses placeholders for the rest.
+ */
+interface GlossaryAwareInterface {
+
+    /**
+     * Set the glossary used by the next translations.
+     *
+     * @param array $entries Glossary entries with source, target ('' to keep the
+     *                       source term) and case_sensitive. Empty to clear it.
+     * @return void
+     */
+    public function set_glossary( array $entries ): void;
+}
@@ -12,8 +12,10 @@ use Trotibike\EwheelImporter\Log\PersistentLogger;
 
 /**
  * Service to translate text using OpenRouter (LLMs).
+ *
+ * The glossary is applied by adding the terms a request uses to its prompt.
  */
-class OpenRouterTranslateService implements TranslationServiceInterface
+class OpenRouterTranslateService implements TranslationServiceInterface, GlossaryAwareInterface
 {
 
     /**
@@ -65,6 +67,13 @@ class OpenRouterTranslateService implements TranslationServiceInterface
      */
     private HttpClientInterface $http_client;
 
+    /**
+     * Glossary entries for the next translations.
+     *
+     * @var array
+     */
+    private array $glossary = [];
+
     /**
      * Constructor.
      *
@@ -85,6 +94,17 @@ class OpenRouterTranslateService implements TranslationServiceInterface
         }
     }
 
+    /**
+     * Set the glossary used by the next translations.
+     *
+     * @param array $entries Glossary entries (source, target, case_sensitive).
+     * @return void
+     */
+    public function set_glossary(array $entries): void
+    {
+        $this->glossary = $entries;
+    }
+
     /**
      * Check if the model is a slow reasoning model.
      *
@@ -122,7 +142,8 @@ class OpenRouterTranslateService implements TranslationServiceInterface
             return $text;
         }
 
-        $system_prompt = $this->build_translation_prompt($source_lang, $target_lang);
+        $system_prompt = $this->build_translation_prompt($source_lang, $target_lang)
+            . $this->build_glossary_prompt([$text]);
 
         $body = [
             'model' => $this->model,
@@ -203,7 +224,8 @@ class OpenRouterTranslateService implements TranslationServiceInterface
         }
         $input_text = implode("\n", $numbered_input);
 
-        $system_prompt = $this->build_batch_translation_prompt($source_lang, $target_lang, $count);
+        $system_prompt = $this->build_batch_translation_prompt($source_lang, $target_lang, $count)
+            . $this->build_glossary_prompt($texts);
 
         $body = [
             'model' => $this->model,
@@ -387,6 +409,48 @@ Translate {$count} items from {$source_lang} to {$target_lang}.
 Input is a numbered list. Return the same numbered format with translations only.";
     }
 
+    /**
+     * Build the glossary part of a prompt from the terms the texts use.
+     *
+     * The glossary comes last so it overrides the built-in term list.
+     *
+     * @param array $texts Texts being translated.
+     * @return string Prompt text, empty when no glossary term occurs.
+     */
+    private function build_glossary_prompt(array $texts): string
+    {
+        $haystack = implode("\n", $texts);
+        $forced = [];
+        $protected = [];
+
+        foreach ($this->glossary as $entry) {
+            $source = (string) ($entry['source'] ?? '');
+            if ($source === '' || stripos($haystack, $source) === false) {
+                continue;
+            }
+
+            if ((string) ($entry['target'] ?? '') !== '') {
+                $forced[] = "- {$source} → {$entry['target']}";
+            } else {
+                $protected[] = "- {$source}";
+            }
+        }
+
+        $prompt = '';
+
+        if (!empty($forced)) {
+            $prompt .= "\n\nGLOSSARY (mandatory, overrides any other rule): always translate these terms exactly like this:\n"
+                . implode("\n", $forced);
+        }
+
+        if (!empty($protected)) {
+            $prompt .= "\n\nDO NOT TRANSLATE: keep these terms exactly as written, including spelling and capitalization:\n"
+                . implode("\n", $protected);
+        }
+
+        return $prompt;
+    }
+
     /**
      * Build translation prompt with language-specific grammar rules.
      *
@@ -0,0 +1,548 @@
+<?php
+/**
+ * Translation Glossary.
+ *
+ * @package Trotibike\EwheelImporter
+ */
+
+namespace Trotibike\EwheelImporter\Translation;
+
+use Trotibike\EwheelImporter\Log\PersistentLogger;
+use Trotibike\EwheelImporter\Repository\TranslationRepository;
+
+/**
+ * Keeps the glossary edited in the Translations tab and applies it to texts.
+ *
+ * An entry is either a protected term, kept exactly as written (brand names,
+ * model codes), or a forced pair whose source term always becomes the given
+ * target term. Terms match whole words, case-insensitively unless the entry
+ * says otherwise. Translator enforces the glossary for every driver; this
+ * class does the matching, the placeholder protection and the cache report.
+ */
+class TranslationGlossary
+{
+    /**
+     * Option holding the entries, keyed by lowercased source term.
+     */
+    public const OPTION = 'ewheel_importer_translation_glossary';
+
+    /**
+     * Most glossary entries.
+     */
+    public const MAX_ENTRIES = 1000;
+
+    /**
+     * Columns of the CSV import/export.
+     */
+    public const CSV_COLUMNS = ['source', 'target', 'case_sensitive'];
+
+    /**
+     * Import line errors returned to the admin.
+     */
+    public const MAX_IMPORT_ERRORS = 20;
+
+    /**
+     * Flagged translations returned by the cache check.
+     */
+    public const MAX_REPORT_ROWS = 200;
+
+    /**
+     * Rows read per query by the cache check.
+     */
+    private const SCAN_PAGE_SIZE = 500;
+
+    /**
+     * The translation repository.
+     *
+     * @var TranslationRepository
+     */
+    private TranslationRepository $repository;
+
+    /**
+     * Entries loaded during this request, longest source term first.
+     *
+     * @var array|null
+     */
+    private ?array $entries = null;
+
+    /**
+     * Constructor.
+     *
+     * @param TranslationRepository $repository The translation repository.
+     */
+    public function __construct(TranslationRepository $repository)
+    {
+        $this->repository = $repository;
+    }
+
+    /**
+     * Get the glossary entries, longest source term first.
+     *
+     * Longer terms go first so "Kukirin G2 Pro" wins over "Kukirin".
+     *
+     * @return array List of entries with source, target ('' for protected terms) and case_sensitive.
+     */
+    public function get_entries(): array
+    {
+        if ($this->entries !== null) {
+            return $this->entries;
+        }
+
+        $stored = get_option(self::OPTION, []);
+        $entries = [];
+
+        foreach (is_array($stored) ? $stored : [] as $entry) {
+            $entry = $this->normalize(is_array($entry) ? $entry : []);
+            if ($entry['source'] !== '') {
+                $entries[self::key($entry['source'])] = $entry;
+            }
+        }
+
+        $this->entries = $this->sort(array_values($entries));
+
+        return $this->entries;
+    }
+
+    /**
+     * Save a glossary entry, replacing the entry with the same source term.
+     *
+     * @param array  $entry    Entry (source, target, case_sensitive).
+     * @param string $original Source term of the entry being edited, when it changed.
+     * @return array The saved entry.
+     * @throws \RuntimeException On a missing or over-long term, or a full glossary.
+     */
+    public function save_entry(array $entry, string $original = ''): array
+    {
+        $entry = $this->normalize($entry);
+        $this->validate($entry);
+
+        $entries = $this->get_keyed_entries();
+        if ($original !== '') {
+            unset($entries[self::key($original)]);
+        }
+
+        $entries[self::key($entry['source'])] = $entry;
+
+        if (count($entries) > self::MAX_ENTRIES) {
+            throw new \RuntimeException(
+                sprintf(__('The glossary can hold at most %d terms.', 'ewheel-importer'), self::MAX_ENTRIES)
+            );
+        }
+
+        $this->store($entries);
+
+        PersistentLogger::info(sprintf(
+            'Glossary term saved: %s → %s',
+            $entry['source'],
+            $entry['target'] !== '' ? $entry['target'] : '(protected)'
+        ));
+
+        return $entry;
+    }
+
+    /**
+     * Remove a glossary entry.
+     *
+     * @param string $source Source term.
+     * @return bool True if an entry was removed.
+     */
+    public function delete_entry(string $source): bool
+    {
+        $entries = $this->get_keyed_entries();
+        $key = self::key($source);
+
+        if (!isset($entries[$key])) {
+            return false;
+        }
+
+        unset($entries[$key]);
+        $this->store($entries);
+
+        PersistentLogger::info(sprintf('Glossary term removed: %s', trim($source)));
+
+        return true;
+    }
+
+    /**
+     * Write the glossary as CSV.
+     *
+     * @param resource $output Writable stream.
+     * @return int Rows written.
+     */
+    public function export_csv($output): int
+    {
+        fputcsv($output, self::CSV_COLUMNS);
+
+        $entries = $this->get_entries();
+        usort($entries, fn($a, $b) => strcasecmp($a['source'], $b['source']));
+
+        foreach ($entries as $entry) {
+            fputcsv($output, [$entry['source'], $entry['target'], $entry['case_sensitive'] ? '1' : '0']);
+        }
+
+        return count($entries);
+    }
+
+    /**
+     * Import a glossary CSV.
+     *
+     * Rows need a source column; an empty target makes the term protected.
+     * Imported terms replace entries with the same source term.
+     *
+     * @param string $csv     CSV text with a header row.
+     * @param bool   $replace True to drop the terms missing from the file.
+     * @return array {
+     *     @type int   $imported    Terms saved.
+     *     @type int   $removed     Terms dropped (replace only).
+     *     @type int   $error_count Rows that were skipped.
+     *     @type array $errors      The first MAX_IMPORT_ERRORS of them, as line and message.
+     * }
+     * @throws \RuntimeException If the header lacks a source column or the glossary would be too big.
+     */
+    public function import_csv(string $csv, bool $replace = false): array
+    {
+        $stream = fopen('php://temp', 'r+');
+        fwrite($stream, preg_replace('/^\xEF\xBB\xBF/', '', $csv));
+        rewind($stream);
+
+        $header = fgetcsv($stream);
+        $columns = is_array($header) ? array_map(fn($column) => strtolower(trim((string) $column)), $header) : [];
+
+        $source_col = array_search('source', $columns, true);
+        $target_col = array_search('target', $columns, true);
+        $case_col = array_search('case_sensitive', $columns, true);
+
+        if ($source_col === false) {
+            fclose($stream);
+            throw new \RuntimeException(__('The CSV needs a source column, and optionally target and case_sensitive columns.', 'ewheel-importer'));
+        }
+
+        $imported = [];
+        $errors = [];
+        $line = 1;
+
+        while (($row = fgetcsv($stream)) !== false) {
+            $line++;
+
+            if ($row === [null] || implode('', $row) === '') {
+                continue;
+            }
+
+            $entry = $this->normalize([
+                'source' => $row[$source_col] ?? '',
+                'target' => $target_col !== false ? ($row[$target_col] ?? '') : '',
+                'case_sensitive' => $case_col !== false && in_array(strtolower(trim((string) ($row[$case_col] ?? ''))), ['1', 'yes', 'true'], true),
+            ]);
+
+            try {
+                $this->validate($entry);
+            } catch (\RuntimeException $e) {
+                $errors[] = ['line' => $line, 'message' => $e->getMessage()];
+                continue;
+            }
+
+            $imported[self::key($entry['source'])] = $entry;
+        }
+
+        fclose($stream);
+
+        $current = $this->get_keyed_entries();
+        $entries = $replace ? $imported : array_merge($current, $imported);
+        $removed = $replace ? count(array_diff_key($current, $imported)) : 0;
+
+        if (count($entries) > self::MAX_ENTRIES) {
+            throw new \RuntimeException(
+                sprintf(__('The glossary can hold at most %d terms.', 'ewheel-importer'), self::MAX_ENTRIES)
+            );
+        }
+
+        $this->store($entries);
+
+        PersistentLogger::info(sprintf(
+            'Glossary imported (%s): %d terms, %d removed, %d rows skipped',
+            $replace ? 'replace' : 'add',
+            count($imported),
+            $removed,
+            count($errors)
+        ));
+
+        return [
+            'imported' => count($imported),
+            'removed' => $removed,
+            'error_count' => count($errors),
+            'errors' => array_slice($errors, 0, self::MAX_IMPORT_ERRORS),
+        ];
+    }
+
+    /**
+     * Get the entries whose source term occurs in any of the texts.
+     *
+     * @param array $texts Source texts.
+     * @return array Matching entries, longest source term first.
+     */
+    public function find_terms(array $texts): array
+    {
+        $found = [];
+
+        foreach ($this->get_entries() as $entry) {
+            foreach ($texts as $text) {
+                if (preg_match($this->pattern($entry), (string) $text)) {
+                    $found[] = $entry;
+                    break;
+                }
+            }
+        }
+
+        return $found;
+    }
+
+    /**
+     * Swap the glossary terms of a text for placeholders a driver leaves alone.
+     *
+     * @param string $text Source text.
+     * @return array {
+     *     @type string $text   Text with [[n]] placeholders.
+     *     @type array  $tokens Placeholder number => text to put back.
+     * }
+     */
+    public function protect(string $text): array
+    {
+        $tokens = [];
+
+        foreach ($this->get_entries() as $entry) {
+            $text = preg_replace_callback($this->pattern($entry), function (array $match) use ($entry, &$tokens) {
+                $tokens[] = $this->replacement($entry, $match[0]);
+                return '[[' . (count($tokens) - 1) . ']]';
+            }, $text);
+        }
+
+        return [
+            'text' => $text,
+            'tokens' => $tokens,
+        ];
+    }
+
+    /**
+     * Put the glossary terms back in place of the placeholders.
+     *
+     * Drivers sometimes add spaces inside the brackets, so those still match.
+     *
+     * @param string $text   Translated text.
+     * @param array  $tokens Placeholder number => text, from protect().
+     * @return string
+     */
+    public function restore(string $text, array $tokens): string
+    {
+        return preg_replace_callback(
+            '/\[\[\s*(\d+)\s*\]\]/',
+            fn(array $match) => $tokens[(int) $match[1]] ?? $match[0],
+            $text
+        );
+    }
+
+    /**
+     * Find the glossary terms a translation does not follow.
+     *
+     * A term is broken when it occurs in the source text but its target (or,
+     * for a protected term, the term itself) is missing from the translation.
+     *
+     * @param string $source     Source text.
+     * @param string $translated Translated text.
+     * @return array List of ['source' => term, 'expected' => text that should appear].
+     */
+    public function find_violations(string $source, string $translated): array
+    {
+        $violations = [];
+
+        foreach ($this->get_entries() as $entry) {
+            if (!preg_match($this->pattern($entry), $source, $match)) {
+                continue;
+            }
+
+            $expected = $entry['target'] !== '' ? $entry['target'] : $match[0];
+
+            if (!preg_match($this->pattern(['source' => $expected] + $entry), $translated)) {
+                $violations[] = ['source' => $match[0], 'expected' => $expected];
+            }
+        }
+
+        return $violations;
+    }
+
+    /**
+     * Check the cached title and description translations against the glossary.
+     *
+     * @return array {
+     *     @type int   $checked         Translations checked.
+     *     @type int   $violation_count Translations breaking the glossary.
+     *     @type array $violations      The first MAX_REPORT_ROWS of them, as cache rows
+     *                                  with the broken terms under 'terms'.
+     * }
+     */
+    public function check_cache(): array
+    {
+        $report = ['checked' => 0, 'violation_count' => 0, 'violations' => []];
+
+        if (empty($this->get_entries())) {
+            return $report;
+        }
+
+        $offset = 0;
+
+        do {
+            $rows = $this->repository->find_entries([
+                'limit' => self::SCAN_PAGE_SIZE,
+                'offset' => $offset,
+            ]);
+
+            foreach ($rows as $row) {
+                $report['checked']++;
+
+                $terms = $this->find_violations((string) $row['source_text'], (string) $row['translated_text']);
+                if (empty($terms)) {
+                    continue;
+                }
+
+                $report['violation_count']++;
+                if (count($report['violations']) < self::MAX_REPORT_ROWS) {
+                    $report['violations'][] = $row + ['terms' => $terms];
+                }
+            }
+
+            $offset += self::SCAN_PAGE_SIZE;
+        } while (count($rows) === self::SCAN_PAGE_SIZE);
+
+        return $report;
+    }
+
+    /**
+     * Get the text a matched term becomes.
+     *
+     * A forced target starts with a capital when the matched term does, so a
+     * title starting with the term still starts with a capital.
+     *
+     * @param array  $entry Entry.
+     * @param string $match Matched source text.
+     * @return string
+     */
+    private function replacement(array $entry, string $match): string
+    {
+        if ($entry['target'] === '') {
+            return $match;
+        }
+
+        if ($entry['case_sensitive'] || !preg_match('/^\p{Lu}/u', $match) || !function_exists('mb_strtoupper')) {
+            return $entry['target'];
+        }
+
+        return mb_strtoupper(mb_substr($entry['target'], 0, 1, 'UTF-8'), 'UTF-8') . mb_substr($entry['target'], 1, null, 'UTF-8');
+    }
+
+    /**
+     * Get the entries keyed by lowercased source term.
+     *
+     * @return array
+     */
+    private function get_keyed_entries(): array
+    {
+        $entries = [];
+        foreach ($this->get_entries() as $entry) {
+            $entries[self::key($entry['source'])] = $entry;
+        }
+
+        return $entries;
+    }
+
+    /**
+     * Save the entries and reset the loaded list.
+     *
+     * @param array $entries Entries keyed by lowercased source term.
+     * @return void
+     */
+    private function store(array $entries): void
+    {
+        update_option(self::OPTION, $entries, false);
+        $this->entries = null;
+    }
+
+    /**
+     * Check an entry can be saved.
+     *
+     * @param array $entry Normalized entry.
+     * @return void
+     * @throws \RuntimeException On a missing or over-long term.
+     */
+    private function validate(array $entry): void
+    {
+        if ($entry['source'] === '') {
+            throw new \RuntimeException(__('Glossary term is required.', 'ewheel-importer'));
+        }
+
+        if (strlen($entry['source']) > 200 || strlen($entry['target']) > 200) {
+            throw new \RuntimeException(__('Glossary terms may be at most 200 characters long.', 'ewheel-importer'));
+        }
+    }
+
+    /**
+     * Clean an entry.
+     *
+     * Tabs and line breaks are collapsed, as the DeepL glossary is sent as TSV.
+     *
+     * @param array $entry Raw entry.
+     * @return array
+     */
+    private function normalize(array $entry): array
+    {
+        $clean = fn($value) => trim((string) preg_replace('/\s+/u', ' ', (string) $value));
+
+        $source = $clean($entry['source'] ?? '');
+        $target = $clean($entry['target'] ?? '');
+
+        return [
+            'source' => $source,
+            // A target equal to the source is just a protected term
+            'target' => $target === $source ? '' : $target,
+            'case_sensitive' => !empty($entry['case_sensitive']),
+        ];
+    }
+
+    /**
+     * Sort entries longest source term first.
+     *
+     * @param array $entries Entries.
+     * @return array
+     */
+    private function sort(array $entries): array
+    {
+        usort($entries, function ($a, $b) {
+            return [strlen($b['source']), $a['source']] <=> [strlen($a['source']), $b['source']];
+        });
+
+        return $entries;
+    }
+
+    /**
+     * Build the whole-word pattern of an entry's source term.
+     *
+     * @param array $entry Entry.
+     * @return string
+     */
+    private function pattern(array $entry): string
+    {
+        return '/(?<![\p{L}\p{N}])' . preg_quote($entry['source'], '/') . '(?![\p{L}\p{N}])/u'
+            . ($entry['case_sensitive'] ? '' : 'i');
+    }
+
+    /**
+     * Get the storage key of a source term.
+     *
+     * @param string $source Source term.
+     * @return string
+     */
+    private static function key(string $source): string
+    {
+        $source = trim((string) preg_replace('/\s+/u', ' ', $source));
+
+        return function_exists('mb_strtolower') ? mb_strtolower($source, 'UTF-8') : strtolower($source);
+    }
+}
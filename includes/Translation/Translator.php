@@ -42,18 +42,27 @@ class Translator
      */
     private string $target_language;
 
+    /**
+     * The glossary enforced on new translations.
+     *
+     * @var TranslationGlossary|null
+     */
+    private ?TranslationGlossary $glossary;
+
     /**
      * Constructor.
      *
      * @param TranslationServiceInterface $translation_service The translation service.
      * @param TranslationRepository       $repository          The translation repository.
      * @param string                      $target_language     The target language code (e.g., 'ro').
+     * @param TranslationGlossary|null    $glossary            The glossary to enforce, if any.
      * @throws \InvalidArgumentException If target language is empty.
      */
     public function __construct(
         TranslationServiceInterface $translation_service,
         TranslationRepository $repository,
-        string $target_language
+        string $target_language,
+        ?TranslationGlossary $glossary = null
     ) {
         if (empty(trim($target_language))) {
             throw new \InvalidArgumentException('Target language is required');
@@ -62,6 +71,7 @@ class Translator
         $this->translation_service = $translation_service;
         $this->repository = $repository;
         $this->target_language = $target_language;
+        $this->glossary = $glossary;
     }
 
     /**
@@ -69,9 +79,10 @@ class Translator
      *
      * @param string $text        The text to translate.
      * @param string $source_lang The source language code.
+     * @param string $context     What the text is (TranslationRepository::CONTEXT_*), empty when unknown.
      * @return string The translated text.
      */
-    public function translate(string $text, string $source_lang): string
+    public function translate(string $text, string $source_lang, string $context = ''): string
     {
         $text = trim($text);
 
@@ -101,16 +112,17 @@ class Translator
         $cached = $this->repository->get($text, $source_lang, $this->target_language);
         if ($cached !== null && $cached !== $text) {
             // Cache hit with a real translation (not the original text)
+            if ($context !== '') {
+                $this->repository->set_context($text, $source_lang, $this->target_language, $context);
+            }
             return $cached;
         }
 
         // Cache miss OR stale entry (cached value === source text from a previous failure)
         try {
-            $translated = $this->translation_service->translate(
-                $text,
-                $source_lang,
-                $this->target_language
-            );
+            $translated = $this->translate_with_glossary([$text], $source_lang, function (array $texts) use ($source_lang) {
+                return [$this->translation_service->translate($texts[0], $source_lang, $this->target_language)];
+            })[0] ?? '';
 
             // Fallback: return original if translation failed or returned empty
             if (empty($translated)) {
@@ -124,7 +136,8 @@ class Translator
                     $translated,
                     $source_lang,
                     $this->target_language,
-                    $this->get_service_name()
+                    $this->get_service_name(),
+                    $context
                 );
             }
 
@@ -138,10 +151,11 @@ class Translator
     /**
      * Translate multilingual text object.
      *
-     * @param array $multilingual_text Array with language codes as keys.
+     * @param array  $multilingual_text Array with language codes as keys.
+     * @param string $context           What the text is (TranslationRepository::CONTEXT_*), empty when unknown.
      * @return string The translated text.
      */
-    public function translate_multilingual(array $multilingual_text): string
+    public function translate_multilingual(array $multilingual_text, string $context = ''): string
     {
         if (empty($multilingual_text)) {
             return '';
@@ -166,7 +180,7 @@ class Translator
                 foreach ($translations as $t) {
                     if (isset($t['reference']) && $t['reference'] === $lang && !empty($t['value'])) {
                         // Translate from this source language
-                        return $this->translate($t['value'], $lang);
+                        return $this->translate($t['value'], $lang, $context);
                     }
                 }
             }
@@ -175,7 +189,7 @@ class Translator
             $first = reset($translations);
             if ($first && isset($first['value']) && !empty($first['value'])) {
                 $source = $first['reference'] ?? 'auto';
-                return $this->translate($first['value'], $source);
+                return $this->translate($first['value'], $source, $context);
             }
 
             return '';
@@ -203,7 +217,7 @@ class Translator
             $text = $multilingual_text[$source_lang];
         }
 
-        return $this->translate($text, $source_lang);
+        return $this->translate($text, $source_lang, $context);
     }
 
     /**
@@ -211,9 +225,10 @@ class Translator
      *
      * @param array  $texts       Array of texts to translate.
      * @param string $source_lang The source language code.
+     * @param string $context     What the texts are (TranslationRepository::CONTEXT_*), empty when unknown.
      * @return array Array of translated texts.
      */
-    public function translate_batch(array $texts, string $source_lang): array
+    public function translate_batch(array $texts, string $source_lang, string $context = ''): array
     {
         if (empty($texts)) {
             return [];
@@ -250,10 +265,10 @@ class Translator
 
         if (!empty($to_translate)) {
             try {
-                $translated_batch = $this->translation_service->translate_batch(
+                $translated_batch = $this->translate_with_glossary(
                     $to_translate,
                     $source_lang,
-                    $this->target_language
+                    fn(array $batch) => $this->translation_service->translate_batch($batch, $source_lang, $this->target_language)
                 );
 
                 foreach ($translated_batch as $index => $translated_text) {
@@ -269,7 +284,8 @@ class Translator
                             $translated_text,
                             $source_lang,
                             $this->target_language,
-                            $this->get_service_name()
+                            $this->get_service_name(),
+                            $context
                         );
                     }
                 }
@@ -285,6 +301,144 @@ class Translator
         return array_values($final_results);
     }
 
+    /**
+     * Translate texts again with the current driver, ignoring the cache.
+     *
+     * New translations replace cached ones unless those were approved.
+     *
+     * @param array  $texts       Source texts.
+     * @param string $source_lang The source language code.
+     * @param string $context     What the texts are (TranslationRepository::CONTEXT_*).
+     * @return array Translations in the order of $texts.
+     * @throws \RuntimeException If the driver fails.
+     */
+    public function retranslate(array $texts, string $source_lang, string $context = ''): array
+    {
+        $texts = array_values($texts);
+        if (empty($texts)) {
+            return [];
+        }
+
+        $translated = $this->translate_with_glossary(
+            $texts,
+            $source_lang,
+            fn(array $batch) => $this->translation_service->translate_batch($batch, $source_lang, $this->target_language)
+        );
+
+        foreach ($texts as $index => $text) {
+            if (isset($translated[$index]) && $translated[$index] !== '' && $translated[$index] !== $text) {
+                $this->repository->save(
+                    $text,
+                    $translated[$index],
+                    $source_lang,
+                    $this->target_language,
+                    $this->get_service_name(),
+                    $context
+                );
+            }
+        }
+
+        return array_values($translated);
+    }
+
+    /**
+     * Run texts through the driver with the glossary enforced.
+     *
+     * Drivers that apply a glossary themselves (DeepL, OpenRouter) get it
+     * when the texts use any of its terms. A text they still get wrong is sent again
+     * with its terms swapped for placeholders, which is what the other
+     * drivers get from the start.
+     *
+     * @param array    $texts       Source texts, as a list.
+     * @param string   $source_lang The source language code.
+     * @param callable $driver      Translates a list of texts into a list.
+     * @return array Translations keyed like $texts.
+     */
+    private function translate_with_glossary(array $texts, string $source_lang, callable $driver): array
+    {
+        $terms = $this->glossary ? $this->glossary->find_terms($texts) : [];
+        if (empty($terms)) {
+            return $driver($texts);
+        }
+
+        if (!$this->translation_service instanceof GlossaryAwareInterface) {
+            return $this->translate_protected($texts, $driver);
+        }
+
+        // The whole glossary, so DeepL can reuse one glossary per language pair
+        $this->translation_service->set_glossary($this->glossary->get_entries());
+        try {
+            $translated = $driver($texts);
+        } finally {
+            $this->translation_service->set_glossary([]);
+        }
+
+        $retry = [];
+        foreach ($texts as $index => $text) {
+            if (isset($translated[$index]) && $this->glossary->find_violations($text, $translated[$index])) {
+                $retry[$index] = $text;
+            }
+        }
+
+        if (empty($retry)) {
+            return $translated;
+        }
+
+        PersistentLogger::info(sprintf(
+            '[Translation] %d of %d texts broke the glossary (%s from %s), translating them again with placeholders',
+            count($retry),
+            count($texts),
+            $this->get_service_name(),
+            $source_lang
+        ));
+
+        $fixed = $this->translate_protected(array_values($retry), $driver);
+        foreach (array_keys($retry) as $position => $index) {
+            if (isset($fixed[$position])) {
+                $translated[$index] = $fixed[$position];
+            }
+        }
+
+        return $translated;
+    }
+
+    /**
+     * Translate texts with their glossary terms swapped for placeholders.
+     *
+     * @param array    $texts  Source texts, as a list.
+     * @param callable $driver Translates a list of texts into a list.
+     * @return array Translations keyed like $texts; texts the driver skipped are left out.
+     */
+    private function translate_protected(array $texts, callable $driver): array
+    {
+        $protected = array_map([$this->glossary, 'protect'], $texts);
+        $results = [];
+        $pending = [];
+
+        foreach ($protected as $index => $item) {
+            // A text made only of glossary terms needs no driver
+            if (!preg_match('/\p{L}/u', preg_replace('/\[\[\d+\]\]/', '', $item['text']))) {
+                $results[$index] = $this->glossary->restore($item['text'], $item['tokens']);
+            } else {
+                $pending[$index] = $item['text'];
+            }
+        }
+
+        if (!empty($pending)) {
+            $translated = $driver(array_values($pending));
+
+            foreach (array_keys($pending) as $position => $index) {
+                if (isset($translated[$position])) {
+                    $results[$index] = $this->glossary->restore((string) $translated[$position], $protected[$index]['tokens']);
+                }
+            }
+        }
+
+        ksort($results);
+
+        return $results;
+    }
+
     /**
      * Get the service name for the database.
      *
@@ -297,6 +451,8 @@ class Translator
             return 'google';
         } elseif (strpos($class, 'DeepL') !== false) {
             return 'deepl';
+        } elseif (strpos($class, 'OpenRouter') !== false) {
+            return 'openrouter';
         }
         return 'unknown';
     }
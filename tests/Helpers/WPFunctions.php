@@ -1,6 +1,6 @@
 <?php
 /**
- * WordPress function stubs for testing without WordPress.
+ * WordPress function and class stubs for testing without WordPress.
  */
 
 if ( ! function_exists( 'esc_html' ) ) {
@@ -151,3 +151,110 @@ if ( ! function_exists( 'current_time' ) ) {
         }
     }
 }
+
+if ( ! class_exists( 'WP_Error' ) ) {
+    class WP_Error {
+        public $errors = [];
+        public $error_data = [];
+
+        public function __construct( $code = '', $message = '', $data = '' ) {
+            if ( '' === $code ) {
+                return;
+            }
+            $this->errors[ $code ][] = $message;
+            if ( '' !== $data ) {
+                $this->error_data[ $code ] = $data;
+            }
+        }
+
+        public function get_error_code() {
+            $codes = array_keys( $this->errors );
+            return $codes[0] ?? '';
+        }
+
+        public function get_error_message( $code = '' ) {
+            $code = $code ?: $this->get_error_code();
+            return $this->errors[ $code ][0] ?? '';
+        }
+
+        public function get_error_data( $code = '' ) {
+            $code = $code ?: $this->get_error_code();
+            return $this->error_data[ $code ] ?? null;
+        }
+    }
+}
+
+if ( ! class_exists( 'WP_REST_Request' ) ) {
+    class WP_REST_Request implements ArrayAccess {
+        private $params = [];
+
+        public function __construct( $method = '', $route = '' ) {
+        }
+
+        public function get_param( $key ) {
+            return $this->params[ $key ] ?? null;
+        }
+
+        public function get_params() {
+            return $this->params;
+        }
+
+        public function set_param( $key, $value ) {
+            $this->params[ $key ] = $value;
+        }
+
+        public function has_param( $key ) {
+            return array_key_exists( $key, $this->params );
+        }
+
+        #[\ReturnTypeWillChange]
+        public function offsetExists( $offset ) {
+            return $this->has_param( $offset );
+        }
+
+        #[\ReturnTypeWillChange]
+        public function offsetGet( $offset ) {
+            return $this->get_param( $offset );
+        }
+
+        #[\ReturnTypeWillChange]
+        public function offsetSet( $offset, $value ) {
+            $this->set_param( $offset, $value );
+        }
+
+        #[\ReturnTypeWillChange]
+        public function offsetUnset( $offset ) {
+            unset( $this->params[ $offset ] );
+        }
+    }
+}
+
+if ( ! class_exists( 'WP_REST_Response' ) ) {
+    class WP_REST_Response {
+        private $data;
+        private $status;
+
+        public function __construct( $data = null, $status = 200 ) {
+            $this->data   = $data;
+            $this->status = $status;
+        }
+
+        public function get_data() {
+            return $this->data;
+        }
+
+        public function get_status() {
+            return $this->status;
+        }
+
+        public function set_status( $status ) {
+            $this->status = $status;
+        }
+    }
+}
+
+if ( ! function_exists( 'rest_ensure_response' ) ) {
+    function rest_ensure_response( $response ) {
+        return $response instanceof WP_REST_Response || $response instanceof WP_Error ? $response : new WP_REST_Response( $response );
+    }
+}
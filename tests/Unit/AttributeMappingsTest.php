@@ -0,0 +1,119 @@
+<?php
+/**
+ * Tests for AttributeMappings.
+ *
+ * @package Trotibike\EwheelImporter\Tests\Unit
+ */
+
+namespace Trotibike\EwheelImporter\Tests\Unit;
+
+use Trotibike\EwheelImporter\Config\AttributeConfiguration;
+use Trotibike\EwheelImporter\Config\AttributeMappings;
+use Trotibike\EwheelImporter\Tests\TestCase;
+use Brain\Monkey\Functions;
+
+/**
+ * AttributeMappings test cases.
+ */
+class AttributeMappingsTest extends TestCase
+{
+    /**
+     * Stored options.
+     *
+     * @var array
+     */
+    private array $options = [];
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Functions\stubTranslationFunctions();
+        Functions\when('get_option')->alias(fn($name, $default = false) => $this->options[$name] ?? $default);
+        Functions\when('update_option')->alias(function ($name, $value) {
+            $this->options[$name] = $value;
+            return true;
+        });
+    }
+
+    protected function tearDown(): void
+    {
+        AttributeConfiguration::set_mappings([]);
+
+        parent::tearDown();
+    }
+
+    /**
+     * Test a saved kind overrides the built-in lists.
+     */
+    public function test_saved_kind_overrides_defaults(): void
+    {
+        (new AttributeMappings())->save_mapping('Potencia', ['kind' => 'meta']);
+        (new AttributeMappings())->save_mapping('tipo', ['kind' => 'ignore']);
+
+        $this->assertTrue(AttributeConfiguration::is_meta('potencia'));
+        $this->assertSame('_ewheel_potencia', AttributeConfiguration::get_meta_key('potencia'));
+        $this->assertTrue(AttributeConfiguration::is_ignored('tipo'));
+        $this->assertFalse(AttributeConfiguration::is_hidden('tipo'));
+        $this->assertArrayHasKey('potencia', $this->options[AttributeMappings::OPTION]);
+    }
+
+    /**
+     * Test values are normalized with the value map first, then the unit.
+     */
+    public function test_map_value_uses_value_map_and_unit(): void
+    {
+        (new AttributeMappings())->save_mapping('potencia', [
+            'label' => 'Putere',
+            'unit' => 'W',
+            'values' => [['from' => '500w', 'to' => '500 W'], ['from' => '', 'to' => 'skipped']],
+        ]);
+
+        $this->assertSame('500 W', AttributeConfiguration::map_value('potencia', '500W'));
+        $this->assertSame('350.5 W', AttributeConfiguration::map_value('potencia', '350,5'));
+        $this->assertNull(AttributeConfiguration::map_value('potencia', 'Alta'));
+        $this->assertSame('Putere', AttributeConfiguration::get_label('potencia'));
+        $this->assertTrue(AttributeConfiguration::has_label('potencia'));
+    }
+
+    /**
+     * Test saving an empty mapping restores the defaults.
+     */
+    public function test_empty_mapping_is_removed(): void
+    {
+        $mappings = new AttributeMappings();
+        $mappings->save_mapping('color', ['kind' => 'hidden']);
+        $mappings->save_mapping('color', ['kind' => '', 'label' => ' ', 'values' => []]);
+
+        $this->assertSame([], $this->options[AttributeMappings::OPTION]);
+        $this->assertTrue(AttributeConfiguration::is_visible('color'));
+    }
+
+    /**
+     * Test attributes handled by the importer cannot be mapped.
+     */
+    public function test_reserved_attribute_is_rejected(): void
+    {
+        $this->expectException(\RuntimeException::class);
+
+        (new AttributeMappings())->save_mapping('marca', ['kind' => 'visible']);
+    }
+
+    /**
+     * Test usage counts add up across batches and keep a few samples.
+     */
+    public function test_record_usage_accumulates_counts(): void
+    {
+        $mappings = new AttributeMappings();
+        $mappings->record_usage(['color' => ['count' => 2, 'samples' => ['Negro', 'Rojo']]], 3);
+        $mappings->record_usage(['color' => ['count' => 1, 'samples' => ['Negro']], 'potencia' => ['count' => 1]], 1);
+
+        $rows = $mappings->get_attributes();
+
+        $this->assertSame(4, $rows['products']);
+        $this->assertSame(['color', 'potencia'], array_column($rows['attributes'], 'slug'));
+        $this->assertSame(3, $rows['attributes'][0]['count']);
+        $this->assertSame(['Negro', 'Rojo'], $rows['attributes'][0]['samples']);
+        $this->assertSame('visible', $rows['attributes'][0]['default_kind']);
+    }
+}
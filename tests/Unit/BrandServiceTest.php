@@ -0,0 +1,94 @@
+<?php
+/**
+ * Tests for the BrandService class.
+ *
+ * @package Trotibike\EwheelImporter\Tests\Unit
+ */
+
+namespace Trotibike\EwheelImporter\Tests\Unit;
+
+use Trotibike\EwheelImporter\Tests\TestCase;
+use Trotibike\EwheelImporter\Service\BrandService;
+use Brain\Monkey\Functions;
+
+/**
+ * Test case for BrandService.
+ */
+class BrandServiceTest extends TestCase
+{
+    /**
+     * Stored aliases.
+     *
+     * @var array
+     */
+    private array $aliases = [];
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Functions\stubTranslationFunctions();
+        Functions\when('get_option')->alias(fn() => $this->aliases);
+        Functions\when('update_option')->alias(function ($name, $value) {
+            $this->aliases = $value;
+            return true;
+        });
+    }
+
+    /**
+     * Test spelling variants resolve to their brand regardless of case and spacing.
+     */
+    public function test_resolve_brand_name_uses_aliases(): void
+    {
+        $service = new BrandService();
+        $service->save_alias('Kukirin Scooters', 'Kukirin');
+        $service->save_alias('Ku  Kirin', 'Kukirin');
+
+        $this->assertSame('Kukirin', $service->resolve_brand_name(' KUKIRIN SCOOTERS '));
+        $this->assertSame('Kukirin', $service->resolve_brand_name('KU KIRIN'));
+        $this->assertSame('Xiaomi', $service->resolve_brand_name('Xiaomi'));
+    }
+
+    /**
+     * Test aliases of a name that becomes an alias follow it to the new brand.
+     */
+    public function test_save_alias_keeps_chains_one_step_long(): void
+    {
+        $service = new BrandService();
+        $service->save_alias('Kukirin Scooters', 'Ku Kirin');
+        $service->save_alias('Ku Kirin', 'Kukirin');
+
+        $this->assertSame(['ku kirin' => 'Kukirin', 'kukirin scooters' => 'Kukirin'], $service->get_aliases());
+    }
+
+    /**
+     * Test names differing only in case cannot be aliased (they already match one brand).
+     */
+    public function test_save_alias_rejects_self_alias(): void
+    {
+        $this->expectException(\RuntimeException::class);
+
+        (new BrandService())->save_alias('KUKIRIN', 'Kukirin');
+    }
+
+    /**
+     * Test profile brand filters with aliases.
+     */
+    public function test_is_brand_allowed_applies_profile_filters(): void
+    {
+        $service = new BrandService();
+        $service->save_alias('Ku Kirin', 'Kukirin');
+
+        $exclude = [BrandService::FILTER_EXCLUDE => ['kukirin']];
+        $this->assertFalse($service->is_brand_allowed('KU KIRIN', $exclude));
+        $this->assertTrue($service->is_brand_allowed('Xiaomi', $exclude));
+        $this->assertTrue($service->is_brand_allowed('', $exclude));
+
+        $include = [BrandService::FILTER_INCLUDE => ['Xiaomi']];
+        $this->assertTrue($service->is_brand_allowed('XIAOMI', $include));
+        $this->assertFalse($service->is_brand_allowed('Kukirin', $include));
+        $this->assertFalse($service->is_brand_allowed('', $include));
+
+        $this->assertTrue($service->is_brand_allowed('Kukirin', []));
+    }
+}
@@ -0,0 +1,97 @@
+<?php
+/**
+ * Tests for the CategoryMatcher class.
+ *
+ * @package Trotibike\EwheelImporter\Tests\Unit
+ */
+
+namespace Trotibike\EwheelImporter\Tests\Unit;
+
+use Trotibike\EwheelImporter\Tests\TestCase;
+use Trotibike\EwheelImporter\Service\CategoryMatcher;
+
+/**
+ * Test case for CategoryMatcher.
+ */
+class CategoryMatcherTest extends TestCase
+{
+    /**
+     * WooCommerce categories used by the tests.
+     *
+     * @var array
+     */
+    private array $woo_categories = [
+        ['id' => 10, 'name' => 'Anvelope'],
+        ['id' => 11, 'name' => 'Camere de aer'],
+        ['id' => 12, 'name' => 'Frâne'],
+        ['id' => 13, 'name' => 'Încărcătoare'],
+        ['id' => 14, 'name' => 'Piese trotinete electrice'],
+    ];
+
+    /**
+     * Test normalizing case, diacritics and punctuation.
+     */
+    public function test_normalize(): void
+    {
+        $matcher = new CategoryMatcher();
+
+        $this->assertEquals('incarcatoare', $matcher->normalize('Încărcătoare'));
+        $this->assertEquals('frenos discos', $matcher->normalize('  Frenos / Discos! '));
+    }
+
+    /**
+     * Test identical names score 1 and differing word endings score close to it.
+     */
+    public function test_score_exact_and_endings(): void
+    {
+        $matcher = new CategoryMatcher();
+
+        $this->assertEquals(1.0, $matcher->score('anvelope', 'anvelope'));
+        $this->assertEquals(0.95, $matcher->score('camera de aer', 'camere de aer'));
+        $this->assertLessThan(0.6, $matcher->score('anvelope', 'frane'));
+    }
+
+    /**
+     * Test suggestions pick the best WooCommerce category per ewheel category.
+     */
+    public function test_suggest_best_match(): void
+    {
+        $matcher = new CategoryMatcher();
+
+        $suggestions = $matcher->suggest(
+            [
+                ['reference' => 'TIRES', 'name' => 'Anvelopă'],
+                ['reference' => 'CHARGERS', 'name' => 'Incarcator'],
+                ['reference' => 'PARTS', 'name' => 'Piese pentru trotinete electrice'],
+            ],
+            $this->woo_categories
+        );
+
+        $this->assertEquals(10, $suggestions['TIRES']['woo_id']);
+        $this->assertEquals(13, $suggestions['CHARGERS']['woo_id']);
+        $this->assertEquals(14, $suggestions['PARTS']['woo_id']);
+        $this->assertEquals('Piese trotinete electrice', $suggestions['PARTS']['woo_name']);
+    }
+
+    /**
+     * Test categories without a match above the threshold are left out.
+     */
+    public function test_suggest_respects_threshold(): void
+    {
+        $matcher = new CategoryMatcher();
+
+        $suggestions = $matcher->suggest(
+            [
+                ['reference' => 'LIGHTS', 'name' => 'Iluminación'],
+                ['reference' => '', 'name' => 'Anvelope'],
+            ],
+            $this->woo_categories
+        );
+
+        $this->assertEmpty($suggestions);
+        $this->assertArrayHasKey(
+            'TIRES',
+            $matcher->suggest([['reference' => 'TIRES', 'name' => 'Anvelope']], $this->woo_categories, 1.0)
+        );
+    }
+}
@@ -251,4 +251,21 @@ class ConfigurationTest extends TestCase {
         $this->assertArrayHasKey( 'exchange_rate', $settings );
         $this->assertArrayHasKey( 'sync_frequency', $settings );
     }
+
+    /**
+     * Test log retention settings never go negative.
+     */
+    public function test_log_retention_settings(): void {
+        Functions\expect( 'get_option' )
+            ->andReturnUsing(
+                function ( $key, $default ) {
+                    return 'ewheel_importer_log_retention_days' === $key ? '-5' : $default;
+                }
+            );
+
+        $config = new Configuration();
+
+        $this->assertSame( 0, $config->get_log_retention_days() );
+        $this->assertSame( 50000, $config->get_log_max_entries() );
+    }
 }
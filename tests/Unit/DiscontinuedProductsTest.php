@@ -0,0 +1,152 @@
+<?php
+/**
+ * Tests for DiscontinuedProducts.
+ *
+ * @package Trotibike\EwheelImporter\Tests\Unit
+ */
+
+namespace Trotibike\EwheelImporter\Tests\Unit;
+
+use Trotibike\EwheelImporter\Api\EwheelApiClient;
+use Trotibike\EwheelImporter\Config\Configuration;
+use Trotibike\EwheelImporter\Model\Profile;
+use Trotibike\EwheelImporter\Repository\ProfileRepository;
+use Trotibike\EwheelImporter\Sync\DiscontinuedProducts;
+use Trotibike\EwheelImporter\Sync\WooCommerceSync;
+use Trotibike\EwheelImporter\Tests\TestCase;
+use Brain\Monkey\Functions;
+use Mockery;
+
+/**
+ * DiscontinuedProducts test cases.
+ */
+class DiscontinuedProductsTest extends TestCase
+{
+    /**
+     * Build an instance.
+     *
+     * @param EwheelApiClient|null   $api_client API client.
+     * @param ProfileRepository|null $profiles   Profile repository.
+     * @return DiscontinuedProducts
+     */
+    private function create_service(?EwheelApiClient $api_client = null, ?ProfileRepository $profiles = null): DiscontinuedProducts
+    {
+        return new DiscontinuedProducts(
+            $api_client ?? Mockery::mock(EwheelApiClient::class),
+            Mockery::mock(WooCommerceSync::class),
+            $profiles ?? Mockery::mock(ProfileRepository::class),
+            Mockery::mock(Configuration::class)
+        );
+    }
+
+    /**
+     * Test the snapshot holds product and variant references from every page.
+     */
+    public function test_scan_feed_collects_references(): void
+    {
+        $api_client = Mockery::mock(EwheelApiClient::class);
+        $api_client->shouldReceive('get_products')->with(0, 100, [], true)->andReturn([
+            ['Reference' => 'SCOOTER-X1'],
+            ['reference' => 'TYRE-10', 'variants' => [['reference' => 'TYRE-10-BLK']]],
+        ]);
+        $api_client->shouldReceive('get_products')->with(1, 100, [], true)->andReturn([]);
+
+        $saved = null;
+        Functions\when('current_time')->justReturn('2026-10-18 09:00:00');
+        Functions\when('update_option')->alias(function ($name, $value) use (&$saved) {
+            $saved = $value;
+            return true;
+        });
+        Functions\when('get_option')->alias(function () use (&$saved) {
+            return $saved;
+        });
+
+        $info = $this->create_service($api_client)->scan_feed();
+
+        $this->assertSame(['SCOOTER-X1', 'TYRE-10', 'TYRE-10-BLK'], $saved['references']);
+        $this->assertSame(['checked_at' => '2026-10-18 09:00:00', 'count' => 3], $info);
+    }
+
+    /**
+     * Test an empty feed does not replace the snapshot.
+     */
+    public function test_scan_feed_refuses_empty_feed(): void
+    {
+        $api_client = Mockery::mock(EwheelApiClient::class);
+        $api_client->shouldReceive('get_products')->andReturn([]);
+
+        Functions\expect('update_option')->never();
+
+        $this->expectException(\RuntimeException::class);
+
+        $this->create_service($api_client)->scan_feed();
+    }
+
+    /**
+     * Test bulk actions only touch imported products.
+     */
+    public function test_bulk_exclude_skips_products_not_imported(): void
+    {
+        Functions\when('get_post_meta')->alias(fn($id) => $id === 5 ? 'SCOOTER-X1' : '');
+        Functions\expect('update_post_meta')->once()->with(5, DiscontinuedProducts::META_EXCLUDED, '1');
+
+        $changed = $this->create_service()->bulk([5, 6, 5], DiscontinuedProducts::ACTION_EXCLUDE);
+
+        $this->assertSame(1, $changed);
+    }
+
+    /**
+     * Test unknown bulk actions are refused.
+     */
+    public function test_bulk_rejects_unknown_action(): void
+    {
+        $this->expectException(\RuntimeException::class);
+
+        $this->create_service()->bulk([5], 'delete');
+    }
+
+    /**
+     * Test marking a variable product out of stock reaches every variation.
+     */
+    public function test_apply_out_of_stock_policy_to_variations(): void
+    {
+        $variation = Mockery::mock('WC_Product');
+        $variation->shouldReceive('get_manage_stock')->andReturn(true);
+        $variation->shouldReceive('set_stock_quantity')->once()->with(0);
+        $variation->shouldReceive('set_stock_status')->once()->with('outofstock');
+        $variation->shouldReceive('save')->once();
+
+        $product = Mockery::mock('WC_Product');
+        $product->shouldReceive('is_type')->with('variable')->andReturn(true);
+        $product->shouldReceive('get_children')->andReturn([11]);
+
+        Functions\when('wc_get_product')->alias(fn($id) => $id === 10 ? $product : $variation);
+        Functions\expect('wp_update_post')->never();
+        Functions\expect('update_post_meta')->once()->with(10, DiscontinuedProducts::META_ACTION, DiscontinuedProducts::POLICY_OUT_OF_STOCK);
+        Functions\expect('update_post_meta')->once()->with(10, DiscontinuedProducts::META_AT, Mockery::type('string'));
+
+        $this->assertTrue(DiscontinuedProducts::apply_policy(10, DiscontinuedProducts::POLICY_OUT_OF_STOCK));
+    }
+
+    /**
+     * Test the profile policy is used, and unknown values fall back to draft.
+     */
+    public function test_get_policy_from_profile(): void
+    {
+        $trash = new Profile();
+        $trash->set_settings(['discontinued_policy' => DiscontinuedProducts::POLICY_TRASH]);
+
+        $unknown = new Profile();
+        $unknown->set_settings(['discontinued_policy' => 'delete']);
+
+        $profiles = Mockery::mock(ProfileRepository::class);
+        $profiles->shouldReceive('find')->with(1)->andReturn($trash);
+        $profiles->shouldReceive('find')->with(2)->andReturn($unknown);
+
+        $service = $this->create_service(null, $profiles);
+
+        $this->assertSame(DiscontinuedProducts::POLICY_TRASH, $service->get_policy(1));
+        $this->assertSame(DiscontinuedProducts::POLICY_DRAFT, $service->get_policy(2));
+        $this->assertSame(DiscontinuedProducts::POLICY_DRAFT, $service->get_policy(null));
+    }
+}
@@ -0,0 +1,104 @@
+<?php
+/**
+ * Tests for ImageQueue.
+ *
+ * @package Trotibike\EwheelImporter\Tests\Unit
+ */
+
+namespace Trotibike\EwheelImporter\Tests\Unit;
+
+use Trotibike\EwheelImporter\Service\ImageQueue;
+use Trotibike\EwheelImporter\Service\ImageService;
+use Trotibike\EwheelImporter\Tests\TestCase;
+use Brain\Monkey\Functions;
+use Mockery;
+
+/**
+ * ImageQueue test cases.
+ */
+class ImageQueueTest extends TestCase
+{
+    /**
+     * Image service mock.
+     *
+     * @var ImageService|\Mockery\MockInterface
+     */
+    private $image_service;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->image_service = Mockery::mock(ImageService::class);
+        $this->image_service->shouldReceive('normalize_url')->andReturnUsing(fn($url) => trim($url));
+    }
+
+    /**
+     * Test images in the media library are set and the rest are returned for the queue.
+     */
+    public function test_attach_returns_missing_urls(): void
+    {
+        $this->image_service->shouldReceive('find_by_source_url')->with('https://cdn.ewheel.es/a.jpg')->andReturn(7);
+        $this->image_service->shouldReceive('find_by_source_url')->with('https://cdn.ewheel.es/b.jpg')->andReturn(null);
+        $this->image_service->shouldReceive('backfill_alt_text')->once()->with(7, 'Xiaomi M365 Tyre');
+
+        $product = Mockery::mock('WC_Product');
+        $product->shouldReceive('get_name')->andReturn('Xiaomi M365 Tyre');
+        $product->shouldReceive('update_meta_data')->once()->with(ImageQueue::IMAGE_URLS_META, [
+            'https://cdn.ewheel.es/a.jpg',
+            'https://cdn.ewheel.es/b.jpg',
+        ]);
+        $product->shouldReceive('set_image_id')->once()->with(7);
+        $product->shouldNotReceive('set_gallery_image_ids');
+
+        $missing = (new ImageQueue($this->image_service))->attach($product, [
+            'https://cdn.ewheel.es/a.jpg',
+            ' https://cdn.ewheel.es/b.jpg',
+            'https://cdn.ewheel.es/a.jpg',
+        ]);
+
+        $this->assertSame(['https://cdn.ewheel.es/b.jpg'], $missing);
+    }
+
+    /**
+     * Test downloaded images are set in the stored order.
+     */
+    public function test_apply_images_sets_featured_and_gallery(): void
+    {
+        $this->image_service->shouldReceive('find_by_source_url')->andReturnUsing(
+            fn($url) => ['https://cdn.ewheel.es/a.jpg' => 7, 'https://cdn.ewheel.es/b.jpg' => 8][$url] ?? null
+        );
+
+        $product = Mockery::mock('WC_Product');
+        $product->shouldReceive('get_meta')->with(ImageQueue::IMAGE_URLS_META)->andReturn([
+            'https://cdn.ewheel.es/b.jpg',
+            'https://cdn.ewheel.es/c.jpg',
+            'https://cdn.ewheel.es/a.jpg',
+        ]);
+        $product->shouldReceive('is_type')->with('variation')->andReturn(false);
+        $product->shouldReceive('set_image_id')->once()->with(8);
+        $product->shouldReceive('set_gallery_image_ids')->once()->with([7]);
+        $product->shouldReceive('save')->once();
+
+        Functions\when('wc_get_product')->justReturn($product);
+
+        $this->assertTrue((new ImageQueue($this->image_service))->apply_images(12));
+    }
+
+    /**
+     * Test images are downloaded right away while the queue table is missing.
+     */
+    public function test_enqueue_without_table_downloads_immediately(): void
+    {
+        $this->image_service->shouldReceive('import_from_url')
+            ->once()
+            ->with('https://cdn.ewheel.es/b.jpg', ['alt_text' => 'Tyre', 'title' => 'Tyre'])
+            ->andReturn(null);
+
+        Functions\when('wc_get_product')->justReturn(false);
+
+        $queued = (new ImageQueue($this->image_service))->enqueue(12, ['https://cdn.ewheel.es/b.jpg'], 'Tyre');
+
+        $this->assertSame(0, $queued);
+    }
+}
@@ -119,4 +119,34 @@ class LiveLoggerTest extends TestCase {
 
         $this->assertEquals( 'success', $logs[0]['type'] );
     }
+
+    /**
+     * Test log entries get increasing IDs.
+     */
+    public function test_log_ids_increase(): void {
+        LiveLogger::log( 'Message 1' );
+        LiveLogger::log( 'Message 2' );
+
+        $logs = LiveLogger::get_logs();
+
+        $this->assertEquals( 2, $logs[0]['id'] );
+        $this->assertEquals( 1, $logs[1]['id'] );
+        $this->assertEquals( 2, LiveLogger::get_last_id() );
+    }
+
+    /**
+     * Test fetching logs newer than a cursor returns them oldest first.
+     */
+    public function test_get_logs_since_cursor(): void {
+        LiveLogger::log( 'Message 1' );
+        LiveLogger::log( 'Message 2' );
+        LiveLogger::log( 'Message 3' );
+
+        $logs = LiveLogger::get_logs_since( 1 );
+
+        $this->assertCount( 2, $logs );
+        $this->assertEquals( 'Message 2', $logs[0]['message'] );
+        $this->assertEquals( 'Message 3', $logs[1]['message'] );
+        $this->assertCount( 0, LiveLogger::get_logs_since( 3 ) );
+    }
 }
@@ -0,0 +1,70 @@
+<?php
+/**
+ * Tests for ModelCompatibility.
+ *
+ * @package Trotibike\EwheelImporter\Tests\Unit
+ */
+
+namespace Trotibike\EwheelImporter\Tests\Unit;
+
+use Trotibike\EwheelImporter\Service\ModelCompatibility;
+use Trotibike\EwheelImporter\Service\ModelService;
+use Trotibike\EwheelImporter\Tests\TestCase;
+use Brain\Monkey\Functions;
+
+/**
+ * ModelCompatibility test cases.
+ */
+class ModelCompatibilityTest extends TestCase
+{
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Functions\stubTranslationFunctions();
+    }
+
+    /**
+     * Test rows are grouped by SKU in any column order.
+     */
+    public function test_parse_csv_groups_links_by_sku(): void
+    {
+        $csv = "\xEF\xBB\xBFmodel_name,SKU,model_id\n"
+            . "Xiaomi Pro 2,MP-010,7\n"
+            . "\"Ninebot MAX G30, EU\",MP-010,\n"
+            . "\n"
+            . ",MP-020,\n";
+
+        $parsed = (new ModelCompatibility(new ModelService()))->parse_csv($csv);
+
+        $this->assertSame([
+            'MP-010' => [
+                ['model_id' => '7', 'model_name' => 'Xiaomi Pro 2', 'line' => 2],
+                ['model_id' => '', 'model_name' => 'Ninebot MAX G30, EU', 'line' => 3],
+            ],
+            'MP-020' => [],
+        ], $parsed['links']);
+        $this->assertSame([], $parsed['errors']);
+    }
+
+    /**
+     * Test rows without a SKU are reported with their line.
+     */
+    public function test_parse_csv_reports_missing_sku(): void
+    {
+        $parsed = (new ModelCompatibility(new ModelService()))->parse_csv("sku,model_id\n,7\nMP-010,8\n");
+
+        $this->assertSame([['line' => 2, 'message' => 'SKU is missing.']], $parsed['errors']);
+        $this->assertSame(['MP-010'], array_keys($parsed['links']));
+    }
+
+    /**
+     * Test a header without model columns is rejected.
+     */
+    public function test_parse_csv_requires_model_column(): void
+    {
+        $this->expectException(\RuntimeException::class);
+
+        (new ModelCompatibility(new ModelService()))->parse_csv("sku,product_name\nMP-010,Tire\n");
+    }
+}
@@ -253,4 +253,72 @@ class ModelServiceTest extends TestCase
 
         $this->assertTrue(true);
     }
+
+    /**
+     * Test syncs keep models linked by hand and leave unlinked models off.
+     */
+    public function test_assign_models_applies_manual_changes(): void
+    {
+        Functions\when('get_terms')->alias(function ($args) {
+            return [(object) ['term_id' => (int) $args['meta_query'][0]['value'] * 10]];
+        });
+        Functions\when('is_wp_error')->justReturn(false);
+        Functions\when('get_post_meta')->alias(function ($product_id, $key) {
+            return $key === ModelService::META_ADDED ? [30] : [20];
+        });
+
+        Functions\expect('wp_set_object_terms')
+            ->once()
+            ->with(7, [10, 30], ModelService::TAXONOMY)
+            ->andReturn([10, 30]);
+
+        $service = new ModelService();
+
+        $this->assertTrue($service->assign_models_to_product(7, ['1', '2']));
+    }
+
+    /**
+     * Test linking models by hand records them and clears earlier unlinks.
+     */
+    public function test_add_models_to_products_records_manual_links(): void
+    {
+        Functions\when('wp_get_object_terms')->justReturn([10]);
+        Functions\when('is_wp_error')->justReturn(false);
+        Functions\when('get_post_meta')->alias(function ($product_id, $key) {
+            return $key === ModelService::META_ADDED ? [] : [20];
+        });
+
+        Functions\expect('wp_set_object_terms')
+            ->once()
+            ->with(7, [20, 30], ModelService::TAXONOMY, true)
+            ->andReturn([10, 20, 30]);
+        Functions\expect('update_post_meta')
+            ->once()
+            ->with(7, ModelService::META_ADDED, [20, 30]);
+        Functions\expect('delete_post_meta')
+            ->once()
+            ->with(7, ModelService::META_REMOVED);
+
+        $service = new ModelService();
+
+        $this->assertSame(1, $service->add_models_to_products([7], [20, 30, 30]));
+    }
+
+    /**
+     * Test linking models a product already has changes nothing.
+     */
+    public function test_add_models_to_products_counts_only_changed_products(): void
+    {
+        Functions\when('wp_get_object_terms')->justReturn([10, 20]);
+        Functions\when('is_wp_error')->justReturn(false);
+        Functions\when('wp_set_object_terms')->justReturn([10, 20]);
+        Functions\when('get_post_meta')->justReturn('');
+        Functions\when('update_post_meta')->justReturn(true);
+        Functions\when('delete_post_meta')->justReturn(true);
+
+        $service = new ModelService();
+
+        $this->assertSame(0, $service->add_models_to_products([7], [20]));
+        $this->assertSame(0, $service->add_models_to_products([7], []));
+    }
 }
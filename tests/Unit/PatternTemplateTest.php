@@ -0,0 +1,124 @@
+<?php
+/**
+ * Tests for PatternTemplate.
+ *
+ * @package Trotibike\EwheelImporter\Tests\Unit
+ */
+
+namespace Trotibike\EwheelImporter\Tests\Unit;
+
+use Trotibike\EwheelImporter\Sync\PatternTemplate;
+use Trotibike\EwheelImporter\Tests\TestCase;
+
+/**
+ * PatternTemplate test cases.
+ */
+class PatternTemplateTest extends TestCase
+{
+    /**
+     * Build a tag resolver from a value map.
+     *
+     * @param array $values Tag => value.
+     * @return callable
+     */
+    private function resolver(array $values): callable
+    {
+        return fn(string $tag) => $values[$tag] ?? '';
+    }
+
+    /**
+     * Test tags are replaced and empty tags don't leave double spaces.
+     */
+    public function test_render_replaces_tags(): void
+    {
+        $output = (new PatternTemplate())->render(
+            '{name} {color} {reference}',
+            $this->resolver(['name' => 'Anvelopă 10"', 'reference' => 'TYR-10'])
+        );
+
+        $this->assertSame('Anvelopă 10" TYR-10', $output);
+    }
+
+    /**
+     * Test conditionals, negation, else and nesting.
+     */
+    public function test_render_conditionals(): void
+    {
+        $template = new PatternTemplate();
+        $pattern = '{name}{if brand} - {brand}{if model} ({model}){/if}{else} - generic{/if}{if !ean} [no EAN]{/if}';
+
+        $this->assertSame(
+            'Frână - Xiaomi (M365, Pro 2) [no EAN]',
+            $template->render($pattern, $this->resolver(['name' => 'Frână', 'brand' => 'Xiaomi', 'model' => 'M365, Pro 2']))
+        );
+        $this->assertSame(
+            'Frână - generic',
+            $template->render($pattern, $this->resolver(['name' => 'Frână', 'ean' => '8435000000000']))
+        );
+    }
+
+    /**
+     * Test each tag is resolved once, however often it is used.
+     */
+    public function test_render_resolves_each_tag_once(): void
+    {
+        $calls = [];
+        (new PatternTemplate())->render('{if name}{name}{/if} {name}', function (string $tag) use (&$calls) {
+            $calls[] = $tag;
+            return 'X';
+        });
+
+        $this->assertSame(['name'], $calls);
+    }
+
+    /**
+     * Test malformed parts are rendered as written.
+     */
+    public function test_render_keeps_malformed_parts(): void
+    {
+        $output = (new PatternTemplate())->render('{name} {bad tag} {reference', $this->resolver(['name' => 'A']));
+
+        $this->assertSame('A {bad tag} {reference', $output);
+    }
+
+    /**
+     * Test a valid pattern has no errors.
+     */
+    public function test_validate_accepts_valid_pattern(): void
+    {
+        $errors = (new PatternTemplate())->validate(
+            '{name}{if brand} - {brand}{else} ({reference}){/if}',
+            PatternTemplate::BASE_TAGS
+        );
+
+        $this->assertSame([], $errors);
+    }
+
+    /**
+     * Test syntax errors and unknown tags are reported.
+     */
+    public function test_validate_reports_errors(): void
+    {
+        $template = new PatternTemplate();
+
+        $this->assertCount(1, $template->validate('{name}{if brand} - {brand}'));
+        $this->assertCount(1, $template->validate('{name}{/if}'));
+        $this->assertCount(1, $template->validate('{if brand}a{else}b{else}c{/if}'));
+        $this->assertCount(1, $template->validate('{name} {reference'));
+        $this->assertCount(1, $template->validate('{name} {if}'));
+        $this->assertSame(
+            ['Unknown tag {nmae}.'],
+            $template->validate('{nmae} {reference}', PatternTemplate::BASE_TAGS)
+        );
+    }
+
+    /**
+     * Test the tags a pattern uses are listed once.
+     */
+    public function test_get_used_tags(): void
+    {
+        $tags = (new PatternTemplate())->get_used_tags('{name}{if !brand} {name}{else} {brand} {color}{/if}');
+
+        $this->assertSame(['name', 'brand', 'color'], $tags);
+    }
+}
@@ -0,0 +1,239 @@
+<?php
+/**
+ * Tests for PersistentLogger.
+ *
+ * @package Trotibike\EwheelImporter\Tests\Unit
+ */
+
+namespace Trotibike\EwheelImporter\Tests\Unit;
+
+use Trotibike\EwheelImporter\Log\PersistentLogger;
+use Trotibike\EwheelImporter\Tests\TestCase;
+use Mockery;
+
+/**
+ * PersistentLogger test cases.
+ */
+class PersistentLoggerTest extends TestCase
+{
+    /**
+     * The $wpdb of other tests, restored on tear down.
+     *
+     * @var mixed
+     */
+    private $previous_wpdb;
+
+    /**
+     * Queries passed to $wpdb->prepare(), as [sql, args].
+     *
+     * @var array
+     */
+    private array $prepared = [];
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        if (!defined('ARRAY_A')) {
+            define('ARRAY_A', 'ARRAY_A');
+        }
+
+        $this->previous_wpdb = $GLOBALS['wpdb'];
+        $this->prepared = [];
+    }
+
+    protected function tearDown(): void
+    {
+        $GLOBALS['wpdb'] = $this->previous_wpdb;
+
+        parent::tearDown();
+    }
+
+    /**
+     * Use a $wpdb whose log table exists and that records prepared queries.
+     *
+     * @param int   $count   Rows in the table.
+     * @param array $cutoffs IDs returned by the prune cutoff queries, in order.
+     * @return \Mockery\MockInterface
+     */
+    private function use_wpdb(int $count = 0, array $cutoffs = [])
+    {
+        $wpdb = Mockery::mock('wpdb');
+        $wpdb->prefix = 'wp_';
+        $wpdb->shouldReceive('esc_like')->andReturnUsing(fn($text) => addcslashes($text, '_%\\'));
+        $wpdb->shouldReceive('prepare')->andReturnUsing(function ($sql, ...$args) {
+            if ($sql === 'SHOW TABLES LIKE %s') {
+                return $args[0];
+            }
+
+            $this->prepared[] = [$sql, isset($args[0]) && is_array($args[0]) ? $args[0] : $args];
+            return $sql;
+        });
+        $wpdb->shouldReceive('get_var')->andReturnUsing(function ($sql) use ($count, &$cutoffs) {
+            if ($sql === 'wp_ewheel_sync_logs') {
+                return $sql;
+            }
+
+            return strpos($sql, 'COUNT(*)') !== false ? (string) $count : array_shift($cutoffs);
+        });
+        $GLOBALS['wpdb'] = $wpdb;
+
+        return $wpdb;
+    }
+
+    /**
+     * Test entries above the size limit are deleted in chunks, oldest first.
+     */
+    public function test_prune_deletes_in_chunks(): void
+    {
+        $wpdb = $this->use_wpdb(10002, ['5000', '10000']);
+        $wpdb->shouldReceive('query')->twice()->andReturn(5000, 5000);
+
+        $this->assertSame(10000, PersistentLogger::prune(0, 2));
+
+        $this->assertSame(
+            [
+                ['SELECT id FROM `wp_ewheel_sync_logs` ORDER BY id ASC LIMIT 1 OFFSET %d', [4999]],
+                ['DELETE FROM `wp_ewheel_sync_logs` WHERE id <= %d', ['5000']],
+                ['SELECT id FROM `wp_ewheel_sync_logs` ORDER BY id ASC LIMIT 1 OFFSET %d', [4999]],
+                ['DELETE FROM `wp_ewheel_sync_logs` WHERE id <= %d', ['10000']],
+            ],
+            $this->prepared
+        );
+    }
+
+    /**
+     * Test the last chunk only asks for the rows still above the limit.
+     */
+    public function test_prune_last_chunk_is_partial(): void
+    {
+        $wpdb = $this->use_wpdb(5010, ['5000', '5008']);
+        $wpdb->shouldReceive('query')->twice()->andReturn(5000, 8);
+
+        $this->assertSame(5008, PersistentLogger::prune(0, 2));
+        $this->assertSame([7], $this->prepared[2][1]);
+    }
+
+    /**
+     * Test pruning stops when a delete removes nothing.
+     */
+    public function test_prune_stops_when_nothing_is_deleted(): void
+    {
+        $wpdb = $this->use_wpdb(7, ['5', '5']);
+        $wpdb->shouldReceive('query')->once()->andReturn(0);
+
+        $this->assertSame(0, PersistentLogger::prune(0, 2));
+    }
+
+    /**
+     * Test pruning stops when no cutoff row is found.
+     */
+    public function test_prune_stops_without_cutoff(): void
+    {
+        $wpdb = $this->use_wpdb(7);
+        $wpdb->shouldNotReceive('query');
+
+        $this->assertSame(0, PersistentLogger::prune(0, 2));
+    }
+
+    /**
+     * Test a retention of 0 keeps old entries and only applies the size limit.
+     */
+    public function test_prune_without_retention_skips_age_delete(): void
+    {
+        $wpdb = $this->use_wpdb(50);
+        $wpdb->shouldNotReceive('query');
+
+        $this->assertSame(0, PersistentLogger::prune(0, 100));
+        $this->assertSame([], $this->prepared);
+    }
+
+    /**
+     * Test a limit of 0 only applies the retention period and never counts rows.
+     */
+    public function test_prune_without_limit_skips_size_delete(): void
+    {
+        $wpdb = $this->use_wpdb(100000);
+        $wpdb->shouldReceive('query')->once()->andReturn(12);
+
+        $this->assertSame(12, PersistentLogger::prune(30, 0));
+        $this->assertCount(1, $this->prepared);
+        $this->assertSame('DELETE FROM `wp_ewheel_sync_logs` WHERE created_at < %s', $this->prepared[0][0]);
+        $this->assertSame(
+            gmdate('Y-m-d', time() - 30 * DAY_IN_SECONDS),
+            substr($this->prepared[0][1][0], 0, 10)
+        );
+    }
+
+    /**
+     * Test both set to 0 deletes nothing.
+     */
+    public function test_prune_with_both_disabled_deletes_nothing(): void
+    {
+        $wpdb = $this->use_wpdb(100000);
+        $wpdb->shouldNotReceive('query');
+
+        $this->assertSame(0, PersistentLogger::prune(0, 0));
+    }
+
+    /**
+     * Test search, date range and live tail filters build the query.
+     */
+    public function test_get_logs_builds_filtered_query(): void
+    {
+        $wpdb = $this->use_wpdb();
+        $wpdb->shouldReceive('get_results')->once()->andReturn([
+            ['id' => 42, 'message' => 'Saved', 'context' => '{"exception":"RuntimeException"}'],
+            ['id' => 43, 'message' => 'Saved', 'context' => ''],
+        ]);
+
+        $rows = PersistentLogger::get_logs([
+            'search' => '50%_off',
+            'date_from' => '2026-10-01',
+            'date_to' => '2026-10-18',
+            'after_id' => 41,
+            'order' => 'asc',
+            'limit' => 20,
+        ]);
+
+        $this->assertSame(
+            [
+                'SELECT * FROM `wp_ewheel_sync_logs` WHERE 1=1 AND (message LIKE %s OR product_sku LIKE %s)'
+                . ' AND created_at >= %s AND created_at <= %s AND id > %d'
+                . ' ORDER BY created_at ASC, id ASC LIMIT %d OFFSET %d',
+                ['%50\%\_off%', '%50\%\_off%', '2026-10-01 00:00:00', '2026-10-18 23:59:59', 41, 20, 0],
+            ],
+            $this->prepared[0]
+        );
+        $this->assertSame(['exception' => 'RuntimeException'], $rows[0]['context']);
+        $this->assertNull($rows[1]['context']);
+    }
+
+    /**
+     * Test the count without filters is not prepared.
+     */
+    public function test_get_count_without_filters(): void
+    {
+        $this->use_wpdb(7);
+
+        $this->assertSame(7, PersistentLogger::get_count());
+        $this->assertSame([], $this->prepared);
+    }
+
+    /**
+     * Test the count uses the same filters as the list.
+     */
+    public function test_get_count_with_filters(): void
+    {
+        $this->use_wpdb(3);
+
+        $this->assertSame(3, PersistentLogger::get_count(['level' => 'error', 'batch_id' => 'sync_1', 'profile_id' => 2]));
+        $this->assertSame(
+            [
+                'SELECT COUNT(*) FROM `wp_ewheel_sync_logs` WHERE 1=1 AND level = %s AND batch_id = %s AND profile_id = %d',
+                ['error', 'sync_1', 2],
+            ],
+            $this->prepared[0]
+        );
+    }
+}
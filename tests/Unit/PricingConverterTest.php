@@ -8,6 +8,7 @@ namespace Trotibike\EwheelImporter\Tests\Unit;
 use Trotibike\EwheelImporter\Tests\TestCase;
 use Trotibike\EwheelImporter\Tests\Helpers\MockFactory;
 use Trotibike\EwheelImporter\Pricing\PricingConverter;
+use Trotibike\EwheelImporter\Pricing\PricingRules;
 use Trotibike\EwheelImporter\Pricing\ExchangeRateProviderInterface;
 use Mockery;
 
@@ -328,4 +329,81 @@ class PricingConverterTest extends TestCase {
         $converter = new PricingConverter( $rate_provider, 'EUR', 'RON', 0 );
         $converter->convert( 100.00 );
     }
+
+    /**
+     * Test a matching rule overrides the default markup and rounding.
+     */
+    public function test_rule_overrides_markup_and_rounding(): void {
+        $rate_provider = $this->create_rate_provider_expecting( 5.00 );
+        $converter     = new PricingConverter( $rate_provider, 'EUR', 'RON', 20 );
+        $converter->set_rounding_mode( 'none' );
+        $converter->set_rules(
+            new PricingRules(
+                [
+                    [ 'label' => 'Accessories', 'max_price' => 50, 'markup' => 40, 'rounding' => '99' ],
+                ]
+            )
+        );
+
+        // 20 EUR * 5.00 = 100 RON + 40% = 140 RON → 140.99
+        $this->assertEquals( 140.99, $converter->convert( 20.00 ) );
+        // 100 EUR * 5.00 = 500 RON + 20% = 600 RON (no rule)
+        $this->assertEquals( 600.00, $converter->convert( 100.00 ) );
+    }
+
+    /**
+     * Test a rule without markup keeps the default markup.
+     */
+    public function test_rounding_only_rule_keeps_default_markup(): void {
+        $rate_provider = $this->create_rate_provider_expecting( 5.00 );
+        $converter     = new PricingConverter( $rate_provider, 'EUR', 'RON', 20 );
+        $converter->set_rules( new PricingRules( [ [ 'brand' => 'Xiaomi', 'rounding' => 'nearest10' ] ] ) );
+
+        $quote = $converter->quote( 101.00, [ 'brand' => 'xiaomi' ] );
+
+        $this->assertEquals( 20.0, $quote['markup'] );
+        $this->assertEquals( 'nearest10', $quote['rounding'] );
+        // 101 * 5.00 * 1.2 = 606 → 610
+        $this->assertEquals( 610.00, $quote['price'] );
+    }
+
+    /**
+     * Test the quote reports the rule that was applied.
+     */
+    public function test_quote_reports_matching_rule(): void {
+        $rate_provider = $this->create_rate_provider_expecting( 5.00 );
+        $converter     = new PricingConverter( $rate_provider, 'EUR', 'RON', 20 );
+        $converter->set_rules(
+            new PricingRules(
+                [
+                    [ 'label' => 'Cheap', 'max_price' => 50, 'markup' => 40 ],
+                    [ 'label' => 'Premium', 'min_price' => 500, 'markup' => 10 ],
+                ]
+            )
+        );
+
+        $quote = $converter->quote( 600.00 );
+
+        $this->assertSame( 1, $quote['rule'] );
+        $this->assertSame( 'Premium', $quote['label'] );
+        $this->assertEquals( 5.00, $quote['rate'] );
+        // 600 EUR * 5.00 = 3000 RON + 10% = 3300 RON
+        $this->assertEquals( 3300.00, $quote['price'] );
+    }
+
+    /**
+     * Test the context price picks the tier instead of the converted price.
+     */
+    public function test_context_price_selects_rule(): void {
+        $rate_provider = $this->create_rate_provider_expecting( 5.00 );
+        $converter     = new PricingConverter( $rate_provider, 'EUR', 'RON', 20 );
+        $converter->set_rules( new PricingRules( [ [ 'min_price' => 100, 'markup' => 10 ] ] ) );
+
+        // Sale price of 90 EUR on a 120 EUR product stays in the 100+ tier
+        $quote = $converter->quote( 90.00, [ 'price' => 120.00 ] );
+
+        $this->assertSame( 0, $quote['rule'] );
+        // 90 EUR * 5.00 = 450 RON + 10% = 495 RON
+        $this->assertEquals( 495.00, $quote['price'] );
+    }
 }
@@ -0,0 +1,95 @@
+<?php
+/**
+ * Tests for the Pricing Rules.
+ *
+ * @package Trotibike\EwheelImporter\Tests\Unit
+ */
+
+namespace Trotibike\EwheelImporter\Tests\Unit;
+
+use Trotibike\EwheelImporter\Tests\TestCase;
+use Trotibike\EwheelImporter\Pricing\PricingRules;
+
+/**
+ * Test case for PricingRules.
+ */
+class PricingRulesTest extends TestCase {
+
+    /**
+     * Test price bands include the minimum and exclude the maximum.
+     */
+    public function test_price_band_bounds(): void {
+        $rules = new PricingRules(
+            [
+                [ 'max_price' => 50, 'markup' => 40 ],
+                [ 'min_price' => 50, 'max_price' => 500, 'markup' => 25 ],
+            ]
+        );
+
+        $this->assertSame( 0, $rules->match( [ 'price' => 49.99 ] ) );
+        $this->assertSame( 1, $rules->match( [ 'price' => 50 ] ) );
+        $this->assertNull( $rules->match( [ 'price' => 500 ] ) );
+    }
+
+    /**
+     * Test brand and category conditions are case-insensitive.
+     */
+    public function test_brand_and_category_match(): void {
+        $rules = new PricingRules( [ [ 'brand' => 'Xiaomi', 'category' => 'Tires', 'markup' => 30 ] ] );
+
+        $this->assertSame( 0, $rules->match( [ 'brand' => 'XIAOMI', 'categories' => [ 'Parts', 'tires' ] ] ) );
+        $this->assertNull( $rules->match( [ 'brand' => 'Xiaomi', 'categories' => [ 'Parts' ] ] ) );
+        $this->assertNull( $rules->match( [ 'brand' => 'Segway', 'categories' => [ 'Tires' ] ] ) );
+    }
+
+    /**
+     * Test SKU wildcard patterns.
+     */
+    public function test_sku_pattern(): void {
+        $rules = new PricingRules( [ [ 'sku_pattern' => 'acc-*-?', 'markup' => 50 ] ] );
+
+        $this->assertSame( 0, $rules->match( [ 'sku' => 'ACC-CHARGER-1' ] ) );
+        $this->assertNull( $rules->match( [ 'sku' => 'ACC-CHARGER-12' ] ) );
+        $this->assertNull( $rules->match( [ 'sku' => 'XACC-1-1' ] ) );
+    }
+
+    /**
+     * Test the first matching rule wins.
+     */
+    public function test_first_match_wins(): void {
+        $rules = new PricingRules(
+            [
+                [ 'label' => 'Segway', 'brand' => 'Segway', 'markup' => 15 ],
+                [ 'label' => 'Catch-all', 'markup' => 30 ],
+            ]
+        );
+
+        $this->assertSame( 0, $rules->match( [ 'brand' => 'Segway', 'price' => 10 ] ) );
+        $this->assertSame( 1, $rules->match( [ 'brand' => 'Kugoo', 'price' => 10 ] ) );
+        $this->assertSame( 'Catch-all', $rules->get_rule( 1 )['label'] );
+    }
+
+    /**
+     * Test sanitizing form input.
+     */
+    public function test_sanitize(): void {
+        $clean = PricingRules::sanitize(
+            [
+                5 => [ 'label' => 'Cheap', 'max_price' => '50', 'min_price' => '', 'markup' => '40', 'rounding' => '' ],
+                6 => [ 'label' => 'Nothing to change', 'brand' => 'Segway', 'markup' => '', 'rounding' => '' ],
+                7 => [ 'sku_pattern' => 'ACC-*', 'markup' => '', 'rounding' => 'bogus' ],
+                8 => [ 'category' => 'Tires', 'rounding' => '99' ],
+                9 => 'not a rule',
+            ]
+        );
+
+        $this->assertCount( 2, $clean );
+        $this->assertSame( 'Cheap', $clean[0]['label'] );
+        $this->assertNull( $clean[0]['min_price'] );
+        $this->assertSame( 50.0, $clean[0]['max_price'] );
+        $this->assertSame( 40.0, $clean[0]['markup'] );
+        $this->assertNull( $clean[1]['markup'] );
+        $this->assertSame( '99', $clean[1]['rounding'] );
+        $this->assertSame( [], PricingRules::sanitize( 'nope' ) );
+    }
+}
@@ -9,6 +9,7 @@ use Trotibike\EwheelImporter\Tests\TestCase;
 use Trotibike\EwheelImporter\Tests\Helpers\MockFactory;
 use Trotibike\EwheelImporter\Tests\Helpers\ProductFixtures;
 use Trotibike\EwheelImporter\Sync\ProductTransformer;
+use Trotibike\EwheelImporter\Sync\VariationGroups;
 use Mockery;
 
 /**
@@ -471,6 +472,134 @@ class ProductTransformerTest extends TestCase {
         $this->assertEquals( 'PipeSubfamily', $result[0]['_subfamily'] );
     }
 
+    /**
+     * Test custom patterns can use pipe data, model names and conditionals.
+     */
+    public function test_render_pattern_with_pipe_data_and_models(): void {
+        $translator        = MockFactory::translator_with_map( [ 'Freno de disco' => 'Frână cu disc' ] );
+        $pricing_converter = MockFactory::pricing_converter();
+        $config            = MockFactory::configuration();
+
+        $model_service = Mockery::mock( \Trotibike\EwheelImporter\Service\ModelService::class );
+        $model_service->shouldReceive( 'get_model_names' )->andReturn( [ '113' => 'Xiaomi M365' ] );
+
+        $pipe           = array_fill( 0, 43, '' );
+        $pipe[7]        = 'Xiaomi';
+        $pipe[42]       = 'Frenos';
+        $ewheel_product = [
+            'reference'   => 'BRK-01',
+            'name'        => [ 'es' => 'Freno de disco' ],
+            'description' => implode( '|', $pipe ),
+            'attributes'  => [
+                [ 'alias' => 'modelos-compatibles', 'value' => '{"114":"113"}' ],
+            ],
+        ];
+
+        $transformer = new ProductTransformer( $translator, $pricing_converter, $config, [], $model_service );
+
+        $this->assertEquals(
+            'Frână cu disc Xiaomi - Xiaomi M365 (Frenos) BRK-01',
+            $transformer->render_pattern( '{name} {brand}{if model} - {model}{/if} ({category}) {reference}{if !ean} {ean}{/if}', $ewheel_product )
+        );
+    }
+
+    /**
+     * Test prices are read per SKU without translating anything.
+     */
+    public function test_transform_prices_maps_skus_to_prices(): void {
+        $translator = Mockery::mock( \Trotibike\EwheelImporter\Translation\Translator::class );
+        $translator->shouldNotReceive( 'translate_multilingual' );
+        $pricing_converter = MockFactory::pricing_converter( 5.0 );
+        $config            = MockFactory::configuration( true );
+
+        $transformer = new ProductTransformer( $translator, $pricing_converter, $config );
+
+        $variable = ProductFixtures::variable_ewheel_product();
+        $variable['Variants'][1]['compareprice'] = 649.99;
+
+        $this->assertEquals(
+            [
+                'SCOOTER-V-BLACK' => [ 'regular_price' => '2499.95', 'sale_price' => '' ],
+                'SCOOTER-V-WHITE' => [ 'regular_price' => '3249.95', 'sale_price' => '2999.95' ],
+            ],
+            $transformer->transform_prices( $variable )
+        );
+
+        $this->assertEquals(
+            [ 'SCOOTER-X1' => [ 'regular_price' => '2999.95', 'sale_price' => '' ] ],
+            $transformer->transform_prices( ProductFixtures::simple_ewheel_product() )
+        );
+    }
+
+    /**
+     * Test the stock sync prices match the prices of a full transform, split variants included.
+     */
+    public function test_transform_prices_match_transform(): void {
+        $groups = Mockery::mock( VariationGroups::class );
+        $groups->shouldReceive( 'get_override' )->with( 'SCOOTER-V' )->andReturn(
+            [ 'mode' => '', 'split' => [ 'SCOOTER-V-WHITE' ], 'merge_into' => '' ]
+        );
+        $groups->shouldReceive( 'get_merged_from' )->andReturn( [] );
+
+        $transformer = new ProductTransformer( MockFactory::translator(), MockFactory::pricing_converter( 5.0 ), MockFactory::configuration( true ), [], null, $groups );
+
+        $variable = ProductFixtures::variable_ewheel_product();
+        $variable['Variants'][1]['compareprice'] = 649.99;
+
+        $expected = [];
+        foreach ( $transformer->transform( $variable ) as $product ) {
+            foreach ( $product['type'] === 'variable' ? $product['variations'] : [ $product ] as $item ) {
+                $expected[ $item['sku'] ] = [
+                    'regular_price' => $item['regular_price'],
+                    'sale_price'    => $item['sale_price'] ?? '',
+                ];
+            }
+        }
+
+        $this->assertEquals( '2999.95', $expected['SCOOTER-V-WHITE']['sale_price'] );
+        $this->assertEquals( $expected, $transformer->transform_prices( $variable ) );
+    }
+
+    /**
+     * Test split variants become simple products and the rest stay variations.
+     */
+    public function test_split_override_imports_variant_as_simple_product(): void {
+        $groups = Mockery::mock( VariationGroups::class );
+        $groups->shouldReceive( 'get_override' )->with( 'SCOOTER-V' )->andReturn(
+            [ 'mode' => '', 'split' => [ 'SCOOTER-V-WHITE' ], 'merge_into' => '' ]
+        );
+        $groups->shouldReceive( 'get_merged_from' )->andReturn( [] );
+
+        $transformer = new ProductTransformer( MockFactory::translator(), MockFactory::pricing_converter(), MockFactory::configuration( true ), [], null, $groups );
+
+        $result = $transformer->transform( ProductFixtures::variable_ewheel_product() );
+
+        $this->assertCount( 2, $result );
+        $this->assertEquals( 'variable', $result[0]['type'] );
+        $this->assertEquals( [ 'SCOOTER-V-BLACK' ], array_column( $result[0]['variations'], 'sku' ) );
+        $this->assertEquals( 'simple', $result[1]['type'] );
+        $this->assertEquals( 'SCOOTER-V-WHITE', $result[1]['sku'] );
+    }
+
+    /**
+     * Test a merged group is tagged with its target and forced to variable mode.
+     */
+    public function test_merge_override_tags_variable_product(): void {
+        $groups = Mockery::mock( VariationGroups::class );
+        $groups->shouldReceive( 'get_override' )->andReturn(
+            [ 'mode' => '', 'split' => [], 'merge_into' => 'SCOOTER-X' ]
+        );
+        $groups->shouldReceive( 'get_merged_from' )->andReturn( [] );
+
+        $transformer = new ProductTransformer( MockFactory::translator(), MockFactory::pricing_converter(), MockFactory::configuration( false ), [], null, $groups );
+
+        $result = $transformer->transform( ProductFixtures::variable_ewheel_product() );
+
+        $this->assertCount( 1, $result );
+        $this->assertEquals( 'variable', $result[0]['type'] );
+        $this->assertEquals( 'SCOOTER-X', $result[0]['_merge_into'] );
+    }
+
     /**
      * Helper to check if string contains substring.
      *
@@ -0,0 +1,294 @@
+<?php
+/**
+ * Tests for RestController.
+ *
+ * @package Trotibike\EwheelImporter\Tests\Unit
+ */
+
+namespace Trotibike\EwheelImporter\Tests\Unit;
+
+use Trotibike\EwheelImporter\Model\Profile;
+use Trotibike\EwheelImporter\Repository\ProfileRepository;
+use Trotibike\EwheelImporter\Rest\RestController;
+use Trotibike\EwheelImporter\Service\BrandService;
+use Trotibike\EwheelImporter\Sync\SyncControl;
+use Trotibike\EwheelImporter\Tests\TestCase;
+use Brain\Monkey\Functions;
+use Mockery;
+
+/**
+ * RestController test cases.
+ */
+class RestControllerTest extends TestCase
+{
+    /**
+     * The $wpdb of other tests, restored on tear down.
+     *
+     * @var mixed
+     */
+    private $previous_wpdb;
+
+    /**
+     * Sync control mock.
+     *
+     * @var SyncControl|\Mockery\MockInterface
+     */
+    private $sync_control;
+
+    /**
+     * Profile repository mock.
+     *
+     * @var ProfileRepository|\Mockery\MockInterface
+     */
+    private $profiles;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        if (!defined('ARRAY_A')) {
+            define('ARRAY_A', 'ARRAY_A');
+        }
+
+        $this->previous_wpdb = $GLOBALS['wpdb'];
+
+        Functions\stubTranslationFunctions();
+        Functions\when('sanitize_key')->alias(fn($key) => preg_replace('/[^a-z0-9_\-]/', '', strtolower($key)));
+        Functions\when('rest_sanitize_boolean')->alias(fn($value) => filter_var($value, FILTER_VALIDATE_BOOLEAN));
+        Functions\when('get_option')->justReturn('');
+
+        $this->sync_control = Mockery::mock(SyncControl::class);
+        $this->profiles = Mockery::mock(ProfileRepository::class);
+        $this->profiles->shouldReceive('table_exists')->andReturn(true);
+    }
+
+    protected function tearDown(): void
+    {
+        $GLOBALS['wpdb'] = $this->previous_wpdb;
+
+        parent::tearDown();
+    }
+
+    /**
+     * Build the controller.
+     *
+     * @return RestController
+     */
+    private function create_controller(): RestController
+    {
+        return new RestController($this->sync_control, $this->profiles);
+    }
+
+    /**
+     * Build a request.
+     *
+     * @param array $params Request parameters.
+     * @return \WP_REST_Request
+     */
+    private function request(array $params): \WP_REST_Request
+    {
+        $request = new \WP_REST_Request();
+        foreach ($params as $key => $value) {
+            $request->set_param($key, $value);
+        }
+
+        return $request;
+    }
+
+    /**
+     * Test users without the capability get the authorization error code.
+     */
+    public function test_check_permission(): void
+    {
+        Functions\when('rest_authorization_required_code')->justReturn(401);
+        Functions\expect('current_user_can')->twice()->with('manage_woocommerce')->andReturn(true, false);
+
+        $controller = $this->create_controller();
+
+        $this->assertTrue($controller->check_permission());
+
+        $error = $controller->check_permission();
+        $this->assertInstanceOf(\WP_Error::class, $error);
+        $this->assertSame('ewheel_forbidden', $error->get_error_code());
+        $this->assertSame(['status' => 401], $error->get_error_data());
+    }
+
+    /**
+     * Test a sync can't be started for an unknown profile.
+     */
+    public function test_start_sync_unknown_profile(): void
+    {
+        $this->profiles->shouldReceive('find')->with(9)->andReturn(null);
+        $this->sync_control->shouldNotReceive('start');
+
+        $error = $this->create_controller()->start_sync($this->request(['profile_id' => 9, 'limit' => 0]));
+
+        $this->assertInstanceOf(\WP_Error::class, $error);
+        $this->assertSame('ewheel_profile_not_found', $error->get_error_code());
+        $this->assertSame(['status' => 404], $error->get_error_data());
+    }
+
+    /**
+     * Test a sync that can't start gives a conflict.
+     */
+    public function test_start_sync_conflict(): void
+    {
+        $this->sync_control->shouldReceive('start')
+            ->once()
+            ->with(10, null, false)
+            ->andThrow(new \RuntimeException('A sync is already running.'));
+
+        $error = $this->create_controller()->start_sync($this->request(['profile_id' => 0, 'limit' => 10]));
+
+        $this->assertInstanceOf(\WP_Error::class, $error);
+        $this->assertSame('ewheel_sync_not_started', $error->get_error_code());
+        $this->assertSame('A sync is already running.', $error->get_error_message());
+        $this->assertSame(['status' => 409], $error->get_error_data());
+    }
+
+    /**
+     * Test a started sync is accepted.
+     */
+    public function test_start_sync(): void
+    {
+        $this->profiles->shouldReceive('find')->with(3)->andReturn(new Profile());
+        $this->sync_control->shouldReceive('start')->once()->with(0, 3, true)->andReturn('sync_1');
+
+        $response = $this->create_controller()->start_sync(
+            $this->request(['profile_id' => 3, 'limit' => 0, 'resume_from_last' => true])
+        );
+
+        $this->assertSame(202, $response->get_status());
+        $this->assertSame('sync_1', $response->get_data()['sync_id']);
+        $this->assertSame(3, $response->get_data()['profile_id']);
+    }
+
+    /**
+     * Use a $wpdb whose log table exists and that records the prepared log query.
+     *
+     * @param array|null $prepared Receives [sql, args] of the log query.
+     * @return void
+     */
+    private function use_logs_wpdb(?array &$prepared): void
+    {
+        $wpdb = Mockery::mock('wpdb');
+        $wpdb->prefix = 'wp_';
+        $wpdb->shouldReceive('esc_like')->andReturnUsing(fn($text) => addcslashes($text, '_%\\'));
+        $wpdb->shouldReceive('prepare')->andReturnUsing(function ($sql, ...$args) use (&$prepared) {
+            if ($sql === 'SHOW TABLES LIKE %s') {
+                return $args[0];
+            }
+            if (strpos($sql, 'SELECT *') === 0) {
+                $prepared = [$sql, $args[0]];
+            }
+            return $sql;
+        });
+        $wpdb->shouldReceive('get_var')->andReturnUsing(fn($sql) => $sql === 'wp_ewheel_sync_logs' ? $sql : '3');
+        $wpdb->shouldReceive('get_results')->andReturn([]);
+        $GLOBALS['wpdb'] = $wpdb;
+    }
+
+    /**
+     * Test the live tail reads oldest first from the start.
+     */
+    public function test_get_logs_live_tail(): void
+    {
+        $prepared = null;
+        $this->use_logs_wpdb($prepared);
+
+        $response = $this->create_controller()->get_logs($this->request([
+            'level' => 'error',
+            'after_id' => 41,
+            'offset' => 30,
+            'limit' => 500,
+        ]));
+
+        $this->assertSame(3, $response->get_data()['total']);
+        $this->assertStringContainsString('ORDER BY created_at ASC, id ASC', $prepared[0]);
+        $this->assertSame(['error', 41, 200, 0], $prepared[1]);
+    }
+
+    /**
+     * Test pages are read newest first.
+     */
+    public function test_get_logs_page(): void
+    {
+        $prepared = null;
+        $this->use_logs_wpdb($prepared);
+
+        $this->create_controller()->get_logs($this->request(['after_id' => 0, 'offset' => 30, 'limit' => 10]));
+
+        $this->assertStringContainsString('ORDER BY created_at DESC, id DESC', $prepared[0]);
+        $this->assertSame([10, 30], $prepared[1]);
+    }
+
+    /**
+     * Test saving a profile keeps what the request leaves out, and the brand filters.
+     */
+    public function test_save_profile_merges_over_saved_values(): void
+    {
+        $profile = Profile::from_array([
+            'id' => 5,
+            'name' => 'Scooters',
+            'filters' => [
+                'category' => 'SCOOTERS',
+                'hasImages' => false,
+                BrandService::FILTER_INCLUDE => ['Kukirin'],
+                BrandService::FILTER_EXCLUDE => ['Noname'],
+            ],
+            'settings' => [
+                'exchange_rate' => 5.1,
+                'markup_percent' => 20.0,
+                'sync_frequency' => 'daily',
+            ],
+        ]);
+
+        $saved = null;
+        $this->profiles->shouldReceive('find')->with(5)->andReturn($profile);
+        $this->profiles->shouldReceive('save')->once()->andReturnUsing(function (Profile $profile) use (&$saved) {
+            $saved = $profile;
+            return 5;
+        });
+
+        $response = $this->create_controller()->save_profile($this->request([
+            'id' => 5,
+            'filters' => [
+                'hasImages' => '1',
+                BrandService::FILTER_INCLUDE => ['Xiaomi'],
+                BrandService::FILTER_EXCLUDE => [],
+            ],
+            'settings' => [
+                'markup_percent' => '',
+                'test_limit' => '25',
+            ],
+        ]));
+
+        $this->assertSame(200, $response->get_status());
+        $this->assertSame('Scooters', $saved->get_name());
+
+        $filters = $saved->get_filters();
+        $this->assertSame('SCOOTERS', $filters['category']);
+        $this->assertTrue($filters['hasImages']);
+        $this->assertSame(['Kukirin'], $filters[BrandService::FILTER_INCLUDE]);
+        $this->assertSame(['Noname'], $filters[BrandService::FILTER_EXCLUDE]);
+
+        $settings = $saved->get_settings();
+        $this->assertSame(5.1, $settings['exchange_rate']);
+        $this->assertNull($settings['markup_percent']);
+        $this->assertSame('daily', $settings['sync_frequency']);
+        $this->assertSame(25, $settings['test_limit']);
+    }
+
+    /**
+     * Test a profile without a name is refused.
+     */
+    public function test_save_profile_requires_name(): void
+    {
+        $this->profiles->shouldNotReceive('save');
+
+        $error = $this->create_controller()->save_profile($this->request(['name' => '']));
+
+        $this->assertInstanceOf(\WP_Error::class, $error);
+        $this->assertSame(['status' => 400], $error->get_error_data());
+    }
+}
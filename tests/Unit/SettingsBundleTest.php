@@ -0,0 +1,180 @@
+<?php
+/**
+ * Tests for SettingsBundle.
+ *
+ * @package Trotibike\EwheelImporter\Tests\Unit
+ */
+
+namespace Trotibike\EwheelImporter\Tests\Unit;
+
+use Trotibike\EwheelImporter\Config\Configuration;
+use Trotibike\EwheelImporter\Config\SettingsBundle;
+use Trotibike\EwheelImporter\Repository\CategoryRepository;
+use Trotibike\EwheelImporter\Repository\ProfileRepository;
+use Trotibike\EwheelImporter\Service\ModelService;
+use Trotibike\EwheelImporter\Tests\TestCase;
+use Mockery;
+
+/**
+ * SettingsBundle test cases.
+ */
+class SettingsBundleTest extends TestCase
+{
+    /**
+     * Configuration mock.
+     *
+     * @var Configuration|\Mockery\MockInterface
+     */
+    private $config;
+
+    /**
+     * Category repository mock.
+     *
+     * @var CategoryRepository|\Mockery\MockInterface
+     */
+    private $categories;
+
+    /**
+     * Model service mock.
+     *
+     * @var ModelService|\Mockery\MockInterface
+     */
+    private $models;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->config = Mockery::mock(Configuration::class);
+        $this->config->shouldReceive('get_all')->andReturn([
+            'api_key' => 'secret',
+            'markup_percent' => '20',
+            'exchange_rate' => '4.97',
+            'notify_on_sync' => '1',
+        ]);
+
+        $this->categories = Mockery::mock(CategoryRepository::class);
+        $this->models = Mockery::mock(ModelService::class);
+    }
+
+    /**
+     * Build a bundle service.
+     *
+     * @return SettingsBundle
+     */
+    private function create_bundle(): SettingsBundle
+    {
+        return new SettingsBundle(
+            $this->config,
+            Mockery::mock(ProfileRepository::class),
+            $this->categories,
+            $this->models,
+            '2.5.0'
+        );
+    }
+
+    /**
+     * Test exports from earlier releases are read as settings-only bundles.
+     */
+    public function test_parse_reads_legacy_export(): void
+    {
+        $parsed = $this->create_bundle()->parse(json_encode([
+            'settings' => ['markup_percent' => 25],
+            'version' => '2.4.3',
+            'exported_at' => '2026-02-17 10:00:00',
+        ]));
+
+        $this->assertSame(1, $parsed['bundle']['bundle_version']);
+        $this->assertSame('2.4.3', $parsed['bundle']['plugin_version']);
+        $this->assertCount(1, $parsed['warnings']);
+    }
+
+    /**
+     * Test bundles in a newer format are refused.
+     */
+    public function test_parse_rejects_newer_bundle_format(): void
+    {
+        $this->expectException(\RuntimeException::class);
+
+        $this->create_bundle()->parse(json_encode([
+            'bundle_version' => SettingsBundle::BUNDLE_VERSION + 1,
+            'plugin_version' => '3.0.0',
+            'settings' => ['markup_percent' => 25],
+        ]));
+    }
+
+    /**
+     * Test settings are compared by value, and secrets and unknown keys are skipped.
+     */
+    public function test_diff_settings(): void
+    {
+        $diff = $this->create_bundle()->diff([
+            'settings' => [
+                'api_key' => 'other-secret',
+                'markup_percent' => 20,
+                'exchange_rate' => 5.1,
+                'notify_on_sync' => true,
+                'removed_setting' => 'x',
+            ],
+        ]);
+
+        $statuses = array_column($diff['settings'], 'status', 'key');
+
+        $this->assertSame([
+            'markup_percent' => SettingsBundle::STATUS_SAME,
+            'exchange_rate' => SettingsBundle::STATUS_CHANGED,
+            'notify_on_sync' => SettingsBundle::STATUS_SAME,
+        ], $statuses);
+    }
+
+    /**
+     * Test category mappings resolve by slug and unknown categories are skipped.
+     */
+    public function test_diff_category_mappings_by_slug(): void
+    {
+        $term = Mockery::mock('WP_Term');
+        $term->term_id = 31;
+        $term->slug = 'anvelope';
+        $term->name = 'Anvelope';
+
+        $this->categories->shouldReceive('get_manual_mapping')->andReturn(['TYRES' => 12]);
+        $this->categories->shouldReceive('find')->with(12)->andReturn($term);
+        $this->categories->shouldReceive('find_by_reference')->with('anvelope')->andReturn($term);
+        $this->categories->shouldReceive('find_by_reference')->with('frane')->andReturn(null);
+
+        $diff = $this->create_bundle()->diff([
+            'category_mappings' => [
+                'TYRES' => ['slug' => 'anvelope', 'name' => 'Tyres'],
+                'TUBES' => ['slug' => 'anvelope', 'name' => 'Anvelope'],
+                'BRAKES' => ['slug' => 'frane', 'name' => 'Frâne'],
+            ],
+        ]);
+
+        $rows = array_column($diff['category_mappings'], null, 'key');
+
+        $this->assertSame(SettingsBundle::STATUS_SAME, $rows['TYRES']['status']);
+        $this->assertSame(SettingsBundle::STATUS_ADDED, $rows['TUBES']['status']);
+        $this->assertSame(31, $rows['TUBES']['value']);
+        $this->assertSame(SettingsBundle::STATUS_MISSING, $rows['BRAKES']['status']);
+    }
+
+    /**
+     * Test only the chosen sections are written, and only their changed entries.
+     */
+    public function test_apply_selected_sections(): void
+    {
+        $this->models->shouldReceive('get_model_names')->andReturn(['101' => 'Xiaomi M365']);
+        $this->models->shouldReceive('save_model_name')->once()->with('102', 'Xiaomi Pro 2')->andReturn(true);
+        $this->config->shouldNotReceive('set');
+
+        $applied = $this->create_bundle()->apply([
+            'settings' => ['markup_percent' => 30],
+            'model_names' => [
+                '101' => 'Xiaomi M365',
+                '102' => 'Xiaomi Pro 2',
+            ],
+        ], ['model_names']);
+
+        $this->assertSame(['model_names' => 1], $applied);
+    }
+}
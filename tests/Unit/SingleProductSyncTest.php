@@ -0,0 +1,115 @@
+<?php
+/**
+ * Tests for SingleProductSync.
+ *
+ * @package Trotibike\EwheelImporter\Tests\Unit
+ */
+
+namespace Trotibike\EwheelImporter\Tests\Unit;
+
+use Trotibike\EwheelImporter\Api\EwheelApiClient;
+use Trotibike\EwheelImporter\Repository\CategoryRepository;
+use Trotibike\EwheelImporter\Sync\ProductTransformer;
+use Trotibike\EwheelImporter\Sync\SingleProductSync;
+use Trotibike\EwheelImporter\Sync\WooCommerceSync;
+use Trotibike\EwheelImporter\Tests\TestCase;
+use Brain\Monkey\Functions;
+use Mockery;
+
+/**
+ * SingleProductSync test cases.
+ */
+class SingleProductSyncTest extends TestCase
+{
+    /**
+     * Build an instance around an API client mock.
+     *
+     * @param EwheelApiClient $api_client API client.
+     * @return SingleProductSync
+     */
+    private function create_sync(EwheelApiClient $api_client): SingleProductSync
+    {
+        return new SingleProductSync(
+            $api_client,
+            Mockery::mock(ProductTransformer::class),
+            Mockery::mock(WooCommerceSync::class),
+            Mockery::mock(CategoryRepository::class)
+        );
+    }
+
+    /**
+     * Test a product is found by its own reference.
+     */
+    public function test_find_raw_product_by_reference(): void
+    {
+        Functions\when('wc_get_product_id_by_sku')->justReturn(0);
+
+        $api_client = Mockery::mock(EwheelApiClient::class);
+        $api_client->shouldReceive('get_products')
+            ->once()
+            ->with(0, 5, ['productReference' => 'SCOOTER-X1'], true)
+            ->andReturn([
+                ['Reference' => 'SCOOTER-X1-PRO', 'Name' => 'X1 Pro'],
+                ['Reference' => 'SCOOTER-X1', 'Name' => 'X1'],
+            ]);
+
+        $raw = $this->create_sync($api_client)->find_raw_product(' SCOOTER-X1 ');
+
+        $this->assertSame('X1', $raw['Name']);
+    }
+
+    /**
+     * Test a WooCommerce variation SKU resolves to the parent's ewheel product.
+     */
+    public function test_find_raw_product_by_variation_sku(): void
+    {
+        $variation = Mockery::mock('WC_Product');
+        $variation->shouldReceive('get_parent_id')->andReturn(10);
+        $variation->shouldReceive('get_meta')->with('_ewheel_reference')->andReturn('TYRE-10-BLK');
+        $variation->shouldReceive('get_meta')->with('_ewheel_reference_base')->andReturn('');
+
+        $parent = Mockery::mock('WC_Product');
+        $parent->shouldReceive('get_meta')->with('_ewheel_reference')->andReturn('');
+        $parent->shouldReceive('get_meta')->with('_ewheel_reference_base')->andReturn('TYRE-10');
+
+        Functions\when('wc_get_product_id_by_sku')->justReturn(11);
+        Functions\when('wc_get_product')->alias(fn($id) => $id === 11 ? $variation : $parent);
+
+        $api_client = Mockery::mock(EwheelApiClient::class);
+        $api_client->shouldReceive('get_products')
+            ->with(0, 5, ['productReference' => 'SHOP-TYRE-BLACK'], true)
+            ->andReturn([]);
+        $api_client->shouldReceive('get_products')
+            ->with(0, 5, ['productReference' => 'TYRE-10-BLK'], true)
+            ->andReturn([
+                [
+                    'reference' => 'TYRE-10',
+                    'variants' => [
+                        ['reference' => 'TYRE-10-RED'],
+                        ['reference' => 'TYRE-10-BLK'],
+                    ],
+                ],
+            ]);
+
+        $raw = $this->create_sync($api_client)->find_raw_product('SHOP-TYRE-BLACK');
+
+        $this->assertSame('TYRE-10', $raw['reference']);
+    }
+
+    /**
+     * Test an unknown identifier throws.
+     */
+    public function test_find_raw_product_throws_when_not_found(): void
+    {
+        Functions\when('wc_get_product_id_by_sku')->justReturn(0);
+
+        $api_client = Mockery::mock(EwheelApiClient::class);
+        $api_client->shouldReceive('get_products')->andReturn([
+            ['Reference' => 'SCOOTER-X1-PRO'],
+        ]);
+
+        $this->expectException(\RuntimeException::class);
+
+        $this->create_sync($api_client)->find_raw_product('SCOOTER-X1');
+    }
+}
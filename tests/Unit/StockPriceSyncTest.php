@@ -0,0 +1,442 @@
+<?php
+/**
+ * Tests for StockPriceSync and WooCommerceSync::sync_stock_and_prices().
+ *
+ * @package Trotibike\EwheelImporter\Tests\Unit
+ */
+
+namespace Trotibike\EwheelImporter\Tests\Unit;
+
+use Trotibike\EwheelImporter\Api\EwheelApiClient;
+use Trotibike\EwheelImporter\Config\Configuration;
+use Trotibike\EwheelImporter\Repository\CategoryRepository;
+use Trotibike\EwheelImporter\Service\AttributeService;
+use Trotibike\EwheelImporter\Service\BrandService;
+use Trotibike\EwheelImporter\Service\ImageQueue;
+use Trotibike\EwheelImporter\Service\ModelService;
+use Trotibike\EwheelImporter\Service\VariationService;
+use Trotibike\EwheelImporter\Sync\ProductTransformer;
+use Trotibike\EwheelImporter\Sync\StockPriceSync;
+use Trotibike\EwheelImporter\Sync\WooCommerceSync;
+use Trotibike\EwheelImporter\Tests\TestCase;
+use Trotibike\EwheelImporter\Translation\Translator;
+use Brain\Monkey\Functions;
+use Mockery;
+
+/**
+ * StockPriceSync test cases.
+ */
+class StockPriceSyncTest extends TestCase
+{
+    /**
+     * Stored options.
+     *
+     * @var array
+     */
+    private array $options = [];
+
+    /**
+     * The $wpdb of other tests, restored on tear down.
+     *
+     * @var mixed
+     */
+    private $previous_wpdb;
+
+    /**
+     * WooCommerce products by ID.
+     *
+     * @var array
+     */
+    private array $products = [];
+
+    /**
+     * Product IDs by SKU.
+     *
+     * @var array
+     */
+    private array $skus = [];
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        if (!defined('ARRAY_A')) {
+            define('ARRAY_A', 'ARRAY_A');
+        }
+
+        $this->previous_wpdb = $GLOBALS['wpdb'];
+        $this->options = [];
+        $this->products = [];
+        $this->skus = [];
+        $GLOBALS['wp_transients'] = [];
+
+        Functions\stubTranslationFunctions();
+        Functions\when('get_option')->alias(fn($name, $default = false) => $this->options[$name] ?? $default);
+        Functions\when('update_option')->alias(function ($name, $value) {
+            $this->options[$name] = $value;
+            return true;
+        });
+        Functions\when('wc_get_product_id_by_sku')->alias(fn($sku) => $this->skus[$sku] ?? 0);
+        Functions\when('wc_get_product')->alias(fn($id) => $this->products[$id] ?? false);
+    }
+
+    protected function tearDown(): void
+    {
+        $GLOBALS['wpdb'] = $this->previous_wpdb;
+        $GLOBALS['wp_transients'] = [];
+
+        parent::tearDown();
+    }
+
+    /**
+     * Use a $wpdb whose tables all exist.
+     *
+     * @return \Mockery\MockInterface
+     */
+    private function use_wpdb()
+    {
+        $wpdb = Mockery::mock('wpdb');
+        $wpdb->prefix = 'wp_';
+        $wpdb->posts = 'wp_posts';
+        $wpdb->postmeta = 'wp_postmeta';
+        $wpdb->shouldReceive('prepare')->andReturnUsing(
+            fn($sql, ...$args) => strpos($sql, 'SHOW TABLES') === 0 ? $args[0] : $sql
+        );
+        $wpdb->shouldReceive('get_var')->andReturnUsing(fn($sql) => $sql);
+        $wpdb->shouldReceive('get_results')->andReturn([]);
+        $wpdb->shouldReceive('get_row')->andReturn(null);
+        $wpdb->shouldReceive('query')->andReturn(0);
+        $GLOBALS['wpdb'] = $wpdb;
+
+        return $wpdb;
+    }
+
+    /**
+     * Add a WooCommerce product whose setters record changes like WC_Data does.
+     *
+     * @param int    $id        Product ID.
+     * @param string $sku       Product SKU.
+     * @param array  $data      Current props.
+     * @param int    $parent_id Parent ID (variations).
+     * @return \Mockery\MockInterface
+     */
+    private function add_product(int $id, string $sku, array $data, int $parent_id = 0)
+    {
+        $data += [
+            'manage_stock' => true,
+            'stock_quantity' => 0,
+            'stock_status' => 'outofstock',
+            'regular_price' => '',
+            'sale_price' => '',
+        ];
+        $changes = [];
+
+        $product = Mockery::mock('WC_Product');
+        $product->shouldReceive('get_id')->andReturn($id);
+        $product->shouldReceive('get_name')->andReturn('Product ' . $id);
+        $product->shouldReceive('get_parent_id')->andReturn($parent_id);
+        $product->shouldReceive('get_data')->andReturn($data);
+        $product->shouldReceive('get_changes')->andReturnUsing(function () use (&$changes) {
+            return $changes;
+        });
+
+        foreach (array_keys($data) as $prop) {
+            $product->shouldReceive('set_' . $prop)->andReturnUsing(function ($value) use (&$changes, $data, $prop) {
+                if ($data[$prop] !== $value) {
+                    $changes[$prop] = $value;
+                }
+            });
+        }
+
+        $this->products[$id] = $product;
+        $this->skus[$sku] = $id;
+
+        return $product;
+    }
+
+    /**
+     * Build a WooCommerce sync around a configuration.
+     *
+     * @param array $sync_protection Protected fields.
+     * @return WooCommerceSync
+     */
+    private function create_woo_sync(array $sync_protection = []): WooCommerceSync
+    {
+        $config = Mockery::mock(Configuration::class);
+        $config->shouldReceive('get')->with('sync_protection')->andReturn($sync_protection);
+
+        $woo_sync = new WooCommerceSync(
+            Mockery::mock(EwheelApiClient::class),
+            Mockery::mock(ProductTransformer::class),
+            Mockery::mock(CategoryRepository::class),
+            Mockery::mock(AttributeService::class),
+            Mockery::mock(VariationService::class),
+            Mockery::mock(ImageQueue::class),
+            Mockery::mock(BrandService::class),
+            Mockery::mock(ModelService::class),
+            $config,
+            Mockery::mock(Translator::class)
+        );
+        $woo_sync->set_run_context('stock_1');
+
+        return $woo_sync;
+    }
+
+    /**
+     * Build a stock sync whose feed has stock only.
+     *
+     * @param WooCommerceSync $woo_sync WooCommerce sync.
+     * @return StockPriceSync
+     */
+    private function create_stock_sync(WooCommerceSync $woo_sync): StockPriceSync
+    {
+        $api_client = Mockery::mock(EwheelApiClient::class);
+        $api_client->shouldReceive('get_stock')->andReturn(['SCOOTER-X1' => 4]);
+
+        $config = Mockery::mock(Configuration::class);
+        $config->shouldReceive('is_stock_sync_prices_enabled')->andReturn(false);
+
+        return new StockPriceSync($api_client, Mockery::mock(ProductTransformer::class), $woo_sync, $config);
+    }
+
+    /**
+     * Build a WooCommerce sync mock returning the given stats.
+     *
+     * @param int $updated Products updated.
+     * @return WooCommerceSync|\Mockery\MockInterface
+     */
+    private function mock_woo_sync(int $updated)
+    {
+        $woo_sync = Mockery::mock(WooCommerceSync::class);
+        $woo_sync->shouldReceive('set_lookup_cache');
+        $woo_sync->shouldReceive('set_run_context');
+        $woo_sync->shouldReceive('sync_stock_and_prices')
+            ->once()
+            ->with(['SCOOTER-X1' => 4], [])
+            ->andReturn([
+                'updated' => $updated,
+                'unchanged' => 1 - $updated,
+                'skipped' => 0,
+                'price_changes' => 0,
+                'status_changes' => [],
+            ]);
+
+        return $woo_sync;
+    }
+
+    /**
+     * Test a run holding the lock keeps others out.
+     */
+    public function test_locked_run_is_skipped_and_busy(): void
+    {
+        $this->options[StockPriceSync::STATUS_OPTION] = ['status' => StockPriceSync::STATUS_RUNNING, 'sync_id' => 'stock_0'];
+        set_transient('ewheel_importer_stock_sync_lock', 1);
+
+        $woo_sync = Mockery::mock(WooCommerceSync::class);
+        $woo_sync->shouldNotReceive('sync_stock_and_prices');
+        $sync = $this->create_stock_sync($woo_sync);
+
+        $this->assertTrue($sync->is_busy());
+        $this->assertSame('stock_0', $sync->run()['sync_id']);
+
+        $this->expectException(\RuntimeException::class);
+        $sync->queue();
+    }
+
+    /**
+     * Test a queued run only counts while its action is scheduled.
+     */
+    public function test_is_busy_when_queued(): void
+    {
+        $this->options[StockPriceSync::STATUS_OPTION] = ['status' => StockPriceSync::STATUS_QUEUED];
+        $scheduled = true;
+        Functions\when('as_has_scheduled_action')->alias(function () use (&$scheduled) {
+            return $scheduled;
+        });
+
+        $sync = $this->create_stock_sync(Mockery::mock(WooCommerceSync::class));
+
+        $this->assertTrue($sync->is_busy());
+        $scheduled = false;
+        $this->assertFalse($sync->is_busy());
+    }
+
+    /**
+     * Test a run that changed nothing leaves no history row and releases the lock.
+     */
+    public function test_run_without_changes_deletes_history_row(): void
+    {
+        $wpdb = $this->use_wpdb();
+        $wpdb->shouldReceive('insert')->andReturn(1);
+        $wpdb->shouldReceive('delete')
+            ->once()
+            ->with('wp_ewheel_sync_history', Mockery::on(fn($where) => strpos($where['sync_id'], 'stock_') === 0), ['%s'])
+            ->andReturn(1);
+        $wpdb->shouldNotReceive('update');
+
+        $sync = $this->create_stock_sync($this->mock_woo_sync(0));
+        $status = $sync->run();
+
+        $this->assertSame(StockPriceSync::STATUS_COMPLETED, $status['status']);
+        $this->assertSame('', $status['sync_id']);
+        $this->assertSame(1, $status['unchanged']);
+        $this->assertFalse($sync->is_busy());
+    }
+
+    /**
+     * Test a run that changed products keeps its history row.
+     */
+    public function test_run_with_changes_keeps_history_row(): void
+    {
+        $wpdb = $this->use_wpdb();
+        $wpdb->shouldReceive('insert')->andReturn(1);
+        $wpdb->shouldNotReceive('delete');
+        $wpdb->shouldReceive('update')
+            ->once()
+            ->with('wp_ewheel_sync_history', ['products_processed' => 1, 'products_updated' => 1], Mockery::any(), ['%d', '%d'], ['%s'])
+            ->andReturn(1);
+
+        $status = $this->create_stock_sync($this->mock_woo_sync(1))->run();
+
+        $this->assertSame(StockPriceSync::STATUS_COMPLETED, $status['status']);
+        $this->assertStringStartsWith('stock_', $status['sync_id']);
+        $this->assertSame(1, $status['updated']);
+    }
+
+    /**
+     * Test a failed run that saved no product leaves no history row.
+     */
+    public function test_failed_run_without_changes_deletes_history_row(): void
+    {
+        $wpdb = $this->use_wpdb();
+        $wpdb->shouldReceive('insert')->andReturn(1);
+        $wpdb->shouldReceive('delete')
+            ->once()
+            ->with('wp_ewheel_sync_history', Mockery::on(fn($where) => strpos($where['sync_id'], 'stock_') === 0), ['%s'])
+            ->andReturn(1);
+        $wpdb->shouldNotReceive('update');
+
+        $woo_sync = Mockery::mock(WooCommerceSync::class);
+        $woo_sync->shouldReceive('set_lookup_cache');
+        $woo_sync->shouldReceive('set_run_context');
+        $woo_sync->shouldReceive('sync_stock_and_prices')->andThrow(new \RuntimeException('Timed out.'));
+
+        $status = $this->create_stock_sync($woo_sync)->run();
+
+        $this->assertSame(StockPriceSync::STATUS_FAILED, $status['status']);
+        $this->assertSame('Timed out.', $status['error']);
+    }
+
+    /**
+     * Test stock status changes are collected and unchanged products are not saved.
+     */
+    public function test_sync_stock_collects_status_changes(): void
+    {
+        $wpdb = $this->use_wpdb();
+        $wpdb->shouldReceive('insert')
+            ->once()
+            ->with('wp_ewheel_sync_items', Mockery::on(fn($row) => $row['sku'] === 'SCOOTER-X1' && $row['product_id'] === 11), Mockery::any())
+            ->andReturn(1);
+
+        $this->add_product(11, 'SCOOTER-X1', ['stock_quantity' => 3, 'stock_status' => 'instock'])
+            ->shouldReceive('save')->once();
+        $this->add_product(12, 'SCOOTER-X2', ['stock_quantity' => 5, 'stock_status' => 'instock'])
+            ->shouldNotReceive('save');
+
+        $stats = $this->create_woo_sync()->sync_stock_and_prices([
+            'SCOOTER-X1' => 0,
+            'SCOOTER-X2' => 5,
+            'NOT-IMPORTED' => 2,
+        ]);
+
+        $this->assertSame(1, $stats['updated']);
+        $this->assertSame(1, $stats['unchanged']);
+        $this->assertSame(1, $stats['skipped']);
+        $this->assertSame(0, $stats['price_changes']);
+        $this->assertSame(
+            [['sku' => 'SCOOTER-X1', 'product_id' => 11, 'name' => 'Product 11', 'old' => 'instock', 'new' => 'outofstock']],
+            $stats['status_changes']
+        );
+    }
+
+    /**
+     * Test protected prices are left alone, even for SKUs only in the price map.
+     */
+    public function test_price_protection_ignores_price_map(): void
+    {
+        $this->use_wpdb();
+
+        $this->add_product(11, 'SCOOTER-X1', ['stock_quantity' => 3, 'stock_status' => 'instock', 'regular_price' => '2499'])
+            ->shouldNotReceive('save');
+
+        $stats = $this->create_woo_sync(['price' => true])->sync_stock_and_prices(
+            ['SCOOTER-X1' => 3],
+            [
+                'SCOOTER-X1' => ['regular_price' => '2599', 'sale_price' => ''],
+                'NOT-IMPORTED' => ['regular_price' => '99', 'sale_price' => ''],
+            ]
+        );
+
+        $this->assertSame(0, $stats['updated']);
+        $this->assertSame(1, $stats['unchanged']);
+        $this->assertSame(0, $stats['skipped']);
+        $this->assertSame(0, $stats['price_changes']);
+    }
+
+    /**
+     * Test a dry run counts changes without saving or recording them.
+     */
+    public function test_dry_run_saves_and_records_nothing(): void
+    {
+        $wpdb = $this->use_wpdb();
+        $wpdb->shouldNotReceive('insert');
+
+        $this->add_product(21, 'TYRE-10-BLK', ['stock_quantity' => 2, 'stock_status' => 'instock', 'regular_price' => '89'], 20)
+            ->shouldNotReceive('save');
+
+        // A real run would sync the parent through WC_Product_Variable, which does not exist here
+        $stats = $this->create_woo_sync()->sync_stock_and_prices(
+            ['TYRE-10-BLK' => 0],
+            ['TYRE-10-BLK' => ['regular_price' => '99', 'sale_price' => '']],
+            true
+        );
+
+        $this->assertSame(1, $stats['updated']);
+        $this->assertSame(1, $stats['price_changes']);
+        $this->assertCount(1, $stats['status_changes']);
+    }
+
+    /**
+     * Test variable parents are synced once after their variations change.
+     *
+     * @runInSeparateProcess
+     * @preserveGlobalState disabled
+     */
+    public function test_variable_parents_are_synced(): void
+    {
+        $wpdb = $this->use_wpdb();
+        $wpdb->shouldReceive('insert')->twice()->andReturn(1);
+
+        $this->add_product(21, 'TYRE-10-BLK', ['stock_quantity' => 2, 'stock_status' => 'instock', 'regular_price' => '89'], 20)
+            ->shouldReceive('save')->once();
+        $this->add_product(22, 'TYRE-10-RED', ['stock_quantity' => 2, 'stock_status' => 'instock', 'regular_price' => '89'], 20)
+            ->shouldReceive('save')->once();
+
+        Mockery::mock('alias:WC_Product_Variable')
+            ->shouldReceive('sync')
+            ->once()
+            ->with(20);
+
+        $stats = $this->create_woo_sync()->sync_stock_and_prices(
+            ['TYRE-10-BLK' => 2, 'TYRE-10-RED' => 2],
+            [
+                'TYRE-10-BLK' => ['regular_price' => '99', 'sale_price' => ''],
+                'TYRE-10-RED' => ['regular_price' => '99', 'sale_price' => '79'],
+            ]
+        );
+
+        $this->assertSame(2, $stats['updated']);
+        $this->assertSame(2, $stats['price_changes']);
+        $this->assertSame([], $stats['status_changes']);
+    }
+}
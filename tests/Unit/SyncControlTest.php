@@ -0,0 +1,196 @@
+<?php
+/**
+ * Tests for SyncControl.
+ *
+ * @package Trotibike\EwheelImporter\Tests\Unit
+ */
+
+namespace Trotibike\EwheelImporter\Tests\Unit;
+
+use Trotibike\EwheelImporter\Config\Configuration;
+use Trotibike\EwheelImporter\Repository\ProfileRepository;
+use Trotibike\EwheelImporter\Sync\SyncControl;
+use Trotibike\EwheelImporter\Sync\SyncLauncher;
+use Trotibike\EwheelImporter\Sync\SyncProgressStream;
+use Trotibike\EwheelImporter\Tests\TestCase;
+use Brain\Monkey\Functions;
+use Mockery;
+
+/**
+ * SyncControl test cases.
+ */
+class SyncControlTest extends TestCase
+{
+    /**
+     * Stored options.
+     *
+     * @var array
+     */
+    private array $options = [];
+
+    /**
+     * Sync launcher mock.
+     *
+     * @var SyncLauncher|\Mockery\MockInterface
+     */
+    private $launcher;
+
+    /**
+     * Sync progress mock.
+     *
+     * @var SyncProgressStream|\Mockery\MockInterface
+     */
+    private $progress;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $GLOBALS['wp_transients'] = [];
+        $this->options = [];
+
+        Functions\stubTranslationFunctions();
+        Functions\when('get_option')->alias(fn($name, $default = false) => $this->options[$name] ?? $default);
+        Functions\when('update_option')->alias(function ($name, $value) {
+            $this->options[$name] = $value;
+            return true;
+        });
+        Functions\when('delete_option')->alias(function ($name) {
+            unset($this->options[$name]);
+            return true;
+        });
+
+        $this->launcher = Mockery::mock(SyncLauncher::class);
+        $this->progress = Mockery::mock(SyncProgressStream::class);
+    }
+
+    /**
+     * Build the sync control.
+     *
+     * @return SyncControl
+     */
+    private function create_control(): SyncControl
+    {
+        $profiles = Mockery::mock(ProfileRepository::class);
+        $profiles->shouldReceive('find')->andReturn(null);
+        $profiles->shouldReceive('find_default')->andReturn(null);
+
+        $config = Mockery::mock(Configuration::class);
+        $config->shouldReceive('get_api_key')->andReturn('');
+
+        return new SyncControl($this->launcher, $this->progress, $profiles, $config);
+    }
+
+    /**
+     * Test pausing flags the running sync of the given profile only.
+     */
+    public function test_pause_flags_profile_sync(): void
+    {
+        $this->options['ewheel_importer_sync_status'] = ['id' => 'sync_global', 'status' => 'running'];
+        $this->options['ewheel_importer_sync_status_3'] = ['id' => 'sync_3', 'status' => 'running'];
+        $this->launcher->shouldReceive('get_running_sync_id')->with(3)->andReturn('sync_3');
+
+        $this->assertSame('sync_3', $this->create_control()->pause(3));
+
+        $this->assertSame('paused', $this->options['ewheel_importer_sync_status_3']['status']);
+        $this->assertTrue($this->options['ewheel_importer_pause_sync_sync_3']);
+        $this->assertSame('running', $this->options['ewheel_importer_sync_status']['status']);
+    }
+
+    /**
+     * Test pausing without a running sync fails.
+     */
+    public function test_pause_without_running_sync_throws(): void
+    {
+        $this->launcher->shouldReceive('get_running_sync_id')->andReturn(null);
+
+        $this->expectException(\RuntimeException::class);
+
+        $this->create_control()->pause();
+    }
+
+    /**
+     * Test a normal stop leaves other profiles and their batches alone.
+     */
+    public function test_stop_only_clears_its_scope(): void
+    {
+        $this->options['ewheel_importer_sync_status'] = ['id' => 'sync_global', 'status' => 'running'];
+        $this->options['ewheel_importer_sync_status_3'] = ['id' => 'sync_3', 'status' => 'paused'];
+        $this->options['ewheel_importer_pause_sync_sync_3'] = true;
+        $GLOBALS['wp_transients']['ewheel_importer_sync_lock_3'] = 'sync_3';
+        $GLOBALS['wp_transients']['ewheel_importer_sync_lock'] = 'sync_global';
+
+        $this->launcher->shouldReceive('get_running_sync_id')->with(3)->andReturn(null);
+        $this->launcher->shouldReceive('get_paused_sync')->with(3)->andReturn(['id' => 'sync_3']);
+        Functions\expect('as_unschedule_all_actions')->never();
+
+        $this->assertSame('sync_3', $this->create_control()->stop(3));
+
+        $this->assertArrayNotHasKey('ewheel_importer_sync_status_3', $this->options);
+        $this->assertArrayNotHasKey('ewheel_importer_pause_sync_sync_3', $this->options);
+        $this->assertArrayNotHasKey('ewheel_importer_sync_lock_3', $GLOBALS['wp_transients']);
+        $this->assertArrayHasKey('ewheel_importer_sync_status', $this->options);
+        $this->assertSame('sync_global', $GLOBALS['wp_transients']['ewheel_importer_sync_lock']);
+    }
+
+    /**
+     * Test resuming from the last position starts on the page after it.
+     */
+    public function test_start_resumes_after_last_page(): void
+    {
+        $this->options['ewheel_importer_sync_status'] = ['id' => 'sync_old', 'status' => 'stopped', 'page' => 4];
+        $this->launcher->shouldReceive('start_sync')->once()->with(20, null, 5)->andReturn('sync_new');
+
+        $this->assertSame('sync_new', $this->create_control()->start(20, null, true));
+    }
+
+    /**
+     * Test launcher failures surface as runtime exceptions.
+     */
+    public function test_start_wraps_launcher_errors(): void
+    {
+        $this->launcher->shouldReceive('start_sync')->andThrow(new \Exception('A sync is already in progress'));
+
+        $this->expectException(\RuntimeException::class);
+        $this->expectExceptionMessage('A sync is already in progress');
+
+        $this->create_control()->start();
+    }
+
+    /**
+     * Test incremental syncs go through the launcher and surface its errors.
+     */
+    public function test_start_incremental_wraps_launcher_errors(): void
+    {
+        $this->launcher->shouldReceive('start_incremental_sync')
+            ->once()
+            ->with('2026-01-01T00:00:00', null)
+            ->andThrow(new \Exception('A sync is already in progress'));
+
+        $this->expectException(\RuntimeException::class);
+        $this->expectExceptionMessage('A sync is already in progress');
+
+        $this->create_control()->start_incremental('2026-01-01T00:00:00');
+    }
+
+    /**
+     * Test the status gets a message and the profile it belongs to.
+     */
+    public function test_status_adds_message(): void
+    {
+        $this->progress->shouldReceive('get_status')->with(3)->andReturn([
+            'status' => 'completed',
+            'is_running' => false,
+            'is_paused' => false,
+            'processed' => 12,
+            'created' => 2,
+            'updated' => 10,
+            'failed' => 0,
+        ]);
+
+        $status = $this->create_control()->get_status(3);
+
+        $this->assertSame('Sync completed: 12 processed (2 created, 10 updated)', $status['message']);
+        $this->assertSame(3, $status['profile_id']);
+    }
+}
@@ -0,0 +1,201 @@
+<?php
+/**
+ * Tests for SyncItemLog.
+ *
+ * @package Trotibike\EwheelImporter\Tests\Unit
+ */
+
+namespace Trotibike\EwheelImporter\Tests\Unit;
+
+use Trotibike\EwheelImporter\Sync\SyncHistoryManager;
+use Trotibike\EwheelImporter\Sync\SyncItemLog;
+use Trotibike\EwheelImporter\Tests\TestCase;
+use Mockery;
+
+/**
+ * SyncItemLog test cases.
+ */
+class SyncItemLogTest extends TestCase
+{
+    /**
+     * The $wpdb of other tests, restored on tear down.
+     *
+     * @var mixed
+     */
+    private $previous_wpdb;
+
+    /**
+     * History rows as [sync_id => [sync_type, started_at]].
+     *
+     * @var array
+     */
+    private array $history = [];
+
+    /**
+     * Item counts by sync ID.
+     *
+     * @var array
+     */
+    private array $items = [];
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->previous_wpdb = $GLOBALS['wpdb'];
+        $this->history = [];
+        $this->items = [];
+    }
+
+    protected function tearDown(): void
+    {
+        $GLOBALS['wpdb'] = $this->previous_wpdb;
+
+        parent::tearDown();
+    }
+
+    /**
+     * Use a $wpdb that runs the prune queries against $history and $items.
+     *
+     * @return void
+     */
+    private function use_wpdb(): void
+    {
+        $wpdb = Mockery::mock('wpdb');
+        $wpdb->prefix = 'wp_';
+        $wpdb->shouldReceive('prepare')->andReturnUsing(
+            fn($sql, ...$args) => strpos($sql, 'SHOW TABLES') === 0 ? $args[0] : [$sql, $args]
+        );
+        $wpdb->shouldReceive('get_var')->andReturnUsing(function ($query) {
+            if (!is_array($query)) {
+                return $query;
+            }
+
+            [$sql, [$type, $offset]] = $query;
+            $this->assertStringContainsString('sync_type <> %s', $sql);
+
+            $started = [];
+            foreach ($this->history as [$run_type, $started_at]) {
+                if ($run_type !== $type) {
+                    $started[] = $started_at;
+                }
+            }
+            rsort($started);
+
+            return $started[$offset] ?? null;
+        });
+        $wpdb->shouldReceive('query')->andReturnUsing(function ($query) {
+            [$sql, [$type, $before]] = $query;
+            $same_type = strpos($sql, 'sync_type = %s') !== false;
+
+            $deleted = 0;
+            foreach ($this->history as $sync_id => [$run_type, $started_at]) {
+                if (($run_type === $type) === $same_type && $started_at < $before) {
+                    $deleted += $this->items[$sync_id] ?? 0;
+                    unset($this->items[$sync_id]);
+                }
+            }
+
+            return $deleted;
+        });
+        $GLOBALS['wpdb'] = $wpdb;
+    }
+
+    /**
+     * Add a run with items.
+     *
+     * @param string $sync_id Sync ID.
+     * @param string $type    Sync type.
+     * @param int    $age     Seconds since the run started.
+     * @param int    $items   Number of items.
+     * @return void
+     */
+    private function add_run(string $sync_id, string $type, int $age, int $items = 1): void
+    {
+        $this->history[$sync_id] = [$type, gmdate('Y-m-d H:i:s', time() - $age)];
+        $this->items[$sync_id] = $items;
+    }
+
+    /**
+     * Test frequent stock runs don't push out the items of the last full sync.
+     */
+    public function test_prune_keeps_full_sync_items_behind_stock_runs(): void
+    {
+        $this->use_wpdb();
+        $this->add_run('sync_old', SyncHistoryManager::TYPE_FULL, 2 * DAY_IN_SECONDS, 5);
+        $this->add_run('sync_last', SyncHistoryManager::TYPE_FULL, DAY_IN_SECONDS, 5);
+        for ($i = 0; $i < 40; $i++) {
+            $this->add_run('stock_' . $i, SyncHistoryManager::TYPE_STOCK, $i * 900 + 60);
+        }
+
+        $this->assertSame(0, SyncItemLog::prune(2));
+
+        $this->assertSame(5, $this->items['sync_old']);
+        $this->assertSame(5, $this->items['sync_last']);
+        $this->assertCount(42, $this->items);
+    }
+
+    /**
+     * Test old stock runs are pruned by age and other runs by count.
+     */
+    public function test_prune_drops_old_stock_runs_and_runs_past_the_limit(): void
+    {
+        $this->use_wpdb();
+        $this->add_run('sync_old', SyncHistoryManager::TYPE_FULL, 3 * DAY_IN_SECONDS, 5);
+        $this->add_run('sync_last', SyncHistoryManager::TYPE_INCREMENTAL, 2 * DAY_IN_SECONDS, 5);
+        $this->add_run('stock_old', SyncHistoryManager::TYPE_STOCK, 8 * DAY_IN_SECONDS, 3);
+        $this->add_run('stock_new', SyncHistoryManager::TYPE_STOCK, 60, 3);
+
+        $this->assertSame(8, SyncItemLog::prune(1));
+
+        $this->assertSame(['sync_last' => 5, 'stock_new' => 3], $this->items);
+    }
+
+    /**
+     * Test that changed fields are returned with old and new values.
+     */
+    public function test_diff_changes_lists_changed_fields(): void
+    {
+        $old = ['name' => 'Trotinetă X1', 'regular_price' => '549.00', 'stock_quantity' => 3];
+        $changes = ['regular_price' => '599.00', 'stock_quantity' => 5];
+
+        $diff = SyncItemLog::diff_changes($old, $changes);
+
+        $this->assertSame(['regular_price', 'stock_quantity'], array_keys($diff));
+        $this->assertSame(['old' => '549.00', 'new' => '599.00'], $diff['regular_price']);
+        $this->assertSame(['old' => '3', 'new' => '5'], $diff['stock_quantity']);
+    }
+
+    /**
+     * Test that values equal after normalization are not reported.
+     */
+    public function test_diff_changes_ignores_equal_values(): void
+    {
+        $attribute = new class {
+            public function get_data(): array
+            {
+                return ['name' => 'pa_color', 'options' => ['red']];
+            }
+        };
+
+        $diff = SyncItemLog::diff_changes(
+            ['stock_quantity' => 5, 'attributes' => [clone $attribute]],
+            ['stock_quantity' => '5', 'attributes' => [clone $attribute]]
+        );
+
+        $this->assertSame([], $diff);
+    }
+
+    /**
+     * Test that timestamps WooCommerce bumps on every save are ignored.
+     */
+    public function test_diff_changes_skips_modified_date(): void
+    {
+        $diff = SyncItemLog::diff_changes(
+            ['date_modified' => new \DateTime('2024-01-01 10:00:00'), 'sale_price' => '10'],
+            ['date_modified' => new \DateTime('2024-02-01 10:00:00'), 'sale_price' => '']
+        );
+
+        $this->assertSame(['sale_price' => ['old' => '10', 'new' => '']], $diff);
+    }
+}
@@ -0,0 +1,289 @@
+<?php
+/**
+ * Tests for SyncPreview.
+ *
+ * @package Trotibike\EwheelImporter\Tests\Unit
+ */
+
+namespace Trotibike\EwheelImporter\Tests\Unit;
+
+use Trotibike\EwheelImporter\Api\EwheelApiClient;
+use Trotibike\EwheelImporter\Config\Configuration;
+use Trotibike\EwheelImporter\Repository\CategoryRepository;
+use Trotibike\EwheelImporter\Repository\ProfileRepository;
+use Trotibike\EwheelImporter\Service\AttributeService;
+use Trotibike\EwheelImporter\Service\BrandService;
+use Trotibike\EwheelImporter\Service\ImageQueue;
+use Trotibike\EwheelImporter\Service\ModelService;
+use Trotibike\EwheelImporter\Service\VariationService;
+use Trotibike\EwheelImporter\Sync\ProductLookupCache;
+use Trotibike\EwheelImporter\Sync\ProductTransformer;
+use Trotibike\EwheelImporter\Sync\SyncPreview;
+use Trotibike\EwheelImporter\Sync\WooCommerceSync;
+use Trotibike\EwheelImporter\Tests\TestCase;
+use Trotibike\EwheelImporter\Translation\Translator;
+use Brain\Monkey\Functions;
+use Mockery;
+
+/**
+ * SyncPreview test cases.
+ */
+class SyncPreviewTest extends TestCase
+{
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Functions\when('wp_strip_all_tags')->alias('strip_tags');
+        Functions\when('get_edit_post_link')->justReturn('https://example.com/wp-admin/post.php?post=42');
+        Functions\when('get_post_meta')->justReturn('');
+        Functions\when('wp_get_attachment_url')->justReturn('');
+    }
+
+    /**
+     * Build a preview instance with a lookup cache.
+     *
+     * @param ProductLookupCache $cache Lookup cache.
+     * @return SyncPreview
+     */
+    private function create_preview(ProductLookupCache $cache): SyncPreview
+    {
+        $preview = new SyncPreview(
+            Mockery::mock(EwheelApiClient::class),
+            Mockery::mock(ProductTransformer::class),
+            Mockery::mock(CategoryRepository::class),
+            Mockery::mock(Configuration::class),
+            Mockery::mock(ProfileRepository::class)
+        );
+        $preview->set_lookup_cache($cache);
+
+        return $preview;
+    }
+
+    /**
+     * Transformed product data fixture.
+     *
+     * @return array
+     */
+    private function product_data(): array
+    {
+        return [
+            'sku' => 'SCOOTER-X1',
+            'type' => 'simple',
+            'name' => 'Trotinetă X1',
+            'description' => 'Trotinetă X1',
+            'regular_price' => '599.00',
+            'images' => [],
+            'meta_data' => [
+                ['key' => '_ewheel_reference', 'value' => 'SCOOTER-X1'],
+            ],
+        ];
+    }
+
+    /**
+     * Mock an existing WooCommerce product.
+     *
+     * @param string $name  Product name.
+     * @param string $price Regular price.
+     * @param int    $stock Stock quantity.
+     * @return \Mockery\MockInterface
+     */
+    private function mock_product(string $name, string $price, int $stock)
+    {
+        $product = Mockery::mock('WC_Product');
+        $product->shouldReceive('get_name')->andReturn($name);
+        $product->shouldReceive('get_description')->andReturn($name);
+        $product->shouldReceive('get_regular_price')->andReturn($price);
+        $product->shouldReceive('get_stock_quantity')->andReturn($stock);
+        $product->shouldReceive('get_image_id')->andReturn(0);
+        $product->shouldReceive('get_gallery_image_ids')->andReturn([]);
+        $product->shouldReceive('get_category_ids')->andReturn([]);
+
+        return $product;
+    }
+
+    /**
+     * Test that an unknown product is previewed as a create with all fields.
+     */
+    public function test_new_product_is_create(): void
+    {
+        $preview = $this->create_preview(new ProductLookupCache());
+
+        $row = $preview->build_row($this->product_data(), ['SCOOTER-X1' => 7]);
+
+        $this->assertSame('create', $row['action']);
+        $this->assertSame(0, $row['product_id']);
+        $this->assertSame('599.00', $row['changes']['price']['new']);
+        $this->assertSame('7', $row['changes']['stock']['new']);
+        $this->assertArrayHasKey('name', $row['changes']);
+    }
+
+    /**
+     * Test that an existing product with changed price is an update.
+     */
+    public function test_changed_price_is_update(): void
+    {
+        $cache = new ProductLookupCache();
+        $cache->record(42, 'SCOOTER-X1', 'SCOOTER-X1', '');
+        Functions\when('wc_get_product')->justReturn($this->mock_product('Trotinetă X1', '549.00', 7));
+
+        $row = $this->create_preview($cache)->build_row($this->product_data(), ['SCOOTER-X1' => 7]);
+
+        $this->assertSame('update', $row['action']);
+        $this->assertSame(42, $row['product_id']);
+        $this->assertSame(['price'], array_keys($row['changes']));
+        $this->assertSame('549.00', $row['changes']['price']['current']);
+    }
+
+    /**
+     * Test that an identical product is skipped.
+     */
+    public function test_unchanged_product_is_skip(): void
+    {
+        $cache = new ProductLookupCache();
+        $cache->record(42, 'SCOOTER-X1', 'SCOOTER-X1', '');
+        Functions\when('wc_get_product')->justReturn($this->mock_product('Trotinetă X1', '599.00', 7));
+
+        $row = $this->create_preview($cache)->build_row($this->product_data(), ['SCOOTER-X1' => 7]);
+
+        $this->assertSame('skip', $row['action']);
+        $this->assertEmpty($row['changes']);
+    }
+
+    /**
+     * Test that differences in protected fields don't count as an update.
+     */
+    public function test_protected_field_difference_is_skip(): void
+    {
+        $cache = new ProductLookupCache();
+        $cache->record(42, 'SCOOTER-X1', 'SCOOTER-X1', '');
+        Functions\when('wc_get_product')->justReturn($this->mock_product('Trotinetă X1', '549.00', 7));
+
+        $row = $this->create_preview($cache)->build_row(
+            $this->product_data(),
+            ['SCOOTER-X1' => 7],
+            ['price' => true]
+        );
+
+        $this->assertSame('skip', $row['action']);
+        $this->assertTrue($row['changes']['price']['protected']);
+    }
+
+    /**
+     * Sync protection settings for the preview and sync comparison.
+     *
+     * @return array
+     */
+    public function protection_provider(): array
+    {
+        return [
+            'nothing protected' => [[]],
+            'price protected' => [['price' => true]],
+            'name and description protected' => [['name' => true, 'description' => true]],
+        ];
+    }
+
+    /**
+     * Test the preview shows exactly the fields a sync of the same product writes.
+     *
+     * @dataProvider protection_provider
+     * @runInSeparateProcess
+     * @preserveGlobalState disabled
+     *
+     * @param array $protection Sync protection settings.
+     */
+    public function test_preview_matches_sync_changes(array $protection): void
+    {
+        $product_data = $this->product_data();
+        $current = [
+            'name' => 'Trotinetă X1 2023',
+            'description' => 'Old description',
+            'sku' => 'SCOOTER-X1',
+            'regular_price' => '549.00',
+            'sale_price' => '',
+        ];
+
+        // A saved product whose setters record pending changes like WC_Data does
+        $changes = [];
+        $product = Mockery::mock('WC_Product');
+        $product->shouldReceive('get_id')->andReturn(42);
+        $product->shouldReceive('get_name')->andReturn($current['name']);
+        $product->shouldReceive('get_description')->andReturn($current['description']);
+        $product->shouldReceive('get_regular_price')->andReturn($current['regular_price']);
+        $product->shouldReceive('get_stock_quantity')->andReturn(7);
+        $product->shouldReceive('get_image_id')->andReturn(0);
+        $product->shouldReceive('get_gallery_image_ids')->andReturn([]);
+        $product->shouldReceive('get_category_ids')->andReturn([]);
+        $product->shouldReceive('get_data')->andReturn($current);
+        $product->shouldReceive('get_changes')->andReturnUsing(function () use (&$changes) {
+            return $changes;
+        });
+        $product->shouldReceive('update_meta_data');
+        $product->shouldReceive('save');
+        foreach (array_keys($current) as $prop) {
+            $product->shouldReceive('set_' . $prop)->andReturnUsing(function ($value) use (&$changes, $current, $prop) {
+                if ($current[$prop] !== $value) {
+                    $changes[$prop] = $value;
+                }
+            });
+        }
+
+        // The batch summary goes to error_log(), which must stay off the stderr of this process
+        ini_set('error_log', '/dev/null');
+
+        Functions\when('wc_get_product')->justReturn($product);
+        Functions\when('wp_cache_flush')->justReturn(true);
+        Mockery::mock('alias:WC_Product_Factory')->shouldReceive('get_product_type')->andReturn('simple');
+
+        $cache = new ProductLookupCache();
+        $cache->record(42, 'SCOOTER-X1', 'SCOOTER-X1', '');
+
+        $config = Mockery::mock(Configuration::class);
+        $config->shouldReceive('get')->with('sync_protection')->andReturn($protection);
+
+        $transformer = Mockery::mock(ProductTransformer::class);
+        $transformer->shouldReceive('record_attribute_usage');
+        $transformer->shouldReceive('set_category_map');
+        $transformer->shouldReceive('prefetch_translations');
+        $transformer->shouldReceive('transform')->andReturn([$product_data]);
+
+        $category_repository = Mockery::mock(CategoryRepository::class);
+        $category_repository->shouldReceive('get_combined_mapping')->andReturn([]);
+
+        $image_queue = Mockery::mock(ImageQueue::class);
+        $image_queue->shouldReceive('enqueue')->andReturn(0);
+
+        $translator = Mockery::mock(Translator::class);
+        $translator->shouldReceive('translate')->andReturn('test');
+
+        $woo_sync = new WooCommerceSync(
+            Mockery::mock(EwheelApiClient::class),
+            $transformer,
+            $category_repository,
+            Mockery::mock(AttributeService::class),
+            Mockery::mock(VariationService::class),
+            $image_queue,
+            Mockery::mock(BrandService::class),
+            Mockery::mock(ModelService::class),
+            $config,
+            $translator
+        );
+        $woo_sync->set_lookup_cache($cache);
+
+        $row = $this->create_preview($cache)->build_row($product_data, [], $protection);
+
+        $result = $woo_sync->process_ewheel_products_batch([['reference' => 'SCOOTER-X1', 'name' => 'Trotinetă X1']]);
+        $this->assertSame(1, $result['updated']);
+
+        // Sync props by the preview field that shows them
+        $fields = ['name' => 'name', 'description' => 'description', 'regular_price' => 'price'];
+        $synced = array_values(array_intersect_key($fields, $changes));
+        $previewed = array_keys(array_filter($row['changes'], fn($change) => !$change['protected']));
+        sort($synced);
+        sort($previewed);
+
+        $this->assertNotEmpty($synced);
+        $this->assertSame($synced, $previewed);
+        $this->assertSame('update', $row['action']);
+    }
+}
@@ -0,0 +1,150 @@
+<?php
+/**
+ * Tests for SyncProgressStream.
+ *
+ * @package Trotibike\EwheelImporter\Tests\Unit
+ */
+
+namespace Trotibike\EwheelImporter\Tests\Unit;
+
+use Trotibike\EwheelImporter\Log\LiveLogger;
+use Trotibike\EwheelImporter\Sync\SyncLauncher;
+use Trotibike\EwheelImporter\Sync\SyncProgressStream;
+use Trotibike\EwheelImporter\Tests\TestCase;
+use Brain\Monkey\Functions;
+use Mockery;
+
+/**
+ * SyncProgressStream test cases.
+ */
+class SyncProgressStreamTest extends TestCase
+{
+    /**
+     * Stored sync status option.
+     *
+     * @var array
+     */
+    private array $status_option = [];
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+        LiveLogger::clear();
+
+        $this->status_option = [
+            'id' => 'sync_1',
+            'status' => 'running',
+            'processed' => 10,
+            'created' => 4,
+            'updated' => 6,
+        ];
+        Functions\when('get_option')->alias(fn() => $this->status_option);
+    }
+
+    /**
+     * Build a stream with a launcher reporting the given state.
+     *
+     * @param bool $running Whether a sync is running.
+     * @return SyncProgressStream
+     */
+    private function create_stream(bool $running = true): SyncProgressStream
+    {
+        $launcher = Mockery::mock(SyncLauncher::class);
+        $launcher->shouldReceive('is_sync_running')->andReturn($running);
+        $launcher->shouldReceive('is_sync_paused')->andReturn(false);
+
+        return new SyncProgressStream($launcher);
+    }
+
+    /**
+     * Test that the first tick sends a log snapshot and the status.
+     */
+    public function test_first_tick_sends_snapshot_and_status(): void
+    {
+        LiveLogger::log('Batch 1 done');
+        $cursor = null;
+        $hash = null;
+
+        $events = $this->create_stream()->collect_events(null, $cursor, $hash);
+
+        $this->assertSame(['logs', 'status'], array_column($events, 'event'));
+        $this->assertSame(1, $cursor);
+        $this->assertSame(4, $events[1]['data']['created']);
+        $this->assertSame('running', $events[1]['data']['status']);
+    }
+
+    /**
+     * Test that later ticks only send new log entries and changed status.
+     */
+    public function test_later_ticks_send_only_changes(): void
+    {
+        $stream = $this->create_stream();
+        LiveLogger::log('Batch 1 done');
+        $cursor = null;
+        $hash = null;
+        $stream->collect_events(null, $cursor, $hash);
+
+        $this->assertSame([], $stream->collect_events(null, $cursor, $hash));
+
+        LiveLogger::log('Batch 2 done');
+        $this->status_option['updated'] = 11;
+        $events = $stream->collect_events(null, $cursor, $hash);
+
+        $this->assertSame(['log', 'status'], array_column($events, 'event'));
+        $this->assertSame('Batch 2 done', $events[0]['data']['message']);
+        $this->assertSame(2, $events[0]['id']);
+        $this->assertSame(11, $events[1]['data']['updated']);
+    }
+
+    /**
+     * Test that a settled sync ends the stream.
+     */
+    public function test_finished_sync_sends_end(): void
+    {
+        $this->status_option['status'] = 'completed';
+        $cursor = 0;
+        $hash = null;
+
+        $events = $this->create_stream(false)->collect_events(null, $cursor, $hash);
+
+        $this->assertSame(['status', 'end'], array_column($events, 'event'));
+        $this->assertSame('completed', $events[1]['data']['status']);
+    }
+
+    /**
+     * Test server-sent event formatting.
+     */
+    public function test_format_event(): void
+    {
+        $output = $this->create_stream()->format_event('log', ['message' => 'Hi'], 7);
+
+        $this->assertSame("id: 7\nevent: log\ndata: {\"message\":\"Hi\"}\n\n", $output);
+    }
+
+    /**
+     * Test the remaining-time estimate ignores paused time.
+     */
+    public function test_estimate_remaining_seconds_excludes_pause(): void
+    {
+        $status = [
+            'processed' => 100,
+            'started_at' => 1000,
+            'last_update' => 1500,
+            'paused_seconds' => 300,
+        ];
+
+        // 100 products in 200 active seconds -> 300 left take 600 seconds
+        $this->assertSame(600, $this->create_stream()->estimate_remaining_seconds($status, 400));
+    }
+
+    /**
+     * Test no estimate is given before any progress.
+     */
+    public function test_estimate_remaining_seconds_needs_progress(): void
+    {
+        $status = ['processed' => 0, 'started_at' => 1000, 'last_update' => 1500];
+
+        $this->assertNull($this->create_stream()->estimate_remaining_seconds($status, 400));
+        $this->assertNull($this->create_stream()->estimate_remaining_seconds(['processed' => 5], 0));
+    }
+}
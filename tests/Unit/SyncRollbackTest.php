@@ -0,0 +1,83 @@
+<?php
+/**
+ * Tests for SyncRollback.
+ *
+ * @package Trotibike\EwheelImporter\Tests\Unit
+ */
+
+namespace Trotibike\EwheelImporter\Tests\Unit;
+
+use Trotibike\EwheelImporter\Sync\SyncRollback;
+use Trotibike\EwheelImporter\Tests\TestCase;
+use Mockery;
+
+/**
+ * SyncRollback test cases.
+ */
+class SyncRollbackTest extends TestCase
+{
+    /**
+     * Test that fields still holding the synced value get their old value back.
+     */
+    public function test_restore_product_restores_synced_values(): void
+    {
+        $product = Mockery::mock('WC_Product');
+        $product->shouldReceive('get_data')->andReturn([
+            'name' => 'Trotinetă X1 (tradus greșit)',
+            'regular_price' => 599.0,
+            'category_ids' => [12, 15],
+        ]);
+        $product->shouldReceive('set_name')->once()->with('Trotinetă X1');
+        $product->shouldReceive('set_regular_price')->once()->with('549');
+        $product->shouldReceive('set_category_ids')->once()->with(['12']);
+        $product->shouldReceive('save')->once();
+
+        $result = (new SyncRollback())->restore_product($product, [
+            'name' => ['old' => 'Trotinetă X1', 'new' => 'Trotinetă X1 (tradus greșit)'],
+            'regular_price' => ['old' => '549', 'new' => '599'],
+            'category_ids' => ['old' => ['12'], 'new' => ['12', '15']],
+        ]);
+
+        $this->assertSame(['name', 'regular_price', 'category_ids'], $result['restored']);
+        $this->assertSame([], $result['conflicts']);
+    }
+
+    /**
+     * Test that fields edited after the run are kept.
+     */
+    public function test_restore_product_keeps_later_edits(): void
+    {
+        $product = Mockery::mock('WC_Product');
+        $product->shouldReceive('get_data')->andReturn([
+            'name' => 'Edited by hand',
+            'sale_price' => '',
+        ]);
+        $product->shouldReceive('set_sale_price')->once()->with('499');
+        $product->shouldReceive('save')->once();
+
+        $result = (new SyncRollback())->restore_product($product, [
+            'name' => ['old' => 'Trotinetă X1', 'new' => 'Trotinetă X1 (tradus greșit)'],
+            'sale_price' => ['old' => '499', 'new' => ''],
+        ]);
+
+        $this->assertSame(['sale_price'], $result['restored']);
+        $this->assertSame(['name'], $result['conflicts']);
+    }
+
+    /**
+     * Test that a product with nothing to restore is not saved.
+     */
+    public function test_restore_product_without_restorable_fields_skips_save(): void
+    {
+        $product = Mockery::mock('WC_Product');
+        $product->shouldReceive('get_data')->andReturn(['stock_quantity' => 3]);
+        $product->shouldNotReceive('save');
+
+        $result = (new SyncRollback())->restore_product($product, [
+            'stock_quantity' => ['old' => '5', 'new' => '4'],
+        ]);
+
+        $this->assertSame([], $result['restored']);
+        $this->assertSame(['stock_quantity'], $result['conflicts']);
+    }
+}
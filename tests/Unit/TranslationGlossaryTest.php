@@ -0,0 +1,284 @@
+<?php
+/**
+ * Tests for TranslationGlossary.
+ *
+ * @package Trotibike\EwheelImporter\Tests\Unit
+ */
+
+namespace Trotibike\EwheelImporter\Tests\Unit;
+
+use Trotibike\EwheelImporter\Repository\TranslationRepository;
+use Trotibike\EwheelImporter\Tests\Helpers\MockFactory;
+use Trotibike\EwheelImporter\Tests\TestCase;
+use Trotibike\EwheelImporter\Translation\DeepLTranslateService;
+use Trotibike\EwheelImporter\Translation\GlossaryAwareInterface;
+use Trotibike\EwheelImporter\Translation\TranslationGlossary;
+use Trotibike\EwheelImporter\Translation\TranslationServiceInterface;
+use Trotibike\EwheelImporter\Translation\Translator;
+use Brain\Monkey\Functions;
+use Mockery;
+
+/**
+ * TranslationGlossary test cases.
+ */
+class TranslationGlossaryTest extends TestCase
+{
+    /**
+     * Stored options.
+     *
+     * @var array
+     */
+    private array $options = [];
+
+    /**
+     * Translation repository mock.
+     *
+     * @var TranslationRepository|\Mockery\MockInterface
+     */
+    private $repository;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->options = [];
+
+        Functions\stubTranslationFunctions();
+        Functions\when('get_option')->alias(fn($name, $default = false) => $this->options[$name] ?? $default);
+        Functions\when('update_option')->alias(function ($name, $value) {
+            $this->options[$name] = $value;
+            return true;
+        });
+
+        $this->repository = MockFactory::translation_repository();
+    }
+
+    /**
+     * Build a glossary holding a protected brand and a forced pair.
+     *
+     * @return TranslationGlossary
+     */
+    private function create_glossary(): TranslationGlossary
+    {
+        $glossary = new TranslationGlossary($this->repository);
+        $glossary->save_entry(['source' => 'Kukirin', 'target' => '']);
+        $glossary->save_entry(['source' => 'Kukirin G2 Pro', 'target' => '']);
+        $glossary->save_entry(['source' => 'neumático', 'target' => 'anvelopă']);
+
+        return $glossary;
+    }
+
+    /**
+     * Test terms become placeholders, longest first, and come back as their target.
+     */
+    public function test_protect_and_restore(): void
+    {
+        $glossary = $this->create_glossary();
+
+        $protected = $glossary->protect('Neumático para Kukirin G2 Pro y Kukirin G3');
+
+        $this->assertSame('[[1]] para [[0]] y [[2]] G3', $protected['text']);
+        $this->assertSame(['Kukirin G2 Pro', 'Anvelopă', 'Kukirin'], $protected['tokens']);
+        $this->assertSame(
+            'Anvelopă pentru Kukirin G2 Pro și Kukirin G3',
+            $glossary->restore('[[ 1 ]] pentru [[0]] și [[2]] G3', $protected['tokens'])
+        );
+    }
+
+    /**
+     * Test terms only match whole words.
+     */
+    public function test_terms_match_whole_words(): void
+    {
+        $glossary = $this->create_glossary();
+
+        $this->assertSame('Neumáticos Kukirinos', $glossary->protect('Neumáticos Kukirinos')['text']);
+        $this->assertSame([], $glossary->find_terms(['Neumáticos Kukirinos']));
+        $this->assertCount(1, $glossary->find_terms(['Cubierta', 'Un neumático']));
+    }
+
+    /**
+     * Test violations list the terms missing from a translation.
+     */
+    public function test_find_violations(): void
+    {
+        $glossary = $this->create_glossary();
+
+        $this->assertSame([], $glossary->find_violations('Neumático Kukirin G2 Pro', 'Anvelopă Kukirin G2 Pro'));
+        $this->assertSame(
+            [
+                ['source' => 'Kukirin G2 Pro', 'expected' => 'Kukirin G2 Pro'],
+                ['source' => 'Neumático', 'expected' => 'anvelopă'],
+            ],
+            $glossary->find_violations('Neumático Kukirin G2 Pro', 'Cauciuc Kukirin G2 Profesional')
+        );
+    }
+
+    /**
+     * Test the CSV import adds terms and reports bad rows.
+     */
+    public function test_import_csv(): void
+    {
+        $glossary = $this->create_glossary();
+
+        $summary = $glossary->import_csv(
+            "\xEF\xBB\xBFsource,target,case_sensitive\n"
+            . "Cámara de aire,Cameră de aer,0\n"
+            . ",orphan,0\n"
+            . "NEUMÁTICO,Anvelopă,1\n"
+        );
+
+        $this->assertSame(2, $summary['imported']);
+        $this->assertSame(1, $summary['error_count']);
+        $this->assertSame(3, $summary['errors'][0]['line']);
+
+        $entries = array_column($glossary->get_entries(), null, 'source');
+        $this->assertCount(4, $entries);
+        $this->assertSame('Cameră de aer', $entries['Cámara de aire']['target']);
+        $this->assertTrue($entries['NEUMÁTICO']['case_sensitive']);
+        $this->assertArrayNotHasKey('neumático', $entries);
+    }
+
+    /**
+     * Test a replace import drops the terms missing from the file.
+     */
+    public function test_import_csv_replace(): void
+    {
+        $glossary = $this->create_glossary();
+
+        $summary = $glossary->import_csv("source\nSmartGyro\n", true);
+
+        $this->assertSame(3, $summary['removed']);
+        $this->assertSame([['source' => 'SmartGyro', 'target' => '', 'case_sensitive' => false]], $glossary->get_entries());
+    }
+
+    /**
+     * Test drivers without glossary support get placeholders.
+     */
+    public function test_translator_protects_terms_for_plain_drivers(): void
+    {
+        $service = MockFactory::translation_service();
+        $service->shouldReceive('translate')
+            ->once()
+            ->with('[[1]] para [[0]]', 'es', 'ro')
+            ->andReturn('[[1]] pentru [[0]]');
+
+        $translator = new Translator($service, $this->repository, 'ro', $this->create_glossary());
+
+        $this->assertSame('Anvelopă pentru Kukirin G2 Pro', $translator->translate('Neumático para Kukirin G2 Pro', 'es'));
+    }
+
+    /**
+     * Test texts made only of glossary terms skip the driver.
+     */
+    public function test_translator_skips_driver_for_glossary_only_text(): void
+    {
+        $service = MockFactory::translation_service();
+        $service->shouldNotReceive('translate_batch');
+
+        $translator = new Translator($service, $this->repository, 'ro', $this->create_glossary());
+
+        $this->assertSame(['Kukirin G2 Pro'], $translator->translate_batch(['Kukirin G2 Pro'], 'es'));
+    }
+
+    /**
+     * Test glossary-aware drivers get the glossary, and placeholders when they break it.
+     */
+    public function test_translator_retries_with_placeholders_when_driver_breaks_glossary(): void
+    {
+        $service = Mockery::mock(TranslationServiceInterface::class, GlossaryAwareInterface::class);
+        $service->shouldReceive('set_glossary')->once()->with(Mockery::on(fn($entries) => count($entries) === 3));
+        $service->shouldReceive('set_glossary')->once()->with([]);
+        $service->shouldReceive('translate_batch')
+            ->once()
+            ->with(['Neumático para Kukirin', 'Cubierta'], 'es', 'ro')
+            ->andReturn(['Cauciuc pentru Kukirin', 'Anvelopă']);
+        $service->shouldReceive('translate_batch')
+            ->once()
+            ->with(['[[0]] para [[1]]'], 'es', 'ro')
+            ->andReturn(['[[0]] pentru [[1]]']);
+
+        $translator = new Translator($service, $this->repository, 'ro', $this->create_glossary());
+
+        $this->assertSame(
+            ['Anvelopă pentru Kukirin', 'Anvelopă'],
+            $translator->translate_batch(['Neumático para Kukirin', 'Cubierta'], 'es')
+        );
+    }
+
+    /**
+     * Build a DeepL service whose glossary for es-ro changed since it was last created.
+     *
+     * @param \Mockery\MockInterface $http_client HTTP client mock.
+     * @return DeepLTranslateService
+     */
+    private function create_deepl_with_stale_glossary($http_client): DeepLTranslateService
+    {
+        $this->options[DeepLTranslateService::GLOSSARIES_OPTION] = [
+            'es-ro' => ['id' => 'old-glossary', 'hash' => 'stale', 'entries' => 1, 'created_at' => 0],
+        ];
+
+        $http_client->shouldReceive('post')
+            ->once()
+            ->with('https://api-free.deepl.com/v2/glossaries', Mockery::type('array'), Mockery::type('array'))
+            ->andReturn(['glossary_id' => 'new-glossary']);
+        $http_client->shouldReceive('post')
+            ->once()
+            ->with('https://api-free.deepl.com/v2/translate', Mockery::on(fn($body) => $body['glossary_id'] === 'new-glossary'), Mockery::type('array'))
+            ->andReturn(['translations' => [['text' => 'Anvelopă Kukirin']]]);
+
+        $service = new DeepLTranslateService('test-key:fx', $http_client);
+        $service->set_glossary($this->create_glossary()->get_entries());
+
+        return $service;
+    }
+
+    /**
+     * Test a changed DeepL glossary replaces the old one, which is deleted.
+     */
+    public function test_deepl_deletes_replaced_glossary(): void
+    {
+        $http_client = MockFactory::http_client();
+        $http_client->shouldReceive('delete')
+            ->once()
+            ->with('https://api-free.deepl.com/v2/glossaries/old-glossary', ['Authorization' => 'DeepL-Auth-Key test-key:fx'])
+            ->andReturn([]);
+
+        $service = $this->create_deepl_with_stale_glossary($http_client);
+
+        $this->assertSame('Anvelopă Kukirin', $service->translate('Neumático Kukirin', 'es', 'ro'));
+        $this->assertSame('new-glossary', $this->options[DeepLTranslateService::GLOSSARIES_OPTION]['es-ro']['id']);
+    }
+
+    /**
+     * Test the new glossary is kept when the old one can't be deleted.
+     */
+    public function test_deepl_keeps_new_glossary_when_delete_fails(): void
+    {
+        $http_client = MockFactory::http_client();
+        $http_client->shouldReceive('delete')->once()->andThrow(new \RuntimeException('HTTP request failed with status 404'));
+
+        $service = $this->create_deepl_with_stale_glossary($http_client);
+
+        $this->assertSame('Anvelopă Kukirin', $service->translate('Neumático Kukirin', 'es', 'ro'));
+        $this->assertSame('new-glossary', $this->options[DeepLTranslateService::GLOSSARIES_OPTION]['es-ro']['id']);
+    }
+
+    /**
+     * Test the cache check flags rows breaking the glossary.
+     */
+    public function test_check_cache_flags_violations(): void
+    {
+        $this->repository->shouldReceive('find_entries')->once()->andReturn([
+            ['id' => 1, 'source_text' => 'Neumático Kukirin', 'translated_text' => 'Anvelopă Kukirin', 'approved' => 0],
+            ['id' => 2, 'source_text' => 'Neumático 10"', 'translated_text' => 'Cauciuc 10"', 'approved' => 0],
+        ]);
+
+        $report = $this->create_glossary()->check_cache();
+
+        $this->assertSame(2, $report['checked']);
+        $this->assertSame(1, $report['violation_count']);
+        $this->assertSame(2, $report['violations'][0]['id']);
+        $this->assertSame('anvelopă', $report['violations'][0]['terms'][0]['expected']);
+    }
+}
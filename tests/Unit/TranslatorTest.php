@@ -252,6 +252,69 @@ class TranslatorTest extends TestCase {
         $this->assertEquals( 'Durata bateriei', $results[2] );
     }
 
+    /**
+     * Test the context is stored with a new translation.
+     */
+    public function test_translate_saves_context(): void {
+        $translation_service = MockFactory::translation_service();
+        $translation_service->shouldReceive( 'translate' )
+            ->once()
+            ->andReturn( 'Trotinetă Electrică' );
+
+        $repository = Mockery::mock( \Trotibike\EwheelImporter\Repository\TranslationRepository::class );
+        $repository->shouldReceive( 'get' )->andReturn( null );
+        $repository->shouldReceive( 'save' )
+            ->once()
+            ->with( 'Patinete Eléctrico', 'Trotinetă Electrică', 'es', 'ro', Mockery::any(), 'title' )
+            ->andReturn( true );
+
+        $translator = new Translator( $translation_service, $repository, 'ro' );
+
+        $this->assertEquals( 'Trotinetă Electrică', $translator->translate( 'Patinete Eléctrico', 'es', 'title' ) );
+    }
+
+    /**
+     * Test a cache hit records the context of older cache rows.
+     */
+    public function test_cache_hit_records_context(): void {
+        $translation_service = MockFactory::translation_service();
+        $translation_service->shouldNotReceive( 'translate' );
+
+        $repository = Mockery::mock( \Trotibike\EwheelImporter\Repository\TranslationRepository::class );
+        $repository->shouldReceive( 'get' )->andReturn( 'Trotinetă Electrică' );
+        $repository->shouldReceive( 'set_context' )
+            ->once()
+            ->with( 'Patinete Eléctrico', 'es', 'ro', 'description' );
+
+        $translator = new Translator( $translation_service, $repository, 'ro' );
+
+        $this->assertEquals( 'Trotinetă Electrică', $translator->translate( 'Patinete Eléctrico', 'es', 'description' ) );
+    }
+
+    /**
+     * Test re-translation skips the cache and saves the new texts.
+     */
+    public function test_retranslate_bypasses_cache(): void {
+        $translation_service = MockFactory::translation_service();
+        $translation_service->shouldReceive( 'translate_batch' )
+            ->once()
+            ->with( [ 'Patinete Eléctrico', 'Batería' ], 'es', 'ro' )
+            ->andReturn( [ 'Trotinetă Electrică', 'Baterie' ] );
+
+        $repository = Mockery::mock( \Trotibike\EwheelImporter\Repository\TranslationRepository::class );
+        $repository->shouldNotReceive( 'get' );
+        $repository->shouldNotReceive( 'get_batch' );
+        $repository->shouldReceive( 'save' )
+            ->twice()
+            ->with( Mockery::type( 'string' ), Mockery::type( 'string' ), 'es', 'ro', Mockery::any(), 'title' )
+            ->andReturn( true );
+
+        $translator = new Translator( $translation_service, $repository, 'ro' );
+        $results    = $translator->retranslate( [ 'Patinete Eléctrico', 'Batería' ], 'es', 'title' );
+
+        $this->assertSame( [ 'Trotinetă Electrică', 'Baterie' ], $results );
+    }
+
     /**
      * Test that target language must be set.
      */
@@ -0,0 +1,89 @@
+<?php
+/**
+ * Tests for VariationGroups.
+ *
+ * @package Trotibike\EwheelImporter\Tests\Unit
+ */
+
+namespace Trotibike\EwheelImporter\Tests\Unit;
+
+use Trotibike\EwheelImporter\Sync\VariationGroups;
+use Trotibike\EwheelImporter\Tests\TestCase;
+use Brain\Monkey\Functions;
+
+/**
+ * VariationGroups test cases.
+ */
+class VariationGroupsTest extends TestCase
+{
+    /**
+     * Stored overrides.
+     *
+     * @var array
+     */
+    private array $stored = [];
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Functions\stubTranslationFunctions();
+        Functions\when('get_option')->alias(fn() => $this->stored);
+        Functions\when('update_option')->alias(function ($name, $value) {
+            $this->stored = $value;
+            return true;
+        });
+    }
+
+    /**
+     * Test split SKUs are trimmed and deduplicated.
+     */
+    public function test_save_override_normalizes_split_skus(): void
+    {
+        $saved = (new VariationGroups())->save_override('MP-010', [
+            'mode' => 'variable',
+            'split' => [' MP-010-RED ', 'MP-010-RED', ''],
+        ]);
+
+        $this->assertSame(['mode' => 'variable', 'split' => ['MP-010-RED'], 'merge_into' => ''], $saved);
+        $this->assertSame($saved, $this->stored['MP-010']);
+    }
+
+    /**
+     * Test an override without any setting is removed.
+     */
+    public function test_empty_override_is_removed(): void
+    {
+        $this->stored = ['MP-010' => ['mode' => 'simple'], 'MP-020' => ['mode' => 'variable']];
+
+        (new VariationGroups())->save_override('MP-010', ['mode' => '', 'split' => [], 'merge_into' => '']);
+
+        $this->assertSame(['MP-020'], array_keys($this->stored));
+    }
+
+    /**
+     * Test a group cannot be merged into a group that is itself merged.
+     */
+    public function test_merge_into_merged_group_is_rejected(): void
+    {
+        $this->stored = ['MP-020' => ['merge_into' => 'MP-030']];
+
+        $this->expectException(\RuntimeException::class);
+
+        (new VariationGroups())->save_override('MP-010', ['merge_into' => 'MP-020']);
+    }
+
+    /**
+     * Test merged groups are listed on their target.
+     */
+    public function test_get_merged_from_lists_sources(): void
+    {
+        $this->stored = [
+            'MP-020' => ['merge_into' => 'MP-010'],
+            'MP-030' => ['merge_into' => 'MP-010'],
+            'MP-040' => ['mode' => 'simple'],
+        ];
+
+        $this->assertSame(['MP-020', 'MP-030'], (new VariationGroups())->get_merged_from('MP-010'));
+    }
+}
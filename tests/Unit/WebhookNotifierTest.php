@@ -0,0 +1,244 @@
+<?php
+/**
+ * Tests for WebhookNotifier.
+ *
+ * @package Trotibike\EwheelImporter\Tests\Unit
+ */
+
+namespace Trotibike\EwheelImporter\Tests\Unit;
+
+use Trotibike\EwheelImporter\Model\Profile;
+use Trotibike\EwheelImporter\Repository\ProfileRepository;
+use Trotibike\EwheelImporter\Service\WebhookNotifier;
+use Trotibike\EwheelImporter\Tests\TestCase;
+use Brain\Monkey\Functions;
+use Mockery;
+
+/**
+ * WebhookNotifier test cases.
+ */
+class WebhookNotifierTest extends TestCase
+{
+    /**
+     * Stored options.
+     *
+     * @var array
+     */
+    private array $options = [];
+
+    /**
+     * The $wpdb of other tests, restored on tear down.
+     *
+     * @var mixed
+     */
+    private $previous_wpdb;
+
+    /**
+     * Profile repository mock.
+     *
+     * @var ProfileRepository|\Mockery\MockInterface
+     */
+    private $profiles;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->previous_wpdb = $GLOBALS['wpdb'];
+        $this->options = [];
+
+        Functions\stubTranslationFunctions();
+        Functions\when('get_option')->alias(fn($name, $default = false) => $this->options[$name] ?? $default);
+        Functions\when('update_option')->alias(function ($name, $value) {
+            $this->options[$name] = $value;
+            return true;
+        });
+        Functions\when('sanitize_key')->alias(fn($key) => preg_replace('/[^a-z0-9_\-]/', '', strtolower($key)));
+        Functions\when('wp_parse_url')->alias('parse_url');
+        Functions\when('wp_http_validate_url')->alias(
+            fn($url) => preg_match('#^https?://(localhost|127\.|10\.|192\.168\.)#', $url) ? false : $url
+        );
+        Functions\when('esc_url_raw')->returnArg();
+        Functions\when('wp_generate_password')->justReturn('Generated0Secret');
+        Functions\when('home_url')->justReturn('https://shop.example');
+        Functions\when('get_bloginfo')->justReturn('Trotibike');
+
+        $this->profiles = Mockery::mock(ProfileRepository::class);
+    }
+
+    protected function tearDown(): void
+    {
+        $GLOBALS['wpdb'] = $this->previous_wpdb;
+
+        parent::tearDown();
+    }
+
+    /**
+     * Build the notifier.
+     *
+     * @return WebhookNotifier
+     */
+    private function create_notifier(): WebhookNotifier
+    {
+        return new WebhookNotifier($this->profiles, '2.7.0');
+    }
+
+    /**
+     * Use a $wpdb whose delivery table exists and that records inserted rows.
+     *
+     * @param array $inserted Receives the inserted rows.
+     * @return void
+     */
+    private function mock_deliveries_table(array &$inserted): void
+    {
+        $wpdb = Mockery::mock('wpdb');
+        $wpdb->prefix = 'wp_';
+        $wpdb->insert_id = 0;
+        $wpdb->shouldReceive('prepare')->andReturnUsing(fn($sql, ...$args) => $args[0] ?? $sql);
+        $wpdb->shouldReceive('get_var')->andReturnUsing(fn($sql) => $sql === 'wp_ewheel_webhook_deliveries' ? $sql : null);
+        $wpdb->shouldReceive('insert')->andReturnUsing(function ($table, $data) use ($wpdb, &$inserted) {
+            if ($table === 'wp_ewheel_webhook_deliveries') {
+                $inserted[] = $data;
+                $wpdb->insert_id = count($inserted);
+            }
+            return true;
+        });
+        $GLOBALS['wpdb'] = $wpdb;
+    }
+
+    /**
+     * Test the signature is an HMAC of the timestamp and the body.
+     */
+    public function test_sign_covers_timestamp_and_body(): void
+    {
+        $body = '{"event":"sync.completed"}';
+
+        $this->assertSame(
+            'sha256=' . hash_hmac('sha256', '1760000000.' . $body, 'secret'),
+            WebhookNotifier::sign($body, 'secret', 1760000000)
+        );
+        $this->assertNotSame(
+            WebhookNotifier::sign($body, 'secret', 1760000000),
+            WebhookNotifier::sign($body, 'secret', 1760000001)
+        );
+    }
+
+    /**
+     * Test saving needs an http(s) URL.
+     */
+    public function test_save_rejects_invalid_url(): void
+    {
+        $this->expectException(\RuntimeException::class);
+
+        $this->create_notifier()->save_webhook([
+            'url' => 'ftp://erp.example/hooks',
+            'events' => [WebhookNotifier::EVENT_SYNC_COMPLETED],
+        ]);
+    }
+
+    /**
+     * Test saving refuses local and private network hosts.
+     */
+    public function test_save_rejects_private_host(): void
+    {
+        $this->expectException(\RuntimeException::class);
+        $this->expectExceptionMessage('public host');
+
+        $this->create_notifier()->save_webhook([
+            'url' => 'http://127.0.0.1:8080/admin',
+            'events' => [WebhookNotifier::EVENT_SYNC_COMPLETED],
+        ]);
+    }
+
+    /**
+     * Test saving needs at least one known event.
+     */
+    public function test_save_requires_known_event(): void
+    {
+        $this->expectException(\RuntimeException::class);
+
+        $this->create_notifier()->save_webhook([
+            'url' => 'https://erp.example/hooks',
+            'events' => [WebhookNotifier::EVENT_TEST, 'order.created'],
+        ]);
+    }
+
+    /**
+     * Test a new endpoint gets a secret and keeps it on later saves.
+     */
+    public function test_save_generates_and_keeps_secret(): void
+    {
+        $notifier = $this->create_notifier();
+
+        $webhook = $notifier->save_webhook([
+            'url' => 'https://erp.example/hooks',
+            'events' => [WebhookNotifier::EVENT_SYNC_FAILED, WebhookNotifier::EVENT_SYNC_COMPLETED],
+            'active' => true,
+        ]);
+
+        $this->assertSame('Generated0Secret', $webhook['secret']);
+        $this->assertSame('erp.example', $webhook['name']);
+        $this->assertSame([WebhookNotifier::EVENT_SYNC_COMPLETED, WebhookNotifier::EVENT_SYNC_FAILED], $webhook['events']);
+
+        Functions\when('wp_generate_password')->justReturn('Other');
+        $updated = $notifier->save_webhook([
+            'id' => $webhook['id'],
+            'name' => 'ERP',
+            'url' => 'https://erp.example/hooks',
+            'events' => [WebhookNotifier::EVENT_SYNC_FAILED],
+            'format' => WebhookNotifier::FORMAT_CHAT,
+        ]);
+
+        $this->assertSame('Generated0Secret', $updated['secret']);
+        $this->assertSame(WebhookNotifier::FORMAT_CHAT, $updated['format']);
+        $this->assertFalse($updated['active']);
+        $this->assertCount(1, $this->options[WebhookNotifier::OPTION]);
+    }
+
+    /**
+     * Test events only go to active endpoints subscribed to them.
+     */
+    public function test_dispatch_queues_subscribed_active_endpoints(): void
+    {
+        $inserted = [];
+        $this->mock_deliveries_table($inserted);
+
+        $this->options[WebhookNotifier::OPTION] = [
+            'erp' => ['id' => 'erp', 'name' => 'ERP', 'events' => ['sync.completed'], 'active' => true],
+            'chat' => ['id' => 'chat', 'name' => 'Chat', 'events' => ['sync.failed'], 'active' => true],
+            'old' => ['id' => 'old', 'name' => 'Old', 'events' => ['sync.completed'], 'active' => false],
+        ];
+
+        $profile = Mockery::mock(Profile::class);
+        $profile->shouldReceive('get_name')->andReturn('Scooters');
+        $this->profiles->shouldReceive('find')->with(3)->andReturn($profile);
+
+        Functions\expect('as_schedule_single_action')
+            ->once()
+            ->with(Mockery::type('int'), WebhookNotifier::DELIVER_HOOK, ['delivery_id' => 1]);
+
+        $data = WebhookNotifier::sync_data([
+            'id' => 'sync_1',
+            'type' => 'full',
+            'status' => 'completed',
+            'processed' => 40,
+            'created' => 2,
+            'updated' => 37,
+            'failed' => 1,
+            'started_at' => 1760000000,
+        ], 3);
+
+        $this->assertSame(1, $this->create_notifier()->dispatch(WebhookNotifier::EVENT_SYNC_COMPLETED, $data));
+        $this->assertCount(1, $inserted);
+        $this->assertSame('erp', $inserted[0]['webhook_id']);
+
+        $payload = json_decode($inserted[0]['payload'], true);
+        $this->assertSame('sync.completed', $payload['event']);
+        $this->assertSame('Scooters', $payload['data']['profile_name']);
+        $this->assertSame('2025-10-09T08:53:20+00:00', $payload['data']['started_at']);
+        $this->assertSame(
+            '[Trotibike] Sync completed (Profile: Scooters): 40 processed, 2 created, 37 updated, 1 failed.',
+            $payload['message']
+        );
+    }
+}
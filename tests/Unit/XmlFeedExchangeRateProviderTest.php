@@ -0,0 +1,197 @@
+<?php
+/**
+ * Tests for the BNR and ECB XML feed exchange rate providers.
+ *
+ * @package Trotibike\EwheelImporter\Tests\Unit
+ */
+
+namespace Trotibike\EwheelImporter\Tests\Unit;
+
+use Trotibike\EwheelImporter\Tests\TestCase;
+use Trotibike\EwheelImporter\Pricing\BnrExchangeRateProvider;
+use Trotibike\EwheelImporter\Pricing\EcbExchangeRateProvider;
+use Trotibike\EwheelImporter\Pricing\ExchangeRateHistory;
+use Trotibike\EwheelImporter\Pricing\FixedExchangeRateProvider;
+use Brain\Monkey\Functions;
+
+/**
+ * Test case for XmlFeedExchangeRateProvider subclasses.
+ */
+class XmlFeedExchangeRateProviderTest extends TestCase {
+
+    /**
+     * Stored options.
+     *
+     * @var array
+     */
+    private array $options = [];
+
+    /**
+     * Set up option storage for the rate history.
+     */
+    protected function setUp(): void {
+        parent::setUp();
+
+        if ( ! defined( 'EWHEEL_IMPORTER_RATE_FEED_DIR' ) ) {
+            define( 'EWHEEL_IMPORTER_RATE_FEED_DIR', dirname( __DIR__ ) . '/Helpers/fixtures' );
+        }
+
+        $this->options = [];
+        Functions\when( 'get_option' )->alias( fn( $name, $default = false ) => $this->options[ $name ] ?? $default );
+        Functions\when( 'update_option' )->alias(
+            function ( $name, $value ) {
+                $this->options[ $name ] = $value;
+                return true;
+            }
+        );
+    }
+
+    /**
+     * Get the path of a fixture feed.
+     *
+     * @param string $name File name.
+     * @return string
+     */
+    private function fixture( string $name ): string {
+        return dirname( __DIR__ ) . '/Helpers/fixtures/' . $name;
+    }
+
+    /**
+     * Test the BNR feed uses the most recent day and applies multipliers.
+     */
+    public function test_bnr_parse_latest_day(): void {
+        $provider = new BnrExchangeRateProvider( $this->fixture( 'bnr-rates.xml' ) );
+
+        $feed = $provider->parse( (string) file_get_contents( $this->fixture( 'bnr-rates.xml' ) ) );
+
+        $this->assertSame( '2024-03-08', $feed['date'] );
+        $this->assertEquals( 4.9708, $feed['rates']['EUR'] );
+        $this->assertEquals( 0.012601, $feed['rates']['HUF'] );
+        $this->assertEquals( 1.0, $feed['rates']['RON'] );
+    }
+
+    /**
+     * Test BNR rates in both directions and across currencies.
+     */
+    public function test_bnr_get_rate(): void {
+        $provider = new BnrExchangeRateProvider( $this->fixture( 'bnr-rates.xml' ) );
+        $provider->clear_cache();
+
+        $this->assertEquals( 4.9708, $provider->get_rate( 'EUR', 'RON' ) );
+        $this->assertEquals( round( 1 / 4.9708, 6 ), $provider->get_rate( 'RON', 'EUR' ) );
+        $this->assertEquals( round( 4.9708 / 4.5471, 6 ), $provider->get_rate( 'eur', 'usd' ) );
+        $this->assertSame( '2024-03-08', $provider->get_rate_date() );
+    }
+
+    /**
+     * Test the ECB feed, which quotes currencies per euro.
+     */
+    public function test_ecb_get_rate(): void {
+        $provider = new EcbExchangeRateProvider( $this->fixture( 'ecb-rates.xml' ) );
+        $provider->clear_cache();
+
+        $this->assertEquals( 4.971, $provider->get_rate( 'EUR', 'RON' ) );
+        $this->assertEquals( round( 4.971 / 1.0942, 6 ), $provider->get_rate( 'USD', 'RON' ) );
+        $this->assertSame( '2024-03-08', $provider->get_rate_date() );
+    }
+
+    /**
+     * Test rates read from the configured feed are added to the history.
+     */
+    public function test_get_rate_records_history(): void {
+        $provider = new EcbExchangeRateProvider( $this->fixture( 'ecb-rates.xml' ), null, true );
+        $provider->clear_cache();
+        $provider->get_rate( 'EUR', 'RON' );
+
+        $latest = ExchangeRateHistory::get_latest( 'EUR_RON' );
+
+        $this->assertSame( 'ecb', $latest['source'] );
+        $this->assertSame( '2024-03-08', $latest['date'] );
+        $this->assertEquals( 4.971, $latest['rate'] );
+    }
+
+    /**
+     * Test previews of a feed leave the history alone.
+     */
+    public function test_get_rate_without_history(): void {
+        $provider = new EcbExchangeRateProvider( $this->fixture( 'ecb-rates.xml' ) );
+        $provider->clear_cache();
+
+        $this->assertEquals( 4.971, $provider->get_rate( 'EUR', 'RON' ) );
+        $this->assertNull( ExchangeRateHistory::get_latest( 'EUR_RON' ) );
+    }
+
+    /**
+     * Test an unreadable feed falls back to the last recorded feed rate.
+     */
+    public function test_unreadable_feed_uses_last_recorded_rate(): void {
+        ExchangeRateHistory::record( 'EUR_RON', 4.9655, '2024-03-01', 'bnr' );
+        $provider = new BnrExchangeRateProvider( $this->fixture( 'missing.xml' ), new FixedExchangeRateProvider( [ 'EUR_RON' => 5.1 ] ) );
+
+        $this->assertEquals( 4.9655, $provider->get_rate( 'EUR', 'RON' ) );
+        $this->assertSame( '2024-03-01', $provider->get_rate_date() );
+    }
+
+    /**
+     * Test an unreadable feed without history uses the fallback provider.
+     */
+    public function test_unreadable_feed_uses_fallback_provider(): void {
+        $provider = new BnrExchangeRateProvider( $this->fixture( 'missing.xml' ), new FixedExchangeRateProvider( [ 'EUR_RON' => 5.1 ] ) );
+
+        $this->assertEquals( 5.1, $provider->get_rate( 'EUR', 'RON' ) );
+        $this->assertNull( $provider->get_rate_date() );
+    }
+
+    /**
+     * Test an unreadable feed without history or fallback throws.
+     */
+    public function test_unreadable_feed_without_fallback_throws(): void {
+        $this->expectException( \RuntimeException::class );
+
+        $provider = new EcbExchangeRateProvider( $this->fixture( 'missing.xml' ) );
+        $provider->get_rate( 'EUR', 'RON' );
+    }
+
+    /**
+     * Test a feed name relative to the feed directory is read from it.
+     */
+    public function test_relative_feed_file_is_read_from_feed_directory(): void {
+        $provider = new EcbExchangeRateProvider( 'ecb-rates.xml' );
+
+        $this->assertArrayHasKey( 'RON', $provider->get_feed()['rates'] );
+    }
+
+    /**
+     * Test files outside the feed directory are refused.
+     */
+    public function test_feed_file_outside_feed_directory_is_refused(): void {
+        $this->expectException( \RuntimeException::class );
+
+        $provider = new EcbExchangeRateProvider( $this->fixture( '../../TestCase.php' ) );
+        $provider->get_feed();
+    }
+
+    /**
+     * Test malformed XML is rejected.
+     */
+    public function test_parse_invalid_xml_throws(): void {
+        $this->expectException( \RuntimeException::class );
+        $this->expectExceptionMessage( 'Invalid BNR rate feed XML' );
+
+        ( new BnrExchangeRateProvider() )->parse( '<DataSet><Body>' );
+    }
+
+    /**
+     * Test a later rate for the same day replaces the earlier one.
+     */
+    public function test_history_keeps_one_rate_per_day(): void {
+        ExchangeRateHistory::record( 'EUR_RON', 4.97, '2024-03-08', 'manual' );
+        ExchangeRateHistory::record( 'EUR_RON', 4.98, '2024-03-08', 'manual' );
+        ExchangeRateHistory::record( 'EUR_RON', 4.9708, '2024-03-08', 'bnr' );
+
+        $history = ExchangeRateHistory::get_history( 'EUR_RON', 0 );
+
+        $this->assertCount( 2, $history );
+        $this->assertEquals( 4.98, ExchangeRateHistory::get_latest( 'EUR_RON', 'manual' )['rate'] );
+    }
+}